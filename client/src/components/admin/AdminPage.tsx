@@ -9,6 +9,9 @@ import { ApiKeysTab } from './tabs/ApiKeysTab';
 import { SharesTab } from './tabs/SharesTab';
 import { SettingsTab } from './tabs/SettingsTab';
 import { AuditTab } from './tabs/AuditTab';
+import { JobsTab } from './tabs/JobsTab';
+import { WebhooksTab } from './tabs/WebhooksTab';
+import { WorkspacesTab } from './tabs/WorkspacesTab';
 import { AppHeader } from '../common/layout/AppHeader';
 import { UserDropdown } from '../auth/UserDropdown';
 import AdminSelector from './AdminSelector';
@@ -26,13 +29,16 @@ export const AdminPage: React.FC = () => {
   }
 
   // Derive selected tab from URL
-  const getSelectedTab = (): 'dashboard' | 'users' | 'snippets' | 'api-keys' | 'shares' | 'settings' | 'audit' => {
+  const getSelectedTab = (): 'dashboard' | 'users' | 'snippets' | 'api-keys' | 'shares' | 'settings' | 'audit' | 'jobs' | 'webhooks' | 'workspaces' => {
     if (location.pathname.includes('/admin/users')) return 'users';
     if (location.pathname.includes('/admin/snippets')) return 'snippets';
     if (location.pathname.includes('/admin/api-keys')) return 'api-keys';
     if (location.pathname.includes('/admin/shares')) return 'shares';
     if (location.pathname.includes('/admin/settings')) return 'settings';
     if (location.pathname.includes('/admin/audit')) return 'audit';
+    if (location.pathname.includes('/admin/jobs')) return 'jobs';
+    if (location.pathname.includes('/admin/webhooks')) return 'webhooks';
+    if (location.pathname.includes('/admin/workspaces')) return 'workspaces';
     return 'dashboard';
   };
 
@@ -55,6 +61,9 @@ export const AdminPage: React.FC = () => {
           <Route path="shares" element={<SharesTab />} />
           <Route path="settings" element={<SettingsTab />} />
           <Route path="audit" element={<AuditTab />} />
+          <Route path="jobs" element={<JobsTab />} />
+          <Route path="webhooks" element={<WebhooksTab />} />
+          <Route path="workspaces" element={<WorkspacesTab />} />
           <Route path="/" element={<Navigate to={ROUTES.ADMIN_DASHBOARD} replace />} />
         </Routes>
       </div>
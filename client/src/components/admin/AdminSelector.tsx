@@ -1,16 +1,20 @@
 import React from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Home, Users, FileCode, Key, Share2, Settings, ShieldCheck } from 'lucide-react';
+import { Home, Users, FileCode, Key, Share2, Settings, ShieldCheck, Timer, Webhook, Building2 } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import { ROUTES } from '../../constants/routes';
+import { useAuth } from '../../hooks/useAuth';
 
 interface AdminSelectorProps {
-  selected: 'dashboard' | 'users' | 'snippets' | 'api-keys' | 'shares' | 'settings' | 'audit';
+  selected: 'dashboard' | 'users' | 'snippets' | 'api-keys' | 'shares' | 'settings' | 'audit' | 'jobs' | 'webhooks' | 'workspaces';
 }
 
 const AdminSelector: React.FC<AdminSelectorProps> = ({ selected }) => {
   const navigate = useNavigate();
+  const { user } = useAuth();
   const { t: translate } = useTranslation('components/admin/selector');
+  // Admin webhooks and workspaces span every workspace
+  const isSuperAdmin = !!user?.permissions?.includes('admin.workspaces.manage');
 
   const options = [
     { value: 'dashboard' as const, label: translate('dashboard'), icon: Home, route: ROUTES.ADMIN_DASHBOARD },
@@ -20,6 +24,13 @@ const AdminSelector: React.FC<AdminSelectorProps> = ({ selected }) => {
     { value: 'shares' as const, label: translate('shares'), icon: Share2, route: ROUTES.ADMIN_SHARES },
     { value: 'settings' as const, label: 'Settings', icon: Settings, route: ROUTES.ADMIN_SETTINGS },
     { value: 'audit' as const, label: 'Audit', icon: ShieldCheck, route: ROUTES.ADMIN_AUDIT },
+    { value: 'jobs' as const, label: 'Jobs', icon: Timer, route: ROUTES.ADMIN_JOBS },
+    ...(isSuperAdmin
+      ? [
+          { value: 'webhooks' as const, label: 'Webhooks', icon: Webhook, route: ROUTES.ADMIN_WEBHOOKS },
+          { value: 'workspaces' as const, label: 'Workspaces', icon: Building2, route: ROUTES.ADMIN_WORKSPACES },
+        ]
+      : []),
   ];
 
   return (
@@ -0,0 +1,227 @@
+import React from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Plus, Trash2 } from 'lucide-react';
+import { adminApi } from '../../../utils/api/admin';
+
+type SinkType = 'syslog' | 'webhook' | 'file';
+
+export interface AuditSink {
+  name: string;
+  type: SinkType;
+  enabled: boolean;
+  host?: string;
+  port?: number;
+  protocol?: 'udp' | 'tcp';
+  facility?: number;
+  url?: string;
+  secret?: string;
+  hasSecret?: boolean;
+  fileName?: string;
+  maxBytes?: number;
+  maxFiles?: number;
+}
+
+interface AuditSinksSettingsProps {
+  sinks: AuditSink[];
+  onChange: (sinks: AuditSink[]) => void;
+}
+
+const inputClass =
+  'px-3 py-2 rounded-md bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border';
+
+const NEW_SINKS: Record<SinkType, Omit<AuditSink, 'name'>> = {
+  syslog: { type: 'syslog', enabled: true, host: '', port: 514, protocol: 'udp', facility: 13 },
+  webhook: { type: 'webhook', enabled: true, url: '', secret: '' },
+  file: { type: 'file', enabled: true, fileName: 'audit.jsonl', maxBytes: 10485760, maxFiles: 5 },
+};
+
+const Field: React.FC<{ label: string; children: React.ReactNode }> = ({ label, children }) => (
+  <label className="flex flex-col gap-1">
+    <span className="text-sm">{label}</span>
+    {children}
+  </label>
+);
+
+export const AuditSinksSettings: React.FC<AuditSinksSettingsProps> = ({ sinks, onChange }) => {
+  const { data } = useQuery({
+    queryKey: ['admin', 'audit', 'sinks'],
+    queryFn: () => adminApi.getAuditSinkStatus(),
+    refetchInterval: 30000,
+  });
+
+  const statusByName: Record<string, any> = Object.fromEntries(
+    (data?.sinks || []).map((status: any) => [status.name, status])
+  );
+
+  const update = (index: number, changes: Partial<AuditSink>) =>
+    onChange(sinks.map((sink, i) => (i === index ? { ...sink, ...changes } : sink)));
+
+  const add = (type: SinkType) => {
+    let name: string = type;
+    for (let n = 2; sinks.some((sink) => sink.name === name); n++) {
+      name = `${type}-${n}`;
+    }
+    onChange([...sinks, { name, ...NEW_SINKS[type] }]);
+  };
+
+  return (
+    <div className="space-y-3">
+      {sinks.length === 0 && (
+        <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+          Audit entries are only stored in the database.
+        </p>
+      )}
+
+      {sinks.map((sink, index) => {
+        const status = statusByName[sink.name];
+        return (
+          <div
+            key={index}
+            className="border border-light-border dark:border-dark-border rounded-md p-3 space-y-3"
+          >
+            <div className="flex flex-wrap items-center gap-3">
+              <span className="font-mono text-xs uppercase">{sink.type}</span>
+              <input
+                value={sink.name}
+                onChange={(e) => update(index, { name: e.target.value })}
+                className={`${inputClass} w-48`}
+              />
+              <label className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={sink.enabled}
+                  onChange={(e) => update(index, { enabled: e.target.checked })}
+                />
+                Enabled
+              </label>
+              {status && (
+                <span className="text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                  {status.delivered} delivered, {status.failed} failed, {status.dropped} dropped
+                  {status.queued > 0 ? `, ${status.queued} queued` : ''}
+                  {status.lastError ? ` - last error: ${status.lastError}` : ''}
+                </span>
+              )}
+              <button
+                type="button"
+                onClick={() => onChange(sinks.filter((_, i) => i !== index))}
+                className="ml-auto text-red-600 dark:text-red-400"
+                aria-label={`Remove ${sink.name}`}
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+
+            {sink.type === 'syslog' && (
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                <Field label="Host">
+                  <input
+                    value={sink.host || ''}
+                    onChange={(e) => update(index, { host: e.target.value })}
+                    className={inputClass}
+                  />
+                </Field>
+                <Field label="Port">
+                  <input
+                    type="number"
+                    min={1}
+                    max={65535}
+                    value={sink.port ?? 514}
+                    onChange={(e) => update(index, { port: Number(e.target.value) })}
+                    className={inputClass}
+                  />
+                </Field>
+                <Field label="Protocol">
+                  <select
+                    value={sink.protocol || 'udp'}
+                    onChange={(e) => update(index, { protocol: e.target.value as 'udp' | 'tcp' })}
+                    className={inputClass}
+                  >
+                    <option value="udp">UDP</option>
+                    <option value="tcp">TCP</option>
+                  </select>
+                </Field>
+                <Field label="Facility">
+                  <input
+                    type="number"
+                    min={0}
+                    max={23}
+                    value={sink.facility ?? 13}
+                    onChange={(e) => update(index, { facility: Number(e.target.value) })}
+                    className={inputClass}
+                  />
+                </Field>
+              </div>
+            )}
+
+            {sink.type === 'webhook' && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <Field label="URL">
+                  <input
+                    value={sink.url || ''}
+                    onChange={(e) => update(index, { url: e.target.value })}
+                    placeholder="https://siem.example.com/ingest"
+                    className={inputClass}
+                  />
+                </Field>
+                <Field label="HMAC secret">
+                  <input
+                    type="password"
+                    value={sink.secret || ''}
+                    onChange={(e) => update(index, { secret: e.target.value })}
+                    placeholder={sink.hasSecret ? 'Unchanged' : 'At least 16 characters'}
+                    className={inputClass}
+                  />
+                </Field>
+              </div>
+            )}
+
+            {sink.type === 'file' && (
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <Field label="File name (in the data directory under audit/)">
+                  <input
+                    value={sink.fileName || ''}
+                    onChange={(e) => update(index, { fileName: e.target.value })}
+                    className={inputClass}
+                  />
+                </Field>
+                <Field label="Rotate at (bytes)">
+                  <input
+                    type="number"
+                    min={1024}
+                    value={sink.maxBytes ?? 10485760}
+                    onChange={(e) => update(index, { maxBytes: Number(e.target.value) })}
+                    className={inputClass}
+                  />
+                </Field>
+                <Field label="Rotated files kept">
+                  <input
+                    type="number"
+                    min={1}
+                    max={50}
+                    value={sink.maxFiles ?? 5}
+                    onChange={(e) => update(index, { maxFiles: Number(e.target.value) })}
+                    className={inputClass}
+                  />
+                </Field>
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      <div className="flex flex-wrap gap-2">
+        {(['syslog', 'webhook', 'file'] as const).map((type) => (
+          <button
+            key={type}
+            type="button"
+            onClick={() => add(type)}
+            disabled={sinks.length >= 10}
+            className="inline-flex items-center gap-1 px-3 py-1 rounded border border-light-border dark:border-dark-border disabled:opacity-50"
+          >
+            <Plus size={14} /> {type === 'file' ? 'JSONL file' : type === 'syslog' ? 'Syslog' : 'Webhook'}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
@@ -1,9 +1,23 @@
 import React, { useState } from 'react';
 import { useQuery } from '@tanstack/react-query';
-import { adminApi } from '../../../utils/api/admin';
+import { Download, ShieldCheck } from 'lucide-react';
+import { adminApi, type AuditLogFilters } from '../../../utils/api/admin';
+import { useDebounce } from '../../../hooks/useDebounce';
+import { useToast } from '../../../hooks/useToast';
+import { downloadFile } from '../../../utils/downloadUtils';
+import { FilterInput } from '../common';
 
 const PAGE_SIZE = 50;
 
+const TEXT_FILTERS: { key: keyof AuditLogFilters; placeholder: string; className: string }[] = [
+  { key: 'q', placeholder: 'Search metadata', className: 'flex-1 min-w-48' },
+  { key: 'actor', placeholder: 'Actor (name, id or system)', className: 'w-56' },
+  { key: 'action', placeholder: 'Action (auth.login.*)', className: 'w-48' },
+  { key: 'targetType', placeholder: 'Target type', className: 'w-36' },
+  { key: 'targetId', placeholder: 'Target id', className: 'w-28' },
+  { key: 'ip', placeholder: 'IP (10.0.*)', className: 'w-36' },
+];
+
 function formatDate(value: string | null) {
   if (!value) {
     return '-';
@@ -12,20 +26,141 @@ function formatDate(value: string | null) {
 }
 
 export const AuditTab: React.FC = () => {
+  const { addToast } = useToast();
   const [offset, setOffset] = useState(0);
+  const [filters, setFilters] = useState<AuditLogFilters>({});
+  const [exporting, setExporting] = useState(false);
+  const [verifying, setVerifying] = useState(false);
+
+  const debouncedFilters = useDebounce(filters, 300);
 
-  const { data, isLoading } = useQuery({
-    queryKey: ['admin', 'audit', offset],
-    queryFn: () => adminApi.getAuditLogs({ offset, limit: PAGE_SIZE }),
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['admin', 'audit', offset, debouncedFilters],
+    queryFn: () => adminApi.getAuditLogs({ offset, limit: PAGE_SIZE, ...debouncedFilters }),
+    retry: false,
   });
 
+  const setFilter = (key: keyof AuditLogFilters, value: string) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+    setOffset(0);
+  };
+
+  const handleVerify = async () => {
+    setVerifying(true);
+    try {
+      const result = await adminApi.verifyAuditChain();
+      if (result.valid) {
+        addToast(`Audit chain intact (${result.checked} entries)`, 'success');
+      } else {
+        addToast(
+          `Audit chain broken at entry ${result.brokenAt.id} (${result.brokenAt.reason})`,
+          'error'
+        );
+      }
+    } catch (verifyError: any) {
+      addToast(verifyError?.message || 'Failed to verify audit logs', 'error');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const handleCheckpoint = async () => {
+    try {
+      const checkpoint = await adminApi.getAuditCheckpoint();
+      downloadFile(
+        JSON.stringify(checkpoint, null, 2),
+        `audit-checkpoint-${checkpoint.checkpoint.lastId}.json`,
+        'application/json'
+      );
+    } catch (checkpointError: any) {
+      addToast(checkpointError?.message || 'Failed to create audit checkpoint', 'error');
+    }
+  };
+
+  const handleExport = async (format: 'csv' | 'jsonl') => {
+    setExporting(true);
+    try {
+      const { blob, fileName } = await adminApi.exportAuditLogs(format, debouncedFilters);
+      downloadFile(blob, fileName);
+    } catch (exportError: any) {
+      addToast(exportError?.message || 'Failed to export audit logs', 'error');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const logs = data?.logs || [];
   const total = data?.total || 0;
 
   return (
     <div className="space-y-4">
-      <div className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
-        Showing {Math.min(offset + 1, total)}-{Math.min(offset + PAGE_SIZE, total)} of {total} entries
+      <div className="flex flex-wrap gap-2">
+        {TEXT_FILTERS.map(({ key, placeholder, className }) => (
+          <FilterInput
+            key={key}
+            value={filters[key] || ''}
+            onChange={(value) => setFilter(key, value)}
+            placeholder={placeholder}
+            className={className}
+            showSearchIcon={key === 'q'}
+          />
+        ))}
+        <label className="flex items-center gap-2 text-sm">
+          From
+          <input
+            type="date"
+            value={filters.from || ''}
+            onChange={(e) => setFilter('from', e.target.value)}
+            className="h-10 px-2 rounded-md bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border"
+          />
+        </label>
+        <label className="flex items-center gap-2 text-sm">
+          To
+          <input
+            type="date"
+            value={filters.to || ''}
+            onChange={(e) => setFilter('to', e.target.value)}
+            className="h-10 px-2 rounded-md bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border"
+          />
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+          {error
+            ? error instanceof Error
+              ? error.message
+              : 'Failed to load audit logs'
+            : `Showing ${Math.min(offset + 1, total)}-${Math.min(offset + PAGE_SIZE, total)} of ${total} entries`}
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button
+            type="button"
+            onClick={handleVerify}
+            disabled={verifying}
+            className="inline-flex items-center gap-1 px-3 py-1 rounded border border-light-border dark:border-dark-border disabled:opacity-50"
+          >
+            <ShieldCheck size={14} /> Verify chain
+          </button>
+          <button
+            type="button"
+            onClick={handleCheckpoint}
+            className="inline-flex items-center gap-1 px-3 py-1 rounded border border-light-border dark:border-dark-border"
+          >
+            <Download size={14} /> Signed checkpoint
+          </button>
+          {(['csv', 'jsonl'] as const).map((format) => (
+            <button
+              key={format}
+              type="button"
+              onClick={() => handleExport(format)}
+              disabled={exporting || total === 0}
+              className="inline-flex items-center gap-1 px-3 py-1 rounded border border-light-border dark:border-dark-border disabled:opacity-50"
+            >
+              <Download size={14} /> Export {format.toUpperCase()}
+            </button>
+          ))}
+        </div>
       </div>
 
       <div className="overflow-auto border border-light-border dark:border-dark-border rounded-lg">
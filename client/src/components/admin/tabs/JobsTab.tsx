@@ -0,0 +1,232 @@
+import React, { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { ChevronDown, ChevronRight, Play } from 'lucide-react';
+import { adminApi } from '../../../utils/api/admin';
+import { useToast } from '../../../hooks/useToast';
+
+const HISTORY_SIZE = 10;
+
+function formatDate(value: string | null) {
+  if (!value) {
+    return '-';
+  }
+  return new Date(value).toLocaleString();
+}
+
+function formatRun(run: any) {
+  if (!run) {
+    return 'Never';
+  }
+  const duration = run.duration_ms === null ? '' : ` (${run.duration_ms} ms)`;
+  return `${formatDate(run.started_at)}${duration}`;
+}
+
+const statusClasses: Record<string, string> = {
+  success: 'text-green-700 dark:text-green-300',
+  failed: 'text-red-700 dark:text-red-300',
+  running: 'text-blue-700 dark:text-blue-300',
+};
+
+const RunStatus: React.FC<{ run: any }> = ({ run }) =>
+  run ? (
+    <span className={`font-medium ${statusClasses[run.status] || ''}`}>{run.status}</span>
+  ) : (
+    <span>-</span>
+  );
+
+const JobHistory: React.FC<{ name: string }> = ({ name }) => {
+  const { data, isLoading } = useQuery({
+    queryKey: ['admin', 'jobs', name, 'runs'],
+    queryFn: () => adminApi.getJobRuns(name, { limit: HISTORY_SIZE }),
+  });
+
+  if (isLoading) {
+    return <div className="p-3">Loading runs...</div>;
+  }
+
+  const runs = data?.runs || [];
+  if (runs.length === 0) {
+    return <div className="p-3">This job has not run yet.</div>;
+  }
+
+  return (
+    <table className="w-full text-xs">
+      <tbody>
+        {runs.map((run: any) => (
+          <tr key={run.id} className="border-t border-light-border dark:border-dark-border align-top">
+            <td className="p-2 whitespace-nowrap">{formatRun(run)}</td>
+            <td className="p-2 whitespace-nowrap">
+              {run.trigger}
+              {run.triggered_by_username ? ` by ${run.triggered_by_username}` : ''}
+            </td>
+            <td className="p-2 whitespace-nowrap">
+              <RunStatus run={run} />
+            </td>
+            <td className="p-2 font-mono break-all">
+              {run.error || (run.result ? JSON.stringify(run.result) : '')}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export const JobsTab: React.FC = () => {
+  const { addToast } = useToast();
+  const queryClient = useQueryClient();
+  const [schedules, setSchedules] = useState<Record<string, string>>({});
+  const [expanded, setExpanded] = useState<string | null>(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['admin', 'jobs'],
+    queryFn: () => adminApi.getJobs(),
+    refetchInterval: 30000,
+  });
+
+  const runMutation = useMutation({
+    mutationFn: (name: string) => adminApi.runJob(name),
+    onSuccess: (run: any) => {
+      if (run.status === 'failed') {
+        addToast(`Job ${run.job_name} failed: ${run.error}`, 'error');
+      } else {
+        addToast(`Job ${run.job_name} finished`, 'success');
+      }
+    },
+    onError: (error: any) => {
+      addToast(error?.message || 'Failed to run job', 'error');
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['admin', 'jobs'] });
+    },
+  });
+
+  const scheduleMutation = useMutation({
+    mutationFn: ({ name, schedule }: { name: string; schedule: string }) =>
+      adminApi.updateJobSchedule(name, schedule),
+    onSuccess: (job: any) => {
+      addToast(`Schedule of ${job.name} updated`, 'success');
+      setSchedules((prev) => {
+        const next = { ...prev };
+        delete next[job.name];
+        return next;
+      });
+      queryClient.invalidateQueries({ queryKey: ['admin', 'jobs'] });
+    },
+    onError: (error: any) => {
+      addToast(error?.message || 'Failed to update schedule', 'error');
+    },
+  });
+
+  const jobs = data?.jobs || [];
+
+  return (
+    <div className="space-y-4">
+      <div className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+        Schedules are cron expressions in UTC (minute hour day month weekday), for
+        example <span className="font-mono">*/5 * * * *</span> or{' '}
+        <span className="font-mono">@daily</span>. Use <span className="font-mono">off</span> to
+        only run a job by hand.
+      </div>
+
+      <div className="overflow-auto border border-light-border dark:border-dark-border rounded-lg">
+        <table className="w-full text-sm">
+          <thead className="bg-light-surface dark:bg-dark-surface">
+            <tr>
+              <th className="text-left p-3">Job</th>
+              <th className="text-left p-3">Schedule</th>
+              <th className="text-left p-3">Next run</th>
+              <th className="text-left p-3">Last run</th>
+              <th className="text-left p-3">Status</th>
+              <th className="p-3" />
+            </tr>
+          </thead>
+          <tbody>
+            {isLoading ? (
+              <tr>
+                <td className="p-3" colSpan={6}>
+                  Loading jobs...
+                </td>
+              </tr>
+            ) : (
+              jobs.map((job: any) => {
+                const draft = schedules[job.name] ?? job.schedule;
+                const isExpanded = expanded === job.name;
+                return (
+                  <React.Fragment key={job.name}>
+                    <tr className="border-t border-light-border dark:border-dark-border align-top">
+                      <td className="p-3">
+                        <button
+                          type="button"
+                          onClick={() => setExpanded(isExpanded ? null : job.name)}
+                          className="flex items-center gap-1 font-mono"
+                        >
+                          {isExpanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                          {job.name}
+                        </button>
+                        <p className="text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                          {job.description}
+                        </p>
+                      </td>
+                      <td className="p-3">
+                        <form
+                          className="flex items-center gap-2"
+                          onSubmit={(e) => {
+                            e.preventDefault();
+                            scheduleMutation.mutate({ name: job.name, schedule: draft });
+                          }}
+                        >
+                          <input
+                            value={draft}
+                            onChange={(e) =>
+                              setSchedules((prev) => ({ ...prev, [job.name]: e.target.value }))
+                            }
+                            placeholder={job.defaultSchedule}
+                            className="w-36 px-2 py-1 font-mono rounded-md bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border"
+                          />
+                          {draft !== job.schedule && (
+                            <button
+                              type="submit"
+                              disabled={scheduleMutation.isPending}
+                              className="px-2 py-1 rounded-md bg-light-primary dark:bg-dark-primary text-white disabled:opacity-50"
+                            >
+                              Save
+                            </button>
+                          )}
+                        </form>
+                      </td>
+                      <td className="p-3 whitespace-nowrap">
+                        {job.enabled ? formatDate(job.nextRunAt) : 'Off'}
+                      </td>
+                      <td className="p-3 whitespace-nowrap">{formatRun(job.lastRun)}</td>
+                      <td className="p-3 whitespace-nowrap">
+                        {job.running ? <span>running</span> : <RunStatus run={job.lastRun} />}
+                      </td>
+                      <td className="p-3 text-right">
+                        <button
+                          type="button"
+                          onClick={() => runMutation.mutate(job.name)}
+                          disabled={job.running || runMutation.isPending}
+                          className="inline-flex items-center gap-1 px-3 py-1 rounded border border-light-border dark:border-dark-border disabled:opacity-50"
+                        >
+                          <Play size={14} /> Run now
+                        </button>
+                      </td>
+                    </tr>
+                    {isExpanded && (
+                      <tr className="bg-light-surface/50 dark:bg-dark-surface/50">
+                        <td colSpan={6}>
+                          <JobHistory name={job.name} />
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
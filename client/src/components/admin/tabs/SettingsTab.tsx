@@ -1,13 +1,19 @@
 import React, { useMemo, useState } from 'react';
-import { useMutation, useQuery } from '@tanstack/react-query';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import { adminApi } from '../../../utils/api/admin';
 import { useToast } from '../../../hooks/useToast';
+import { useAuth } from '../../../hooks/useAuth';
+import { AuditSinksSettings } from './AuditSinksSettings';
 
 type ToggleValue = 'ON' | 'OFF';
 type RegistrationMode = 'OPEN' | 'APPROVAL' | 'CLOSED';
 
 export const SettingsTab: React.FC = () => {
   const { addToast } = useToast();
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  // Workspace admins only change the modes of their own workspace
+  const isSuperAdmin = !!user?.permissions?.includes('admin.workspaces.manage');
   const [dirty, setDirty] = useState(false);
   const [formState, setFormState] = useState<any>(null);
 
@@ -36,8 +42,9 @@ export const SettingsTab: React.FC = () => {
     });
 
     setFormState({
-      registrationMode: (settingsMap['registration.mode'] || 'OPEN') as RegistrationMode,
-      communityMode: (settingsMap['community.mode'] || 'OFF') as ToggleValue,
+      registrationMode: (data.foundation?.registrationMode || 'OPEN') as RegistrationMode,
+      communityMode: (data.foundation?.communityMode || 'OFF') as ToggleValue,
+      anonymousAccess: (data.foundation?.anonymousAccess || 'OFF') as ToggleValue,
       maintenanceMode: (settingsMap['maintenance.mode'] || 'OFF') as ToggleValue,
       lockoutMaxAttempts: Number(settingsMap['security.lockout.max_attempts'] || 5),
       lockoutDurationMinutes: Number(
@@ -47,15 +54,37 @@ export const SettingsTab: React.FC = () => {
       authRateLimit: Number(settingsMap['security.rate_limit.auth_max'] || 20),
       publicRateLimit: Number(settingsMap['security.rate_limit.public_max'] || 120),
       generalRateLimit: Number(settingsMap['security.rate_limit.general_max'] || 300),
+      recycleRetentionDays: Number(data.foundation?.recycle?.retentionDays || 30),
+      auditSinks: data.foundation?.auditSinks || [],
+      webhookAllowedHosts: (data.foundation?.webhookAllowedHosts || []).join('\n'),
       featureFlags: initialFeatureFlags,
     });
   }, [data, settingsMap, formState]);
 
   const updateMutation = useMutation({
-    mutationFn: (payload: any) => adminApi.updateSettings(payload),
-    onSuccess: async () => {
+    mutationFn: () =>
+      adminApi.updateSettings(
+        isSuperAdmin
+          ? {
+              ...formState,
+              anonymousAccess: undefined,
+              webhookAllowedHosts: formState.webhookAllowedHosts
+                .split('\n')
+                .map((host: string) => host.trim())
+                .filter(Boolean),
+            }
+          : {
+              registrationMode: formState.registrationMode,
+              communityMode: formState.communityMode,
+              anonymousAccess: formState.anonymousAccess,
+            }
+      ),
+    onSuccess: async (result: any) => {
       setDirty(false);
       addToast('Settings updated successfully', 'success');
+      // Secrets typed in are not kept in the form once saved
+      setFormState((prev: any) => ({ ...prev, auditSinks: result.foundation?.auditSinks || [] }));
+      queryClient.invalidateQueries({ queryKey: ['admin', 'audit', 'sinks'] });
       await refetch();
     },
     onError: (error: any) => {
@@ -117,115 +146,191 @@ export const SettingsTab: React.FC = () => {
               <option value="OFF">OFF</option>
             </select>
           </label>
-          <label className="flex flex-col gap-2">
-            <span className="text-sm">Maintenance Mode</span>
-            <select
-              value={formState.maintenanceMode}
-              onChange={(e) => onFieldChange('maintenanceMode', e.target.value as ToggleValue)}
-              className="px-3 py-2 rounded-md bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border"
-            >
-              <option value="ON">ON</option>
-              <option value="OFF">OFF</option>
-            </select>
-          </label>
+          {isSuperAdmin ? (
+            <label className="flex flex-col gap-2">
+              <span className="text-sm">Maintenance Mode</span>
+              <select
+                value={formState.maintenanceMode}
+                onChange={(e) => onFieldChange('maintenanceMode', e.target.value as ToggleValue)}
+                className="px-3 py-2 rounded-md bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border"
+              >
+                <option value="ON">ON</option>
+                <option value="OFF">OFF</option>
+              </select>
+            </label>
+          ) : (
+            <label className="flex flex-col gap-2">
+              <span className="text-sm">Anonymous Access</span>
+              <select
+                value={formState.anonymousAccess}
+                onChange={(e) => onFieldChange('anonymousAccess', e.target.value as ToggleValue)}
+                className="px-3 py-2 rounded-md bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border"
+              >
+                <option value="ON">ON</option>
+                <option value="OFF">OFF</option>
+              </select>
+            </label>
+          )}
         </div>
+        {!isSuperAdmin && (
+          <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+            These apply to your workspace. With anonymous access on, visitors can register and
+            browse the public library with <span className="font-mono">?workspace=&lt;slug&gt;</span>.
+          </p>
+        )}
       </div>
 
-      <div className="bg-light-bg dark:bg-dark-bg border border-light-border dark:border-dark-border rounded-lg p-4 space-y-4">
-        <h3 className="text-lg font-semibold">Security Controls</h3>
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          <label className="flex flex-col gap-2">
-            <span className="text-sm">Lockout max attempts</span>
-            <input
-              type="number"
-              min={1}
-              value={formState.lockoutMaxAttempts}
-              onChange={(e) => onFieldChange('lockoutMaxAttempts', Number(e.target.value))}
-              className="px-3 py-2 rounded-md bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border"
-            />
-          </label>
-          <label className="flex flex-col gap-2">
-            <span className="text-sm">Lockout duration (minutes)</span>
-            <input
-              type="number"
-              min={1}
-              value={formState.lockoutDurationMinutes}
-              onChange={(e) => onFieldChange('lockoutDurationMinutes', Number(e.target.value))}
-              className="px-3 py-2 rounded-md bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border"
-            />
-          </label>
-          <label className="flex flex-col gap-2">
-            <span className="text-sm">Rate limit window (ms)</span>
-            <input
-              type="number"
-              min={1000}
-              step={1000}
-              value={formState.rateLimitWindowMs}
-              onChange={(e) => onFieldChange('rateLimitWindowMs', Number(e.target.value))}
-              className="px-3 py-2 rounded-md bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border"
-            />
-          </label>
-          <label className="flex flex-col gap-2">
-            <span className="text-sm">Auth requests / window</span>
-            <input
-              type="number"
-              min={1}
-              value={formState.authRateLimit}
-              onChange={(e) => onFieldChange('authRateLimit', Number(e.target.value))}
-              className="px-3 py-2 rounded-md bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border"
-            />
-          </label>
-          <label className="flex flex-col gap-2">
-            <span className="text-sm">Public requests / window</span>
-            <input
-              type="number"
-              min={1}
-              value={formState.publicRateLimit}
-              onChange={(e) => onFieldChange('publicRateLimit', Number(e.target.value))}
-              className="px-3 py-2 rounded-md bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border"
-            />
-          </label>
-          <label className="flex flex-col gap-2">
-            <span className="text-sm">General requests / window</span>
-            <input
-              type="number"
-              min={1}
-              value={formState.generalRateLimit}
-              onChange={(e) => onFieldChange('generalRateLimit', Number(e.target.value))}
-              className="px-3 py-2 rounded-md bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border"
+      {isSuperAdmin && (
+        <>
+
+          <div className="bg-light-bg dark:bg-dark-bg border border-light-border dark:border-dark-border rounded-lg p-4 space-y-4">
+            <h3 className="text-lg font-semibold">Security Controls</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <label className="flex flex-col gap-2">
+                <span className="text-sm">Lockout max attempts</span>
+                <input
+                  type="number"
+                  min={1}
+                  value={formState.lockoutMaxAttempts}
+                  onChange={(e) => onFieldChange('lockoutMaxAttempts', Number(e.target.value))}
+                  className="px-3 py-2 rounded-md bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border"
+                />
+              </label>
+              <label className="flex flex-col gap-2">
+                <span className="text-sm">Lockout duration (minutes)</span>
+                <input
+                  type="number"
+                  min={1}
+                  value={formState.lockoutDurationMinutes}
+                  onChange={(e) => onFieldChange('lockoutDurationMinutes', Number(e.target.value))}
+                  className="px-3 py-2 rounded-md bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border"
+                />
+              </label>
+              <label className="flex flex-col gap-2">
+                <span className="text-sm">Rate limit window (ms)</span>
+                <input
+                  type="number"
+                  min={1000}
+                  step={1000}
+                  value={formState.rateLimitWindowMs}
+                  onChange={(e) => onFieldChange('rateLimitWindowMs', Number(e.target.value))}
+                  className="px-3 py-2 rounded-md bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border"
+                />
+              </label>
+              <label className="flex flex-col gap-2">
+                <span className="text-sm">Auth requests / window</span>
+                <input
+                  type="number"
+                  min={1}
+                  value={formState.authRateLimit}
+                  onChange={(e) => onFieldChange('authRateLimit', Number(e.target.value))}
+                  className="px-3 py-2 rounded-md bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border"
+                />
+              </label>
+              <label className="flex flex-col gap-2">
+                <span className="text-sm">Public requests / window</span>
+                <input
+                  type="number"
+                  min={1}
+                  value={formState.publicRateLimit}
+                  onChange={(e) => onFieldChange('publicRateLimit', Number(e.target.value))}
+                  className="px-3 py-2 rounded-md bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border"
+                />
+              </label>
+              <label className="flex flex-col gap-2">
+                <span className="text-sm">General requests / window</span>
+                <input
+                  type="number"
+                  min={1}
+                  value={formState.generalRateLimit}
+                  onChange={(e) => onFieldChange('generalRateLimit', Number(e.target.value))}
+                  className="px-3 py-2 rounded-md bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border"
+                />
+              </label>
+            </div>
+          </div>
+
+          <div className="bg-light-bg dark:bg-dark-bg border border-light-border dark:border-dark-border rounded-lg p-4 space-y-4">
+            <h3 className="text-lg font-semibold">Recycle Bin</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <label className="flex flex-col gap-2">
+                <span className="text-sm">Retention (days)</span>
+                <input
+                  type="number"
+                  min={1}
+                  max={3650}
+                  value={formState.recycleRetentionDays}
+                  onChange={(e) => onFieldChange('recycleRetentionDays', Number(e.target.value))}
+                  className="px-3 py-2 rounded-md bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border"
+                />
+              </label>
+            </div>
+            <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+              Also applies to snippets already in a recycle bin. Expired snippets are purged hourly.
+            </p>
+          </div>
+
+          <div className="bg-light-bg dark:bg-dark-bg border border-light-border dark:border-dark-border rounded-lg p-4 space-y-4">
+            <h3 className="text-lg font-semibold">Audit Sinks</h3>
+            <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+              Every audit entry is also sent to these destinations in the background. Failed
+              deliveries are retried twice, then dropped.
+            </p>
+            <AuditSinksSettings
+              sinks={formState.auditSinks}
+              onChange={(sinks) => onFieldChange('auditSinks', sinks)}
             />
-          </label>
-        </div>
-      </div>
+          </div>
 
-      <div className="bg-light-bg dark:bg-dark-bg border border-light-border dark:border-dark-border rounded-lg p-4 space-y-4">
-        <h3 className="text-lg font-semibold">Feature Flags</h3>
-        <div className="space-y-2">
-          {(data.featureFlags || []).map((flag: any) => (
-            <label
-              key={flag.key}
-              className="flex items-start justify-between gap-4 border border-light-border dark:border-dark-border rounded-md p-3"
-            >
-              <div>
-                <p className="font-medium">{flag.key}</p>
-                <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
-                  {flag.description || 'No description'}
-                </p>
-              </div>
-              <input
-                type="checkbox"
-                checked={!!formState.featureFlags?.[flag.key]}
-                onChange={(e) => onFlagChange(flag.key, e.target.checked)}
-                className="mt-1"
+          <div className="bg-light-bg dark:bg-dark-bg border border-light-border dark:border-dark-border rounded-lg p-4 space-y-4">
+            <h3 className="text-lg font-semibold">Webhooks</h3>
+            <label className="flex flex-col gap-2">
+              <span className="text-sm">Allowed internal hosts</span>
+              <textarea
+                rows={3}
+                value={formState.webhookAllowedHosts}
+                onChange={(e) => onFieldChange('webhookAllowedHosts', e.target.value)}
+                placeholder={'hooks.internal\n10.20.0.0/16'}
+                className="px-3 py-2 rounded-md font-mono text-sm bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border"
               />
             </label>
-          ))}
-        </div>
-      </div>
+            <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+              Webhooks cannot reach loopback, private or link-local addresses except the host
+              names, addresses and CIDR ranges listed here, one per line.
+            </p>
+          </div>
+
+          <div className="bg-light-bg dark:bg-dark-bg border border-light-border dark:border-dark-border rounded-lg p-4 space-y-4">
+            <h3 className="text-lg font-semibold">Feature Flags</h3>
+            <div className="space-y-2">
+              {(data.featureFlags || []).map((flag: any) => (
+                <label
+                  key={flag.key}
+                  className="flex items-start justify-between gap-4 border border-light-border dark:border-dark-border rounded-md p-3"
+                >
+                  <div>
+                    <p className="font-medium">{flag.key}</p>
+                    <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+                      {flag.description || 'No description'}
+                    </p>
+                  </div>
+                  <input
+                    type="checkbox"
+                    checked={!!formState.featureFlags?.[flag.key]}
+                    onChange={(e) => onFlagChange(flag.key, e.target.checked)}
+                    className="mt-1"
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+
+        </>
+      )}
 
       <div className="flex justify-end">
         <button
-          onClick={() => updateMutation.mutate(formState)}
+          onClick={() => updateMutation.mutate()}
           disabled={!dirty || updateMutation.isPending}
           className="px-4 py-2 rounded-md bg-light-primary dark:bg-dark-primary text-white disabled:opacity-50 disabled:cursor-not-allowed"
         >
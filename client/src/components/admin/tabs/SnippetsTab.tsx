@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { Trash2, Globe, Lock, AlertTriangle, Eye } from 'lucide-react';
+import { Trash2, Globe, Lock, AlertTriangle, Eye, Recycle } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import { adminApi } from '../../../utils/api/admin';
 import { useToast } from '../../../hooks/useToast';
@@ -25,6 +25,7 @@ export const SnippetsTab: React.FC = () => {
   const [search, setSearch] = useState('');
   const [userId, setUserId] = useState('');
   const [isPublic, setIsPublic] = useState('');
+  const [recycled, setRecycled] = useState('');
   const [offset, setOffset] = useState(0);
   const [deleteSnippetId, setDeleteSnippetId] = useState<number | null>(null);
   const [viewSnippetId, setViewSnippetId] = useState<number | null>(null);
@@ -36,7 +37,7 @@ export const SnippetsTab: React.FC = () => {
   const queryClient = useQueryClient();
 
   const { data, isLoading } = useQuery({
-    queryKey: ['admin', 'snippets', offset, debouncedSearch, userId, isPublic, showOffensiveOnly],
+    queryKey: ['admin', 'snippets', offset, debouncedSearch, userId, isPublic, recycled, showOffensiveOnly],
     queryFn: () => {
       if (showOffensiveOnly) {
         return adminApi.scanSnippetsForOffensive();
@@ -48,6 +49,7 @@ export const SnippetsTab: React.FC = () => {
         search: debouncedSearch,
         userId,
         isPublic,
+        recycled,
       });
     },
   });
@@ -130,12 +132,21 @@ export const SnippetsTab: React.FC = () => {
       key: 'visibility',
       label: translate('columns.labels.visibility'),
       render: (snippet) => (
-        <span className="whitespace-nowrap">
+        <span className="flex items-center gap-2 whitespace-nowrap">
           <StatusBadge
             label={snippet.is_public ? translate('filters.visibility.public') : translate('filters.visibility.private')}
             variant={snippet.is_public ? 'success' : 'neutral'}
             icon={snippet.is_public ? <Globe className="w-3 h-3" /> : <Lock className="w-3 h-3" />}
           />
+          {snippet.expiry_date && (
+            <span title={translate('purgedOn', { date: formatDateShort(snippet.expiry_date) })}>
+              <StatusBadge
+                label={translate('filters.recycled.recycled')}
+                variant="warning"
+                icon={<Recycle className="w-3 h-3" />}
+              />
+            </span>
+          )}
         </span>
       ),
     },
@@ -247,6 +258,18 @@ export const SnippetsTab: React.FC = () => {
               ]}
               placeholder={translate('filters.visibility.all')}
             />
+            <FilterSelect
+              value={recycled}
+              onChange={(value) => {
+                setRecycled(value);
+                setOffset(0);
+              }}
+              options={[
+                { value: 'false', label: translate('filters.recycled.active') },
+                { value: 'true', label: translate('filters.recycled.recycled') },
+              ]}
+              placeholder={translate('filters.recycled.all')}
+            />
           </>
         )}
         <IconButton
@@ -0,0 +1,14 @@
+import React from 'react';
+import { WebhookManager } from '../../webhooks/WebhookManager';
+import { adminWebhooksApi } from '../../../utils/api/webhooks';
+
+export const WebhooksTab: React.FC = () => (
+  <div className="space-y-4">
+    <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+      Admin webhooks fire for the snippets of every user. Deliveries are signed with the
+      webhook's secret over the X-ByteStash-Timestamp header and the body, and retried with
+      growing delays.
+    </p>
+    <WebhookManager api={adminWebhooksApi} queryKey={['admin', 'webhooks']} showOwner />
+  </div>
+);
@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Pencil, Plus, Trash2 } from 'lucide-react';
+import { adminApi } from '../../../utils/api/admin';
+import { useToast } from '../../../hooks/useToast';
+import { ConfirmationModal } from '../../common/modals/ConfirmationModal';
+
+const inputClass =
+  'px-2 py-1 rounded-md bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border';
+
+export const WorkspacesTab: React.FC = () => {
+  const { addToast } = useToast();
+  const queryClient = useQueryClient();
+  const [name, setName] = useState('');
+  const [slug, setSlug] = useState('');
+  const [renaming, setRenaming] = useState<{ id: number; name: string } | null>(null);
+  const [deleteId, setDeleteId] = useState<number | null>(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['admin', 'workspaces'],
+    queryFn: () => adminApi.getWorkspaces(),
+  });
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['admin', 'workspaces'] });
+
+  const createMutation = useMutation({
+    mutationFn: () => adminApi.createWorkspace({ name, slug: slug.trim() || undefined }),
+    onSuccess: (workspace: any) => {
+      addToast(`Workspace ${workspace.name} created`, 'success');
+      setName('');
+      setSlug('');
+      refresh();
+    },
+    onError: (error: any) => {
+      addToast(error?.message || 'Failed to create workspace', 'error');
+    },
+  });
+
+  const renameMutation = useMutation({
+    mutationFn: ({ id, name }: { id: number; name: string }) =>
+      adminApi.updateWorkspace(id, { name }),
+    onSuccess: () => {
+      setRenaming(null);
+      refresh();
+    },
+    onError: (error: any) => {
+      addToast(error?.message || 'Failed to rename workspace', 'error');
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id: number) => adminApi.deleteWorkspace(id),
+    onSuccess: () => {
+      addToast('Workspace deleted', 'success');
+      refresh();
+    },
+    onError: (error: any) => {
+      addToast(error?.message || 'Failed to delete workspace', 'error');
+    },
+    onSettled: () => setDeleteId(null),
+  });
+
+  const workspaces = data?.workspaces || [];
+
+  return (
+    <div className="space-y-4">
+      <div className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+        Each workspace has its own users, teams and public library. New users join one by
+        registering with <span className="font-mono">?workspace=&lt;slug&gt;</span> once its
+        admins turn on anonymous access and open registration, which new workspaces start
+        without. Admins of a workspace only see and manage that workspace. Only empty workspaces
+        can be deleted.
+      </div>
+
+      <form
+        className="flex flex-wrap items-center gap-2 text-sm"
+        onSubmit={(e) => {
+          e.preventDefault();
+          createMutation.mutate();
+        }}
+      >
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name"
+          className={inputClass}
+        />
+        <input
+          value={slug}
+          onChange={(e) => setSlug(e.target.value)}
+          placeholder="Slug (optional)"
+          className={`${inputClass} font-mono`}
+        />
+        <button
+          type="submit"
+          disabled={!name.trim() || createMutation.isPending}
+          className="inline-flex items-center gap-1 px-3 py-1 rounded-md bg-light-primary dark:bg-dark-primary text-white disabled:opacity-50"
+        >
+          <Plus size={14} /> Create
+        </button>
+      </form>
+
+      <div className="overflow-auto border border-light-border dark:border-dark-border rounded-lg">
+        <table className="w-full text-sm">
+          <thead className="bg-light-surface dark:bg-dark-surface">
+            <tr>
+              <th className="text-left p-3">Workspace</th>
+              <th className="text-left p-3">Slug</th>
+              <th className="text-right p-3">Users</th>
+              <th className="text-right p-3">Admins</th>
+              <th className="text-right p-3">Snippets</th>
+              <th className="text-right p-3">Public</th>
+              <th className="text-right p-3">Teams</th>
+              <th className="text-right p-3">Shares</th>
+              <th className="text-right p-3">API keys</th>
+              <th className="p-3" />
+            </tr>
+          </thead>
+          <tbody>
+            {isLoading ? (
+              <tr>
+                <td className="p-3" colSpan={10}>
+                  Loading workspaces...
+                </td>
+              </tr>
+            ) : (
+              workspaces.map((workspace: any) => {
+                const draft = renaming?.id === workspace.id ? renaming : null;
+                return (
+                  <tr
+                    key={workspace.id}
+                    className="border-t border-light-border dark:border-dark-border align-top"
+                  >
+                    <td className="p-3">
+                      {draft ? (
+                        <form
+                          onSubmit={(e) => {
+                            e.preventDefault();
+                            renameMutation.mutate(draft);
+                          }}
+                        >
+                          <input
+                            autoFocus
+                            value={draft.name}
+                            onChange={(e) => setRenaming({ ...draft, name: e.target.value })}
+                            onBlur={() => setRenaming(null)}
+                            onKeyDown={(e) => e.key === 'Escape' && setRenaming(null)}
+                            className={inputClass}
+                          />
+                        </form>
+                      ) : (
+                        workspace.name
+                      )}
+                    </td>
+                    <td className="p-3 font-mono">{workspace.slug}</td>
+                    <td className="p-3 text-right">{workspace.user_count}</td>
+                    <td className="p-3 text-right">{workspace.admin_count}</td>
+                    <td className="p-3 text-right">{workspace.snippet_count}</td>
+                    <td className="p-3 text-right">{workspace.public_snippet_count}</td>
+                    <td className="p-3 text-right">{workspace.team_count}</td>
+                    <td className="p-3 text-right">{workspace.share_count}</td>
+                    <td className="p-3 text-right">{workspace.api_key_count}</td>
+                    <td className="p-3 text-right whitespace-nowrap">
+                      <button
+                        type="button"
+                        title="Rename"
+                        onClick={() => setRenaming({ id: workspace.id, name: workspace.name })}
+                        className="p-1 rounded hover:bg-light-hover dark:hover:bg-dark-hover"
+                      >
+                        <Pencil size={14} />
+                      </button>
+                      <button
+                        type="button"
+                        title="Delete"
+                        onClick={() => setDeleteId(workspace.id)}
+                        disabled={workspace.id === 1}
+                        className="p-1 rounded hover:bg-light-hover dark:hover:bg-dark-hover disabled:opacity-30"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <ConfirmationModal
+        isOpen={deleteId !== null}
+        onClose={() => setDeleteId(null)}
+        onConfirm={() => deleteId && deleteMutation.mutate(deleteId)}
+        title="Delete workspace"
+        message="Delete this workspace? Its registration and community settings are removed as well."
+        confirmLabel="Delete"
+        variant="danger"
+      />
+    </div>
+  );
+};
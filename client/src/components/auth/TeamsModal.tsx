@@ -0,0 +1,19 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import Modal from '../common/modals/Modal';
+import { TeamManager } from '../teams/TeamManager';
+
+interface TeamsModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+export const TeamsModal: React.FC<TeamsModalProps> = ({ isOpen, onClose }) => {
+  const { t: translate } = useTranslation('components/teams');
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={translate('title')} width="max-w-2xl">
+      {isOpen && <TeamManager />}
+    </Modal>
+  );
+};
@@ -1,10 +1,12 @@
 import React, { useRef, useState, useEffect } from 'react';
-import { LogOut, User, Key, Lock, Shield } from 'lucide-react';
+import { LogOut, User, Users, Key, Lock, Shield, Webhook } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import { useAuth } from '../../hooks/useAuth';
 import { useOutsideClick } from '../../hooks/useOutsideClick';
 import { Link, useNavigate } from 'react-router-dom';
 import { ApiKeysModal } from './ApiKeysModal';
+import { WebhooksModal } from './WebhooksModal';
+import { TeamsModal } from './TeamsModal';
 import { ChangePasswordModal } from './ChangePasswordModal';
 import { apiClient } from '../../utils/api/apiClient';
 import { OIDCConfig } from '../../types/auth';
@@ -14,6 +16,8 @@ export const UserDropdown: React.FC = () => {
   const { t: translate } = useTranslation('components/auth');
   const [isOpen, setIsOpen] = useState(false);
   const [isApiKeysModalOpen, setIsApiKeysModalOpen] = useState(false);
+  const [isWebhooksModalOpen, setIsWebhooksModalOpen] = useState(false);
+  const [isTeamsModalOpen, setIsTeamsModalOpen] = useState(false);
   const [isChangePasswordModalOpen, setIsChangePasswordModalOpen] = useState(false);
   const dropdownRef = useRef<HTMLDivElement>(null);
   const { user, logout, authConfig } = useAuth();
@@ -90,6 +94,28 @@ export const UserDropdown: React.FC = () => {
               <Key size={16} />
               <span>{translate('userDropdown.apiKeys')}</span>
             </button>
+            <button
+              onClick={() => {
+                setIsOpen(false);
+                setIsWebhooksModalOpen(true);
+              }}
+              className="w-full px-4 py-2 text-sm text-left text-light-text dark:text-dark-text hover:bg-light-hover
+                dark:hover:bg-dark-hover flex items-center gap-2"
+            >
+              <Webhook size={16} />
+              <span>{translate('userDropdown.webhooks')}</span>
+            </button>
+            <button
+              onClick={() => {
+                setIsOpen(false);
+                setIsTeamsModalOpen(true);
+              }}
+              className="w-full px-4 py-2 text-sm text-left text-light-text dark:text-dark-text hover:bg-light-hover
+                dark:hover:bg-dark-hover flex items-center gap-2"
+            >
+              <Users size={16} />
+              <span>{translate('userDropdown.teams')}</span>
+            </button>
             {!user.oidc_id && authConfig?.allowPasswordChanges && (
               <button
                 onClick={() => {
@@ -122,6 +148,16 @@ export const UserDropdown: React.FC = () => {
           onClose={() => setIsApiKeysModalOpen(false)}
         />
 
+        <WebhooksModal
+          isOpen={isWebhooksModalOpen}
+          onClose={() => setIsWebhooksModalOpen(false)}
+        />
+
+        <TeamsModal
+          isOpen={isTeamsModalOpen}
+          onClose={() => setIsTeamsModalOpen(false)}
+        />
+
         <ChangePasswordModal
           isOpen={isChangePasswordModalOpen}
           onClose={() => setIsChangePasswordModalOpen(false)}
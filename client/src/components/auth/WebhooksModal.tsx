@@ -0,0 +1,20 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import Modal from '../common/modals/Modal';
+import { WebhookManager } from '../webhooks/WebhookManager';
+import { webhooksApi } from '../../utils/api/webhooks';
+
+interface WebhooksModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+export const WebhooksModal: React.FC<WebhooksModalProps> = ({ isOpen, onClose }) => {
+  const { t: translate } = useTranslation('components/webhooks');
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={translate('title')} width="max-w-3xl">
+      {isOpen && <WebhookManager api={webhooksApi} queryKey={['webhooks']} />}
+    </Modal>
+  );
+};
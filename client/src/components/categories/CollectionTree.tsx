@@ -0,0 +1,245 @@
+import React, { useMemo, useState } from "react";
+import { ChevronDown, ChevronRight, Folder, FolderPlus, Layers, Trash2 } from "lucide-react";
+import { useTranslation } from "react-i18next";
+import { Collection } from "../../types/snippets";
+import { ConfirmationModal } from "../common/modals/ConfirmationModal";
+
+interface CollectionTreeProps {
+  collections: Collection[];
+  selectedId: number | null;
+  onSelect: (id: number | null) => void;
+  onCreate: (name: string, parentId: number | null) => Promise<void>;
+  onDelete: (id: number) => Promise<void>;
+  onDropSnippet: (collectionId: number, snippetId: number) => Promise<void>;
+}
+
+interface CollectionNode extends Collection {
+  children: CollectionNode[];
+}
+
+// The API returns a flat list; nest it by parent_id keeping the server order
+const buildTree = (collections: Collection[]): CollectionNode[] => {
+  const nodes = new Map<number, CollectionNode>();
+  collections.forEach((collection) => {
+    nodes.set(collection.id, { ...collection, children: [] });
+  });
+
+  const roots: CollectionNode[] = [];
+  nodes.forEach((node) => {
+    const parent = node.parent_id !== null ? nodes.get(node.parent_id) : undefined;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+  return roots;
+};
+
+const readSnippetId = (e: React.DragEvent): number | null => {
+  const id = parseInt(e.dataTransfer.getData("application/x-snippet-id"), 10);
+  return Number.isNaN(id) ? null : id;
+};
+
+const CollectionTree: React.FC<CollectionTreeProps> = ({
+  collections,
+  selectedId,
+  onSelect,
+  onCreate,
+  onDelete,
+  onDropSnippet,
+}) => {
+  const { t: translate } = useTranslation('components/categories');
+  const [collapsed, setCollapsed] = useState<Set<number>>(new Set());
+  const [creatingUnder, setCreatingUnder] = useState<number | null | undefined>(undefined);
+  const [newName, setNewName] = useState("");
+  const [dropTarget, setDropTarget] = useState<number | null>(null);
+  const [collectionToDelete, setCollectionToDelete] = useState<Collection | null>(null);
+
+  const tree = useMemo(() => buildTree(collections), [collections]);
+
+  const toggleCollapsed = (id: number) => {
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const startCreating = (parentId: number | null) => {
+    setNewName("");
+    setCreatingUnder(parentId);
+    if (parentId !== null) {
+      setCollapsed((prev) => {
+        const next = new Set(prev);
+        next.delete(parentId);
+        return next;
+      });
+    }
+  };
+
+  const submitNewCollection = async () => {
+    const name = newName.trim();
+    const parentId = creatingUnder;
+    setCreatingUnder(undefined);
+    if (name && parentId !== undefined) {
+      await onCreate(name, parentId);
+    }
+  };
+
+  const handleDrop = async (e: React.DragEvent, collectionId: number) => {
+    e.preventDefault();
+    setDropTarget(null);
+    const snippetId = readSnippetId(e);
+    if (snippetId !== null) {
+      await onDropSnippet(collectionId, snippetId);
+    }
+  };
+
+  const renderInput = (depth: number) => (
+    <div style={{ paddingLeft: `${depth * 12 + 24}px` }} className="py-1 pr-2">
+      <input
+        autoFocus
+        value={newName}
+        onChange={(e) => setNewName(e.target.value)}
+        onBlur={submitNewCollection}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") submitNewCollection();
+          if (e.key === "Escape") setCreatingUnder(undefined);
+        }}
+        placeholder={translate('collectionTree.namePlaceholder')}
+        className="w-full px-2 py-1 text-sm rounded-md bg-light-surface dark:bg-dark-surface text-light-text dark:text-dark-text focus:outline-none focus:ring-1 focus:ring-light-primary dark:focus:ring-dark-primary"
+      />
+    </div>
+  );
+
+  const renderNode = (node: CollectionNode, depth: number): React.ReactNode => {
+    const isCollapsed = collapsed.has(node.id);
+    const isSelected = selectedId === node.id;
+
+    return (
+      <li key={node.id}>
+        <div
+          className={`group flex items-center gap-1 pr-2 py-1 rounded-md cursor-pointer text-sm transition-colors ${
+            isSelected
+              ? "bg-light-primary/20 dark:bg-dark-primary/20 text-light-primary dark:text-dark-primary"
+              : "hover:bg-light-hover dark:hover:bg-dark-hover"
+          } ${dropTarget === node.id ? "ring-1 ring-light-primary dark:ring-dark-primary" : ""}`}
+          style={{ paddingLeft: `${depth * 12 + 4}px` }}
+          onClick={() => onSelect(node.id)}
+          onDragOver={(e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = "copy";
+            setDropTarget(node.id);
+          }}
+          onDragLeave={() => setDropTarget(null)}
+          onDrop={(e) => handleDrop(e, node.id)}
+        >
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              toggleCollapsed(node.id);
+            }}
+            className={`p-0.5 ${node.children.length === 0 ? "invisible" : ""}`}
+          >
+            {isCollapsed ? <ChevronRight size={14} /> : <ChevronDown size={14} />}
+          </button>
+          <Folder size={14} className="shrink-0" />
+          <span className="flex-1 truncate">{node.name}</span>
+          <span className="text-xs text-light-text-secondary dark:text-dark-text-secondary group-hover:hidden">
+            {node.snippet_count}
+          </span>
+          <div className="hidden items-center gap-1 group-hover:flex">
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                startCreating(node.id);
+              }}
+              title={translate('collectionTree.newSubCollection')}
+              className="p-0.5 hover:text-light-primary dark:hover:text-dark-primary"
+            >
+              <FolderPlus size={14} />
+            </button>
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                setCollectionToDelete(node);
+              }}
+              title={translate('collectionTree.delete')}
+              className="p-0.5 hover:text-red-500"
+            >
+              <Trash2 size={14} />
+            </button>
+          </div>
+        </div>
+
+        {!isCollapsed && (
+          <ul>
+            {node.children.map((child) => renderNode(child, depth + 1))}
+            {creatingUnder === node.id && <li>{renderInput(depth + 1)}</li>}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <nav className="text-light-text dark:text-dark-text">
+      <div className="flex items-center justify-between px-1 mb-2">
+        <span className="text-xs font-semibold tracking-wide uppercase text-light-text-secondary dark:text-dark-text-secondary">
+          {translate('collectionTree.title')}
+        </span>
+        <button
+          onClick={() => startCreating(null)}
+          title={translate('collectionTree.newCollection')}
+          className="p-1 rounded-md hover:bg-light-hover dark:hover:bg-dark-hover"
+        >
+          <FolderPlus size={16} />
+        </button>
+      </div>
+
+      <button
+        onClick={() => onSelect(null)}
+        className={`flex items-center w-full gap-2 px-2 py-1 mb-1 text-sm rounded-md transition-colors ${
+          selectedId === null
+            ? "bg-light-primary/20 dark:bg-dark-primary/20 text-light-primary dark:text-dark-primary"
+            : "hover:bg-light-hover dark:hover:bg-dark-hover"
+        }`}
+      >
+        <Layers size={14} />
+        <span>{translate('collectionTree.allSnippets')}</span>
+      </button>
+
+      <ul>
+        {tree.map((node) => renderNode(node, 0))}
+        {creatingUnder === null && <li>{renderInput(0)}</li>}
+      </ul>
+
+      {tree.length === 0 && creatingUnder === undefined && (
+        <p className="px-2 text-xs text-light-text-secondary dark:text-dark-text-secondary">
+          {translate('collectionTree.empty')}
+        </p>
+      )}
+
+      <ConfirmationModal
+        isOpen={collectionToDelete !== null}
+        onClose={() => setCollectionToDelete(null)}
+        onConfirm={async () => {
+          if (collectionToDelete) {
+            await onDelete(collectionToDelete.id);
+          }
+          setCollectionToDelete(null);
+        }}
+        title={translate('collectionTree.delete')}
+        message={translate('collectionTree.deleteConfirm', { name: collectionToDelete?.name })}
+        variant="danger"
+      />
+    </nav>
+  );
+};
+
+export default CollectionTree;
@@ -7,6 +7,7 @@ import {
   Plus,
   Trash,
   Star,
+  Users,
 } from "lucide-react";
 import { useTranslation } from "react-i18next";
 import { SearchBar } from "./SearchBar";
@@ -27,6 +28,8 @@ export interface SearchAndFilterProps {
   hideRecycleBin?: boolean;
   showFavorites?: boolean;
   handleShowFavorites?: () => void;
+  showShared?: boolean;
+  handleShowShared?: () => void;
   isPublicView?: boolean;
 }
 
@@ -44,6 +47,8 @@ export const SearchAndFilter: React.FC<SearchAndFilterProps> = memo(({
   hideRecycleBin = false,
   showFavorites,
   handleShowFavorites,
+  showShared,
+  handleShowShared,
 }) => {
   const { t: translate } = useTranslation('components/search');
   const navigate = useNavigate();
@@ -84,6 +89,7 @@ export const SearchAndFilter: React.FC<SearchAndFilterProps> = memo(({
         onCategorySelect={onCategoryToggle}
         existingCategories={metadata.categories}
         selectedCategories={selectedCategories}
+        existingLanguages={metadata.languages}
       />
 
       <div className="relative">
@@ -164,6 +170,15 @@ export const SearchAndFilter: React.FC<SearchAndFilterProps> = memo(({
               className="h-10 px-4"
               label={showFavorites ? translate('action.showAll') : translate('action.showFavorites')}
             />
+            {handleShowShared && (
+              <IconButton
+                icon={<Users size={20} />}
+                onClick={handleShowShared}
+                variant={showShared ? "primary" : "secondary"}
+                className="h-10 px-4"
+                label={showShared ? translate('action.showAll') : translate('action.showShared')}
+              />
+            )}
             <IconButton
               icon={<Trash size={20} />}
               onClick={() => navigate("/recycle/snippets")}
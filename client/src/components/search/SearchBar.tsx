@@ -12,9 +12,13 @@ interface SearchBarProps {
   onCategorySelect: (category: string) => void;
   existingCategories: string[];
   selectedCategories: string[];
+  existingLanguages?: string[];
   placeholder?: string;
 }
 
+const IS_QUALIFIER_VALUES = ['pinned', 'favorite'];
+const MAX_QUALIFIER_SUGGESTIONS = 10;
+
 export interface SearchBarRef {
   clear: () => void;
   getValue: () => string;
@@ -26,6 +30,7 @@ export const SearchBar = memo(forwardRef<SearchBarRef, SearchBarProps>(({
   onCategorySelect,
   existingCategories,
   selectedCategories,
+  existingLanguages = [],
   ...props
 }, ref) => {
   const { t: translate } = useTranslation('components/search');
@@ -70,8 +75,32 @@ export const SearchBar = memo(forwardRef<SearchBarRef, SearchBarProps>(({
     },
   });
 
+  // Completes the value of a lang:, tag: or is: qualifier being typed as the last word
+  const getQualifierSections = (searchTerm: string) => {
+    const lastWord = searchTerm.split(/\s+/).pop() || '';
+    const match = lastWord.match(/^(-?)(lang|tag|is):(.*)$/i);
+    if (!match) return [];
+
+    const [, negation, qualifier, partial] = match;
+    const name = qualifier.toLowerCase();
+    const values = name === 'lang'
+      ? existingLanguages
+      : name === 'tag'
+        ? existingCategories
+        : negation ? [] : IS_QUALIFIER_VALUES;
+
+    const items = values
+      .filter(value => value.toLowerCase().startsWith(partial.toLowerCase()))
+      .slice(0, MAX_QUALIFIER_SUGGESTIONS)
+      .map(value => `${negation}${name}:${/\s/.test(value) ? `"${value}"` : value}`);
+
+    return items.length > 0
+      ? [{ title: translate('qualifiers.title'), items }]
+      : [];
+  };
+
   const getSections = (searchTerm: string) => {
-    if (!searchTerm.includes('#')) return [];
+    if (!searchTerm.includes('#')) return getQualifierSections(searchTerm);
 
     const term = searchTerm.slice(searchTerm.lastIndexOf('#') + 1).trim().toLowerCase();
     const sections = [];
@@ -115,6 +144,15 @@ export const SearchBar = memo(forwardRef<SearchBarRef, SearchBarProps>(({
   };
 
   const handleSelect = (option: string) => {
+    if (!inputValue.includes('#')) {
+      // Qualifier completion: replace the word being typed
+      const newValue = inputValue.replace(/\S*$/, `${option} `);
+      setInputValue(newValue);
+      debouncedOnChange.cancel();
+      onChange(newValue);
+      return;
+    }
+
     const newCategory = option.startsWith(`${translate('categories.addNew')}:`)
       ? option.slice(9).trim()
       : option;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { SearchWarning } from '../../types/snippets';
+
+interface SearchWarningsProps {
+  warnings?: SearchWarning[];
+}
+
+// Lists qualifiers the server could not apply, e.g. a typo like `lagn:python`
+export const SearchWarnings: React.FC<SearchWarningsProps> = ({ warnings }) => {
+  const { t: translate } = useTranslation('components/search');
+
+  if (!warnings || warnings.length === 0) return null;
+
+  return (
+    <div
+      role="status"
+      className="flex items-start gap-2 px-3 py-2 mb-4 text-sm border rounded-md border-yellow-500/50 bg-yellow-500/10 text-light-text dark:text-dark-text"
+    >
+      <AlertTriangle size={16} className="flex-shrink-0 mt-0.5 text-yellow-500" />
+      <ul>
+        {warnings.map((warning) => (
+          <li key={`${warning.reason}-${warning.token}`}>
+            {translate(`warnings.${warning.reason}`, {
+              token: warning.token,
+              qualifier: warning.qualifier,
+            })}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
@@ -4,12 +4,14 @@ import "prismjs/components/prism-markup-templating.js";
 import "prismjs/themes/prism.css";
 import { Plus } from "lucide-react";
 import { useTranslation } from "react-i18next";
+import { useQuery } from "@tanstack/react-query";
 import { CodeFragment, Snippet } from "../../../types/snippets";
 import CategoryList from "../../categories/CategoryList";
 import CategorySuggestions from "../../categories/CategorySuggestions";
 import FileUploadButton from "../../common/buttons/FileUploadButton";
 import Modal from "../../common/modals/Modal";
 import { FragmentEditor } from "./FragmentEditor";
+import { teamsApi } from "../../../utils/api/teams";
 
 export interface EditSnippetModalProps {
   isOpen: boolean;
@@ -40,7 +42,17 @@ const EditSnippetModal: React.FC<EditSnippetModalProps> = ({
   const [visibility, setVisibility] = useState<'PRIVATE' | 'TEAM' | 'SHARED' | 'PUBLIC'>(
     snippetToEdit?.visibility || (snippetToEdit?.is_public ? 'PUBLIC' : 'PRIVATE')
   );
+  const [teamId, setTeamId] = useState<number | null>(snippetToEdit?.team_id ?? null);
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
+  // Version the form is based on, and the newer server copy after a 412
+  const [baseVersion, setBaseVersion] = useState<number | undefined>();
+  const [conflict, setConflict] = useState<Snippet | null>(null);
+  // Teams the snippet can be shared with, loaded once the editor opens
+  const { data: teams = [] } = useQuery({
+    queryKey: ['teams'],
+    queryFn: () => teamsApi.list(),
+    enabled: isOpen,
+  });
 
   const resetForm = () => {
     setTitle("");
@@ -57,19 +69,28 @@ const EditSnippetModal: React.FC<EditSnippetModalProps> = ({
     setError("");
     setCategoryInput("");
     setVisibility("PRIVATE");
+    setTeamId(null);
     setHasUnsavedChanges(false);
+    setBaseVersion(undefined);
+    setConflict(null);
+  };
+
+  const loadSnippet = (snippet: Snippet) => {
+    setTitle(snippet.title?.slice(0, 255) || "");
+    setDescription(snippet.description || "");
+    setFragments(JSON.parse(JSON.stringify(snippet.fragments || [])));
+    setCategories(snippet.categories || []);
+    setVisibility(
+      snippet.visibility || (snippet.is_public ? 'PUBLIC' : 'PRIVATE')
+    );
+    setTeamId(snippet.team_id ?? null);
+    setBaseVersion(snippet.version);
   };
 
   useEffect(() => {
     if (isOpen) {
       if (snippetToEdit) {
-        setTitle(snippetToEdit.title?.slice(0, 255) || "");
-        setDescription(snippetToEdit.description || "");
-        setFragments(JSON.parse(JSON.stringify(snippetToEdit.fragments || [])));
-        setCategories(snippetToEdit.categories || []);
-        setVisibility(
-          snippetToEdit.visibility || (snippetToEdit.is_public ? 'PUBLIC' : 'PRIVATE')
-        );
+        loadSnippet(snippetToEdit);
       } else {
         resetForm();
       }
@@ -174,21 +195,9 @@ const EditSnippetModal: React.FC<EditSnippetModalProps> = ({
     setHasUnsavedChanges(true);
   };
 
-  const handleSubmit = async (e: React.FormEvent) => {
-    e.preventDefault();
-    if (isSubmitting) return;
-
-    if (fragments.length === 0) {
-      setError(translate('editSnippetModal.fragmentRequired'));
-      return;
-    }
-
-    if (fragments.some((f) => !f.file_name.trim())) {
-      setError(translate('editSnippetModal.mustHaveFileNames'));
-      return;
-    }
-
+  const saveSnippet = async (version: number | undefined) => {
     setIsSubmitting(true);
+    setConflict(null);
     const snippetData = {
       title: title.slice(0, 255),
       description: description,
@@ -196,22 +205,62 @@ const EditSnippetModal: React.FC<EditSnippetModalProps> = ({
       categories: categories,
       visibility,
       is_public: visibility === 'PUBLIC' ? 1 : 0,
+      team_id: visibility === 'TEAM' ? teamId : null,
       is_pinned: snippetToEdit?.is_pinned || 0,
       is_favorite: snippetToEdit?.is_favorite || 0,
+      version,
     };
 
     try {
       await onSubmit(snippetData);
       setHasUnsavedChanges(false);
       onClose();
-    } catch (error) {
-      setError(translate('editSnippetModal.error.savingFailed'));
+    } catch (error: any) {
+      if (error?.status === 412 && error.current) {
+        setConflict(error.current);
+      } else if (error?.status === 400 && error.error) {
+        // Rejected file paths and template schemas say what is wrong
+        setError(error.error);
+      } else {
+        setError(translate('editSnippetModal.error.savingFailed'));
+      }
       console.error("Error saving snippet:", error);
     } finally {
       setIsSubmitting(false);
     }
   };
 
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (isSubmitting) return;
+
+    if (fragments.length === 0) {
+      setError(translate('editSnippetModal.fragmentRequired'));
+      return;
+    }
+
+    if (fragments.some((f) => !f.file_name.trim())) {
+      setError(translate('editSnippetModal.mustHaveFileNames'));
+      return;
+    }
+
+    await saveSnippet(baseVersion);
+  };
+
+  const handleOverwriteConflict = () => {
+    if (conflict) {
+      saveSnippet(conflict.version);
+    }
+  };
+
+  const handleLoadLatest = () => {
+    if (conflict) {
+      loadSnippet(conflict);
+      setConflict(null);
+      setHasUnsavedChanges(false);
+    }
+  };
+
   const handleModalClose = () => {
     if (hasUnsavedChanges) {
       const confirmClose = window.confirm(
@@ -283,6 +332,35 @@ const EditSnippetModal: React.FC<EditSnippetModalProps> = ({
             {error && (
               <p className="mb-4 text-red-500 dark:text-red-400">{error}</p>
             )}
+            {conflict && (
+              <div className="p-3 mb-4 text-sm border rounded-md border-yellow-500/50 bg-yellow-500/10 text-light-text dark:text-dark-text">
+                <p className="font-medium">
+                  {translate('editSnippetModal.conflict.title')}
+                </p>
+                <p className="mt-1 text-light-text-secondary dark:text-dark-text-secondary">
+                  {translate('editSnippetModal.conflict.description', {
+                    date: new Date(conflict.updated_at).toLocaleString(),
+                  })}
+                </p>
+                <div className="flex justify-end gap-2 mt-3">
+                  <button
+                    type="button"
+                    onClick={handleLoadLatest}
+                    className="px-3 py-1.5 text-sm border rounded-md bg-light-surface dark:bg-dark-surface text-light-text dark:text-dark-text hover:bg-light-hover dark:hover:bg-dark-hover border-light-border dark:border-dark-border"
+                  >
+                    {translate('editSnippetModal.conflict.loadLatest')}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleOverwriteConflict}
+                    disabled={isSubmitting}
+                    className="px-3 py-1.5 text-sm text-white bg-red-500 rounded-md hover:opacity-90 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {translate('editSnippetModal.conflict.overwrite')}
+                  </button>
+                </div>
+              </div>
+            )}
           </div>
 
           <div className="flex-1 min-h-0 overflow-y-auto">
@@ -376,6 +454,7 @@ const EditSnippetModal: React.FC<EditSnippetModalProps> = ({
                 <select
                   id="visibility"
                   value={visibility}
+                  disabled={snippetToEdit?.access === 'edit'}
                   onChange={(e) => {
                     setVisibility(e.target.value as 'PRIVATE' | 'TEAM' | 'SHARED' | 'PUBLIC');
                     setHasUnsavedChanges(true);
@@ -387,8 +466,27 @@ const EditSnippetModal: React.FC<EditSnippetModalProps> = ({
                   <option value="SHARED">SHARED</option>
                   <option value="PUBLIC">PUBLIC</option>
                 </select>
+                {visibility === 'TEAM' && (
+                  <select
+                    id="team"
+                    aria-label="Team"
+                    value={teamId ?? ''}
+                    onChange={(e) => {
+                      setTeamId(e.target.value ? Number(e.target.value) : null);
+                      setHasUnsavedChanges(true);
+                    }}
+                    className="block w-full p-2 mt-1 text-sm border rounded-md bg-light-surface dark:bg-dark-surface text-light-text dark:text-dark-text border-light-border dark:border-dark-border focus:ring-2 focus:ring-light-primary dark:focus:ring-dark-primary focus:border-light-primary dark:focus:border-dark-primary"
+                  >
+                    <option value="">Select a team</option>
+                    {teams.map((team) => (
+                      <option key={team.id} value={team.id}>
+                        {team.name}
+                      </option>
+                    ))}
+                  </select>
+                )}
                 <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
-                  PRIVATE and TEAM stay internal. SHARED is link-based. PUBLIC appears in the community library.
+                  PRIVATE and TEAM stay internal. TEAM snippets are visible to the members of their team. SHARED snippets are readable or editable by the users and teams granted access in the share menu; editors cannot change the visibility. PUBLIC appears in the community library.
                 </p>
               </div>
 
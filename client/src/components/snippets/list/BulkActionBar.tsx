@@ -0,0 +1,136 @@
+import React, { useState } from "react";
+import {
+  Globe,
+  Lock,
+  Pin,
+  PinOff,
+  Star,
+  StarOff,
+  Tag,
+  Tags,
+  Trash2,
+  X,
+} from "lucide-react";
+import { useTranslation } from "react-i18next";
+import { BulkSnippetAction, BulkSnippetRequest } from "../../../types/snippets";
+
+interface BulkActionBarProps {
+  selectedCount: number;
+  totalCount: number;
+  isBusy: boolean;
+  onSelectAll: () => void;
+  onClear: () => void;
+  onClose: () => void;
+  onAction: (action: BulkSnippetAction, extra?: Partial<BulkSnippetRequest>) => void;
+}
+
+const buttonClass =
+  "flex items-center gap-1 px-2 py-1 text-sm rounded-md hover:bg-light-hover dark:hover:bg-dark-hover disabled:opacity-50 disabled:cursor-not-allowed";
+
+export const BulkActionBar: React.FC<BulkActionBarProps> = ({
+  selectedCount,
+  totalCount,
+  isBusy,
+  onSelectAll,
+  onClear,
+  onClose,
+  onAction,
+}) => {
+  const { t: translate } = useTranslation('components/snippets/list/snippetList');
+  const [categoryMode, setCategoryMode] = useState<"addCategories" | "removeCategories" | null>(null);
+  const [categoryInput, setCategoryInput] = useState("");
+
+  const disabled = isBusy || selectedCount === 0;
+
+  const submitCategories = () => {
+    const categories = categoryInput
+      .split(",")
+      .map((category) => category.trim())
+      .filter(Boolean);
+    if (categoryMode && categories.length > 0) {
+      onAction(categoryMode, { categories });
+    }
+    setCategoryMode(null);
+    setCategoryInput("");
+  };
+
+  return (
+    <div className="sticky top-0 z-20 flex flex-wrap items-center gap-2 p-2 mb-4 rounded-lg shadow bg-light-surface dark:bg-dark-surface text-light-text dark:text-dark-text">
+      <span className="px-2 text-sm font-medium">
+        {translate('bulk.selectedCount', { count: selectedCount })}
+      </span>
+      <button
+        className={buttonClass}
+        onClick={selectedCount === totalCount ? onClear : onSelectAll}
+        disabled={isBusy}
+      >
+        {selectedCount === totalCount ? translate('bulk.clearSelection') : translate('bulk.selectAll')}
+      </button>
+
+      <div className="w-px h-5 bg-light-border dark:bg-dark-border" />
+
+      <button className={buttonClass} disabled={disabled} onClick={() => onAction("pin")}>
+        <Pin size={14} /> {translate('bulk.pin')}
+      </button>
+      <button className={buttonClass} disabled={disabled} onClick={() => onAction("unpin")}>
+        <PinOff size={14} /> {translate('bulk.unpin')}
+      </button>
+      <button className={buttonClass} disabled={disabled} onClick={() => onAction("favorite")}>
+        <Star size={14} /> {translate('bulk.favorite')}
+      </button>
+      <button className={buttonClass} disabled={disabled} onClick={() => onAction("unfavorite")}>
+        <StarOff size={14} /> {translate('bulk.unfavorite')}
+      </button>
+      <button
+        className={buttonClass}
+        disabled={disabled}
+        onClick={() => onAction("setVisibility", { visibility: "PUBLIC" })}
+      >
+        <Globe size={14} /> {translate('bulk.makePublic')}
+      </button>
+      <button
+        className={buttonClass}
+        disabled={disabled}
+        onClick={() => onAction("setVisibility", { visibility: "PRIVATE" })}
+      >
+        <Lock size={14} /> {translate('bulk.makePrivate')}
+      </button>
+
+      {categoryMode ? (
+        <input
+          autoFocus
+          value={categoryInput}
+          onChange={(e) => setCategoryInput(e.target.value)}
+          onBlur={submitCategories}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") submitCategories();
+            if (e.key === "Escape") setCategoryMode(null);
+          }}
+          placeholder={translate('bulk.categoriesPlaceholder')}
+          className="px-2 py-1 text-sm rounded-md bg-light-bg dark:bg-dark-bg focus:outline-none focus:ring-1 focus:ring-light-primary dark:focus:ring-dark-primary"
+        />
+      ) : (
+        <>
+          <button className={buttonClass} disabled={disabled} onClick={() => setCategoryMode("addCategories")}>
+            <Tag size={14} /> {translate('bulk.addCategories')}
+          </button>
+          <button className={buttonClass} disabled={disabled} onClick={() => setCategoryMode("removeCategories")}>
+            <Tags size={14} /> {translate('bulk.removeCategories')}
+          </button>
+        </>
+      )}
+
+      <button
+        className={`${buttonClass} text-red-500`}
+        disabled={disabled}
+        onClick={() => onAction("recycle")}
+      >
+        <Trash2 size={14} /> {translate('bulk.recycle')}
+      </button>
+
+      <button className={`${buttonClass} ml-auto`} onClick={onClose} title={translate('bulk.close')}>
+        <X size={16} />
+      </button>
+    </div>
+  );
+};
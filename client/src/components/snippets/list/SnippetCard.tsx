@@ -8,6 +8,9 @@ import {
   Globe,
   Pin,
   Star,
+  GitFork,
+  CheckSquare,
+  Square,
 } from "lucide-react";
 import ReactMarkdown from "react-markdown";
 import { formatDistanceToNow } from "date-fns";
@@ -20,6 +23,7 @@ import CategoryList from "../../categories/CategoryList";
 import { PreviewCodeBlock } from "../../editor/PreviewCodeBlock";
 import { getUniqueLanguages } from "../../../utils/language/languageUtils";
 import { basePath } from "../../../utils/api/basePath";
+import { useAuth } from "../../../hooks/useAuth";
 
 interface SnippetCardProps {
   snippet: Snippet;
@@ -45,6 +49,9 @@ interface SnippetCardProps {
     id: string,
     isFavorite: boolean
   ) => Promise<Snippet | undefined>;
+  isSelectable?: boolean;
+  isSelected?: boolean;
+  onToggleSelect?: (snippet: Snippet) => void;
 }
 
 export const SnippetCard: React.FC<SnippetCardProps> = ({
@@ -68,6 +75,9 @@ export const SnippetCard: React.FC<SnippetCardProps> = ({
   isAuthenticated,
   pinSnippet,
   favoriteSnippet,
+  isSelectable = false,
+  isSelected = false,
+  onToggleSelect,
 }) => {
   const { t } = useTranslation();
   const { t: translate } = useTranslation('components/snippets/list/snippetCard');
@@ -77,6 +87,11 @@ export const SnippetCard: React.FC<SnippetCardProps> = ({
   const [isRestoreModalOpen, setIsRestoreModalOpen] = useState(false);
   const [isPinned, setIsPinned] = useState(snippet.is_pinned);
   const [isFavorite, setIsFavorite] = useState(snippet.is_favorite);
+  const { user } = useAuth();
+  // Snippets shared through a team or a grant show up in the list, but the
+  // card menu only offers owner actions to their owner
+  const isOthersSnippet =
+    !isPublicView && snippet.user_id !== undefined && !!user && snippet.user_id !== user.id;
 
   const getRelativeUpdateTime = (updatedAt: string): string => {
     const defaultUpdateTime = translate('defaultUpdateTime');
@@ -192,11 +207,28 @@ export const SnippetCard: React.FC<SnippetCardProps> = ({
         className={`bg-light-surface dark:bg-dark-surface rounded-lg ${
           viewMode === "grid" ? "h-full" : "mb-4"
         } 
-          cursor-pointer hover:bg-light-hover dark:hover:bg-dark-hover transition-colors relative group`}
+          cursor-pointer hover:bg-light-hover dark:hover:bg-dark-hover transition-colors relative group ${
+          isSelected ? "ring-2 ring-light-primary dark:ring-dark-primary" : ""
+        }`}
         onClick={() => {
-          if (!isRecycleView) onOpen(snippet);
+          if (isSelectable) {
+            onToggleSelect?.(snippet);
+          } else if (!isRecycleView) {
+            onOpen(snippet);
+          }
+        }}
+        draggable={!isPublicView && !isRecycleView && !isSelectable}
+        onDragStart={(e) => {
+          // Dropped onto a collection in the sidebar tree
+          e.dataTransfer.setData("application/x-snippet-id", String(snippet.id));
+          e.dataTransfer.effectAllowed = "copy";
         }}
       >
+        {isSelectable && (
+          <div className="absolute z-10 -top-2 -left-2 rounded bg-light-surface dark:bg-dark-surface text-light-primary dark:text-dark-primary">
+            {isSelected ? <CheckSquare size={20} /> : <Square size={20} />}
+          </div>
+        )}
         {((snippet.visibility || (snippet.is_public === 1 ? 'PUBLIC' : 'PRIVATE')) !== 'PRIVATE' ||
           snippet.updated_at ||
           snippet.is_pinned === 1 ||
@@ -212,7 +244,11 @@ export const SnippetCard: React.FC<SnippetCardProps> = ({
               {(snippet.visibility === 'SHARED' || snippet.visibility === 'TEAM') && (
                 <div className="flex items-center gap-1 bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300 px-1.5 py-0.5 rounded">
                   <Users size={12} />
-                  <span>{snippet.visibility}</span>
+                  <span>
+                    {snippet.visibility === 'TEAM' && snippet.team_name
+                      ? `${snippet.visibility} · ${snippet.team_name}`
+                      : snippet.visibility}
+                  </span>
                 </div>
               )}
               {isPublicView && (snippet.share_count || 0) > 0 && (
@@ -221,6 +257,12 @@ export const SnippetCard: React.FC<SnippetCardProps> = ({
                   <span>{translate('shared')}</span>
                 </div>
               )}
+              {isPublicView && (snippet.fork_count || 0) > 0 && (
+                <div className="flex items-center gap-1 bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300 px-1.5 py-0.5 rounded">
+                  <GitFork size={12} />
+                  <span>{translate('forks', { count: snippet.fork_count })}</span>
+                </div>
+              )}
               {snippet.is_pinned === 1 && (
                 <div className="flex items-center gap-1 bg-orange-100 dark:bg-orange-900/30 text-orange-700 dark:text-orange-300 px-1.5 py-0.5 rounded">
                   <Pin size={12} />
@@ -292,7 +334,7 @@ export const SnippetCard: React.FC<SnippetCardProps> = ({
                   }}
                   onOpenInNewTab={handleOpenInNewTab}
                   onDuplicate={handleDuplicate}
-                  isPublicView={isPublicView}
+                  isPublicView={isPublicView || isOthersSnippet}
                   isAuthenticated={isAuthenticated}
                   isPinned={isPinned === 1}
                   isFavorite={isFavorite === 1}
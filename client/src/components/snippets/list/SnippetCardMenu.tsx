@@ -10,6 +10,7 @@ import {
   Star,
   PinOff,
   StarOff,
+  GitFork,
 } from "lucide-react";
 import { useTranslation } from "react-i18next";
 import { useOutsideClick } from "../../../hooks/useOutsideClick";
@@ -54,7 +55,7 @@ const SnippetCardMenu: React.FC<SnippetCardMenuProps> = ({
       <div className="flex items-center gap-1 top-4 right-4">
         {isAuthenticated && (
           <IconButton
-            icon={<Copy size={16} />}
+            icon={<GitFork size={16} />}
             onClick={(e: React.MouseEvent) => {
               e.stopPropagation();
               onDuplicate(e);
@@ -62,7 +63,7 @@ const SnippetCardMenu: React.FC<SnippetCardMenuProps> = ({
             variant="custom"
             size="sm"
             className="bg-light-hover dark:bg-dark-hover hover:bg-light-surface dark:hover:bg-dark-surface"
-            label={translate('duplicateSnippet')}
+            label={translate('forkSnippet')}
           />
         )}
         <IconButton
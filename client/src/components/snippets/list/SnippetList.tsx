@@ -27,6 +27,8 @@ export interface SnippetListProps {
     id: string,
     isFavorite: boolean
   ) => Promise<Snippet | undefined>;
+  selectedIds?: Set<string>;
+  onToggleSelect?: (snippet: Snippet) => void;
 }
 
 const SnippetList: React.FC<SnippetListProps> = ({
@@ -50,6 +52,8 @@ const SnippetList: React.FC<SnippetListProps> = ({
   isAuthenticated,
   pinSnippet,
   favoriteSnippet,
+  selectedIds,
+  onToggleSelect,
 }) => {
   const { t: translate } = useTranslation('components/snippets/list/snippetList');
 
@@ -93,6 +97,9 @@ const SnippetList: React.FC<SnippetListProps> = ({
           isAuthenticated={isAuthenticated}
           pinSnippet={pinSnippet}
           favoriteSnippet={favoriteSnippet}
+          isSelectable={selectedIds !== undefined}
+          isSelected={selectedIds?.has(snippet.id) ?? false}
+          onToggleSelect={onToggleSelect}
         />
       ))}
     </div>
@@ -1,11 +1,14 @@
 import React, { useState, useEffect } from 'react';
-import { Share as ShareIcon, Trash2, Link as LinkIcon, Check, ShieldCheck, ShieldOff, Code2 } from 'lucide-react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Share as ShareIcon, Trash2, Link as LinkIcon, Check, ShieldCheck, ShieldOff, Code2, UserPlus, Users, X } from 'lucide-react';
 import parseDuration from 'parse-duration';
 import { formatDistanceToNow } from 'date-fns';
 import { useTranslation } from 'react-i18next';
-import { Share, ShareSettings, Snippet } from '../../../types/snippets';
+import { GrantPermission, Share, ShareSettings, Snippet } from '../../../types/snippets';
 import { useToast } from '../../../hooks/useToast';
 import { createShare, deleteShare, getSharesBySnippetId } from '../../../utils/api/share';
+import { grantsApi } from '../../../utils/api/grants';
+import { teamsApi } from '../../../utils/api/teams';
 import { basePath } from '../../../utils/api/basePath';
 import Modal from '../../common/modals/Modal';
 import { Switch } from '../../common/switch/Switch';
@@ -17,6 +20,144 @@ interface ShareMenuProps {
   snippet: Snippet;
 }
 
+const grantInputClass =
+  'px-3 py-2 bg-light-surface dark:bg-dark-surface text-light-text dark:text-dark-text rounded-md border border-light-border dark:border-dark-border text-sm focus:outline-none focus:ring-2 focus:ring-light-primary dark:focus:ring-dark-primary';
+
+// Per-user and per-team access, which only applies to SHARED snippets
+const SnippetGrants: React.FC<{ snippet: Snippet }> = ({ snippet }) => {
+  const { t: translate } = useTranslation('components/snippets/share');
+  const { addToast } = useToast();
+  const queryClient = useQueryClient();
+  const [username, setUsername] = useState('');
+  const [teamId, setTeamId] = useState('');
+  const [permission, setPermission] = useState<GrantPermission>('read');
+  const queryKey = ['snippets', snippet.id, 'grants'];
+
+  const { data: grants = [], isLoading, isError } = useQuery({
+    queryKey,
+    queryFn: () => grantsApi.list(snippet.id),
+  });
+  const { data: teams = [] } = useQuery({ queryKey: ['teams'], queryFn: () => teamsApi.list() });
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey });
+  const onError = (error: any) =>
+    addToast(error?.error || error?.message || translate('shareMenu.grants.error.default'), 'error');
+
+  const createMutation = useMutation({
+    mutationFn: () =>
+      grantsApi.create(
+        snippet.id,
+        teamId ? { teamId: Number(teamId), permission } : { username: username.trim(), permission }
+      ),
+    onSuccess: () => {
+      setUsername('');
+      setTeamId('');
+      refresh();
+    },
+    onError,
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, value }: { id: number; value: GrantPermission }) =>
+      grantsApi.update(snippet.id, id, value),
+    onSuccess: refresh,
+    onError,
+  });
+
+  const removeMutation = useMutation({
+    mutationFn: (id: number) => grantsApi.remove(snippet.id, id),
+    onSuccess: refresh,
+    onError,
+  });
+
+  return (
+    <div className="space-y-3">
+      <h3 className="text-lg font-medium">{translate('shareMenu.grants.title')}</h3>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          value={username}
+          onChange={(e) => {
+            setUsername(e.target.value);
+            setTeamId('');
+          }}
+          placeholder={translate('shareMenu.grants.username')}
+          className={`${grantInputClass} flex-1 min-w-[8rem]`}
+        />
+        <select
+          value={teamId}
+          onChange={(e) => {
+            setTeamId(e.target.value);
+            setUsername('');
+          }}
+          className={grantInputClass}
+        >
+          <option value="">{translate('shareMenu.grants.selectTeam')}</option>
+          {teams.map((team) => (
+            <option key={team.id} value={team.id}>
+              {team.name}
+            </option>
+          ))}
+        </select>
+        <select
+          value={permission}
+          onChange={(e) => setPermission(e.target.value as GrantPermission)}
+          className={grantInputClass}
+        >
+          <option value="read">{translate('shareMenu.grants.permission.read')}</option>
+          <option value="edit">{translate('shareMenu.grants.permission.edit')}</option>
+        </select>
+        <button
+          type="button"
+          onClick={() => createMutation.mutate()}
+          disabled={createMutation.isPending || (!username.trim() && !teamId)}
+          className="inline-flex items-center gap-1 px-3 py-2 rounded-md bg-light-primary dark:bg-dark-primary text-white text-sm disabled:opacity-50"
+        >
+          <UserPlus size={14} /> {translate('shareMenu.grants.add')}
+        </button>
+      </div>
+
+      {isError && (
+        <p className="text-red-400 text-sm">{translate('shareMenu.grants.error.load')}</p>
+      )}
+      {!isLoading && !isError && grants.length === 0 && (
+        <p className="text-light-text-secondary dark:text-dark-text-secondary">
+          {translate('shareMenu.grants.empty')}
+        </p>
+      )}
+      <div className="space-y-2">
+        {grants.map((grant) => (
+          <div
+            key={grant.id}
+            className="flex items-center gap-3 p-3 bg-light-surface dark:bg-dark-surface rounded-md border border-light-border dark:border-dark-border"
+          >
+            {grant.team_id !== null && <Users size={16} />}
+            <span className="flex-1 min-w-0 truncate text-sm">{grant.username ?? grant.team_name}</span>
+            <select
+              value={grant.permission}
+              onChange={(e) =>
+                updateMutation.mutate({ id: grant.id, value: e.target.value as GrantPermission })
+              }
+              className={`${grantInputClass} py-1 text-xs`}
+            >
+              <option value="read">{translate('shareMenu.grants.permission.read')}</option>
+              <option value="edit">{translate('shareMenu.grants.permission.edit')}</option>
+            </select>
+            <button
+              type="button"
+              onClick={() => removeMutation.mutate(grant.id)}
+              className="p-1 text-light-text-secondary dark:text-dark-text-secondary hover:text-red-500"
+              title={translate('shareMenu.grants.remove')}
+            >
+              <X size={16} />
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
 export const ShareMenu: React.FC<ShareMenuProps> = ({ isOpen, onClose, snippet }) => {
   const { t: translate } = useTranslation('components/snippets/share');
   const [shares, setShares] = useState<Share[]>([]);
@@ -145,6 +286,14 @@ export const ShareMenu: React.FC<ShareMenuProps> = ({ isOpen, onClose, snippet }
         }
       >
         <div className="space-y-6 text-light-text dark:text-dark-text">
+          {snippet.visibility === 'SHARED' ? (
+            <SnippetGrants snippet={snippet} />
+          ) : (
+            <p className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
+              {translate('shareMenu.grants.notShared')}
+            </p>
+          )}
+
           <div className="space-y-4">
             <h3 className="text-lg font-medium">{translate('shareMenu.subTitle')}</h3>
             
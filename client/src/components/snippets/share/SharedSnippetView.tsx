@@ -1,10 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
-import { Loader2 } from 'lucide-react';
+import { GitFork, Loader2 } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import { Snippet } from '../../../types/snippets';
 import { useAuth } from '../../../hooks/useAuth';
-import { getSharedSnippet } from '../../../utils/api/share';
+import { useToast } from '../../../hooks/useToast';
+import { forkSharedSnippet, getSharedSnippet } from '../../../utils/api/share';
 import { FullCodeView } from '../view/FullCodeView';
 import { ROUTES } from '../../../constants/routes';
 
@@ -15,7 +16,9 @@ const SharedSnippetView: React.FC = () => {
   const [error, setError] = useState<string | null>(null);
   const [errorCode, setErrorCode] = useState<number | null>(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [isForking, setIsForking] = useState(false);
   const { isAuthenticated } = useAuth();
+  const { addToast } = useToast();
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -44,6 +47,20 @@ const SharedSnippetView: React.FC = () => {
     }
   };
 
+  const handleFork = async () => {
+    if (!shareId) return;
+
+    try {
+      setIsForking(true);
+      await forkSharedSnippet(shareId);
+      addToast(translate('sharedSnippetView.success.fork'), 'success');
+    } catch (err) {
+      addToast(translate('sharedSnippetView.error.fork'), 'error');
+    } finally {
+      setIsForking(false);
+    }
+  };
+
   if (isLoading) {
     return (
       <div className="min-h-screen bg-light-bg dark:bg-dark-bg flex items-center justify-center">
@@ -100,7 +117,19 @@ const SharedSnippetView: React.FC = () => {
   return (
     <div className="min-h-screen bg-light-bg dark:bg-dark-bg text-light-text dark:text-dark-text p-8">
       <div className="max-w-4xl mx-auto">
-        <FullCodeView snippet={snippet} isPublicView={true} />
+        {isAuthenticated && (
+          <div className="flex justify-end mb-4">
+            <button
+              onClick={handleFork}
+              disabled={isForking}
+              className="flex items-center gap-2 px-3 py-1.5 text-sm rounded-md bg-light-primary dark:bg-dark-primary text-white hover:opacity-90 disabled:opacity-50"
+            >
+              <GitFork size={16} />
+              {translate('sharedSnippetView.fork')}
+            </button>
+          </div>
+        )}
+        <FullCodeView snippet={snippet} isPublicView={true} shareId={shareId} />
       </div>
     </div>
   );
@@ -0,0 +1,78 @@
+import React, { useState } from "react";
+import { ChevronDown, ChevronRight, FileCode, Folder, FolderOpen } from "lucide-react";
+import { FileTreeNode } from "../../../utils/fileTree";
+
+interface FileTreeProps {
+  nodes: FileTreeNode[];
+  activeIndex: number | null;
+  onSelect: (fragmentIndex: number) => void;
+}
+
+// Navigator for snippets whose fragments are laid out in folders
+export const FileTree: React.FC<FileTreeProps> = ({ nodes, activeIndex, onSelect }) => {
+  const [collapsed, setCollapsed] = useState<Set<string>>(new Set());
+
+  const toggleFolder = (path: string) => {
+    setCollapsed((current) => {
+      const next = new Set(current);
+      if (next.has(path)) {
+        next.delete(path);
+      } else {
+        next.add(path);
+      }
+      return next;
+    });
+  };
+
+  const renderNodes = (level: FileTreeNode[], depth: number): React.ReactNode =>
+    level.map((node) => {
+      const indent = { paddingLeft: `${depth * 12 + 8}px` };
+
+      if (node.fragmentIndex === undefined) {
+        const isCollapsed = collapsed.has(node.path);
+        return (
+          <li key={node.path}>
+            <button
+              type="button"
+              onClick={() => toggleFolder(node.path)}
+              style={indent}
+              className="flex items-center w-full gap-1 py-0.5 pr-2 text-left rounded hover:bg-light-hover dark:hover:bg-dark-hover"
+            >
+              {isCollapsed ? <ChevronRight size={12} /> : <ChevronDown size={12} />}
+              {isCollapsed ? <Folder size={12} /> : <FolderOpen size={12} />}
+              <span className="truncate">{node.name}</span>
+            </button>
+            {!isCollapsed && <ul>{renderNodes(node.children, depth + 1)}</ul>}
+          </li>
+        );
+      }
+
+      const fragmentIndex = node.fragmentIndex;
+      return (
+        <li key={node.path}>
+          <button
+            type="button"
+            onClick={() => onSelect(fragmentIndex)}
+            style={indent}
+            className={`flex items-center w-full gap-1 py-0.5 pr-2 text-left rounded hover:bg-light-hover dark:hover:bg-dark-hover ${
+              activeIndex === fragmentIndex
+                ? "text-light-primary dark:text-dark-primary"
+                : ""
+            }`}
+          >
+            <span className="w-3 shrink-0" />
+            <FileCode size={12} className="shrink-0" />
+            <span className="truncate">{node.name}</span>
+          </button>
+        </li>
+      );
+    });
+
+  return (
+    <nav className="p-2 text-xs rounded-lg border border-light-border dark:border-dark-border text-light-text dark:text-dark-text">
+      <ul>{renderNodes(nodes, 0)}</ul>
+    </nav>
+  );
+};
+
+export default FileTree;
@@ -1,5 +1,6 @@
-import React from "react";
-import { FileCode, Clock } from "lucide-react";
+import React, { useMemo, useRef, useState } from "react";
+import { FileCode, Clock, GitFork } from "lucide-react";
+import { Link } from "react-router-dom";
 import { formatDistanceToNow } from "date-fns";
 import ReactMarkdown from "react-markdown";
 import { useTranslation } from "react-i18next";
@@ -12,6 +13,9 @@ import {
 import { FullCodeBlock } from "../../editor/FullCodeBlock";
 import DownloadButton from "../../common/buttons/DownloadButton";
 import DownloadArchiveButton from "../../common/buttons/DownloadArchiveButton";
+import TemplateForm from "./TemplateForm";
+import FileTree from "./FileTree";
+import { buildFileTree, hasFolders } from "../../../utils/fileTree";
 
 interface FullCodeViewProps {
   showTitle?: boolean;
@@ -21,6 +25,8 @@ interface FullCodeViewProps {
   className?: string;
   isModal?: boolean;
   isPublicView?: boolean;
+  // Set when viewed through a share; templates render through it
+  shareId?: string;
 }
 
 export const FullCodeView: React.FC<FullCodeViewProps> = ({
@@ -31,8 +37,20 @@ export const FullCodeView: React.FC<FullCodeViewProps> = ({
   className = "",
   isModal = false,
   isPublicView = false,
+  shareId,
 }) => {
   const { t: translate } = useTranslation('components/snippets/view/all');
+  const fragmentRefs = useRef<(HTMLDivElement | null)[]>([]);
+  const [activeFragment, setActiveFragment] = useState<number | null>(null);
+  const fileTree = useMemo(
+    () => (hasFolders(snippet.fragments) ? buildFileTree(snippet.fragments) : null),
+    [snippet.fragments]
+  );
+
+  const handleFileSelect = (index: number) => {
+    setActiveFragment(index);
+    fragmentRefs.current[index]?.scrollIntoView({ behavior: "smooth", block: "start" });
+  };
 
   const handleCategoryClick = (e: React.MouseEvent, category: string) => {
     e.preventDefault();
@@ -65,7 +83,13 @@ export const FullCodeView: React.FC<FullCodeViewProps> = ({
     <div className={containerClasses}>
       {/* Status Bar with Update Time */}
       {!isModal && snippet.updated_at && (
-        <div className="bg-light-hover/50 dark:bg-dark-hover/50 px-3 py-1.5 text-xs flex items-center justify-end">
+        <div className="bg-light-hover/50 dark:bg-dark-hover/50 px-3 py-1.5 text-xs flex items-center justify-end gap-3">
+          {(snippet.fork_count || 0) > 0 && (
+            <div className="flex items-center gap-1 text-light-text-secondary dark:text-dark-text-secondary">
+              <GitFork size={12} />
+              <span>{translate('fullCodeView.forks', { count: snippet.fork_count })}</span>
+            </div>
+          )}
           <div className="flex items-center gap-1 text-light-text-secondary dark:text-dark-text-secondary">
             <Clock size={12} />
             <span>{translate('fullCodeView.dateTimeAgo', { dateTime: getRelativeUpdateTime(snippet.updated_at) })}</span>
@@ -99,6 +123,28 @@ export const FullCodeView: React.FC<FullCodeViewProps> = ({
             <span>{getUniqueLanguages(snippet.fragments)}</span>
           </div>
 
+          {/* Upstream of a fork; only public originals are linked */}
+          {snippet.upstream && (
+            <div className="flex items-center gap-1 mt-1 text-sm text-light-text-secondary dark:text-dark-text-secondary">
+              <GitFork
+                size={14}
+                className="text-light-text-secondary dark:text-dark-text-secondary"
+              />
+              <span>{translate('fullCodeView.forkedFrom')}</span>
+              {snippet.upstream.is_public ? (
+                <Link
+                  to={`/snippets/${snippet.upstream.id}`}
+                  className="text-light-primary dark:text-dark-primary hover:underline"
+                >
+                  {snippet.upstream.title}
+                </Link>
+              ) : (
+                <span>{snippet.upstream.title}</span>
+              )}
+              {snippet.upstream.username && <span>· {snippet.upstream.username}</span>}
+            </div>
+          )}
+
           {/* Description */}
           <div className="mt-3 text-sm text-light-text dark:text-dark-text">
             <ReactMarkdown skipHtml className={`markdown prose max-w-none`}>
@@ -117,6 +163,14 @@ export const FullCodeView: React.FC<FullCodeViewProps> = ({
           </div>
         </div>
 
+        {/* Template Form */}
+        <TemplateForm
+          snippet={snippet}
+          showLineNumbers={showLineNumbers}
+          isPublicView={isPublicView}
+          shareId={shareId}
+        />
+
         {/* Download Archive Button */}
         {snippet.fragments.length > 1 && (
           <div className="flex justify-end mt-4">
@@ -129,10 +183,26 @@ export const FullCodeView: React.FC<FullCodeViewProps> = ({
           </div>
         )}
 
+        {/* File Tree */}
+        {fileTree && (
+          <div className="mt-4">
+            <FileTree
+              nodes={fileTree}
+              activeIndex={activeFragment}
+              onSelect={handleFileSelect}
+            />
+          </div>
+        )}
+
         {/* Code Fragments */}
         <div className="mt-4 space-y-4">
           {snippet.fragments.map((fragment, index) => (
-            <div key={index}>
+            <div
+              key={index}
+              ref={(element) => {
+                fragmentRefs.current[index] = element;
+              }}
+            >
               {/* File Header */}
               <div className="flex items-center justify-between px-3 mb-1 text-xs rounded text-light-text-secondary dark:text-dark-text-secondary bg-light-hover/50 dark:bg-dark-hover/50 h-7">
                 <div className="flex items-center flex-1 min-w-0 gap-1">
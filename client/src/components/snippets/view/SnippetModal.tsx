@@ -4,6 +4,7 @@ import { Snippet } from "../../../types/snippets";
 import { ConfirmationModal } from "../../common/modals/ConfirmationModal";
 import Modal from "../../common/modals/Modal";
 import { FullCodeView } from "./FullCodeView";
+import { useAuth } from "../../../hooks/useAuth";
 
 export interface SnippetModalProps {
   snippet: Snippet;
@@ -30,6 +31,11 @@ const SnippetModal: React.FC<SnippetModalProps> = ({
 }) => {
   const { t } = useTranslation();
   const { t: translate } = useTranslation('components/snippets/view/all');
+  const { user } = useAuth();
+  // Snippets shared through a team are read-only for everyone but the owner;
+  // an edit grant on a SHARED snippet also allows editing, never deleting
+  const isOwnSnippet = snippet.user_id === undefined || !user || snippet.user_id === user.id;
+  const canEdit = isOwnSnippet || snippet.access === 'edit';
 
   const handleCategoryClick = (e: React.MouseEvent, category: string) => {
     e.preventDefault();
@@ -69,8 +75,8 @@ const SnippetModal: React.FC<SnippetModalProps> = ({
       <Modal
         isOpen={isOpen}
         onClose={onClose}
-        onEdit={handleEditSnippet}
-        onDelete={handleDeleteSnippet}
+        onEdit={canEdit ? handleEditSnippet : undefined}
+        onDelete={isOwnSnippet ? handleDeleteSnippet : undefined}
         title={
           <h2 className="text-2xl font-bold text-light-text dark:text-dark-text">{snippet.title}</h2>
         }
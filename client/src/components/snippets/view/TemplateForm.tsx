@@ -0,0 +1,221 @@
+import React, { useEffect, useState } from "react";
+import { Braces, FileCode } from "lucide-react";
+import { useTranslation } from "react-i18next";
+import {
+  Snippet,
+  TemplateRenderError,
+  TemplateVariable,
+} from "../../../types/snippets";
+import { renderTemplateFragment } from "../../../utils/api/snippets";
+import { FullCodeBlock } from "../../editor/FullCodeBlock";
+
+interface TemplateFormProps {
+  snippet: Snippet;
+  showLineNumbers?: boolean;
+  isPublicView?: boolean;
+  shareId?: string;
+}
+
+interface RenderedFragment {
+  fileName: string;
+  language: string;
+  code: string;
+}
+
+const inputClasses =
+  "px-3 py-2 rounded-md bg-light-surface dark:bg-dark-surface border border-light-border dark:border-dark-border text-light-text dark:text-dark-text";
+
+const initialValue = (variable: TemplateVariable): string =>
+  variable.default === null ? "" : String(variable.default);
+
+// Fills in a template snippet and renders its fragments through the raw
+// endpoints, so the output is exactly what `curl .../raw?name=value` returns
+export const TemplateForm: React.FC<TemplateFormProps> = ({
+  snippet,
+  showLineNumbers = true,
+  isPublicView = false,
+  shareId,
+}) => {
+  const { t: translate } = useTranslation('components/snippets/view/all');
+  const variables = snippet.variables || [];
+
+  const [values, setValues] = useState<Record<string, string>>({});
+  const [rendered, setRendered] = useState<RenderedFragment[] | null>(null);
+  const [renderError, setRenderError] = useState<TemplateRenderError | null>(null);
+  const [isRendering, setIsRendering] = useState(false);
+
+  useEffect(() => {
+    setValues(
+      Object.fromEntries(variables.map((variable) => [variable.name, initialValue(variable)]))
+    );
+    setRendered(null);
+    setRenderError(null);
+  }, [snippet.id, snippet.variables]);
+
+  const setValue = (name: string, value: string) => {
+    setValues((current) => ({ ...current, [name]: value }));
+  };
+
+  const handleRender = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsRendering(true);
+    setRenderError(null);
+
+    // Empty inputs fall back to the schema and inline defaults
+    const query = Object.fromEntries(
+      Object.entries(values).filter(([, value]) => value !== "")
+    );
+
+    try {
+      const fragments = await Promise.all(
+        snippet.fragments.map(async (fragment) => ({
+          fileName: fragment.file_name,
+          language: fragment.language,
+          code: await renderTemplateFragment(
+            snippet.id,
+            String(fragment.id),
+            query,
+            isPublicView,
+            shareId
+          ),
+        }))
+      );
+      setRendered(fragments);
+    } catch (error) {
+      const body = error as Partial<TemplateRenderError>;
+      setRendered(null);
+      setRenderError({
+        error: body.error || translate('templateForm.error.default'),
+        missing: body.missing || [],
+        invalid: body.invalid || [],
+      });
+    } finally {
+      setIsRendering(false);
+    }
+  };
+
+  const renderInput = (variable: TemplateVariable) => {
+    const value = values[variable.name] ?? "";
+
+    switch (variable.type) {
+      case "boolean":
+        return (
+          <select
+            value={value}
+            onChange={(e) => setValue(variable.name, e.target.value)}
+            className={inputClasses}
+          >
+            <option value="">{translate('templateForm.unset')}</option>
+            <option value="true">true</option>
+            <option value="false">false</option>
+          </select>
+        );
+      case "enum":
+        return (
+          <select
+            value={value}
+            onChange={(e) => setValue(variable.name, e.target.value)}
+            className={inputClasses}
+          >
+            <option value="">{translate('templateForm.unset')}</option>
+            {(variable.options || []).map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+        );
+      default:
+        return (
+          <input
+            type={variable.type === "number" ? "number" : "text"}
+            value={value}
+            onChange={(e) => setValue(variable.name, e.target.value)}
+            className={inputClasses}
+          />
+        );
+    }
+  };
+
+  if (variables.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-4 p-3 rounded-lg border border-light-border dark:border-dark-border">
+      <div className="flex items-center gap-1 text-sm font-medium text-light-text dark:text-dark-text">
+        <Braces size={14} />
+        <span>{translate('templateForm.title')}</span>
+      </div>
+
+      <form onSubmit={handleRender} className="mt-3 space-y-3">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          {variables.map((variable) => (
+            <label key={variable.name} className="flex flex-col gap-1 text-sm">
+              <span className="text-light-text dark:text-dark-text">
+                <code>{variable.name}</code>
+                {variable.required && <span className="text-red-500"> *</span>}
+              </span>
+              {renderInput(variable)}
+              {variable.description && (
+                <span className="text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                  {variable.description}
+                </span>
+              )}
+            </label>
+          ))}
+        </div>
+
+        {renderError && (
+          <div className="text-sm text-red-500">
+            <p>{renderError.error}</p>
+            <ul className="list-disc list-inside">
+              {renderError.missing.map((name) => (
+                <li key={`missing-${name}`}>
+                  {translate('templateForm.error.missing', { name })}
+                </li>
+              ))}
+              {renderError.invalid.map(({ name, message }) => (
+                <li key={`invalid-${name}`}>
+                  {translate('templateForm.error.invalid', { name, message })}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={isRendering}
+            className="px-3 py-1.5 text-sm rounded-md bg-light-primary dark:bg-dark-primary text-white hover:opacity-90 disabled:opacity-50"
+          >
+            {isRendering ? translate('templateForm.rendering') : translate('templateForm.render')}
+          </button>
+        </div>
+      </form>
+
+      {rendered && (
+        <div className="mt-3 space-y-4">
+          {rendered.map((fragment, index) => (
+            <div key={index}>
+              <div className="flex items-center gap-1 px-3 mb-1 text-xs rounded text-light-text-secondary dark:text-dark-text-secondary bg-light-hover/50 dark:bg-dark-hover/50 h-7">
+                <FileCode size={12} className="shrink-0" />
+                <span className="truncate">
+                  {translate('templateForm.renderedFile', { fileName: fragment.fileName })}
+                </span>
+              </div>
+              <FullCodeBlock
+                code={fragment.code}
+                language={fragment.language}
+                showLineNumbers={showLineNumbers}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TemplateForm;
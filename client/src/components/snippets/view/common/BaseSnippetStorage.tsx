@@ -1,14 +1,17 @@
 import React, { useState, useEffect, useCallback, useRef } from "react";
 import { useSearchParams } from "react-router-dom";
 import { useTranslation } from "react-i18next";
+import { useQueryClient } from "@tanstack/react-query";
 import { initializeMonaco } from "../../../../utils/language/languageUtils";
 import { useAuth } from "../../../../hooks/useAuth";
 import { useSettings } from "../../../../hooks/useSettings";
-import { useCreateSnippet, useEditSnippet } from "../../../../hooks/useSnippetsQuery";
+import { snippetKeys, useCreateSnippet, useEditSnippet } from "../../../../hooks/useSnippetsQuery";
 import { useToast } from "../../../../hooks/useToast";
 import { SearchAndFilter } from "../../../search/SearchAndFilter";
 import { snippetService } from "../../../../service/snippetService";
-import { Snippet } from "../../../../types/snippets";
+import { collectionService } from "../../../../service/collectionService";
+import { Collection, Snippet } from "../../../../types/snippets";
+import CollectionTree from "../../../categories/CollectionTree";
 import SettingsModal from "../../../settings/SettingsModal";
 import { UserDropdown } from "../../../auth/UserDropdown";
 import EditSnippetModal from "../../edit/EditSnippetModal";
@@ -18,7 +21,8 @@ import StorageHeader from "./StorageHeader";
 
 const BaseSnippetStorage: React.FC = () => {
   const { t: translate } = useTranslation('components/snippets/view/common');
-  const [, setSearchParams] = useSearchParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const queryClient = useQueryClient();
   const { addToast } = useToast();
   const { isAuthenticated, logout } = useAuth();
   const {
@@ -38,10 +42,15 @@ const BaseSnippetStorage: React.FC = () => {
     setShowFavorites,
   } = useSettings();
 
-  // Metadata - loaded once, never changes
-  const [metadata, setMetadata] = useState<{ categories: string[]; languages: string[] }>({
+  // Metadata - loaded once, refreshed when collections change
+  const [metadata, setMetadata] = useState<{
+    categories: string[];
+    languages: string[];
+    collections: Collection[];
+  }>({
     categories: [],
-    languages: []
+    languages: [],
+    collections: []
   });
 
   // UI state
@@ -65,18 +74,18 @@ const BaseSnippetStorage: React.FC = () => {
     };
   }, []);
 
-  // Load metadata once
+  const fetchMetadata = useCallback(async () => {
+    try {
+      const data = await snippetService.getSnippetsMetadata();
+      setMetadata({ ...data, collections: data.collections || [] });
+    } catch (error) {
+      console.error("Failed to fetch metadata:", error);
+    }
+  }, []);
+
   useEffect(() => {
-    const fetchMetadata = async () => {
-      try {
-        const data = await snippetService.getSnippetsMetadata();
-        setMetadata(data);
-      } catch (error) {
-        console.error("Failed to fetch metadata:", error);
-      }
-    };
     fetchMetadata();
-  }, []);
+  }, [fetchMetadata]);
 
   // Stable callbacks that only update URL - these NEVER change
   const handleSearchChange = useCallback((search: string) => {
@@ -129,6 +138,81 @@ const BaseSnippetStorage: React.FC = () => {
     });
   }, [setSearchParams]);
 
+  const selectedCollection = parseInt(searchParams.get("collection") || "", 10) || null;
+
+  const handleCollectionSelect = useCallback((id: number | null) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      if (id !== null) {
+        next.set("collection", String(id));
+      } else {
+        next.delete("collection");
+      }
+      return next;
+    });
+  }, [setSearchParams]);
+
+  // Counts in the tree and the filtered list both depend on membership
+  const refreshCollections = useCallback(async () => {
+    await fetchMetadata();
+    queryClient.invalidateQueries({ queryKey: snippetKeys.lists() });
+  }, [fetchMetadata, queryClient]);
+
+  const handleCollectionError = useCallback((error: any) => {
+    console.error("Error updating collection:", error);
+    if (error.status === 401 || error.status === 403) {
+      logout();
+      addToast(translate('baseSnippetStorage.error.sessionExpired'), "error");
+    } else {
+      addToast(translate('baseSnippetStorage.error.collectionUpdated'), "error");
+    }
+  }, [logout, addToast]);
+
+  const handleCollectionCreate = useCallback(async (name: string, parentId: number | null) => {
+    try {
+      await collectionService.createCollection(name, parentId);
+      await refreshCollections();
+    } catch (error) {
+      handleCollectionError(error);
+    }
+  }, [refreshCollections, handleCollectionError]);
+
+  const handleCollectionDelete = useCallback(async (id: number) => {
+    try {
+      await collectionService.deleteCollection(id);
+      // The deleted collection may be an ancestor of the selected one
+      handleCollectionSelect(null);
+      await refreshCollections();
+    } catch (error) {
+      handleCollectionError(error);
+    }
+  }, [refreshCollections, handleCollectionError, handleCollectionSelect]);
+
+  const handleSnippetDrop = useCallback(async (collectionId: number, snippetId: number) => {
+    try {
+      await collectionService.addSnippet(collectionId, snippetId);
+      addToast(translate('baseSnippetStorage.success.addedToCollection'), "success");
+      await refreshCollections();
+    } catch (error) {
+      handleCollectionError(error);
+    }
+  }, [refreshCollections, handleCollectionError, addToast]);
+
+  // "Shared with me" lives in the URL like the selected collection
+  const showShared = searchParams.get("shared") === "true";
+
+  const handleShowShared = useCallback(() => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      if (next.get("shared") === "true") {
+        next.delete("shared");
+      } else {
+        next.set("shared", "true");
+      }
+      return next;
+    });
+  }, [setSearchParams]);
+
   const handleShowFavorites = useCallback(() => {
     setShowFavorites((prev) => {
       const newValue = !prev;
@@ -171,7 +255,8 @@ const BaseSnippetStorage: React.FC = () => {
       console.error("Error saving snippet:", error);
       if (error.status === 401 || error.status === 403) {
         sessionExpiredHandler();
-      } else {
+      } else if (error.status !== 412) {
+        // Version conflicts are resolved inside the edit modal
         addToast(
           snippetToEdit
             ? translate('baseSnippetStorage.error.snippetUpdated')
@@ -216,27 +301,44 @@ const BaseSnippetStorage: React.FC = () => {
           openNewSnippetModal={handleNewSnippet}
           showFavorites={showFavorites}
           handleShowFavorites={handleShowFavorites}
+          showShared={showShared}
+          handleShowShared={handleShowShared}
           hideNewSnippet={false}
           hideRecycleBin={false}
           isPublicView={false}
         />
 
-        <SnippetContentArea
-          includeCodeInSearch={includeCodeInSearch}
-          showFavorites={showFavorites}
-          viewMode={viewMode}
-          compactView={compactView}
-          showCodePreview={showCodePreview}
-          previewLines={previewLines}
-          showCategories={showCategories}
-          expandCategories={expandCategories}
-          showLineNumbers={showLineNumbers}
-          isAuthenticated={isAuthenticated}
-          onCategoryClick={handleCategoryToggle}
-          onSnippetSelect={() => {}}
-          onEdit={openEditSnippetModal}
-          onShare={openShareMenu}
-        />
+        <div className="flex gap-6">
+          <aside className="hidden w-56 shrink-0 md:block">
+            <CollectionTree
+              collections={metadata.collections}
+              selectedId={selectedCollection}
+              onSelect={handleCollectionSelect}
+              onCreate={handleCollectionCreate}
+              onDelete={handleCollectionDelete}
+              onDropSnippet={handleSnippetDrop}
+            />
+          </aside>
+
+          <div className="flex-1 min-w-0">
+            <SnippetContentArea
+              includeCodeInSearch={includeCodeInSearch}
+              showFavorites={showFavorites}
+              viewMode={viewMode}
+              compactView={compactView}
+              showCodePreview={showCodePreview}
+              previewLines={previewLines}
+              showCategories={showCategories}
+              expandCategories={expandCategories}
+              showLineNumbers={showLineNumbers}
+              isAuthenticated={isAuthenticated}
+              onCategoryClick={handleCategoryToggle}
+              onSnippetSelect={() => {}}
+              onEdit={openEditSnippetModal}
+              onShare={openShareMenu}
+            />
+          </div>
+        </div>
       </div>
 
       <EditSnippetModal
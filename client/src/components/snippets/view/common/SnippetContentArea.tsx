@@ -1,8 +1,8 @@
 import React, { useEffect, useCallback, useMemo, useState, useRef } from "react";
 import { useSearchParams } from "react-router-dom";
-import { Loader2 } from "lucide-react";
+import { CheckSquare, Loader2 } from "lucide-react";
 import { useTranslation } from "react-i18next";
-import { Snippet } from "../../../../types/snippets";
+import { BulkSnippetAction, BulkSnippetRequest, Snippet } from "../../../../types/snippets";
 import { useAuth } from "../../../../hooks/useAuth";
 import { useToast } from "../../../../hooks/useToast";
 import { saveLanguagesUsage } from "../../../../utils/language/languageUtils";
@@ -12,10 +12,13 @@ import {
   usePinSnippet,
   useFavoriteSnippet,
   useCreateSnippet,
+  useBulkSnippetAction,
   SnippetsQueryKey,
 } from "../../../../hooks/useSnippetsQuery";
 import { PageContainer } from "../../../common/layout/PageContainer";
 import SnippetList from "../../list/SnippetList";
+import { BulkActionBar } from "../../list/BulkActionBar";
+import { SearchWarnings } from "../../../search/SearchWarnings";
 import SnippetModal from "../SnippetModal";
 
 interface SnippetContentAreaProps {
@@ -52,10 +55,13 @@ const SnippetContentArea: React.FC<SnippetContentAreaProps> = ({
   onShare,
 }) => {
   const { t: translate } = useTranslation('components/snippets/view/common');
+  const { t: translateList } = useTranslation('components/snippets/list/snippetList');
   const [searchParams] = useSearchParams();
   const { addToast } = useToast();
   const { logout } = useAuth();
   const [selectedSnippet, setSelectedSnippet] = useState<Snippet | null>(null);
+  // null when the list is not in multi-select mode
+  const [selectedIds, setSelectedIds] = useState<Set<string> | null>(null);
   const observerTarget = useRef<HTMLDivElement>(null);
 
   const queryFilters: SnippetsQueryKey = useMemo(() => ({
@@ -64,7 +70,9 @@ const SnippetContentArea: React.FC<SnippetContentAreaProps> = ({
     language: searchParams.get("language") || undefined,
     category: searchParams.get("categories") || undefined,
     favorites: showFavorites,
+    shared: searchParams.get("shared") === "true",
     recycled: false,
+    collection: searchParams.get("collection") || undefined,
     sort: searchParams.get("sort") || "newest",
     viewType: "base",
   }), [searchParams, includeCodeInSearch, showFavorites]);
@@ -83,6 +91,7 @@ const SnippetContentArea: React.FC<SnippetContentAreaProps> = ({
   const pinSnippetMutation = usePinSnippet();
   const favoriteSnippetMutation = useFavoriteSnippet();
   const createSnippetMutation = useCreateSnippet();
+  const bulkActionMutation = useBulkSnippetAction();
 
   const sessionExpiredHandler = useCallback(() => {
     logout();
@@ -211,6 +220,47 @@ const SnippetContentArea: React.FC<SnippetContentAreaProps> = ({
     }
   }, [createSnippetMutation, addToast, logout]);
 
+  const toggleSnippetSelection = useCallback((snippet: Snippet) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev ?? []);
+      if (next.has(snippet.id)) {
+        next.delete(snippet.id);
+      } else {
+        next.add(snippet.id);
+      }
+      return next;
+    });
+  }, []);
+
+  const handleBulkAction = useCallback(async (
+    action: BulkSnippetAction,
+    extra: Partial<BulkSnippetRequest> = {}
+  ) => {
+    if (!selectedIds || selectedIds.size === 0) return;
+
+    try {
+      const response = await bulkActionMutation.mutateAsync({
+        ...extra,
+        ids: Array.from(selectedIds, Number),
+        action,
+      });
+      if (response.succeeded > 0) {
+        addToast(translate('snippetContentArea.success.bulkAction', { count: response.succeeded }), "success");
+      }
+      if (response.failed > 0) {
+        addToast(translate('snippetContentArea.error.bulkActionPartial', { count: response.failed }), "warning");
+      }
+      setSelectedIds(new Set());
+    } catch (error: any) {
+      console.error("Failed to apply bulk action:", error);
+      if (error.status === 401 || error.status === 403) {
+        sessionExpiredHandler();
+      } else {
+        addToast(translate('snippetContentArea.error.bulkAction'), "error");
+      }
+    }
+  }, [selectedIds, bulkActionMutation, addToast, logout]);
+
   const handleSnippetSelect = useCallback((snippet: Snippet | null) => {
     setSelectedSnippet(snippet);
     onSnippetSelect(snippet);
@@ -240,6 +290,8 @@ const SnippetContentArea: React.FC<SnippetContentAreaProps> = ({
 
   return (
     <>
+      <SearchWarnings warnings={data?.pages[0]?.searchWarnings} />
+
       {filters.categories.length > 0 && (
         <div className="flex flex-wrap items-center gap-2 mb-4">
           <span className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
@@ -260,6 +312,29 @@ const SnippetContentArea: React.FC<SnippetContentAreaProps> = ({
         </div>
       )}
 
+      {selectedIds ? (
+        <BulkActionBar
+          selectedCount={selectedIds.size}
+          totalCount={snippets.length}
+          isBusy={bulkActionMutation.isPending}
+          onSelectAll={() => setSelectedIds(new Set(snippets.map((snippet) => snippet.id)))}
+          onClear={() => setSelectedIds(new Set())}
+          onClose={() => setSelectedIds(null)}
+          onAction={handleBulkAction}
+        />
+      ) : (
+        snippets.length > 0 && (
+          <div className="flex justify-end mb-2">
+            <button
+              onClick={() => setSelectedIds(new Set())}
+              className="flex items-center gap-1 px-2 py-1 text-sm rounded-md text-light-text-secondary dark:text-dark-text-secondary hover:bg-light-hover dark:hover:bg-dark-hover"
+            >
+              <CheckSquare size={14} /> {translateList('bulk.select')}
+            </button>
+          </div>
+        )
+      )}
+
       <SnippetList
         snippets={snippets}
         viewMode={viewMode}
@@ -281,6 +356,8 @@ const SnippetContentArea: React.FC<SnippetContentAreaProps> = ({
         isAuthenticated={isAuthenticated}
         pinSnippet={pinSnippet}
         favoriteSnippet={favoriteSnippet}
+        selectedIds={selectedIds ?? undefined}
+        onToggleSelect={toggleSnippetSelection}
       />
 
       {hasNextPage && (
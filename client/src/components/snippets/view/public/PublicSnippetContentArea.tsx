@@ -6,10 +6,11 @@ import { Snippet } from "../../../../types/snippets";
 import { useToast } from "../../../../hooks/useToast";
 import {
   useSnippetsInfiniteQuery,
-  useCreateSnippet,
+  useForkSnippet,
   SnippetsQueryKey,
 } from "../../../../hooks/useSnippetsQuery";
 import SnippetList from "../../list/SnippetList";
+import { SearchWarnings } from "../../../search/SearchWarnings";
 import SnippetModal from "../SnippetModal";
 import { PageContainer } from "../../../common/layout/PageContainer";
 import { ROUTES } from "../../../../constants/routes";
@@ -65,7 +66,7 @@ const PublicSnippetContentArea: React.FC<PublicSnippetContentAreaProps> = ({
     error,
   } = useSnippetsInfiniteQuery(queryFilters);
 
-  const createSnippetMutation = useCreateSnippet();
+  const forkSnippetMutation = useForkSnippet();
 
   const snippets = useMemo(() => {
     return data?.pages.flatMap(page => page.data) ?? [];
@@ -102,23 +103,14 @@ const PublicSnippetContentArea: React.FC<PublicSnippetContentAreaProps> = ({
     }
 
     try {
-      const duplicatedSnippet: Omit<Snippet, "id" | "updated_at" | "share_count" | "username"> = {
-        title: `${snippet.title}`,
-        description: snippet.description,
-        categories: [...snippet.categories],
-        fragments: snippet.fragments.map((f) => ({ ...f })),
-        is_public: 0,
-        is_pinned: 0,
-        is_favorite: 0,
-      };
-
-      await createSnippetMutation.mutateAsync(duplicatedSnippet);
+      // Forking keeps a link back to the original and counts toward its forks
+      await forkSnippetMutation.mutateAsync(snippet.id);
       addToast(translate('publicSnippetContentArea.success.addSnippetToCollection'), "success");
     } catch (error) {
-      console.error("Failed to duplicate snippet:", error);
+      console.error("Failed to fork snippet:", error);
       addToast(translate('publicSnippetContentArea.error.addSnippetToCollection'), "error");
     }
-  }, [isAuthenticated, createSnippetMutation, addToast, navigate]);
+  }, [isAuthenticated, forkSnippetMutation, addToast, navigate]);
 
   if (isLoading) {
     return (
@@ -144,6 +136,8 @@ const PublicSnippetContentArea: React.FC<PublicSnippetContentAreaProps> = ({
 
   return (
     <>
+      <SearchWarnings warnings={data?.pages[0]?.searchWarnings} />
+
       {filters.categories.length > 0 && (
         <div className="flex flex-wrap items-center gap-2 mb-4">
           <span className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
@@ -12,6 +12,7 @@ import {
   SnippetsQueryKey,
 } from "../../../../hooks/useSnippetsQuery";
 import SnippetList from "../../list/SnippetList";
+import { SearchWarnings } from "../../../search/SearchWarnings";
 import SnippetModal from "../SnippetModal";
 import { PageContainer } from "../../../common/layout/PageContainer";
 
@@ -171,6 +172,8 @@ const RecycleSnippetContentArea: React.FC<RecycleSnippetContentAreaProps> = ({
 
   return (
     <>
+      <SearchWarnings warnings={data?.pages[0]?.searchWarnings} />
+
       {filters.categories.length > 0 && (
         <div className="flex flex-wrap items-center gap-2 mb-4">
           <span className="text-sm text-light-text-secondary dark:text-dark-text-secondary">
@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useCallback, useRef } from "react";
 import { useNavigate, useSearchParams } from "react-router-dom";
-import { ArrowLeftToLine, Trash2 } from "lucide-react";
+import { ArrowLeftToLine, RotateCcw, Trash2 } from "lucide-react";
 import { useTranslation } from "react-i18next";
 import { useSettings } from "../../../../hooks/useSettings";
 import { useToast } from "../../../../hooks/useToast";
@@ -8,7 +8,7 @@ import { useAuth } from "../../../../hooks/useAuth";
 import { initializeMonaco } from "../../../../utils/language/languageUtils";
 import { snippetService } from "../../../../service/snippetService";
 import { Snippet } from "../../../../types/snippets";
-import { useDeleteSnippet } from "../../../../hooks/useSnippetsQuery";
+import { useRecycleBinAction } from "../../../../hooks/useSnippetsQuery";
 import SettingsModal from "../../../settings/SettingsModal";
 import { SearchAndFilter } from "../../../search/SearchAndFilter";
 import { UserDropdown } from "../../../auth/UserDropdown";
@@ -39,7 +39,7 @@ const RecycleSnippetStorage: React.FC = () => {
     locale,
   } = useSettings();
 
-  const { isAuthenticated, logout } = useAuth();
+  const { isAuthenticated, logout, authConfig } = useAuth();
   const { addToast } = useToast();
   const navigate = useNavigate();
 
@@ -53,11 +53,11 @@ const RecycleSnippetStorage: React.FC = () => {
   const [isSettingsModalOpen, setIsSettingsModalOpen] = useState(false);
   const [isPermanentDeleteAllModalOpen, setIsPermanentDeleteAllModalOpen] = useState(false);
 
-  // Ref to track all snippets for bulk delete
+  // Ref to track the loaded snippets, to tell whether the bin is empty
   const snippetsRef = useRef<Snippet[]>([]);
 
   // React Query mutation
-  const deleteSnippetMutation = useDeleteSnippet();
+  const recycleBinMutation = useRecycleBinAction();
 
   useEffect(() => {
     initializeMonaco();
@@ -81,10 +81,10 @@ const RecycleSnippetStorage: React.FC = () => {
     addToast(translate('recycleSnippetStorage.error.sessionExpired'), "error");
   }, []);
 
-  // Snippet operations
+  // Snippet operations act on the whole bin, not only the loaded pages
   const permanentDeleteAllSnippets = useCallback(async () => {
     try {
-      await Promise.all(snippetsRef.current.map((s) => deleteSnippetMutation.mutateAsync(s.id)));
+      await recycleBinMutation.mutateAsync("empty");
       addToast(translate('recycleSnippetStorage.success.clear'), "success");
     } catch (error: any) {
       console.error("Failed to clear all recycle bin snippets:", error);
@@ -94,7 +94,26 @@ const RecycleSnippetStorage: React.FC = () => {
         addToast(translate('recycleSnippetStorage.error.clear'), "error");
       }
     }
-  }, [deleteSnippetMutation, addToast, logout]);
+  }, [recycleBinMutation, addToast, logout]);
+
+  const restoreAllSnippets = useCallback(async () => {
+    if (snippetsRef.current.length === 0) {
+      addToast(translate('recycleSnippetStorage.info.nothingToRestore'), "info");
+      return;
+    }
+    try {
+      const { count } = await recycleBinMutation.mutateAsync("restore");
+      addToast(translate('recycleSnippetStorage.success.restoreAll', { count }), "success");
+      navigate("/");
+    } catch (error: any) {
+      console.error("Failed to restore all recycle bin snippets:", error);
+      if (error.status === 401 || error.status === 403) {
+        sessionExpiredHandler();
+      } else {
+        addToast(translate('recycleSnippetStorage.error.restoreAll'), "error");
+      }
+    }
+  }, [recycleBinMutation, addToast, logout, navigate]);
 
   // URL update handlers - stable callbacks
   const handleSearchChange = useCallback((search: string) => {
@@ -202,18 +221,32 @@ const RecycleSnippetStorage: React.FC = () => {
             <div>
               <h1 className="text-2xl font-semibold text-light-text-primary dark:text-dark-text-secondary">{translate('recycleSnippetStorage.recycleBin')}</h1>
               <p className="text-sm">
-                {translate('recycleSnippetStorage.description')}
+                {translate('recycleSnippetStorage.description', {
+                  count: authConfig?.recycleRetentionDays ?? 30,
+                })}
               </p>
             </div>
 
-            <IconButton
-              icon={<Trash2 size={18} />}
-              label={t('action.clearAll')}
-              showLabel={true}
-              variant="danger"
-              size="sm"
-              onClick={openPermanentDeleteAllModal}
-            />
+            <div className="flex items-center gap-2">
+              <IconButton
+                icon={<RotateCcw size={18} />}
+                label={translate('recycleSnippetStorage.restoreAll')}
+                showLabel={true}
+                variant="secondary"
+                size="sm"
+                onClick={restoreAllSnippets}
+                disabled={recycleBinMutation.isPending}
+              />
+              <IconButton
+                icon={<Trash2 size={18} />}
+                label={t('action.clearAll')}
+                showLabel={true}
+                variant="danger"
+                size="sm"
+                onClick={openPermanentDeleteAllModal}
+                disabled={recycleBinMutation.isPending}
+              />
+            </div>
           </div>
         </div>
 
@@ -0,0 +1,233 @@
+import React, { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { ChevronDown, ChevronRight, LogOut, Plus, Trash2, UserPlus, X } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { useAuth } from '../../hooks/useAuth';
+import { useToast } from '../../hooks/useToast';
+import { teamsApi } from '../../utils/api/teams';
+import { Team, TeamRole } from '../../types/team';
+
+const inputClass =
+  'px-3 py-2 rounded-md bg-light-hover dark:bg-dark-hover border border-light-border dark:border-dark-border text-sm text-light-text dark:text-dark-text focus:border-light-primary dark:focus:border-dark-primary outline-none';
+
+const TEAMS_QUERY_KEY = ['teams'];
+
+function errorMessage(error: any, fallback: string) {
+  return error?.error || error?.message || fallback;
+}
+
+const TeamMembers: React.FC<{ team: Team }> = ({ team }) => {
+  const { t: translate } = useTranslation('components/teams');
+  const { user } = useAuth();
+  const { addToast } = useToast();
+  const queryClient = useQueryClient();
+  const [username, setUsername] = useState('');
+  const queryKey = [...TEAMS_QUERY_KEY, team.id];
+  const isMaintainer = team.role === 'maintainer';
+
+  const { data, isLoading } = useQuery({ queryKey, queryFn: () => teamsApi.get(team.id) });
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: TEAMS_QUERY_KEY });
+  const onError = (error: any) => addToast(errorMessage(error, translate('error.default')), 'error');
+
+  const addMutation = useMutation({
+    mutationFn: () => teamsApi.addMember(team.id, username.trim()),
+    onSuccess: () => {
+      setUsername('');
+      refresh();
+    },
+    onError,
+  });
+
+  const roleMutation = useMutation({
+    mutationFn: ({ userId, role }: { userId: number; role: TeamRole }) =>
+      teamsApi.updateMember(team.id, userId, role),
+    onSuccess: refresh,
+    onError,
+  });
+
+  const removeMutation = useMutation({
+    mutationFn: (userId: number) => teamsApi.removeMember(team.id, userId),
+    onSuccess: refresh,
+    onError,
+  });
+
+  if (isLoading) {
+    return <div className="p-3 text-xs">{translate('loadingMembers')}</div>;
+  }
+
+  return (
+    <div className="p-3 space-y-2">
+      {(data?.members || []).map((member) => (
+        <div key={member.user_id} className="flex items-center gap-3 text-sm">
+          <span className="flex-1 min-w-0 truncate">{member.username}</span>
+          {isMaintainer ? (
+            <select
+              value={member.role}
+              onChange={(e) =>
+                roleMutation.mutate({ userId: member.user_id, role: e.target.value as TeamRole })
+              }
+              className={`${inputClass} py-1 text-xs`}
+            >
+              <option value="member">{translate('role.member')}</option>
+              <option value="maintainer">{translate('role.maintainer')}</option>
+            </select>
+          ) : (
+            <span className="text-xs text-light-text-secondary dark:text-dark-text-secondary">
+              {translate(`role.${member.role}`)}
+            </span>
+          )}
+          {isMaintainer && member.user_id !== user?.id && (
+            <button
+              type="button"
+              onClick={() => removeMutation.mutate(member.user_id)}
+              className="p-1 text-light-text-secondary dark:text-dark-text-secondary hover:text-red-500"
+              aria-label={translate('removeMember')}
+            >
+              <X size={14} />
+            </button>
+          )}
+        </div>
+      ))}
+
+      {isMaintainer && (
+        <div className="flex items-center gap-2 pt-2">
+          <input
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            placeholder={translate('username')}
+            className={`${inputClass} flex-1`}
+          />
+          <button
+            type="button"
+            onClick={() => addMutation.mutate()}
+            disabled={addMutation.isPending || !username.trim()}
+            className="inline-flex items-center gap-1 px-3 py-1 rounded bg-light-primary dark:bg-dark-primary text-white disabled:opacity-50"
+          >
+            <UserPlus size={14} /> {translate('addMember')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export const TeamManager: React.FC = () => {
+  const { t: translate } = useTranslation('components/teams');
+  const { user } = useAuth();
+  const { addToast } = useToast();
+  const queryClient = useQueryClient();
+  const [name, setName] = useState('');
+  const [expanded, setExpanded] = useState<number | null>(null);
+
+  const { data: teams = [], isLoading } = useQuery({
+    queryKey: TEAMS_QUERY_KEY,
+    queryFn: () => teamsApi.list(),
+  });
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: TEAMS_QUERY_KEY });
+  const onError = (error: any) => addToast(errorMessage(error, translate('error.default')), 'error');
+
+  const createMutation = useMutation({
+    mutationFn: () => teamsApi.create({ name: name.trim() }),
+    onSuccess: (team) => {
+      setName('');
+      setExpanded(team.id);
+      refresh();
+    },
+    onError,
+  });
+
+  // Leaving or deleting turns the affected TEAM snippets private
+  const leaveMutation = useMutation({
+    mutationFn: (teamId: number) => teamsApi.removeMember(teamId, user!.id),
+    onSuccess: refresh,
+    onError,
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (teamId: number) => teamsApi.remove(teamId),
+    onSuccess: () => {
+      addToast(translate('deleted'), 'success');
+      refresh();
+    },
+    onError,
+  });
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-2">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={translate('name')}
+          className={`${inputClass} flex-1`}
+        />
+        <button
+          type="button"
+          onClick={() => createMutation.mutate()}
+          disabled={createMutation.isPending || !name.trim()}
+          className="inline-flex items-center gap-1 px-3 py-1 rounded bg-light-primary dark:bg-dark-primary text-white disabled:opacity-50"
+        >
+          <Plus size={14} /> {translate('create')}
+        </button>
+      </div>
+
+      {isLoading && <div className="text-sm">{translate('loading')}</div>}
+      {!isLoading && teams.length === 0 && (
+        <div className="text-sm text-light-text-secondary dark:text-dark-text-secondary text-center py-4">
+          {translate('empty')}
+        </div>
+      )}
+
+      {teams.map((team) => (
+        <div
+          key={team.id}
+          className="border border-light-border dark:border-dark-border rounded-md bg-light-surface dark:bg-dark-surface"
+        >
+          <div className="flex flex-wrap items-center gap-3 p-3">
+            <button
+              type="button"
+              onClick={() => setExpanded(expanded === team.id ? null : team.id)}
+              aria-label={translate('members')}
+            >
+              {expanded === team.id ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+            </button>
+            <div className="min-w-0 flex-1">
+              <div className="text-sm font-medium">{team.name}</div>
+              <div className="text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                {team.role ? translate(`role.${team.role}`) : ''}
+                {' · '}
+                {translate('memberCount', { count: team.member_count })}
+                {' · '}
+                {translate('snippetCount', { count: team.snippet_count })}
+              </div>
+            </div>
+            <button
+              type="button"
+              onClick={() => leaveMutation.mutate(team.id)}
+              className="inline-flex items-center gap-1 px-2 py-1 rounded border border-light-border dark:border-dark-border text-xs"
+            >
+              <LogOut size={12} /> {translate('leave')}
+            </button>
+            {team.role === 'maintainer' && (
+              <button
+                type="button"
+                onClick={() => deleteMutation.mutate(team.id)}
+                className="p-1 text-light-text-secondary dark:text-dark-text-secondary hover:text-red-500"
+                aria-label={translate('delete')}
+              >
+                <Trash2 size={16} />
+              </button>
+            )}
+          </div>
+          {expanded === team.id && (
+            <div className="border-t border-light-border dark:border-dark-border">
+              <TeamMembers team={team} />
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
@@ -0,0 +1,289 @@
+import React, { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { ChevronDown, ChevronRight, Plus, RefreshCw, Send, Trash2, X } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { useToast } from '../../hooks/useToast';
+import { WebhooksApi } from '../../utils/api/webhooks';
+import { Webhook, WebhookDelivery, WebhookEvent } from '../../types/webhook';
+import { PreviewCodeBlock } from '../editor/PreviewCodeBlock';
+
+interface WebhookManagerProps {
+  api: WebhooksApi;
+  queryKey: string[];
+  // Admin webhooks are shared, so the list names who created each one
+  showOwner?: boolean;
+}
+
+const inputClass =
+  'px-3 py-2 rounded-md bg-light-hover dark:bg-dark-hover border border-light-border dark:border-dark-border text-sm text-light-text dark:text-dark-text focus:border-light-primary dark:focus:border-dark-primary outline-none';
+
+const statusClasses: Record<string, string> = {
+  success: 'text-green-700 dark:text-green-300',
+  failed: 'text-red-700 dark:text-red-300',
+  pending: 'text-yellow-700 dark:text-yellow-300',
+};
+
+function parseCategories(value: string): string[] | null {
+  const categories = value
+    .split(',')
+    .map((category) => category.trim().toLowerCase())
+    .filter(Boolean);
+  return categories.length > 0 ? categories : null;
+}
+
+function errorMessage(error: any, fallback: string) {
+  return error?.error || error?.message || fallback;
+}
+
+const DeliveryLog: React.FC<{ api: WebhooksApi; queryKey: string[]; webhookId: number }> = ({
+  api,
+  queryKey,
+  webhookId,
+}) => {
+  const { t: translate } = useTranslation('components/webhooks');
+  const { data, isLoading } = useQuery({
+    queryKey: [...queryKey, webhookId, 'deliveries'],
+    queryFn: () => api.getDeliveries(webhookId, { limit: 20 }),
+    refetchInterval: 15000,
+  });
+
+  if (isLoading) {
+    return <div className="p-2 text-xs">{translate('loadingDeliveries')}</div>;
+  }
+  const deliveries: WebhookDelivery[] = data?.deliveries || [];
+  if (deliveries.length === 0) {
+    return <div className="p-2 text-xs">{translate('noDeliveries')}</div>;
+  }
+
+  return (
+    <table className="w-full text-xs">
+      <tbody>
+        {deliveries.map((delivery) => (
+          <tr key={delivery.id} className="border-t border-light-border dark:border-dark-border align-top">
+            <td className="p-2 whitespace-nowrap">{new Date(delivery.created_at).toLocaleString()}</td>
+            <td className="p-2 font-mono whitespace-nowrap">{delivery.event}</td>
+            <td className={`p-2 whitespace-nowrap font-medium ${statusClasses[delivery.status] || ''}`}>
+              {translate(`status.${delivery.status}`)}
+            </td>
+            <td className="p-2 whitespace-nowrap">
+              {translate('attempts', { count: delivery.attempts })}
+              {delivery.duration_ms !== null ? ` · ${delivery.duration_ms} ms` : ''}
+            </td>
+            <td className="p-2 break-all">
+              {delivery.error || (delivery.response_status ? `HTTP ${delivery.response_status}` : '')}
+              {delivery.status === 'pending' && delivery.next_attempt_at
+                ? ` · ${translate('nextAttempt', { time: new Date(delivery.next_attempt_at).toLocaleTimeString() })}`
+                : ''}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export const WebhookManager: React.FC<WebhookManagerProps> = ({ api, queryKey, showOwner = false }) => {
+  const { t: translate } = useTranslation('components/webhooks');
+  const { addToast } = useToast();
+  const queryClient = useQueryClient();
+  const [name, setName] = useState('');
+  const [url, setUrl] = useState('');
+  const [categories, setCategories] = useState('');
+  const [events, setEvents] = useState<WebhookEvent[]>(['snippet.create', 'snippet.update']);
+  const [secret, setSecret] = useState<string | null>(null);
+  const [expanded, setExpanded] = useState<number | null>(null);
+
+  const { data, isLoading } = useQuery({ queryKey, queryFn: () => api.list() });
+  const webhooks: Webhook[] = data?.webhooks || [];
+  const availableEvents: WebhookEvent[] = data?.events || [];
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey });
+  const onError = (error: any) => addToast(errorMessage(error, translate('error.default')), 'error');
+
+  const createMutation = useMutation({
+    mutationFn: () =>
+      api.create({ name: name.trim(), url: url.trim(), events, categories: parseCategories(categories) }),
+    onSuccess: (webhook) => {
+      setSecret(webhook.secret || null);
+      setName('');
+      setUrl('');
+      setCategories('');
+      refresh();
+    },
+    onError,
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, input }: { id: number; input: Parameters<WebhooksApi['update']>[1] }) =>
+      api.update(id, input),
+    onSuccess: (webhook) => {
+      if (webhook.secret) {
+        setSecret(webhook.secret);
+      }
+      refresh();
+    },
+    onError,
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id: number) => api.remove(id),
+    onSuccess: refresh,
+    onError,
+  });
+
+  const testMutation = useMutation({
+    mutationFn: (id: number) => api.sendTest(id),
+    onSuccess: (delivery, id) => {
+      if (delivery.status === 'success') {
+        addToast(translate('testDelivered'), 'success');
+      } else {
+        addToast(translate('testFailed', { error: delivery.error }), 'error');
+      }
+      queryClient.invalidateQueries({ queryKey: [...queryKey, id, 'deliveries'] });
+      refresh();
+    },
+    onError,
+  });
+
+  const toggleEvent = (event: WebhookEvent) =>
+    setEvents((current) =>
+      current.includes(event) ? current.filter((value) => value !== event) : [...current, event]
+    );
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={translate('name')}
+            className={inputClass}
+          />
+          <input
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            placeholder="https://example.com/hooks/bytestash"
+            className={inputClass}
+          />
+          <input
+            value={categories}
+            onChange={(e) => setCategories(e.target.value)}
+            placeholder={translate('categoriesPlaceholder')}
+            className={inputClass}
+          />
+        </div>
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          {availableEvents.map((event) => (
+            <label key={event} className="flex items-center gap-1 font-mono text-xs">
+              <input type="checkbox" checked={events.includes(event)} onChange={() => toggleEvent(event)} />
+              {event}
+            </label>
+          ))}
+          <button
+            type="button"
+            onClick={() => createMutation.mutate()}
+            disabled={createMutation.isPending || !name.trim() || !url.trim() || events.length === 0}
+            className="ml-auto inline-flex items-center gap-1 px-3 py-1 rounded bg-light-primary dark:bg-dark-primary text-white disabled:opacity-50"
+          >
+            <Plus size={14} /> {translate('add')}
+          </button>
+        </div>
+      </div>
+
+      {secret && (
+        <div className="p-3 bg-light-hover dark:bg-dark-hover rounded-md space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="text-sm font-medium">{translate('newSecret')}</span>
+            <button type="button" onClick={() => setSecret(null)} aria-label={translate('close')}>
+              <X size={16} />
+            </button>
+          </div>
+          <PreviewCodeBlock code={secret} language="plaintext" showLineNumbers={false} previewLines={1} />
+        </div>
+      )}
+
+      {isLoading && <div className="text-sm">{translate('loading')}</div>}
+      {!isLoading && webhooks.length === 0 && (
+        <div className="text-sm text-light-text-secondary dark:text-dark-text-secondary text-center py-4">
+          {translate('empty')}
+        </div>
+      )}
+
+      {webhooks.map((webhook) => (
+        <div
+          key={webhook.id}
+          className="border border-light-border dark:border-dark-border rounded-md bg-light-surface dark:bg-dark-surface"
+        >
+          <div className="flex flex-wrap items-center gap-3 p-3">
+            <button
+              type="button"
+              onClick={() => setExpanded(expanded === webhook.id ? null : webhook.id)}
+              aria-label={translate('deliveries')}
+            >
+              {expanded === webhook.id ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+            </button>
+            <div className="min-w-0 flex-1">
+              <div className="text-sm font-medium">
+                {webhook.name}
+                {showOwner && webhook.username ? (
+                  <span className="ml-2 text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                    {translate('createdBy', { username: webhook.username })}
+                  </span>
+                ) : null}
+              </div>
+              <div className="text-xs font-mono break-all">{webhook.url}</div>
+              <div className="text-xs text-light-text-secondary dark:text-dark-text-secondary">
+                {webhook.events.join(', ')}
+                {webhook.categories ? ` · ${translate('onlyCategories', { categories: webhook.categories.join(', ') })}` : ''}
+                {webhook.last_delivery_status ? (
+                  <span className={`ml-2 ${statusClasses[webhook.last_delivery_status]}`}>
+                    {translate(`status.${webhook.last_delivery_status}`)}
+                  </span>
+                ) : null}
+              </div>
+            </div>
+            <label className="flex items-center gap-1 text-xs">
+              <input
+                type="checkbox"
+                checked={webhook.is_active}
+                onChange={(e) =>
+                  updateMutation.mutate({ id: webhook.id, input: { isActive: e.target.checked } })
+                }
+              />
+              {translate('active')}
+            </label>
+            <button
+              type="button"
+              onClick={() => testMutation.mutate(webhook.id)}
+              disabled={testMutation.isPending}
+              className="inline-flex items-center gap-1 px-2 py-1 rounded border border-light-border dark:border-dark-border text-xs disabled:opacity-50"
+            >
+              <Send size={12} /> {translate('sendTest')}
+            </button>
+            <button
+              type="button"
+              onClick={() => updateMutation.mutate({ id: webhook.id, input: { rotateSecret: true } })}
+              className="inline-flex items-center gap-1 px-2 py-1 rounded border border-light-border dark:border-dark-border text-xs"
+            >
+              <RefreshCw size={12} /> {translate('rotateSecret')}
+            </button>
+            <button
+              type="button"
+              onClick={() => deleteMutation.mutate(webhook.id)}
+              className="p-1 text-light-text-secondary dark:text-dark-text-secondary hover:text-red-500"
+              aria-label={translate('delete')}
+            >
+              <Trash2 size={16} />
+            </button>
+          </div>
+          {expanded === webhook.id && (
+            <div className="border-t border-light-border dark:border-dark-border">
+              <DeliveryLog api={api} queryKey={queryKey} webhookId={webhook.id} />
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
@@ -1,6 +1,7 @@
 export const API_ENDPOINTS = {
   AUTH: '/api/auth',
   SNIPPETS: '/api/snippets',
+  COLLECTIONS: '/api/collections',
   SHARE: '/api/share',
   PUBLIC: '/api/public/snippets'
 } as const;
@@ -18,4 +18,7 @@ export const ROUTES = {
   ADMIN_SHARES: '/admin/shares',
   ADMIN_SETTINGS: '/admin/settings',
   ADMIN_AUDIT: '/admin/audit',
+  ADMIN_JOBS: '/admin/jobs',
+  ADMIN_WEBHOOKS: '/admin/webhooks',
+  ADMIN_WORKSPACES: '/admin/workspaces',
 } as const;
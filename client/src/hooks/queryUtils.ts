@@ -1,5 +1,5 @@
 import { QueryClient, InfiniteData } from '@tanstack/react-query';
-import { Snippet } from '../types/snippets';
+import { SearchWarning, Snippet } from '../types/snippets';
 
 export interface PaginatedSnippetResponse {
   data: Snippet[];
@@ -9,6 +9,7 @@ export interface PaginatedSnippetResponse {
     total: number;
     hasMore: boolean;
   };
+  searchWarnings?: SearchWarning[];
 }
 
 type InfiniteSnippetData = InfiniteData<PaginatedSnippetResponse, number>;
@@ -1,11 +1,15 @@
 import { useInfiniteQuery, useMutation, useQueryClient, InfiniteData } from '@tanstack/react-query';
 import { snippetService } from '../service/snippetService';
-import { Snippet } from '../types/snippets';
+import { BulkSnippetRequest, Snippet } from '../types/snippets';
 import {
+  bulkUpdateSnippets,
   createSnippet,
   editSnippet,
+  forkPublicSnippet,
   deleteSnippet,
+  emptyRecycleBin,
   moveToRecycleBin,
+  restoreAllRecycled,
   restoreSnippetById,
   setPinnedSnippet,
   setFavoriteSnippet,
@@ -26,7 +30,10 @@ export interface SnippetFilters {
   language?: string;
   category?: string;
   favorites?: boolean;
+  // Other people's snippets granted to the user
+  shared?: boolean;
   recycled?: boolean;
+  collection?: string;
   sort?: string;
 }
 
@@ -53,7 +60,9 @@ export const useSnippetsInfiniteQuery = (filters: SnippetsQueryKey) => {
         language: filters.language || '',
         category: filters.category || '',
         favorites: filters.favorites || false,
+        shared: filters.shared || false,
         recycled: filters.recycled || false,
+        collection: filters.collection || '',
         sort: filters.sort || 'newest',
       };
 
@@ -145,6 +154,19 @@ export const useCreateSnippet = () => {
   });
 };
 
+// Forks land in the user's library and change the upstream's fork count, so
+// refetch rather than patching the cached pages
+export const useForkSnippet = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (id: string) => forkPublicSnippet(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: snippetKeys.lists() });
+    },
+  });
+};
+
 export const useEditSnippet = () => {
   const queryClient = useQueryClient();
   const rollback = createRollbackHandler(queryClient);
@@ -244,3 +266,27 @@ export const useFavoriteSnippet = () => {
     onError: (_, __, context) => rollback(context),
   });
 };
+
+// Results are per snippet, so refetch rather than patching the cache
+export const useBulkSnippetAction = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (request: BulkSnippetRequest) => bulkUpdateSnippets(request),
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: snippetKeys.lists() });
+    },
+  });
+};
+
+export const useRecycleBinAction = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (action: 'empty' | 'restore') =>
+      action === 'empty' ? emptyRecycleBin() : restoreAllRecycled(),
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: snippetKeys.lists() });
+    },
+  });
+};
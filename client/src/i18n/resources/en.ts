@@ -26,6 +26,8 @@ import componentsSnippetsViewCommon from '../locales/en/components/snippets/view
 import componentsSnippetsViewPublic from '../locales/en/components/snippets/view/public.json'
 import componentsSnippetsViewRecycle from '../locales/en/components/snippets/view/recycle.json'
 import componentsUtils from '../locales/en/components/utils.json'
+import componentsWebhooks from '../locales/en/components/webhooks.json'
+import componentsTeams from '../locales/en/components/teams.json'
 
 export const resources = {
   translation,
@@ -56,4 +58,6 @@ export const resources = {
   'components/snippets/view/public': componentsSnippetsViewPublic,
   'components/snippets/view/recycle': componentsSnippetsViewRecycle,
   'components/utils': componentsUtils,
+  'components/webhooks': componentsWebhooks,
+  'components/teams': componentsTeams,
 };
\ No newline at end of file
@@ -0,0 +1,36 @@
+import { apiClient } from '../utils/api/apiClient';
+import { Collection } from '../types/snippets';
+import { API_ENDPOINTS } from '../constants/api';
+
+export const collectionService = {
+  async getCollections(): Promise<Collection[]> {
+    return apiClient.get<Collection[]>(API_ENDPOINTS.COLLECTIONS, { requiresAuth: true });
+  },
+
+  async createCollection(name: string, parentId: number | null = null): Promise<Collection> {
+    return apiClient.post<Collection>(API_ENDPOINTS.COLLECTIONS, { name, parentId }, { requiresAuth: true });
+  },
+
+  async updateCollection(
+    id: number,
+    changes: { name?: string; parentId?: number | null; position?: number }
+  ): Promise<Collection> {
+    return apiClient.patch<Collection>(`${API_ENDPOINTS.COLLECTIONS}/${id}`, changes, { requiresAuth: true });
+  },
+
+  async deleteCollection(id: number): Promise<void> {
+    return apiClient.delete(`${API_ENDPOINTS.COLLECTIONS}/${id}`, { requiresAuth: true });
+  },
+
+  async addSnippet(id: number, snippetId: number): Promise<Collection> {
+    return apiClient.post<Collection>(
+      `${API_ENDPOINTS.COLLECTIONS}/${id}/snippets`,
+      { snippetId },
+      { requiresAuth: true }
+    );
+  },
+
+  async removeSnippet(id: number, snippetId: number): Promise<Collection> {
+    return apiClient.delete(`${API_ENDPOINTS.COLLECTIONS}/${id}/snippets/${snippetId}`, { requiresAuth: true });
+  }
+};
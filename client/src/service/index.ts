@@ -1,3 +1,4 @@
 export { snippetService } from './snippetService';
 export { shareService } from './shareService';
-export { authService } from './authService';
\ No newline at end of file
+export { authService } from './authService';
+export { collectionService } from './collectionService';
\ No newline at end of file
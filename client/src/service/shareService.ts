@@ -17,5 +17,9 @@ export const shareService = {
 
   async getSharedSnippet(shareId: string): Promise<Snippet> {
     return apiClient.get<Snippet>(`${API_ENDPOINTS.SHARE}/${shareId}`, { requiresAuth: true });
+  },
+
+  async forkSharedSnippet(shareId: string): Promise<Snippet> {
+    return apiClient.post<Snippet>(`${API_ENDPOINTS.SHARE}/${shareId}/fork`, {}, { requiresAuth: true });
   }
 };
\ No newline at end of file
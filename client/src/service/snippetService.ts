@@ -1,5 +1,12 @@
 import { apiClient } from "../utils/api/apiClient";
-import { Snippet } from "../types/snippets";
+import {
+  BulkSnippetRequest,
+  BulkSnippetResponse,
+  Collection,
+  RecycleBinResponse,
+  SearchWarning,
+  Snippet,
+} from "../types/snippets";
 import { API_ENDPOINTS } from "../constants/api";
 
 export const snippetService = {
@@ -38,8 +45,16 @@ export const snippetService = {
     id: string,
     snippet: Omit<Snippet, "id" | "updated_at">
   ): Promise<Snippet> {
+    // Conditional write: the server answers 412 if someone saved in between
     return apiClient.put<Snippet>(`${API_ENDPOINTS.SNIPPETS}/${id}`, snippet, {
       requiresAuth: true,
+      headers: snippet.version ? { 'If-Match': `"${snippet.version}"` } : undefined,
+    });
+  },
+
+  async forkPublicSnippet(id: string): Promise<Snippet> {
+    return apiClient.post<Snippet>(`${API_ENDPOINTS.PUBLIC}/${id}/fork`, {}, {
+      requiresAuth: true,
     });
   },
 
@@ -65,6 +80,26 @@ export const snippetService = {
     );
   },
 
+  async emptyRecycleBin(): Promise<RecycleBinResponse> {
+    return apiClient.delete<RecycleBinResponse>(`${API_ENDPOINTS.SNIPPETS}/recycle-bin`, {
+      requiresAuth: true,
+    });
+  },
+
+  async restoreAllRecycled(): Promise<RecycleBinResponse> {
+    return apiClient.post<RecycleBinResponse>(
+      `${API_ENDPOINTS.SNIPPETS}/recycle-bin/restore`,
+      {},
+      { requiresAuth: true }
+    );
+  },
+
+  async bulkUpdateSnippets(request: BulkSnippetRequest): Promise<BulkSnippetResponse> {
+    return apiClient.post<BulkSnippetResponse>(`${API_ENDPOINTS.SNIPPETS}/bulk`, request, {
+      requiresAuth: true,
+    });
+  },
+
   async setPinned(id: string, is_pinned: boolean): Promise<Snippet> {
     return apiClient.patch<Snippet>(
       `${API_ENDPOINTS.SNIPPETS}/${id}/pin`,
@@ -90,7 +125,9 @@ export const snippetService = {
     category?: string;  // comma-separated
     favorites?: boolean;
     pinned?: boolean;
+    shared?: boolean;
     recycled?: boolean;
+    collection?: string;
     sort?: string;
   }): Promise<{
     data: Snippet[];
@@ -100,6 +137,7 @@ export const snippetService = {
       limit: number;
       hasMore: boolean;
     };
+    searchWarnings?: SearchWarning[];
   }> {
     const queryString = new URLSearchParams(
       Object.entries(params)
@@ -116,6 +154,7 @@ export const snippetService = {
   async getSnippetsMetadata(): Promise<{
     categories: string[];
     languages: string[];
+    collections: Collection[];
     counts: { total: number };
   }> {
     return apiClient.get<any>(
@@ -140,6 +179,7 @@ export const snippetService = {
       limit: number;
       hasMore: boolean;
     };
+    searchWarnings?: SearchWarning[];
   }> {
     const queryString = new URLSearchParams(
       Object.entries(params)
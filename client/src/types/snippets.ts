@@ -17,9 +17,104 @@ export interface Snippet {
   share_count?: number;
   is_public: number;
   visibility?: 'PRIVATE' | 'TEAM' | 'SHARED' | 'PUBLIC';
+  // Team a TEAM snippet is shared with
+  team_id?: number | null;
+  team_name?: string | null;
+  user_id?: number;
+  // What the signed-in user may do with it; 'edit' comes from a grant
+  access?: SnippetAccess;
   is_pinned: number;
   is_favorite: number;
   username?: string;
+  version?: number;
+  forked_from?: number | null;
+  fork_count?: number;
+  upstream?: SnippetUpstream | null;
+  variables?: TemplateVariable[];
+}
+
+export type TemplateVariableType = 'string' | 'number' | 'boolean' | 'enum';
+
+// A snippet with variables is a template; the raw endpoints render its
+// fragments with values from the query string
+export interface TemplateVariable {
+  name: string;
+  type: TemplateVariableType;
+  default: string | number | boolean | null;
+  required: boolean;
+  description: string | null;
+  options: string[] | null;
+}
+
+// 400 body of a raw request that cannot be rendered
+export interface TemplateRenderError {
+  error: string;
+  missing: string[];
+  invalid: { name: string; message: string }[];
+}
+
+// The snippet a fork was copied from, while it still exists
+export interface SnippetUpstream {
+  id: number;
+  title: string;
+  username: string | null;
+  is_public: number;
+}
+
+export type BulkSnippetAction =
+  | 'recycle'
+  | 'restore'
+  | 'delete'
+  | 'pin'
+  | 'unpin'
+  | 'favorite'
+  | 'unfavorite'
+  | 'addCategories'
+  | 'removeCategories'
+  | 'setVisibility';
+
+export interface BulkSnippetRequest {
+  ids: number[];
+  action: BulkSnippetAction;
+  categories?: string[];
+  visibility?: 'PRIVATE' | 'PUBLIC';
+}
+
+export interface BulkSnippetResult {
+  id: number;
+  status: 'ok' | 'not_found' | 'forbidden' | 'skipped';
+  error?: string;
+}
+
+export interface BulkSnippetResponse {
+  action: BulkSnippetAction;
+  results: BulkSnippetResult[];
+  succeeded: number;
+  failed: number;
+}
+
+// Result of emptying or restoring the whole recycle bin
+export interface RecycleBinResponse {
+  ids: number[];
+  count: number;
+}
+
+// User-owned folder; nesting is expressed through parent_id
+export interface Collection {
+  id: number;
+  parent_id: number | null;
+  name: string;
+  position: number;
+  snippet_count: number;
+  created_at?: string;
+  updated_at?: string;
+}
+
+// Problems with qualifiers in a structured search query (lang:, tag:, ...)
+export interface SearchWarning {
+  token: string;
+  qualifier: string | null;
+  reason: 'unknown_qualifier' | 'invalid_value';
 }
 
 export interface ShareSettings {
@@ -27,6 +122,23 @@ export interface ShareSettings {
   expiresIn?: number;
 }
 
+export type SnippetAccess = 'owner' | 'edit' | 'read';
+
+export type GrantPermission = 'read' | 'edit';
+
+// Access to a SHARED snippet for one user or one team
+export interface SnippetGrant {
+  id: number;
+  snippet_id: number;
+  user_id: number | null;
+  username: string | null;
+  team_id: number | null;
+  team_name: string | null;
+  permission: GrantPermission;
+  created_by: number | null;
+  created_at: string;
+}
+
 export interface Share {
   id: string;
   snippet_id: number;
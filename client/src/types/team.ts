@@ -0,0 +1,22 @@
+export type TeamRole = 'member' | 'maintainer';
+
+export interface TeamMember {
+  user_id: number;
+  username: string;
+  role: TeamRole;
+  created_at: string;
+}
+
+export interface Team {
+  id: number;
+  name: string;
+  description: string | null;
+  created_by: number | null;
+  created_at: string;
+  updated_at: string;
+  member_count: number;
+  snippet_count: number;
+  // The caller's role; absent on the admin list, null for admins outside the team
+  role?: TeamRole | null;
+  members?: TeamMember[];
+}
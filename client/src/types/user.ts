@@ -10,6 +10,13 @@ export interface User {
   is_active?: number | boolean;
   force_password_reset?: boolean;
   last_login_at?: string;
+  workspace?: Workspace | null;
+}
+
+export interface Workspace {
+  id: number;
+  name: string;
+  slug: string;
 }
 
 export interface AuthResponse {
@@ -30,4 +37,6 @@ export interface AuthConfig {
   allowPasswordChanges: boolean;
   communityMode?: 'ON' | 'OFF';
   maintenanceMode?: 'ON' | 'OFF';
+  recycleRetentionDays?: number;
+  workspace?: Pick<Workspace, 'name' | 'slug'>;
 }
@@ -0,0 +1,49 @@
+export type WebhookEvent =
+  | 'snippet.create'
+  | 'snippet.update'
+  | 'snippet.delete'
+  | 'snippet.recycle'
+  | 'share.create';
+
+export interface Webhook {
+  id: number;
+  user_id: number;
+  username: string | null;
+  scope: 'user' | 'admin';
+  name: string;
+  url: string;
+  events: WebhookEvent[];
+  categories: string[] | null;
+  is_active: boolean;
+  created_at: string;
+  updated_at: string;
+  last_delivery_status: WebhookDeliveryStatus | null;
+  // Only returned when the webhook is created or its secret rotated
+  secret?: string;
+}
+
+export interface WebhookInput {
+  name?: string;
+  url?: string;
+  events?: WebhookEvent[];
+  categories?: string[] | null;
+  isActive?: boolean;
+  rotateSecret?: boolean;
+}
+
+export type WebhookDeliveryStatus = 'pending' | 'success' | 'failed';
+
+export interface WebhookDelivery {
+  id: number;
+  webhook_id: number;
+  event: string;
+  status: WebhookDeliveryStatus;
+  attempts: number;
+  response_status: number | null;
+  error: string | null;
+  duration_ms: number | null;
+  next_attempt_at: string | null;
+  created_at: string;
+  delivered_at: string | null;
+  payload?: unknown;
+}
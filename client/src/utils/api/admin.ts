@@ -1,4 +1,5 @@
 import { apiClient } from './apiClient';
+import { basePath } from './basePath';
 
 const BASE_URL = '/api/admin';
 
@@ -12,6 +13,17 @@ const buildQueryString = (params: Record<string, any>): string => {
   return queryString ? `?${queryString}` : '';
 };
 
+export interface AuditLogFilters {
+  actor?: string;
+  action?: string;
+  targetType?: string;
+  targetId?: string;
+  ip?: string;
+  from?: string;
+  to?: string;
+  q?: string;
+}
+
 export const adminApi = {
   // Dashboard
   getStats: () => apiClient.get<any>(`${BASE_URL}/stats`, { requiresAuth: true }),
@@ -68,6 +80,7 @@ export const adminApi = {
     search?: string;
     userId?: string;
     isPublic?: string;
+    recycled?: string;
     language?: string;
     category?: string;
   } = {}) =>
@@ -127,8 +140,79 @@ export const adminApi = {
   updateSettings: (payload: any) =>
     apiClient.patch<any>(`${BASE_URL}/settings`, payload, { requiresAuth: true }),
 
-  getAuditLogs: (params: { offset?: number; limit?: number } = {}) =>
+  getAuditLogs: (params: { offset?: number; limit?: number } & AuditLogFilters = {}) =>
     apiClient.get<any>(`${BASE_URL}/audit${buildQueryString(params)}`, {
       requiresAuth: true,
     }),
+
+  // Returns the whole filtered log as a file; the JSON client cannot read it
+  exportAuditLogs: async (format: 'csv' | 'jsonl', filters: AuditLogFilters = {}) => {
+    const headers = new Headers();
+    const token = localStorage.getItem('token');
+    if (token) {
+      headers.set('bytestashauth', `Bearer ${token}`);
+    }
+
+    const response = await fetch(
+      `${basePath}${BASE_URL}/audit/export${buildQueryString({ ...filters, format })}`,
+      { headers }
+    );
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw { ...error, status: response.status };
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || `audit-log.${format}`;
+    return { blob: await response.blob(), fileName };
+  },
+
+  getAuditSinkStatus: () => apiClient.get<any>(`${BASE_URL}/audit/sinks`, { requiresAuth: true }),
+
+  verifyAuditChain: () => apiClient.get<any>(`${BASE_URL}/audit/verify`, { requiresAuth: true }),
+
+  getAuditCheckpoint: () =>
+    apiClient.get<any>(`${BASE_URL}/audit/checkpoint`, { requiresAuth: true }),
+
+  // Background jobs
+  getJobs: () => apiClient.get<any>(`${BASE_URL}/jobs`, { requiresAuth: true }),
+
+  getJobRuns: (name: string, params: { offset?: number; limit?: number } = {}) =>
+    apiClient.get<any>(
+      `${BASE_URL}/jobs/${encodeURIComponent(name)}/runs${buildQueryString(params)}`,
+      { requiresAuth: true }
+    ),
+
+  runJob: (name: string) =>
+    apiClient.post<any>(
+      `${BASE_URL}/jobs/${encodeURIComponent(name)}/run`,
+      {},
+      { requiresAuth: true }
+    ),
+
+  updateJobSchedule: (name: string, schedule: string) =>
+    apiClient.patch<any>(
+      `${BASE_URL}/jobs/${encodeURIComponent(name)}`,
+      { schedule },
+      { requiresAuth: true }
+    ),
+
+  // Workspaces (super admins only)
+  getWorkspaces: () => apiClient.get<any>(`${BASE_URL}/workspaces`, { requiresAuth: true }),
+
+  createWorkspace: (payload: { name: string; slug?: string }) =>
+    apiClient.post<any>(`${BASE_URL}/workspaces`, payload, { requiresAuth: true }),
+
+  updateWorkspace: (id: number, payload: { name?: string; slug?: string }) =>
+    apiClient.patch<any>(`${BASE_URL}/workspaces/${id}`, payload, { requiresAuth: true }),
+
+  deleteWorkspace: (id: number) =>
+    apiClient.delete<any>(`${BASE_URL}/workspaces/${id}`, { requiresAuth: true }),
+
+  moveUserToWorkspace: (id: number, workspaceId: number) =>
+    apiClient.patch<any>(
+      `${BASE_URL}/users/${id}/workspace`,
+      { workspaceId },
+      { requiresAuth: true }
+    ),
 };
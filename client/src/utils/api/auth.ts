@@ -2,8 +2,14 @@ import { apiClient } from './apiClient';
 import type { AuthResponse, AuthConfig } from '../../types/user';
 import { API_ENDPOINTS } from '../../constants/api';
 
+// Sign-up links name the workspace to join with ?workspace=<slug>
+const workspaceQuery = () => {
+  const slug = new URLSearchParams(window.location.search).get('workspace');
+  return slug ? `?workspace=${encodeURIComponent(slug)}` : '';
+};
+
 export const getAuthConfig = async () => {
-  return apiClient.get<AuthConfig>(`${API_ENDPOINTS.AUTH}/config`);
+  return apiClient.get<AuthConfig>(`${API_ENDPOINTS.AUTH}/config${workspaceQuery()}`);
 };
 
 export const verifyToken = async () => {
@@ -15,7 +21,10 @@ export const login = async (username: string, password: string): Promise<AuthRes
 };
 
 export const register = async (username: string, password: string): Promise<AuthResponse> => {
-  return apiClient.post<AuthResponse>(`${API_ENDPOINTS.AUTH}/register`, { username, password });
+  return apiClient.post<AuthResponse>(`${API_ENDPOINTS.AUTH}/register${workspaceQuery()}`, {
+    username,
+    password,
+  });
 };
 
 export const anonymous = async (): Promise<AuthResponse> => {
@@ -0,0 +1,18 @@
+import { GrantPermission, SnippetGrant } from '../../types/snippets';
+import { apiClient } from './apiClient';
+
+const grantsUrl = (snippetId: string) => `/api/snippets/${snippetId}/grants`;
+
+export const grantsApi = {
+  list: (snippetId: string): Promise<SnippetGrant[]> =>
+    apiClient.get(grantsUrl(snippetId), { requiresAuth: true }),
+  // Granting an existing grantee again changes their permission
+  create: (
+    snippetId: string,
+    input: { username?: string; teamId?: number; permission: GrantPermission }
+  ): Promise<SnippetGrant> => apiClient.post(grantsUrl(snippetId), input, { requiresAuth: true }),
+  update: (snippetId: string, grantId: number, permission: GrantPermission): Promise<SnippetGrant> =>
+    apiClient.patch(`${grantsUrl(snippetId)}/${grantId}`, { permission }, { requiresAuth: true }),
+  remove: (snippetId: string, grantId: number): Promise<{ success: boolean }> =>
+    apiClient.delete(`${grantsUrl(snippetId)}/${grantId}`, { requiresAuth: true }),
+};
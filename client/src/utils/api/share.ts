@@ -42,4 +42,15 @@ export const getSharedSnippet = async (shareId: string): Promise<Snippet> => {
     console.error('Error fetching shared snippet:', error);
     throw error;
   }
+};
+
+export const forkSharedSnippet = async (shareId: string): Promise<Snippet> => {
+  try {
+    const fork = await shareService.forkSharedSnippet(shareId);
+    window.dispatchEvent(createCustomEvent(EVENTS.SNIPPET_UPDATED));
+    return fork;
+  } catch (error) {
+    console.error('Error forking shared snippet:', error);
+    throw error;
+  }
 };
\ No newline at end of file
@@ -1,6 +1,12 @@
 import { snippetService } from "../../service/snippetService";
-import type { Snippet } from "../../types/snippets";
+import type {
+  BulkSnippetRequest,
+  BulkSnippetResponse,
+  RecycleBinResponse,
+  Snippet,
+} from "../../types/snippets";
 import { apiClient } from "./apiClient";
+import { basePath } from "./basePath";
 import { API_ENDPOINTS } from "../../constants/api";
 import { createCustomEvent, EVENTS } from "../../constants/events";
 
@@ -17,6 +23,17 @@ export const createSnippet = async (
   }
 };
 
+export const forkPublicSnippet = async (id: string): Promise<Snippet> => {
+  try {
+    const fork = await snippetService.forkPublicSnippet(id);
+    window.dispatchEvent(createCustomEvent(EVENTS.SNIPPET_UPDATED));
+    return fork;
+  } catch (error) {
+    console.error("Error forking snippet:", error);
+    throw error;
+  }
+};
+
 export const deleteSnippet = async (id: string): Promise<void> => {
   try {
     await snippetService.deleteSnippet(id);
@@ -104,3 +121,69 @@ export const setFavoriteSnippet = async (
     throw error;
   }
 };
+
+export const bulkUpdateSnippets = async (
+  request: BulkSnippetRequest
+): Promise<BulkSnippetResponse> => {
+  try {
+    const response = await snippetService.bulkUpdateSnippets(request);
+    window.dispatchEvent(createCustomEvent(EVENTS.SNIPPET_UPDATED));
+    return response;
+  } catch (error) {
+    console.error("Error applying bulk action:", error);
+    throw error;
+  }
+};
+
+export const emptyRecycleBin = async (): Promise<RecycleBinResponse> => {
+  try {
+    const response = await snippetService.emptyRecycleBin();
+    window.dispatchEvent(createCustomEvent(EVENTS.SNIPPET_UPDATED));
+    return response;
+  } catch (error) {
+    console.error("Error emptying recycle bin:", error);
+    throw error;
+  }
+};
+
+export const restoreAllRecycled = async (): Promise<RecycleBinResponse> => {
+  try {
+    const response = await snippetService.restoreAllRecycled();
+    window.dispatchEvent(createCustomEvent(EVENTS.SNIPPET_UPDATED));
+    return response;
+  } catch (error) {
+    console.error("Error restoring recycle bin:", error);
+    throw error;
+  }
+};
+
+// Renders a template fragment through its raw endpoint, or that of the share
+// it is viewed through. Failed renders throw the TemplateRenderError body of
+// the 400.
+export const renderTemplateFragment = async (
+  snippetId: string,
+  fragmentId: string,
+  values: Record<string, string>,
+  isPublicView: boolean,
+  shareId?: string
+): Promise<string> => {
+  const path = shareId
+    ? `/api/share/${shareId}`
+    : `${isPublicView ? "/api/public/snippets" : "/api/snippets"}/${snippetId}`;
+  const headers = new Headers();
+  const token = localStorage.getItem("token");
+  // Shares that require auth need the token as well
+  if ((shareId || !isPublicView) && token) {
+    headers.set("bytestashauth", `Bearer ${token}`);
+  }
+
+  const response = await fetch(
+    `${basePath}${path}/${fragmentId}/raw?${new URLSearchParams(values)}`,
+    { headers }
+  );
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw { missing: [], invalid: [], ...error, status: response.status };
+  }
+  return response.text();
+};
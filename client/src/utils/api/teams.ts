@@ -0,0 +1,21 @@
+import { Team, TeamRole } from '../../types/team';
+import { apiClient } from './apiClient';
+
+const BASE_URL = '/api/teams';
+
+export const teamsApi = {
+  list: (): Promise<Team[]> => apiClient.get(BASE_URL, { requiresAuth: true }),
+  get: (id: number): Promise<Team> => apiClient.get(`${BASE_URL}/${id}`, { requiresAuth: true }),
+  create: (input: { name: string; description?: string | null }): Promise<Team> =>
+    apiClient.post(BASE_URL, input, { requiresAuth: true }),
+  update: (id: number, input: { name?: string; description?: string | null }): Promise<Team> =>
+    apiClient.patch(`${BASE_URL}/${id}`, input, { requiresAuth: true }),
+  remove: (id: number): Promise<{ success: boolean }> =>
+    apiClient.delete(`${BASE_URL}/${id}`, { requiresAuth: true }),
+  addMember: (id: number, username: string, role: TeamRole = 'member'): Promise<Team> =>
+    apiClient.post(`${BASE_URL}/${id}/members`, { username, role }, { requiresAuth: true }),
+  updateMember: (id: number, userId: number, role: TeamRole): Promise<Team> =>
+    apiClient.patch(`${BASE_URL}/${id}/members/${userId}`, { role }, { requiresAuth: true }),
+  removeMember: (id: number, userId: number): Promise<{ success: boolean }> =>
+    apiClient.delete(`${BASE_URL}/${id}/members/${userId}`, { requiresAuth: true }),
+};
@@ -0,0 +1,30 @@
+import { Webhook, WebhookDelivery, WebhookEvent, WebhookInput } from '../../types/webhook';
+import { apiClient } from './apiClient';
+
+export interface WebhooksApi {
+  list: () => Promise<{ webhooks: Webhook[]; events: WebhookEvent[] }>;
+  create: (input: WebhookInput) => Promise<Webhook>;
+  update: (id: number, input: WebhookInput) => Promise<Webhook>;
+  remove: (id: number) => Promise<{ id: number }>;
+  getDeliveries: (
+    id: number,
+    params?: { limit?: number; offset?: number }
+  ) => Promise<{ deliveries: WebhookDelivery[]; total: number }>;
+  sendTest: (id: number) => Promise<WebhookDelivery>;
+}
+
+// The user and admin endpoints are identical apart from their base path
+const createWebhooksApi = (baseUrl: string): WebhooksApi => ({
+  list: () => apiClient.get(baseUrl, { requiresAuth: true }),
+  create: (input) => apiClient.post(baseUrl, input, { requiresAuth: true }),
+  update: (id, input) => apiClient.patch(`${baseUrl}/${id}`, input, { requiresAuth: true }),
+  remove: (id) => apiClient.delete(`${baseUrl}/${id}`, { requiresAuth: true }),
+  getDeliveries: (id, { limit = 20, offset = 0 } = {}) =>
+    apiClient.get(`${baseUrl}/${id}/deliveries?limit=${limit}&offset=${offset}`, {
+      requiresAuth: true,
+    }),
+  sendTest: (id) => apiClient.post(`${baseUrl}/${id}/test`, {}, { requiresAuth: true }),
+});
+
+export const webhooksApi = createWebhooksApi('/api/webhooks');
+export const adminWebhooksApi = createWebhooksApi('/api/admin/webhooks');
@@ -0,0 +1,51 @@
+import type { CodeFragment } from '../types/snippets';
+
+export interface FileTreeNode {
+  name: string;
+  path: string;
+  children: FileTreeNode[];
+  // Index into the snippet's fragments; only set on files
+  fragmentIndex?: number;
+}
+
+// Fragment file names are relative paths; "/" separates folders
+export const hasFolders = (fragments: CodeFragment[]): boolean =>
+  fragments.some((fragment) => fragment.file_name.includes('/'));
+
+const sortNodes = (nodes: FileTreeNode[]): FileTreeNode[] =>
+  nodes
+    .sort((a, b) => {
+      const aIsFolder = a.fragmentIndex === undefined;
+      const bIsFolder = b.fragmentIndex === undefined;
+      if (aIsFolder !== bIsFolder) {
+        return aIsFolder ? -1 : 1;
+      }
+      return a.name.localeCompare(b.name);
+    })
+    .map((node) => ({ ...node, children: sortNodes(node.children) }));
+
+// Folders first, then files, each sorted by name
+export const buildFileTree = (fragments: CodeFragment[]): FileTreeNode[] => {
+  const root: FileTreeNode[] = [];
+
+  fragments.forEach((fragment, fragmentIndex) => {
+    const segments = fragment.file_name.split('/').filter(Boolean);
+    let level = root;
+
+    segments.forEach((name, depth) => {
+      const path = segments.slice(0, depth + 1).join('/');
+      if (depth === segments.length - 1) {
+        level.push({ name, path, children: [], fragmentIndex });
+        return;
+      }
+      let folder = level.find((node) => node.path === path && node.fragmentIndex === undefined);
+      if (!folder) {
+        folder = { name, path, children: [] };
+        level.push(folder);
+      }
+      level = folder.children;
+    });
+  });
+
+  return sortNodes(root);
+};
@@ -9,8 +9,13 @@ import oidcRoutes from "./routes/oidcRoutes.js";
 import embedRoutes from "./routes/embedRoutes.js";
 import apiKeyRoutes from "./routes/apiKeyRoutes.js";
 import adminRoutes from "./routes/adminRoutes.js";
+import collectionRoutes from "./routes/collectionRoutes.js";
+import categoryRoutes from "./routes/categoryRoutes.js";
+import teamRoutes from "./routes/teamRoutes.js";
+import { createWebhookRouter } from "./routes/webhookRoutes.js";
 import { authenticateToken } from "./middleware/auth.js";
 import { authenticateApiKey } from "./middleware/apiKeyAuth.js";
+import { resolveWorkspace } from "./middleware/workspace.js";
 import { requirePermission, attachPermissionContext } from "./security/aclMiddleware.js";
 import { Permissions } from "./security/permissions.js";
 import { fileURLToPath } from "url";
@@ -24,6 +29,9 @@ import { validateHostHeader } from "./security/hostValidation.js";
 import { createRateLimiter } from "./security/rateLimit.js";
 import { requireCommunityMode } from "./community/communityModeMiddleware.js";
 import { maintenanceModeGuard } from "./core/maintenanceModeMiddleware.js";
+import jobScheduler from "./core/jobs/jobScheduler.js";
+import auditSinkDispatcher from "./security/auditSinks.js";
+import { registerBuiltInJobs } from "./core/jobs/builtInJobs.js";
 
 const app = express();
 const PORT = Number(process.env.PORT || 5000);
@@ -68,10 +76,44 @@ app.use(
   attachPermissionContext,
   snippetRoutes
 );
+app.use(
+  `${basePath}/api/collections`,
+  createRateLimiter("general"),
+  authenticateApiKey,
+  authenticateToken,
+  attachPermissionContext,
+  collectionRoutes
+);
+app.use(
+  `${basePath}/api/categories`,
+  createRateLimiter("general"),
+  authenticateApiKey,
+  authenticateToken,
+  attachPermissionContext,
+  categoryRoutes
+);
+app.use(
+  `${basePath}/api/teams`,
+  createRateLimiter("general"),
+  authenticateApiKey,
+  authenticateToken,
+  attachPermissionContext,
+  teamRoutes
+);
+app.use(
+  `${basePath}/api/webhooks`,
+  createRateLimiter("general"),
+  authenticateApiKey,
+  authenticateToken,
+  attachPermissionContext,
+  requirePermission(Permissions.SNIPPET_WRITE_SELF),
+  createWebhookRouter("user")
+);
 app.use(`${basePath}/api/share`, createRateLimiter("general"), shareRoutes);
 app.use(
   `${basePath}/api/public/snippets`,
   createRateLimiter("public"),
+  resolveWorkspace,
   requireCommunityMode,
   publicRoutes
 );
@@ -151,6 +193,8 @@ app.get(`${basePath}/*`, (req, res, next) => {
 function handleShutdown() {
   Logger.info("Received shutdown signal, starting graceful shutdown...");
 
+  jobScheduler.stop();
+  auditSinkDispatcher.stop();
   shutdownDatabase();
 
   process.exit(0);
@@ -158,6 +202,8 @@ function handleShutdown() {
 
 (async () => {
   await initializeDatabase();
+  registerBuiltInJobs();
+  jobScheduler.start();
 
   return new Promise((resolve) => {
     app.listen(PORT, () => {
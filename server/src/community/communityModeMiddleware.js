@@ -1,11 +1,18 @@
 import systemConfigRepository from "../core/systemConfigRepository.js";
+import { DEFAULT_WORKSPACE_ID } from "../repositories/workspaceRepository.js";
 
 function isEnabledValue(value) {
   return ["ON", "TRUE", "1", "ENABLED"].includes(String(value).toUpperCase());
 }
 
-export function isCommunityModeEnabled() {
-  const mode = systemConfigRepository.getSetting("community.mode", "OFF");
+// Each workspace publishes its own public library; workspaces without an
+// override follow the instance's community.mode
+export function isCommunityModeEnabled(workspaceId = DEFAULT_WORKSPACE_ID) {
+  const mode = systemConfigRepository.getWorkspaceSetting(
+    workspaceId,
+    "community.mode",
+    "OFF"
+  );
   const publicLibraryFlag = systemConfigRepository.getFeatureFlag(
     "community.public_library",
     true
@@ -15,7 +22,7 @@ export function isCommunityModeEnabled() {
 }
 
 export function requireCommunityMode(req, res, next) {
-  if (!isCommunityModeEnabled()) {
+  if (!isCommunityModeEnabled(req.workspace?.id)) {
     return res.status(404).json({ error: "Community mode is disabled" });
   }
 
@@ -15,9 +15,21 @@ import { up_v1_8_0_pagination } from "./migrations/20260123-pagination.js";
 import { up_v1_9_0_admin_fields } from "./migrations/20260124-admin-fields.js";
 import { up_v1_9_0_cascade_delete } from "./migrations/20260124-cascade-delete.js";
 import { up_v2_0_0_foundation_security } from "./migrations/20260222-foundation-security.js";
+import { up_v2_1_0_snippet_revisions } from "./migrations/20261019-snippet-revisions.js";
+import { up_v2_2_0_snippet_version } from "./migrations/20261019-snippet-version.js";
+import { up_v2_3_0_snippet_search } from "./migrations/20261019-snippet-search.js";
+import { up_v2_4_0_snippet_forks } from "./migrations/20261019-snippet-forks.js";
+import { up_v2_5_0_collections } from "./migrations/20261019-collections.js";
+import { up_v2_6_0_snippet_variables } from "./migrations/20261019-snippet-variables.js";
+import { up_v2_7_0_job_runs } from "./migrations/20261019-job-runs.js";
+import { up_v2_8_0_audit_chain } from "./migrations/20261019-audit-chain.js";
+import { up_v2_9_0_webhooks } from "./migrations/20261019-webhooks.js";
+import { up_v2_10_0_teams } from "./migrations/20261019-teams.js";
+import { up_v2_11_0_snippet_grants } from "./migrations/20261019-snippet-grants.js";
+import { up_v2_12_0_workspaces } from "./migrations/20261019-workspaces.js";
+import { up_v2_13_0_recycled_at } from "./migrations/20261019-recycled-at.js";
 import path from "path";
 let db = null;
-let checkpointInterval = null;
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -42,36 +54,25 @@ function getDatabasePath() {
   return join(dbPath, "snippets.db");
 }
 
-function checkpointDatabase() {
+// Errors are logged; the "database-checkpoint" job asks for them to be
+// thrown so the run is recorded as failed
+function checkpointDatabase({ throwOnError = false } = {}) {
   if (!db) return;
 
   try {
     Logger.debug("Starting database checkpoint...");
     const start = Date.now();
 
-    db.pragma("wal_checkpoint(PASSIVE)");
+    const [result] = db.pragma("wal_checkpoint(PASSIVE)");
 
     const duration = Date.now() - start;
     Logger.debug(`Database checkpoint completed in ${duration}ms`);
+    return result;
   } catch (error) {
     Logger.error("Error during database checkpoint:", error);
-  }
-}
-
-function startCheckpointInterval() {
-  const CHECKPOINT_INTERVAL = 5 * 60 * 1000;
-
-  if (checkpointInterval) {
-    clearInterval(checkpointInterval);
-  }
-
-  checkpointInterval = setInterval(checkpointDatabase, CHECKPOINT_INTERVAL);
-}
-
-function stopCheckpointInterval() {
-  if (checkpointInterval) {
-    clearInterval(checkpointInterval);
-    checkpointInterval = null;
+    if (throwOnError) {
+      throw error;
+    }
   }
 }
 
@@ -139,11 +140,22 @@ function initializeDatabase() {
       up_v1_9_0_admin_fields(db);
       up_v1_9_0_cascade_delete(db);
       up_v2_0_0_foundation_security(db);
+      up_v2_1_0_snippet_revisions(db);
+      up_v2_2_0_snippet_version(db);
+      up_v2_3_0_snippet_search(db);
+      up_v2_4_0_snippet_forks(db);
+      up_v2_5_0_collections(db);
+      up_v2_6_0_snippet_variables(db);
+      up_v2_7_0_job_runs(db);
+      up_v2_8_0_audit_chain(db);
+      up_v2_9_0_webhooks(db);
+      up_v2_10_0_teams(db);
+      up_v2_11_0_snippet_grants(db);
+      up_v2_12_0_workspaces(db);
+      up_v2_13_0_recycled_at(db);
       Logger.debug("All migrations applied successfully");
     }
 
-    startCheckpointInterval();
-
     Logger.debug("Database initialization completed successfully");
     return db;
   } catch (error) {
@@ -167,7 +179,6 @@ function shutdownDatabase() {
       Logger.debug("Performing final database checkpoint...");
       db.pragma("wal_checkpoint(TRUNCATE)");
 
-      stopCheckpointInterval();
       db.close();
       db = null;
 
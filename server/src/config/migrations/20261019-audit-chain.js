@@ -0,0 +1,88 @@
+import Logger from "../../logger.js";
+import { GENESIS_HASH, hashAuditEntry } from "../../security/auditChain.js";
+
+function needsMigration(db) {
+  try {
+    const columns = db.prepare("PRAGMA table_info(audit_logs)").all();
+    return !columns.some((column) => column.name === "hash");
+  } catch (error) {
+    Logger.error("v2.8.0-audit-chain - Error checking migration status:", error);
+    throw error;
+  }
+}
+
+export function up_v2_8_0_audit_chain(db) {
+  if (!needsMigration(db)) {
+    Logger.debug("v2.8.0-audit-chain - Migration not needed");
+    return;
+  }
+
+  Logger.debug("v2.8.0-audit-chain - Starting migration...");
+
+  try {
+    db.pragma("foreign_keys = OFF");
+
+    // Rebuilt without the actor foreign key: ON DELETE SET NULL would
+    // rewrite chained rows whenever a user is deleted
+    db.transaction(() => {
+      db.exec(`
+        CREATE TABLE audit_logs_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          actor_id INTEGER,
+          action TEXT NOT NULL,
+          target_type TEXT,
+          target_id TEXT,
+          metadata TEXT,
+          ip_address TEXT,
+          user_agent TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          prev_hash TEXT,
+          hash TEXT
+        );
+      `);
+
+      // Existing entries become the start of the chain
+      const insert = db.prepare(`
+        INSERT INTO audit_logs_new (
+          id, actor_id, action, target_type, target_id, metadata,
+          ip_address, user_agent, created_at, prev_hash, hash
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      let prevHash = GENESIS_HASH;
+      for (const row of db.prepare("SELECT * FROM audit_logs ORDER BY id").all()) {
+        const hash = hashAuditEntry(row, prevHash);
+        insert.run(
+          row.id,
+          row.actor_id,
+          row.action,
+          row.target_type,
+          row.target_id,
+          row.metadata,
+          row.ip_address,
+          row.user_agent,
+          row.created_at,
+          prevHash,
+          hash
+        );
+        prevHash = hash;
+      }
+
+      db.exec(`
+        DROP TABLE audit_logs;
+        ALTER TABLE audit_logs_new RENAME TO audit_logs;
+
+        CREATE INDEX IF NOT EXISTS idx_audit_logs_actor_id ON audit_logs (actor_id);
+        CREATE INDEX IF NOT EXISTS idx_audit_logs_action ON audit_logs (action);
+        CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs (created_at DESC);
+      `);
+    })();
+
+    db.pragma("foreign_keys = ON");
+
+    Logger.debug("v2.8.0-audit-chain - Migration completed successfully");
+  } catch (error) {
+    db.pragma("foreign_keys = ON");
+    Logger.error("v2.8.0-audit-chain - Migration failed:", error);
+    throw error;
+  }
+}
@@ -0,0 +1,58 @@
+import Logger from "../../logger.js";
+
+function needsMigration(db) {
+  try {
+    const row = db
+      .prepare(
+        `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'collections'`
+      )
+      .get();
+    return !row;
+  } catch (error) {
+    Logger.error("v2.5.0-collections - Error checking migration status:", error);
+    throw error;
+  }
+}
+
+export function up_v2_5_0_collections(db) {
+  if (!needsMigration(db)) {
+    Logger.debug("v2.5.0-collections - Migration not needed");
+    return;
+  }
+
+  Logger.debug("v2.5.0-collections - Starting migration...");
+
+  try {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS collections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        parent_id INTEGER,
+        name TEXT NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (parent_id) REFERENCES collections (id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS collection_snippets (
+        collection_id INTEGER NOT NULL,
+        snippet_id INTEGER NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (collection_id, snippet_id),
+        FOREIGN KEY (collection_id) REFERENCES collections (id) ON DELETE CASCADE,
+        FOREIGN KEY (snippet_id) REFERENCES snippets (id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_collections_user_parent ON collections (user_id, parent_id);
+
+      CREATE INDEX IF NOT EXISTS idx_collection_snippets_snippet_id ON collection_snippets (snippet_id);
+    `);
+
+    Logger.debug("v2.5.0-collections - Migration completed successfully");
+  } catch (error) {
+    Logger.error("v2.5.0-collections - Migration failed:", error);
+    throw error;
+  }
+}
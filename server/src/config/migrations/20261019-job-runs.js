@@ -0,0 +1,49 @@
+import Logger from "../../logger.js";
+
+function needsMigration(db) {
+  try {
+    const row = db
+      .prepare(
+        `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'job_runs'`
+      )
+      .get();
+    return !row;
+  } catch (error) {
+    Logger.error("v2.7.0-job-runs - Error checking migration status:", error);
+    throw error;
+  }
+}
+
+export function up_v2_7_0_job_runs(db) {
+  if (!needsMigration(db)) {
+    Logger.debug("v2.7.0-job-runs - Migration not needed");
+    return;
+  }
+
+  Logger.debug("v2.7.0-job-runs - Starting migration...");
+
+  try {
+    // Run history of the background job scheduler; result is JSON
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS job_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_name TEXT NOT NULL,
+        trigger TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'running',
+        triggered_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        result TEXT,
+        error TEXT,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        finished_at DATETIME,
+        duration_ms INTEGER
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_job_runs_job_name ON job_runs (job_name, id DESC);
+    `);
+
+    Logger.debug("v2.7.0-job-runs - Migration completed successfully");
+  } catch (error) {
+    Logger.error("v2.7.0-job-runs - Migration failed:", error);
+    throw error;
+  }
+}
@@ -0,0 +1,48 @@
+import Logger from "../../logger.js";
+
+function needsMigration(db) {
+  try {
+    const row = db
+      .prepare(
+        `SELECT COUNT(*) as count FROM pragma_table_info('snippets') WHERE name = 'recycled_at'`
+      )
+      .get();
+    return row.count === 0;
+  } catch (error) {
+    Logger.error("v2.13.0-recycled-at - Error checking migration status:", error);
+    throw error;
+  }
+}
+
+export function up_v2_13_0_recycled_at(db) {
+  if (!needsMigration(db)) {
+    Logger.debug("v2.13.0-recycled-at - Migration not needed");
+    return;
+  }
+
+  Logger.debug("v2.13.0-recycled-at - Starting migration...");
+
+  try {
+    // Expiry is derived from the recycle time and the current retention.
+    // Snippets already in the bin are assumed to have been recycled under
+    // the retention in force now.
+    db.exec(`
+      ALTER TABLE snippets ADD COLUMN recycled_at DATETIME DEFAULT NULL;
+
+      UPDATE snippets
+      SET recycled_at = datetime(
+        expiry_date,
+        '-' || COALESCE(
+          (SELECT value FROM system_settings WHERE key = 'recycle.retention_days'),
+          '30'
+        ) || ' days'
+      )
+      WHERE expiry_date IS NOT NULL;
+    `);
+
+    Logger.debug("v2.13.0-recycled-at - Migration completed successfully");
+  } catch (error) {
+    Logger.error("v2.13.0-recycled-at - Migration failed:", error);
+    throw error;
+  }
+}
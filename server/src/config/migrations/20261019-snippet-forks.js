@@ -0,0 +1,37 @@
+import Logger from "../../logger.js";
+
+function needsMigration(db) {
+  try {
+    const row = db
+      .prepare(
+        `SELECT COUNT(*) as count FROM pragma_table_info('snippets') WHERE name = 'forked_from'`
+      )
+      .get();
+    return row.count === 0;
+  } catch (error) {
+    Logger.error("v2.4.0-snippet-forks - Error checking migration status:", error);
+    throw error;
+  }
+}
+
+export function up_v2_4_0_snippet_forks(db) {
+  if (!needsMigration(db)) {
+    Logger.debug("v2.4.0-snippet-forks - Migration not needed");
+    return;
+  }
+
+  Logger.debug("v2.4.0-snippet-forks - Starting migration...");
+
+  try {
+    // Upstream of a forked snippet; cleared if the original is deleted
+    db.exec(`
+      ALTER TABLE snippets ADD COLUMN forked_from INTEGER REFERENCES snippets (id) ON DELETE SET NULL;
+      CREATE INDEX IF NOT EXISTS idx_snippets_forked_from ON snippets (forked_from);
+    `);
+
+    Logger.debug("v2.4.0-snippet-forks - Migration completed successfully");
+  } catch (error) {
+    Logger.error("v2.4.0-snippet-forks - Migration failed:", error);
+    throw error;
+  }
+}
@@ -0,0 +1,52 @@
+import Logger from "../../logger.js";
+
+function needsMigration(db) {
+  try {
+    const row = db
+      .prepare(
+        `SELECT COUNT(*) as count FROM sqlite_master WHERE type = 'table' AND name = 'snippet_grants'`
+      )
+      .get();
+    return row.count === 0;
+  } catch (error) {
+    Logger.error("v2.11.0-snippet-grants - Error checking migration status:", error);
+    throw error;
+  }
+}
+
+export function up_v2_11_0_snippet_grants(db) {
+  if (!needsMigration(db)) {
+    Logger.debug("v2.11.0-snippet-grants - Migration not needed");
+    return;
+  }
+
+  Logger.debug("v2.11.0-snippet-grants - Starting migration...");
+
+  try {
+    // Existing SHARED snippets have no grants and stay owner-only
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS snippet_grants (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        snippet_id INTEGER NOT NULL REFERENCES snippets (id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users (id) ON DELETE CASCADE,
+        team_id INTEGER REFERENCES teams (id) ON DELETE CASCADE,
+        permission TEXT NOT NULL DEFAULT 'read',
+        created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK ((user_id IS NULL) != (team_id IS NULL))
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_snippet_grants_user
+        ON snippet_grants (snippet_id, user_id) WHERE user_id IS NOT NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_snippet_grants_team
+        ON snippet_grants (snippet_id, team_id) WHERE team_id IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_snippet_grants_user_id ON snippet_grants (user_id);
+      CREATE INDEX IF NOT EXISTS idx_snippet_grants_team_id ON snippet_grants (team_id);
+    `);
+
+    Logger.debug("v2.11.0-snippet-grants - Migration completed successfully");
+  } catch (error) {
+    Logger.error("v2.11.0-snippet-grants - Migration failed:", error);
+    throw error;
+  }
+}
@@ -0,0 +1,55 @@
+import Logger from "../../logger.js";
+
+function needsMigration(db) {
+  try {
+    const row = db
+      .prepare(
+        `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'snippet_revisions'`
+      )
+      .get();
+    return !row;
+  } catch (error) {
+    Logger.error("v2.1.0-snippet-revisions - Error checking migration status:", error);
+    throw error;
+  }
+}
+
+export function up_v2_1_0_snippet_revisions(db) {
+  if (!needsMigration(db)) {
+    Logger.debug("v2.1.0-snippet-revisions - Migration not needed");
+    return;
+  }
+
+  Logger.debug("v2.1.0-snippet-revisions - Starting migration...");
+
+  try {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS snippet_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        snippet_id INTEGER NOT NULL,
+        revision INTEGER NOT NULL,
+        source TEXT NOT NULL DEFAULT 'update',
+        title TEXT NOT NULL,
+        description TEXT,
+        visibility TEXT,
+        categories TEXT NOT NULL DEFAULT '[]',
+        fragments TEXT NOT NULL DEFAULT '[]',
+        created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (snippet_id) REFERENCES snippets (id) ON DELETE CASCADE,
+        UNIQUE (snippet_id, revision)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_snippet_revisions_snippet_id ON snippet_revisions (snippet_id, revision DESC);
+
+      INSERT INTO system_settings (key, value)
+      VALUES ('snippets.revisions.max_per_snippet', '50')
+      ON CONFLICT(key) DO NOTHING;
+    `);
+
+    Logger.debug("v2.1.0-snippet-revisions - Migration completed successfully");
+  } catch (error) {
+    Logger.error("v2.1.0-snippet-revisions - Migration failed:", error);
+    throw error;
+  }
+}
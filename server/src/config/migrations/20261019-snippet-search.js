@@ -0,0 +1,167 @@
+import Logger from "../../logger.js";
+
+function needsMigration(db) {
+  try {
+    const row = db
+      .prepare(
+        `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'snippets_fts'`
+      )
+      .get();
+    return !row;
+  } catch (error) {
+    Logger.error("v2.3.0-snippet-search - Error checking migration status:", error);
+    throw error;
+  }
+}
+
+export function up_v2_3_0_snippet_search(db) {
+  if (!needsMigration(db)) {
+    Logger.debug("v2.3.0-snippet-search - Migration not needed");
+    return;
+  }
+
+  Logger.debug("v2.3.0-snippet-search - Starting migration...");
+
+  try {
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS snippets_fts USING fts5 (
+          title,
+          description,
+          categories,
+          code,
+          tokenize = 'unicode61 remove_diacritics 2'
+      );
+
+      CREATE TRIGGER IF NOT EXISTS snippets_fts_snippet_insert AFTER INSERT ON snippets
+      BEGIN
+          DELETE FROM snippets_fts WHERE rowid = new.id;
+          INSERT INTO snippets_fts (rowid, title, description, categories, code)
+          SELECT
+              s.id,
+              s.title,
+              COALESCE(s.description, ''),
+              COALESCE((SELECT group_concat(name, ' ') FROM categories WHERE snippet_id = s.id), ''),
+              COALESCE((SELECT group_concat(code, char(10)) FROM fragments WHERE snippet_id = s.id), '')
+          FROM snippets s
+          WHERE s.id = new.id;
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS snippets_fts_snippet_update AFTER UPDATE OF title, description ON snippets
+      BEGIN
+          DELETE FROM snippets_fts WHERE rowid = new.id;
+          INSERT INTO snippets_fts (rowid, title, description, categories, code)
+          SELECT
+              s.id,
+              s.title,
+              COALESCE(s.description, ''),
+              COALESCE((SELECT group_concat(name, ' ') FROM categories WHERE snippet_id = s.id), ''),
+              COALESCE((SELECT group_concat(code, char(10)) FROM fragments WHERE snippet_id = s.id), '')
+          FROM snippets s
+          WHERE s.id = new.id;
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS snippets_fts_snippet_delete AFTER DELETE ON snippets
+      BEGIN
+          DELETE FROM snippets_fts WHERE rowid = old.id;
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS snippets_fts_category_insert AFTER INSERT ON categories
+      BEGIN
+          DELETE FROM snippets_fts WHERE rowid = new.snippet_id;
+          INSERT INTO snippets_fts (rowid, title, description, categories, code)
+          SELECT
+              s.id,
+              s.title,
+              COALESCE(s.description, ''),
+              COALESCE((SELECT group_concat(name, ' ') FROM categories WHERE snippet_id = s.id), ''),
+              COALESCE((SELECT group_concat(code, char(10)) FROM fragments WHERE snippet_id = s.id), '')
+          FROM snippets s
+          WHERE s.id = new.snippet_id;
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS snippets_fts_category_update AFTER UPDATE ON categories
+      BEGIN
+          DELETE FROM snippets_fts WHERE rowid = new.snippet_id;
+          INSERT INTO snippets_fts (rowid, title, description, categories, code)
+          SELECT
+              s.id,
+              s.title,
+              COALESCE(s.description, ''),
+              COALESCE((SELECT group_concat(name, ' ') FROM categories WHERE snippet_id = s.id), ''),
+              COALESCE((SELECT group_concat(code, char(10)) FROM fragments WHERE snippet_id = s.id), '')
+          FROM snippets s
+          WHERE s.id = new.snippet_id;
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS snippets_fts_category_delete AFTER DELETE ON categories
+      BEGIN
+          DELETE FROM snippets_fts WHERE rowid = old.snippet_id;
+          INSERT INTO snippets_fts (rowid, title, description, categories, code)
+          SELECT
+              s.id,
+              s.title,
+              COALESCE(s.description, ''),
+              COALESCE((SELECT group_concat(name, ' ') FROM categories WHERE snippet_id = s.id), ''),
+              COALESCE((SELECT group_concat(code, char(10)) FROM fragments WHERE snippet_id = s.id), '')
+          FROM snippets s
+          WHERE s.id = old.snippet_id;
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS snippets_fts_fragment_insert AFTER INSERT ON fragments
+      BEGIN
+          DELETE FROM snippets_fts WHERE rowid = new.snippet_id;
+          INSERT INTO snippets_fts (rowid, title, description, categories, code)
+          SELECT
+              s.id,
+              s.title,
+              COALESCE(s.description, ''),
+              COALESCE((SELECT group_concat(name, ' ') FROM categories WHERE snippet_id = s.id), ''),
+              COALESCE((SELECT group_concat(code, char(10)) FROM fragments WHERE snippet_id = s.id), '')
+          FROM snippets s
+          WHERE s.id = new.snippet_id;
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS snippets_fts_fragment_update AFTER UPDATE OF code ON fragments
+      BEGIN
+          DELETE FROM snippets_fts WHERE rowid = new.snippet_id;
+          INSERT INTO snippets_fts (rowid, title, description, categories, code)
+          SELECT
+              s.id,
+              s.title,
+              COALESCE(s.description, ''),
+              COALESCE((SELECT group_concat(name, ' ') FROM categories WHERE snippet_id = s.id), ''),
+              COALESCE((SELECT group_concat(code, char(10)) FROM fragments WHERE snippet_id = s.id), '')
+          FROM snippets s
+          WHERE s.id = new.snippet_id;
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS snippets_fts_fragment_delete AFTER DELETE ON fragments
+      BEGIN
+          DELETE FROM snippets_fts WHERE rowid = old.snippet_id;
+          INSERT INTO snippets_fts (rowid, title, description, categories, code)
+          SELECT
+              s.id,
+              s.title,
+              COALESCE(s.description, ''),
+              COALESCE((SELECT group_concat(name, ' ') FROM categories WHERE snippet_id = s.id), ''),
+              COALESCE((SELECT group_concat(code, char(10)) FROM fragments WHERE snippet_id = s.id), '')
+          FROM snippets s
+          WHERE s.id = old.snippet_id;
+      END;
+
+      INSERT INTO snippets_fts (rowid, title, description, categories, code)
+      SELECT
+          s.id,
+          s.title,
+          COALESCE(s.description, ''),
+          COALESCE((SELECT group_concat(name, ' ') FROM categories WHERE snippet_id = s.id), ''),
+          COALESCE((SELECT group_concat(code, char(10)) FROM fragments WHERE snippet_id = s.id), '')
+      FROM snippets s;
+    `);
+
+    Logger.debug("v2.3.0-snippet-search - Migration completed successfully");
+  } catch (error) {
+    Logger.error("v2.3.0-snippet-search - Migration failed:", error);
+    throw error;
+  }
+}
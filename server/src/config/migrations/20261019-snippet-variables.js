@@ -0,0 +1,48 @@
+import Logger from "../../logger.js";
+
+function needsMigration(db) {
+  try {
+    const row = db
+      .prepare(
+        `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'snippet_variables'`
+      )
+      .get();
+    return !row;
+  } catch (error) {
+    Logger.error("v2.6.0-snippet-variables - Error checking migration status:", error);
+    throw error;
+  }
+}
+
+export function up_v2_6_0_snippet_variables(db) {
+  if (!needsMigration(db)) {
+    Logger.debug("v2.6.0-snippet-variables - Migration not needed");
+    return;
+  }
+
+  Logger.debug("v2.6.0-snippet-variables - Starting migration...");
+
+  try {
+    // Template variable schema; default_value and options are JSON
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS snippet_variables (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        snippet_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL DEFAULT 'string',
+        default_value TEXT,
+        required BOOLEAN NOT NULL DEFAULT FALSE,
+        description TEXT,
+        options TEXT,
+        position INTEGER NOT NULL DEFAULT 0,
+        FOREIGN KEY (snippet_id) REFERENCES snippets (id) ON DELETE CASCADE,
+        UNIQUE (snippet_id, name)
+      );
+    `);
+
+    Logger.debug("v2.6.0-snippet-variables - Migration completed successfully");
+  } catch (error) {
+    Logger.error("v2.6.0-snippet-variables - Migration failed:", error);
+    throw error;
+  }
+}
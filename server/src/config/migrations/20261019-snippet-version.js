@@ -0,0 +1,34 @@
+import Logger from "../../logger.js";
+
+function needsMigration(db) {
+  try {
+    const row = db
+      .prepare(
+        `SELECT COUNT(*) as count FROM pragma_table_info('snippets') WHERE name = 'version'`
+      )
+      .get();
+    return row.count === 0;
+  } catch (error) {
+    Logger.error("v2.2.0-snippet-version - Error checking migration status:", error);
+    throw error;
+  }
+}
+
+export function up_v2_2_0_snippet_version(db) {
+  if (!needsMigration(db)) {
+    Logger.debug("v2.2.0-snippet-version - Migration not needed");
+    return;
+  }
+
+  Logger.debug("v2.2.0-snippet-version - Starting migration...");
+
+  try {
+    // Monotonic counter backing the ETag / If-Match checks on snippet writes
+    db.exec(`ALTER TABLE snippets ADD COLUMN version INTEGER NOT NULL DEFAULT 1;`);
+
+    Logger.debug("v2.2.0-snippet-version - Migration completed successfully");
+  } catch (error) {
+    Logger.error("v2.2.0-snippet-version - Migration failed:", error);
+    throw error;
+  }
+}
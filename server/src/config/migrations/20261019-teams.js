@@ -0,0 +1,56 @@
+import Logger from "../../logger.js";
+
+function needsMigration(db) {
+  try {
+    const row = db
+      .prepare(
+        `SELECT COUNT(*) as count FROM pragma_table_info('snippets') WHERE name = 'team_id'`
+      )
+      .get();
+    return row.count === 0;
+  } catch (error) {
+    Logger.error("v2.10.0-teams - Error checking migration status:", error);
+    throw error;
+  }
+}
+
+export function up_v2_10_0_teams(db) {
+  if (!needsMigration(db)) {
+    Logger.debug("v2.10.0-teams - Migration not needed");
+    return;
+  }
+
+  Logger.debug("v2.10.0-teams - Starting migration...");
+
+  try {
+    // TEAM snippets existed before teams did and stay visible to their owner
+    // only until they are assigned to a team
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS teams (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        description TEXT,
+        created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS team_members (
+        team_id INTEGER NOT NULL REFERENCES teams (id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        role TEXT NOT NULL DEFAULT 'member',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (team_id, user_id)
+      );
+
+      ALTER TABLE snippets ADD COLUMN team_id INTEGER REFERENCES teams (id) ON DELETE SET NULL;
+      CREATE INDEX IF NOT EXISTS idx_snippets_team_id ON snippets (team_id);
+      CREATE INDEX IF NOT EXISTS idx_team_members_user_id ON team_members (user_id);
+    `);
+
+    Logger.debug("v2.10.0-teams - Migration completed successfully");
+  } catch (error) {
+    Logger.error("v2.10.0-teams - Migration failed:", error);
+    throw error;
+  }
+}
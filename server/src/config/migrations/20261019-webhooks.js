@@ -0,0 +1,67 @@
+import Logger from "../../logger.js";
+
+function needsMigration(db) {
+  try {
+    const row = db
+      .prepare(
+        `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'webhooks'`
+      )
+      .get();
+    return !row;
+  } catch (error) {
+    Logger.error("v2.9.0-webhooks - Error checking migration status:", error);
+    throw error;
+  }
+}
+
+export function up_v2_9_0_webhooks(db) {
+  if (!needsMigration(db)) {
+    Logger.debug("v2.9.0-webhooks - Migration not needed");
+    return;
+  }
+
+  Logger.debug("v2.9.0-webhooks - Starting migration...");
+
+  try {
+    // Outbound webhook subscriptions and their delivery log
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        scope TEXT NOT NULL DEFAULT 'user',
+        name TEXT NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL,
+        categories TEXT,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        error TEXT,
+        duration_ms INTEGER,
+        next_attempt_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        delivered_at DATETIME
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_webhooks_user_id ON webhooks (user_id);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries (webhook_id, id DESC);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+    `);
+
+    Logger.debug("v2.9.0-webhooks - Migration completed successfully");
+  } catch (error) {
+    Logger.error("v2.9.0-webhooks - Migration failed:", error);
+    throw error;
+  }
+}
@@ -0,0 +1,98 @@
+import Logger from "../../logger.js";
+
+function needsMigration(db) {
+  try {
+    const row = db
+      .prepare(
+        `SELECT COUNT(*) as count FROM sqlite_master WHERE type = 'table' AND name = 'workspaces'`
+      )
+      .get();
+    return row.count === 0;
+  } catch (error) {
+    Logger.error("v2.12.0-workspaces - Error checking migration status:", error);
+    throw error;
+  }
+}
+
+export function up_v2_12_0_workspaces(db) {
+  if (!needsMigration(db)) {
+    Logger.debug("v2.12.0-workspaces - Migration not needed");
+    return;
+  }
+
+  Logger.debug("v2.12.0-workspaces - Starting migration...");
+
+  try {
+    // Team names become unique per workspace; SQLite cannot drop the column
+    // constraint, so the teams table is rebuilt with its workspace_id
+    db.pragma("foreign_keys = OFF");
+
+    // Everything that exists moves into the default workspace. Existing audit
+    // entries keep a NULL workspace_id: it is part of the hash once set, so
+    // backfilling would break the chain.
+    db.exec(`
+      BEGIN TRANSACTION;
+
+      CREATE TABLE IF NOT EXISTS workspaces (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        slug TEXT NOT NULL UNIQUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      INSERT OR IGNORE INTO workspaces (id, name, slug) VALUES (1, 'Default', 'default');
+
+      CREATE TABLE IF NOT EXISTS workspace_settings (
+        workspace_id INTEGER NOT NULL REFERENCES workspaces (id) ON DELETE CASCADE,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        PRIMARY KEY (workspace_id, key)
+      );
+
+      ALTER TABLE users ADD COLUMN workspace_id INTEGER NOT NULL DEFAULT 1;
+      ALTER TABLE snippets ADD COLUMN workspace_id INTEGER NOT NULL DEFAULT 1;
+
+      CREATE TABLE teams_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL COLLATE NOCASE,
+        description TEXT,
+        created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        workspace_id INTEGER NOT NULL DEFAULT 1
+      );
+
+      INSERT INTO teams_new (id, name, description, created_by, created_at, updated_at)
+      SELECT id, name, description, created_by, created_at, updated_at
+      FROM teams;
+
+      DROP TABLE teams;
+      ALTER TABLE teams_new RENAME TO teams;
+
+      ALTER TABLE audit_logs ADD COLUMN workspace_id INTEGER;
+
+      CREATE INDEX IF NOT EXISTS idx_users_workspace_id ON users (workspace_id);
+      CREATE INDEX IF NOT EXISTS idx_snippets_workspace_visibility ON snippets (workspace_id, visibility);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_teams_workspace_name ON teams (workspace_id, name);
+      CREATE INDEX IF NOT EXISTS idx_audit_logs_workspace_id ON audit_logs (workspace_id);
+
+      COMMIT;
+    `);
+
+    db.pragma("foreign_keys = ON");
+
+    Logger.debug("v2.12.0-workspaces - Migration completed successfully");
+  } catch (error) {
+    Logger.error("v2.12.0-workspaces - Migration failed:", error);
+    try {
+      db.exec("ROLLBACK;");
+      db.pragma("foreign_keys = ON");
+    } catch (rollbackError) {
+      Logger.error("v2.12.0-workspaces - Rollback failed:", rollbackError);
+    }
+    throw error;
+  }
+}
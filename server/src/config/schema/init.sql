@@ -1,3 +1,16 @@
+-- Top-level tenant scope. Users, snippets and teams carry a workspace_id
+-- without a foreign key so the column could be added to existing tables;
+-- workspaces are only deleted once empty. Workspace 1 is the default.
+CREATE TABLE IF NOT EXISTS workspaces (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    slug TEXT NOT NULL UNIQUE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT OR IGNORE INTO workspaces (id, name, slug) VALUES (1, 'Default', 'default');
+
 CREATE TABLE IF NOT EXISTS users (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     username TEXT UNIQUE NOT NULL,
@@ -16,7 +29,8 @@ CREATE TABLE IF NOT EXISTS users (
     force_password_reset BOOLEAN DEFAULT FALSE,
     session_version INTEGER NOT NULL DEFAULT 1,
     last_login_at DATETIME,
-    is_active BOOLEAN DEFAULT TRUE
+    is_active BOOLEAN DEFAULT TRUE,
+    workspace_id INTEGER NOT NULL DEFAULT 1
 );
 
 CREATE TABLE IF NOT EXISTS snippets (
@@ -29,7 +43,45 @@ CREATE TABLE IF NOT EXISTS snippets (
     is_public BOOLEAN DEFAULT FALSE,
     visibility TEXT NOT NULL DEFAULT 'PRIVATE',
     is_pinned BOOLEAN DEFAULT FALSE,
-    is_favorite BOOLEAN DEFAULT FALSE
+    is_favorite BOOLEAN DEFAULT FALSE,
+    version INTEGER NOT NULL DEFAULT 1,
+    forked_from INTEGER REFERENCES snippets (id) ON DELETE SET NULL,
+    team_id INTEGER REFERENCES teams (id) ON DELETE SET NULL,
+    workspace_id INTEGER NOT NULL DEFAULT 1,
+    recycled_at DATETIME DEFAULT NULL
+);
+
+-- Groups of users. TEAM snippets are visible to the members of their
+-- team_id; maintainers manage the team and its members
+CREATE TABLE IF NOT EXISTS teams (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL COLLATE NOCASE,
+    description TEXT,
+    created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    workspace_id INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE IF NOT EXISTS team_members (
+    team_id INTEGER NOT NULL REFERENCES teams (id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    role TEXT NOT NULL DEFAULT 'member',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (team_id, user_id)
+);
+
+-- Read or edit access to a SHARED snippet for one user or one team.
+-- Grants only apply while the snippet's visibility is SHARED
+CREATE TABLE IF NOT EXISTS snippet_grants (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    snippet_id INTEGER NOT NULL REFERENCES snippets (id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users (id) ON DELETE CASCADE,
+    team_id INTEGER REFERENCES teams (id) ON DELETE CASCADE,
+    permission TEXT NOT NULL DEFAULT 'read',
+    created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((user_id IS NULL) != (team_id IS NULL))
 );
 
 CREATE TABLE IF NOT EXISTS categories (
@@ -49,6 +101,57 @@ CREATE TABLE IF NOT EXISTS fragments (
     FOREIGN KEY (snippet_id) REFERENCES snippets (id) ON DELETE CASCADE
 );
 
+CREATE TABLE IF NOT EXISTS snippet_variables (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    snippet_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'string',
+    default_value TEXT,
+    required BOOLEAN NOT NULL DEFAULT FALSE,
+    description TEXT,
+    options TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    FOREIGN KEY (snippet_id) REFERENCES snippets (id) ON DELETE CASCADE,
+    UNIQUE (snippet_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS snippet_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    snippet_id INTEGER NOT NULL,
+    revision INTEGER NOT NULL,
+    source TEXT NOT NULL DEFAULT 'update',
+    title TEXT NOT NULL,
+    description TEXT,
+    visibility TEXT,
+    categories TEXT NOT NULL DEFAULT '[]',
+    fragments TEXT NOT NULL DEFAULT '[]',
+    created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (snippet_id) REFERENCES snippets (id) ON DELETE CASCADE,
+    UNIQUE (snippet_id, revision)
+);
+
+CREATE TABLE IF NOT EXISTS collections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    parent_id INTEGER,
+    name TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+    FOREIGN KEY (parent_id) REFERENCES collections (id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS collection_snippets (
+    collection_id INTEGER NOT NULL,
+    snippet_id INTEGER NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (collection_id, snippet_id),
+    FOREIGN KEY (collection_id) REFERENCES collections (id) ON DELETE CASCADE,
+    FOREIGN KEY (snippet_id) REFERENCES snippets (id) ON DELETE CASCADE
+);
+
 CREATE TABLE IF NOT EXISTS shared_snippets (
     id TEXT PRIMARY KEY,
     snippet_id INTEGER NOT NULL,
@@ -76,6 +179,17 @@ CREATE TABLE IF NOT EXISTS system_settings (
     updated_by INTEGER REFERENCES users (id) ON DELETE SET NULL
 );
 
+-- Per-workspace overrides of system_settings (registration.mode and
+-- community.mode); missing keys fall back to the instance setting
+CREATE TABLE IF NOT EXISTS workspace_settings (
+    workspace_id INTEGER NOT NULL REFERENCES workspaces (id) ON DELETE CASCADE,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    PRIMARY KEY (workspace_id, key)
+);
+
 CREATE TABLE IF NOT EXISTS feature_flags (
     key TEXT PRIMARY KEY,
     enabled BOOLEAN NOT NULL DEFAULT FALSE,
@@ -84,16 +198,65 @@ CREATE TABLE IF NOT EXISTS feature_flags (
     updated_by INTEGER REFERENCES users (id) ON DELETE SET NULL
 );
 
+-- Entries are hash chained (see security/auditChain.js); actor_id has no
+-- foreign key so deleting a user does not rewrite hashed rows
 CREATE TABLE IF NOT EXISTS audit_logs (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    actor_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    actor_id INTEGER,
     action TEXT NOT NULL,
     target_type TEXT,
     target_id TEXT,
     metadata TEXT,
     ip_address TEXT,
     user_agent TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    prev_hash TEXT,
+    hash TEXT,
+    workspace_id INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS job_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_name TEXT NOT NULL,
+    trigger TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'running',
+    triggered_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    result TEXT,
+    error TEXT,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME,
+    duration_ms INTEGER
+);
+
+-- Outbound webhooks: scope 'user' fires for the owner's snippets, 'admin'
+-- for everyone's. events and categories are JSON arrays
+CREATE TABLE IF NOT EXISTS webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    scope TEXT NOT NULL DEFAULT 'user',
+    name TEXT NOT NULL,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    events TEXT NOT NULL,
+    categories TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    error TEXT,
+    duration_ms INTEGER,
+    next_attempt_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    delivered_at DATETIME
 );
 
 CREATE INDEX IF NOT EXISTS idx_users_username ON users (username);
@@ -106,16 +269,43 @@ CREATE INDEX IF NOT EXISTS idx_users_role ON users (role);
 
 CREATE INDEX IF NOT EXISTS idx_users_status ON users (status);
 
+CREATE INDEX IF NOT EXISTS idx_users_workspace_id ON users (workspace_id);
+
 CREATE INDEX IF NOT EXISTS idx_snippets_user_id ON snippets (user_id);
 
 CREATE INDEX IF NOT EXISTS idx_snippets_visibility ON snippets (visibility);
 
 CREATE INDEX IF NOT EXISTS idx_snippets_user_visibility ON snippets (user_id, visibility);
 
+CREATE INDEX IF NOT EXISTS idx_snippets_forked_from ON snippets (forked_from);
+
+CREATE INDEX IF NOT EXISTS idx_snippets_team_id ON snippets (team_id);
+
+CREATE INDEX IF NOT EXISTS idx_snippets_workspace_visibility ON snippets (workspace_id, visibility);
+
+-- Team names are unique within their workspace
+CREATE UNIQUE INDEX IF NOT EXISTS idx_teams_workspace_name ON teams (workspace_id, name);
+
+CREATE INDEX IF NOT EXISTS idx_team_members_user_id ON team_members (user_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_snippet_grants_user ON snippet_grants (snippet_id, user_id) WHERE user_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_snippet_grants_team ON snippet_grants (snippet_id, team_id) WHERE team_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_snippet_grants_user_id ON snippet_grants (user_id);
+
+CREATE INDEX IF NOT EXISTS idx_snippet_grants_team_id ON snippet_grants (team_id);
+
 CREATE INDEX IF NOT EXISTS idx_categories_snippet_id ON categories (snippet_id);
 
 CREATE INDEX IF NOT EXISTS idx_fragments_snippet_id ON fragments (snippet_id);
 
+CREATE INDEX IF NOT EXISTS idx_snippet_revisions_snippet_id ON snippet_revisions (snippet_id, revision DESC);
+
+CREATE INDEX IF NOT EXISTS idx_collections_user_parent ON collections (user_id, parent_id);
+
+CREATE INDEX IF NOT EXISTS idx_collection_snippets_snippet_id ON collection_snippets (snippet_id);
+
 CREATE INDEX IF NOT EXISTS idx_shared_snippets_snippet_id ON shared_snippets (snippet_id);
 
 CREATE INDEX idx_snippets_is_public ON snippets (is_public);
@@ -135,6 +325,142 @@ CREATE INDEX IF NOT EXISTS idx_audit_logs_action ON audit_logs (action);
 
 CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs (created_at DESC);
 
+CREATE INDEX IF NOT EXISTS idx_audit_logs_workspace_id ON audit_logs (workspace_id);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_name ON job_runs (job_name, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_user_id ON webhooks (user_id);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries (webhook_id, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+
+-- Full-text search index, kept in sync by the triggers below
+CREATE VIRTUAL TABLE IF NOT EXISTS snippets_fts USING fts5 (
+    title,
+    description,
+    categories,
+    code,
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS snippets_fts_snippet_insert AFTER INSERT ON snippets
+BEGIN
+    DELETE FROM snippets_fts WHERE rowid = new.id;
+    INSERT INTO snippets_fts (rowid, title, description, categories, code)
+    SELECT
+        s.id,
+        s.title,
+        COALESCE(s.description, ''),
+        COALESCE((SELECT group_concat(name, ' ') FROM categories WHERE snippet_id = s.id), ''),
+        COALESCE((SELECT group_concat(code, char(10)) FROM fragments WHERE snippet_id = s.id), '')
+    FROM snippets s
+    WHERE s.id = new.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS snippets_fts_snippet_update AFTER UPDATE OF title, description ON snippets
+BEGIN
+    DELETE FROM snippets_fts WHERE rowid = new.id;
+    INSERT INTO snippets_fts (rowid, title, description, categories, code)
+    SELECT
+        s.id,
+        s.title,
+        COALESCE(s.description, ''),
+        COALESCE((SELECT group_concat(name, ' ') FROM categories WHERE snippet_id = s.id), ''),
+        COALESCE((SELECT group_concat(code, char(10)) FROM fragments WHERE snippet_id = s.id), '')
+    FROM snippets s
+    WHERE s.id = new.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS snippets_fts_snippet_delete AFTER DELETE ON snippets
+BEGIN
+    DELETE FROM snippets_fts WHERE rowid = old.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS snippets_fts_category_insert AFTER INSERT ON categories
+BEGIN
+    DELETE FROM snippets_fts WHERE rowid = new.snippet_id;
+    INSERT INTO snippets_fts (rowid, title, description, categories, code)
+    SELECT
+        s.id,
+        s.title,
+        COALESCE(s.description, ''),
+        COALESCE((SELECT group_concat(name, ' ') FROM categories WHERE snippet_id = s.id), ''),
+        COALESCE((SELECT group_concat(code, char(10)) FROM fragments WHERE snippet_id = s.id), '')
+    FROM snippets s
+    WHERE s.id = new.snippet_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS snippets_fts_category_update AFTER UPDATE ON categories
+BEGIN
+    DELETE FROM snippets_fts WHERE rowid = new.snippet_id;
+    INSERT INTO snippets_fts (rowid, title, description, categories, code)
+    SELECT
+        s.id,
+        s.title,
+        COALESCE(s.description, ''),
+        COALESCE((SELECT group_concat(name, ' ') FROM categories WHERE snippet_id = s.id), ''),
+        COALESCE((SELECT group_concat(code, char(10)) FROM fragments WHERE snippet_id = s.id), '')
+    FROM snippets s
+    WHERE s.id = new.snippet_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS snippets_fts_category_delete AFTER DELETE ON categories
+BEGIN
+    DELETE FROM snippets_fts WHERE rowid = old.snippet_id;
+    INSERT INTO snippets_fts (rowid, title, description, categories, code)
+    SELECT
+        s.id,
+        s.title,
+        COALESCE(s.description, ''),
+        COALESCE((SELECT group_concat(name, ' ') FROM categories WHERE snippet_id = s.id), ''),
+        COALESCE((SELECT group_concat(code, char(10)) FROM fragments WHERE snippet_id = s.id), '')
+    FROM snippets s
+    WHERE s.id = old.snippet_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS snippets_fts_fragment_insert AFTER INSERT ON fragments
+BEGIN
+    DELETE FROM snippets_fts WHERE rowid = new.snippet_id;
+    INSERT INTO snippets_fts (rowid, title, description, categories, code)
+    SELECT
+        s.id,
+        s.title,
+        COALESCE(s.description, ''),
+        COALESCE((SELECT group_concat(name, ' ') FROM categories WHERE snippet_id = s.id), ''),
+        COALESCE((SELECT group_concat(code, char(10)) FROM fragments WHERE snippet_id = s.id), '')
+    FROM snippets s
+    WHERE s.id = new.snippet_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS snippets_fts_fragment_update AFTER UPDATE OF code ON fragments
+BEGIN
+    DELETE FROM snippets_fts WHERE rowid = new.snippet_id;
+    INSERT INTO snippets_fts (rowid, title, description, categories, code)
+    SELECT
+        s.id,
+        s.title,
+        COALESCE(s.description, ''),
+        COALESCE((SELECT group_concat(name, ' ') FROM categories WHERE snippet_id = s.id), ''),
+        COALESCE((SELECT group_concat(code, char(10)) FROM fragments WHERE snippet_id = s.id), '')
+    FROM snippets s
+    WHERE s.id = new.snippet_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS snippets_fts_fragment_delete AFTER DELETE ON fragments
+BEGIN
+    DELETE FROM snippets_fts WHERE rowid = old.snippet_id;
+    INSERT INTO snippets_fts (rowid, title, description, categories, code)
+    SELECT
+        s.id,
+        s.title,
+        COALESCE(s.description, ''),
+        COALESCE((SELECT group_concat(name, ' ') FROM categories WHERE snippet_id = s.id), ''),
+        COALESCE((SELECT group_concat(code, char(10)) FROM fragments WHERE snippet_id = s.id), '')
+    FROM snippets s
+    WHERE s.id = old.snippet_id;
+END;
+
 INSERT INTO system_settings (key, value)
 VALUES
     ('registration.mode', 'OPEN'),
@@ -145,7 +471,9 @@ VALUES
     ('security.rate_limit.window_ms', '60000'),
     ('security.rate_limit.auth_max', '20'),
     ('security.rate_limit.public_max', '120'),
-    ('security.rate_limit.general_max', '300')
+    ('security.rate_limit.general_max', '300'),
+    ('snippets.revisions.max_per_snippet', '50'),
+    ('recycle.retention_days', '30')
 ON CONFLICT(key) DO NOTHING;
 
 INSERT INTO feature_flags (key, enabled, description)
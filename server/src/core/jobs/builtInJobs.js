@@ -0,0 +1,54 @@
+import jobScheduler from "./jobScheduler.js";
+import { checkpointDatabase } from "../../config/database.js";
+import { pruneRateLimitBuckets } from "../../security/rateLimit.js";
+import { OIDCConfig } from "../../oidc/oidcConfig.js";
+import snippetService from "../../services/snippetService.js";
+import webhookService from "../../services/webhookService.js";
+import Logger from "../../logger.js";
+
+// The periodic work of the server. New jobs register here with a default
+// schedule; admins can change it in the Jobs tab.
+export function registerBuiltInJobs() {
+  jobScheduler.register({
+    name: "database-checkpoint",
+    description: "Copies the SQLite write-ahead log into the database file",
+    schedule: "*/5 * * * *",
+    handler: () => checkpointDatabase({ throwOnError: true }) || null,
+  });
+
+  jobScheduler.register({
+    name: "rate-limit-cleanup",
+    description: "Forgets rate limit counters of clients that went quiet",
+    schedule: "* * * * *",
+    handler: () => ({ removed: pruneRateLimitBuckets() }),
+  });
+
+  jobScheduler.register({
+    name: "oidc-state-cleanup",
+    description: "Drops single sign-on logins that were never completed",
+    schedule: "*/5 * * * *",
+    handler: () => ({ removed: OIDCConfig.instance?.pruneExpiredStates() ?? 0 }),
+  });
+
+  jobScheduler.register({
+    name: "recycle-bin-purge",
+    description: "Deletes recycled snippets whose retention ran out",
+    schedule: "0 * * * *",
+    runOnStart: true,
+    handler: async () => {
+      const deleted = await snippetService.deleteExpiredSnippets();
+      if (deleted > 0) {
+        Logger.info(`Recycle bin purge: deleted ${deleted} expired snippets`);
+      }
+      return { deleted };
+    },
+  });
+
+  jobScheduler.register({
+    name: "webhook-delivery",
+    description: "Retries webhook deliveries that failed, with growing delays",
+    schedule: "* * * * *",
+    runOnStart: true,
+    handler: () => webhookService.deliverDue(),
+  });
+}
@@ -0,0 +1,122 @@
+// Five-field cron expressions: minute, hour, day of month, month, day of
+// week. Fields take "*", numbers, ranges "1-5", steps "*/15" or "0-30/10"
+// and lists "1,15". Day of week runs 0-6 from Sunday, 7 is Sunday as well.
+// Schedules are evaluated in UTC.
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+const ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+// Far enough to reach any valid day/month combination, including 29 Feb
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+function invalidSchedule(expression, reason) {
+  return new Error(`Invalid schedule "${expression}": ${reason}`);
+}
+
+function parseField(part, field, expression) {
+  const values = new Set();
+
+  for (const item of part.split(",")) {
+    const match = /^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(item);
+    if (!match) {
+      throw invalidSchedule(expression, `"${item}" is not a valid ${field.name}`);
+    }
+
+    const [, wildcard, from, to, step] = match;
+    let start = field.min;
+    let end = field.max;
+    if (!wildcard) {
+      start = Number(from);
+      // "5/10" means every 10 starting at 5
+      end = to !== undefined ? Number(to) : step !== undefined ? field.max : start;
+    }
+    const increment = step !== undefined ? Number(step) : 1;
+
+    if (start < field.min || end > field.max || start > end || increment < 1) {
+      throw invalidSchedule(expression, `${field.name} "${item}" is out of range`);
+    }
+    for (let value = start; value <= end; value += increment) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+export function parseSchedule(expression) {
+  const source = String(expression ?? "").trim();
+  const fields = (ALIASES[source] || source).split(/\s+/);
+  if (fields.length !== FIELDS.length) {
+    throw invalidSchedule(source, "expected 5 fields");
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((part, index) =>
+    parseField(part, FIELDS[index], source)
+  );
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    expression: source,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // As in cron, a restricted day of month and day of week match either
+    eitherDay: fields[2] !== "*" && fields[4] !== "*",
+  };
+}
+
+function matchesDay(schedule, date) {
+  const day = schedule.days.has(date.getUTCDate());
+  const weekday = schedule.weekdays.has(date.getUTCDay());
+  return schedule.eitherDay ? day || weekday : day && weekday;
+}
+
+export function matchesSchedule(schedule, date) {
+  return (
+    schedule.minutes.has(date.getUTCMinutes()) &&
+    schedule.hours.has(date.getUTCHours()) &&
+    schedule.months.has(date.getUTCMonth() + 1) &&
+    matchesDay(schedule, date)
+  );
+}
+
+// The first matching minute after `from`, or null when the expression can
+// never match (e.g. "0 0 31 2 *")
+export function nextRunAfter(schedule, from = new Date()) {
+  const date = new Date(from);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  const limit = date.getTime() + SEARCH_LIMIT_MS;
+
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
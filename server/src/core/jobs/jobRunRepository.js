@@ -0,0 +1,152 @@
+import { getDb } from "../../config/database.js";
+import Logger from "../../logger.js";
+
+// Runs kept per job; older ones are pruned when a run finishes
+const HISTORY_PER_JOB = 100;
+
+class JobRunRepository {
+  constructor() {
+    this.insertStmt = null;
+    this.finishStmt = null;
+    this.selectByIdStmt = null;
+    this.listStmt = null;
+    this.countStmt = null;
+    this.lastRunStmt = null;
+    this.pruneStmt = null;
+    this.abandonStmt = null;
+  }
+
+  #initializeStatements() {
+    if (this.insertStmt) {
+      return;
+    }
+
+    const db = getDb();
+    const columns = `
+      jr.id,
+      jr.job_name,
+      jr.trigger,
+      jr.status,
+      jr.triggered_by,
+      u.username AS triggered_by_username,
+      jr.result,
+      jr.error,
+      datetime(jr.started_at) || 'Z' AS started_at,
+      CASE WHEN jr.finished_at IS NULL THEN NULL ELSE datetime(jr.finished_at) || 'Z' END AS finished_at,
+      jr.duration_ms
+    `;
+
+    this.insertStmt = db.prepare(`
+      INSERT INTO job_runs (job_name, trigger, triggered_by, started_at)
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+    `);
+    this.finishStmt = db.prepare(`
+      UPDATE job_runs
+      SET status = ?,
+          result = ?,
+          error = ?,
+          finished_at = CURRENT_TIMESTAMP,
+          duration_ms = ?
+      WHERE id = ?
+    `);
+    this.selectByIdStmt = db.prepare(`
+      SELECT ${columns}
+      FROM job_runs jr
+      LEFT JOIN users u ON u.id = jr.triggered_by
+      WHERE jr.id = ?
+    `);
+    this.listStmt = db.prepare(`
+      SELECT ${columns}
+      FROM job_runs jr
+      LEFT JOIN users u ON u.id = jr.triggered_by
+      WHERE jr.job_name = ?
+      ORDER BY jr.id DESC
+      LIMIT ?
+      OFFSET ?
+    `);
+    this.countStmt = db.prepare(`
+      SELECT COUNT(*) AS count FROM job_runs WHERE job_name = ?
+    `);
+    this.lastRunStmt = db.prepare(`
+      SELECT ${columns}
+      FROM job_runs jr
+      LEFT JOIN users u ON u.id = jr.triggered_by
+      WHERE jr.job_name = ?
+      ORDER BY jr.id DESC
+      LIMIT 1
+    `);
+    this.pruneStmt = db.prepare(`
+      DELETE FROM job_runs
+      WHERE job_name = ? AND id NOT IN (
+        SELECT id FROM job_runs WHERE job_name = ? ORDER BY id DESC LIMIT ?
+      )
+    `);
+    this.abandonStmt = db.prepare(`
+      UPDATE job_runs
+      SET status = 'failed',
+          error = 'Interrupted by a server restart',
+          finished_at = CURRENT_TIMESTAMP
+      WHERE status = 'running'
+    `);
+  }
+
+  #parse(run) {
+    return run ? { ...run, result: run.result ? JSON.parse(run.result) : null } : null;
+  }
+
+  start(jobName, trigger, triggeredBy = null) {
+    this.#initializeStatements();
+    try {
+      return this.insertStmt.run(jobName, trigger, triggeredBy).lastInsertRowid;
+    } catch (error) {
+      Logger.error("Error in JobRunRepository.start:", error);
+      throw error;
+    }
+  }
+
+  finish(id, jobName, { status, result = null, error = null, durationMs }) {
+    this.#initializeStatements();
+    try {
+      const db = getDb();
+      db.transaction(() => {
+        this.finishStmt.run(
+          status,
+          result === null || result === undefined ? null : JSON.stringify(result),
+          error,
+          durationMs,
+          id
+        );
+        this.pruneStmt.run(jobName, jobName, HISTORY_PER_JOB);
+      })();
+    } catch (err) {
+      Logger.error("Error in JobRunRepository.finish:", err);
+      throw err;
+    }
+  }
+
+  findById(id) {
+    this.#initializeStatements();
+    return this.#parse(this.selectByIdStmt.get(id));
+  }
+
+  findLast(jobName) {
+    this.#initializeStatements();
+    return this.#parse(this.lastRunStmt.get(jobName));
+  }
+
+  list(jobName, { limit = 20, offset = 0 } = {}) {
+    this.#initializeStatements();
+    return {
+      runs: this.listStmt.all(jobName, limit, offset).map((run) => this.#parse(run)),
+      total: this.countStmt.get(jobName).count,
+    };
+  }
+
+  // Runs still marked running when the server starts never finished
+  abandonUnfinished() {
+    this.#initializeStatements();
+    return this.abandonStmt.run().changes;
+  }
+}
+
+export default new JobRunRepository();
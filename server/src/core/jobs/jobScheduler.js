@@ -0,0 +1,172 @@
+import systemConfigRepository from "../systemConfigRepository.js";
+import jobRunRepository from "./jobRunRepository.js";
+import { matchesSchedule, nextRunAfter, parseSchedule } from "./cronSchedule.js";
+import Logger from "../../logger.js";
+
+const MINUTE_MS = 60 * 1000;
+
+// Stored instead of an expression to turn off the scheduled runs of a job.
+// It can still be run by hand.
+export const SCHEDULE_OFF = "off";
+
+// Runs named background jobs on cron schedules (see cronSchedule.js). A job
+// schedule lives in system_settings under `jobs.<name>.schedule`, falling
+// back to the default it was registered with, so it can be changed at
+// runtime. Every run is recorded in job_runs.
+class JobScheduler {
+  #jobs = new Map();
+  #running = new Set();
+  #timer = null;
+  #lastTick = null;
+
+  // `handler` may be async; what it returns is stored as the run result
+  register({ name, description, schedule, runOnStart = false, handler }) {
+    parseSchedule(schedule);
+    this.#jobs.set(name, { name, description, schedule, runOnStart, handler });
+  }
+
+  #getJob(name) {
+    const job = this.#jobs.get(name);
+    if (!job) {
+      throw new Error("Job not found");
+    }
+    return job;
+  }
+
+  getSchedule(name) {
+    const job = this.#getJob(name);
+    return systemConfigRepository.getSetting(`jobs.${name}.schedule`, job.schedule);
+  }
+
+  setSchedule(name, expression, updatedBy = null) {
+    this.#getJob(name);
+    const value = String(expression ?? "").trim();
+    const schedule =
+      value.toLowerCase() === SCHEDULE_OFF ? SCHEDULE_OFF : parseSchedule(value).expression;
+    systemConfigRepository.setSetting(`jobs.${name}.schedule`, schedule, updatedBy);
+    return schedule;
+  }
+
+  // The parsed schedule of a job, or null when it is off or the stored
+  // expression is broken
+  #activeSchedule(name) {
+    const expression = this.getSchedule(name);
+    if (String(expression).toLowerCase() === SCHEDULE_OFF) {
+      return null;
+    }
+    try {
+      return parseSchedule(expression);
+    } catch (error) {
+      Logger.error(`Job ${name} has an invalid schedule:`, error.message);
+      return null;
+    }
+  }
+
+  describe(name) {
+    const job = this.#getJob(name);
+    const schedule = this.#activeSchedule(name);
+    return {
+      name,
+      description: job.description,
+      schedule: this.getSchedule(name),
+      defaultSchedule: job.schedule,
+      enabled: !!schedule,
+      running: this.#running.has(name),
+      nextRunAt: schedule ? nextRunAfter(schedule)?.toISOString() || null : null,
+      lastRun: jobRunRepository.findLast(name),
+    };
+  }
+
+  listJobs() {
+    return [...this.#jobs.keys()].sort().map((name) => this.describe(name));
+  }
+
+  // Runs a job now and resolves with the recorded run. A job never runs
+  // twice at the same time. Failures are logged and recorded, not thrown.
+  async runJob(name, { trigger = "manual", triggeredBy = null } = {}) {
+    const job = this.#getJob(name);
+    if (this.#running.has(name)) {
+      throw new Error("Job is already running");
+    }
+
+    this.#running.add(name);
+    const runId = jobRunRepository.start(name, trigger, triggeredBy);
+    const startedAt = Date.now();
+    try {
+      const result = await job.handler();
+      jobRunRepository.finish(runId, name, {
+        status: "success",
+        result: result ?? null,
+        durationMs: Date.now() - startedAt,
+      });
+      Logger.debug(`Job ${name} finished in ${Date.now() - startedAt}ms`);
+    } catch (error) {
+      Logger.error(`Job ${name} failed:`, error);
+      jobRunRepository.finish(runId, name, {
+        status: "failed",
+        error: error.message || String(error),
+        durationMs: Date.now() - startedAt,
+      });
+    } finally {
+      this.#running.delete(name);
+    }
+    return jobRunRepository.findById(runId);
+  }
+
+  #tick(now) {
+    for (const name of this.#jobs.keys()) {
+      const schedule = this.#activeSchedule(name);
+      if (!schedule || !matchesSchedule(schedule, now)) {
+        continue;
+      }
+      if (this.#running.has(name)) {
+        Logger.debug(`Job ${name} is still running, skipping this run`);
+        continue;
+      }
+      this.runJob(name, { trigger: "schedule" }).catch((error) =>
+        Logger.error(`Job ${name} could not start:`, error)
+      );
+    }
+  }
+
+  // Wakes up at the start of every minute. The timer does not keep the
+  // process alive.
+  #scheduleTick() {
+    this.#timer = setTimeout(() => {
+      const minute = Math.round(Date.now() / MINUTE_MS);
+      if (minute !== this.#lastTick) {
+        this.#lastTick = minute;
+        this.#tick(new Date(minute * MINUTE_MS));
+      }
+      this.#scheduleTick();
+    }, MINUTE_MS - (Date.now() % MINUTE_MS));
+    this.#timer.unref();
+  }
+
+  start() {
+    if (this.#timer) {
+      return;
+    }
+
+    const abandoned = jobRunRepository.abandonUnfinished();
+    if (abandoned > 0) {
+      Logger.info(`Marked ${abandoned} interrupted job runs as failed`);
+    }
+
+    for (const job of this.#jobs.values()) {
+      if (job.runOnStart) {
+        this.runJob(job.name, { trigger: "startup" }).catch((error) =>
+          Logger.error(`Job ${job.name} could not start:`, error)
+        );
+      }
+    }
+    this.#scheduleTick();
+  }
+
+  stop() {
+    clearTimeout(this.#timer);
+    this.#timer = null;
+  }
+}
+
+export default new JobScheduler();
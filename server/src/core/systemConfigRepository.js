@@ -3,11 +3,39 @@ import Logger from "../logger.js";
 
 const CACHE_TTL_MS = 5000;
 
+// How long a recycled snippet is kept before the purge deletes it
+export const RECYCLE_RETENTION_DEFAULT_DAYS = 30;
+export const RECYCLE_RETENTION_MAX_DAYS = 3650;
+
+// JSON list of audit sinks, validated by security/auditSinks.js
+export const AUDIT_SINKS_SETTING = "audit.sinks";
+
+// JSON list of hosts, addresses and CIDR ranges webhooks may reach even
+// though they are private, validated by security/webhookTargets.js
+export const WEBHOOK_ALLOWED_HOSTS_SETTING = "webhooks.allowed_hosts";
+
+// Settings a workspace may override (workspace_settings); every other
+// setting applies to the whole instance. workspace.anonymous_access lets
+// anonymous callers pick the workspace by slug (see resolveWorkspace).
+const WORKSPACE_SETTING_KEYS = Object.freeze([
+  "registration.mode",
+  "community.mode",
+  "workspace.anonymous_access",
+]);
+
+// Webhook secrets are never sent back to the admin UI
+function maskAuditSinks(sinks) {
+  return sinks.map(({ secret, ...sink }) =>
+    secret === undefined ? sink : { ...sink, hasSecret: true }
+  );
+}
+
 class SystemConfigRepository {
   constructor() {
     this.statements = {};
     this.settingCache = new Map();
     this.flagCache = new Map();
+    this.workspaceSettingCache = new Map();
   }
 
   #initializeStatements() {
@@ -35,6 +63,23 @@ class SystemConfigRepository {
       WHERE key LIKE ?
       ORDER BY key
     `);
+    this.statements.getWorkspaceSetting = db.prepare(`
+      SELECT value
+      FROM workspace_settings
+      WHERE workspace_id = ? AND key = ?
+    `);
+    this.statements.upsertWorkspaceSetting = db.prepare(`
+      INSERT INTO workspace_settings (workspace_id, key, value, updated_at, updated_by)
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP, ?)
+      ON CONFLICT(workspace_id, key) DO UPDATE SET
+        value = excluded.value,
+        updated_at = CURRENT_TIMESTAMP,
+        updated_by = excluded.updated_by
+    `);
+    this.statements.deleteWorkspaceSetting = db.prepare(`
+      DELETE FROM workspace_settings
+      WHERE workspace_id = ? AND key = ?
+    `);
     this.statements.getFeatureFlag = db.prepare(`
       SELECT enabled
       FROM feature_flags
@@ -109,6 +154,38 @@ class SystemConfigRepository {
     );
   }
 
+  // Whole days between 1 and RECYCLE_RETENTION_MAX_DAYS; anything else
+  // stored under the key falls back to the default
+  getRecycleRetentionDays() {
+    const days = this.getNumberSetting(
+      "recycle.retention_days",
+      RECYCLE_RETENTION_DEFAULT_DAYS
+    );
+    return Number.isInteger(days) && days >= 1 && days <= RECYCLE_RETENTION_MAX_DAYS
+      ? days
+      : RECYCLE_RETENTION_DEFAULT_DAYS;
+  }
+
+  getAuditSinks() {
+    try {
+      const sinks = JSON.parse(this.getSetting(AUDIT_SINKS_SETTING, "[]"));
+      return Array.isArray(sinks) ? sinks : [];
+    } catch (error) {
+      Logger.error("Invalid audit sinks setting:", error);
+      return [];
+    }
+  }
+
+  getWebhookAllowedHosts() {
+    try {
+      const hosts = JSON.parse(this.getSetting(WEBHOOK_ALLOWED_HOSTS_SETTING, "[]"));
+      return Array.isArray(hosts) ? hosts : [];
+    } catch (error) {
+      Logger.error("Invalid webhook allowed hosts setting:", error);
+      return [];
+    }
+  }
+
   setSetting(key, value, updatedBy = null) {
     this.#initializeStatements();
 
@@ -116,6 +193,40 @@ class SystemConfigRepository {
     this.#cacheValue(this.settingCache, key, String(value));
   }
 
+  // The workspace's override of `key`, or the instance setting without one
+  getWorkspaceSetting(workspaceId, key, fallbackValue = null) {
+    this.#initializeStatements();
+
+    const cacheKey = `${workspaceId}:${key}`;
+    let override = this.#readCached(this.workspaceSettingCache, cacheKey);
+    if (override === undefined) {
+      override = this.statements.getWorkspaceSetting.get(workspaceId, key)?.value ?? null;
+      this.#cacheValue(this.workspaceSettingCache, cacheKey, override);
+    }
+
+    return override ?? this.getSetting(key, fallbackValue);
+  }
+
+  // A null value removes the override so the instance setting applies again
+  setWorkspaceSetting(workspaceId, key, value, updatedBy = null) {
+    this.#initializeStatements();
+
+    if (!WORKSPACE_SETTING_KEYS.includes(key)) {
+      throw new Error(`${key} cannot be set per workspace`);
+    }
+
+    if (value === null) {
+      this.statements.deleteWorkspaceSetting.run(workspaceId, key);
+    } else {
+      this.statements.upsertWorkspaceSetting.run(workspaceId, key, String(value), updatedBy);
+    }
+    this.#cacheValue(
+      this.workspaceSettingCache,
+      `${workspaceId}:${key}`,
+      value === null ? null : String(value)
+    );
+  }
+
   getSettingsByPrefix(prefix) {
     this.#initializeStatements();
     return this.statements.getSettingsByPrefix.all(`${prefix}%`);
@@ -152,11 +263,24 @@ class SystemConfigRepository {
     }
   }
 
-  getFoundationSettings() {
+  // With a workspace ID the workspace-level settings are the effective
+  // values for that workspace
+  getFoundationSettings(workspaceId = null) {
+    const read = (key, fallbackValue) =>
+      workspaceId === null
+        ? this.getSetting(key, fallbackValue)
+        : this.getWorkspaceSetting(workspaceId, key, fallbackValue);
+
     return {
-      registrationMode: this.getSetting("registration.mode", "OPEN"),
-      communityMode: this.getSetting("community.mode", "OFF"),
+      registrationMode: read("registration.mode", "OPEN"),
+      communityMode: read("community.mode", "OFF"),
+      anonymousAccess: read("workspace.anonymous_access", "OFF"),
       maintenanceMode: this.getSetting("maintenance.mode", "OFF"),
+      recycle: {
+        retentionDays: this.getRecycleRetentionDays(),
+      },
+      auditSinks: maskAuditSinks(this.getAuditSinks()),
+      webhookAllowedHosts: this.getWebhookAllowedHosts(),
       security: {
         lockout: {
           maxAttempts: this.getNumberSetting(
@@ -187,7 +311,11 @@ class SystemConfigRepository {
     const flags = this.statements.getAllFeatureFlags.all();
 
     return {
-      settings: coreSettings,
+      settings: coreSettings.map((setting) =>
+        setting.key === AUDIT_SINKS_SETTING
+          ? { ...setting, value: JSON.stringify(maskAuditSinks(this.getAuditSinks())) }
+          : setting
+      ),
       featureFlags: flags.map((flag) => ({
         ...flag,
         enabled: !!flag.enabled,
@@ -12,7 +12,7 @@ export function authenticateApiKey(req, res, next) {
     const result = validateApiKey(apiKey);
     
     if (result) {
-      req.user = { id: result.userId };
+      req.user = { id: result.userId, workspace_id: result.workspaceId };
       req.apiKey = { id: result.keyId };
       Logger.debug(`Request authenticated via API key ${result.keyId}`);
       return next();
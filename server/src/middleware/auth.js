@@ -141,6 +141,7 @@ const authenticateToken = async (req, res, next) => {
       is_admin: dbUser.is_admin,
       session_version: dbUser.session_version || 1,
       force_password_reset: !!dbUser.force_password_reset,
+      workspace_id: dbUser.workspace_id,
     };
 
     return next();
@@ -158,6 +159,7 @@ export {
   DISABLE_INTERNAL_ACCOUNTS,
   ALLOW_PASSWORD_CHANGES,
   getOrCreateAnonymousUser,
+  getTokenFromRequest,
   createSessionToken,
   setAuthCookie,
   clearAuthCookie,
@@ -0,0 +1,73 @@
+import jwt from 'jsonwebtoken';
+import Logger from '../logger.js';
+import { JWT_SECRET, getTokenFromRequest } from './auth.js';
+import userRepository from '../repositories/userRepository.js';
+import systemConfigRepository from '../core/systemConfigRepository.js';
+import workspaceRepository, { DEFAULT_WORKSPACE_ID } from '../repositories/workspaceRepository.js';
+
+// The signed-in user behind the request, if any. Unlike authenticateToken a
+// missing or invalid token is not an error here.
+async function findViewer(req) {
+  if (req.user) {
+    return req.user;
+  }
+
+  const token = getTokenFromRequest(req);
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return (await userRepository.findById(decoded.id)) || null;
+  } catch (_error) {
+    return null;
+  }
+}
+
+// Workspaces anonymous callers may pick by slug: the default one, and those
+// that opted in through the workspace.anonymous_access setting
+function isOpenToAnonymous(workspace) {
+  return (
+    workspace.id === DEFAULT_WORKSPACE_ID ||
+    systemConfigRepository.getWorkspaceSetting(
+      workspace.id,
+      'workspace.anonymous_access',
+      'OFF'
+    ) === 'ON'
+  );
+}
+
+// Sets req.workspace for routes that also serve anonymous callers (public
+// library, registration). Signed-in users always get their own workspace;
+// anyone else picks an opted-in one with ?workspace=<slug> or the
+// X-Workspace header and lands in the default workspace otherwise. Other
+// workspaces look the same as unknown slugs.
+export async function resolveWorkspace(req, res, next) {
+  try {
+    const viewer = await findViewer(req);
+    const slug = req.query.workspace || req.get('X-Workspace');
+
+    let workspace;
+    if (viewer) {
+      workspace = workspaceRepository.findById(viewer.workspace_id);
+    } else if (slug) {
+      workspace = workspaceRepository.findBySlug(slug);
+      if (workspace && !isOpenToAnonymous(workspace)) {
+        workspace = null;
+      }
+    } else {
+      workspace = workspaceRepository.findById(DEFAULT_WORKSPACE_ID);
+    }
+
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    req.workspace = workspace;
+    return next();
+  } catch (error) {
+    Logger.error('Error resolving workspace:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
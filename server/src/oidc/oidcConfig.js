@@ -54,9 +54,6 @@ class OIDCConfig {
         Logger.debug('Discovery successful');
         const metadata = this.config.serverMetadata();
         Logger.debug('Discovered issuer:', metadata.issuer);
-
-        this.startStateCleanup();
-
       } catch (discoveryError) {
         Logger.error('Discovery request failed:', {
           error: discoveryError.message,
@@ -75,15 +72,18 @@ class OIDCConfig {
     }
   }
 
-  startStateCleanup() {
-    setInterval(() => {
-      const now = Date.now();
-      for (const [state, data] of this.#stateMap) {
-        if (now - data.timestamp > 5 * 60 * 1000) {
-          this.#stateMap.delete(state);
-        }
+  // Forgets login attempts older than five minutes; run by the
+  // "oidc-state-cleanup" job. Returns how many were removed.
+  pruneExpiredStates() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [state, data] of this.#stateMap) {
+      if (now - data.timestamp > 5 * 60 * 1000) {
+        this.#stateMap.delete(state);
+        removed += 1;
       }
-    }, 5 * 60 * 1000);
+    }
+    return removed;
   }
 
   async generateAuthParameters() {
@@ -1,5 +1,19 @@
 import { getDb } from '../config/database.js';
 import Logger from '../logger.js';
+import {
+  SEARCH_MATCHES_CTE,
+  SEARCH_MATCH_COLUMNS,
+  attachSearchHighlights,
+  buildMatchQuery,
+} from '../search/fullTextSearch.js';
+import auditLogRepository from '../security/auditLogRepository.js';
+
+// Every query takes the workspace the acting admin is scoped to, or null
+// for the super admin's view across all workspaces. Bind the id twice.
+const inWorkspace = (column) => `(? IS NULL OR ${column} = ?)`;
+
+// Workspace columns for the cross-workspace lists
+const WORKSPACE_JOIN = 'LEFT JOIN workspaces w ON w.id = u.workspace_id';
 
 class AdminRepository {
   constructor() {
@@ -13,45 +27,56 @@ class AdminRepository {
 
     // Dashboard stats
     this.statements.getTotalUsers = db.prepare(`
-      SELECT COUNT(*) as count FROM users WHERE id != 0
+      SELECT COUNT(*) as count FROM users WHERE id != 0 AND ${inWorkspace('workspace_id')}
     `);
 
     this.statements.getInternalUsers = db.prepare(`
-      SELECT COUNT(*) as count FROM users WHERE id != 0 AND oidc_id IS NULL
+      SELECT COUNT(*) as count FROM users WHERE id != 0 AND oidc_id IS NULL AND ${inWorkspace('workspace_id')}
     `);
 
     this.statements.getOIDCUsers = db.prepare(`
-      SELECT COUNT(*) as count FROM users WHERE id != 0 AND oidc_id IS NOT NULL
+      SELECT COUNT(*) as count FROM users WHERE id != 0 AND oidc_id IS NOT NULL AND ${inWorkspace('workspace_id')}
     `);
 
     this.statements.getPendingApprovals = db.prepare(`
-      SELECT COUNT(*) as count FROM users WHERE id != 0 AND status = 'PENDING'
+      SELECT COUNT(*) as count
+      FROM users
+      WHERE id != 0 AND status = 'PENDING' AND ${inWorkspace('workspace_id')}
     `);
 
     this.statements.getSuspendedUsers = db.prepare(`
-      SELECT COUNT(*) as count FROM users WHERE id != 0 AND status = 'SUSPENDED'
+      SELECT COUNT(*) as count
+      FROM users
+      WHERE id != 0 AND status = 'SUSPENDED' AND ${inWorkspace('workspace_id')}
     `);
 
     this.statements.getLockedUsers = db.prepare(`
       SELECT COUNT(*) as count
       FROM users
       WHERE id != 0 AND locked_until IS NOT NULL AND datetime(locked_until) > datetime('now')
+        AND ${inWorkspace('workspace_id')}
     `);
 
     this.statements.getTotalSnippets = db.prepare(`
-      SELECT COUNT(*) as count FROM snippets
+      SELECT COUNT(*) as count FROM snippets WHERE ${inWorkspace('workspace_id')}
     `);
 
     this.statements.getPublicSnippets = db.prepare(`
-      SELECT COUNT(*) as count FROM snippets WHERE is_public = 1
+      SELECT COUNT(*) as count FROM snippets WHERE is_public = 1 AND ${inWorkspace('workspace_id')}
     `);
 
     this.statements.getActiveApiKeys = db.prepare(`
-      SELECT COUNT(*) as count FROM api_keys WHERE is_active = 1
+      SELECT COUNT(*) as count
+      FROM api_keys ak
+      JOIN users u ON u.id = ak.user_id
+      WHERE ak.is_active = 1 AND ${inWorkspace('u.workspace_id')}
     `);
 
     this.statements.getTotalShares = db.prepare(`
-      SELECT COUNT(*) as count FROM shared_snippets
+      SELECT COUNT(*) as count
+      FROM shared_snippets ss
+      JOIN snippets s ON s.id = ss.snippet_id
+      WHERE ${inWorkspace('s.workspace_id')}
     `);
 
     // User management - get user details
@@ -59,14 +84,15 @@ class AdminRepository {
       SELECT
         id, username, email, name, created_at,
         oidc_id, oidc_provider, is_admin, role, status, is_active, last_login_at,
-        failed_login_attempts, locked_until, force_password_reset, session_version
+        failed_login_attempts, locked_until, force_password_reset, session_version,
+        workspace_id
       FROM users
-      WHERE id = ?
+      WHERE id = ? AND ${inWorkspace('workspace_id')}
     `);
 
     // Delete user
     this.statements.deleteUser = db.prepare(`
-      DELETE FROM users WHERE id = ? AND id != 0
+      DELETE FROM users WHERE id = ? AND id != 0 AND ${inWorkspace('workspace_id')}
     `);
 
     // Toggle user active status
@@ -74,21 +100,21 @@ class AdminRepository {
       UPDATE users
       SET is_active = NOT is_active,
           status = CASE WHEN is_active = 1 THEN 'SUSPENDED' ELSE 'ACTIVE' END
-      WHERE id = ? AND id != 0
+      WHERE id = ? AND id != 0 AND ${inWorkspace('workspace_id')}
     `);
 
     this.statements.setUserStatus = db.prepare(`
       UPDATE users
       SET status = ?,
           is_active = CASE WHEN ? = 'SUSPENDED' THEN 0 ELSE 1 END
-      WHERE id = ? AND id != 0
+      WHERE id = ? AND id != 0 AND ${inWorkspace('workspace_id')}
     `);
 
     this.statements.setUserRole = db.prepare(`
       UPDATE users
       SET role = ?,
           is_admin = CASE WHEN ? IN ('SUPER_ADMIN', 'ADMIN') THEN 1 ELSE 0 END
-      WHERE id = ? AND id != 0
+      WHERE id = ? AND id != 0 AND ${inWorkspace('workspace_id')}
     `);
 
     this.statements.unlockUser = db.prepare(`
@@ -96,22 +122,42 @@ class AdminRepository {
       SET failed_login_attempts = 0,
           locked_until = NULL,
           status = CASE WHEN status = 'SUSPENDED' THEN status ELSE 'ACTIVE' END
-      WHERE id = ? AND id != 0
+      WHERE id = ? AND id != 0 AND ${inWorkspace('workspace_id')}
     `);
 
     this.statements.resetUserSessions = db.prepare(`
       UPDATE users
       SET session_version = session_version + 1
-      WHERE id = ? AND id != 0
+      WHERE id = ? AND id != 0 AND ${inWorkspace('workspace_id')}
     `);
 
     this.statements.setForcePasswordReset = db.prepare(`
       UPDATE users
       SET force_password_reset = ?,
           session_version = session_version + 1
+      WHERE id = ? AND id != 0 AND ${inWorkspace('workspace_id')}
+    `);
+
+    // Moving users between workspaces is only allowed while they own
+    // nothing there, so no snippet or team ends up spanning two workspaces
+    this.statements.countUserWorkspaceContent = db.prepare(`
+      SELECT
+        (SELECT COUNT(*) FROM snippets WHERE user_id = ?) +
+        (SELECT COUNT(*) FROM team_members WHERE user_id = ?) as count
+    `);
+
+    this.statements.setUserWorkspace = db.prepare(`
+      UPDATE users
+      SET workspace_id = ?,
+          session_version = session_version + 1
       WHERE id = ? AND id != 0
     `);
 
+    // Grants were given inside the old workspace
+    this.statements.deleteUserGrants = db.prepare(`
+      DELETE FROM snippet_grants WHERE user_id = ?
+    `);
+
     // Get user snippet count
     this.statements.getUserSnippetCount = db.prepare(`
       SELECT COUNT(*) as count FROM snippets WHERE user_id = ?
@@ -124,7 +170,29 @@ class AdminRepository {
 
     // Delete snippet permanently
     this.statements.deleteSnippet = db.prepare(`
-      DELETE FROM snippets WHERE id = ?
+      DELETE FROM snippets WHERE id = ? AND ${inWorkspace('workspace_id')}
+    `);
+
+    this.statements.getSnippetWorkspace = db.prepare(`
+      SELECT workspace_id FROM snippets WHERE id = ? AND ${inWorkspace('workspace_id')}
+    `);
+
+    this.statements.getApiKeyWorkspace = db.prepare(`
+      SELECT u.workspace_id
+      FROM api_keys ak
+      JOIN users u ON u.id = ak.user_id
+      WHERE ak.id = ? AND ${inWorkspace('u.workspace_id')}
+    `);
+
+    this.statements.getShareWorkspace = db.prepare(`
+      SELECT s.workspace_id
+      FROM shared_snippets sh
+      JOIN snippets s ON s.id = sh.snippet_id
+      WHERE sh.id = ? AND ${inWorkspace('s.workspace_id')}
+    `);
+
+    this.statements.getUserWorkspace = db.prepare(`
+      SELECT workspace_id FROM users WHERE id = ? AND id != 0
     `);
 
     // Change snippet owner
@@ -138,57 +206,39 @@ class AdminRepository {
       SET
         is_public = NOT is_public,
         visibility = CASE WHEN is_public = 1 THEN 'PRIVATE' ELSE 'PUBLIC' END
-      WHERE id = ?
+      WHERE id = ? AND ${inWorkspace('workspace_id')}
     `);
 
     // Delete API key
     this.statements.deleteApiKey = db.prepare(`
-      DELETE FROM api_keys WHERE id = ?
+      DELETE FROM api_keys
+      WHERE id = ?
+        AND user_id IN (SELECT id FROM users WHERE ${inWorkspace('workspace_id')})
     `);
 
     // Delete share
     this.statements.deleteShare = db.prepare(`
-      DELETE FROM shared_snippets WHERE id = ?
-    `);
-
-    this.statements.getAuditLogs = db.prepare(`
-      SELECT
-        al.id,
-        al.actor_id,
-        al.action,
-        al.target_type,
-        al.target_id,
-        al.metadata,
-        al.ip_address,
-        al.user_agent,
-        al.created_at,
-        u.username AS actor_username
-      FROM audit_logs al
-      LEFT JOIN users u ON u.id = al.actor_id
-      ORDER BY al.created_at DESC
-      LIMIT ?
-      OFFSET ?
-    `);
-
-    this.statements.getAuditLogCount = db.prepare(`
-      SELECT COUNT(*) as count FROM audit_logs
+      DELETE FROM shared_snippets
+      WHERE id = ?
+        AND snippet_id IN (SELECT id FROM snippets WHERE ${inWorkspace('workspace_id')})
     `);
   }
 
-  async getStats() {
+  async getStats(workspaceId = null) {
     this.#initializeStatements();
 
     try {
-      const totalUsers = this.statements.getTotalUsers.get().count;
-      const internalUsers = this.statements.getInternalUsers.get().count;
-      const oidcUsers = this.statements.getOIDCUsers.get().count;
-      const pendingApprovals = this.statements.getPendingApprovals.get().count;
-      const suspendedUsers = this.statements.getSuspendedUsers.get().count;
-      const lockedUsers = this.statements.getLockedUsers.get().count;
-      const totalSnippets = this.statements.getTotalSnippets.get().count;
-      const publicSnippets = this.statements.getPublicSnippets.get().count;
-      const activeApiKeys = this.statements.getActiveApiKeys.get().count;
-      const totalShares = this.statements.getTotalShares.get().count;
+      const count = (statement) => statement.get(workspaceId, workspaceId).count;
+      const totalUsers = count(this.statements.getTotalUsers);
+      const internalUsers = count(this.statements.getInternalUsers);
+      const oidcUsers = count(this.statements.getOIDCUsers);
+      const pendingApprovals = count(this.statements.getPendingApprovals);
+      const suspendedUsers = count(this.statements.getSuspendedUsers);
+      const lockedUsers = count(this.statements.getLockedUsers);
+      const totalSnippets = count(this.statements.getTotalSnippets);
+      const publicSnippets = count(this.statements.getPublicSnippets);
+      const activeApiKeys = count(this.statements.getActiveApiKeys);
+      const totalShares = count(this.statements.getTotalShares);
 
       return {
         users: {
@@ -230,7 +280,7 @@ class AdminRepository {
     isActive = '',
     status = '',
     role = ''
-  }) {
+  }, workspaceId = null) {
     this.#initializeStatements();
 
     try {
@@ -241,12 +291,14 @@ class AdminRepository {
           u.oidc_id, u.oidc_provider, u.is_admin, u.role, u.status, u.is_active,
           u.failed_login_attempts, u.locked_until, u.force_password_reset,
           (SELECT COUNT(*) FROM snippets WHERE user_id = u.id) as snippet_count,
-          (SELECT COUNT(*) FROM api_keys WHERE user_id = u.id) as api_key_count
+          (SELECT COUNT(*) FROM api_keys WHERE user_id = u.id) as api_key_count,
+          u.workspace_id, w.name as workspace_name
         FROM users u
-        WHERE u.id != 0
+        ${WORKSPACE_JOIN}
+        WHERE u.id != 0 AND ${inWorkspace('u.workspace_id')}
       `;
 
-      const params = [];
+      const params = [workspaceId, workspaceId];
 
       if (search) {
         query += ` AND (u.username LIKE ? OR u.email LIKE ? OR u.name LIKE ?)`;
@@ -280,8 +332,11 @@ class AdminRepository {
 
       const users = db.prepare(query).all(...params);
 
-      let countQuery = `SELECT COUNT(*) as count FROM users u WHERE u.id != 0`;
-      const countParams = [];
+      let countQuery = `
+        SELECT COUNT(*) as count FROM users u
+        WHERE u.id != 0 AND ${inWorkspace('u.workspace_id')}
+      `;
+      const countParams = [workspaceId, workspaceId];
 
       if (search) {
         countQuery += ` AND (u.username LIKE ? OR u.email LIKE ? OR u.name LIKE ?)`;
@@ -319,11 +374,11 @@ class AdminRepository {
     }
   }
 
-  async getUserDetails(userId) {
+  async getUserDetails(userId, workspaceId = null) {
     this.#initializeStatements();
 
     try {
-      const user = this.statements.getUserDetails.get(userId);
+      const user = this.statements.getUserDetails.get(userId, workspaceId, workspaceId);
       if (!user) return null;
 
       const snippetCount = this.statements.getUserSnippetCount.get(userId).count;
@@ -340,11 +395,11 @@ class AdminRepository {
     }
   }
 
-  async deleteUser(userId) {
+  async deleteUser(userId, workspaceId = null) {
     this.#initializeStatements();
 
     try {
-      const result = this.statements.deleteUser.run(userId);
+      const result = this.statements.deleteUser.run(userId, workspaceId, workspaceId);
       return result.changes > 0;
     } catch (error) {
       Logger.error('Error deleting user:', error);
@@ -352,11 +407,11 @@ class AdminRepository {
     }
   }
 
-  async toggleUserActive(userId) {
+  async toggleUserActive(userId, workspaceId = null) {
     this.#initializeStatements();
 
     try {
-      const result = this.statements.toggleUserActive.run(userId);
+      const result = this.statements.toggleUserActive.run(userId, workspaceId, workspaceId);
       if (result.changes === 0) {
         throw new Error('User not found or cannot be modified');
       }
@@ -367,11 +422,17 @@ class AdminRepository {
     }
   }
 
-  async setUserStatus(userId, status) {
+  async setUserStatus(userId, status, workspaceId = null) {
     this.#initializeStatements();
 
     try {
-      const result = this.statements.setUserStatus.run(status, status, userId);
+      const result = this.statements.setUserStatus.run(
+        status,
+        status,
+        userId,
+        workspaceId,
+        workspaceId
+      );
       if (result.changes === 0) {
         throw new Error('User not found or cannot be modified');
       }
@@ -382,11 +443,11 @@ class AdminRepository {
     }
   }
 
-  async setUserRole(userId, role) {
+  async setUserRole(userId, role, workspaceId = null) {
     this.#initializeStatements();
 
     try {
-      const result = this.statements.setUserRole.run(role, role, userId);
+      const result = this.statements.setUserRole.run(role, role, userId, workspaceId, workspaceId);
       if (result.changes === 0) {
         throw new Error('User not found or cannot be modified');
       }
@@ -397,11 +458,11 @@ class AdminRepository {
     }
   }
 
-  async unlockUser(userId) {
+  async unlockUser(userId, workspaceId = null) {
     this.#initializeStatements();
 
     try {
-      const result = this.statements.unlockUser.run(userId);
+      const result = this.statements.unlockUser.run(userId, workspaceId, workspaceId);
       if (result.changes === 0) {
         throw new Error('User not found or cannot be modified');
       }
@@ -412,11 +473,11 @@ class AdminRepository {
     }
   }
 
-  async resetUserSessions(userId) {
+  async resetUserSessions(userId, workspaceId = null) {
     this.#initializeStatements();
 
     try {
-      const result = this.statements.resetUserSessions.run(userId);
+      const result = this.statements.resetUserSessions.run(userId, workspaceId, workspaceId);
       if (result.changes === 0) {
         throw new Error('User not found or cannot be modified');
       }
@@ -427,13 +488,15 @@ class AdminRepository {
     }
   }
 
-  async setForcePasswordReset(userId, forcePasswordReset) {
+  async setForcePasswordReset(userId, forcePasswordReset, workspaceId = null) {
     this.#initializeStatements();
 
     try {
       const result = this.statements.setForcePasswordReset.run(
         forcePasswordReset ? 1 : 0,
-        userId
+        userId,
+        workspaceId,
+        workspaceId
       );
       if (result.changes === 0) {
         throw new Error('User not found or cannot be modified');
@@ -445,24 +508,53 @@ class AdminRepository {
     }
   }
 
-  async getAllSnippets({ offset = 0, limit = 50, search = '', userId = '', isPublic = '', language = '', category = '' }) {
+  async moveUserToWorkspace(userId, workspaceId) {
+    this.#initializeStatements();
+
+    try {
+      return getDb().transaction(() => {
+        if (this.statements.countUserWorkspaceContent.get(userId, userId).count > 0) {
+          throw new Error('Only users without snippets or teams can change workspace');
+        }
+        const result = this.statements.setUserWorkspace.run(workspaceId, userId);
+        if (result.changes === 0) {
+          throw new Error('User not found or cannot be modified');
+        }
+        this.statements.deleteUserGrants.run(userId);
+        return this.getUserDetails(userId);
+      })();
+    } catch (error) {
+      Logger.error('Error moving user to workspace:', error);
+      throw error;
+    }
+  }
+
+  async getAllSnippets({ offset = 0, limit = 50, search = '', searchCode = false, sort = 'newest', userId = '', isPublic = '', recycled = '', language = '', category = '' }, workspaceId = null) {
     this.#initializeStatements();
 
     try {
       const db = getDb();
+      const matchQuery = search ? buildMatchQuery(search, { includeCode: searchCode }) : null;
+
       let query = `
+        ${matchQuery ? `WITH ${SEARCH_MATCHES_CTE}` : ''}
         SELECT
           s.id, s.title, s.description, s.updated_at, s.is_public,
-          s.user_id, u.username,
+          s.expiry_date, s.user_id, u.username,
+          s.workspace_id, w.name as workspace_name,
+          ${matchQuery ? `${SEARCH_MATCH_COLUMNS},` : ''}
           (SELECT COUNT(*) FROM fragments WHERE snippet_id = s.id) as fragment_count
         FROM snippets s
+        ${matchQuery ? 'JOIN search_matches sm ON sm.snippet_id = s.id' : ''}
         LEFT JOIN users u ON s.user_id = u.id
-        WHERE 1=1
+        LEFT JOIN workspaces w ON w.id = s.workspace_id
+        WHERE ${inWorkspace('s.workspace_id')}
       `;
 
-      const params = [];
+      const params = matchQuery ? [matchQuery] : [];
+      params.push(workspaceId, workspaceId);
 
-      if (search) {
+      if (search && !matchQuery) {
         query += ` AND (s.title LIKE ? OR s.description LIKE ?)`;
         const searchPattern = `%${search}%`;
         params.push(searchPattern, searchPattern);
@@ -478,6 +570,10 @@ class AdminRepository {
         params.push(isPublic === 'true' ? 1 : 0);
       }
 
+      if (recycled !== '') {
+        query += recycled === 'true' ? ` AND s.expiry_date IS NOT NULL` : ` AND s.expiry_date IS NULL`;
+      }
+
       if (language) {
         query += ` AND s.id IN (SELECT snippet_id FROM fragments WHERE language = ?)`;
         params.push(language);
@@ -488,18 +584,23 @@ class AdminRepository {
         params.push(category);
       }
 
-      query += ` ORDER BY s.updated_at DESC LIMIT ? OFFSET ?`;
+      query += sort === 'relevance' && matchQuery
+        ? ` ORDER BY sm.rank ASC, s.updated_at DESC LIMIT ? OFFSET ?`
+        : ` ORDER BY s.updated_at DESC LIMIT ? OFFSET ?`;
       params.push(limit, offset);
 
-      const snippets = db.prepare(query).all(...params);
+      const snippets = db.prepare(query).all(...params).map(attachSearchHighlights);
 
       let countQuery = `
         SELECT COUNT(*) as count FROM snippets s
-        WHERE 1=1
+        WHERE ${inWorkspace('s.workspace_id')}
       `;
-      const countParams = [];
+      const countParams = [workspaceId, workspaceId];
 
-      if (search) {
+      if (matchQuery) {
+        countQuery += ` AND s.id IN (SELECT rowid FROM snippets_fts WHERE snippets_fts MATCH ?)`;
+        countParams.push(matchQuery);
+      } else if (search) {
         countQuery += ` AND (s.title LIKE ? OR s.description LIKE ?)`;
         const searchPattern = `%${search}%`;
         countParams.push(searchPattern, searchPattern);
@@ -515,6 +616,10 @@ class AdminRepository {
         countParams.push(isPublic === 'true' ? 1 : 0);
       }
 
+      if (recycled !== '') {
+        countQuery += recycled === 'true' ? ` AND s.expiry_date IS NOT NULL` : ` AND s.expiry_date IS NULL`;
+      }
+
       if (language) {
         countQuery += ` AND s.id IN (SELECT snippet_id FROM fragments WHERE language = ?)`;
         countParams.push(language);
@@ -534,11 +639,24 @@ class AdminRepository {
     }
   }
 
-  async deleteSnippetPermanently(snippetId) {
+  // Workspace of the snippet, API key or share an admin action targets,
+  // for its audit entry; null when it is outside the admin's scope
+  async getTargetWorkspaceId(targetType, targetId, workspaceId = null) {
+    this.#initializeStatements();
+
+    const statement = {
+      snippet: this.statements.getSnippetWorkspace,
+      api_key: this.statements.getApiKeyWorkspace,
+      share: this.statements.getShareWorkspace,
+    }[targetType];
+    return statement.get(targetId, workspaceId, workspaceId)?.workspace_id ?? null;
+  }
+
+  async deleteSnippetPermanently(snippetId, workspaceId = null) {
     this.#initializeStatements();
 
     try {
-      const result = this.statements.deleteSnippet.run(snippetId);
+      const result = this.statements.deleteSnippet.run(snippetId, workspaceId, workspaceId);
       return result.changes > 0;
     } catch (error) {
       Logger.error('Error deleting snippet:', error);
@@ -546,14 +664,20 @@ class AdminRepository {
     }
   }
 
-  async changeSnippetOwner(snippetId, newUserId) {
+  async changeSnippetOwner(snippetId, newUserId, workspaceId = null) {
     this.#initializeStatements();
 
     try {
-      const result = this.statements.changeSnippetOwner.run(newUserId, snippetId);
-      if (result.changes === 0) {
+      const snippet = this.statements.getSnippetWorkspace.get(snippetId, workspaceId, workspaceId);
+      if (!snippet) {
         throw new Error('Snippet not found');
       }
+      // Snippets never leave their workspace
+      const owner = this.statements.getUserWorkspace.get(newUserId);
+      if (!owner || owner.workspace_id !== snippet.workspace_id) {
+        throw new Error('New owner must belong to the snippet\'s workspace');
+      }
+      this.statements.changeSnippetOwner.run(newUserId, snippetId);
       return true;
     } catch (error) {
       Logger.error('Error changing snippet owner:', error);
@@ -561,11 +685,11 @@ class AdminRepository {
     }
   }
 
-  async toggleSnippetPublic(snippetId) {
+  async toggleSnippetPublic(snippetId, workspaceId = null) {
     this.#initializeStatements();
 
     try {
-      const result = this.statements.toggleSnippetPublic.run(snippetId);
+      const result = this.statements.toggleSnippetPublic.run(snippetId, workspaceId, workspaceId);
       if (result.changes === 0) {
         throw new Error('Snippet not found');
       }
@@ -576,7 +700,7 @@ class AdminRepository {
     }
   }
 
-  async getAllApiKeys({ offset = 0, limit = 50, userId = '' }) {
+  async getAllApiKeys({ offset = 0, limit = 50, userId = '' }, workspaceId = null) {
     this.#initializeStatements();
 
     try {
@@ -584,13 +708,15 @@ class AdminRepository {
       let query = `
         SELECT
           ak.id, ak.name, ak.created_at, ak.last_used_at, ak.is_active,
-          ak.user_id, u.username
+          ak.user_id, u.username,
+          u.workspace_id, w.name as workspace_name
         FROM api_keys ak
         LEFT JOIN users u ON ak.user_id = u.id
-        WHERE 1=1
+        ${WORKSPACE_JOIN}
+        WHERE ${inWorkspace('u.workspace_id')}
       `;
 
-      const params = [];
+      const params = [workspaceId, workspaceId];
 
       if (userId) {
         query += ` AND ak.user_id = ?`;
@@ -602,11 +728,16 @@ class AdminRepository {
 
       const apiKeys = db.prepare(query).all(...params);
 
-      let countQuery = `SELECT COUNT(*) as count FROM api_keys WHERE 1=1`;
-      const countParams = [];
+      let countQuery = `
+        SELECT COUNT(*) as count
+        FROM api_keys ak
+        LEFT JOIN users u ON ak.user_id = u.id
+        WHERE ${inWorkspace('u.workspace_id')}
+      `;
+      const countParams = [workspaceId, workspaceId];
 
       if (userId) {
-        countQuery += ` AND user_id = ?`;
+        countQuery += ` AND ak.user_id = ?`;
         countParams.push(userId);
       }
 
@@ -619,11 +750,11 @@ class AdminRepository {
     }
   }
 
-  async deleteApiKey(keyId) {
+  async deleteApiKey(keyId, workspaceId = null) {
     this.#initializeStatements();
 
     try {
-      const result = this.statements.deleteApiKey.run(keyId);
+      const result = this.statements.deleteApiKey.run(keyId, workspaceId, workspaceId);
       return result.changes > 0;
     } catch (error) {
       Logger.error('Error deleting API key:', error);
@@ -631,7 +762,7 @@ class AdminRepository {
     }
   }
 
-  async getAllShares({ offset = 0, limit = 50, userId = '', requiresAuth = '' }) {
+  async getAllShares({ offset = 0, limit = 50, userId = '', requiresAuth = '' }, workspaceId = null) {
     this.#initializeStatements();
 
     try {
@@ -640,14 +771,16 @@ class AdminRepository {
         SELECT
           ss.id, ss.requires_auth, ss.expires_at, ss.created_at,
           ss.snippet_id, s.title as snippet_title,
-          s.user_id, u.username
+          s.user_id, u.username,
+          s.workspace_id, w.name as workspace_name
         FROM shared_snippets ss
         LEFT JOIN snippets s ON ss.snippet_id = s.id
         LEFT JOIN users u ON s.user_id = u.id
-        WHERE 1=1
+        LEFT JOIN workspaces w ON w.id = s.workspace_id
+        WHERE ${inWorkspace('s.workspace_id')}
       `;
 
-      const params = [];
+      const params = [workspaceId, workspaceId];
 
       if (userId) {
         query += ` AND s.user_id = ?`;
@@ -668,9 +801,9 @@ class AdminRepository {
         SELECT COUNT(*) as count
         FROM shared_snippets ss
         LEFT JOIN snippets s ON ss.snippet_id = s.id
-        WHERE 1=1
+        WHERE ${inWorkspace('s.workspace_id')}
       `;
-      const countParams = [];
+      const countParams = [workspaceId, workspaceId];
 
       if (userId) {
         countQuery += ` AND s.user_id = ?`;
@@ -691,11 +824,11 @@ class AdminRepository {
     }
   }
 
-  async deleteShare(shareId) {
+  async deleteShare(shareId, workspaceId = null) {
     this.#initializeStatements();
 
     try {
-      const result = this.statements.deleteShare.run(shareId);
+      const result = this.statements.deleteShare.run(shareId, workspaceId, workspaceId);
       return result.changes > 0;
     } catch (error) {
       Logger.error('Error deleting share:', error);
@@ -703,7 +836,7 @@ class AdminRepository {
     }
   }
 
-  async scanSnippetsForOffensiveContent(badWordsChecker) {
+  async scanSnippetsForOffensiveContent(badWordsChecker, workspaceId = null) {
     this.#initializeStatements();
 
     try {
@@ -718,11 +851,12 @@ class AdminRepository {
         FROM snippets s
         LEFT JOIN users u ON s.user_id = u.id
         LEFT JOIN fragments f ON s.id = f.snippet_id
+        WHERE ${inWorkspace('s.workspace_id')}
         GROUP BY s.id
         ORDER BY s.updated_at DESC
       `;
 
-      const snippets = db.prepare(query).all();
+      const snippets = db.prepare(query).all(workspaceId, workspaceId);
       const flaggedSnippets = [];
 
       for (const snippet of snippets) {
@@ -764,7 +898,7 @@ class AdminRepository {
     }
   }
 
-  async getSnippetDetails(snippetId) {
+  async getSnippetDetails(snippetId, workspaceId = null) {
     this.#initializeStatements();
 
     try {
@@ -782,16 +916,17 @@ class AdminRepository {
           s.is_pinned,
           s.is_favorite,
           u.username,
+          s.workspace_id,
           GROUP_CONCAT(DISTINCT c.name) as categories,
           (SELECT COUNT(*) FROM shared_snippets WHERE snippet_id = s.id) as share_count
         FROM snippets s
         LEFT JOIN categories c ON s.id = c.snippet_id
         LEFT JOIN users u ON s.user_id = u.id
-        WHERE s.id = ?
+        WHERE s.id = ? AND ${inWorkspace('s.workspace_id')}
         GROUP BY s.id
       `;
 
-      const snippet = db.prepare(query).get(snippetId);
+      const snippet = db.prepare(query).get(snippetId, workspaceId, workspaceId);
 
       if (!snippet) {
         return null;
@@ -817,15 +952,10 @@ class AdminRepository {
     }
   }
 
-  async getAuditLogs({ offset = 0, limit = 50 }) {
-    this.#initializeStatements();
-
+  async getAuditLogs({ offset = 0, limit = 50, ...filters }) {
     try {
-      const logs = this.statements.getAuditLogs.all(limit, offset).map((entry) => ({
-        ...entry,
-        metadata: entry.metadata ? JSON.parse(entry.metadata) : null,
-      }));
-      const total = this.statements.getAuditLogCount.get().count;
+      const logs = auditLogRepository.list({ offset, limit, ...filters });
+      const total = auditLogRepository.count(filters);
       return { logs, total };
     } catch (error) {
       Logger.error('Error getting audit logs:', error);
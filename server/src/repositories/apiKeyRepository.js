@@ -75,7 +75,7 @@ export function validateApiKey(key) {
   const db = getDb();
   try {
     const stmt = db.prepare(`
-      SELECT ak.*, u.id as user_id
+      SELECT ak.*, u.id as user_id, u.workspace_id
       FROM api_keys ak
       JOIN users u ON ak.user_id = u.id
       WHERE ak.key = ? AND ak.is_active = TRUE
@@ -94,7 +94,8 @@ export function validateApiKey(key) {
       Logger.debug(`Validated API key ${apiKey.id} for user ${apiKey.user_id}`);
       return {
         userId: apiKey.user_id,
-        keyId: apiKey.id
+        keyId: apiKey.id,
+        workspaceId: apiKey.workspace_id
       };
     }
     
@@ -0,0 +1,301 @@
+import { getDb } from "../config/database.js";
+import Logger from "../logger.js";
+
+// User-owned folders for organising snippets. Collections nest through
+// parent_id (deleting one removes its sub-collections, never the snippets)
+// and a snippet can sit in several collections, each with its own position.
+class CollectionRepository {
+  constructor() {
+    this.selectAllStmt = null;
+  }
+
+  #initializeStatements() {
+    if (this.selectAllStmt) {
+      return;
+    }
+
+    const db = getDb();
+
+    const collectionColumns = `
+      c.id,
+      c.parent_id,
+      c.name,
+      c.position,
+      datetime(c.created_at) || 'Z' as created_at,
+      datetime(c.updated_at) || 'Z' as updated_at,
+      (
+        SELECT COUNT(*)
+        FROM collection_snippets cs
+        JOIN snippets s ON s.id = cs.snippet_id
+        WHERE cs.collection_id = c.id AND s.expiry_date IS NULL
+      ) as snippet_count
+    `;
+
+    this.selectAllStmt = db.prepare(`
+      SELECT ${collectionColumns}
+      FROM collections c
+      WHERE c.user_id = ?
+      ORDER BY c.parent_id IS NOT NULL, c.parent_id, c.position, c.name
+    `);
+
+    this.selectByIdStmt = db.prepare(`
+      SELECT ${collectionColumns}
+      FROM collections c
+      WHERE c.id = ? AND c.user_id = ?
+    `);
+
+    this.insertStmt = db.prepare(`
+      INSERT INTO collections (user_id, parent_id, name, position)
+      VALUES (?, ?, ?, ?)
+    `);
+
+    this.selectNextPositionStmt = db.prepare(`
+      SELECT COALESCE(MAX(position) + 1, 0) as position
+      FROM collections
+      WHERE user_id = ? AND parent_id IS ?
+    `);
+
+    this.updateStmt = db.prepare(`
+      UPDATE collections
+      SET name = ?,
+          parent_id = ?,
+          position = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND user_id = ?
+    `);
+
+    this.deleteStmt = db.prepare(`
+      DELETE FROM collections
+      WHERE id = ? AND user_id = ?
+    `);
+
+    this.selectSubtreeIdsStmt = db.prepare(`
+      WITH RECURSIVE subtree(id) AS (
+        SELECT id FROM collections WHERE id = ?
+        UNION
+        SELECT c.id FROM collections c JOIN subtree t ON c.parent_id = t.id
+      )
+      SELECT id FROM subtree
+    `);
+
+    this.selectOwnedSnippetStmt = db.prepare(`
+      SELECT id FROM snippets
+      WHERE id = ? AND user_id = ?
+    `);
+
+    this.addSnippetStmt = db.prepare(`
+      INSERT INTO collection_snippets (collection_id, snippet_id, position)
+      SELECT ?, ?, COALESCE(MAX(position) + 1, 0)
+      FROM collection_snippets
+      WHERE collection_id = ?
+      ON CONFLICT (collection_id, snippet_id) DO NOTHING
+    `);
+
+    this.removeSnippetStmt = db.prepare(`
+      DELETE FROM collection_snippets
+      WHERE collection_id = ? AND snippet_id = ?
+    `);
+
+    this.selectSnippetIdsStmt = db.prepare(`
+      SELECT snippet_id FROM collection_snippets
+      WHERE collection_id = ?
+      ORDER BY position
+    `);
+
+    this.setSnippetPositionStmt = db.prepare(`
+      UPDATE collection_snippets
+      SET position = ?
+      WHERE collection_id = ? AND snippet_id = ?
+    `);
+  }
+
+  #normalizeName(name) {
+    const trimmed = typeof name === "string" ? name.trim() : "";
+    if (!trimmed) {
+      throw new Error("Collection name is required");
+    }
+    return trimmed;
+  }
+
+  #assertParent(parentId, userId, collectionId = null) {
+    if (parentId === null) {
+      return;
+    }
+
+    if (!this.selectByIdStmt.get(parentId, userId)) {
+      throw new Error("Parent collection not found");
+    }
+
+    if (collectionId !== null) {
+      const subtree = this.selectSubtreeIdsStmt
+        .all(collectionId)
+        .map((row) => row.id);
+      if (subtree.includes(parentId)) {
+        throw new Error("A collection cannot be moved into itself");
+      }
+    }
+  }
+
+  findAllByUser(userId) {
+    this.#initializeStatements();
+    try {
+      return this.selectAllStmt.all(userId);
+    } catch (error) {
+      Logger.error("Error in collection findAllByUser:", error);
+      throw error;
+    }
+  }
+
+  findById(id, userId) {
+    this.#initializeStatements();
+    try {
+      return this.selectByIdStmt.get(id, userId) || null;
+    } catch (error) {
+      Logger.error("Error in collection findById:", error);
+      throw error;
+    }
+  }
+
+  create({ name, parentId = null, position = null }, userId) {
+    this.#initializeStatements();
+    try {
+      const db = getDb();
+
+      return db.transaction(() => {
+        const collectionName = this.#normalizeName(name);
+        this.#assertParent(parentId, userId);
+
+        const nextPosition =
+          position ?? this.selectNextPositionStmt.get(userId, parentId).position;
+        const result = this.insertStmt.run(
+          userId,
+          parentId,
+          collectionName,
+          nextPosition
+        );
+        return this.selectByIdStmt.get(result.lastInsertRowid, userId);
+      })();
+    } catch (error) {
+      Logger.error("Error in collection create:", error);
+      throw error;
+    }
+  }
+
+  // Only the given fields change; parentId null moves the collection to the root
+  update(id, changes, userId) {
+    this.#initializeStatements();
+    try {
+      const db = getDb();
+
+      return db.transaction(() => {
+        const existing = this.selectByIdStmt.get(id, userId);
+        if (!existing) {
+          return null;
+        }
+
+        const name =
+          changes.name !== undefined
+            ? this.#normalizeName(changes.name)
+            : existing.name;
+        const parentId =
+          changes.parentId !== undefined ? changes.parentId : existing.parent_id;
+        const position =
+          changes.position !== undefined ? changes.position : existing.position;
+
+        if (parentId !== existing.parent_id) {
+          this.#assertParent(parentId, userId, existing.id);
+        }
+
+        this.updateStmt.run(name, parentId, position, id, userId);
+        return this.selectByIdStmt.get(id, userId);
+      })();
+    } catch (error) {
+      Logger.error("Error in collection update:", error);
+      throw error;
+    }
+  }
+
+  delete(id, userId) {
+    this.#initializeStatements();
+    try {
+      return this.deleteStmt.run(id, userId).changes > 0;
+    } catch (error) {
+      Logger.error("Error in collection delete:", error);
+      throw error;
+    }
+  }
+
+  // Appends the snippet to the end of the collection; adding it again is a no-op
+  addSnippet(id, snippetId, userId) {
+    this.#initializeStatements();
+    try {
+      const db = getDb();
+
+      return db.transaction(() => {
+        if (!this.selectByIdStmt.get(id, userId)) {
+          return null;
+        }
+        if (!this.selectOwnedSnippetStmt.get(snippetId, userId)) {
+          throw new Error("Snippet not found");
+        }
+
+        this.addSnippetStmt.run(id, snippetId, id);
+        return this.selectByIdStmt.get(id, userId);
+      })();
+    } catch (error) {
+      Logger.error("Error in collection addSnippet:", error);
+      throw error;
+    }
+  }
+
+  removeSnippet(id, snippetId, userId) {
+    this.#initializeStatements();
+    try {
+      if (!this.selectByIdStmt.get(id, userId)) {
+        return null;
+      }
+
+      this.removeSnippetStmt.run(id, snippetId);
+      return this.selectByIdStmt.get(id, userId);
+    } catch (error) {
+      Logger.error("Error in collection removeSnippet:", error);
+      throw error;
+    }
+  }
+
+  reorderSnippets(id, snippetIds, userId) {
+    this.#initializeStatements();
+    try {
+      const db = getDb();
+
+      return db.transaction(() => {
+        if (!this.selectByIdStmt.get(id, userId)) {
+          return null;
+        }
+
+        const existingIds = this.selectSnippetIdsStmt
+          .all(id)
+          .map((row) => row.snippet_id);
+        const requested = new Set(snippetIds);
+
+        if (
+          requested.size !== snippetIds.length ||
+          snippetIds.length !== existingIds.length ||
+          !existingIds.every((snippetId) => requested.has(snippetId))
+        ) {
+          throw new Error("Snippet order must list every snippet in the collection exactly once");
+        }
+
+        snippetIds.forEach((snippetId, index) => {
+          this.setSnippetPositionStmt.run(index, id, snippetId);
+        });
+        return snippetIds;
+      })();
+    } catch (error) {
+      Logger.error("Error in collection reorderSnippets:", error);
+      throw error;
+    }
+  }
+}
+
+export default new CollectionRepository();
@@ -1,6 +1,7 @@
 import { getDb } from '../config/database.js';
 import crypto from 'crypto';
 import Logger from '../logger.js';
+import snippetRepository from './snippetRepository.js';
 
 class ShareRepository {
   constructor() {
@@ -40,7 +41,7 @@ class ShareRepository {
         FROM shared_snippets ss
         JOIN snippets s ON s.id = ss.snippet_id
         LEFT JOIN categories c ON s.id = c.snippet_id
-        WHERE ss.id = ? AND s.expiry_date IS NULL
+        WHERE ss.id = ? AND s.expiry_date IS NULL AND (? IS NULL OR s.workspace_id = ?)
         GROUP BY s.id
       `);
 
@@ -87,6 +88,7 @@ class ShareRepository {
       updated_at: share.updated_at,
       categories: share.categories ? share.categories.split(',') : [],
       fragments: fragments.sort((a, b) => a.position - b.position),
+      variables: snippetRepository.findVariables(share.id),
       share: {
         id: share.share_id,
         requiresAuth: !!share.requires_auth,
@@ -132,10 +134,11 @@ class ShareRepository {
     }
   }
 
-  async getShare(id) {
+  // With a workspace ID, shares of snippets in other workspaces are not found
+  async getShare(id, workspaceId = null) {
     this.#initializeStatements();
     try {
-      const share = this.getShareStmt.get(id);
+      const share = this.getShareStmt.get(id, workspaceId, workspaceId);
       return this.#processShare(share);
     } catch (error) {
       Logger.error('Error in getShare:', error);
@@ -0,0 +1,166 @@
+import { getDb } from "../config/database.js";
+import Logger from "../logger.js";
+import { GrantPermissions } from "../security/permissions.js";
+
+// Per-user and per-team access to SHARED snippets. A snippet has at most one
+// grant per user and per team; granting again changes the permission.
+class SnippetGrantRepository {
+  constructor() {
+    this.selectBySnippetStmt = null;
+  }
+
+  #initializeStatements() {
+    if (this.selectBySnippetStmt) {
+      return;
+    }
+
+    const db = getDb();
+
+    const grantColumns = `
+      g.id,
+      g.snippet_id,
+      g.user_id,
+      u.username,
+      g.team_id,
+      t.name as team_name,
+      g.permission,
+      g.created_by,
+      datetime(g.created_at) || 'Z' as created_at
+    `;
+
+    const grantJoins = `
+      FROM snippet_grants g
+      LEFT JOIN users u ON u.id = g.user_id
+      LEFT JOIN teams t ON t.id = g.team_id
+    `;
+
+    this.selectBySnippetStmt = db.prepare(`
+      SELECT ${grantColumns}
+      ${grantJoins}
+      WHERE g.snippet_id = ?
+      ORDER BY g.team_id IS NOT NULL, COALESCE(u.username, t.name) COLLATE NOCASE
+    `);
+
+    this.selectByIdStmt = db.prepare(`
+      SELECT ${grantColumns}
+      ${grantJoins}
+      WHERE g.snippet_id = ? AND g.id = ?
+    `);
+
+    this.selectUserGrantStmt = db.prepare(`
+      SELECT id FROM snippet_grants WHERE snippet_id = ? AND user_id = ?
+    `);
+
+    this.selectTeamGrantStmt = db.prepare(`
+      SELECT id FROM snippet_grants WHERE snippet_id = ? AND team_id = ?
+    `);
+
+    // Grants never reach outside the snippet's workspace
+    this.selectUserByUsernameStmt = db.prepare(`
+      SELECT id FROM users
+      WHERE username = ? COLLATE NOCASE
+        AND workspace_id = (SELECT workspace_id FROM snippets WHERE id = ?)
+    `);
+
+    this.insertStmt = db.prepare(`
+      INSERT INTO snippet_grants (snippet_id, user_id, team_id, permission, created_by)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    this.updatePermissionStmt = db.prepare(`
+      UPDATE snippet_grants SET permission = ? WHERE snippet_id = ? AND id = ?
+    `);
+
+    this.deleteStmt = db.prepare(`
+      DELETE FROM snippet_grants WHERE snippet_id = ? AND id = ?
+    `);
+  }
+
+  findBySnippet(snippetId) {
+    this.#initializeStatements();
+    try {
+      return this.selectBySnippetStmt.all(snippetId);
+    } catch (error) {
+      Logger.error("Error in SnippetGrantRepository.findBySnippet:", error);
+      throw error;
+    }
+  }
+
+  findById(snippetId, grantId) {
+    this.#initializeStatements();
+    try {
+      return this.selectByIdStmt.get(snippetId, grantId) || null;
+    } catch (error) {
+      Logger.error("Error in SnippetGrantRepository.findById:", error);
+      throw error;
+    }
+  }
+
+  // Grants `permission` to a user (by username) or a team. An existing grant
+  // for the same grantee is updated instead; `created` tells the two apart.
+  grant(snippet, { username = null, teamId = null, permission = GrantPermissions.READ }, createdBy) {
+    this.#initializeStatements();
+    try {
+      return getDb().transaction(() => {
+        let userId = null;
+        if (username !== null) {
+          const user = this.selectUserByUsernameStmt.get(String(username).trim(), snippet.id);
+          if (!user) {
+            throw new Error("User not found");
+          }
+          if (user.id === snippet.user_id) {
+            throw new Error("The owner already has access to this snippet");
+          }
+          userId = user.id;
+        }
+
+        const existing =
+          userId !== null
+            ? this.selectUserGrantStmt.get(snippet.id, userId)
+            : this.selectTeamGrantStmt.get(snippet.id, teamId);
+
+        if (existing) {
+          this.updatePermissionStmt.run(permission, snippet.id, existing.id);
+          return { grant: this.findById(snippet.id, existing.id), created: false };
+        }
+
+        const { lastInsertRowid } = this.insertStmt.run(
+          snippet.id,
+          userId,
+          userId !== null ? null : teamId,
+          permission,
+          createdBy
+        );
+        return { grant: this.findById(snippet.id, lastInsertRowid), created: true };
+      })();
+    } catch (error) {
+      Logger.error("Error in SnippetGrantRepository.grant:", error);
+      throw error;
+    }
+  }
+
+  updatePermission(snippetId, grantId, permission) {
+    this.#initializeStatements();
+    try {
+      if (this.updatePermissionStmt.run(permission, snippetId, grantId).changes === 0) {
+        return null;
+      }
+      return this.findById(snippetId, grantId);
+    } catch (error) {
+      Logger.error("Error in SnippetGrantRepository.updatePermission:", error);
+      throw error;
+    }
+  }
+
+  delete(snippetId, grantId) {
+    this.#initializeStatements();
+    try {
+      return this.deleteStmt.run(snippetId, grantId).changes > 0;
+    } catch (error) {
+      Logger.error("Error in SnippetGrantRepository.delete:", error);
+      throw error;
+    }
+  }
+}
+
+export default new SnippetGrantRepository();
@@ -1,5 +1,88 @@
 import { getDb } from "../config/database.js";
 import Logger from "../logger.js";
+import snippetRevisionRepository from "./snippetRevisionRepository.js";
+import collectionRepository from "./collectionRepository.js";
+import {
+  SEARCH_MATCHES_CTE,
+  SEARCH_MATCH_COLUMNS,
+  attachSearchHighlights,
+  buildExcludeQuery,
+  buildMatchQuery,
+} from "../search/fullTextSearch.js";
+import { globToLike } from "../search/queryParser.js";
+import systemConfigRepository from "../core/systemConfigRepository.js";
+import { DEFAULT_WORKSPACE_ID } from "./workspaceRepository.js";
+
+// A grant on a SHARED snippet to the user or one of their teams, optionally
+// limited to a permission. Binds the user ID twice. `alias` names the
+// snippets table in the surrounding query.
+function grantedToUser(permission = null, alias = "s") {
+  return `(
+  ${alias}.visibility = 'SHARED' AND EXISTS (
+    SELECT 1 FROM snippet_grants g
+    WHERE g.snippet_id = ${alias}.id
+      ${permission ? `AND g.permission = '${permission}'` : ""}
+      AND (g.user_id = ? OR g.team_id IN (SELECT team_id FROM team_members WHERE user_id = ?))
+  )
+)`;
+}
+
+// Snippets a signed-in user may read: their own, the TEAM snippets of the
+// teams they belong to and SHARED snippets granted to them. Binds the user
+// ID four times (see readableParams).
+function readableByUser(alias = "s") {
+  return `(
+  ${alias}.user_id = ?
+  OR (${alias}.visibility = 'TEAM' AND ${alias}.team_id IN (SELECT team_id FROM team_members WHERE user_id = ?))
+  OR ${grantedToUser(null, alias)}
+)`;
+}
+
+const READABLE_BY_USER = readableByUser();
+
+function readableParams(userId) {
+  return [userId, userId, userId, userId];
+}
+
+// What the user may do with a snippet: 'owner', 'edit' (an edit grant) or
+// 'read'. Binds the user ID three times.
+const ACCESS_COLUMN = `CASE
+  WHEN s.user_id = ? THEN 'owner'
+  WHEN ${grantedToUser("edit")} THEN 'edit'
+  ELSE 'read'
+END as access`;
+
+// Workspace of a user, so snippets land in their owner's workspace and
+// signed-in users only see public snippets of their own. Binds the user ID.
+const USER_WORKSPACE = `(SELECT workspace_id FROM users WHERE id = ?)`;
+
+// Public snippets of one workspace, for anonymous callers. Binds the
+// workspace ID.
+const PUBLIC_IN_WORKSPACE = `((s.visibility = 'PUBLIC' OR s.is_public = 1) AND s.workspace_id = ?)`;
+
+// The fork source of s, for the upstream link
+const UPSTREAM_JOIN = `
+  LEFT JOIN snippets up ON up.id = s.forked_from AND up.expiry_date IS NULL
+  LEFT JOIN users upu ON upu.id = up.user_id`;
+
+// Fork source fields, plus whether the viewer could open it: it is theirs,
+// readable to them, or public in the workspace of s (which is always the
+// viewer's). Binds the viewer ID five times (see upstreamParams); anonymous
+// callers bind null.
+const UPSTREAM_COLUMNS = `
+  up.id as upstream_id,
+  up.title as upstream_title,
+  upu.username as upstream_username,
+  (up.visibility = 'PUBLIC' OR up.is_public = 1) as upstream_is_public,
+  (
+    up.user_id = ?
+    OR ${readableByUser("up")}
+    OR ((up.visibility = 'PUBLIC' OR up.is_public = 1) AND up.workspace_id = s.workspace_id)
+  ) as upstream_readable`;
+
+function upstreamParams(userId) {
+  return [userId, ...readableParams(userId)];
+}
 
 class SnippetRepository {
   constructor() {
@@ -9,7 +92,11 @@ class SnippetRepository {
     this.insertFragmentStmt = null;
     this.insertCategoryStmt = null;
     this.updateSnippetStmt = null;
-    this.deleteFragmentsStmt = null;
+    this.updateFragmentStmt = null;
+    this.deleteFragmentStmt = null;
+    this.selectFragmentIdsStmt = null;
+    this.setFragmentPositionStmt = null;
+    this.touchSnippetStmt = null;
     this.deleteCategoriesStmt = null;
     this.selectByIdStmt = null;
     this.selectPublicByIdStmt = null;
@@ -19,8 +106,12 @@ class SnippetRepository {
     this.selectAllDeletedStmt = null;
     this.deleteExpiredSnippetsStmt = null;
     this.restoreSnippetStmt = null;
+    this.emptyRecycleBinStmt = null;
+    this.restoreAllRecycledStmt = null;
     this.setPinnedStmt = null;
     this.setFavoriteStmt = null;
+    this.selectEditableStmt = null;
+    this.selectVersionStmt = null;
   }
 
   #initializeStatements() {
@@ -38,12 +129,19 @@ class SnippetRepository {
           s.visibility,
           s.is_pinned,
           s.is_favorite,
+          s.version,
+          s.forked_from,
+          s.team_id,
+          (SELECT t.name FROM teams t WHERE t.id = s.team_id) as team_name,
           u.username,
           GROUP_CONCAT(DISTINCT c.name) as categories,
-          (SELECT COUNT(*) FROM shared_snippets WHERE snippet_id = s.id) as share_count
+          (SELECT COUNT(*) FROM shared_snippets WHERE snippet_id = s.id) as share_count,
+          (SELECT COUNT(*) FROM snippets forks WHERE forks.forked_from = s.id AND forks.expiry_date IS NULL) as fork_count,
+          ${UPSTREAM_COLUMNS}
         FROM snippets s
         LEFT JOIN categories c ON s.id = c.snippet_id
         LEFT JOIN users u ON s.user_id = u.id
+        ${UPSTREAM_JOIN}
         WHERE s.user_id = ? AND s.expiry_date IS NULL
         GROUP BY s.id
         ORDER BY s.updated_at DESC
@@ -58,15 +156,20 @@ class SnippetRepository {
           s.user_id,
           s.is_public,
           s.visibility,
-          s.is_pinned,
-          s.is_favorite,
+          0 as is_pinned,
+          0 as is_favorite,
+          s.version,
+          s.forked_from,
           u.username,
           GROUP_CONCAT(DISTINCT c.name) as categories,
-          (SELECT COUNT(*) FROM shared_snippets WHERE snippet_id = s.id) as share_count
+          (SELECT COUNT(*) FROM shared_snippets WHERE snippet_id = s.id) as share_count,
+          (SELECT COUNT(*) FROM snippets forks WHERE forks.forked_from = s.id AND forks.expiry_date IS NULL) as fork_count,
+          ${UPSTREAM_COLUMNS}
         FROM snippets s
         LEFT JOIN categories c ON s.id = c.snippet_id
         LEFT JOIN users u ON s.user_id = u.id
-        WHERE (s.visibility = 'PUBLIC' OR s.is_public = 1) AND s.expiry_date IS NULL 
+        ${UPSTREAM_JOIN}
+        WHERE ${PUBLIC_IN_WORKSPACE} AND s.expiry_date IS NULL
         GROUP BY s.id
         ORDER BY s.updated_at DESC
       `);
@@ -79,8 +182,10 @@ class SnippetRepository {
           expiry_date,
           user_id,
           is_public,
-          visibility
-        ) VALUES (?, ?, datetime('now', 'utc'),NULL, ?, ?, ?)
+          visibility,
+          team_id,
+          workspace_id
+        ) VALUES (?, ?, datetime('now', 'utc'),NULL, ?, ?, ?, ?, ${USER_WORKSPACE})
       `);
 
       this.insertFragmentStmt = db.prepare(`
@@ -103,24 +208,51 @@ class SnippetRepository {
             description = ?,
             updated_at = datetime('now', 'utc'),
             is_public = ?,
-            visibility = ?
+            visibility = ?,
+            team_id = ?,
+            version = version + 1
         WHERE id = ? AND user_id = ?
       `);
 
       this.restoreSnippetStmt = db.prepare(`
         UPDATE snippets
-        SET expiry_date = NULL
+        SET expiry_date = NULL,
+            recycled_at = NULL,
+            version = version + 1
         WHERE id = ? AND user_id = ?
       `);
 
-      this.deleteFragmentsStmt = db.prepare(`
-        DELETE FROM fragments 
-        WHERE snippet_id = ? 
-        AND EXISTS (
-          SELECT 1 FROM snippets 
-          WHERE snippets.id = fragments.snippet_id 
-          AND snippets.user_id = ?
-        )
+      this.updateFragmentStmt = db.prepare(`
+        UPDATE fragments
+        SET file_name = ?,
+            code = ?,
+            language = ?,
+            position = ?
+        WHERE id = ? AND snippet_id = ?
+      `);
+
+      this.deleteFragmentStmt = db.prepare(`
+        DELETE FROM fragments
+        WHERE id = ? AND snippet_id = ?
+      `);
+
+      this.selectFragmentIdsStmt = db.prepare(`
+        SELECT id FROM fragments
+        WHERE snippet_id = ?
+        ORDER BY position
+      `);
+
+      this.setFragmentPositionStmt = db.prepare(`
+        UPDATE fragments
+        SET position = ?
+        WHERE id = ? AND snippet_id = ?
+      `);
+
+      this.touchSnippetStmt = db.prepare(`
+        UPDATE snippets
+        SET updated_at = datetime('now', 'utc'),
+            version = version + 1
+        WHERE id = ?
       `);
 
       this.deleteCategoriesStmt = db.prepare(`
@@ -145,12 +277,19 @@ class SnippetRepository {
           s.visibility,
           s.is_pinned,
           s.is_favorite,
+          s.version,
+          s.forked_from,
+          s.team_id,
+          (SELECT t.name FROM teams t WHERE t.id = s.team_id) as team_name,
           u.username,
           GROUP_CONCAT(DISTINCT c.name) as categories,
-          (SELECT COUNT(*) FROM shared_snippets WHERE snippet_id = s.id) as share_count
+          (SELECT COUNT(*) FROM shared_snippets WHERE snippet_id = s.id) as share_count,
+          (SELECT COUNT(*) FROM snippets forks WHERE forks.forked_from = s.id AND forks.expiry_date IS NULL) as fork_count,
+          ${UPSTREAM_COLUMNS}
         FROM snippets s
         LEFT JOIN categories c ON s.id = c.snippet_id
         LEFT JOIN users u ON s.user_id = u.id
+        ${UPSTREAM_JOIN}
         WHERE s.user_id = ? AND s.expiry_date IS NOT NULL
         GROUP BY s.id
         ORDER BY s.updated_at DESC
@@ -161,6 +300,29 @@ class SnippetRepository {
         WHERE expiry_date IS NOT NULL AND datetime(expiry_date) <= datetime(?, 'utc')
       `);
 
+      // Expiry follows the current retention, also for snippets that were
+      // recycled before it changed
+      this.applyRecycleRetentionStmt = db.prepare(`
+        UPDATE snippets
+        SET expiry_date = datetime(recycled_at, '+' || ? || ' days')
+        WHERE expiry_date IS NOT NULL AND recycled_at IS NOT NULL
+      `);
+
+      this.emptyRecycleBinStmt = db.prepare(`
+        DELETE FROM snippets
+        WHERE user_id = ? AND expiry_date IS NOT NULL
+        RETURNING id
+      `);
+
+      this.restoreAllRecycledStmt = db.prepare(`
+        UPDATE snippets
+        SET expiry_date = NULL,
+            recycled_at = NULL,
+            version = version + 1
+        WHERE user_id = ? AND expiry_date IS NOT NULL
+        RETURNING id
+      `);
+
       this.selectByIdStmt = db.prepare(`
         SELECT 
           s.id,
@@ -172,13 +334,26 @@ class SnippetRepository {
           s.visibility,
           s.is_pinned,
           s.is_favorite,
+          s.version,
+          s.forked_from,
+          s.team_id,
+          (SELECT t.name FROM teams t WHERE t.id = s.team_id) as team_name,
+          ${ACCESS_COLUMN},
           u.username,
           GROUP_CONCAT(DISTINCT c.name) as categories,
-          (SELECT COUNT(*) FROM shared_snippets WHERE snippet_id = s.id) as share_count
+          (SELECT COUNT(*) FROM shared_snippets WHERE snippet_id = s.id) as share_count,
+          (SELECT COUNT(*) FROM snippets forks WHERE forks.forked_from = s.id AND forks.expiry_date IS NULL) as fork_count,
+          ${UPSTREAM_COLUMNS}
         FROM snippets s
         LEFT JOIN categories c ON s.id = c.snippet_id
         LEFT JOIN users u ON s.user_id = u.id
-        WHERE s.id = ? AND (s.user_id = ? OR s.visibility = 'PUBLIC' OR s.is_public = 1) AND s.expiry_date IS NULL
+        ${UPSTREAM_JOIN}
+        WHERE s.id = ?
+          AND (
+            ${READABLE_BY_USER}
+            OR ((s.visibility = 'PUBLIC' OR s.is_public = 1) AND s.workspace_id = ${USER_WORKSPACE})
+          )
+          AND s.expiry_date IS NULL
         GROUP BY s.id
       `);
 
@@ -191,21 +366,28 @@ class SnippetRepository {
           s.user_id,
           s.is_public,
           s.visibility,
-          s.is_pinned,
-          s.is_favorite,
+          0 as is_pinned,
+          0 as is_favorite,
+          s.version,
+          s.forked_from,
           u.username,
           GROUP_CONCAT(DISTINCT c.name) as categories,
-          (SELECT COUNT(*) FROM shared_snippets WHERE snippet_id = s.id) as share_count
+          (SELECT COUNT(*) FROM shared_snippets WHERE snippet_id = s.id) as share_count,
+          (SELECT COUNT(*) FROM snippets forks WHERE forks.forked_from = s.id AND forks.expiry_date IS NULL) as fork_count,
+          ${UPSTREAM_COLUMNS}
         FROM snippets s
         LEFT JOIN categories c ON s.id = c.snippet_id
         LEFT JOIN users u ON s.user_id = u.id
-        WHERE s.id = ? AND (s.visibility = 'PUBLIC' OR s.is_public = TRUE) AND s.expiry_date IS NULL
+        ${UPSTREAM_JOIN}
+        WHERE s.id = ? AND ${PUBLIC_IN_WORKSPACE} AND s.expiry_date IS NULL
         GROUP BY s.id
       `);
 
       this.moveToRecycleBinStmt = db.prepare(`
         UPDATE snippets
-        SET expiry_date = datetime('now', '+30 days')
+        SET expiry_date = datetime('now', '+' || ? || ' days'),
+            recycled_at = datetime('now'),
+            version = version + 1
         WHERE id = ? AND user_id = ?
       `);
 
@@ -224,35 +406,431 @@ class SnippetRepository {
 
       this.setPinnedStmt = db.prepare(`
         UPDATE snippets
-        SET is_pinned = ?
+        SET is_pinned = ?,
+            version = version + 1
         WHERE id = ? AND user_id = ?
       `);
 
       this.setFavoriteStmt = db.prepare(`
         UPDATE snippets
-        SET is_favorite = ?
+        SET is_favorite = ?,
+            version = version + 1
+        WHERE id = ? AND user_id = ?
+      `);
+
+      this.selectVersionStmt = db.prepare(`
+        SELECT version FROM snippets
+        WHERE id = ? AND user_id = ?
+      `);
+
+      this.insertForkStmt = db.prepare(`
+        INSERT INTO snippets (
+          title,
+          description,
+          updated_at,
+          expiry_date,
+          user_id,
+          is_public,
+          visibility,
+          forked_from,
+          workspace_id
+        )
+        SELECT title, description, datetime('now', 'utc'), NULL, ?, 0, 'PRIVATE', id, ${USER_WORKSPACE}
+        FROM snippets
+        WHERE id = ? AND expiry_date IS NULL
+      `);
+
+      this.copyFragmentsStmt = db.prepare(`
+        INSERT INTO fragments (snippet_id, file_name, code, language, position)
+        SELECT ?, file_name, code, language, position
+        FROM fragments
+        WHERE snippet_id = ?
+        ORDER BY position
+      `);
+
+      this.copyCategoriesStmt = db.prepare(`
+        INSERT INTO categories (snippet_id, name)
+        SELECT ?, name FROM categories WHERE snippet_id = ?
+      `);
+
+      // The owner or an edit grantee; the row carries the owner's sharing
+      // settings so grantee saves can leave them alone
+      this.selectEditableStmt = db.prepare(`
+        SELECT s.user_id, s.is_public, s.visibility, s.team_id
+        FROM snippets s
+        WHERE s.id = ? AND s.expiry_date IS NULL
+          AND (s.user_id = ? OR ${grantedToUser("edit")})
+      `);
+
+      this.selectCategoryCountsStmt = db.prepare(`
+        SELECT
+          c.name,
+          COUNT(DISTINCT CASE WHEN s.expiry_date IS NULL THEN s.id END) as snippet_count,
+          COUNT(DISTINCT CASE WHEN s.expiry_date IS NOT NULL THEN s.id END) as recycled_count
+        FROM categories c
+        INNER JOIN snippets s ON c.snippet_id = s.id
+        WHERE s.user_id = ?
+        GROUP BY c.name
+        ORDER BY c.name
+      `);
+
+      this.selectSnippetIdsByCategoriesStmt = db.prepare(`
+        SELECT DISTINCT c.snippet_id
+        FROM categories c
+        INNER JOIN snippets s ON c.snippet_id = s.id
+        WHERE s.user_id = ?
+          AND c.name IN (SELECT value FROM json_each(?))
+        ORDER BY c.snippet_id
+      `);
+
+      this.deleteNamedCategoriesStmt = db.prepare(`
+        DELETE FROM categories
+        WHERE snippet_id = ?
+          AND name IN (SELECT value FROM json_each(?))
+      `);
+
+      this.selectSnippetStateStmt = db.prepare(`
+        SELECT id, user_id, expiry_date IS NOT NULL as recycled
+        FROM snippets
+        WHERE id = ?
+      `);
+
+      this.setVisibilityStmt = db.prepare(`
+        UPDATE snippets
+        SET visibility = ?,
+            is_public = ?,
+            team_id = ?,
+            updated_at = datetime('now', 'utc'),
+            version = version + 1
         WHERE id = ? AND user_id = ?
       `);
+
+      this.setImportedStateStmt = db.prepare(`
+        UPDATE snippets
+        SET is_pinned = ?,
+            is_favorite = ?,
+            updated_at = COALESCE(datetime(?), updated_at)
+        WHERE id = ? AND user_id = ?
+      `);
+
+      this.insertMissingCategoryStmt = db.prepare(`
+        INSERT INTO categories (snippet_id, name)
+        SELECT ?, ?
+        WHERE NOT EXISTS (
+          SELECT 1 FROM categories WHERE snippet_id = ? AND name = ?
+        )
+      `);
+
+      this.selectVariablesStmt = db.prepare(`
+        SELECT name, type, default_value, required, description, options
+        FROM snippet_variables
+        WHERE snippet_id = ?
+        ORDER BY position
+      `);
+
+      this.deleteVariablesStmt = db.prepare(`
+        DELETE FROM snippet_variables WHERE snippet_id = ?
+      `);
+
+      this.insertVariableStmt = db.prepare(`
+        INSERT INTO snippet_variables (
+          snippet_id,
+          name,
+          type,
+          default_value,
+          required,
+          description,
+          options,
+          position
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      this.copyVariablesStmt = db.prepare(`
+        INSERT INTO snippet_variables (
+          snippet_id, name, type, default_value, required, description, options, position
+        )
+        SELECT ?, name, type, default_value, required, description, options, position
+        FROM snippet_variables
+        WHERE snippet_id = ?
+      `);
     }
   }
 
-  #processSnippet(snippet) {
-    if (!snippet) return null;
+  #selectById(id, userId) {
+    return this.selectByIdStmt.get(
+      userId,
+      userId,
+      userId,
+      ...upstreamParams(userId),
+      id,
+      ...readableParams(userId),
+      userId
+    );
+  }
+
+  #selectEditable(id, userId) {
+    return this.selectEditableStmt.get(id, userId, userId, userId);
+  }
+
+  // Template variable schema of a snippet, in position order
+  findVariables(snippetId) {
+    this.#initializeStatements();
+    return this.selectVariablesStmt.all(snippetId).map((row) => ({
+      name: row.name,
+      type: row.type,
+      default: row.default_value === null ? null : JSON.parse(row.default_value),
+      required: Boolean(row.required),
+      description: row.description,
+      options: row.options === null ? null : JSON.parse(row.options),
+    }));
+  }
+
+  #processSnippet(row) {
+    if (!row) return null;
+
+    const {
+      upstream_id,
+      upstream_title,
+      upstream_username,
+      upstream_is_public,
+      upstream_readable,
+      ...snippet
+    } = row;
 
     const fragments = this.selectFragmentsStmt.all(snippet.id);
+    const variables = this.findVariables(snippet.id);
+    // Pins and favorites are the owner's own; team members and grantees
+    // see them unset
+    const ownFlags = snippet.access === undefined || snippet.access === "owner";
 
     return {
       ...snippet,
+      is_pinned: ownFlags ? snippet.is_pinned : 0,
+      is_favorite: ownFlags ? snippet.is_favorite : 0,
       categories: snippet.categories ? snippet.categories.split(",") : [],
       fragments: fragments.sort((a, b) => a.position - b.position),
+      variables,
       share_count: snippet.share_count || 0,
+      fork_count: snippet.fork_count || 0,
+      // Link back to the original while it still exists and the viewer
+      // could open it
+      upstream: upstream_readable
+        ? {
+            id: upstream_id,
+            title: upstream_title,
+            username: upstream_username,
+            is_public: upstream_is_public,
+          }
+        : null,
     };
   }
 
+  // Guard for conditional writes (If-Match). Must run inside the caller's
+  // transaction so the check and the write cannot interleave with another save.
+  #assertVersion(id, userId, expectedVersions) {
+    if (!expectedVersions) {
+      return;
+    }
+
+    const row = this.selectVersionStmt.get(id, userId);
+    if (row && !expectedVersions.includes(row.version)) {
+      throw new Error("Snippet version conflict");
+    }
+  }
+
+  // Update fragments that still exist in place so their IDs (and every raw URL
+  // pointing at them) survive edits; insert new ones and drop the rest.
+  #upsertFragments(snippetId, fragments) {
+    const existingIds = new Set(
+      this.selectFragmentIdsStmt.all(snippetId).map((row) => row.id)
+    );
+    const keptIds = new Set();
+
+    fragments.forEach((fragment, index) => {
+      const fragmentId = parseInt(fragment.id, 10);
+      const values = [
+        fragment.file_name,
+        fragment.code || "",
+        fragment.language || "plaintext",
+        fragment.position || index,
+      ];
+
+      if (existingIds.has(fragmentId) && !keptIds.has(fragmentId)) {
+        this.updateFragmentStmt.run(...values, fragmentId, snippetId);
+        keptIds.add(fragmentId);
+      } else {
+        this.insertFragmentStmt.run(snippetId, ...values);
+      }
+    });
+
+    for (const fragmentId of existingIds) {
+      if (!keptIds.has(fragmentId)) {
+        this.deleteFragmentStmt.run(fragmentId, snippetId);
+      }
+    }
+  }
+
+  // Template variable schema, already validated by the service
+  #replaceVariables(snippetId, variables) {
+    this.deleteVariablesStmt.run(snippetId);
+    variables.forEach((variable, position) => {
+      this.insertVariableStmt.run(
+        snippetId,
+        variable.name,
+        variable.type,
+        variable.default === null ? null : JSON.stringify(variable.default),
+        variable.required ? 1 : 0,
+        variable.description,
+        variable.options === null ? null : JSON.stringify(variable.options),
+        position
+      );
+    });
+  }
+
+  // Shared wrapper for fragment-level edits: edit access check, baseline
+  // revision, the change itself, then bump updated_at and snapshot.
+  #mutateFragments(snippetId, userId, mutate, { expectedVersions = null } = {}) {
+    const db = getDb();
+
+    return db.transaction(() => {
+      const editable = this.#selectEditable(snippetId, userId);
+      if (!editable) {
+        return null;
+      }
+
+      this.#assertVersion(snippetId, editable.user_id, expectedVersions);
+
+      snippetRevisionRepository.ensureBaseline(snippetId, userId);
+
+      const result = mutate();
+      if (result == null) {
+        return null;
+      }
+
+      this.touchSnippetStmt.run(snippetId);
+      snippetRevisionRepository.record(snippetId, {
+        actorId: userId,
+        source: "fragment",
+      });
+      return result;
+    })();
+  }
+
+  #findFragment(snippetId, fragmentId) {
+    return (
+      this.selectFragmentsStmt
+        .all(snippetId)
+        .find((fragment) => fragment.id === fragmentId) || null
+    );
+  }
+
+  addFragment(
+    snippetId,
+    { file_name, code = "", language = "plaintext" },
+    userId,
+    options = {}
+  ) {
+    this.#initializeStatements();
+    try {
+      return this.#mutateFragments(snippetId, userId, () => {
+        const position = this.selectFragmentIdsStmt.all(snippetId).length;
+        const result = this.insertFragmentStmt.run(
+          snippetId,
+          file_name,
+          code,
+          language,
+          position
+        );
+        return this.#findFragment(snippetId, Number(result.lastInsertRowid));
+      }, options);
+    } catch (error) {
+      Logger.error("Error in addFragment:", error);
+      throw error;
+    }
+  }
+
+  updateFragment(snippetId, fragmentId, changes, userId, options = {}) {
+    this.#initializeStatements();
+    try {
+      return this.#mutateFragments(snippetId, userId, () => {
+        const fragment = this.#findFragment(snippetId, fragmentId);
+        if (!fragment) {
+          return null;
+        }
+
+        this.updateFragmentStmt.run(
+          changes.file_name ?? fragment.file_name,
+          changes.code ?? fragment.code,
+          changes.language ?? fragment.language,
+          fragment.position,
+          fragmentId,
+          snippetId
+        );
+        return this.#findFragment(snippetId, fragmentId);
+      }, options);
+    } catch (error) {
+      Logger.error("Error in updateFragment:", error);
+      throw error;
+    }
+  }
+
+  deleteFragment(snippetId, fragmentId, userId, options = {}) {
+    this.#initializeStatements();
+    try {
+      return this.#mutateFragments(snippetId, userId, () => {
+        const remainingIds = this.selectFragmentIdsStmt
+          .all(snippetId)
+          .map((row) => row.id)
+          .filter((id) => id !== fragmentId);
+
+        const result = this.deleteFragmentStmt.run(fragmentId, snippetId);
+        if (result.changes === 0) {
+          return null;
+        }
+
+        remainingIds.forEach((id, index) => {
+          this.setFragmentPositionStmt.run(index, id, snippetId);
+        });
+        return { id: fragmentId };
+      }, options);
+    } catch (error) {
+      Logger.error("Error in deleteFragment:", error);
+      throw error;
+    }
+  }
+
+  reorderFragments(snippetId, fragmentIds, userId, options = {}) {
+    this.#initializeStatements();
+    try {
+      return this.#mutateFragments(snippetId, userId, () => {
+        const existingIds = this.selectFragmentIdsStmt
+          .all(snippetId)
+          .map((row) => row.id);
+        const requested = new Set(fragmentIds);
+
+        if (
+          requested.size !== fragmentIds.length ||
+          fragmentIds.length !== existingIds.length ||
+          !existingIds.every((id) => requested.has(id))
+        ) {
+          throw new Error("Fragment order must list every fragment exactly once");
+        }
+
+        fragmentIds.forEach((id, index) => {
+          this.setFragmentPositionStmt.run(index, id, snippetId);
+        });
+        return this.selectFragmentsStmt.all(snippetId);
+      }, options);
+    } catch (error) {
+      Logger.error("Error in reorderFragments:", error);
+      throw error;
+    }
+  }
+
   findAll(userId) {
     this.#initializeStatements();
     try {
-      const snippets = this.selectAllStmt.all(userId);
+      const snippets = this.selectAllStmt.all(...upstreamParams(userId), userId);
       return snippets.map(this.#processSnippet.bind(this));
     } catch (error) {
       Logger.error("Error in findAll:", error);
@@ -260,10 +838,10 @@ class SnippetRepository {
     }
   }
 
-  findAllPublic() {
+  findAllPublic(workspaceId = DEFAULT_WORKSPACE_ID) {
     this.#initializeStatements();
     try {
-      const snippets = this.selectPublicStmt.all();
+      const snippets = this.selectPublicStmt.all(...upstreamParams(null), workspaceId);
       return snippets.map(this.#processSnippet.bind(this));
     } catch (error) {
       Logger.error("Error in findAllPublic:", error);
@@ -276,9 +854,12 @@ class SnippetRepository {
     description,
     categories = [],
     fragments = [],
+    variables = [],
     userId,
     isPublic = 0,
     visibility = "PRIVATE",
+    teamId = null,
+    revisionSource = "create",
   }) {
     this.#initializeStatements();
     try {
@@ -290,14 +871,16 @@ class SnippetRepository {
           description,
           userId,
           isPublic ? 1 : 0,
-          visibility
+          visibility,
+          teamId,
+          userId
         );
         const snippetId = insertResult.lastInsertRowid;
 
         fragments.forEach((fragment, index) => {
           this.insertFragmentStmt.run(
             snippetId,
-            fragment.file_name || `file${index + 1}`,
+            fragment.file_name,
             fragment.code || "",
             fragment.language || "plaintext",
             fragment.position || index
@@ -315,7 +898,14 @@ class SnippetRepository {
           }
         }
 
-        const created = this.selectByIdStmt.get(snippetId, userId);
+        this.#replaceVariables(snippetId, variables);
+
+        snippetRevisionRepository.record(snippetId, {
+          actorId: userId,
+          source: revisionSource,
+        });
+
+        const created = this.#selectById(snippetId, userId);
         return this.#processSnippet(created);
       })();
     } catch (error) {
@@ -324,6 +914,94 @@ class SnippetRepository {
     }
   }
 
+  // Applies an import plan in one transaction: `create` entries become new
+  // snippets, `update` entries overwrite existingId. Pinned/favorite flags and
+  // the archived updated_at are kept so a round trip is lossless.
+  importSnippets(entries, userId) {
+    this.#initializeStatements();
+    try {
+      const db = getDb();
+
+      return db.transaction(() =>
+        entries.map(({ action, existingId, snippet }) => {
+          // Archives carry no teams or grants: TEAM and SHARED snippets come
+          // in PRIVATE, unless they overwrite one that is shared the same way
+          const existing =
+            action === "update" ? this.#selectEditable(existingId, userId) : null;
+          let visibility = snippet.visibility;
+          let teamId = null;
+          if (visibility === "TEAM" || visibility === "SHARED") {
+            if (existing?.visibility === visibility) {
+              teamId = existing.team_id;
+            } else {
+              visibility = "PRIVATE";
+            }
+          }
+
+          const data = {
+            title: snippet.title,
+            description: snippet.description,
+            categories: snippet.categories,
+            fragments: snippet.fragments,
+            variables: snippet.variables,
+            isPublic: visibility === "PUBLIC" ? 1 : 0,
+            visibility,
+            teamId,
+          };
+
+          const saved =
+            action === "update"
+              ? this.update(existingId, data, userId, { revisionSource: "import" })
+              : this.create({ ...data, userId, revisionSource: "import" });
+
+          this.setImportedStateStmt.run(
+            snippet.isPinned ? 1 : 0,
+            snippet.isFavorite ? 1 : 0,
+            snippet.updatedAt,
+            saved.id,
+            userId
+          );
+          return saved.id;
+        })
+      )();
+    } catch (error) {
+      Logger.error("Error in importSnippets:", error);
+      throw error;
+    }
+  }
+
+  // Copies a snippet with its fragments and categories into the user's library
+  // as a private snippet. Callers check that the user may read the source.
+  fork(id, userId) {
+    this.#initializeStatements();
+    try {
+      const db = getDb();
+
+      return db.transaction(() => {
+        const insertResult = this.insertForkStmt.run(userId, userId, id);
+        if (insertResult.changes === 0) {
+          return null;
+        }
+        const forkId = insertResult.lastInsertRowid;
+
+        this.copyFragmentsStmt.run(forkId, id);
+        this.copyCategoriesStmt.run(forkId, id);
+        this.copyVariablesStmt.run(forkId, id);
+
+        snippetRevisionRepository.record(forkId, {
+          actorId: userId,
+          source: "fork",
+        });
+
+        const created = this.#selectById(forkId, userId);
+        return this.#processSnippet(created);
+      })();
+    } catch (error) {
+      Logger.error("Error in fork:", error);
+      throw error;
+    }
+  }
+
   update(
     id,
     {
@@ -331,44 +1009,62 @@ class SnippetRepository {
       description,
       categories = [],
       fragments = [],
+      variables,
       isPublic = 0,
       visibility = "PRIVATE",
+      teamId = null,
     },
-    userId
+    userId,
+    { revisionSource = "update", expectedVersions = null } = {}
   ) {
     this.#initializeStatements();
     try {
       const db = getDb();
 
       return db.transaction(() => {
+        const editable = this.#selectEditable(id, userId);
+        if (!editable) {
+          return null;
+        }
+
+        // Edit grantees change the content; sharing stays with the owner
+        const ownerId = editable.user_id;
+        const isOwner = ownerId === userId;
+
+        this.#assertVersion(id, ownerId, expectedVersions);
+
+        snippetRevisionRepository.ensureBaseline(id, userId);
+
         this.updateSnippetStmt.run(
           title,
           description,
-          isPublic ? 1 : 0,
-          visibility,
+          isOwner ? (isPublic ? 1 : 0) : editable.is_public,
+          isOwner ? visibility : editable.visibility,
+          isOwner ? teamId : editable.team_id,
           id,
-          userId
+          ownerId
         );
 
-        this.deleteFragmentsStmt.run(id, userId);
-        fragments.forEach((fragment, index) => {
-          this.insertFragmentStmt.run(
-            id,
-            fragment.file_name || `file${index + 1}`,
-            fragment.code || "",
-            fragment.language || "plaintext",
-            fragment.position || index
-          );
-        });
+        this.#upsertFragments(id, fragments);
 
-        this.deleteCategoriesStmt.run(id, userId);
+        this.deleteCategoriesStmt.run(id, ownerId);
         for (const category of categories) {
           if (category.trim()) {
             this.insertCategoryStmt.run(id, category.trim().toLowerCase());
           }
         }
 
-        const updated = this.selectByIdStmt.get(id, userId);
+        // Writers that don't know about templates leave the schema alone
+        if (variables !== undefined) {
+          this.#replaceVariables(id, variables);
+        }
+
+        snippetRevisionRepository.record(id, {
+          actorId: userId,
+          source: revisionSource,
+        });
+
+        const updated = this.#selectById(id, userId);
         return this.#processSnippet(updated);
       })();
     } catch (error) {
@@ -377,11 +1073,155 @@ class SnippetRepository {
     }
   }
 
-  restore(id, userId) {
+  // Usage per category across the user's library. Recycled snippets are
+  // counted separately because category changes apply to them as well.
+  findCategoryCounts(userId) {
+    this.#initializeStatements();
+    try {
+      return this.selectCategoryCountsStmt.all(userId);
+    } catch (error) {
+      Logger.error("Error in findCategoryCounts:", error);
+      throw error;
+    }
+  }
+
+  // Replaces the source categories with target (or drops them when target is
+  // null) on every snippet of the user, recycled ones included, so a restored
+  // snippet does not bring an old name back. Each touched snippet gets a new
+  // version and revision. Returns the IDs of the affected snippets.
+  replaceCategories(userId, sources, target = null) {
     this.#initializeStatements();
     try {
       const db = getDb();
+      const names = JSON.stringify(sources);
+
       return db.transaction(() => {
+        const snippetIds = this.selectSnippetIdsByCategoriesStmt
+          .all(userId, names)
+          .map((row) => row.snippet_id);
+
+        for (const snippetId of snippetIds) {
+          snippetRevisionRepository.ensureBaseline(snippetId, userId);
+
+          this.deleteNamedCategoriesStmt.run(snippetId, names);
+          if (target) {
+            this.insertMissingCategoryStmt.run(snippetId, target, snippetId, target);
+          }
+          this.touchSnippetStmt.run(snippetId);
+
+          snippetRevisionRepository.record(snippetId, {
+            actorId: userId,
+            source: "categories",
+          });
+        }
+
+        return snippetIds;
+      })();
+    } catch (error) {
+      Logger.error("Error in replaceCategories:", error);
+      throw error;
+    }
+  }
+
+  // Applies one action to many snippets in a single transaction. Items the
+  // user does not own, or that are in the wrong state for the action, are
+  // reported and skipped rather than failing the whole batch.
+  bulkUpdate(ids, action, { categories = [], visibility = null, teamId = null } = {}, userId) {
+    this.#initializeStatements();
+    try {
+      const db = getDb();
+      const categoryNames = JSON.stringify(categories);
+      const retentionDays = systemConfigRepository.getRecycleRetentionDays();
+
+      const applyAction = (id) => {
+        switch (action) {
+          case "recycle":
+            this.moveToRecycleBinStmt.run(retentionDays, id, userId);
+            break;
+          case "restore":
+            this.restoreSnippetStmt.run(id, userId);
+            break;
+          case "delete":
+            this.deleteSnippetStmt.get(id, userId);
+            break;
+          case "pin":
+          case "unpin":
+            this.setPinnedStmt.run(action === "pin" ? 1 : 0, id, userId);
+            break;
+          case "favorite":
+          case "unfavorite":
+            this.setFavoriteStmt.run(action === "favorite" ? 1 : 0, id, userId);
+            break;
+          case "addCategories":
+          case "removeCategories":
+          case "setVisibility":
+            snippetRevisionRepository.ensureBaseline(id, userId);
+            if (action === "setVisibility") {
+              this.setVisibilityStmt.run(
+                visibility,
+                visibility === "PUBLIC" ? 1 : 0,
+                visibility === "TEAM" ? teamId : null,
+                id,
+                userId
+              );
+            } else {
+              this.deleteNamedCategoriesStmt.run(id, categoryNames);
+              if (action === "addCategories") {
+                for (const category of categories) {
+                  this.insertCategoryStmt.run(id, category);
+                }
+              }
+              this.touchSnippetStmt.run(id);
+            }
+            snippetRevisionRepository.record(id, {
+              actorId: userId,
+              source: "bulk",
+            });
+            break;
+          default:
+            throw new Error(`Unknown bulk action: ${action}`);
+        }
+      };
+
+      return db.transaction(() => {
+        const seen = new Set();
+
+        return ids.map((id) => {
+          if (seen.has(id)) {
+            return { id, status: "skipped", error: "Duplicate snippet ID" };
+          }
+          seen.add(id);
+
+          const snippet = this.selectSnippetStateStmt.get(id);
+          if (!snippet) {
+            return { id, status: "not_found", error: "Snippet not found" };
+          }
+          if (snippet.user_id !== userId) {
+            return { id, status: "forbidden", error: "Snippet belongs to another user" };
+          }
+          if (action === "restore" && !snippet.recycled) {
+            return { id, status: "skipped", error: "Snippet is not in the recycle bin" };
+          }
+          if (action !== "restore" && action !== "delete" && snippet.recycled) {
+            return { id, status: "skipped", error: "Snippet is in the recycle bin" };
+          }
+
+          applyAction(id);
+          return { id, status: "ok" };
+        });
+      })();
+    } catch (error) {
+      Logger.error("Error in bulkUpdate:", error);
+      throw error;
+    }
+  }
+
+  restore(id, userId, { expectedVersions = null } = {}) {
+    this.#initializeStatements();
+    try {
+      const db = getDb();
+      return db.transaction(() => {
+        this.#assertVersion(id, userId, expectedVersions);
         this.restoreSnippetStmt.run(id, userId);
       })();
     } catch (error) {
@@ -390,14 +1230,19 @@ class SnippetRepository {
     }
   }
 
-  moveToRecycle(id, userId) {
+  moveToRecycle(id, userId, { expectedVersions = null } = {}) {
     this.#initializeStatements();
     try {
       const db = getDb();
       return db.transaction(() => {
-        const snippet = this.selectByIdStmt.get(id, userId);
-        if (snippet) {
-          this.moveToRecycleBinStmt.run(id, userId);
+        const snippet = this.#selectById(id, userId);
+        if (snippet?.user_id === userId) {
+          this.#assertVersion(id, userId, expectedVersions);
+          this.moveToRecycleBinStmt.run(
+            systemConfigRepository.getRecycleRetentionDays(),
+            id,
+            userId
+          );
           return this.#processSnippet(snippet);
         }
         return null;
@@ -411,7 +1256,7 @@ class SnippetRepository {
   findAllDeleted(userId) {
     this.#initializeStatements();
     try {
-      const deletedSnippets = this.selectAllDeletedStmt.all(userId);
+      const deletedSnippets = this.selectAllDeletedStmt.all(...upstreamParams(userId), userId);
       return deletedSnippets.map(this.#processSnippet.bind(this));
     } catch (error) {
       Logger.error("Error in findAllDeleted:", error);
@@ -419,12 +1264,34 @@ class SnippetRepository {
     }
   }
 
-  delete(id, userId) {
+  // Both return the ids of the snippets that were in the user's recycle bin
+  emptyRecycleBin(userId) {
+    this.#initializeStatements();
+    try {
+      return this.emptyRecycleBinStmt.all(userId).map((row) => row.id);
+    } catch (error) {
+      Logger.error("Error in emptyRecycleBin:", error);
+      throw error;
+    }
+  }
+
+  restoreAllRecycled(userId) {
+    this.#initializeStatements();
+    try {
+      return this.restoreAllRecycledStmt.all(userId).map((row) => row.id);
+    } catch (error) {
+      Logger.error("Error in restoreAllRecycled:", error);
+      throw error;
+    }
+  }
+
+  delete(id, userId, { expectedVersions = null } = {}) {
     this.#initializeStatements();
     try {
       const db = getDb();
 
       return db.transaction(() => {
+        this.#assertVersion(id, userId, expectedVersions);
         const deletedSnippet = this.deleteSnippetStmt.get(id, userId); // get() will return deleted row
         return deletedSnippet ? this.#processSnippet(deletedSnippet) : null;
       })();
@@ -434,13 +1301,26 @@ class SnippetRepository {
     }
   }
 
+  // Moves the expiry of everything in a recycle bin to `days` after it was
+  // recycled
+  applyRecycleRetention(days) {
+    this.#initializeStatements();
+    try {
+      return this.applyRecycleRetentionStmt.run(days).changes;
+    } catch (error) {
+      Logger.error("Error in applyRecycleRetention:", error);
+      throw error;
+    }
+  }
+
   deleteExpired() {
     this.#initializeStatements();
     try {
       const db = getDb();
       const currentTime = new Date().toISOString();
-      db.transaction(() => {
-        this.deleteExpiredSnippetsStmt.run(currentTime);
+      return db.transaction(() => {
+        this.applyRecycleRetentionStmt.run(systemConfigRepository.getRecycleRetentionDays());
+        return this.deleteExpiredSnippetsStmt.run(currentTime).changes;
       })();
     } catch (error) {
       Logger.error("Error in deleteExpired:", error);
@@ -448,15 +1328,17 @@ class SnippetRepository {
     }
   }
 
-  findById(id, userId = null) {
+  // Signed-in users read through their own access; anonymous callers only
+  // get public snippets of `workspaceId`
+  findById(id, userId = null, workspaceId = DEFAULT_WORKSPACE_ID) {
     this.#initializeStatements();
     try {
       if (userId != null) {
-        const snippet = this.selectByIdStmt.get(id, userId);
+        const snippet = this.#selectById(id, userId);
         return this.#processSnippet(snippet);
       }
 
-      const snippet = this.selectPublicByIdStmt.get(id);
+      const snippet = this.selectPublicByIdStmt.get(...upstreamParams(null), id, workspaceId);
       return this.#processSnippet(snippet);
     } catch (error) {
       Logger.error("Error in findById:", error);
@@ -464,34 +1346,195 @@ class SnippetRepository {
     }
   }
 
-  setPinned(id, value, userId) {
+  setPinned(id, value, userId, { expectedVersions = null } = {}) {
     this.#initializeStatements();
     try {
-      const result = this.setPinnedStmt.run(value ? 1 : 0, id, userId);
-      if (result.changes === 0) return null;
-      const updated = this.selectByIdStmt.get(id, userId);
-      return this.#processSnippet(updated);
+      const db = getDb();
+      return db.transaction(() => {
+        this.#assertVersion(id, userId, expectedVersions);
+        const result = this.setPinnedStmt.run(value ? 1 : 0, id, userId);
+        if (result.changes === 0) return null;
+        const updated = this.#selectById(id, userId);
+        return this.#processSnippet(updated);
+      })();
     } catch (error) {
       Logger.error("Error in setPinned:", error);
       throw error;
     }
   }
 
-  setFavorite(id, value, userId) {
+  setFavorite(id, value, userId, { expectedVersions = null } = {}) {
     this.#initializeStatements();
     try {
-      const result = this.setFavoriteStmt.run(value ? 1 : 0, id, userId);
-      if (result.changes === 0) {
-        return null;
-      }
-      const updated = this.selectByIdStmt.get(id, userId);
-      return this.#processSnippet(updated);
+      const db = getDb();
+      return db.transaction(() => {
+        this.#assertVersion(id, userId, expectedVersions);
+        const result = this.setFavoriteStmt.run(value ? 1 : 0, id, userId);
+        if (result.changes === 0) {
+          return null;
+        }
+        const updated = this.#selectById(id, userId);
+        return this.#processSnippet(updated);
+      })();
     } catch (error) {
       Logger.error("Error in setFavorite:", error);
       throw error;
     }
   }
 
+  // Filter conditions shared by the list queries: appended after
+  // `WHERE 1=1` on `snippets s` with `categories c` left-joined, and ending
+  // with the GROUP BY/HAVING for the category filter.
+  #buildListFilters(userId, filters, { matchQuery = null, excludeQuery = null } = {}) {
+    let sql = "";
+    const params = [];
+
+    // The recycle bin only ever holds the user's own snippets; exports ask
+    // for owned snippets only as well
+    if (userId !== null && (filters.recycled || filters.owned)) {
+      sql += ` AND s.user_id = ?`;
+      params.push(userId);
+    } else if (userId !== null) {
+      sql += ` AND ${READABLE_BY_USER}`;
+      params.push(...readableParams(userId));
+    } else {
+      sql += ` AND ${PUBLIC_IN_WORKSPACE}`;
+      params.push(filters.workspaceId ?? DEFAULT_WORKSPACE_ID);
+    }
+
+    if (filters.team) {
+      sql += ` AND s.visibility = 'TEAM' AND s.team_id = ?`;
+      params.push(filters.team);
+    }
+
+    // "Shared with me": other people's snippets granted to the user
+    if (userId !== null && filters.shared) {
+      sql += ` AND s.user_id != ? AND ${grantedToUser()}`;
+      params.push(userId, userId, userId);
+    }
+
+    if (filters.recycled) {
+      sql += ` AND s.expiry_date IS NOT NULL`;
+    } else {
+      sql += ` AND s.expiry_date IS NULL`;
+    }
+
+    // Only the caller's own pins and favorites count
+    if (filters.favorites) {
+      sql += ` AND s.is_favorite = 1 AND s.user_id = ?`;
+      params.push(userId);
+    }
+
+    if (filters.pinned) {
+      sql += ` AND s.is_pinned = 1 AND s.user_id = ?`;
+      params.push(userId);
+    }
+
+    if (filters.search && !matchQuery) {
+      sql += ` AND (s.title LIKE ? OR s.description LIKE ?`;
+      params.push(`%${filters.search}%`, `%${filters.search}%`);
+
+      if (filters.searchCode) {
+        sql += ` OR EXISTS (
+          SELECT 1 FROM fragments f
+          WHERE f.snippet_id = s.id AND f.code LIKE ?
+        )`;
+        params.push(`%${filters.search}%`);
+      }
+      sql += `)`;
+    }
+
+    if (excludeQuery) {
+      sql += ` AND s.id NOT IN (
+        SELECT rowid FROM snippets_fts WHERE snippets_fts MATCH ?
+      )`;
+      params.push(excludeQuery);
+    }
+
+    const placeholders = (values) => values.map(() => '?').join(',');
+
+    if (filters.languages?.length > 0) {
+      sql += ` AND EXISTS (
+        SELECT 1 FROM fragments f
+        WHERE f.snippet_id = s.id AND LOWER(f.language) IN (${placeholders(filters.languages)})
+      )`;
+      params.push(...filters.languages);
+    }
+
+    if (filters.excludeLanguages?.length > 0) {
+      sql += ` AND NOT EXISTS (
+        SELECT 1 FROM fragments f
+        WHERE f.snippet_id = s.id AND LOWER(f.language) IN (${placeholders(filters.excludeLanguages)})
+      )`;
+      params.push(...filters.excludeLanguages);
+    }
+
+    // file: globs match if any fragment's name matches any of them
+    const fileNameMatch = (globs) =>
+      globs.map(() => `f.file_name LIKE ? ESCAPE '\\'`).join(' OR ');
+
+    if (filters.fileNames?.length > 0) {
+      sql += ` AND EXISTS (
+        SELECT 1 FROM fragments f
+        WHERE f.snippet_id = s.id AND (${fileNameMatch(filters.fileNames)})
+      )`;
+      params.push(...filters.fileNames.map(globToLike));
+    }
+
+    if (filters.excludeFileNames?.length > 0) {
+      sql += ` AND NOT EXISTS (
+        SELECT 1 FROM fragments f
+        WHERE f.snippet_id = s.id AND (${fileNameMatch(filters.excludeFileNames)})
+      )`;
+      params.push(...filters.excludeFileNames.map(globToLike));
+    }
+
+    if (filters.excludeCategories?.length > 0) {
+      sql += ` AND NOT EXISTS (
+        SELECT 1 FROM categories ec
+        WHERE ec.snippet_id = s.id AND ec.name IN (${placeholders(filters.excludeCategories)})
+      )`;
+      params.push(...filters.excludeCategories);
+    }
+
+    if (filters.updatedFrom) {
+      sql += ` AND datetime(s.updated_at) >= datetime(?)`;
+      params.push(filters.updatedFrom);
+    }
+
+    if (filters.updatedUntil) {
+      sql += ` AND datetime(s.updated_at) < datetime(?)`;
+      params.push(filters.updatedUntil);
+    }
+
+    // Collections are private, so someone else's matches nothing even when
+    // its snippets are shared with the caller
+    if (filters.collection) {
+      sql += ` AND EXISTS (
+        SELECT 1 FROM collection_snippets cs
+        JOIN collections col ON col.id = cs.collection_id AND col.user_id = ?
+        WHERE cs.snippet_id = s.id AND cs.collection_id = ?
+      )`;
+      params.push(userId, filters.collection);
+    }
+
+    // Restricts to an explicit id list, e.g. the hits of a code search
+    if (filters.snippetIds) {
+      sql += ` AND s.id IN (SELECT value FROM json_each(?))`;
+      params.push(JSON.stringify(filters.snippetIds));
+    }
+
+    sql += ` GROUP BY s.id`;
+
+    // Category AND logic: must have ALL selected categories
+    if (filters.categories && filters.categories.length > 0) {
+      sql += ` HAVING COUNT(DISTINCT CASE WHEN c.name IN (${filters.categories.map(() => '?').join(',')}) THEN c.name END) = ?`;
+      params.push(...filters.categories, filters.categories.length);
+    }
+
+    return { sql, params };
+  }
+
   findAllPaginated({
     userId = null,
     filters = {},
@@ -502,8 +1545,23 @@ class SnippetRepository {
     this.#initializeStatements();
 
     try {
+      // Searches go through the FTS index; input with no indexable words
+      // (e.g. only punctuation) falls back to a LIKE scan below.
+      // searchTerms is the parsed form of `search` (see search/queryParser.js)
+      const matchQuery = filters.search
+        ? buildMatchQuery(filters.searchTerms || filters.search, {
+            includeCode: filters.searchCode,
+          })
+        : null;
+      const excludeQuery = buildExcludeQuery(filters.searchTerms?.excludes, {
+        includeCode: filters.searchCode,
+      });
+
+      const params = [];
+
       // Build base query
       let sql = `
+        ${matchQuery ? `WITH ${SEARCH_MATCHES_CTE}` : ""}
         SELECT
           s.id,
           s.title,
@@ -512,75 +1570,61 @@ class SnippetRepository {
           CASE WHEN s.expiry_date IS NOT NULL THEN datetime(s.expiry_date) || 'Z' ELSE NULL END as expiry_date,
           s.user_id,
           s.is_public,
+          s.visibility,
           s.is_pinned,
           s.is_favorite,
+          s.version,
+          s.forked_from,
+          s.team_id,
+          (SELECT t.name FROM teams t WHERE t.id = s.team_id) as team_name,
+          ${ACCESS_COLUMN},
           u.username,
           GROUP_CONCAT(DISTINCT c.name) as categories,
           (SELECT COUNT(*) FROM shared_snippets WHERE snippet_id = s.id) as share_count,
+          (SELECT COUNT(*) FROM snippets forks WHERE forks.forked_from = s.id AND forks.expiry_date IS NULL) as fork_count,
+          ${UPSTREAM_COLUMNS},
+          ${matchQuery ? `${SEARCH_MATCH_COLUMNS},` : ""}
           COUNT(*) OVER() as total_count
         FROM snippets s
+        ${matchQuery ? "JOIN search_matches sm ON sm.snippet_id = s.id" : ""}
         LEFT JOIN categories c ON s.id = c.snippet_id
         LEFT JOIN users u ON s.user_id = u.id
+        ${UPSTREAM_JOIN}
         WHERE 1=1
       `;
 
-      const params = [];
-
-      // Apply filters dynamically
-      if (userId !== null) {
-        sql += ` AND s.user_id = ?`;
-        params.push(userId);
-      } else {
-        sql += ` AND (s.visibility = 'PUBLIC' OR s.is_public = 1)`;
-      }
-
-      if (filters.recycled) {
-        sql += ` AND s.expiry_date IS NOT NULL`;
-      } else {
-        sql += ` AND s.expiry_date IS NULL`;
-      }
-
-      if (filters.favorites) {
-        sql += ` AND s.is_favorite = 1`;
-      }
-
-      if (filters.pinned) {
-        sql += ` AND s.is_pinned = 1`;
-      }
-
-      if (filters.search) {
-        sql += ` AND (s.title LIKE ? OR s.description LIKE ?`;
-        params.push(`%${filters.search}%`, `%${filters.search}%`);
-
-        if (filters.searchCode) {
-          sql += ` OR EXISTS (
-            SELECT 1 FROM fragments f
-            WHERE f.snippet_id = s.id AND f.code LIKE ?
-          )`;
-          params.push(`%${filters.search}%`);
-        }
-        sql += `)`;
-      }
-
-      if (filters.language) {
-        sql += ` AND EXISTS (
-          SELECT 1 FROM fragments f
-          WHERE f.snippet_id = s.id AND f.language = ?
-        )`;
-        params.push(filters.language);
-      }
-
-      sql += ` GROUP BY s.id`;
-
-      // Category AND logic: must have ALL selected categories
-      if (filters.categories && filters.categories.length > 0) {
-        sql += ` HAVING COUNT(DISTINCT CASE WHEN c.name IN (${filters.categories.map(() => '?').join(',')}) THEN c.name END) = ?`;
-        params.push(...filters.categories, filters.categories.length);
+      if (matchQuery) {
+        params.push(matchQuery);
       }
-
-      // Apply sorting - pinned snippets always come first
-      sql += ` ORDER BY s.is_pinned DESC, `;
+      params.push(userId, userId, userId, ...upstreamParams(userId));
+
+      const listFilters = this.#buildListFilters(userId, filters, {
+        matchQuery,
+        excludeQuery,
+      });
+      sql += listFilters.sql;
+      params.push(...listFilters.params);
+
+      // Apply sorting - the caller's pinned snippets always come first
+      sql += ` ORDER BY (s.is_pinned = 1 AND s.user_id = ?) DESC, `;
+      params.push(userId);
       switch (sort) {
+        case 'relevance':
+          // bm25() scores are negative; lower means a better match
+          sql += matchQuery ? `sm.rank ASC, s.updated_at DESC` : `s.updated_at DESC`;
+          break;
+        case 'position':
+          // Custom order inside a collection
+          if (filters.collection) {
+            sql += `(
+              SELECT cs.position FROM collection_snippets cs
+              WHERE cs.collection_id = ? AND cs.snippet_id = s.id
+            ) ASC, s.updated_at DESC`;
+            params.push(filters.collection);
+          } else {
+            sql += `s.updated_at DESC`;
+          }
+          break;
         case 'oldest':
           sql += `s.updated_at ASC`;
           break;
@@ -603,7 +1647,9 @@ class SnippetRepository {
       const rows = stmt.all(...params);
 
       const total = rows.length > 0 ? rows[0].total_count : 0;
-      const snippets = rows.map(this.#processSnippet.bind(this));
+      const snippets = rows.map((row) =>
+        attachSearchHighlights(this.#processSnippet(row))
+      );
 
       return { snippets, total };
     } catch (error) {
@@ -612,7 +1658,48 @@ class SnippetRepository {
     }
   }
 
-  getMetadata(userId = null) {
+  // Fragments of the snippets a code search may match, in snippet/position
+  // order. `literal` narrows the scan in SQL for exact searches; regex
+  // searches get every fragment of the filtered snippets.
+  findCodeSearchFragments({ userId = null, filters = {}, literal = null, caseSensitive = false }) {
+    this.#initializeStatements();
+
+    try {
+      const listFilters = this.#buildListFilters(userId, filters);
+      const params = [...listFilters.params];
+
+      let sql = `
+        SELECT f.id, f.snippet_id, f.file_name, f.language, f.code
+        FROM fragments f
+        WHERE f.snippet_id IN (
+          SELECT s.id
+          FROM snippets s
+          LEFT JOIN categories c ON s.id = c.snippet_id
+          WHERE 1=1 ${listFilters.sql}
+        )
+      `;
+
+      if (literal !== null) {
+        if (caseSensitive) {
+          sql += ` AND instr(f.code, ?) > 0`;
+          params.push(literal);
+        } else if (/^[\x00-\x7f]*$/.test(literal)) {
+          // LIKE only folds ASCII case, so other text is matched in JS alone
+          sql += ` AND f.code LIKE ? ESCAPE '\\'`;
+          params.push(`%${literal.replace(/[\\%_]/g, (char) => `\\${char}`)}%`);
+        }
+      }
+
+      sql += ` ORDER BY f.snippet_id, f.position`;
+
+      return getDb().prepare(sql).all(...params);
+    } catch (error) {
+      Logger.error("Error in findCodeSearchFragments:", error);
+      throw error;
+    }
+  }
+
+  getMetadata(userId = null, workspaceId = DEFAULT_WORKSPACE_ID) {
     this.#initializeStatements();
     const db = getDb();
 
@@ -627,10 +1714,11 @@ class SnippetRepository {
       const categoryParams = [];
 
       if (userId !== null) {
-        categorySql += ` AND s.user_id = ?`;
-        categoryParams.push(userId);
+        categorySql += ` AND ${READABLE_BY_USER}`;
+        categoryParams.push(...readableParams(userId));
       } else {
-        categorySql += ` AND (s.visibility = 'PUBLIC' OR s.is_public = 1)`;
+        categorySql += ` AND ${PUBLIC_IN_WORKSPACE}`;
+        categoryParams.push(workspaceId);
       }
       categorySql += ` ORDER BY c.name`;
 
@@ -646,29 +1734,35 @@ class SnippetRepository {
       const languageParams = [];
 
       if (userId !== null) {
-        languageSql += ` AND s.user_id = ?`;
-        languageParams.push(userId);
+        languageSql += ` AND ${READABLE_BY_USER}`;
+        languageParams.push(...readableParams(userId));
       } else {
-        languageSql += ` AND (s.visibility = 'PUBLIC' OR s.is_public = 1)`;
+        languageSql += ` AND ${PUBLIC_IN_WORKSPACE}`;
+        languageParams.push(workspaceId);
       }
       languageSql += ` ORDER BY f.language`;
 
       const languages = db.prepare(languageSql).all(...languageParams).map(r => r.language);
 
       // Get counts
-      let countSql = `SELECT COUNT(*) as count FROM snippets WHERE expiry_date IS NULL`;
+      let countSql = `SELECT COUNT(*) as count FROM snippets s WHERE s.expiry_date IS NULL`;
       const countParams = [];
 
       if (userId !== null) {
-        countSql += ` AND user_id = ?`;
-        countParams.push(userId);
+        countSql += ` AND ${READABLE_BY_USER}`;
+        countParams.push(...readableParams(userId));
       } else {
-        countSql += ` AND (visibility = 'PUBLIC' OR is_public = 1)`;
+        countSql += ` AND ${PUBLIC_IN_WORKSPACE}`;
+        countParams.push(workspaceId);
       }
 
       const total = db.prepare(countSql).get(...countParams).count;
 
-      return { categories, languages, counts: { total } };
+      // Collections are private to their owner, so the public library has none
+      const collections =
+        userId !== null ? collectionRepository.findAllByUser(userId) : [];
+
+      return { categories, languages, collections, counts: { total } };
     } catch (error) {
       Logger.error("Error in getMetadata:", error);
       throw error;
@@ -0,0 +1,189 @@
+import { getDb } from "../config/database.js";
+import systemConfigRepository from "../core/systemConfigRepository.js";
+import Logger from "../logger.js";
+
+const DEFAULT_MAX_REVISIONS = 50;
+
+class SnippetRevisionRepository {
+  constructor() {
+    this.statements = {};
+  }
+
+  #initializeStatements() {
+    if (this.statements.insertRevision) {
+      return;
+    }
+
+    const db = getDb();
+
+    this.statements.selectSnippet = db.prepare(`
+      SELECT id, title, description, visibility
+      FROM snippets
+      WHERE id = ?
+    `);
+
+    this.statements.selectFragments = db.prepare(`
+      SELECT id, file_name, code, language, position
+      FROM fragments
+      WHERE snippet_id = ?
+      ORDER BY position
+    `);
+
+    this.statements.selectCategories = db.prepare(`
+      SELECT name
+      FROM categories
+      WHERE snippet_id = ?
+      ORDER BY name
+    `);
+
+    this.statements.selectLatestRevision = db.prepare(`
+      SELECT COALESCE(MAX(revision), 0) as revision
+      FROM snippet_revisions
+      WHERE snippet_id = ?
+    `);
+
+    this.statements.insertRevision = db.prepare(`
+      INSERT INTO snippet_revisions (
+        snippet_id,
+        revision,
+        source,
+        title,
+        description,
+        visibility,
+        categories,
+        fragments,
+        created_by,
+        created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `);
+
+    this.statements.pruneRevisions = db.prepare(`
+      DELETE FROM snippet_revisions
+      WHERE snippet_id = ? AND revision <= ?
+    `);
+
+    this.statements.listRevisions = db.prepare(`
+      SELECT
+        r.revision,
+        r.source,
+        r.title,
+        json_array_length(r.fragments) as fragment_count,
+        datetime(r.created_at) || 'Z' as created_at,
+        r.created_by,
+        u.username as created_by_username
+      FROM snippet_revisions r
+      LEFT JOIN users u ON u.id = r.created_by
+      WHERE r.snippet_id = ?
+      ORDER BY r.revision DESC
+    `);
+
+    this.statements.selectRevision = db.prepare(`
+      SELECT
+        r.snippet_id,
+        r.revision,
+        r.source,
+        r.title,
+        r.description,
+        r.visibility,
+        r.categories,
+        r.fragments,
+        datetime(r.created_at) || 'Z' as created_at,
+        r.created_by,
+        u.username as created_by_username
+      FROM snippet_revisions r
+      LEFT JOIN users u ON u.id = r.created_by
+      WHERE r.snippet_id = ? AND r.revision = ?
+    `);
+  }
+
+  #processRevision(row) {
+    if (!row) return null;
+
+    return {
+      ...row,
+      categories: JSON.parse(row.categories || "[]"),
+      fragments: JSON.parse(row.fragments || "[]"),
+    };
+  }
+
+  // Snapshot the current state of a snippet as its next revision. Call this
+  // inside the mutating transaction so snapshot and change commit together.
+  record(snippetId, { actorId = null, source = "update" } = {}) {
+    this.#initializeStatements();
+
+    const snippet = this.statements.selectSnippet.get(snippetId);
+    if (!snippet) {
+      return null;
+    }
+
+    const fragments = this.statements.selectFragments.all(snippetId);
+    const categories = this.statements.selectCategories
+      .all(snippetId)
+      .map((row) => row.name);
+    const revision =
+      this.statements.selectLatestRevision.get(snippetId).revision + 1;
+
+    this.statements.insertRevision.run(
+      snippetId,
+      revision,
+      source,
+      snippet.title,
+      snippet.description,
+      snippet.visibility,
+      JSON.stringify(categories),
+      JSON.stringify(fragments),
+      actorId
+    );
+
+    const maxRevisions = systemConfigRepository.getNumberSetting(
+      "snippets.revisions.max_per_snippet",
+      DEFAULT_MAX_REVISIONS
+    );
+    if (maxRevisions > 0 && revision > maxRevisions) {
+      this.statements.pruneRevisions.run(snippetId, revision - maxRevisions);
+    }
+
+    return revision;
+  }
+
+  // Snippets created before revision tracking have no history yet, so record
+  // their current state before the first change overwrites it.
+  ensureBaseline(snippetId, actorId = null) {
+    this.#initializeStatements();
+
+    const { revision } = this.statements.selectLatestRevision.get(snippetId);
+    if (revision === 0) {
+      this.record(snippetId, { actorId, source: "baseline" });
+    }
+  }
+
+  findAll(snippetId) {
+    this.#initializeStatements();
+    try {
+      return this.statements.listRevisions.all(snippetId);
+    } catch (error) {
+      Logger.error("Error in SnippetRevisionRepository.findAll:", error);
+      throw error;
+    }
+  }
+
+  findByRevision(snippetId, revision) {
+    this.#initializeStatements();
+    try {
+      return this.#processRevision(
+        this.statements.selectRevision.get(snippetId, revision)
+      );
+    } catch (error) {
+      Logger.error("Error in SnippetRevisionRepository.findByRevision:", error);
+      throw error;
+    }
+  }
+
+  findLatest(snippetId) {
+    this.#initializeStatements();
+    const { revision } = this.statements.selectLatestRevision.get(snippetId);
+    return revision > 0 ? this.findByRevision(snippetId, revision) : null;
+  }
+}
+
+export default new SnippetRevisionRepository();
@@ -0,0 +1,327 @@
+import { getDb } from "../config/database.js";
+import Logger from "../logger.js";
+import { TeamRoles } from "../security/permissions.js";
+
+// Groups of users sharing TEAM snippets. Every team keeps at least one
+// maintainer; snippets stop being shared with a team (and turn PRIVATE)
+// when their owner leaves it or the team is deleted.
+class TeamRepository {
+  constructor() {
+    this.selectAllStmt = null;
+  }
+
+  #initializeStatements() {
+    if (this.selectAllStmt) {
+      return;
+    }
+
+    const db = getDb();
+
+    const teamColumns = `
+      t.id,
+      t.name,
+      t.description,
+      t.created_by,
+      t.workspace_id,
+      datetime(t.created_at) || 'Z' as created_at,
+      datetime(t.updated_at) || 'Z' as updated_at,
+      (SELECT COUNT(*) FROM team_members m WHERE m.team_id = t.id) as member_count,
+      (
+        SELECT COUNT(*) FROM snippets s
+        WHERE s.team_id = t.id AND s.visibility = 'TEAM' AND s.expiry_date IS NULL
+      ) as snippet_count
+    `;
+
+    this.selectAllStmt = db.prepare(`
+      SELECT ${teamColumns}
+      FROM teams t
+      WHERE t.workspace_id = ?
+      ORDER BY t.name COLLATE NOCASE
+    `);
+
+    this.selectByUserStmt = db.prepare(`
+      SELECT ${teamColumns}, tm.role
+      FROM teams t
+      JOIN team_members tm ON tm.team_id = t.id AND tm.user_id = ?
+      ORDER BY t.name COLLATE NOCASE
+    `);
+
+    this.selectByIdStmt = db.prepare(`
+      SELECT ${teamColumns}
+      FROM teams t
+      WHERE t.id = ?
+    `);
+
+    this.selectMembersStmt = db.prepare(`
+      SELECT
+        tm.user_id,
+        u.username,
+        tm.role,
+        datetime(tm.created_at) || 'Z' as created_at
+      FROM team_members tm
+      JOIN users u ON u.id = tm.user_id
+      WHERE tm.team_id = ?
+      ORDER BY tm.role = 'maintainer' DESC, u.username COLLATE NOCASE
+    `);
+
+    this.selectMembershipStmt = db.prepare(`
+      SELECT role FROM team_members WHERE team_id = ? AND user_id = ?
+    `);
+
+    this.countMaintainersStmt = db.prepare(`
+      SELECT COUNT(*) as count
+      FROM team_members
+      WHERE team_id = ? AND role = 'maintainer'
+    `);
+
+    // Names are unique within a workspace
+    this.selectNameTakenStmt = db.prepare(`
+      SELECT id FROM teams
+      WHERE name = ? COLLATE NOCASE AND workspace_id = ? AND id != ?
+    `);
+
+    this.selectUserWorkspaceStmt = db.prepare(`
+      SELECT workspace_id FROM users WHERE id = ?
+    `);
+
+    // Only users of the team's workspace can join it
+    this.selectUserByUsernameStmt = db.prepare(`
+      SELECT id FROM users
+      WHERE username = ? COLLATE NOCASE
+        AND workspace_id = (SELECT workspace_id FROM teams WHERE id = ?)
+    `);
+
+    this.insertStmt = db.prepare(`
+      INSERT INTO teams (name, description, created_by, workspace_id)
+      VALUES (?, ?, ?, ?)
+    `);
+
+    this.updateStmt = db.prepare(`
+      UPDATE teams
+      SET name = ?,
+          description = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+
+    this.deleteStmt = db.prepare(`
+      DELETE FROM teams WHERE id = ?
+    `);
+
+    this.insertMemberStmt = db.prepare(`
+      INSERT INTO team_members (team_id, user_id, role)
+      VALUES (?, ?, ?)
+    `);
+
+    this.updateMemberStmt = db.prepare(`
+      UPDATE team_members SET role = ? WHERE team_id = ? AND user_id = ?
+    `);
+
+    this.deleteMemberStmt = db.prepare(`
+      DELETE FROM team_members WHERE team_id = ? AND user_id = ?
+    `);
+
+    // Snippets are unshared before the team or membership goes away; a NULL
+    // user_id matches every owner
+    this.unshareSnippetsStmt = db.prepare(`
+      UPDATE snippets
+      SET visibility = 'PRIVATE',
+          team_id = NULL,
+          updated_at = datetime('now', 'utc'),
+          version = version + 1
+      WHERE team_id = ? AND (? IS NULL OR user_id = ?)
+    `);
+  }
+
+  #normalizeName(name) {
+    const trimmed = typeof name === "string" ? name.trim().slice(0, 100) : "";
+    if (!trimmed) {
+      throw new Error("Team name is required");
+    }
+    return trimmed;
+  }
+
+  #assertNameAvailable(name, workspaceId, id = 0) {
+    if (this.selectNameTakenStmt.get(name, workspaceId, id)) {
+      throw new Error("A team with this name already exists");
+    }
+  }
+
+  // Keeps the last maintainer from leaving, being removed or demoted
+  #assertKeepsMaintainer(teamId, userId) {
+    const membership = this.selectMembershipStmt.get(teamId, userId);
+    if (
+      membership?.role === TeamRoles.MAINTAINER &&
+      this.countMaintainersStmt.get(teamId).count <= 1
+    ) {
+      throw new Error("A team needs at least one maintainer");
+    }
+  }
+
+  // Every team of the workspace, for admins
+  findAll(workspaceId) {
+    this.#initializeStatements();
+    try {
+      return this.selectAllStmt.all(workspaceId);
+    } catch (error) {
+      Logger.error("Error in TeamRepository.findAll:", error);
+      throw error;
+    }
+  }
+
+  // Teams the user belongs to, with their role in each
+  findAllByUser(userId) {
+    this.#initializeStatements();
+    try {
+      return this.selectByUserStmt.all(userId);
+    } catch (error) {
+      Logger.error("Error in TeamRepository.findAllByUser:", error);
+      throw error;
+    }
+  }
+
+  findById(id) {
+    this.#initializeStatements();
+    try {
+      const team = this.selectByIdStmt.get(id);
+      if (!team) {
+        return null;
+      }
+      return { ...team, members: this.selectMembersStmt.all(id) };
+    } catch (error) {
+      Logger.error("Error in TeamRepository.findById:", error);
+      throw error;
+    }
+  }
+
+  // The user's role in the team, or null when they are not a member
+  findMembership(teamId, userId) {
+    this.#initializeStatements();
+    return this.selectMembershipStmt.get(teamId, userId)?.role ?? null;
+  }
+
+  // The creator becomes the team's first maintainer; the team belongs to
+  // their workspace
+  create({ name, description = null }, userId) {
+    this.#initializeStatements();
+    try {
+      const teamName = this.#normalizeName(name);
+
+      return getDb().transaction(() => {
+        const { workspace_id } = this.selectUserWorkspaceStmt.get(userId);
+        this.#assertNameAvailable(teamName, workspace_id);
+        const { lastInsertRowid } = this.insertStmt.run(
+          teamName,
+          description,
+          userId,
+          workspace_id
+        );
+        this.insertMemberStmt.run(lastInsertRowid, userId, TeamRoles.MAINTAINER);
+        return this.findById(lastInsertRowid);
+      })();
+    } catch (error) {
+      Logger.error("Error in TeamRepository.create:", error);
+      throw error;
+    }
+  }
+
+  update(id, { name, description }) {
+    this.#initializeStatements();
+    try {
+      return getDb().transaction(() => {
+        const team = this.selectByIdStmt.get(id);
+        if (!team) {
+          return null;
+        }
+
+        const teamName = name !== undefined ? this.#normalizeName(name) : team.name;
+        this.#assertNameAvailable(teamName, team.workspace_id, id);
+        this.updateStmt.run(
+          teamName,
+          description !== undefined ? description : team.description,
+          id
+        );
+        return this.findById(id);
+      })();
+    } catch (error) {
+      Logger.error("Error in TeamRepository.update:", error);
+      throw error;
+    }
+  }
+
+  delete(id) {
+    this.#initializeStatements();
+    try {
+      return getDb().transaction(() => {
+        this.unshareSnippetsStmt.run(id, null, null);
+        return this.deleteStmt.run(id).changes > 0;
+      })();
+    } catch (error) {
+      Logger.error("Error in TeamRepository.delete:", error);
+      throw error;
+    }
+  }
+
+  addMember(teamId, username, role = TeamRoles.MEMBER) {
+    this.#initializeStatements();
+    try {
+      return getDb().transaction(() => {
+        const user = this.selectUserByUsernameStmt.get(
+          String(username || "").trim(),
+          teamId
+        );
+        if (!user) {
+          throw new Error("User not found");
+        }
+        if (this.selectMembershipStmt.get(teamId, user.id)) {
+          throw new Error("User is already a member of this team");
+        }
+        this.insertMemberStmt.run(teamId, user.id, role);
+        return this.findById(teamId);
+      })();
+    } catch (error) {
+      Logger.error("Error in TeamRepository.addMember:", error);
+      throw error;
+    }
+  }
+
+  updateMemberRole(teamId, userId, role) {
+    this.#initializeStatements();
+    try {
+      return getDb().transaction(() => {
+        if (!this.selectMembershipStmt.get(teamId, userId)) {
+          return null;
+        }
+        if (role !== TeamRoles.MAINTAINER) {
+          this.#assertKeepsMaintainer(teamId, userId);
+        }
+        this.updateMemberStmt.run(role, teamId, userId);
+        return this.findById(teamId);
+      })();
+    } catch (error) {
+      Logger.error("Error in TeamRepository.updateMemberRole:", error);
+      throw error;
+    }
+  }
+
+  // The member's snippets in this team turn PRIVATE
+  removeMember(teamId, userId) {
+    this.#initializeStatements();
+    try {
+      return getDb().transaction(() => {
+        if (!this.selectMembershipStmt.get(teamId, userId)) {
+          return false;
+        }
+        this.#assertKeepsMaintainer(teamId, userId);
+        this.unshareSnippetsStmt.run(teamId, userId, userId);
+        this.deleteMemberStmt.run(teamId, userId);
+        return true;
+      })();
+    } catch (error) {
+      Logger.error("Error in TeamRepository.removeMember:", error);
+      throw error;
+    }
+  }
+}
+
+export default new TeamRepository();
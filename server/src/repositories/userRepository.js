@@ -1,6 +1,7 @@
 import { getDb } from '../config/database.js';
 import bcrypt from 'bcrypt';
 import Logger from '../logger.js';
+import { DEFAULT_WORKSPACE_ID } from './workspaceRepository.js';
 
 class UserRepository {
   constructor() {
@@ -25,8 +26,8 @@ class UserRepository {
       const db = getDb();
 
       this.createUserStmt = db.prepare(`
-        INSERT INTO users (username, username_normalized, password_hash, role, status)
-        VALUES (?, ?, ?, ?, ?)
+        INSERT INTO users (username, username_normalized, password_hash, role, status, workspace_id)
+        VALUES (?, ?, ?, ?, ?, ?)
       `);
 
       this.findByUsernameStmt = db.prepare(`
@@ -46,7 +47,8 @@ class UserRepository {
           failed_login_attempts,
           locked_until,
           force_password_reset,
-          session_version
+          session_version,
+          workspace_id
         FROM users
         WHERE username_normalized = ? COLLATE NOCASE
       `);
@@ -68,7 +70,8 @@ class UserRepository {
           locked_until,
           force_password_reset,
           session_version,
-          last_login_at
+          last_login_at,
+          workspace_id
         FROM users
         WHERE id = ?
       `);
@@ -106,7 +109,8 @@ class UserRepository {
           failed_login_attempts,
           locked_until,
           force_password_reset,
-          session_version
+          session_version,
+          workspace_id
         FROM users
         WHERE oidc_id = ? AND oidc_provider = ?
       `);
@@ -121,8 +125,9 @@ class UserRepository {
           email, 
           name,
           role,
-          status
-        ) VALUES (?, ?, '', ?, ?, ?, ?, ?, ?)
+          status,
+          workspace_id
+        ) VALUES (?, ?, '', ?, ?, ?, ?, ?, ?, ?)
       `);
 
       this.findUsernameCountStmt = db.prepare(`
@@ -226,7 +231,8 @@ class UserRepository {
         normalizedUsername,
         passwordHash,
         role,
-        status
+        status,
+        options.workspaceId || DEFAULT_WORKSPACE_ID
       );
       
       return this.findById(result.lastInsertRowid);
@@ -303,7 +309,8 @@ class UserRepository {
         profile.email,
         profile.name,
         options.role || "USER",
-        options.status || "ACTIVE"
+        options.status || "ACTIVE",
+        options.workspaceId || DEFAULT_WORKSPACE_ID
       );
       
       return this.findById(result.lastInsertRowid);
@@ -333,6 +340,7 @@ class UserRepository {
         role: "READ_ONLY",
         status: "ACTIVE",
         session_version: 1,
+        workspace_id: DEFAULT_WORKSPACE_ID,
         created_at: new Date().toISOString()
       };
     } catch (error) {
@@ -0,0 +1,357 @@
+import crypto from "crypto";
+import { getDb } from "../config/database.js";
+import Logger from "../logger.js";
+
+// Deliveries kept per webhook; older finished ones are pruned after each attempt
+const DELIVERIES_PER_WEBHOOK = 100;
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+// Outbound webhook subscriptions and their delivery log. A webhook belongs to
+// the user who created it; scope "user" hooks only hear about that user's
+// snippets, scope "admin" hooks (managed from the admin panel) about everyone's.
+class WebhookRepository {
+  constructor() {
+    this.selectAllStmt = null;
+  }
+
+  #initializeStatements() {
+    if (this.selectAllStmt) {
+      return;
+    }
+
+    const db = getDb();
+
+    const webhookColumns = `
+      w.id,
+      w.user_id,
+      u.username,
+      w.scope,
+      w.name,
+      w.url,
+      w.events,
+      w.categories,
+      w.is_active,
+      datetime(w.created_at) || 'Z' as created_at,
+      datetime(w.updated_at) || 'Z' as updated_at,
+      (
+        SELECT d.status FROM webhook_deliveries d
+        WHERE d.webhook_id = w.id
+        ORDER BY d.id DESC
+        LIMIT 1
+      ) as last_delivery_status
+    `;
+
+    // scope = 'admin' hooks are shared by all admins, user hooks by their owner
+    const ownedBy = `w.scope = ? AND (w.scope = 'admin' OR w.user_id = ?)`;
+
+    this.selectAllStmt = db.prepare(`
+      SELECT ${webhookColumns}
+      FROM webhooks w
+      LEFT JOIN users u ON u.id = w.user_id
+      WHERE ${ownedBy}
+      ORDER BY w.name COLLATE NOCASE, w.id
+    `);
+
+    this.selectByIdStmt = db.prepare(`
+      SELECT ${webhookColumns}
+      FROM webhooks w
+      LEFT JOIN users u ON u.id = w.user_id
+      WHERE w.id = ? AND ${ownedBy}
+    `);
+
+    this.insertStmt = db.prepare(`
+      INSERT INTO webhooks (user_id, scope, name, url, secret, events, categories, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    this.updateStmt = db.prepare(`
+      UPDATE webhooks
+      SET name = ?,
+          url = ?,
+          events = ?,
+          categories = ?,
+          is_active = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+
+    this.updateSecretStmt = db.prepare(`
+      UPDATE webhooks
+      SET secret = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+
+    this.deleteStmt = db.prepare(`
+      DELETE FROM webhooks
+      WHERE id = ? AND scope = ? AND (scope = 'admin' OR user_id = ?)
+    `);
+
+    this.selectSubscribersStmt = db.prepare(`
+      SELECT w.id, w.url, w.secret, w.categories
+      FROM webhooks w
+      WHERE w.is_active = TRUE
+        AND EXISTS (SELECT 1 FROM json_each(w.events) e WHERE e.value = ?)
+        AND (w.scope = 'admin' OR w.user_id = ?)
+    `);
+
+    this.selectSnippetSummaryStmt = db.prepare(`
+      SELECT
+        s.id,
+        s.title,
+        s.description,
+        s.visibility,
+        s.is_public,
+        s.user_id,
+        u.username,
+        datetime(s.updated_at) || 'Z' as updated_at,
+        s.expiry_date IS NOT NULL as recycled,
+        (SELECT json_group_array(c.name) FROM categories c WHERE c.snippet_id = s.id) as categories
+      FROM snippets s
+      LEFT JOIN users u ON u.id = s.user_id
+      WHERE s.id = ?
+    `);
+
+    const deliveryColumns = `
+      d.id,
+      d.webhook_id,
+      d.event,
+      d.status,
+      d.attempts,
+      d.response_status,
+      d.error,
+      d.duration_ms,
+      CASE WHEN d.next_attempt_at IS NULL THEN NULL ELSE datetime(d.next_attempt_at) || 'Z' END as next_attempt_at,
+      datetime(d.created_at) || 'Z' as created_at,
+      CASE WHEN d.delivered_at IS NULL THEN NULL ELSE datetime(d.delivered_at) || 'Z' END as delivered_at
+    `;
+
+    this.insertDeliveryStmt = db.prepare(`
+      INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at)
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+    `);
+
+    this.selectDeliveryStmt = db.prepare(`
+      SELECT ${deliveryColumns}, d.payload, w.url, w.secret
+      FROM webhook_deliveries d
+      JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.id = ?
+    `);
+
+    this.selectDueDeliveriesStmt = db.prepare(`
+      SELECT d.id
+      FROM webhook_deliveries d
+      JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.status = 'pending'
+        AND d.next_attempt_at <= CURRENT_TIMESTAMP
+        AND w.is_active = TRUE
+      ORDER BY d.next_attempt_at, d.id
+      LIMIT ?
+    `);
+
+    this.recordAttemptStmt = db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = ?,
+          attempts = attempts + 1,
+          response_status = ?,
+          error = ?,
+          duration_ms = ?,
+          next_attempt_at = CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', '+' || ? || ' seconds') END,
+          delivered_at = CASE WHEN ? = 'success' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+      WHERE id = ?
+    `);
+
+    this.listDeliveriesStmt = db.prepare(`
+      SELECT ${deliveryColumns}, d.payload
+      FROM webhook_deliveries d
+      WHERE d.webhook_id = ?
+      ORDER BY d.id DESC
+      LIMIT ?
+      OFFSET ?
+    `);
+
+    this.countDeliveriesStmt = db.prepare(`
+      SELECT COUNT(*) as count FROM webhook_deliveries WHERE webhook_id = ?
+    `);
+
+    this.pruneDeliveriesStmt = db.prepare(`
+      DELETE FROM webhook_deliveries
+      WHERE webhook_id = ? AND status != 'pending' AND id NOT IN (
+        SELECT id FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?
+      )
+    `);
+  }
+
+  #parse(webhook) {
+    if (!webhook) {
+      return null;
+    }
+    return {
+      ...webhook,
+      is_active: !!webhook.is_active,
+      events: JSON.parse(webhook.events),
+      categories: webhook.categories ? JSON.parse(webhook.categories) : null,
+    };
+  }
+
+  #parseDelivery(delivery) {
+    return delivery ? { ...delivery, payload: JSON.parse(delivery.payload) } : null;
+  }
+
+  findAll({ scope, userId }) {
+    this.#initializeStatements();
+    try {
+      return this.selectAllStmt.all(scope, userId).map((webhook) => this.#parse(webhook));
+    } catch (error) {
+      Logger.error("Error in WebhookRepository.findAll:", error);
+      throw error;
+    }
+  }
+
+  findById(id, { scope, userId }) {
+    this.#initializeStatements();
+    return this.#parse(this.selectByIdStmt.get(id, scope, userId));
+  }
+
+  // The secret is only returned here and by rotateSecret
+  create({ name, url, events, categories = null, isActive = true }, { scope, userId }) {
+    this.#initializeStatements();
+    try {
+      const secret = generateSecret();
+      const { lastInsertRowid } = this.insertStmt.run(
+        userId,
+        scope,
+        name,
+        url,
+        secret,
+        JSON.stringify(events),
+        categories ? JSON.stringify(categories) : null,
+        isActive ? 1 : 0
+      );
+      return { ...this.findById(lastInsertRowid, { scope, userId }), secret };
+    } catch (error) {
+      Logger.error("Error in WebhookRepository.create:", error);
+      throw error;
+    }
+  }
+
+  update(id, changes, owner) {
+    this.#initializeStatements();
+    try {
+      const webhook = this.findById(id, owner);
+      if (!webhook) {
+        return null;
+      }
+      const next = { ...webhook, ...changes };
+      this.updateStmt.run(
+        next.name,
+        next.url,
+        JSON.stringify(next.events),
+        next.categories ? JSON.stringify(next.categories) : null,
+        (changes.isActive ?? webhook.is_active) ? 1 : 0,
+        id
+      );
+      return this.findById(id, owner);
+    } catch (error) {
+      Logger.error("Error in WebhookRepository.update:", error);
+      throw error;
+    }
+  }
+
+  rotateSecret(id, owner) {
+    this.#initializeStatements();
+    if (!this.findById(id, owner)) {
+      return null;
+    }
+    const secret = generateSecret();
+    this.updateSecretStmt.run(secret, id);
+    return { ...this.findById(id, owner), secret };
+  }
+
+  delete(id, { scope, userId }) {
+    this.#initializeStatements();
+    try {
+      return this.deleteStmt.run(id, scope, userId).changes > 0;
+    } catch (error) {
+      Logger.error("Error in WebhookRepository.delete:", error);
+      throw error;
+    }
+  }
+
+  // Active webhooks subscribed to `event` that may hear about snippets of ownerId
+  findSubscribers(event, ownerId) {
+    this.#initializeStatements();
+    return this.selectSubscribersStmt.all(event, ownerId).map((webhook) => ({
+      ...webhook,
+      categories: webhook.categories ? JSON.parse(webhook.categories) : null,
+    }));
+  }
+
+  findSnippetSummary(snippetId) {
+    this.#initializeStatements();
+    const snippet = this.selectSnippetSummaryStmt.get(snippetId);
+    if (!snippet) {
+      return null;
+    }
+    return {
+      ...snippet,
+      is_public: !!snippet.is_public,
+      recycled: !!snippet.recycled,
+      categories: JSON.parse(snippet.categories),
+    };
+  }
+
+  createDelivery(webhookId, event, payload) {
+    this.#initializeStatements();
+    return this.insertDeliveryStmt.run(webhookId, event, JSON.stringify(payload)).lastInsertRowid;
+  }
+
+  // Delivery with the body to send and the webhook's url and secret
+  findDelivery(id) {
+    this.#initializeStatements();
+    return this.selectDeliveryStmt.get(id) ?? null;
+  }
+
+  findDueDeliveryIds(limit) {
+    this.#initializeStatements();
+    return this.selectDueDeliveriesStmt.all(limit).map((row) => row.id);
+  }
+
+  // retryInSeconds keeps the delivery pending until then; null finishes it
+  recordAttempt(id, webhookId, { status, responseStatus = null, error = null, durationMs, retryInSeconds = null }) {
+    this.#initializeStatements();
+    try {
+      getDb().transaction(() => {
+        this.recordAttemptStmt.run(
+          status,
+          responseStatus,
+          error,
+          durationMs,
+          retryInSeconds,
+          retryInSeconds,
+          status,
+          id
+        );
+        this.pruneDeliveriesStmt.run(webhookId, webhookId, DELIVERIES_PER_WEBHOOK);
+      })();
+    } catch (err) {
+      Logger.error("Error in WebhookRepository.recordAttempt:", err);
+      throw err;
+    }
+  }
+
+  listDeliveries(webhookId, { limit = 20, offset = 0 } = {}) {
+    this.#initializeStatements();
+    return {
+      deliveries: this.listDeliveriesStmt
+        .all(webhookId, limit, offset)
+        .map((delivery) => this.#parseDelivery(delivery)),
+      total: this.countDeliveriesStmt.get(webhookId).count,
+    };
+  }
+}
+
+export default new WebhookRepository();
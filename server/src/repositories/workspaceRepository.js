@@ -0,0 +1,222 @@
+import { getDb } from "../config/database.js";
+import Logger from "../logger.js";
+import systemConfigRepository from "../core/systemConfigRepository.js";
+
+// Workspace everything created before workspaces existed belongs to, and
+// where requests that do not name a workspace end up
+export const DEFAULT_WORKSPACE_ID = 1;
+
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,48}[a-z0-9])?$/;
+
+// Tenants of the instance. Users, snippets and teams belong to exactly one
+// workspace; shares and API keys follow their snippet and user.
+class WorkspaceRepository {
+  constructor() {
+    this.selectAllStmt = null;
+  }
+
+  #initializeStatements() {
+    if (this.selectAllStmt) {
+      return;
+    }
+
+    const db = getDb();
+
+    const workspaceColumns = `
+      w.id,
+      w.name,
+      w.slug,
+      datetime(w.created_at) || 'Z' as created_at,
+      datetime(w.updated_at) || 'Z' as updated_at
+    `;
+
+    // Per-workspace totals for the super admin overview
+    this.selectAllStmt = db.prepare(`
+      SELECT
+        ${workspaceColumns},
+        (SELECT COUNT(*) FROM users u WHERE u.workspace_id = w.id AND u.id != 0) as user_count,
+        (
+          SELECT COUNT(*) FROM users u
+          WHERE u.workspace_id = w.id AND u.role IN ('SUPER_ADMIN', 'ADMIN')
+        ) as admin_count,
+        (SELECT COUNT(*) FROM snippets s WHERE s.workspace_id = w.id) as snippet_count,
+        (
+          SELECT COUNT(*) FROM snippets s
+          WHERE s.workspace_id = w.id AND (s.visibility = 'PUBLIC' OR s.is_public = 1)
+        ) as public_snippet_count,
+        (SELECT COUNT(*) FROM teams t WHERE t.workspace_id = w.id) as team_count,
+        (
+          SELECT COUNT(*) FROM shared_snippets ss
+          JOIN snippets s ON s.id = ss.snippet_id
+          WHERE s.workspace_id = w.id
+        ) as share_count,
+        (
+          SELECT COUNT(*) FROM api_keys ak
+          JOIN users u ON u.id = ak.user_id
+          WHERE u.workspace_id = w.id AND ak.is_active = 1
+        ) as api_key_count
+      FROM workspaces w
+      ORDER BY w.id
+    `);
+
+    this.selectByIdStmt = db.prepare(`
+      SELECT ${workspaceColumns} FROM workspaces w WHERE w.id = ?
+    `);
+
+    this.selectBySlugStmt = db.prepare(`
+      SELECT ${workspaceColumns} FROM workspaces w WHERE w.slug = ?
+    `);
+
+    this.selectTakenStmt = db.prepare(`
+      SELECT id FROM workspaces
+      WHERE (name = ? COLLATE NOCASE OR slug = ?) AND id != ?
+    `);
+
+    this.insertStmt = db.prepare(`
+      INSERT INTO workspaces (name, slug) VALUES (?, ?)
+    `);
+
+    this.updateStmt = db.prepare(`
+      UPDATE workspaces
+      SET name = ?,
+          slug = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+
+    this.countContentStmt = db.prepare(`
+      SELECT
+        (SELECT COUNT(*) FROM users WHERE workspace_id = ? AND id != 0) +
+        (SELECT COUNT(*) FROM snippets WHERE workspace_id = ?) +
+        (SELECT COUNT(*) FROM teams WHERE workspace_id = ?) as count
+    `);
+
+    this.deleteStmt = db.prepare(`
+      DELETE FROM workspaces WHERE id = ?
+    `);
+  }
+
+  #normalizeName(name) {
+    const trimmed = typeof name === "string" ? name.trim().slice(0, 100) : "";
+    if (!trimmed) {
+      throw new Error("Workspace name is required");
+    }
+    return trimmed;
+  }
+
+  // Slugs name the workspace in URLs (?workspace=<slug>); derived from the
+  // name when none is given
+  #normalizeSlug(slug, name) {
+    const value =
+      slug !== undefined && slug !== null
+        ? String(slug).trim()
+        : name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 50);
+    if (!SLUG_PATTERN.test(value)) {
+      throw new Error("Workspace slug must be lowercase letters, digits and dashes");
+    }
+    return value;
+  }
+
+  #assertAvailable(name, slug, id = 0) {
+    if (this.selectTakenStmt.get(name, slug, id)) {
+      throw new Error("A workspace with this name or slug already exists");
+    }
+  }
+
+  findAll() {
+    this.#initializeStatements();
+    try {
+      return this.selectAllStmt.all();
+    } catch (error) {
+      Logger.error("Error in WorkspaceRepository.findAll:", error);
+      throw error;
+    }
+  }
+
+  findById(id) {
+    this.#initializeStatements();
+    try {
+      return this.selectByIdStmt.get(id) || null;
+    } catch (error) {
+      Logger.error("Error in WorkspaceRepository.findById:", error);
+      throw error;
+    }
+  }
+
+  findBySlug(slug) {
+    this.#initializeStatements();
+    try {
+      return this.selectBySlugStmt.get(String(slug).trim().toLowerCase()) || null;
+    } catch (error) {
+      Logger.error("Error in WorkspaceRepository.findBySlug:", error);
+      throw error;
+    }
+  }
+
+  create({ name, slug }) {
+    this.#initializeStatements();
+    try {
+      const workspaceName = this.#normalizeName(name);
+      const workspaceSlug = this.#normalizeSlug(slug, workspaceName);
+
+      return getDb().transaction(() => {
+        this.#assertAvailable(workspaceName, workspaceSlug);
+        const { lastInsertRowid } = this.insertStmt.run(workspaceName, workspaceSlug);
+        // New workspaces start closed instead of inheriting the instance's
+        // registration mode; their admins open them when ready
+        systemConfigRepository.setWorkspaceSetting(lastInsertRowid, "registration.mode", "CLOSED");
+        return this.findById(lastInsertRowid);
+      })();
+    } catch (error) {
+      Logger.error("Error in WorkspaceRepository.create:", error);
+      throw error;
+    }
+  }
+
+  update(id, { name, slug }) {
+    this.#initializeStatements();
+    try {
+      return getDb().transaction(() => {
+        const workspace = this.selectByIdStmt.get(id);
+        if (!workspace) {
+          return null;
+        }
+
+        const workspaceName = name !== undefined ? this.#normalizeName(name) : workspace.name;
+        const workspaceSlug =
+          slug !== undefined ? this.#normalizeSlug(slug, workspaceName) : workspace.slug;
+        this.#assertAvailable(workspaceName, workspaceSlug, id);
+        this.updateStmt.run(workspaceName, workspaceSlug, id);
+        return this.findById(id);
+      })();
+    } catch (error) {
+      Logger.error("Error in WorkspaceRepository.update:", error);
+      throw error;
+    }
+  }
+
+  // Only empty workspaces go away, so no user or snippet is ever orphaned
+  delete(id) {
+    this.#initializeStatements();
+    try {
+      if (id === DEFAULT_WORKSPACE_ID) {
+        throw new Error("The default workspace cannot be deleted");
+      }
+
+      return getDb().transaction(() => {
+        if (!this.selectByIdStmt.get(id)) {
+          return false;
+        }
+        if (this.countContentStmt.get(id, id, id).count > 0) {
+          throw new Error("Only empty workspaces can be deleted");
+        }
+        return this.deleteStmt.run(id).changes > 0;
+      })();
+    } catch (error) {
+      Logger.error("Error in WorkspaceRepository.delete:", error);
+      throw error;
+    }
+  }
+}
+
+export default new WorkspaceRepository();
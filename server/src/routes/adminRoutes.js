@@ -1,17 +1,68 @@
 import express from 'express';
 import adminRepository from '../repositories/adminRepository.js';
+import snippetRepository from '../repositories/snippetRepository.js';
 import badWordsChecker from '../utils/badWords.js';
 import Logger from '../logger.js';
-import systemConfigRepository from '../core/systemConfigRepository.js';
-import auditLogRepository from '../security/auditLogRepository.js';
+import systemConfigRepository, {
+  AUDIT_SINKS_SETTING,
+  RECYCLE_RETENTION_MAX_DAYS,
+  WEBHOOK_ALLOWED_HOSTS_SETTING,
+} from '../core/systemConfigRepository.js';
+import auditLogRepository, { parseAuditFilters } from '../security/auditLogRepository.js';
+import { AUDIT_EXPORT_FORMATS, createAuditExportStream } from '../security/auditExport.js';
+import auditSinkDispatcher, { normalizeAuditSinks } from '../security/auditSinks.js';
+import { normalizeWebhookAllowedHosts } from '../security/webhookTargets.js';
+import { sendDownload } from '../utils/download.js';
+import jobScheduler from '../core/jobs/jobScheduler.js';
+import jobRunRepository from '../core/jobs/jobRunRepository.js';
+import { createWebhookRouter } from './webhookRoutes.js';
+import workspaceRepository from '../repositories/workspaceRepository.js';
 import { requirePermission } from '../security/aclMiddleware.js';
-import { Permissions, Roles } from '../security/permissions.js';
+import { hasPermission, Permissions, Roles } from '../security/permissions.js';
 
 const router = express.Router();
 
 const editableRoles = new Set(Object.values(Roles));
 const editableStatuses = new Set(['PENDING', 'ACTIVE', 'SUSPENDED']);
 
+const WORKSPACE_VALIDATION_ERRORS = new Set([
+  'Workspace name is required',
+  'Workspace slug must be lowercase letters, digits and dashes',
+  'A workspace with this name or slug already exists',
+  'The default workspace cannot be deleted',
+  'Only empty workspaces can be deleted',
+]);
+
+// Instance-wide settings only super admins may change
+const INSTANCE_SETTINGS = [
+  'maintenanceMode',
+  'lockoutMaxAttempts',
+  'lockoutDurationMinutes',
+  'authRateLimit',
+  'publicRateLimit',
+  'generalRateLimit',
+  'rateLimitWindowMs',
+  'recycleRetentionDays',
+  'auditSinks',
+  'webhookAllowedHosts',
+  'featureFlags',
+];
+
+function canManageWorkspaces(req) {
+  return hasPermission(req.user.role, Permissions.ADMIN_WORKSPACES_MANAGE);
+}
+
+// Workspace the admin's queries are limited to. Workspace admins only ever
+// see their own; super admins see all workspaces (null) unless they pick
+// one with ?workspace=<id>.
+function workspaceScope(req) {
+  if (!canManageWorkspaces(req)) {
+    return req.user.workspace_id;
+  }
+  const workspaceId = parseInt(req.query.workspace);
+  return Number.isInteger(workspaceId) && workspaceId > 0 ? workspaceId : null;
+}
+
 function assertNotSelfMutation(req, userId) {
   if (userId === req.user.id) {
     return 'Cannot modify your own account in this action';
@@ -19,6 +70,20 @@ function assertNotSelfMutation(req, userId) {
   return null;
 }
 
+// Target of a user mutation, looked up in the caller's scope. Super admins
+// span every workspace, so only another super admin may change one. Returns
+// { user }, or { status, message } for the error response.
+async function findTargetUser(req, userId) {
+  const user = await adminRepository.getUserDetails(userId, workspaceScope(req));
+  if (!user) {
+    return { status: 404, message: 'User not found' };
+  }
+  if (user.role === Roles.SUPER_ADMIN && !canManageWorkspaces(req)) {
+    return { status: 403, message: 'Insufficient permissions' };
+  }
+  return { user };
+}
+
 function normalizeBool(value, fallback = false) {
   if (value === undefined || value === null) {
     return fallback;
@@ -29,12 +94,15 @@ function normalizeBool(value, fallback = false) {
   return ['true', '1', 'yes', 'on'].includes(String(value).toLowerCase());
 }
 
+// Entries are filed under the workspace acted on, not the admin's own: the
+// target's workspace, or the scope of the request for everything else
 function writeAdminAudit({
   req,
   action,
   targetType,
   targetId,
   metadata,
+  workspaceId = workspaceScope(req),
 }) {
   auditLogRepository.log({
     actorId: req.user.id,
@@ -42,13 +110,14 @@ function writeAdminAudit({
     targetType,
     targetId,
     metadata,
+    workspaceId,
     req,
   });
 }
 
-router.get('/stats', requirePermission(Permissions.ADMIN_PANEL_ACCESS), async (_req, res) => {
+router.get('/stats', requirePermission(Permissions.ADMIN_PANEL_ACCESS), async (req, res) => {
   try {
-    const stats = await adminRepository.getStats();
+    const stats = await adminRepository.getStats(workspaceScope(req));
     res.json(stats);
   } catch (error) {
     Logger.error('Error getting admin stats:', error);
@@ -76,7 +145,7 @@ router.get('/users', requirePermission(Permissions.ADMIN_USERS_READ), async (req
       isActive,
       status,
       role,
-    });
+    }, workspaceScope(req));
     res.json(result);
   } catch (error) {
     Logger.error('Error getting users:', error);
@@ -86,7 +155,7 @@ router.get('/users', requirePermission(Permissions.ADMIN_USERS_READ), async (req
 
 router.get('/users/:id', requirePermission(Permissions.ADMIN_USERS_READ), async (req, res) => {
   try {
-    const user = await adminRepository.getUserDetails(req.params.id);
+    const user = await adminRepository.getUserDetails(req.params.id, workspaceScope(req));
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
@@ -108,8 +177,12 @@ router.delete('/users/:id', requirePermission(Permissions.ADMIN_USERS_WRITE), as
     if (userId === 0) {
       return res.status(400).json({ message: 'Cannot delete anonymous user' });
     }
+    const target = await findTargetUser(req, userId);
+    if (!target.user) {
+      return res.status(target.status).json({ message: target.message });
+    }
 
-    const deleted = await adminRepository.deleteUser(userId);
+    const deleted = await adminRepository.deleteUser(userId, workspaceScope(req));
     if (!deleted) {
       return res.status(404).json({ message: 'User not found' });
     }
@@ -119,6 +192,7 @@ router.delete('/users/:id', requirePermission(Permissions.ADMIN_USERS_WRITE), as
       action: 'admin.user.delete',
       targetType: 'user',
       targetId: userId,
+      workspaceId: target.user.workspace_id,
     });
 
     res.json({ message: 'User deleted successfully' });
@@ -138,13 +212,18 @@ router.patch('/users/:id/toggle-active', requirePermission(Permissions.ADMIN_USE
     if (userId === 0) {
       return res.status(400).json({ message: 'Cannot modify anonymous user' });
     }
+    const target = await findTargetUser(req, userId);
+    if (!target.user) {
+      return res.status(target.status).json({ message: target.message });
+    }
 
-    const user = await adminRepository.toggleUserActive(userId);
+    const user = await adminRepository.toggleUserActive(userId, workspaceScope(req));
     writeAdminAudit({
       req,
       action: 'admin.user.toggle_active',
       targetType: 'user',
       targetId: userId,
+      workspaceId: target.user.workspace_id,
       metadata: {
         status: user.status,
       },
@@ -167,13 +246,19 @@ router.patch('/users/:id/status', requirePermission(Permissions.ADMIN_USERS_WRIT
     if (!editableStatuses.has(status)) {
       return res.status(400).json({ message: 'Invalid status value' });
     }
-    const user = await adminRepository.setUserStatus(userId, status);
+    const target = await findTargetUser(req, userId);
+    if (!target.user) {
+      return res.status(target.status).json({ message: target.message });
+    }
+
+    const user = await adminRepository.setUserStatus(userId, status, workspaceScope(req));
 
     writeAdminAudit({
       req,
       action: status === 'ACTIVE' ? 'admin.user.approve' : 'admin.user.status_change',
       targetType: 'user',
       targetId: userId,
+      workspaceId: target.user.workspace_id,
       metadata: { status },
     });
 
@@ -196,13 +281,23 @@ router.patch('/users/:id/role', requirePermission(Permissions.ADMIN_USERS_WRITE)
       return res.status(400).json({ message: 'Invalid role value' });
     }
 
-    const user = await adminRepository.setUserRole(userId, role);
+    const target = await findTargetUser(req, userId);
+    if (!target.user) {
+      return res.status(target.status).json({ message: target.message });
+    }
+    // Only super admins appoint another one
+    if (role === Roles.SUPER_ADMIN && !canManageWorkspaces(req)) {
+      return res.status(403).json({ message: 'Insufficient permissions' });
+    }
+
+    const user = await adminRepository.setUserRole(userId, role, workspaceScope(req));
 
     writeAdminAudit({
       req,
       action: 'admin.user.role_change',
       targetType: 'user',
       targetId: userId,
+      workspaceId: target.user.workspace_id,
       metadata: { role },
     });
 
@@ -216,13 +311,19 @@ router.patch('/users/:id/role', requirePermission(Permissions.ADMIN_USERS_WRITE)
 router.patch('/users/:id/unlock', requirePermission(Permissions.ADMIN_USERS_WRITE), async (req, res) => {
   try {
     const userId = parseInt(req.params.id);
-    const user = await adminRepository.unlockUser(userId);
+    const target = await findTargetUser(req, userId);
+    if (!target.user) {
+      return res.status(target.status).json({ message: target.message });
+    }
+
+    const user = await adminRepository.unlockUser(userId, workspaceScope(req));
 
     writeAdminAudit({
       req,
       action: 'admin.user.unlock',
       targetType: 'user',
       targetId: userId,
+      workspaceId: target.user.workspace_id,
     });
 
     res.json(user);
@@ -239,13 +340,19 @@ router.patch('/users/:id/reset-sessions', requirePermission(Permissions.ADMIN_US
     if (selfError) {
       return res.status(400).json({ message: selfError });
     }
-    const user = await adminRepository.resetUserSessions(userId);
+    const target = await findTargetUser(req, userId);
+    if (!target.user) {
+      return res.status(target.status).json({ message: target.message });
+    }
+
+    const user = await adminRepository.resetUserSessions(userId, workspaceScope(req));
 
     writeAdminAudit({
       req,
       action: 'admin.user.reset_sessions',
       targetType: 'user',
       targetId: userId,
+      workspaceId: target.user.workspace_id,
     });
 
     res.json(user);
@@ -259,13 +366,23 @@ router.patch('/users/:id/force-password-reset', requirePermission(Permissions.AD
   try {
     const userId = parseInt(req.params.id);
     const forcePasswordReset = normalizeBool(req.body?.forcePasswordReset, true);
-    const user = await adminRepository.setForcePasswordReset(userId, forcePasswordReset);
+    const target = await findTargetUser(req, userId);
+    if (!target.user) {
+      return res.status(target.status).json({ message: target.message });
+    }
+
+    const user = await adminRepository.setForcePasswordReset(
+      userId,
+      forcePasswordReset,
+      workspaceScope(req)
+    );
 
     writeAdminAudit({
       req,
       action: 'admin.user.force_password_reset',
       targetType: 'user',
       targetId: userId,
+      workspaceId: target.user.workspace_id,
       metadata: { forcePasswordReset },
     });
 
@@ -276,14 +393,55 @@ router.patch('/users/:id/force-password-reset', requirePermission(Permissions.AD
   }
 });
 
+// Moves a user who owns nothing yet, e.g. after an OIDC sign-in landed
+// them in the default workspace
+router.patch('/users/:id/workspace', requirePermission(Permissions.ADMIN_WORKSPACES_MANAGE), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const workspace = workspaceRepository.findById(parseInt(req.body?.workspaceId));
+    if (!workspace) {
+      return res.status(400).json({ message: 'Workspace not found' });
+    }
+    const selfError = assertNotSelfMutation(req, userId);
+    if (selfError) {
+      return res.status(400).json({ message: selfError });
+    }
+
+    const user = await adminRepository.moveUserToWorkspace(userId, workspace.id);
+
+    writeAdminAudit({
+      req,
+      action: 'admin.user.workspace_change',
+      targetType: 'user',
+      targetId: userId,
+      workspaceId: workspace.id,
+      metadata: { workspaceId: workspace.id, workspace: workspace.slug },
+    });
+
+    res.json(user);
+  } catch (error) {
+    if (error.message === 'Only users without snippets or teams can change workspace') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.message === 'User not found or cannot be modified') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    Logger.error('Error moving user to workspace:', error);
+    res.status(500).json({ message: 'Failed to move user to workspace' });
+  }
+});
+
 router.get('/snippets', requirePermission(Permissions.ADMIN_SNIPPETS_MODERATE), async (req, res) => {
   try {
     const {
       offset = 0,
       limit = 50,
       search = '',
+      searchCode = '',
+      sort = 'newest',
       userId = '',
       isPublic = '',
+      recycled = '',
       language = '',
       category = '',
     } = req.query;
@@ -291,11 +449,14 @@ router.get('/snippets', requirePermission(Permissions.ADMIN_SNIPPETS_MODERATE),
       offset: parseInt(offset),
       limit: Math.min(parseInt(limit), 100),
       search,
+      searchCode: searchCode === 'true',
+      sort,
       userId,
       isPublic,
+      recycled,
       language,
       category,
-    });
+    }, workspaceScope(req));
     res.json(result);
   } catch (error) {
     Logger.error('Error getting snippets:', error);
@@ -305,7 +466,15 @@ router.get('/snippets', requirePermission(Permissions.ADMIN_SNIPPETS_MODERATE),
 
 router.delete('/snippets/:id', requirePermission(Permissions.ADMIN_SNIPPETS_MODERATE), async (req, res) => {
   try {
-    const deleted = await adminRepository.deleteSnippetPermanently(req.params.id);
+    const workspaceId = await adminRepository.getTargetWorkspaceId(
+      'snippet',
+      req.params.id,
+      workspaceScope(req)
+    );
+    const deleted = await adminRepository.deleteSnippetPermanently(
+      req.params.id,
+      workspaceScope(req)
+    );
     if (!deleted) {
       return res.status(404).json({ message: 'Snippet not found' });
     }
@@ -315,6 +484,7 @@ router.delete('/snippets/:id', requirePermission(Permissions.ADMIN_SNIPPETS_MODE
       action: 'admin.snippet.delete',
       targetType: 'snippet',
       targetId: req.params.id,
+      workspaceId,
     });
 
     res.json({ message: 'Snippet deleted successfully' });
@@ -332,16 +502,28 @@ router.patch('/snippets/:id/owner', requirePermission(Permissions.ADMIN_SNIPPETS
       return res.status(400).json({ message: 'newUserId is required' });
     }
 
-    await adminRepository.changeSnippetOwner(req.params.id, newUserId);
+    const workspaceId = await adminRepository.getTargetWorkspaceId(
+      'snippet',
+      req.params.id,
+      workspaceScope(req)
+    );
+    await adminRepository.changeSnippetOwner(req.params.id, newUserId, workspaceScope(req));
     writeAdminAudit({
       req,
       action: 'admin.snippet.owner_change',
       targetType: 'snippet',
       targetId: req.params.id,
+      workspaceId,
       metadata: { newUserId },
     });
     res.json({ message: 'Snippet owner changed successfully' });
   } catch (error) {
+    if (error.message === 'Snippet not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message === "New owner must belong to the snippet's workspace") {
+      return res.status(400).json({ message: error.message });
+    }
     Logger.error('Error changing snippet owner:', error);
     res.status(500).json({ message: 'Failed to change snippet owner' });
   }
@@ -349,12 +531,18 @@ router.patch('/snippets/:id/owner', requirePermission(Permissions.ADMIN_SNIPPETS
 
 router.patch('/snippets/:id/toggle-public', requirePermission(Permissions.ADMIN_SNIPPETS_MODERATE), async (req, res) => {
   try {
-    await adminRepository.toggleSnippetPublic(req.params.id);
+    const workspaceId = await adminRepository.getTargetWorkspaceId(
+      'snippet',
+      req.params.id,
+      workspaceScope(req)
+    );
+    await adminRepository.toggleSnippetPublic(req.params.id, workspaceScope(req));
     writeAdminAudit({
       req,
       action: 'admin.snippet.visibility_change',
       targetType: 'snippet',
       targetId: req.params.id,
+      workspaceId,
     });
     res.json({ message: 'Snippet visibility toggled successfully' });
   } catch (error) {
@@ -363,9 +551,12 @@ router.patch('/snippets/:id/toggle-public', requirePermission(Permissions.ADMIN_
   }
 });
 
-router.get('/snippets/scan/offensive', requirePermission(Permissions.ADMIN_SNIPPETS_MODERATE), async (_req, res) => {
+router.get('/snippets/scan/offensive', requirePermission(Permissions.ADMIN_SNIPPETS_MODERATE), async (req, res) => {
   try {
-    const result = await adminRepository.scanSnippetsForOffensiveContent(badWordsChecker);
+    const result = await adminRepository.scanSnippetsForOffensiveContent(
+      badWordsChecker,
+      workspaceScope(req)
+    );
     res.json(result);
   } catch (error) {
     Logger.error('Error scanning snippets for offensive content:', error);
@@ -375,7 +566,7 @@ router.get('/snippets/scan/offensive', requirePermission(Permissions.ADMIN_SNIPP
 
 router.get('/snippets/:id', requirePermission(Permissions.ADMIN_SNIPPETS_MODERATE), async (req, res) => {
   try {
-    const snippet = await adminRepository.getSnippetDetails(req.params.id);
+    const snippet = await adminRepository.getSnippetDetails(req.params.id, workspaceScope(req));
     if (!snippet) {
       return res.status(404).json({ message: 'Snippet not found' });
     }
@@ -393,7 +584,7 @@ router.get('/api-keys', requirePermission(Permissions.ADMIN_USERS_READ), async (
       offset: parseInt(offset),
       limit: Math.min(parseInt(limit), 100),
       userId,
-    });
+    }, workspaceScope(req));
     res.json(result);
   } catch (error) {
     Logger.error('Error getting API keys:', error);
@@ -403,7 +594,12 @@ router.get('/api-keys', requirePermission(Permissions.ADMIN_USERS_READ), async (
 
 router.delete('/api-keys/:id', requirePermission(Permissions.ADMIN_USERS_WRITE), async (req, res) => {
   try {
-    const deleted = await adminRepository.deleteApiKey(req.params.id);
+    const workspaceId = await adminRepository.getTargetWorkspaceId(
+      'api_key',
+      req.params.id,
+      workspaceScope(req)
+    );
+    const deleted = await adminRepository.deleteApiKey(req.params.id, workspaceScope(req));
     if (!deleted) {
       return res.status(404).json({ message: 'API key not found' });
     }
@@ -413,6 +609,7 @@ router.delete('/api-keys/:id', requirePermission(Permissions.ADMIN_USERS_WRITE),
       action: 'admin.api_key.delete',
       targetType: 'api_key',
       targetId: req.params.id,
+      workspaceId,
     });
 
     res.json({ message: 'API key deleted successfully' });
@@ -430,7 +627,7 @@ router.get('/shares', requirePermission(Permissions.ADMIN_USERS_READ), async (re
       limit: Math.min(parseInt(limit), 100),
       userId,
       requiresAuth,
-    });
+    }, workspaceScope(req));
     res.json(result);
   } catch (error) {
     Logger.error('Error getting shares:', error);
@@ -440,7 +637,12 @@ router.get('/shares', requirePermission(Permissions.ADMIN_USERS_READ), async (re
 
 router.delete('/shares/:id', requirePermission(Permissions.ADMIN_USERS_WRITE), async (req, res) => {
   try {
-    const deleted = await adminRepository.deleteShare(req.params.id);
+    const workspaceId = await adminRepository.getTargetWorkspaceId(
+      'share',
+      req.params.id,
+      workspaceScope(req)
+    );
+    const deleted = await adminRepository.deleteShare(req.params.id, workspaceScope(req));
     if (!deleted) {
       return res.status(404).json({ message: 'Share not found' });
     }
@@ -450,6 +652,7 @@ router.delete('/shares/:id', requirePermission(Permissions.ADMIN_USERS_WRITE), a
       action: 'admin.share.delete',
       targetType: 'share',
       targetId: req.params.id,
+      workspaceId,
     });
 
     res.json({ message: 'Share deleted successfully' });
@@ -459,10 +662,12 @@ router.delete('/shares/:id', requirePermission(Permissions.ADMIN_USERS_WRITE), a
   }
 });
 
-router.get('/settings', requirePermission(Permissions.ADMIN_PANEL_ACCESS), async (_req, res) => {
+// `foundation` holds the registration and community modes of the scoped
+// workspace, or the instance defaults in the super admin's overall view
+router.get('/settings', requirePermission(Permissions.ADMIN_PANEL_ACCESS), async (req, res) => {
   try {
     const all = systemConfigRepository.getAllSystemSettings();
-    const foundation = systemConfigRepository.getFoundationSettings();
+    const foundation = systemConfigRepository.getFoundationSettings(workspaceScope(req));
 
     res.json({
       ...all,
@@ -479,6 +684,7 @@ router.patch('/settings', requirePermission(Permissions.ADMIN_SYSTEM_SETTINGS_WR
     const {
       registrationMode,
       communityMode,
+      anonymousAccess,
       maintenanceMode,
       lockoutMaxAttempts,
       lockoutDurationMinutes,
@@ -486,9 +692,26 @@ router.patch('/settings', requirePermission(Permissions.ADMIN_SYSTEM_SETTINGS_WR
       publicRateLimit,
       generalRateLimit,
       rateLimitWindowMs,
+      recycleRetentionDays,
+      auditSinks,
+      webhookAllowedHosts,
       featureFlags,
     } = req.body || {};
 
+    if (
+      !canManageWorkspaces(req) &&
+      INSTANCE_SETTINGS.some((key) => req.body?.[key] !== undefined)
+    ) {
+      return res.status(403).json({ message: 'Only super admins can change instance settings' });
+    }
+    const scope = workspaceScope(req);
+    // Registration, community mode and anonymous access are set for the
+    // scoped workspace, or as the instance default every workspace inherits
+    const setFoundationSetting = (key, value) =>
+      scope === null
+        ? systemConfigRepository.setSetting(key, value, req.user.id)
+        : systemConfigRepository.setWorkspaceSetting(scope, key, value, req.user.id);
+
     const normalizedRegistrationMode =
       registrationMode !== undefined ? String(registrationMode).toUpperCase() : undefined;
     if (
@@ -507,6 +730,15 @@ router.patch('/settings', requirePermission(Permissions.ADMIN_SYSTEM_SETTINGS_WR
       return res.status(400).json({ message: 'Invalid community mode' });
     }
 
+    const normalizedAnonymousAccess =
+      anonymousAccess !== undefined ? String(anonymousAccess).toUpperCase() : undefined;
+    if (
+      normalizedAnonymousAccess !== undefined &&
+      !['ON', 'OFF'].includes(normalizedAnonymousAccess)
+    ) {
+      return res.status(400).json({ message: 'Invalid anonymous access mode' });
+    }
+
     const normalizedMaintenanceMode =
       maintenanceMode !== undefined ? String(maintenanceMode).toUpperCase() : undefined;
     if (
@@ -516,19 +748,48 @@ router.patch('/settings', requirePermission(Permissions.ADMIN_SYSTEM_SETTINGS_WR
       return res.status(400).json({ message: 'Invalid maintenance mode' });
     }
 
+    const normalizedRetentionDays =
+      recycleRetentionDays !== undefined ? Number(recycleRetentionDays) : undefined;
+    if (
+      normalizedRetentionDays !== undefined &&
+      (!Number.isInteger(normalizedRetentionDays) ||
+        normalizedRetentionDays < 1 ||
+        normalizedRetentionDays > RECYCLE_RETENTION_MAX_DAYS)
+    ) {
+      return res.status(400).json({
+        message: `Recycle bin retention must be between 1 and ${RECYCLE_RETENTION_MAX_DAYS} days`,
+      });
+    }
+
+    let normalizedAuditSinks;
+    if (auditSinks !== undefined) {
+      try {
+        normalizedAuditSinks = normalizeAuditSinks(
+          auditSinks,
+          systemConfigRepository.getAuditSinks()
+        );
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+    }
+
+    let normalizedAllowedHosts;
+    if (webhookAllowedHosts !== undefined) {
+      try {
+        normalizedAllowedHosts = normalizeWebhookAllowedHosts(webhookAllowedHosts);
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+    }
+
     if (normalizedRegistrationMode !== undefined) {
-      systemConfigRepository.setSetting(
-        'registration.mode',
-        normalizedRegistrationMode,
-        req.user.id
-      );
+      setFoundationSetting('registration.mode', normalizedRegistrationMode);
     }
     if (normalizedCommunityMode !== undefined) {
-      systemConfigRepository.setSetting(
-        'community.mode',
-        normalizedCommunityMode,
-        req.user.id
-      );
+      setFoundationSetting('community.mode', normalizedCommunityMode);
+    }
+    if (normalizedAnonymousAccess !== undefined) {
+      setFoundationSetting('workspace.anonymous_access', normalizedAnonymousAccess);
     }
     if (normalizedMaintenanceMode !== undefined) {
       systemConfigRepository.setSetting(
@@ -579,6 +840,29 @@ router.patch('/settings', requirePermission(Permissions.ADMIN_SYSTEM_SETTINGS_WR
         req.user.id
       );
     }
+    if (normalizedRetentionDays !== undefined) {
+      systemConfigRepository.setSetting(
+        'recycle.retention_days',
+        String(normalizedRetentionDays),
+        req.user.id
+      );
+      // Snippets already in a recycle bin follow the new retention too
+      snippetRepository.applyRecycleRetention(normalizedRetentionDays);
+    }
+    if (normalizedAuditSinks !== undefined) {
+      systemConfigRepository.setSetting(
+        AUDIT_SINKS_SETTING,
+        JSON.stringify(normalizedAuditSinks),
+        req.user.id
+      );
+    }
+    if (normalizedAllowedHosts !== undefined) {
+      systemConfigRepository.setSetting(
+        WEBHOOK_ALLOWED_HOSTS_SETTING,
+        JSON.stringify(normalizedAllowedHosts),
+        req.user.id
+      );
+    }
 
     if (featureFlags && typeof featureFlags === 'object') {
       for (const [flagKey, enabled] of Object.entries(featureFlags)) {
@@ -597,14 +881,19 @@ router.patch('/settings', requirePermission(Permissions.ADMIN_SYSTEM_SETTINGS_WR
       targetType: 'system',
       targetId: 'settings',
       metadata: {
+        workspaceId: scope,
         registrationMode,
         communityMode,
+        anonymousAccess,
         maintenanceMode,
+        recycleRetentionDays: normalizedRetentionDays,
+        auditSinks: normalizedAuditSinks?.map((sink) => `${sink.type}:${sink.name}`),
+        webhookAllowedHosts: normalizedAllowedHosts,
       },
     });
 
     const all = systemConfigRepository.getAllSystemSettings();
-    const foundation = systemConfigRepository.getFoundationSettings();
+    const foundation = systemConfigRepository.getFoundationSettings(scope);
     res.json({ ...all, foundation });
   } catch (error) {
     Logger.error('Error updating settings:', error);
@@ -613,11 +902,20 @@ router.patch('/settings', requirePermission(Permissions.ADMIN_SYSTEM_SETTINGS_WR
 });
 
 router.get('/audit', requirePermission(Permissions.ADMIN_AUDIT_READ), async (req, res) => {
+  let filters;
+  try {
+    filters = parseAuditFilters(req.query);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
   try {
     const { offset = 0, limit = 50 } = req.query;
     const result = await adminRepository.getAuditLogs({
       offset: parseInt(offset),
       limit: Math.min(parseInt(limit), 100),
+      ...filters,
+      workspaceId: workspaceScope(req),
     });
     res.json(result);
   } catch (error) {
@@ -626,4 +924,276 @@ router.get('/audit', requirePermission(Permissions.ADMIN_AUDIT_READ), async (req
   }
 });
 
+// Streams every entry matching the same filters as GET /audit
+router.get('/audit/export', requirePermission(Permissions.ADMIN_AUDIT_READ), async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!AUDIT_EXPORT_FORMATS.includes(format)) {
+    return res
+      .status(400)
+      .json({ message: `Format must be one of: ${AUDIT_EXPORT_FORMATS.join(', ')}` });
+  }
+
+  let filters;
+  try {
+    filters = parseAuditFilters(req.query);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  try {
+    const result = createAuditExportStream(
+      auditLogRepository.iterate({ ...filters, workspaceId: workspaceScope(req) }),
+      format
+    );
+
+    writeAdminAudit({
+      req,
+      action: 'admin.audit.export',
+      targetType: 'audit_log',
+      targetId: null,
+      metadata: { format, filters },
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    sendDownload(res, { ...result, fileName: `audit-log-${date}` });
+  } catch (error) {
+    Logger.error('Error exporting audit logs:', error);
+    res.status(500).json({ message: 'Failed to export audit logs' });
+  }
+});
+
+// Delivery counters of the enabled audit sinks
+router.get('/audit/sinks', requirePermission(Permissions.ADMIN_WORKSPACES_MANAGE), async (_req, res) => {
+  try {
+    res.json({ sinks: auditSinkDispatcher.status() });
+  } catch (error) {
+    Logger.error('Error loading audit sink status:', error);
+    res.status(500).json({ message: 'Failed to load audit sink status' });
+  }
+});
+
+// The chain spans every workspace, so verifying and checkpointing it are
+// super admin tasks
+
+// Recomputes the hash chain and reports the first entry that breaks it
+router.get('/audit/verify', requirePermission(Permissions.ADMIN_WORKSPACES_MANAGE), async (_req, res) => {
+  try {
+    const result = auditLogRepository.verifyChain();
+    if (!result.valid) {
+      Logger.error(
+        `Audit log chain broken at entry ${result.brokenAt.id}: ${result.brokenAt.reason}`
+      );
+    }
+    res.json(result);
+  } catch (error) {
+    Logger.error('Error verifying audit logs:', error);
+    res.status(500).json({ message: 'Failed to verify audit logs' });
+  }
+});
+
+// Signed chain head to archive outside the database
+router.get('/audit/checkpoint', requirePermission(Permissions.ADMIN_WORKSPACES_MANAGE), async (req, res) => {
+  try {
+    const checkpoint = auditLogRepository.createCheckpoint();
+
+    writeAdminAudit({
+      req,
+      action: 'admin.audit.checkpoint',
+      targetType: 'audit_log',
+      targetId: checkpoint.checkpoint.lastId,
+      metadata: { lastHash: checkpoint.checkpoint.lastHash },
+    });
+
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="audit-checkpoint-${checkpoint.checkpoint.lastId}.json"`
+    );
+    res.json(checkpoint);
+  } catch (error) {
+    Logger.error('Error creating audit checkpoint:', error);
+    res.status(500).json({ message: 'Failed to create audit checkpoint' });
+  }
+});
+
+// Super admin overview of every workspace with its totals
+router.get('/workspaces', requirePermission(Permissions.ADMIN_WORKSPACES_MANAGE), async (_req, res) => {
+  try {
+    res.json({ workspaces: workspaceRepository.findAll() });
+  } catch (error) {
+    Logger.error('Error loading workspaces:', error);
+    res.status(500).json({ message: 'Failed to load workspaces' });
+  }
+});
+
+router.post('/workspaces', requirePermission(Permissions.ADMIN_WORKSPACES_MANAGE), async (req, res) => {
+  try {
+    const workspace = workspaceRepository.create({
+      name: req.body?.name,
+      slug: req.body?.slug,
+    });
+
+    writeAdminAudit({
+      req,
+      action: 'admin.workspace.create',
+      targetType: 'workspace',
+      targetId: workspace.id,
+      metadata: { name: workspace.name, slug: workspace.slug },
+    });
+
+    res.status(201).json(workspace);
+  } catch (error) {
+    if (WORKSPACE_VALIDATION_ERRORS.has(error.message)) {
+      return res.status(400).json({ message: error.message });
+    }
+    Logger.error('Error creating workspace:', error);
+    res.status(500).json({ message: 'Failed to create workspace' });
+  }
+});
+
+router.patch('/workspaces/:id', requirePermission(Permissions.ADMIN_WORKSPACES_MANAGE), async (req, res) => {
+  try {
+    const workspace = workspaceRepository.update(parseInt(req.params.id), {
+      name: req.body?.name,
+      slug: req.body?.slug,
+    });
+    if (!workspace) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+
+    writeAdminAudit({
+      req,
+      action: 'admin.workspace.update',
+      targetType: 'workspace',
+      targetId: workspace.id,
+      metadata: { name: workspace.name, slug: workspace.slug },
+    });
+
+    res.json(workspace);
+  } catch (error) {
+    if (WORKSPACE_VALIDATION_ERRORS.has(error.message)) {
+      return res.status(400).json({ message: error.message });
+    }
+    Logger.error('Error updating workspace:', error);
+    res.status(500).json({ message: 'Failed to update workspace' });
+  }
+});
+
+router.delete('/workspaces/:id', requirePermission(Permissions.ADMIN_WORKSPACES_MANAGE), async (req, res) => {
+  try {
+    const workspaceId = parseInt(req.params.id);
+    const deleted = workspaceRepository.delete(workspaceId);
+    if (!deleted) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+
+    writeAdminAudit({
+      req,
+      action: 'admin.workspace.delete',
+      targetType: 'workspace',
+      targetId: workspaceId,
+    });
+
+    res.json({ message: 'Workspace deleted successfully' });
+  } catch (error) {
+    if (WORKSPACE_VALIDATION_ERRORS.has(error.message)) {
+      return res.status(400).json({ message: error.message });
+    }
+    Logger.error('Error deleting workspace:', error);
+    res.status(500).json({ message: 'Failed to delete workspace' });
+  }
+});
+
+router.get('/jobs', requirePermission(Permissions.ADMIN_PANEL_ACCESS), async (_req, res) => {
+  try {
+    res.json({ jobs: jobScheduler.listJobs() });
+  } catch (error) {
+    Logger.error('Error loading jobs:', error);
+    res.status(500).json({ message: 'Failed to load jobs' });
+  }
+});
+
+router.get('/jobs/:name/runs', requirePermission(Permissions.ADMIN_PANEL_ACCESS), async (req, res) => {
+  try {
+    const job = jobScheduler.describe(req.params.name);
+    const { offset = 0, limit = 20 } = req.query;
+    const result = jobRunRepository.list(job.name, {
+      offset: parseInt(offset) || 0,
+      limit: Math.min(parseInt(limit) || 20, 100),
+    });
+    res.json(result);
+  } catch (error) {
+    if (error.message === 'Job not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    Logger.error('Error loading job runs:', error);
+    res.status(500).json({ message: 'Failed to load job runs' });
+  }
+});
+
+// Runs the job now and answers with the finished run
+router.post('/jobs/:name/run', requirePermission(Permissions.ADMIN_WORKSPACES_MANAGE), async (req, res) => {
+  try {
+    const run = await jobScheduler.runJob(req.params.name, {
+      trigger: 'manual',
+      triggeredBy: req.user.id,
+    });
+
+    writeAdminAudit({
+      req,
+      action: 'admin.job.run',
+      targetType: 'job',
+      targetId: req.params.name,
+      metadata: { runId: run.id, status: run.status },
+    });
+
+    res.json(run);
+  } catch (error) {
+    if (error.message === 'Job not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message === 'Job is already running') {
+      return res.status(409).json({ message: error.message });
+    }
+    Logger.error('Error running job:', error);
+    res.status(500).json({ message: 'Failed to run job' });
+  }
+});
+
+router.patch('/jobs/:name', requirePermission(Permissions.ADMIN_WORKSPACES_MANAGE), async (req, res) => {
+  try {
+    const { schedule } = req.body || {};
+    if (typeof schedule !== 'string') {
+      return res.status(400).json({ message: 'Schedule is required' });
+    }
+
+    const saved = jobScheduler.setSchedule(req.params.name, schedule, req.user.id);
+
+    writeAdminAudit({
+      req,
+      action: 'admin.job.schedule',
+      targetType: 'job',
+      targetId: req.params.name,
+      metadata: { schedule: saved },
+    });
+
+    res.json(jobScheduler.describe(req.params.name));
+  } catch (error) {
+    if (error.message === 'Job not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message.startsWith('Invalid schedule')) {
+      return res.status(400).json({ message: error.message });
+    }
+    Logger.error('Error updating job schedule:', error);
+    res.status(500).json({ message: 'Failed to update job schedule' });
+  }
+});
+
+// Webhooks fired for every user's snippets, across all workspaces
+router.use(
+  '/webhooks',
+  requirePermission(Permissions.ADMIN_WORKSPACES_MANAGE),
+  createWebhookRouter('admin')
+);
+
 export default router;
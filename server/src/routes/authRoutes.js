@@ -17,6 +17,8 @@ import Logger from '../logger.js';
 import systemConfigRepository from '../core/systemConfigRepository.js';
 import auditLogRepository from '../security/auditLogRepository.js';
 import { getRolePermissionList } from '../security/permissions.js';
+import workspaceRepository from '../repositories/workspaceRepository.js';
+import { resolveWorkspace } from '../middleware/workspace.js';
 
 const router = express.Router();
 
@@ -34,12 +36,13 @@ function normalizeRegistrationMode(mode) {
   return RegistrationModes.OPEN;
 }
 
-function getAuthConfig() {
+// Registration and community mode are per workspace
+function getAuthConfig(workspaceId) {
   const registrationMode = normalizeRegistrationMode(
-    systemConfigRepository.getSetting('registration.mode', 'OPEN')
+    systemConfigRepository.getWorkspaceSetting(workspaceId, 'registration.mode', 'OPEN')
   );
   const communityMode = String(
-    systemConfigRepository.getSetting('community.mode', 'OFF')
+    systemConfigRepository.getWorkspaceSetting(workspaceId, 'community.mode', 'OFF')
   ).toUpperCase();
   const maintenanceMode = String(
     systemConfigRepository.getSetting('maintenance.mode', 'OFF')
@@ -54,6 +57,7 @@ function getAuthConfig() {
 
 function buildUserResponse(user) {
   const permissions = getRolePermissionList(user.role || 'USER');
+  const workspace = workspaceRepository.findById(user.workspace_id);
   return {
     id: user.id,
     username: user.username,
@@ -67,6 +71,9 @@ function buildUserResponse(user) {
     is_active: user.is_active,
     force_password_reset: !!user.force_password_reset,
     last_login_at: user.last_login_at || null,
+    workspace: workspace
+      ? { id: workspace.id, name: workspace.name, slug: workspace.slug }
+      : null,
   };
 }
 
@@ -77,13 +84,13 @@ function isLocked(user) {
   return new Date(user.locked_until).getTime() > Date.now();
 }
 
-router.get('/config', async (_req, res) => {
+router.get('/config', resolveWorkspace, async (req, res) => {
   try {
     const db = getDb();
     const userCount = db.prepare('SELECT COUNT(*) as count FROM users WHERE id != 0').get().count;
     const hasUsers = userCount > 0;
 
-    const { registrationMode, communityMode, maintenanceMode } = getAuthConfig();
+    const { registrationMode, communityMode, maintenanceMode } = getAuthConfig(req.workspace.id);
     const allowNewAccounts =
       !hasUsers ||
       (!DISABLE_ACCOUNTS &&
@@ -100,6 +107,8 @@ router.get('/config', async (_req, res) => {
       allowPasswordChanges: ALLOW_PASSWORD_CHANGES,
       communityMode,
       maintenanceMode,
+      recycleRetentionDays: systemConfigRepository.getRecycleRetentionDays(),
+      workspace: { name: req.workspace.name, slug: req.workspace.slug },
     });
   } catch (error) {
     Logger.error('Error getting auth config:', error);
@@ -107,7 +116,9 @@ router.get('/config', async (_req, res) => {
   }
 });
 
-router.post('/register', async (req, res) => {
+// New accounts join the workspace picked with ?workspace=<slug> (see
+// resolveWorkspace), under that workspace's registration mode
+router.post('/register', resolveWorkspace, async (req, res) => {
   try {
     if (DISABLE_INTERNAL_ACCOUNTS) {
       return res
@@ -118,7 +129,7 @@ router.post('/register', async (req, res) => {
     const db = getDb();
     const userCount = db.prepare('SELECT COUNT(*) as count FROM users WHERE id != 0').get().count;
     const hasUsers = userCount > 0;
-    const { registrationMode } = getAuthConfig();
+    const { registrationMode } = getAuthConfig(req.workspace.id);
 
     let desiredRole = 'USER';
     let desiredStatus = 'ACTIVE';
@@ -136,6 +147,7 @@ router.post('/register', async (req, res) => {
     const user = await userService.createUser(username, password, {
       role: desiredRole,
       status: desiredStatus,
+      workspaceId: req.workspace.id,
     });
 
     if (!hasUsers) {
@@ -151,6 +163,7 @@ router.post('/register', async (req, res) => {
         role: user.role,
         status: user.status,
         registrationMode,
+        workspace: req.workspace.slug,
       },
       req,
     });
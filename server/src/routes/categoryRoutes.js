@@ -0,0 +1,123 @@
+import express from "express";
+import snippetService from "../services/snippetService.js";
+import Logger from "../logger.js";
+import auditLogRepository from "../security/auditLogRepository.js";
+import { requirePermission } from "../security/aclMiddleware.js";
+import { Permissions } from "../security/permissions.js";
+
+const router = express.Router();
+
+// Categories are stored trimmed and lower-cased (see SnippetRepository.create)
+function normalizeCategory(value) {
+  return typeof value === "string" ? value.trim().toLowerCase() : "";
+}
+
+function sendCategoryResult(res, { action, target, sources, snippetIds, req }) {
+  if (snippetIds.length === 0) {
+    return res.status(404).json({ error: "Category not found" });
+  }
+
+  auditLogRepository.log({
+    actorId: req.user.id,
+    action,
+    targetType: "category",
+    targetId: target ?? sources[0],
+    metadata: { sources, target, snippetIds },
+    req,
+  });
+
+  res.json({ sources, target, snippetIds, updated: snippetIds.length });
+}
+
+router.get("/", requirePermission(Permissions.SNIPPET_READ_SELF), async (req, res) => {
+  try {
+    const categories = await snippetService.getCategories(req.user.id);
+    res.json(categories);
+  } catch (error) {
+    Logger.error("Error in GET /categories:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Body: { name: "docker" }. Renaming onto an existing category merges the two.
+router.patch("/:name", requirePermission(Permissions.SNIPPET_WRITE_SELF), async (req, res) => {
+  try {
+    const source = normalizeCategory(req.params.name);
+    const target = normalizeCategory(req.body?.name);
+    if (!source || !target) {
+      return res.status(400).json({ error: "Category name is required" });
+    }
+    if (source === target) {
+      return res.status(400).json({ error: "New category name must be different" });
+    }
+
+    const snippetIds = await snippetService.replaceCategories(req.user.id, [source], target);
+    sendCategoryResult(res, {
+      action: "category.rename",
+      target,
+      sources: [source],
+      snippetIds,
+      req,
+    });
+  } catch (error) {
+    Logger.error("Error in PATCH /categories/:name:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Body: { sources: ["js", "javascript"], target: "javascript" }
+router.post("/merge", requirePermission(Permissions.SNIPPET_WRITE_SELF), async (req, res) => {
+  try {
+    const { sources, target } = req.body || {};
+    if (!Array.isArray(sources) || sources.length === 0) {
+      return res.status(400).json({ error: "sources must be a non-empty array of category names" });
+    }
+
+    const targetName = normalizeCategory(target);
+    const sourceNames = [...new Set(sources.map(normalizeCategory))].filter(
+      (name) => name && name !== targetName
+    );
+    if (!targetName) {
+      return res.status(400).json({ error: "Category name is required" });
+    }
+    if (sourceNames.length === 0) {
+      return res.status(400).json({ error: "sources must name at least one other category" });
+    }
+
+    const snippetIds = await snippetService.replaceCategories(req.user.id, sourceNames, targetName);
+    sendCategoryResult(res, {
+      action: "category.merge",
+      target: targetName,
+      sources: sourceNames,
+      snippetIds,
+      req,
+    });
+  } catch (error) {
+    Logger.error("Error in POST /categories/merge:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Removes the category from every snippet; the snippets themselves stay
+router.delete("/:name", requirePermission(Permissions.SNIPPET_WRITE_SELF), async (req, res) => {
+  try {
+    const source = normalizeCategory(req.params.name);
+    if (!source) {
+      return res.status(400).json({ error: "Category name is required" });
+    }
+
+    const snippetIds = await snippetService.replaceCategories(req.user.id, [source], null);
+    sendCategoryResult(res, {
+      action: "category.delete",
+      target: null,
+      sources: [source],
+      snippetIds,
+      req,
+    });
+  } catch (error) {
+    Logger.error("Error in DELETE /categories/:name:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+export default router;
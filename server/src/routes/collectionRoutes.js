@@ -0,0 +1,176 @@
+import express from "express";
+import collectionRepository from "../repositories/collectionRepository.js";
+import Logger from "../logger.js";
+import { requirePermission } from "../security/aclMiddleware.js";
+import { Permissions } from "../security/permissions.js";
+
+const router = express.Router();
+
+const VALIDATION_ERRORS = new Set([
+  "Collection name is required",
+  "Parent collection not found",
+  "A collection cannot be moved into itself",
+  "Snippet order must list every snippet in the collection exactly once",
+]);
+
+function isId(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Picks the writable fields from a create/update body. parentId may be null
+// (root level); omitted fields are left out so updates only touch what is sent.
+function parseCollectionBody(body = {}) {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== "string") {
+      return { error: "name must be a string" };
+    }
+    fields.name = body.name;
+  }
+
+  if (body.parentId !== undefined) {
+    if (body.parentId !== null && !isId(body.parentId)) {
+      return { error: "parentId must be a collection ID or null" };
+    }
+    fields.parentId = body.parentId;
+  }
+
+  if (body.position !== undefined) {
+    if (!Number.isInteger(body.position) || body.position < 0) {
+      return { error: "position must be a non-negative integer" };
+    }
+    fields.position = body.position;
+  }
+
+  return { fields };
+}
+
+function sendError(res, error, context) {
+  if (VALIDATION_ERRORS.has(error.message)) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.message === "Snippet not found") {
+    return res.status(404).json({ error: error.message });
+  }
+  Logger.error(`Error in ${context}:`, error);
+  return res.status(500).json({ error: "Internal server error" });
+}
+
+// Flat list ordered by parent and position; clients build the tree from parent_id
+router.get("/", requirePermission(Permissions.SNIPPET_READ_SELF), async (req, res) => {
+  try {
+    res.json(collectionRepository.findAllByUser(req.user.id));
+  } catch (error) {
+    sendError(res, error, "GET /collections");
+  }
+});
+
+router.post("/", requirePermission(Permissions.SNIPPET_WRITE_SELF), async (req, res) => {
+  try {
+    const { fields, error } = parseCollectionBody(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const collection = collectionRepository.create(fields, req.user.id);
+    res.status(201).json(collection);
+  } catch (error) {
+    sendError(res, error, "POST /collections");
+  }
+});
+
+router.get("/:id", requirePermission(Permissions.SNIPPET_READ_SELF), async (req, res) => {
+  try {
+    const collection = collectionRepository.findById(req.params.id, req.user.id);
+    if (!collection) {
+      return res.status(404).json({ error: "Collection not found" });
+    }
+    res.json(collection);
+  } catch (error) {
+    sendError(res, error, "GET /collections/:id");
+  }
+});
+
+router.patch("/:id", requirePermission(Permissions.SNIPPET_WRITE_SELF), async (req, res) => {
+  try {
+    const { fields, error } = parseCollectionBody(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const collection = collectionRepository.update(req.params.id, fields, req.user.id);
+    if (!collection) {
+      return res.status(404).json({ error: "Collection not found" });
+    }
+    res.json(collection);
+  } catch (error) {
+    sendError(res, error, "PATCH /collections/:id");
+  }
+});
+
+// Removes the collection and its sub-collections; snippets are kept
+router.delete("/:id", requirePermission(Permissions.SNIPPET_WRITE_SELF), async (req, res) => {
+  try {
+    if (!collectionRepository.delete(req.params.id, req.user.id)) {
+      return res.status(404).json({ error: "Collection not found" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, "DELETE /collections/:id");
+  }
+});
+
+// Body: { snippetId: 12 }
+router.post("/:id/snippets", requirePermission(Permissions.SNIPPET_WRITE_SELF), async (req, res) => {
+  try {
+    const { snippetId } = req.body || {};
+    if (!isId(snippetId)) {
+      return res.status(400).json({ error: "snippetId must be a snippet ID" });
+    }
+
+    const collection = collectionRepository.addSnippet(req.params.id, snippetId, req.user.id);
+    if (!collection) {
+      return res.status(404).json({ error: "Collection not found" });
+    }
+    res.status(201).json(collection);
+  } catch (error) {
+    sendError(res, error, "POST /collections/:id/snippets");
+  }
+});
+
+// Body: { snippetIds: [3, 1, 2] } listing every snippet of the collection once
+router.put("/:id/snippets/order", requirePermission(Permissions.SNIPPET_WRITE_SELF), async (req, res) => {
+  try {
+    const { snippetIds } = req.body || {};
+    if (!Array.isArray(snippetIds) || !snippetIds.every(isId)) {
+      return res.status(400).json({ error: "snippetIds must be an array of snippet IDs" });
+    }
+
+    const order = collectionRepository.reorderSnippets(req.params.id, snippetIds, req.user.id);
+    if (!order) {
+      return res.status(404).json({ error: "Collection not found" });
+    }
+    res.json({ snippetIds: order });
+  } catch (error) {
+    sendError(res, error, "PUT /collections/:id/snippets/order");
+  }
+});
+
+router.delete("/:id/snippets/:snippetId", requirePermission(Permissions.SNIPPET_WRITE_SELF), async (req, res) => {
+  try {
+    const collection = collectionRepository.removeSnippet(
+      req.params.id,
+      req.params.snippetId,
+      req.user.id
+    );
+    if (!collection) {
+      return res.status(404).json({ error: "Collection not found" });
+    }
+    res.json(collection);
+  } catch (error) {
+    sendError(res, error, "DELETE /collections/:id/snippets/:snippetId");
+  }
+});
+
+export default router;
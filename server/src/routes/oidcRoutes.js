@@ -11,6 +11,7 @@ import {
 } from '../middleware/auth.js';
 import systemConfigRepository from '../core/systemConfigRepository.js';
 import auditLogRepository from '../security/auditLogRepository.js';
+import { DEFAULT_WORKSPACE_ID } from '../repositories/workspaceRepository.js';
 
 const router = express.Router();
 
@@ -112,7 +113,8 @@ router.get('/callback', async (req, res) => {
     const userCount = db.prepare('SELECT COUNT(*) as count FROM users WHERE id != 0').get().count;
     const hasUsers = userCount > 0;
     const registrationMode = normalizeRegistrationMode(
-      systemConfigRepository.getSetting('registration.mode', 'OPEN')
+      // OIDC sign-ups join the default workspace
+      systemConfigRepository.getWorkspaceSetting(DEFAULT_WORKSPACE_ID, 'registration.mode', 'OPEN')
     );
 
     const baseUrl = getBaseUrl(req);
@@ -1,6 +1,17 @@
 import express from 'express';
 import snippetService from '../services/snippetService.js';
 import Logger from '../logger.js';
+import { applySearchQuery } from '../search/queryParser.js';
+import libraryTransferService from '../services/libraryTransferService.js';
+import { ARCHIVE_FORMATS } from '../transfer/snippetArchive.js';
+import { templateValues } from '../templates/templateEngine.js';
+import { sendDownload, sendRawFragment } from '../utils/download.js';
+import { findFragmentByPath, isFragmentPathError } from '../utils/fragmentPaths.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { authenticateApiKey } from '../middleware/apiKeyAuth.js';
+import auditLogRepository from '../security/auditLogRepository.js';
+import { requirePermission } from '../security/aclMiddleware.js';
+import { Permissions } from '../security/permissions.js';
 
 const router = express.Router();
 
@@ -20,29 +31,36 @@ function parseQueryParams(query) {
     ? query.category.split(',').map(c => c.trim().toLowerCase())
     : null;
 
-  return {
-    limit,
-    offset,
-    filters: {
-      search: query.search || null,
+  // Qualifiers in `search` (lang:, tag:, is:pinned, ...) are merged with the
+  // explicit filter params
+  const { filters, warnings } = applySearchQuery(
+    {
       searchCode: query.searchCode === 'true',
-      language: query.language || null,
+      languages: query.language ? [query.language.toLowerCase()] : [],
       categories,
       favorites: query.favorites === 'true',
       pinned: query.pinned === 'true',
       recycled: query.recycled === 'true',
     },
+    query.search
+  );
+
+  return {
+    limit,
+    offset,
+    filters,
+    searchWarnings: warnings,
     sort: query.sort || 'newest',
   };
 }
 
 router.get('/', async (req, res) => {
   try {
-    const { limit, offset, filters, sort } = parseQueryParams(req.query);
+    const { limit, offset, filters, searchWarnings, sort } = parseQueryParams(req.query);
 
     const { snippets, total } = await snippetService.getSnippetsPaginated({
       userId: null,  // null = public only
-      filters,
+      filters: { ...filters, workspaceId: req.workspace.id },
       sort,
       limit,
       offset
@@ -55,7 +73,8 @@ router.get('/', async (req, res) => {
         offset,
         limit,
         hasMore: offset + limit < total
-      }
+      },
+      searchWarnings
     });
   } catch (error) {
     Logger.error('Error fetching public snippets:', error);
@@ -65,7 +84,7 @@ router.get('/', async (req, res) => {
 
 router.get('/metadata', async (req, res) => {
   try {
-    const metadata = await snippetService.getMetadata(null);
+    const metadata = await snippetService.getMetadata(null, req.workspace.id);
     res.json(metadata);
   } catch (error) {
     Logger.error('Error fetching public metadata:', error);
@@ -73,11 +92,33 @@ router.get('/metadata', async (req, res) => {
   }
 });
 
-// Raw public snippet endpoint for plain text access
+// Raw public fragment addressed by its path, e.g. /:id/files/src/index.js
+router.get('/:id/files/*', async (req, res) => {
+  try {
+    const snippet = await snippetService.findById(req.params.id, null, req.workspace.id);
+    if (!snippet) {
+      return res.status(404).send('Snippet not found');
+    }
+    const fragment = findFragmentByPath(snippet.fragments, req.params[0]);
+    if (!fragment) {
+      return res.status(404).send('File not found');
+    }
+    sendRawFragment(res, snippet, fragment, req.query);
+  } catch (error) {
+    if (isFragmentPathError(error)) {
+      return res.status(400).send(error.message);
+    }
+    Logger.error('Error in GET /public/snippets/:id/files:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// Raw public snippet endpoint for plain text access. Templates are rendered
+// with the query parameters as variable values.
 router.get('/:id/:fragmentId/raw', async (req, res) => {
   try {
     const { id, fragmentId } = req.params;
-    const snippet = await snippetService.findById(id);
+    const snippet = await snippetService.findById(id, null, req.workspace.id);
     if (!snippet) {
       res.status(404).send('Snippet not found');
     } else {
@@ -85,10 +126,7 @@ router.get('/:id/:fragmentId/raw', async (req, res) => {
       if (!fragment) {
         res.status(404).send('Fragment not found');
       } else {
-        res.set('Content-Type', 'text/plain; charset=utf-8');
-        // Remove carriage returns to fix bash script execution issues
-        const normalizedCode = fragment.code.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-        res.send(normalizedCode);
+        sendRawFragment(res, snippet, fragment, req.query);
       }
     }
   } catch (error) {
@@ -97,9 +135,37 @@ router.get('/:id/:fragmentId/raw', async (req, res) => {
   }
 });
 
+// Public snippet as a zip or tar.gz of its fragments
+router.get('/:id/archive', async (req, res) => {
+  try {
+    const { format = 'zip' } = req.query;
+    const values = templateValues(req.query, ['format']);
+    if (!ARCHIVE_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${ARCHIVE_FORMATS.join(', ')}` });
+    }
+
+    const snippet = await snippetService.findById(req.params.id, null, req.workspace.id);
+    if (!snippet) {
+      return res.status(404).json({ error: 'Snippet not found' });
+    }
+
+    const result = await libraryTransferService.archiveSnippet(snippet, format, values);
+    if (result.templateError) {
+      return res.status(400).json(result.templateError);
+    }
+    sendDownload(res, result);
+  } catch (error) {
+    if (isFragmentPathError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    Logger.error('Error in GET /public/snippets/:id/archive:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 router.get('/:id', async (req, res) => {
   try {
-    const snippet = await snippetService.findById(req.params.id);
+    const snippet = await snippetService.findById(req.params.id, null, req.workspace.id);
     if (!snippet) {
       res.status(404).json({ error: 'Snippet not found' });
     } else {
@@ -111,4 +177,39 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Copy a public snippet into the caller's own library
+router.post(
+  '/:id/fork',
+  authenticateApiKey,
+  authenticateToken,
+  requirePermission(Permissions.SNIPPET_WRITE_SELF),
+  async (req, res) => {
+    try {
+      // Forks stay inside the caller's own workspace
+      const source = await snippetService.findById(req.params.id, null, req.user.workspace_id);
+      if (!source) {
+        return res.status(404).json({ error: 'Snippet not found' });
+      }
+
+      const fork = await snippetService.forkSnippet(source.id, req.user.id);
+      if (!fork) {
+        return res.status(404).json({ error: 'Snippet not found' });
+      }
+
+      auditLogRepository.log({
+        actorId: req.user.id,
+        action: 'snippet.fork',
+        targetType: 'snippet',
+        targetId: fork.id,
+        metadata: { forked_from: source.id },
+        req,
+      });
+      res.status(201).json(fork);
+    } catch (error) {
+      Logger.error('Error in POST /public/snippets/:id/fork:', error);
+      res.status(500).json({ error: 'Failed to fork snippet' });
+    }
+  }
+);
+
 export default router;
\ No newline at end of file
@@ -2,6 +2,17 @@ import express from 'express';
 import jwt from 'jsonwebtoken';
 import { JWT_SECRET, authenticateToken } from '../middleware/auth.js';
 import shareRepository from '../repositories/shareRepository.js';
+import userRepository from '../repositories/userRepository.js';
+import snippetService from '../services/snippetService.js';
+import libraryTransferService from '../services/libraryTransferService.js';
+import { ARCHIVE_FORMATS } from '../transfer/snippetArchive.js';
+import { templateValues } from '../templates/templateEngine.js';
+import { sendDownload, sendRawFragment } from '../utils/download.js';
+import { isFragmentPathError } from '../utils/fragmentPaths.js';
+import auditLogRepository from '../security/auditLogRepository.js';
+import webhookService from '../services/webhookService.js';
+import { requirePermission } from '../security/aclMiddleware.js';
+import { Permissions } from '../security/permissions.js';
 import Logger from '../logger.js';
 
 const router = express.Router();
@@ -14,6 +25,19 @@ router.post('/', authenticateToken, async (req, res) => {
       requiresAuth: !!requiresAuth,
       expiresIn: expiresIn ? parseInt(expiresIn) : null
     }, req.user.id);
+    auditLogRepository.log({
+      actorId: req.user.id,
+      action: 'share.create',
+      targetType: 'share',
+      targetId: share.id,
+      metadata: {
+        snippetId: share.snippetId,
+        requiresAuth: share.requiresAuth,
+        expiresIn: share.expiresIn
+      },
+      req
+    });
+    webhookService.emitShareCreated(share, req.user);
     res.status(201).json(share);
   } catch (error) {
     Logger.error('Error creating share:', error);
@@ -27,41 +51,154 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Loads a share for an anonymous or signed-in viewer, answering with the
+// error status itself when the share cannot be viewed. Shares that require
+// auth are only visible to users of the snippet's workspace.
+async function loadViewableShare(req, res) {
+  let share = await shareRepository.getShare(req.params.id);
+
+  if (!share) {
+    res.status(404).json({ error: 'Share not found' });
+    return null;
+  }
+
+  if (share.share?.requiresAuth) {
+    const authHeader = req.headers['bytestashauth'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      res.status(401).json({ error: 'Authentication required' });
+      return null;
+    }
+
+    let viewer;
+    try {
+      const decoded = jwt.verify(token, JWT_SECRET);
+      viewer = await userRepository.findById(decoded.id);
+    } catch (err) {
+      res.status(401).json({ error: 'Invalid or expired token' });
+      return null;
+    }
+
+    share = viewer ? await shareRepository.getShare(req.params.id, viewer.workspace_id) : null;
+    if (!share) {
+      res.status(404).json({ error: 'Share not found' });
+      return null;
+    }
+  }
+
+  if (share.share?.expired) {
+    res.status(410).json({ error: 'Share has expired' });
+    return null;
+  }
+
+  return share;
+}
+
 router.get('/:id', async (req, res) => {
   try {
-    const { id } = req.params;
-    const share = await shareRepository.getShare(id);
-    
-    if (!share) {
-      return res.status(404).json({ error: 'Share not found' });
+    const share = await loadViewableShare(req, res);
+    if (share) {
+      res.json(share);
     }
+  } catch (error) {
+    Logger.error('Error getting share:', error);
+    res.status(500).json({ error: 'Failed to get share' });
+  }
+});
 
-    if (share.share?.requiresAuth) {
-      const authHeader = req.headers['bytestashauth'];
-      const token = authHeader && authHeader.split(' ')[1];
+// Raw fragment of a shared snippet. Templates are rendered with the query
+// parameters as variable values.
+router.get('/:id/:fragmentId/raw', async (req, res) => {
+  try {
+    const share = await loadViewableShare(req, res);
+    if (!share) {
+      return;
+    }
 
-      if (!token) {
-        return res.status(401).json({ error: 'Authentication required' });
-      }
+    const fragment = share.fragments.find(
+      (fragment) => fragment.id === parseInt(req.params.fragmentId)
+    );
+    if (!fragment) {
+      return res.status(404).json({ error: 'Fragment not found' });
+    }
+    sendRawFragment(res, share, fragment, req.query);
+  } catch (error) {
+    Logger.error('Error getting shared raw fragment:', error);
+    res.status(500).json({ error: 'Failed to get shared fragment' });
+  }
+});
 
-      try {
-        jwt.verify(token, JWT_SECRET);
-      } catch (err) {
-        return res.status(401).json({ error: 'Invalid or expired token' });
-      }
+// Shared snippet as a zip or tar.gz of its fragments. Templates are rendered
+// with the remaining query parameters like on the snippet archive endpoint.
+router.get('/:id/archive', async (req, res) => {
+  try {
+    const { format = 'zip' } = req.query;
+    const values = templateValues(req.query, ['format']);
+    if (!ARCHIVE_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${ARCHIVE_FORMATS.join(', ')}` });
     }
 
-    if (share.share?.expired) {
-      return res.status(410).json({ error: 'Share has expired' });
+    const share = await loadViewableShare(req, res);
+    if (!share) {
+      return;
     }
 
-    res.json(share);
+    const result = await libraryTransferService.archiveSnippet(share, format, values);
+    if (result.templateError) {
+      return res.status(400).json(result.templateError);
+    }
+    sendDownload(res, result);
   } catch (error) {
-    Logger.error('Error getting share:', error);
-    res.status(500).json({ error: 'Failed to get share' });
+    if (isFragmentPathError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    Logger.error('Error getting share archive:', error);
+    res.status(500).json({ error: 'Failed to get share archive' });
   }
 });
 
+// Copy a shared snippet into the caller's own library. Forking always needs
+// an account, so shares that require auth are covered as well.
+router.post(
+  '/:id/fork',
+  authenticateToken,
+  requirePermission(Permissions.SNIPPET_WRITE_SELF),
+  async (req, res) => {
+    try {
+      const found = await shareRepository.getShare(req.params.id);
+      const share = found?.share.requiresAuth
+        ? await shareRepository.getShare(req.params.id, req.user.workspace_id)
+        : found;
+      if (!share) {
+        return res.status(404).json({ error: 'Share not found' });
+      }
+
+      if (share.share.expired) {
+        return res.status(410).json({ error: 'Share has expired' });
+      }
+
+      const fork = await snippetService.forkSnippet(share.id, req.user.id);
+      if (!fork) {
+        return res.status(404).json({ error: 'Share not found' });
+      }
+
+      auditLogRepository.log({
+        actorId: req.user.id,
+        action: 'snippet.fork',
+        targetType: 'snippet',
+        targetId: fork.id,
+        metadata: { forked_from: share.id, share_id: share.share.id },
+        req,
+      });
+      res.status(201).json(fork);
+    } catch (error) {
+      Logger.error('Error forking share:', error);
+      res.status(500).json({ error: 'Failed to fork snippet' });
+    }
+  }
+);
+
 router.get('/snippet/:snippetId', authenticateToken, async (req, res) => {
   try {
     const { snippetId } = req.params;
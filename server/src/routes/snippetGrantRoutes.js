@@ -0,0 +1,144 @@
+import express from "express";
+import snippetService from "../services/snippetService.js";
+import snippetGrantRepository from "../repositories/snippetGrantRepository.js";
+import teamRepository from "../repositories/teamRepository.js";
+import auditLogRepository from "../security/auditLogRepository.js";
+import Logger from "../logger.js";
+import { requirePermission } from "../security/aclMiddleware.js";
+import { GrantPermissions, isGrantPermission, Permissions } from "../security/permissions.js";
+
+// Mounted under /api/snippets/:id/grants. Only the snippet's owner manages
+// its grants; everyone else gets a 404 as for any snippet they cannot edit.
+const router = express.Router({ mergeParams: true });
+
+const VALIDATION_ERRORS = new Set([
+  "The owner already has access to this snippet",
+]);
+
+function parsePermission(permission, fallback = null) {
+  const value = permission === undefined ? fallback : permission;
+  return isGrantPermission(value) ? value : null;
+}
+
+function sendError(res, error, context) {
+  if (VALIDATION_ERRORS.has(error.message)) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.message === "User not found") {
+    return res.status(404).json({ error: error.message });
+  }
+  Logger.error(`Error in ${context}:`, error);
+  return res.status(500).json({ error: "Internal server error" });
+}
+
+function audit(req, action, grant) {
+  auditLogRepository.log({
+    actorId: req.user.id,
+    action,
+    targetType: "snippet",
+    targetId: req.snippet.id,
+    metadata: {
+      grantId: grant.id,
+      userId: grant.user_id,
+      teamId: grant.team_id,
+      permission: grant.permission,
+    },
+    req,
+  });
+}
+
+async function loadOwnedSnippet(req, res, next) {
+  try {
+    const snippet = await snippetService.findById(req.params.id, req.user.id);
+    if (!snippet || snippet.user_id !== req.user.id) {
+      return res.status(404).json({ error: "Snippet not found" });
+    }
+    req.snippet = snippet;
+    next();
+  } catch (error) {
+    sendError(res, error, "loading snippet for grants");
+  }
+}
+
+router.use(requirePermission(Permissions.SNIPPET_WRITE_SELF), loadOwnedSnippet);
+
+router.get("/", async (req, res) => {
+  try {
+    res.json(snippetGrantRepository.findBySnippet(req.snippet.id));
+  } catch (error) {
+    sendError(res, error, "GET /snippets/:id/grants");
+  }
+});
+
+// Body: { username } or { teamId }, plus permission "read" (default) or
+// "edit". Granting an existing grantee again changes their permission.
+router.post("/", async (req, res) => {
+  try {
+    if (req.snippet.visibility !== "SHARED") {
+      return res.status(400).json({ error: "Only SHARED snippets can have grants" });
+    }
+
+    const permission = parsePermission(req.body?.permission, GrantPermissions.READ);
+    if (!permission) {
+      return res.status(400).json({ error: "permission must be read or edit" });
+    }
+
+    const { username, teamId } = req.body || {};
+    const hasUser = typeof username === "string" && username.trim() !== "";
+    const hasTeam = Number.isInteger(teamId) && teamId > 0;
+    if (hasUser === hasTeam) {
+      return res.status(400).json({ error: "Either username or teamId is required" });
+    }
+    if (hasTeam && !teamRepository.findMembership(teamId, req.user.id)) {
+      return res.status(400).json({ error: "You are not a member of this team" });
+    }
+
+    const { grant, created } = snippetGrantRepository.grant(
+      req.snippet,
+      { username: hasUser ? username : null, teamId: hasTeam ? teamId : null, permission },
+      req.user.id
+    );
+    audit(req, created ? "snippet.grant.create" : "snippet.grant.update", grant);
+    res.status(created ? 201 : 200).json(grant);
+  } catch (error) {
+    sendError(res, error, "POST /snippets/:id/grants");
+  }
+});
+
+router.patch("/:grantId", async (req, res) => {
+  try {
+    const permission = parsePermission(req.body?.permission);
+    if (!permission) {
+      return res.status(400).json({ error: "permission must be read or edit" });
+    }
+
+    const grant = snippetGrantRepository.updatePermission(
+      req.snippet.id,
+      Number(req.params.grantId),
+      permission
+    );
+    if (!grant) {
+      return res.status(404).json({ error: "Grant not found" });
+    }
+    audit(req, "snippet.grant.update", grant);
+    res.json(grant);
+  } catch (error) {
+    sendError(res, error, "PATCH /snippets/:id/grants/:grantId");
+  }
+});
+
+router.delete("/:grantId", async (req, res) => {
+  try {
+    const grant = snippetGrantRepository.findById(req.snippet.id, Number(req.params.grantId));
+    if (!grant) {
+      return res.status(404).json({ error: "Grant not found" });
+    }
+    snippetGrantRepository.delete(req.snippet.id, grant.id);
+    audit(req, "snippet.grant.delete", grant);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, "DELETE /snippets/:id/grants/:grantId");
+  }
+});
+
+export default router;
@@ -1,9 +1,24 @@
 import express from "express";
+import multer from "multer";
 import snippetService from "../services/snippetService.js";
+import libraryTransferService, {
+  EXPORT_FORMATS,
+  IMPORT_SOURCES,
+  MERGE_STRATEGIES,
+} from "../services/libraryTransferService.js";
+import { ARCHIVE_FORMATS } from "../transfer/snippetArchive.js";
+import { templateValues } from "../templates/templateEngine.js";
+import { sendDownload, sendRawFragment } from "../utils/download.js";
+import { findFragmentByPath, isFragmentPathError } from "../utils/fragmentPaths.js";
 import Logger from "../logger.js";
+import { applySearchQuery } from "../search/queryParser.js";
+import { parseContextLines, parseSearchMode } from "../search/codeSearch.js";
 import auditLogRepository from "../security/auditLogRepository.js";
+import webhookService from "../services/webhookService.js";
 import { requirePermission } from "../security/aclMiddleware.js";
-import { Permissions } from "../security/permissions.js";
+import { hasPermission, Permissions } from "../security/permissions.js";
+import teamRepository from "../repositories/teamRepository.js";
+import snippetGrantRoutes from "./snippetGrantRoutes.js";
 
 const router = express.Router();
 
@@ -23,34 +38,122 @@ function parseQueryParams(query) {
     ? query.category.split(',').map(c => c.trim().toLowerCase())
     : null;
 
-  return {
-    limit,
-    offset,
-    filters: {
-      search: query.search || null,
+  // Qualifiers in `search` (lang:, tag:, is:pinned, ...) are merged with the
+  // explicit filter params
+  const { filters, warnings } = applySearchQuery(
+    {
       searchCode: query.searchCode === 'true',
-      language: query.language || null,
+      languages: query.language ? [query.language.toLowerCase()] : [],
       categories,
       favorites: query.favorites === 'true',
       pinned: query.pinned === 'true',
       recycled: query.recycled === 'true',
+      collection: parseInt(query.collection) || null,
+      team: parseInt(query.team) || null,
+      shared: query.shared === 'true',
     },
+    query.search
+  );
+
+  return {
+    limit,
+    offset,
+    filters,
+    searchWarnings: warnings,
     sort: query.sort || 'newest',
   };
 }
 
+// ETags are the snippet's version counter. A missing If-Match (or "*") means
+// an unconditional write; otherwise the write only applies to a listed version.
+function parseIfMatch(req) {
+  const header = req.get("If-Match");
+  if (!header || header.trim() === "*") {
+    return null;
+  }
+
+  return header
+    .split(",")
+    .map((tag) => parseInt(tag.trim().replace(/^W\//, "").replace(/"/g, ""), 10))
+    .filter(Number.isInteger);
+}
+
+function writeOptions(req) {
+  return { expectedVersions: parseIfMatch(req) };
+}
+
+function setSnippetEtag(res, snippet) {
+  if (snippet?.version != null) {
+    res.set("ETag", `"${snippet.version}"`);
+  }
+}
+
+// For writes that don't return the snippet itself
+async function setCurrentEtag(req, res) {
+  setSnippetEtag(res, await snippetService.findById(req.params.id, req.user.id));
+}
+
+function isVersionConflict(error) {
+  return error.message === "Snippet version conflict";
+}
+
+function isInvalidVariables(error) {
+  return error.message.startsWith("Invalid template variables");
+}
+
+// TEAM visibility without a team the owner belongs to
+const TEAM_ERRORS = new Set([
+  "TEAM snippets need a team_id",
+  "You are not a member of this team",
+]);
+
+function isInvalidTeam(error) {
+  return TEAM_ERRORS.has(error.message);
+}
+
+async function sendVersionConflict(req, res) {
+  const current = await snippetService.findById(req.params.id, req.user.id);
+  setSnippetEtag(res, current);
+  return res.status(412).json({ error: "Snippet has been modified", current });
+}
+
+// Rejected searchMode/pattern input, including regexes that hit the time limit
+const CODE_SEARCH_ERRORS = new Set([
+  "Invalid search mode",
+  "Search pattern is required",
+  "Search pattern is too long",
+  "Invalid regular expression",
+  "Code search timed out",
+]);
+
 // GET all snippets (with pagination and filtering)
 router.get("/", requirePermission(Permissions.SNIPPET_READ_SELF), async (req, res) => {
   try {
-    const { limit, offset, filters, sort } = parseQueryParams(req.query);
+    const searchMode = parseSearchMode(req.query.searchMode);
 
-    const { snippets, total } = await snippetService.getSnippetsPaginated({
-      userId: req.user.id,
-      filters,
-      sort,
-      limit,
-      offset
-    });
+    // In code search mode `search` is the raw pattern, not query syntax
+    const { limit, offset, filters, searchWarnings, sort } = parseQueryParams(
+      searchMode ? { ...req.query, search: undefined } : req.query
+    );
+
+    const { snippets, total } = searchMode
+      ? await snippetService.searchSnippetCode({
+          userId: req.user.id,
+          filters,
+          pattern: req.query.search,
+          mode: searchMode,
+          contextLines: parseContextLines(req.query.contextLines),
+          sort,
+          limit,
+          offset
+        })
+      : await snippetService.getSnippetsPaginated({
+          userId: req.user.id,
+          filters,
+          sort,
+          limit,
+          offset
+        });
 
     res.json({
       data: snippets,
@@ -59,9 +162,13 @@ router.get("/", requirePermission(Permissions.SNIPPET_READ_SELF), async (req, re
         offset,
         limit,
         hasMore: offset + limit < total
-      }
+      },
+      searchWarnings
     });
   } catch (error) {
+    if (CODE_SEARCH_ERRORS.has(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
     Logger.error("Error fetching snippets:", error);
     res.status(500).json({ error: "Failed to fetch snippets" });
   }
@@ -85,18 +192,192 @@ router.post("/", requirePermission(Permissions.SNIPPET_WRITE_SELF), async (req,
       },
       req,
     });
+    webhookService.emitSnippetEvent("snippet.create", [newSnippet.id], req.user);
     res.status(201).json(newSnippet);
   } catch (error) {
+    if (isInvalidVariables(error) || isFragmentPathError(error) || isInvalidTeam(error)) {
+      return res.status(400).json({ error: error.message });
+    }
     Logger.error("Error in POST /snippets:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+const MAX_BULK_ITEMS = 500;
+
+// Actions for POST /bulk. Permanent delete and publishing need more than
+// write access, mirroring the single-snippet routes. Pins and favorites are
+// personal flags and fire no webhooks.
+const BULK_ACTIONS = {
+  recycle: { audit: "snippet.recycle", webhook: "snippet.recycle" },
+  restore: { audit: "snippet.restore" },
+  delete: {
+    audit: "snippet.delete",
+    webhook: "snippet.delete",
+    permission: Permissions.SNIPPET_DELETE_SELF,
+  },
+  pin: { audit: "snippet.update" },
+  unpin: { audit: "snippet.update" },
+  favorite: { audit: "snippet.update" },
+  unfavorite: { audit: "snippet.update" },
+  addCategories: { audit: "snippet.update", webhook: "snippet.update" },
+  removeCategories: { audit: "snippet.update", webhook: "snippet.update" },
+  setVisibility: { audit: "snippet.update", webhook: "snippet.update" },
+};
+
+const BULK_VISIBILITIES = ["PRIVATE", "TEAM", "SHARED", "PUBLIC"];
+
+function parseBulkBody(body = {}) {
+  const { ids, action } = body;
+
+  if (!BULK_ACTIONS[action]) {
+    return { error: `action must be one of: ${Object.keys(BULK_ACTIONS).join(", ")}` };
+  }
+  if (
+    !Array.isArray(ids) ||
+    ids.length === 0 ||
+    !ids.every((id) => Number.isInteger(id) && id > 0)
+  ) {
+    return { error: "ids must be a non-empty array of snippet IDs" };
+  }
+  if (ids.length > MAX_BULK_ITEMS) {
+    return { error: `At most ${MAX_BULK_ITEMS} snippets can be changed at once` };
+  }
+
+  const options = {};
+  if (action === "addCategories" || action === "removeCategories") {
+    const categories = Array.isArray(body.categories)
+      ? body.categories
+          .filter((category) => typeof category === "string")
+          .map((category) => category.trim().toLowerCase())
+          .filter(Boolean)
+      : [];
+    if (categories.length === 0) {
+      return { error: "categories must be a non-empty array of category names" };
+    }
+    options.categories = [...new Set(categories)];
+  }
+  if (action === "setVisibility") {
+    const visibility = String(body.visibility || "").toUpperCase();
+    if (!BULK_VISIBILITIES.includes(visibility)) {
+      return { error: `visibility must be one of: ${BULK_VISIBILITIES.join(", ")}` };
+    }
+    options.visibility = visibility;
+    if (visibility === "TEAM") {
+      if (!Number.isInteger(body.teamId) || body.teamId <= 0) {
+        return { error: "teamId is required for TEAM visibility" };
+      }
+      options.teamId = body.teamId;
+    }
+  }
+
+  return { ids, action, options };
+}
+
+// Body: { ids: [1, 2], action: "pin" } plus `categories` or `visibility` (and
+// `teamId` for TEAM) for the actions that need them. Responds with one result
+// per requested ID.
+router.post("/bulk", requirePermission(Permissions.SNIPPET_WRITE_SELF), async (req, res) => {
+  try {
+    const { ids, action, options, error } = parseBulkBody(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const requiredPermission =
+      options.visibility === "PUBLIC"
+        ? Permissions.SNIPPET_PUBLIC_PUBLISH
+        : BULK_ACTIONS[action].permission;
+    if (requiredPermission && !hasPermission(req.user.role, requiredPermission)) {
+      return res.status(403).json({ message: "Insufficient permissions" });
+    }
+    if (options.teamId && !teamRepository.findMembership(options.teamId, req.user.id)) {
+      return res.status(400).json({ error: "You are not a member of this team" });
+    }
+
+    // Deleted rows are gone afterwards, so their webhook payloads are read first
+    const snapshots = action === "delete" ? webhookService.snapshotSnippets(ids) : null;
+    const results = await snippetService.bulkUpdate(ids, action, options, req.user.id);
+
+    for (const result of results) {
+      if (result.status !== "ok") {
+        continue;
+      }
+      auditLogRepository.log({
+        actorId: req.user.id,
+        action: BULK_ACTIONS[action].audit,
+        targetType: "snippet",
+        targetId: result.id,
+        metadata: { bulk: true, operation: action, ...options },
+        req,
+      });
+    }
+
+    const succeededIds = results.filter((result) => result.status === "ok").map((result) => result.id);
+    if (BULK_ACTIONS[action].webhook) {
+      webhookService.emitSnippetEvent(BULK_ACTIONS[action].webhook, succeededIds, req.user, snapshots);
+    }
+
+    const succeeded = succeededIds.length;
+    res.json({
+      action,
+      results,
+      succeeded,
+      failed: results.length - succeeded,
+    });
+  } catch (error) {
+    Logger.error("Error in POST /snippets/bulk:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Audits each snippet touched by a whole-recycle-bin action, like /bulk
+function auditRecycleBin(req, ids, action, operation) {
+  for (const id of ids) {
+    auditLogRepository.log({
+      actorId: req.user.id,
+      action,
+      targetType: "snippet",
+      targetId: id,
+      metadata: { operation },
+      req,
+    });
+  }
+}
+
+// Registered before /:id so "recycle-bin" is not taken for a snippet id
+router.delete("/recycle-bin", requirePermission(Permissions.SNIPPET_DELETE_SELF), async (req, res) => {
+  try {
+    const recycled = await snippetService.getRecycledSnippets(req.user.id);
+    const snapshots = webhookService.snapshotSnippets(recycled.map((snippet) => snippet.id));
+    const ids = await snippetService.emptyRecycleBin(req.user.id);
+    auditRecycleBin(req, ids, "snippet.delete", "emptyRecycleBin");
+    webhookService.emitSnippetEvent("snippet.delete", ids, req.user, snapshots);
+    res.json({ ids, count: ids.length });
+  } catch (error) {
+    Logger.error("Error in DELETE /snippets/recycle-bin:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+router.post("/recycle-bin/restore", requirePermission(Permissions.SNIPPET_WRITE_SELF), async (req, res) => {
+  try {
+    const ids = await snippetService.restoreAllRecycled(req.user.id);
+    auditRecycleBin(req, ids, "snippet.restore", "restoreAll");
+    res.json({ ids, count: ids.length });
+  } catch (error) {
+    Logger.error("Error in POST /snippets/recycle-bin/restore:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 router.delete("/:id", requirePermission(Permissions.SNIPPET_DELETE_SELF), async (req, res) => {
   try {
+    const snapshots = webhookService.snapshotSnippets([req.params.id]);
     const result = await snippetService.deleteSnippet(
       req.params.id,
-      req.user.id
+      req.user.id,
+      writeOptions(req)
     );
     if (!result) {
       res.status(404).json({ error: "Snippet not found" });
@@ -108,9 +389,13 @@ router.delete("/:id", requirePermission(Permissions.SNIPPET_DELETE_SELF), async
         targetId: result.id,
         req,
       });
+      webhookService.emitSnippetEvent("snippet.delete", [result.id], req.user, snapshots);
       res.json({ id: result.id });
     }
   } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendVersionConflict(req, res);
+    }
     Logger.error("Error in DELETE /snippets/:id:", error);
     res.status(500).json({ error: "Internal server error" });
   }
@@ -120,16 +405,21 @@ router.patch("/:id/restore", requirePermission(Permissions.SNIPPET_WRITE_SELF),
   try {
     const result = await snippetService.restoreSnippet(
       req.params.id,
-      req.user.id
+      req.user.id,
+      writeOptions(req)
     );
     if (!result) {
       res
         .status(404)
         .json({ error: "Snippet not found or not in recycle bin" });
     } else {
+      await setCurrentEtag(req, res);
       res.json({ id: result.id });
     }
   } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendVersionConflict(req, res);
+    }
     Logger.error("Error in PATCH /snippets/:id/restore:", error);
     res.status(500).json({ error: "Internal server error" });
   }
@@ -139,16 +429,29 @@ router.patch("/:id/recycle", requirePermission(Permissions.SNIPPET_WRITE_SELF),
   try {
     const result = await snippetService.moveToRecycle(
       req.params.id,
-      req.user.id
+      req.user.id,
+      writeOptions(req)
     );
     if (!result) {
       res
         .status(404)
         .json({ error: "Snippet not found or already moved to recycle bin" });
     } else {
+      auditLogRepository.log({
+        actorId: req.user.id,
+        action: "snippet.recycle",
+        targetType: "snippet",
+        targetId: result.id,
+        req,
+      });
+      webhookService.emitSnippetEvent("snippet.recycle", [result.id], req.user);
+      await setCurrentEtag(req, res);
       res.json({ id: result.id });
     }
   } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendVersionConflict(req, res);
+    }
     Logger.error("Error in POST /snippets/:id/recycle:", error);
     res.status(500).json({ error: "Internal server error" });
   }
@@ -165,6 +468,100 @@ router.get("/metadata", requirePermission(Permissions.SNIPPET_READ_SELF), async
   }
 });
 
+const MAX_IMPORT_SIZE = 20 * 1024 * 1024;
+
+// Archives are parsed in memory; the size cap keeps that bounded
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_SIZE, files: 1 },
+}).single("file");
+
+// GET /export?format=... - the user's snippets matching the list filters (category,
+// search, language, ...; everything by default) as a versioned archive
+// (json|zip) or for another tool (vscode|jetbrains|markdown|obsidian)
+router.get("/export", requirePermission(Permissions.SNIPPET_READ_SELF), async (req, res) => {
+  try {
+    const format = String(req.query.format || "json").toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+    }
+
+    const { filters, sort } = parseQueryParams(req.query);
+    const result = await libraryTransferService.exportLibrary(req.user.id, format, {
+      filters,
+      sort,
+    });
+
+    auditLogRepository.log({
+      actorId: req.user.id,
+      action: "snippet.export",
+      targetType: "user",
+      targetId: req.user.id,
+      metadata: { format, count: result.count },
+      req,
+    });
+
+    sendDownload(res, result);
+  } catch (error) {
+    Logger.error("Error in GET /snippets/export:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /import (multipart, field "file") with optional source, strategy and
+// dryRun fields (body or query). `source` picks the importer for files from
+// other tools. A dry run returns the plan without saving anything.
+router.post("/import", requirePermission(Permissions.SNIPPET_WRITE_SELF), (req, res) => {
+  importUpload(req, res, async (uploadError) => {
+    if (uploadError) {
+      const status = uploadError.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      return res.status(status).json({ error: uploadError.message });
+    }
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "An archive file is required" });
+      }
+
+      const options = { ...req.query, ...req.body };
+      const source = String(options.source || "bytestash").toLowerCase();
+      if (!IMPORT_SOURCES.includes(source)) {
+        return res.status(400).json({ error: `source must be one of: ${IMPORT_SOURCES.join(", ")}` });
+      }
+      const strategy = String(options.strategy || "skip").toLowerCase();
+      if (!MERGE_STRATEGIES.includes(strategy)) {
+        return res.status(400).json({ error: `strategy must be one of: ${MERGE_STRATEGIES.join(", ")}` });
+      }
+      const dryRun = options.dryRun === "true" || options.dryRun === true;
+
+      const result = await libraryTransferService.importLibrary(req.user.id, req.file.buffer, {
+        source,
+        fileName: req.file.originalname,
+        strategy,
+        dryRun,
+      });
+
+      if (!dryRun) {
+        auditLogRepository.log({
+          actorId: req.user.id,
+          action: "snippet.import",
+          targetType: "user",
+          targetId: req.user.id,
+          metadata: { source, strategy, ...result.summary },
+          req,
+        });
+      }
+      res.status(dryRun ? 200 : 201).json(result);
+    } catch (error) {
+      if (error.message.startsWith("Invalid archive") || error.message === "Unsupported archive version") {
+        return res.status(400).json({ error: error.message });
+      }
+      Logger.error("Error in POST /snippets/import:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+});
+
 // Removed /recycled route - use ?recycled=true instead
 
 router.put("/:id", requirePermission(Permissions.SNIPPET_WRITE_SELF), async (req, res) => {
@@ -172,7 +569,8 @@ router.put("/:id", requirePermission(Permissions.SNIPPET_WRITE_SELF), async (req
     const updatedSnippet = await snippetService.updateSnippet(
       req.params.id,
       req.body,
-      req.user.id
+      req.user.id,
+      writeOptions(req)
     );
 
     if (!updatedSnippet) {
@@ -189,15 +587,373 @@ router.put("/:id", requirePermission(Permissions.SNIPPET_WRITE_SELF), async (req
         },
         req,
       });
+      webhookService.emitSnippetEvent("snippet.update", [updatedSnippet.id], req.user);
+      setSnippetEtag(res, updatedSnippet);
       res.json(updatedSnippet);
     }
   } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendVersionConflict(req, res);
+    }
+    if (isInvalidVariables(error) || isFragmentPathError(error) || isInvalidTeam(error)) {
+      return res.status(400).json({ error: error.message });
+    }
     Logger.error("Error in PUT /snippets/:id:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Raw snippet endpoint for plain text access
+function parseFragmentBody(body = {}, { partial = false } = {}) {
+  const fields = {};
+  for (const key of ["file_name", "code", "language"]) {
+    if (body[key] === undefined) {
+      continue;
+    }
+    if (typeof body[key] !== "string") {
+      return { error: `${key} must be a string` };
+    }
+    fields[key] = body[key];
+  }
+
+  if (!partial && !fields.file_name?.trim()) {
+    return { error: "file_name is required" };
+  }
+  if (partial && Object.keys(fields).length === 0) {
+    return { error: "Nothing to update" };
+  }
+  if (fields.file_name !== undefined && !fields.file_name.trim()) {
+    return { error: "file_name cannot be empty" };
+  }
+
+  return { fields };
+}
+
+function logFragmentChange(req, snippetId, operation, fragmentId) {
+  auditLogRepository.log({
+    actorId: req.user.id,
+    action: "snippet.update",
+    targetType: "snippet",
+    targetId: snippetId,
+    metadata: { operation, fragmentId },
+    req,
+  });
+  webhookService.emitSnippetEvent("snippet.update", [snippetId], req.user);
+}
+
+router.post("/:id/fragments", requirePermission(Permissions.SNIPPET_WRITE_SELF), async (req, res) => {
+  try {
+    const { fields, error } = parseFragmentBody(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const fragment = await snippetService.addFragment(
+      req.params.id,
+      fields,
+      req.user.id,
+      writeOptions(req)
+    );
+    if (!fragment) {
+      return res.status(404).json({ error: "Snippet not found" });
+    }
+
+    logFragmentChange(req, req.params.id, "fragment.create", fragment.id);
+    await setCurrentEtag(req, res);
+    res.status(201).json(fragment);
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendVersionConflict(req, res);
+    }
+    if (isFragmentPathError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    Logger.error("Error in POST /snippets/:id/fragments:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Body: { fragmentIds: [3, 1, 2] } listing every fragment of the snippet once
+router.put("/:id/fragments/order", requirePermission(Permissions.SNIPPET_WRITE_SELF), async (req, res) => {
+  try {
+    const { fragmentIds } = req.body || {};
+    if (!Array.isArray(fragmentIds) || fragmentIds.some((id) => !Number.isInteger(id))) {
+      return res.status(400).json({ error: "fragmentIds must be an array of fragment IDs" });
+    }
+
+    const fragments = await snippetService.reorderFragments(
+      req.params.id,
+      fragmentIds,
+      req.user.id,
+      writeOptions(req)
+    );
+    if (!fragments) {
+      return res.status(404).json({ error: "Snippet not found" });
+    }
+
+    logFragmentChange(req, req.params.id, "fragment.reorder", null);
+    await setCurrentEtag(req, res);
+    res.json(fragments);
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendVersionConflict(req, res);
+    }
+    if (error.message === "Fragment order must list every fragment exactly once") {
+      return res.status(400).json({ error: error.message });
+    }
+    Logger.error("Error in PUT /snippets/:id/fragments/order:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+router.patch("/:id/fragments/:fragmentId", requirePermission(Permissions.SNIPPET_WRITE_SELF), async (req, res) => {
+  try {
+    const { fields, error } = parseFragmentBody(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const fragmentId = parseInt(req.params.fragmentId, 10);
+    const fragment = await snippetService.updateFragment(
+      req.params.id,
+      fragmentId,
+      fields,
+      req.user.id,
+      writeOptions(req)
+    );
+    if (!fragment) {
+      return res.status(404).json({ error: "Snippet or fragment not found" });
+    }
+
+    logFragmentChange(req, req.params.id, "fragment.update", fragmentId);
+    await setCurrentEtag(req, res);
+    res.json(fragment);
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendVersionConflict(req, res);
+    }
+    if (isFragmentPathError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    Logger.error("Error in PATCH /snippets/:id/fragments/:fragmentId:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+router.delete("/:id/fragments/:fragmentId", requirePermission(Permissions.SNIPPET_WRITE_SELF), async (req, res) => {
+  try {
+    const fragmentId = parseInt(req.params.fragmentId, 10);
+    const result = await snippetService.deleteFragment(
+      req.params.id,
+      fragmentId,
+      req.user.id,
+      writeOptions(req)
+    );
+    if (!result) {
+      return res.status(404).json({ error: "Snippet or fragment not found" });
+    }
+
+    logFragmentChange(req, req.params.id, "fragment.delete", fragmentId);
+    await setCurrentEtag(req, res);
+    res.json(result);
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendVersionConflict(req, res);
+    }
+    if (error.message === "Cannot delete the last fragment") {
+      return res.status(400).json({ error: error.message });
+    }
+    Logger.error("Error in DELETE /snippets/:id/fragments/:fragmentId:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Per-user and per-team access to SHARED snippets
+router.use("/:id/grants", snippetGrantRoutes);
+
+function parseRevisionNumber(value) {
+  const revision = parseInt(value, 10);
+  return Number.isInteger(revision) && revision > 0 ? revision : null;
+}
+
+router.get("/:id/revisions", requirePermission(Permissions.SNIPPET_READ_SELF), async (req, res) => {
+  try {
+    const revisions = await snippetService.getRevisions(req.params.id, req.user.id);
+    if (!revisions) {
+      res.status(404).json({ error: "Snippet not found" });
+    } else {
+      res.json(revisions);
+    }
+  } catch (error) {
+    Logger.error("Error in GET /snippets/:id/revisions:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Per-fragment unified diff, e.g. /:id/revisions/compare?from=2&to=5 (to defaults to latest)
+router.get("/:id/revisions/compare", requirePermission(Permissions.SNIPPET_READ_SELF), async (req, res) => {
+  try {
+    const from = parseRevisionNumber(req.query.from);
+    const to = req.query.to !== undefined ? parseRevisionNumber(req.query.to) : undefined;
+    if (!from || to === null) {
+      return res.status(400).json({ error: "Invalid revision number" });
+    }
+
+    const comparison = await snippetService.compareRevisions(
+      req.params.id,
+      from,
+      to,
+      req.user.id
+    );
+    if (!comparison) {
+      res.status(404).json({ error: "Snippet or revision not found" });
+    } else {
+      res.json(comparison);
+    }
+  } catch (error) {
+    Logger.error("Error in GET /snippets/:id/revisions/compare:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+router.get("/:id/revisions/:rev", requirePermission(Permissions.SNIPPET_READ_SELF), async (req, res) => {
+  try {
+    const revision = parseRevisionNumber(req.params.rev);
+    if (!revision) {
+      return res.status(400).json({ error: "Invalid revision number" });
+    }
+
+    const result = await snippetService.getRevision(req.params.id, revision, req.user.id);
+    if (!result) {
+      res.status(404).json({ error: "Snippet or revision not found" });
+    } else {
+      res.json(result);
+    }
+  } catch (error) {
+    Logger.error("Error in GET /snippets/:id/revisions/:rev:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+router.post("/:id/revisions/:rev/restore", requirePermission(Permissions.SNIPPET_WRITE_SELF), async (req, res) => {
+  try {
+    const revision = parseRevisionNumber(req.params.rev);
+    if (!revision) {
+      return res.status(400).json({ error: "Invalid revision number" });
+    }
+
+    const restored = await snippetService.restoreRevision(
+      req.params.id,
+      revision,
+      req.user.id,
+      writeOptions(req)
+    );
+    if (!restored) {
+      res.status(404).json({ error: "Snippet or revision not found" });
+    } else {
+      auditLogRepository.log({
+        actorId: req.user.id,
+        action: "snippet.revision.restore",
+        targetType: "snippet",
+        targetId: restored.id,
+        metadata: { revision },
+        req,
+      });
+      webhookService.emitSnippetEvent("snippet.update", [restored.id], req.user);
+      setSnippetEtag(res, restored);
+      res.json(restored);
+    }
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendVersionConflict(req, res);
+    }
+    Logger.error("Error in POST /snippets/:id/revisions/:rev/restore:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /:id/export?format=... - a single snippet in any export format
+router.get("/:id/export", requirePermission(Permissions.SNIPPET_READ_SELF), async (req, res) => {
+  try {
+    const format = String(req.query.format || "markdown").toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+    }
+
+    const result = await libraryTransferService.exportSnippet(req.params.id, req.user.id, format);
+    if (!result) {
+      return res.status(404).json({ error: "Snippet not found" });
+    }
+
+    auditLogRepository.log({
+      actorId: req.user.id,
+      action: "snippet.export",
+      targetType: "snippet",
+      targetId: req.params.id,
+      metadata: { format, count: result.count },
+      req,
+    });
+
+    sendDownload(res, result);
+  } catch (error) {
+    Logger.error("Error in GET /snippets/:id/export:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /:id/archive?format=zip|tar.gz - every fragment of the snippet at its
+// file_name; names with "/" become folders. Templates are rendered with the
+// remaining query parameters like on the raw endpoint.
+router.get("/:id/archive", requirePermission(Permissions.SNIPPET_READ_SELF), async (req, res) => {
+  try {
+    const { format = "zip" } = req.query;
+    const values = templateValues(req.query, ["format"]);
+    if (!ARCHIVE_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${ARCHIVE_FORMATS.join(", ")}` });
+    }
+
+    const snippet = await snippetService.findById(req.params.id, req.user.id);
+    if (!snippet) {
+      return res.status(404).json({ error: "Snippet not found" });
+    }
+
+    const result = await libraryTransferService.archiveSnippet(snippet, format, values);
+    if (result.templateError) {
+      return res.status(400).json(result.templateError);
+    }
+    sendDownload(res, result);
+  } catch (error) {
+    if (isFragmentPathError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    Logger.error("Error in GET /snippets/:id/archive:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /:id/files/<path> - like the raw endpoint, addressing the fragment by
+// its path (e.g. /files/src/index.js) instead of its ID
+router.get("/:id/files/*", requirePermission(Permissions.SNIPPET_READ_SELF), async (req, res) => {
+  try {
+    const snippet = await snippetService.findById(req.params.id, req.user.id);
+    if (!snippet) {
+      return res.status(404).send("Snippet not found");
+    }
+    const fragment = findFragmentByPath(snippet.fragments, req.params[0]);
+    if (!fragment) {
+      return res.status(404).send("File not found");
+    }
+    sendRawFragment(res, snippet, fragment, req.query);
+  } catch (error) {
+    if (isFragmentPathError(error)) {
+      return res.status(400).send(error.message);
+    }
+    Logger.error("Error in GET /snippets/:id/files:", error);
+    res.status(500).send("Internal server error");
+  }
+});
+
+// Raw snippet endpoint for plain text access. Templates are rendered with
+// the query parameters as variable values.
 router.get("/:id/:fragmentId/raw", requirePermission(Permissions.SNIPPET_READ_SELF), async (req, res) => {
   try {
     const { id, fragmentId } = req.params;
@@ -211,10 +967,7 @@ router.get("/:id/:fragmentId/raw", requirePermission(Permissions.SNIPPET_READ_SE
       if (!fragment) {
         res.status(404).send("Fragment not found");
       } else {
-        res.set("Content-Type", "text/plain; charset=utf-8");
-        // Remove carriage returns to fix bash script execution issues
-        const normalizedCode = fragment.code.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-        res.send(normalizedCode);
+        sendRawFragment(res, snippet, fragment, req.query);
       }
     }
   } catch (error) {
@@ -229,6 +982,7 @@ router.get("/:id", requirePermission(Permissions.SNIPPET_READ_SELF), async (req,
     if (!snippet) {
       res.status(404).json({ error: "Snippet not found" });
     } else {
+      setSnippetEtag(res, snippet);
       res.json(snippet);
     }
   } catch (error) {
@@ -244,14 +998,19 @@ router.patch("/:id/pin", requirePermission(Permissions.SNIPPET_WRITE_SELF), asyn
     const result = await snippetService.setPinned(
       req.params.id,
       is_pinned,
-      req.user.id
+      req.user.id,
+      writeOptions(req)
     );
     if (!result) {
       res.status(404).json({ error: "Snippet not found" });
     } else {
+      setSnippetEtag(res, result);
       res.json(result);
     }
   } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendVersionConflict(req, res);
+    }
     Logger.error("Error in PATCH /snippets/:id/pin:", error);
     res.status(500).json({ error: "Internal server error" });
   }
@@ -264,14 +1023,19 @@ router.patch("/:id/favorite", requirePermission(Permissions.SNIPPET_WRITE_SELF),
     const result = await snippetService.setFavorite(
       req.params.id,
       is_favorite,
-      req.user.id
+      req.user.id,
+      writeOptions(req)
     );
     if (!result) {
       res.status(404).json({ error: "Snippet not found" });
     } else {
+      setSnippetEtag(res, result);
       res.json(result);
     }
   } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendVersionConflict(req, res);
+    }
     Logger.error("Error in PATCH /snippets/:id/favorite:", error);
     res.status(500).json({ error: "Internal server error" });
   }
@@ -0,0 +1,188 @@
+import express from "express";
+import teamRepository from "../repositories/teamRepository.js";
+import auditLogRepository from "../security/auditLogRepository.js";
+import Logger from "../logger.js";
+import { requirePermission, requireTeamRole } from "../security/aclMiddleware.js";
+import { hasPermission, isTeamRole, Permissions, TeamRoles } from "../security/permissions.js";
+
+const router = express.Router();
+
+const VALIDATION_ERRORS = new Set([
+  "Team name is required",
+  "A team with this name already exists",
+  "User is already a member of this team",
+  "A team needs at least one maintainer",
+]);
+
+// Picks the writable fields from a create/update body; omitted fields are
+// left out so updates only touch what is sent. description may be null.
+function parseTeamBody(body = {}) {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== "string") {
+      return { error: "name must be a string" };
+    }
+    fields.name = body.name;
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== "string") {
+      return { error: "description must be a string or null" };
+    }
+    fields.description = body.description?.trim().slice(0, 500) || null;
+  }
+
+  return { fields };
+}
+
+function parseTeamRole(role, fallback = null) {
+  const value = role === undefined ? fallback : role;
+  return isTeamRole(value) ? value : null;
+}
+
+function sendError(res, error, context) {
+  if (VALIDATION_ERRORS.has(error.message)) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.message === "User not found") {
+    return res.status(404).json({ error: error.message });
+  }
+  Logger.error(`Error in ${context}:`, error);
+  return res.status(500).json({ error: "Internal server error" });
+}
+
+function audit(req, action, team, metadata = {}) {
+  auditLogRepository.log({
+    actorId: req.user.id,
+    action,
+    targetType: "team",
+    targetId: team.id,
+    metadata: { name: team.name, ...metadata },
+    req,
+  });
+}
+
+// Teams the caller belongs to; ?all=true lists every team of the
+// workspace for admins
+router.get("/", requirePermission(Permissions.SNIPPET_READ_SELF), async (req, res) => {
+  try {
+    if (req.query.all === "true") {
+      if (!hasPermission(req.user.role, Permissions.ADMIN_USERS_READ)) {
+        return res.status(403).json({ message: "Insufficient permissions" });
+      }
+      return res.json(teamRepository.findAll(req.user.workspace_id));
+    }
+    res.json(teamRepository.findAllByUser(req.user.id));
+  } catch (error) {
+    sendError(res, error, "GET /teams");
+  }
+});
+
+router.post("/", requirePermission(Permissions.SNIPPET_WRITE_SELF), async (req, res) => {
+  try {
+    const { fields, error } = parseTeamBody(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const team = teamRepository.create(fields, req.user.id);
+    audit(req, "team.create", team);
+    res.status(201).json(team);
+  } catch (error) {
+    sendError(res, error, "POST /teams");
+  }
+});
+
+// The team with its members, for any member
+router.get("/:id", requireTeamRole(TeamRoles.MEMBER), async (req, res) => {
+  res.json({ ...req.team, role: req.teamMembership });
+});
+
+router.patch("/:id", requireTeamRole(TeamRoles.MAINTAINER), async (req, res) => {
+  try {
+    const { fields, error } = parseTeamBody(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const team = teamRepository.update(req.team.id, fields);
+    audit(req, "team.update", team, { fields: Object.keys(fields) });
+    res.json(team);
+  } catch (error) {
+    sendError(res, error, "PATCH /teams/:id");
+  }
+});
+
+// Snippets shared with the team turn PRIVATE
+router.delete("/:id", requireTeamRole(TeamRoles.MAINTAINER), async (req, res) => {
+  try {
+    teamRepository.delete(req.team.id);
+    audit(req, "team.delete", req.team, { snippets: req.team.snippet_count });
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, "DELETE /teams/:id");
+  }
+});
+
+// Body: { username, role? } with role "member" (default) or "maintainer"
+router.post("/:id/members", requireTeamRole(TeamRoles.MAINTAINER), async (req, res) => {
+  try {
+    const role = parseTeamRole(req.body?.role, TeamRoles.MEMBER);
+    if (!role) {
+      return res.status(400).json({ error: "role must be member or maintainer" });
+    }
+    if (typeof req.body?.username !== "string" || !req.body.username.trim()) {
+      return res.status(400).json({ error: "username is required" });
+    }
+
+    const team = teamRepository.addMember(req.team.id, req.body.username, role);
+    const member = team.members.find(
+      (entry) => entry.username.toLowerCase() === req.body.username.trim().toLowerCase()
+    );
+    audit(req, "team.member.add", team, { userId: member.user_id, role });
+    res.status(201).json(team);
+  } catch (error) {
+    sendError(res, error, "POST /teams/:id/members");
+  }
+});
+
+router.patch("/:id/members/:userId", requireTeamRole(TeamRoles.MAINTAINER), async (req, res) => {
+  try {
+    const role = parseTeamRole(req.body?.role);
+    if (!role) {
+      return res.status(400).json({ error: "role must be member or maintainer" });
+    }
+
+    const userId = Number(req.params.userId);
+    const team = teamRepository.updateMemberRole(req.team.id, userId, role);
+    if (!team) {
+      return res.status(404).json({ error: "Member not found" });
+    }
+    audit(req, "team.member.update", team, { userId, role });
+    res.json(team);
+  } catch (error) {
+    sendError(res, error, "PATCH /teams/:id/members/:userId");
+  }
+});
+
+// Maintainers remove anyone; members may only remove themselves (leave)
+router.delete("/:id/members/:userId", requireTeamRole(TeamRoles.MEMBER), async (req, res) => {
+  try {
+    const userId = Number(req.params.userId);
+    const isSelf = userId === req.user.id;
+    if (!isSelf && req.teamMembership === TeamRoles.MEMBER) {
+      return res.status(403).json({ message: "Insufficient permissions" });
+    }
+
+    if (!teamRepository.removeMember(req.team.id, userId)) {
+      return res.status(404).json({ error: "Member not found" });
+    }
+    audit(req, isSelf ? "team.member.leave" : "team.member.remove", req.team, { userId });
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, "DELETE /teams/:id/members/:userId");
+  }
+});
+
+export default router;
@@ -0,0 +1,218 @@
+import express from "express";
+import webhookRepository from "../repositories/webhookRepository.js";
+import webhookService, { WEBHOOK_EVENTS } from "../services/webhookService.js";
+import auditLogRepository from "../security/auditLogRepository.js";
+import { isAllowedWebhookUrl } from "../security/webhookTargets.js";
+import Logger from "../logger.js";
+
+const MAX_WEBHOOKS = 20;
+const MAX_CATEGORIES = 20;
+
+function isId(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Picks the writable fields from a create/update body; omitted fields are
+// left out so updates only touch what is sent. categories: null removes the
+// category filter.
+function parseWebhookBody(body = {}, { partial = false } = {}) {
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== "string" || !body.name.trim()) {
+      return { error: "name is required" };
+    }
+    fields.name = body.name.trim().slice(0, 100);
+  }
+
+  if (body.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(String(body.url || ""));
+    } catch (_error) {
+      return { error: "url is not valid" };
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      return { error: "url must use http or https" };
+    }
+    if (!isAllowedWebhookUrl(url.toString())) {
+      return { error: "url must not point to a local or private address" };
+    }
+    fields.url = url.toString();
+  }
+
+  if (body.events !== undefined || !partial) {
+    if (
+      !Array.isArray(body.events) ||
+      body.events.length === 0 ||
+      !body.events.every((event) => WEBHOOK_EVENTS.includes(event))
+    ) {
+      return { error: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(", ")}` };
+    }
+    fields.events = [...new Set(body.events)];
+  }
+
+  if (body.categories !== undefined && body.categories !== null) {
+    const categories = Array.isArray(body.categories)
+      ? body.categories
+          .filter((category) => typeof category === "string")
+          .map((category) => category.trim().toLowerCase())
+          .filter(Boolean)
+      : [];
+    if (categories.length === 0 || categories.length > MAX_CATEGORIES) {
+      return { error: `categories must be null or a list of 1 to ${MAX_CATEGORIES} category names` };
+    }
+    fields.categories = [...new Set(categories)];
+  } else if (body.categories === null) {
+    fields.categories = null;
+  }
+
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== "boolean") {
+      return { error: "isActive must be a boolean" };
+    }
+    fields.isActive = body.isActive;
+  }
+
+  return { fields };
+}
+
+// The same endpoints serve /api/webhooks (scope "user": the caller's own
+// hooks, fired for their snippets) and /api/admin/webhooks (scope "admin":
+// shared by all admins, fired for every snippet). Permissions are checked
+// where the router is mounted.
+export function createWebhookRouter(scope) {
+  const router = express.Router();
+  const ownerOf = (req) => ({ scope, userId: req.user.id });
+
+  function audit(req, action, webhook, metadata = {}) {
+    auditLogRepository.log({
+      actorId: req.user.id,
+      action,
+      targetType: "webhook",
+      targetId: webhook.id,
+      metadata: { scope, name: webhook.name, ...metadata },
+      req,
+    });
+  }
+
+  // Resolves :id to a webhook the caller may manage, answering 404 otherwise
+  function loadWebhook(req, res) {
+    const id = Number(req.params.id);
+    const webhook = isId(id) ? webhookRepository.findById(id, ownerOf(req)) : null;
+    if (!webhook) {
+      res.status(404).json({ error: "Webhook not found" });
+    }
+    return webhook;
+  }
+
+  router.get("/", (req, res) => {
+    try {
+      res.json({ webhooks: webhookRepository.findAll(ownerOf(req)), events: WEBHOOK_EVENTS });
+    } catch (error) {
+      Logger.error(`Error in GET ${scope} webhooks:`, error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  router.post("/", (req, res) => {
+    try {
+      const { fields, error } = parseWebhookBody(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (webhookRepository.findAll(ownerOf(req)).length >= MAX_WEBHOOKS) {
+        return res.status(400).json({ error: `At most ${MAX_WEBHOOKS} webhooks are allowed` });
+      }
+
+      const webhook = webhookRepository.create(fields, ownerOf(req));
+      audit(req, "webhook.create", webhook, { url: webhook.url, events: webhook.events });
+      res.status(201).json(webhook);
+    } catch (error) {
+      Logger.error(`Error in POST ${scope} webhooks:`, error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  router.get("/:id", (req, res) => {
+    const webhook = loadWebhook(req, res);
+    if (webhook) {
+      res.json(webhook);
+    }
+  });
+
+  // Body: any of name, url, events, categories, isActive; rotateSecret: true
+  // issues a new secret, returned once in the response
+  router.patch("/:id", (req, res) => {
+    try {
+      if (!loadWebhook(req, res)) {
+        return;
+      }
+      const { fields, error } = parseWebhookBody(req.body, { partial: true });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      let webhook = webhookRepository.update(Number(req.params.id), fields, ownerOf(req));
+      if (req.body?.rotateSecret === true) {
+        webhook = webhookRepository.rotateSecret(webhook.id, ownerOf(req));
+      }
+      audit(req, "webhook.update", webhook, {
+        fields: Object.keys(fields),
+        rotatedSecret: req.body?.rotateSecret === true,
+      });
+      res.json(webhook);
+    } catch (error) {
+      Logger.error(`Error in PATCH ${scope} webhooks/:id:`, error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  router.delete("/:id", (req, res) => {
+    try {
+      const webhook = loadWebhook(req, res);
+      if (!webhook) {
+        return;
+      }
+      webhookRepository.delete(webhook.id, ownerOf(req));
+      audit(req, "webhook.delete", webhook);
+      res.json({ id: webhook.id });
+    } catch (error) {
+      Logger.error(`Error in DELETE ${scope} webhooks/:id:`, error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  router.get("/:id/deliveries", (req, res) => {
+    try {
+      const webhook = loadWebhook(req, res);
+      if (!webhook) {
+        return;
+      }
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      res.json(webhookRepository.listDeliveries(webhook.id, { limit, offset }));
+    } catch (error) {
+      Logger.error(`Error in GET ${scope} webhooks/:id/deliveries:`, error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // Delivers a webhook.test event right away, also to inactive webhooks,
+  // and answers with the outcome of that single attempt
+  router.post("/:id/test", async (req, res) => {
+    try {
+      const webhook = loadWebhook(req, res);
+      if (!webhook) {
+        return;
+      }
+      const delivery = await webhookService.sendTestEvent(webhook, req.user);
+      res.json(delivery);
+    } catch (error) {
+      Logger.error(`Error in POST ${scope} webhooks/:id/test:`, error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  return router;
+}
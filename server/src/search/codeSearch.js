@@ -0,0 +1,195 @@
+// Line-level code search over fragment contents, used by `GET /api/snippets`
+// with `searchMode=regex|exact|caseSensitive`. Matching runs in JS against
+// the candidate fragments the repository returns, and each hit carries its
+// fragment id, line/column and surrounding context lines.
+//
+// User regexes run in a worker thread that is terminated after a time limit,
+// so a catastrophic pattern such as `(a+)+$` cannot block the event loop.
+
+import { Worker } from "worker_threads";
+
+const SEARCH_MODES = new Set(["regex", "exact", "caseSensitive"]);
+
+export const MAX_PATTERN_LENGTH = 500;
+export const REGEX_TIMEOUT_MS = 2000;
+export const DEFAULT_CONTEXT_LINES = 2;
+export const MAX_CONTEXT_LINES = 10;
+
+// Per fragment, to keep responses bounded for very common patterns
+const MAX_HIT_LINES = 100;
+const MAX_LINE_MATCHES = 20;
+
+// Parses the comma-separated `searchMode` param. Returns null when code search
+// is not requested. `exact` and `caseSensitive` on their own search for the
+// text literally; `regex` combines with `caseSensitive`.
+export function parseSearchMode(value) {
+  if (!value) {
+    return null;
+  }
+
+  const modes = String(value)
+    .split(",")
+    .map((mode) => mode.trim())
+    .filter(Boolean);
+
+  if (modes.length === 0 || modes.some((mode) => !SEARCH_MODES.has(mode))) {
+    throw new Error("Invalid search mode");
+  }
+  if (modes.includes("regex") && modes.includes("exact")) {
+    throw new Error("Invalid search mode");
+  }
+
+  return {
+    regex: modes.includes("regex"),
+    caseSensitive: modes.includes("caseSensitive"),
+  };
+}
+
+export function parseContextLines(value) {
+  const lines = parseInt(value);
+  if (Number.isNaN(lines) || lines < 0) {
+    return DEFAULT_CONTEXT_LINES;
+  }
+  return Math.min(lines, MAX_CONTEXT_LINES);
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Validates the pattern up front so syntax errors are reported as bad input
+// rather than surfacing from inside the worker.
+export function buildMatcher(pattern, { regex = false, caseSensitive = false } = {}) {
+  if (!pattern) {
+    throw new Error("Search pattern is required");
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error("Search pattern is too long");
+  }
+
+  const source = regex ? pattern : escapeRegex(pattern);
+  const flags = caseSensitive ? "g" : "gi";
+
+  try {
+    new RegExp(source, flags);
+  } catch {
+    throw new Error("Invalid regular expression");
+  }
+
+  return { source, flags };
+}
+
+function contextRange(lines, from, to) {
+  const context = [];
+  for (let index = Math.max(from, 0); index < Math.min(to, lines.length); index++) {
+    context.push({ line: index + 1, text: lines[index] });
+  }
+  return context;
+}
+
+// Returns one entry per matching line, with 1-based line and column numbers.
+// Patterns are applied line by line, so they cannot span lines.
+export function findLineHits(code, { source, flags }, contextLines = DEFAULT_CONTEXT_LINES) {
+  const expression = new RegExp(source, flags);
+  const lines = String(code || "").split(/\r?\n/);
+  const hits = [];
+  let truncated = false;
+
+  for (let index = 0; index < lines.length; index++) {
+    const text = lines[index];
+    const matches = [];
+
+    expression.lastIndex = 0;
+    let match;
+    while ((match = expression.exec(text)) !== null) {
+      if (matches.length === MAX_LINE_MATCHES) {
+        truncated = true;
+        break;
+      }
+      matches.push({ column: match.index + 1, text: match[0] });
+
+      // Step past zero-length matches (e.g. `^` or `a*`) to avoid looping
+      if (match[0].length === 0) {
+        expression.lastIndex++;
+      }
+    }
+
+    if (matches.length === 0) {
+      continue;
+    }
+    if (hits.length === MAX_HIT_LINES) {
+      truncated = true;
+      break;
+    }
+
+    hits.push({
+      line: index + 1,
+      text,
+      matches,
+      before: contextRange(lines, index - contextLines, index),
+      after: contextRange(lines, index + 1, index + 1 + contextLines),
+    });
+  }
+
+  return { hits, truncated };
+}
+
+// Scans fragments ({ id, snippet_id, file_name, language, code }) and returns
+// the matching ones grouped by snippet id, in input order.
+export function scanFragments(fragments, matcher, contextLines) {
+  const results = {};
+
+  for (const fragment of fragments) {
+    const { hits, truncated } = findLineHits(fragment.code, matcher, contextLines);
+    if (hits.length === 0) {
+      continue;
+    }
+
+    (results[fragment.snippet_id] ||= []).push({
+      fragment_id: fragment.id,
+      file_name: fragment.file_name,
+      language: fragment.language,
+      hits,
+      truncated,
+    });
+  }
+
+  return results;
+}
+
+function scanInWorker(fragments, matcher, contextLines) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./codeSearchWorker.js", import.meta.url), {
+      workerData: { fragments, matcher, contextLines },
+      resourceLimits: { maxOldGenerationSizeMb: 128 },
+    });
+
+    const timer = setTimeout(() => {
+      worker.terminate();
+      reject(new Error("Code search timed out"));
+    }, REGEX_TIMEOUT_MS);
+
+    const finish = (callback) => (value) => {
+      clearTimeout(timer);
+      callback(value);
+    };
+
+    worker.once("message", finish(resolve));
+    worker.once("error", finish(reject));
+    worker.once("exit", (code) => {
+      if (code !== 0) {
+        finish(reject)(new Error("Code search failed"));
+      }
+    });
+  });
+}
+
+// Escaped literals cannot backtrack, so only user regexes pay for a worker
+export async function searchFragments(fragments, matcher, { regex = false, contextLines } = {}) {
+  if (fragments.length === 0) {
+    return {};
+  }
+  return regex
+    ? scanInWorker(fragments, matcher, contextLines)
+    : scanFragments(fragments, matcher, contextLines);
+}
@@ -0,0 +1,7 @@
+// Runs a regex code search off the main thread; see codeSearch.js
+import { parentPort, workerData } from "worker_threads";
+import { scanFragments } from "./codeSearch.js";
+
+const { fragments, matcher, contextLines } = workerData;
+
+parentPort.postMessage(scanFragments(fragments, matcher, contextLines));
@@ -0,0 +1,120 @@
+// Helpers for querying the snippets_fts index (see init.sql for the table and
+// the triggers that keep it in sync with snippets, categories and fragments).
+
+// bm25() column weights, in index column order: title, description, categories, code
+const RANK_WEIGHTS = "10.0, 4.0, 6.0, 1.0";
+
+// highlight()/snippet() wrap matches in these control characters. They are
+// swapped for <mark> tags only after the surrounding text has been escaped.
+const MARK_OPEN = "\u0002";
+const MARK_CLOSE = "\u0003";
+
+// Materialized so the FTS auxiliary functions run against the MATCH scan
+// rather than being flattened into the outer (grouped) query.
+export const SEARCH_MATCHES_CTE = `
+  search_matches AS MATERIALIZED (
+    SELECT
+      rowid AS snippet_id,
+      bm25(snippets_fts, ${RANK_WEIGHTS}) AS rank,
+      highlight(snippets_fts, 0, char(2), char(3)) AS title_highlight,
+      snippet(snippets_fts, 1, char(2), char(3), '…', 24) AS description_highlight,
+      snippet(snippets_fts, 3, char(2), char(3), '…', 16) AS code_highlight
+    FROM snippets_fts
+    WHERE snippets_fts MATCH ?
+  )
+`;
+
+export const SEARCH_MATCH_COLUMNS = `
+  sm.rank AS search_rank,
+  sm.title_highlight,
+  sm.description_highlight,
+  sm.code_highlight
+`;
+
+function isIndexable(text) {
+  return /[\p{L}\p{N}]/u.test(text);
+}
+
+function quote(text) {
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function restrictColumns(expression, includeCode) {
+  return includeCode
+    ? expression
+    : `{title description categories} : (${expression})`;
+}
+
+// Turns search input into an FTS5 expression. `search` is either free text or
+// the { terms, phrases } produced by the query parser. Every term must match
+// as a prefix and every phrase exactly; a term with punctuation such as
+// "foo.bar" is itself a phrase so its parts stay adjacent. Returns null when
+// nothing indexable is left, so callers can fall back to LIKE.
+export function buildMatchQuery(search, { includeCode = false } = {}) {
+  const { terms = [], phrases = [] } =
+    typeof search === "string" || search == null
+      ? { terms: String(search || "").split(/\s+/) }
+      : search;
+
+  const parts = [
+    ...terms.filter(isIndexable).map((term) => `${quote(term)}*`),
+    ...phrases.filter(isIndexable).map(quote),
+  ];
+
+  if (parts.length === 0) {
+    return null;
+  }
+
+  return restrictColumns(parts.join(" "), includeCode);
+}
+
+// Expression matching any of the excluded words/phrases exactly. Used as
+// `id NOT IN (... MATCH ?)` since FTS5 has no unary NOT.
+export function buildExcludeQuery(excludes = [], { includeCode = false } = {}) {
+  const parts = excludes.filter(isIndexable).map(quote);
+  if (parts.length === 0) {
+    return null;
+  }
+
+  return restrictColumns(parts.join(" OR "), includeCode);
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function toMarkup(fragment) {
+  if (!fragment || !fragment.includes(MARK_OPEN)) {
+    return null;
+  }
+
+  return escapeHtml(fragment)
+    .split(MARK_OPEN)
+    .join("<mark>")
+    .split(MARK_CLOSE)
+    .join("</mark>");
+}
+
+// Moves the raw highlight columns of a search row into a `search_highlights`
+// object of HTML-escaped strings with <mark> around each hit. Fields without
+// a hit are null. Rows from a non-search query are returned unchanged.
+export function attachSearchHighlights(row) {
+  if (!row || !("title_highlight" in row)) {
+    return row;
+  }
+
+  const { title_highlight, description_highlight, code_highlight, ...rest } = row;
+  return {
+    ...rest,
+    search_highlights: {
+      title: toMarkup(title_highlight),
+      description: toMarkup(description_highlight),
+      code: toMarkup(code_highlight),
+    },
+  };
+}
@@ -0,0 +1,240 @@
+// Parser for the snippet search box. Free text is combined with qualifiers:
+//
+//   lang:python  tag:docker  file:*.yml  is:pinned  is:favorite
+//   updated:>2026-01-01  updated:2026-01-01..2026-02-01
+//   "exact phrase"  -exclude  -tag:draft  tag:"multi word"
+//
+// Unknown qualifiers are kept as plain search text and reported back as
+// warnings, so a typo like `lagn:python` is visible instead of silently
+// matching nothing.
+
+const TOKEN_PATTERN = /(-)?(?:([A-Za-z]+):)?(?:"([^"]*)"?|([^\s"]+))/g;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const QUALIFIERS = new Set(["lang", "language", "tag", "file", "is", "updated"]);
+
+const IS_VALUES = {
+  pinned: "pinned",
+  favorite: "favorites",
+  favorites: "favorites",
+  favourite: "favorites",
+};
+
+function tokenize(input) {
+  const tokens = [];
+  for (const match of String(input || "").matchAll(TOKEN_PATTERN)) {
+    const [raw, negated, qualifier, quoted, bare] = match;
+    if (!raw.trim()) continue;
+
+    // A dangling "lang:" has no value for the pattern to attach it to
+    const dangling = !qualifier && quoted === undefined && bare.match(/^([A-Za-z]+):$/);
+    tokens.push({
+      raw,
+      negated: Boolean(negated),
+      qualifier: (qualifier || dangling?.[1] || "").toLowerCase() || null,
+      value: dangling ? "" : (quoted ?? bare ?? "").trim(),
+      quoted: quoted !== undefined,
+    });
+  }
+  return tokens;
+}
+
+function isValidDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+function nextDay(value) {
+  const date = new Date(`${value}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
+
+// Returns { from, until } as UTC dates: from is inclusive, until exclusive
+function parseDateRange(value) {
+  const range = value.match(/^(\S+)\.\.(\S+)$/);
+  if (range) {
+    const [, start, end] = range;
+    return isValidDate(start) && isValidDate(end)
+      ? { from: start, until: nextDay(end) }
+      : null;
+  }
+
+  const comparison = value.match(/^(>=|<=|>|<)?(.+)$/);
+  const [, operator = "", date] = comparison;
+  if (!isValidDate(date)) return null;
+
+  switch (operator) {
+    case ">":
+      return { from: nextDay(date), until: null };
+    case ">=":
+      return { from: date, until: null };
+    case "<":
+      return { from: null, until: date };
+    case "<=":
+      return { from: null, until: nextDay(date) };
+    default:
+      return { from: date, until: nextDay(date) };
+  }
+}
+
+export function parseSearchQuery(input) {
+  const result = {
+    terms: [],
+    phrases: [],
+    excludes: [],
+    filters: {
+      languages: [],
+      excludeLanguages: [],
+      categories: [],
+      excludeCategories: [],
+      fileNames: [],
+      excludeFileNames: [],
+      pinned: false,
+      favorites: false,
+      updatedFrom: null,
+      updatedUntil: null,
+    },
+    warnings: [],
+  };
+
+  const addText = ({ negated, value, quoted }) => {
+    if (!value) return;
+    if (negated) {
+      result.excludes.push(value);
+    } else if (quoted) {
+      result.phrases.push(value);
+    } else {
+      result.terms.push(value);
+    }
+  };
+
+  const invalid = (token) =>
+    result.warnings.push({
+      token: token.raw,
+      qualifier: token.qualifier,
+      reason: "invalid_value",
+    });
+
+  for (const token of tokenize(input)) {
+    const { qualifier, value, negated } = token;
+
+    if (!qualifier) {
+      addText(token);
+      continue;
+    }
+
+    if (!QUALIFIERS.has(qualifier)) {
+      result.warnings.push({
+        token: token.raw,
+        qualifier,
+        reason: "unknown_qualifier",
+      });
+      addText({ ...token, value: token.raw.replace(/^-/, "") });
+      continue;
+    }
+
+    if (!value) {
+      invalid(token);
+      continue;
+    }
+
+    switch (qualifier) {
+      case "lang":
+      case "language":
+        (negated
+          ? result.filters.excludeLanguages
+          : result.filters.languages
+        ).push(value.toLowerCase());
+        break;
+      case "tag":
+        (negated
+          ? result.filters.excludeCategories
+          : result.filters.categories
+        ).push(value.toLowerCase());
+        break;
+      case "file":
+        (negated
+          ? result.filters.excludeFileNames
+          : result.filters.fileNames
+        ).push(value);
+        break;
+      case "is": {
+        const flag = IS_VALUES[value.toLowerCase()];
+        if (!flag || negated) {
+          invalid(token);
+        } else {
+          result.filters[flag] = true;
+        }
+        break;
+      }
+      case "updated": {
+        const range = negated ? null : parseDateRange(value);
+        if (!range) {
+          invalid(token);
+          break;
+        }
+        // Repeated updated: qualifiers narrow the window
+        if (range.from && (!result.filters.updatedFrom || range.from > result.filters.updatedFrom)) {
+          result.filters.updatedFrom = range.from;
+        }
+        if (range.until && (!result.filters.updatedUntil || range.until < result.filters.updatedUntil)) {
+          result.filters.updatedUntil = range.until;
+        }
+        break;
+      }
+    }
+  }
+
+  return result;
+}
+
+// Free text left after qualifiers are removed, used for the LIKE fallback
+function toPlainText({ terms, phrases }) {
+  return [...terms, ...phrases].join(" ").trim() || null;
+}
+
+function unique(values) {
+  return [...new Set(values.filter(Boolean))];
+}
+
+// Merges a parsed `search` parameter into the list filters built from the
+// other query parameters, which stay available as explicit overrides.
+export function applySearchQuery(filters, input) {
+  const parsed = parseSearchQuery(input);
+  const merged = {
+    ...filters,
+    search: toPlainText(parsed),
+    searchTerms: {
+      terms: parsed.terms,
+      phrases: parsed.phrases,
+      excludes: parsed.excludes,
+    },
+    languages: unique([...(filters.languages || []), ...parsed.filters.languages]),
+    excludeLanguages: parsed.filters.excludeLanguages,
+    categories: unique([...(filters.categories || []), ...parsed.filters.categories]),
+    excludeCategories: parsed.filters.excludeCategories,
+    fileNames: parsed.filters.fileNames,
+    excludeFileNames: parsed.filters.excludeFileNames,
+    pinned: Boolean(filters.pinned || parsed.filters.pinned),
+    favorites: Boolean(filters.favorites || parsed.filters.favorites),
+    updatedFrom: parsed.filters.updatedFrom,
+    updatedUntil: parsed.filters.updatedUntil,
+  };
+
+  if (merged.categories.length === 0) {
+    merged.categories = null;
+  }
+
+  return { filters: merged, warnings: parsed.warnings };
+}
+
+// file: qualifiers use shell-style globs; convert to a LIKE pattern that
+// escapes LIKE's own wildcards with a backslash (pair with ESCAPE '\').
+export function globToLike(glob) {
+  return glob
+    .replace(/[\\%_]/g, (char) => `\\${char}`)
+    .replace(/\*/g, "%")
+    .replace(/\?/g, "_");
+}
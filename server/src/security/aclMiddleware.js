@@ -1,8 +1,11 @@
 import Logger from "../logger.js";
+import teamRepository from "../repositories/teamRepository.js";
 import {
   hasPermission,
+  hasTeamRole,
   getRolePermissionList,
   normalizeRole,
+  Permissions,
 } from "./permissions.js";
 
 export function attachPermissionContext(req, _res, next) {
@@ -49,3 +52,47 @@ export function requireAnyPermission(permissions = []) {
     return next();
   };
 }
+
+// Membership check for team routes (`:id` is the team). Attaches the
+// caller's role as req.teamMembership, or null for admins managing a team
+// they are not in. Teams the caller cannot see, including every team of
+// another workspace, answer 404 like missing ones.
+export function requireTeamRole(teamRole) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: "Authentication required" });
+    }
+
+    try {
+      const teamId = Number(req.params.id);
+      const found = Number.isInteger(teamId) && teamId > 0
+        ? teamRepository.findById(teamId)
+        : null;
+      const team = found?.workspace_id === req.user.workspace_id ? found : null;
+      const membership = team
+        ? teamRepository.findMembership(teamId, req.user.id)
+        : null;
+      const isTeamAdmin = hasPermission(
+        normalizeRole(req.user.role),
+        Permissions.ADMIN_USERS_WRITE
+      );
+
+      if (!team || (!membership && !isTeamAdmin)) {
+        return res.status(404).json({ message: "Team not found" });
+      }
+      if (!isTeamAdmin && !hasTeamRole(membership, teamRole)) {
+        Logger.debug(
+          `Team permission denied: user=${req.user.username || req.user.id}, team=${teamId}, role=${membership}, required=${teamRole}`
+        );
+        return res.status(403).json({ message: "Insufficient permissions" });
+      }
+
+      req.team = team;
+      req.teamMembership = membership;
+      return next();
+    } catch (error) {
+      Logger.error("Error checking team membership:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  };
+}
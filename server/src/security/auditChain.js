@@ -0,0 +1,100 @@
+import crypto from "crypto";
+import fs from "fs";
+import { dirname, join } from "path";
+import Logger from "../logger.js";
+
+// Hash of the (virtual) entry before the first one
+export const GENESIS_HASH = "0".repeat(64);
+
+// Each entry's hash covers its stored columns and the hash of the entry
+// before it, so editing, removing or reordering rows breaks the chain.
+// workspace_id only takes part once set, so entries written before
+// workspaces existed keep their hashes.
+export function hashAuditEntry(entry, prevHash) {
+  const fields = [
+    prevHash,
+    entry.created_at,
+    entry.actor_id ?? null,
+    entry.action,
+    entry.target_type ?? null,
+    entry.target_id ?? null,
+    entry.metadata ?? null,
+    entry.ip_address ?? null,
+    entry.user_agent ?? null,
+  ];
+  if (entry.workspace_id !== null && entry.workspace_id !== undefined) {
+    fields.push(entry.workspace_id);
+  }
+  const content = JSON.stringify(fields);
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+// Walks raw rows (metadata still JSON text) in id order and stops at the
+// first entry that does not fit the chain
+export function verifyAuditChain(rows) {
+  let prevHash = GENESIS_HASH;
+  let checked = 0;
+  let last = null;
+
+  for (const row of rows) {
+    if (row.prev_hash !== prevHash) {
+      return { valid: false, checked, last, brokenAt: { id: row.id, reason: "prev_hash_mismatch" } };
+    }
+    if (row.hash !== hashAuditEntry(row, prevHash)) {
+      return { valid: false, checked, last, brokenAt: { id: row.id, reason: "hash_mismatch" } };
+    }
+    prevHash = row.hash;
+    checked += 1;
+    last = { id: row.id, hash: row.hash };
+  }
+
+  return { valid: true, checked, last, brokenAt: null };
+}
+
+let signingKey = null;
+
+// Ed25519 key for checkpoints, from AUDIT_SIGNING_KEY(_FILE) as PEM or
+// generated once next to the database
+function getSigningKey(dbPath) {
+  if (signingKey) {
+    return signingKey;
+  }
+
+  let pem = process.env.AUDIT_SIGNING_KEY;
+  if (process.env.AUDIT_SIGNING_KEY_FILE) {
+    pem = fs.readFileSync(process.env.AUDIT_SIGNING_KEY_FILE, "utf8");
+  }
+
+  if (!pem) {
+    const keyPath = join(dirname(dbPath), "audit-signing-key.pem");
+    if (fs.existsSync(keyPath)) {
+      pem = fs.readFileSync(keyPath, "utf8");
+    } else {
+      const { privateKey } = crypto.generateKeyPairSync("ed25519");
+      pem = privateKey.export({ type: "pkcs8", format: "pem" });
+      fs.writeFileSync(keyPath, pem, { mode: 0o600 });
+      Logger.info(`Generated audit checkpoint signing key at ${keyPath}`);
+    }
+  }
+
+  const privateKey = crypto.createPrivateKey(pem);
+  if (privateKey.asymmetricKeyType !== "ed25519") {
+    throw new Error("Audit signing key must be an Ed25519 private key");
+  }
+  signingKey = privateKey;
+  return signingKey;
+}
+
+// A checkpoint pins the chain head; `signature` is over the exact
+// `payload` string, verifiable with the embedded public key
+export function signAuditCheckpoint(checkpoint, dbPath) {
+  const privateKey = getSigningKey(dbPath);
+  const payload = JSON.stringify(checkpoint);
+  return {
+    payload,
+    checkpoint,
+    algorithm: "ed25519",
+    signature: crypto.sign(null, Buffer.from(payload), privateKey).toString("base64"),
+    publicKey: crypto.createPublicKey(privateKey).export({ type: "spki", format: "pem" }),
+  };
+}
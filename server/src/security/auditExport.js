@@ -0,0 +1,65 @@
+import { Readable } from "stream";
+
+const CSV_COLUMNS = [
+  "id",
+  "created_at",
+  "actor_id",
+  "actor_username",
+  "action",
+  "target_type",
+  "target_id",
+  "ip_address",
+  "user_agent",
+  "metadata",
+  "prev_hash",
+  "hash",
+];
+
+const FORMATS = {
+  csv: {
+    extension: "csv",
+    contentType: "text/csv; charset=utf-8",
+    header: `${CSV_COLUMNS.join(",")}\n`,
+    line: (entry) =>
+      `${CSV_COLUMNS.map((column) =>
+        csvField(column === "metadata" && entry.metadata ? JSON.stringify(entry.metadata) : entry[column])
+      ).join(",")}\n`,
+  },
+  jsonl: {
+    extension: "jsonl",
+    contentType: "application/x-ndjson; charset=utf-8",
+    header: "",
+    line: (entry) => `${JSON.stringify(entry)}\n`,
+  },
+};
+
+export const AUDIT_EXPORT_FORMATS = Object.keys(FORMATS);
+
+// Quotes a value when needed and defuses cells a spreadsheet would
+// read as a formula
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Renders audit entries (any iterable, read lazily) as a download stream
+export function createAuditExportStream(entries, format) {
+  const { extension, contentType, header, line } = FORMATS[format];
+
+  function* lines() {
+    if (header) {
+      yield header;
+    }
+    for (const entry of entries) {
+      yield line(entry);
+    }
+  }
+
+  return { stream: Readable.from(lines()), extension, contentType };
+}
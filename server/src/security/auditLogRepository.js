@@ -1,10 +1,143 @@
 import { getDb } from "../config/database.js";
 import Logger from "../logger.js";
+import { globToLike } from "../search/queryParser.js";
+import {
+  GENESIS_HASH,
+  hashAuditEntry,
+  signAuditCheckpoint,
+  verifyAuditChain,
+} from "./auditChain.js";
+import auditSinkDispatcher from "./auditSinks.js";
+
+const AUDIT_COLUMNS = `
+  al.id,
+  al.actor_id,
+  al.action,
+  al.target_type,
+  al.target_id,
+  al.metadata,
+  al.ip_address,
+  al.user_agent,
+  al.created_at,
+  al.prev_hash,
+  al.hash,
+  al.workspace_id,
+  u.username AS actor_username
+`;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseDate(value) {
+  const date = new Date(DATE_ONLY.test(value) ? `${value}T00:00:00Z` : value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date;
+}
+
+// Audit filters from query parameters. `action` and `ip` take "*"
+// wildcards ("auth.login.*"), `actor` is a user id, a username or
+// "system", `from`/`to` are ISO dates where a bare day includes all of
+// it, and `q` searches the metadata. Empty parameters are ignored.
+export function parseAuditFilters(query = {}) {
+  const filters = {};
+  for (const key of ["actor", "action", "targetType", "targetId", "ip", "q"]) {
+    const value = typeof query[key] === "string" ? query[key].trim() : "";
+    if (value) {
+      filters[key] = value;
+    }
+  }
+
+  if (query.from) {
+    filters.from = parseDate(String(query.from)).toISOString();
+  }
+  if (query.to) {
+    const to = parseDate(String(query.to));
+    if (DATE_ONLY.test(String(query.to))) {
+      to.setUTCDate(to.getUTCDate() + 1);
+    } else {
+      // created_at has whole seconds, so a time includes all of its second
+      to.setUTCMilliseconds(0);
+      to.setUTCSeconds(to.getUTCSeconds() + 1);
+    }
+    // Exclusive upper bound
+    filters.to = to.toISOString();
+  }
+  return filters;
+}
+
+function buildFilterClause(filters) {
+  const conditions = [];
+  const params = [];
+
+  // Set by the caller from the admin's scope, never from the query string
+  if (filters.workspaceId !== undefined && filters.workspaceId !== null) {
+    conditions.push("al.workspace_id = ?");
+    params.push(filters.workspaceId);
+  }
+
+  if (filters.actor) {
+    if (filters.actor.toLowerCase() === "system") {
+      conditions.push("al.actor_id IS NULL");
+    } else if (/^\d+$/.test(filters.actor)) {
+      conditions.push("al.actor_id = ?");
+      params.push(Number(filters.actor));
+    } else {
+      conditions.push("u.username = ? COLLATE NOCASE");
+      params.push(filters.actor);
+    }
+  }
+  if (filters.action) {
+    conditions.push(`al.action LIKE ? ESCAPE '\\'`);
+    params.push(globToLike(filters.action));
+  }
+  if (filters.targetType) {
+    conditions.push("al.target_type = ?");
+    params.push(filters.targetType);
+  }
+  if (filters.targetId) {
+    conditions.push("al.target_id = ?");
+    params.push(filters.targetId);
+  }
+  if (filters.ip) {
+    conditions.push(`al.ip_address LIKE ? ESCAPE '\\'`);
+    params.push(globToLike(filters.ip));
+  }
+  // created_at is stored as "YYYY-MM-DD HH:MM:SS" in UTC
+  if (filters.from) {
+    conditions.push("al.created_at >= datetime(?)");
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push("al.created_at < datetime(?)");
+    params.push(filters.to);
+  }
+  if (filters.q) {
+    conditions.push(`al.metadata LIKE ? ESCAPE '\\'`);
+    params.push(`%${filters.q.replace(/[\\%_]/g, "\\$&")}%`);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "",
+    params,
+  };
+}
+
+function parseEntry(entry) {
+  return {
+    ...entry,
+    metadata: entry.metadata ? JSON.parse(entry.metadata) : null,
+  };
+}
 
 class AuditLogRepository {
   constructor() {
     this.insertStmt = null;
-    this.listStmt = null;
+    this.lastHashStmt = null;
+    this.headStmt = null;
+    this.chainBatchStmt = null;
+    this.appendEntry = null;
+    this.usernameStmt = null;
   }
 
   #initializeStatements() {
@@ -22,29 +155,90 @@ class AuditLogRepository {
         metadata,
         ip_address,
         user_agent,
-        created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        created_at,
+        prev_hash,
+        hash,
+        workspace_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    this.lastHashStmt = db.prepare(`
+      SELECT hash FROM audit_logs ORDER BY id DESC LIMIT 1
+    `);
+
+    this.headStmt = db.prepare(`
+      SELECT id, hash, created_at, (SELECT COUNT(*) FROM audit_logs) AS count
+      FROM audit_logs
+      ORDER BY id DESC
+      LIMIT 1
     `);
-    this.listStmt = db.prepare(`
+
+    this.chainBatchStmt = db.prepare(`
       SELECT
-        al.id,
-        al.actor_id,
-        al.action,
-        al.target_type,
-        al.target_id,
-        al.metadata,
-        al.ip_address,
-        al.user_agent,
-        al.created_at,
-        u.username AS actor_username
-      FROM audit_logs al
-      LEFT JOIN users u ON u.id = al.actor_id
-      ORDER BY al.created_at DESC
+        id,
+        actor_id,
+        action,
+        target_type,
+        target_id,
+        metadata,
+        ip_address,
+        user_agent,
+        created_at,
+        prev_hash,
+        hash,
+        workspace_id
+      FROM audit_logs
+      WHERE id > ?
+      ORDER BY id
       LIMIT ?
-      OFFSET ?
+    `);
+
+    // Reading the chain head and appending must not interleave
+    this.appendEntry = db.transaction((entry) => {
+      const prevHash = this.lastHashStmt.get()?.hash || GENESIS_HASH;
+      const hash = hashAuditEntry(entry, prevHash);
+      const { lastInsertRowid } = this.insertStmt.run(
+        entry.actor_id,
+        entry.action,
+        entry.target_type,
+        entry.target_id,
+        entry.metadata,
+        entry.ip_address,
+        entry.user_agent,
+        entry.created_at,
+        prevHash,
+        hash,
+        entry.workspace_id
+      );
+      return { id: Number(lastInsertRowid), prev_hash: prevHash, hash };
+    });
+
+    this.usernameStmt = db.prepare(`
+      SELECT username FROM users WHERE id = ?
+    `);
+
+    this.userWorkspaceStmt = db.prepare(`
+      SELECT workspace_id FROM users WHERE id = ?
     `);
   }
 
+  // Workspace an entry belongs to: given explicitly, or that of the
+  // signed-in user, the request or the actor. Instance-wide events
+  // without any of these stay NULL.
+  #resolveWorkspaceId(workspaceId, actorId, req) {
+    if (workspaceId !== undefined) {
+      return workspaceId;
+    }
+    const fromRequest = req?.user?.workspace_id ?? req?.workspace?.id;
+    if (fromRequest !== undefined && fromRequest !== null) {
+      return fromRequest;
+    }
+    if (actorId !== null && actorId !== undefined) {
+      return this.userWorkspaceStmt.get(actorId)?.workspace_id ?? null;
+    }
+    return null;
+  }
+
   getRequestContext(req) {
     if (!req) {
       return {
@@ -66,6 +260,7 @@ class AuditLogRepository {
     targetType = null,
     targetId = null,
     metadata = null,
+    workspaceId = undefined,
     req = null,
   }) {
     this.#initializeStatements();
@@ -77,27 +272,139 @@ class AuditLogRepository {
     const context = this.getRequestContext(req);
     const metadataJson = metadata ? JSON.stringify(metadata) : null;
 
+    const now = new Date();
+    const entry = {
+      actor_id: actorId,
+      action,
+      target_type: targetType,
+      target_id: targetId === null || targetId === undefined ? null : String(targetId),
+      metadata: metadataJson,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      // Same format as CURRENT_TIMESTAMP; part of the hash
+      created_at: now.toISOString().replace("T", " ").slice(0, 19),
+      workspace_id: this.#resolveWorkspaceId(workspaceId, actorId, req),
+    };
+
+    let stored;
     try {
-      this.insertStmt.run(
-        actorId,
-        action,
-        targetType,
-        targetId === null || targetId === undefined ? null : String(targetId),
-        metadataJson,
-        context.ipAddress,
-        context.userAgent
-      );
+      stored = this.appendEntry(entry);
     } catch (error) {
       Logger.error("Failed to write audit log:", action, error);
+      return;
     }
+
+    try {
+      if (auditSinkDispatcher.hasSinks()) {
+        auditSinkDispatcher.dispatch({
+          id: stored.id,
+          timestamp: now.toISOString(),
+          created_at: entry.created_at,
+          actor_id: actorId,
+          actor_username:
+            actorId === null ? null : this.usernameStmt.get(actorId)?.username || null,
+          action,
+          target_type: entry.target_type,
+          target_id: entry.target_id,
+          metadata: metadata || null,
+          ip_address: entry.ip_address,
+          user_agent: entry.user_agent,
+          workspace_id: entry.workspace_id,
+          prev_hash: stored.prev_hash,
+          hash: stored.hash,
+        });
+      }
+    } catch (error) {
+      Logger.error("Failed to forward audit log to sinks:", action, error);
+    }
+  }
+
+  // Newest first; `filters` come from parseAuditFilters
+  list({ limit = 50, offset = 0, ...filters } = {}) {
+    const { where, params } = buildFilterClause(filters);
+    return getDb()
+      .prepare(`
+        SELECT ${AUDIT_COLUMNS}
+        FROM audit_logs al
+        LEFT JOIN users u ON u.id = al.actor_id
+        ${where}
+        ORDER BY al.id DESC
+        LIMIT ? OFFSET ?
+      `)
+      .all(...params, limit, offset)
+      .map(parseEntry);
+  }
+
+  count(filters = {}) {
+    const { where, params } = buildFilterClause(filters);
+    return getDb()
+      .prepare(`
+        SELECT COUNT(*) AS count
+        FROM audit_logs al
+        LEFT JOIN users u ON u.id = al.actor_id
+        ${where}
+      `)
+      .get(...params).count;
+  }
+
+  // Every matching entry, newest first, read in batches so an export of
+  // the whole log never holds the connection between reads
+  *iterate(filters = {}, batchSize = 500) {
+    const { where, params } = buildFilterClause(filters);
+    const statement = getDb().prepare(`
+      SELECT ${AUDIT_COLUMNS}
+      FROM audit_logs al
+      LEFT JOIN users u ON u.id = al.actor_id
+      ${where ? `${where} AND` : "WHERE"} al.id < ?
+      ORDER BY al.id DESC
+      LIMIT ?
+    `);
+
+    let lastId = Number.MAX_SAFE_INTEGER;
+    for (;;) {
+      const batch = statement.all(...params, lastId, batchSize);
+      for (const entry of batch) {
+        yield parseEntry(entry);
+      }
+      if (batch.length < batchSize) {
+        return;
+      }
+      lastId = batch[batch.length - 1].id;
+    }
+  }
+
+  *#chainRows(batchSize = 500) {
+    let lastId = 0;
+    for (;;) {
+      const batch = this.chainBatchStmt.all(lastId, batchSize);
+      yield* batch;
+      if (batch.length < batchSize) {
+        return;
+      }
+      lastId = batch[batch.length - 1].id;
+    }
+  }
+
+  // Recomputes every hash from the first entry on
+  verifyChain() {
+    this.#initializeStatements();
+    return verifyAuditChain(this.#chainRows());
   }
 
-  list({ limit = 50, offset = 0 } = {}) {
+  // Signed summary of the current chain head for external archiving
+  createCheckpoint() {
     this.#initializeStatements();
-    return this.listStmt.all(limit, offset).map((entry) => ({
-      ...entry,
-      metadata: entry.metadata ? JSON.parse(entry.metadata) : null,
-    }));
+    const head = this.headStmt.get();
+    return signAuditCheckpoint(
+      {
+        lastId: head?.id ?? 0,
+        lastHash: head?.hash ?? GENESIS_HASH,
+        lastCreatedAt: head?.created_at ?? null,
+        entryCount: head?.count ?? 0,
+        createdAt: new Date().toISOString(),
+      },
+      getDb().name
+    );
   }
 }
 
@@ -0,0 +1,205 @@
+import dgram from "dgram";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import { dirname, join } from "path";
+import { getDb } from "../config/database.js";
+import { signWebhookBody } from "../utils/webhookSignature.js";
+
+const DELIVERY_TIMEOUT_MS = 5000;
+
+// Private enterprise number reserved for documentation (RFC 5612)
+const SYSLOG_SD_ID = "audit@32473";
+
+// Directory of the file sinks, next to the database
+export function getAuditFileDirectory() {
+  return join(dirname(getDb().name), "audit");
+}
+
+function syslogSeverity(action) {
+  // warning for refused or failed actions, informational otherwise
+  return /\.(failed|blocked|denied)$/.test(action) ? 4 : 6;
+}
+
+function syslogParam(value) {
+  return String(value).replace(/["\\\]]/g, "\\$&");
+}
+
+// RFC 5424 message with the entry as structured data and JSON body
+export function formatSyslogMessage(entry, { facility, appName }) {
+  const pri = facility * 8 + syslogSeverity(entry.action);
+  const msgId = entry.action.replace(/[^\x21-\x7e]/g, "_").slice(0, 32);
+  const params = {
+    id: entry.id,
+    actor: entry.actor_username || entry.actor_id || "system",
+    target: `${entry.target_type || "-"}:${entry.target_id || "-"}`,
+    ip: entry.ip_address || "-",
+    hash: entry.hash,
+  };
+  const structuredData = `[${SYSLOG_SD_ID} ${Object.entries(params)
+    .map(([key, value]) => `${key}="${syslogParam(value)}"`)
+    .join(" ")}]`;
+
+  return `<${pri}>1 ${entry.timestamp} ${os.hostname()} ${appName} ${process.pid} ${msgId} ${structuredData} \uFEFF${JSON.stringify(entry)}`;
+}
+
+function withTimeout(promise, message) {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), DELIVERY_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function createUdpTransport(config) {
+  let socket = null;
+
+  return {
+    deliver(entry) {
+      if (!socket) {
+        socket = dgram.createSocket(net.isIPv6(config.host) ? "udp6" : "udp4");
+        socket.unref();
+        socket.on("error", () => {
+          socket?.close();
+          socket = null;
+        });
+      }
+      const message = Buffer.from(formatSyslogMessage(entry, config));
+      return new Promise((resolve, reject) => {
+        socket.send(message, config.port, config.host, (error) => (error ? reject(error) : resolve()));
+      });
+    },
+    close() {
+      socket?.close();
+      socket = null;
+    },
+  };
+}
+
+// Octet-counted framing (RFC 6587) over one kept-alive connection
+function createTcpTransport(config) {
+  let socket = null;
+  let connecting = null;
+
+  function connect() {
+    if (socket) {
+      return Promise.resolve(socket);
+    }
+    if (!connecting) {
+      connecting = withTimeout(
+        new Promise((resolve, reject) => {
+          const candidate = net.createConnection({ host: config.host, port: config.port });
+          candidate.once("connect", () => {
+            candidate.unref();
+            candidate.on("error", () => candidate.destroy());
+            candidate.on("close", () => {
+              if (socket === candidate) {
+                socket = null;
+              }
+            });
+            socket = candidate;
+            resolve(candidate);
+          });
+          candidate.once("error", reject);
+        }),
+        `Timed out connecting to ${config.host}:${config.port}`
+      ).finally(() => {
+        connecting = null;
+      });
+    }
+    return connecting;
+  }
+
+  return {
+    async deliver(entry) {
+      const connection = await connect();
+      const message = formatSyslogMessage(entry, config);
+      await withTimeout(
+        new Promise((resolve, reject) => {
+          connection.write(`${Buffer.byteLength(message)} ${message}`, (error) =>
+            error ? reject(error) : resolve()
+          );
+        }),
+        `Timed out writing to ${config.host}:${config.port}`
+      );
+    },
+    close() {
+      socket?.destroy();
+      socket = null;
+    },
+  };
+}
+
+function createWebhookTransport(config) {
+  return {
+    async deliver(entry) {
+      const body = JSON.stringify(entry);
+      const response = await fetch(config.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "ByteStash-Audit",
+          "X-Audit-Event": entry.action,
+          "X-Audit-Signature": signWebhookBody(config.secret, body),
+        },
+        body,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw new Error(`Webhook answered ${response.status}`);
+      }
+    },
+    close() {},
+  };
+}
+
+// Appends JSON lines and rotates to .1 ... .maxFiles once maxBytes is
+// reached; the dispatcher never runs two deliveries of a sink at once
+function createFileTransport(config) {
+  const directory = getAuditFileDirectory();
+  const filePath = join(directory, config.fileName);
+  let size = null;
+
+  async function rotate() {
+    await fs.promises.rm(`${filePath}.${config.maxFiles}`, { force: true });
+    for (let n = config.maxFiles - 1; n >= 1; n--) {
+      await fs.promises.rename(`${filePath}.${n}`, `${filePath}.${n + 1}`).catch((error) => {
+        if (error.code !== "ENOENT") {
+          throw error;
+        }
+      });
+    }
+    await fs.promises.rename(filePath, `${filePath}.1`);
+    size = 0;
+  }
+
+  return {
+    async deliver(entry) {
+      if (size === null) {
+        await fs.promises.mkdir(directory, { recursive: true });
+        size = await fs.promises.stat(filePath).then((stats) => stats.size, () => 0);
+      }
+      const line = `${JSON.stringify(entry)}\n`;
+      const length = Buffer.byteLength(line);
+      if (size > 0 && size + length > config.maxBytes) {
+        await rotate();
+      }
+      await fs.promises.appendFile(filePath, line, { mode: 0o600 });
+      size += length;
+    },
+    close() {},
+  };
+}
+
+export function createAuditSinkTransport(config) {
+  switch (config.type) {
+    case "syslog":
+      return config.protocol === "tcp" ? createTcpTransport(config) : createUdpTransport(config);
+    case "webhook":
+      return createWebhookTransport(config);
+    case "file":
+      return createFileTransport(config);
+    default:
+      throw new Error(`Unknown audit sink type: ${config.type}`);
+  }
+}
@@ -0,0 +1,261 @@
+import systemConfigRepository, { AUDIT_SINKS_SETTING } from "../core/systemConfigRepository.js";
+import Logger from "../logger.js";
+import { createAuditSinkTransport } from "./auditSinkTransports.js";
+
+export const AUDIT_SINK_TYPES = ["syslog", "webhook", "file"];
+
+const MAX_SINKS = 10;
+// Entries waiting per sink; the oldest are dropped beyond this
+const MAX_QUEUE = 1000;
+// Delay before each retry; an entry is given up after the last one
+const RETRY_DELAYS_MS = [1000, 5000];
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+const FILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_.-]{0,99}$/i;
+
+function integerInRange(value, fallback, min, max) {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? number : null;
+}
+
+function normalizeSink(input, previous) {
+  if (!input || typeof input !== "object") {
+    throw new Error("Invalid audit sink: expected an object");
+  }
+
+  const name = String(input.name || "").trim();
+  if (!NAME_PATTERN.test(name)) {
+    throw new Error(
+      `Invalid audit sink "${name}": names use letters, digits, "-" and "_" (at most 40)`
+    );
+  }
+  const fail = (reason) => {
+    throw new Error(`Invalid audit sink "${name}": ${reason}`);
+  };
+
+  const type = String(input.type || "").toLowerCase();
+  if (!AUDIT_SINK_TYPES.includes(type)) {
+    fail(`type must be one of ${AUDIT_SINK_TYPES.join(", ")}`);
+  }
+  const sink = { name, type, enabled: input.enabled !== false };
+
+  if (type === "syslog") {
+    sink.host = String(input.host || "").trim();
+    if (!sink.host) {
+      fail("host is required");
+    }
+    sink.port = integerInRange(input.port, 514, 1, 65535);
+    if (sink.port === null) {
+      fail("port must be between 1 and 65535");
+    }
+    sink.protocol = String(input.protocol || "udp").toLowerCase();
+    if (!["udp", "tcp"].includes(sink.protocol)) {
+      fail("protocol must be udp or tcp");
+    }
+    // 13 is "log audit"
+    sink.facility = integerInRange(input.facility, 13, 0, 23);
+    if (sink.facility === null) {
+      fail("facility must be between 0 and 23");
+    }
+    sink.appName = String(input.appName || "bytestash").replace(/[^\x21-\x7e]/g, "").slice(0, 48);
+  }
+
+  if (type === "webhook") {
+    let url;
+    try {
+      url = new URL(String(input.url || ""));
+    } catch (_error) {
+      fail("url is not valid");
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      fail("url must use http or https");
+    }
+    sink.url = url.toString();
+    // Left out when editing to keep the stored one
+    sink.secret =
+      input.secret || (previous?.type === "webhook" ? previous.secret : undefined);
+    if (typeof sink.secret !== "string" || sink.secret.length < 16) {
+      fail("secret must be at least 16 characters");
+    }
+  }
+
+  if (type === "file") {
+    sink.fileName = String(input.fileName || "audit.jsonl").trim();
+    if (!FILE_NAME_PATTERN.test(sink.fileName)) {
+      fail("fileName must be a plain file name");
+    }
+    sink.maxBytes = integerInRange(input.maxBytes, 10 * 1024 * 1024, 1024, 1024 ** 3);
+    if (sink.maxBytes === null) {
+      fail("maxBytes must be between 1 KiB and 1 GiB");
+    }
+    sink.maxFiles = integerInRange(input.maxFiles, 5, 1, 50);
+    if (sink.maxFiles === null) {
+      fail("maxFiles must be between 1 and 50");
+    }
+  }
+
+  return sink;
+}
+
+// Validates sinks from PATCH /settings; `current` supplies the secrets
+// of webhooks that were sent back without one
+export function normalizeAuditSinks(input, current = []) {
+  if (!Array.isArray(input)) {
+    throw new Error("Invalid audit sinks: expected a list");
+  }
+  if (input.length > MAX_SINKS) {
+    throw new Error(`Invalid audit sinks: at most ${MAX_SINKS} are allowed`);
+  }
+
+  const previousByName = new Map(current.map((sink) => [sink.name, sink]));
+  const sinks = input.map((sink) => normalizeSink(sink, previousByName.get(sink?.name)));
+
+  const names = new Set();
+  for (const sink of sinks) {
+    if (names.has(sink.name)) {
+      throw new Error(`Invalid audit sinks: "${sink.name}" is used twice`);
+    }
+    names.add(sink.name);
+  }
+  return sinks;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms).unref());
+}
+
+// Hands audit entries to the configured sinks. Each sink has its own queue
+// worked off in the background, so a slow or dead sink only delays itself
+// and never the request that wrote the entry.
+class AuditSinkDispatcher {
+  constructor() {
+    this.configKey = null;
+    this.sinks = new Map();
+  }
+
+  #sync() {
+    const configKey = systemConfigRepository.getSetting(AUDIT_SINKS_SETTING, "[]");
+    if (configKey === this.configKey) {
+      return;
+    }
+    this.configKey = configKey;
+
+    const sinks = systemConfigRepository.getAuditSinks();
+
+    const previous = this.sinks;
+    this.sinks = new Map();
+    for (const config of sinks.filter((sink) => sink.enabled)) {
+      const key = JSON.stringify(config);
+      const existing = previous.get(config.name);
+      if (existing && existing.key === key) {
+        this.sinks.set(config.name, existing);
+        previous.delete(config.name);
+        continue;
+      }
+      this.sinks.set(config.name, {
+        key,
+        config,
+        transport: createAuditSinkTransport(config),
+        queue: [],
+        working: false,
+        closed: false,
+        stats: {
+          delivered: 0,
+          failed: 0,
+          dropped: 0,
+          lastDeliveredAt: null,
+          lastError: null,
+          lastErrorAt: null,
+        },
+      });
+    }
+
+    for (const sink of previous.values()) {
+      this.#close(sink);
+    }
+  }
+
+  #close(sink) {
+    sink.closed = true;
+    sink.queue = [];
+    try {
+      sink.transport.close();
+    } catch (error) {
+      Logger.debug(`Audit sink ${sink.config.name}: error while closing:`, error);
+    }
+  }
+
+  hasSinks() {
+    this.#sync();
+    return this.sinks.size > 0;
+  }
+
+  dispatch(entry) {
+    this.#sync();
+    for (const sink of this.sinks.values()) {
+      sink.queue.push(entry);
+      if (sink.queue.length > MAX_QUEUE) {
+        sink.queue.shift();
+        sink.stats.dropped += 1;
+      }
+      if (!sink.working) {
+        this.#work(sink);
+      }
+    }
+  }
+
+  async #work(sink) {
+    sink.working = true;
+    while (sink.queue.length > 0 && !sink.closed) {
+      const entry = sink.queue[0];
+      for (let attempt = 0; ; attempt++) {
+        try {
+          await sink.transport.deliver(entry);
+          sink.stats.delivered += 1;
+          sink.stats.lastDeliveredAt = new Date().toISOString();
+          break;
+        } catch (error) {
+          sink.stats.lastError = error.message;
+          sink.stats.lastErrorAt = new Date().toISOString();
+          if (attempt >= RETRY_DELAYS_MS.length || sink.closed) {
+            sink.stats.failed += 1;
+            Logger.error(
+              `Audit sink ${sink.config.name}: giving up on entry ${entry.id}: ${error.message}`
+            );
+            break;
+          }
+          await delay(RETRY_DELAYS_MS[attempt]);
+        }
+      }
+      // The entry may already have been dropped to make room
+      if (sink.queue[0] === entry) {
+        sink.queue.shift();
+      }
+    }
+    sink.working = false;
+  }
+
+  // Delivery counters of the enabled sinks since the last config change
+  status() {
+    this.#sync();
+    return [...this.sinks.values()].map((sink) => ({
+      name: sink.config.name,
+      type: sink.config.type,
+      queued: sink.queue.length,
+      ...sink.stats,
+    }));
+  }
+
+  stop() {
+    for (const sink of this.sinks.values()) {
+      this.#close(sink);
+    }
+    this.sinks = new Map();
+    this.configKey = null;
+  }
+}
+
+export default new AuditSinkDispatcher();
@@ -18,6 +18,7 @@ export const Permissions = Object.freeze({
   ADMIN_SNIPPETS_MODERATE: "admin.snippets.moderate",
   ADMIN_SYSTEM_SETTINGS_WRITE: "admin.system.settings.write",
   ADMIN_AUDIT_READ: "admin.audit.read",
+  ADMIN_WORKSPACES_MANAGE: "admin.workspaces.manage",
   MODERATION_QUEUE_READ: "moderation.queue.read",
   MODERATION_ACTIONS_WRITE: "moderation.actions.write",
 });
@@ -94,3 +95,38 @@ export function hasPermission(role, permission) {
 export function getRolePermissionList(role) {
   return Array.from(getPermissionsByRole(role)).sort();
 }
+
+// Roles inside a team (team_members.role). Maintainers can do everything
+// members can, plus manage the team and its membership.
+export const TeamRoles = Object.freeze({
+  MEMBER: "member",
+  MAINTAINER: "maintainer",
+});
+
+const teamRoleRanks = {
+  [TeamRoles.MEMBER]: 1,
+  [TeamRoles.MAINTAINER]: 2,
+};
+
+export function isTeamRole(role) {
+  return Object.prototype.hasOwnProperty.call(teamRoleRanks, role);
+}
+
+export function hasTeamRole(memberRole, requiredRole) {
+  if (!isTeamRole(memberRole) || !isTeamRole(requiredRole)) {
+    return false;
+  }
+
+  return teamRoleRanks[memberRole] >= teamRoleRanks[requiredRole];
+}
+
+// Access a SHARED snippet grants to a user or team (snippet_grants.permission).
+// Editors can change the content but never the snippet's sharing settings.
+export const GrantPermissions = Object.freeze({
+  READ: "read",
+  EDIT: "edit",
+});
+
+export function isGrantPermission(permission) {
+  return Object.values(GrantPermissions).includes(permission);
+}
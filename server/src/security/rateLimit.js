@@ -1,23 +1,19 @@
 import systemConfigRepository from "../core/systemConfigRepository.js";
 
 const buckets = new Map();
-const CLEANUP_INTERVAL_MS = 60_000;
-let cleanupIntervalStarted = false;
 
-function startCleanupLoop() {
-  if (cleanupIntervalStarted) {
-    return;
-  }
-
-  cleanupIntervalStarted = true;
-  setInterval(() => {
-    const now = Date.now();
-    for (const [key, value] of buckets.entries()) {
-      if (now - value.windowStart > value.windowMs * 2) {
-        buckets.delete(key);
-      }
+// Drops buckets whose window ended a while ago; run by the
+// "rate-limit-cleanup" job. Returns how many were removed.
+export function pruneRateLimitBuckets() {
+  const now = Date.now();
+  let removed = 0;
+  for (const [key, value] of buckets.entries()) {
+    if (now - value.windowStart > value.windowMs * 2) {
+      buckets.delete(key);
+      removed += 1;
     }
-  }, CLEANUP_INTERVAL_MS);
+  }
+  return removed;
 }
 
 function getClientIp(req) {
@@ -36,8 +32,6 @@ function getScopeLimit(scope, rateConfig) {
 }
 
 export function createRateLimiter(scope = "general") {
-  startCleanupLoop();
-
   return (req, res, next) => {
     const settings = systemConfigRepository.getFoundationSettings();
     const windowMs = settings.security.rateLimit.windowMs;
@@ -0,0 +1,156 @@
+import dns from "dns/promises";
+import net from "net";
+import systemConfigRepository from "../core/systemConfigRepository.js";
+
+const MAX_ALLOWED_HOSTS = 50;
+export const WEBHOOK_TARGET_BLOCKED = "ERR_WEBHOOK_TARGET_BLOCKED";
+const HOSTNAME_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i;
+
+// Targets a webhook may only reach through the admin allowlist: loopback,
+// private (RFC 1918 and unique local), link-local including the cloud
+// metadata address 169.254.169.254, carrier-grade NAT, multicast, reserved
+// and unspecified addresses
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  blockedAddresses.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  blockedAddresses.addSubnet(network, prefix, "ipv6");
+}
+
+function stripBrackets(hostname) {
+  return hostname.startsWith("[") ? hostname.slice(1, -1) : hostname;
+}
+
+// Validates the allowlist an admin saves: hostnames, IP addresses or CIDR
+// ranges. Returns the normalized list or throws with the offending entry.
+export function normalizeWebhookAllowedHosts(entries) {
+  if (!Array.isArray(entries)) {
+    throw new Error("Webhook allowed hosts must be a list");
+  }
+  if (entries.length > MAX_ALLOWED_HOSTS) {
+    throw new Error(`At most ${MAX_ALLOWED_HOSTS} webhook allowed hosts can be configured`);
+  }
+
+  const normalized = [];
+  for (const entry of entries) {
+    const value = String(entry ?? "").trim().toLowerCase();
+    const [address, prefix, ...rest] = value.split("/");
+    const family = net.isIP(address);
+    const validPrefix =
+      prefix === undefined ||
+      (/^\d+$/.test(prefix) && Number(prefix) <= (family === 6 ? 128 : 32));
+    const valid =
+      rest.length === 0 &&
+      (family ? validPrefix : prefix === undefined && HOSTNAME_PATTERN.test(value));
+    if (!valid) {
+      throw new Error(`Invalid webhook allowed host "${value}"`);
+    }
+    if (!normalized.includes(value)) {
+      normalized.push(value);
+    }
+  }
+  return normalized;
+}
+
+function loadAllowList() {
+  const hosts = new Set();
+  const addresses = new net.BlockList();
+  for (const entry of systemConfigRepository.getWebhookAllowedHosts()) {
+    const [address, prefix] = entry.split("/");
+    const family = net.isIP(address);
+    if (!family) {
+      hosts.add(entry);
+    } else if (prefix === undefined) {
+      addresses.addAddress(address, family === 6 ? "ipv6" : "ipv4");
+    } else {
+      addresses.addSubnet(address, Number(prefix), family === 6 ? "ipv6" : "ipv4");
+    }
+  }
+  return { hosts, addresses };
+}
+
+// IPv4-mapped IPv6 addresses match the IPv4 ranges as well
+function isBlocked(address, allowList) {
+  const type = net.isIP(address) === 6 ? "ipv6" : "ipv4";
+  return blockedAddresses.check(address, type) && !allowList.addresses.check(address, type);
+}
+
+// Create/update check for URLs that name a blocked address directly; names
+// are only resolved when a delivery is sent
+export function isAllowedWebhookUrl(url) {
+  const hostname = stripBrackets(new URL(url).hostname.toLowerCase());
+  const allowList = loadAllowList();
+  if (allowList.hosts.has(hostname)) {
+    return true;
+  }
+  if (hostname === "localhost" || hostname.endsWith(".localhost")) {
+    return false;
+  }
+  return !net.isIP(hostname) || !isBlocked(hostname, allowList);
+}
+
+// Resolves a host name; null when it has no addresses or any of them is
+// blocked
+async function resolveAllowed(hostname, allowList) {
+  const addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+  const blocked =
+    addresses.length === 0 || addresses.some(({ address }) => isBlocked(address, allowList));
+  return blocked ? null : addresses;
+}
+
+// Resolves the host right before a delivery; false when any of its
+// addresses is blocked. Lookup errors are thrown to the caller.
+export async function isAllowedWebhookTarget(url) {
+  const hostname = stripBrackets(new URL(url).hostname.toLowerCase());
+  const allowList = loadAllowList();
+  if (allowList.hosts.has(hostname)) {
+    return true;
+  }
+  return (await resolveAllowed(hostname, allowList)) !== null;
+}
+
+// Lookup function for the delivery connection. The name is resolved again
+// when connecting and may now point elsewhere, so the addresses are checked
+// once more and the socket only connects to one that passed.
+export function lookupWebhookTarget(hostname, options, callback) {
+  const host = stripBrackets(hostname.toLowerCase());
+  const allowList = loadAllowList();
+  const resolved = allowList.hosts.has(host)
+    ? dns.lookup(host, { all: true, verbatim: true })
+    : resolveAllowed(host, allowList);
+
+  resolved.then(
+    (addresses) => {
+      if (!addresses) {
+        const error = new Error(`Webhook target ${host} is not allowed`);
+        error.code = WEBHOOK_TARGET_BLOCKED;
+        callback(error);
+      } else if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    },
+    (error) => callback(error)
+  );
+}
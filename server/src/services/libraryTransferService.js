@@ -0,0 +1,249 @@
+import crypto from "crypto";
+import Logger from "../logger.js";
+import snippetRepository from "../repositories/snippetRepository.js";
+import { createLibraryJsonStream, createLibraryZipStream } from "../transfer/libraryArchive.js";
+import { getImporter, IMPORT_SOURCES } from "../transfer/importers/index.js";
+import { EXPORTER_FORMATS, getExporter } from "../transfer/exporters/index.js";
+import { normalizeNewlines, slugify } from "../transfer/exporters/shared.js";
+import { archiveEntries, createSnippetArchiveStream } from "../transfer/snippetArchive.js";
+import { renderFragment, templateErrorBody } from "../templates/templateEngine.js";
+
+// json and zip are the lossless library archive; the rest are renderings
+// for editors and notes (see transfer/exporters)
+export const EXPORT_FORMATS = ["json", "zip", ...EXPORTER_FORMATS];
+
+const EXPORT_PAGE_SIZE = 200;
+
+export { IMPORT_SOURCES };
+
+// How an archived snippet whose title already exists in the library is
+// handled. Snippets with identical content are always skipped.
+//   skip      - keep the existing snippet, ignore the archived one
+//   overwrite - replace the existing snippet's content with the archived one
+//   keep-both - import the archived snippet as a new snippet
+export const MERGE_STRATEGIES = ["skip", "overwrite", "keep-both"];
+
+// Identity of a snippet's content, independent of flags and timestamps
+function fingerprint({ title, description, categories, fragments, variables = [] }) {
+  const content = JSON.stringify({
+    title: title.trim(),
+    description: description || "",
+    categories: [...categories].sort(),
+    fragments: [...fragments]
+      .sort((a, b) => a.position - b.position)
+      .map(({ file_name, code, language }) => [file_name, code, language]),
+    variables: variables.map((variable) => [
+      variable.name,
+      variable.type,
+      variable.default,
+      variable.required,
+      variable.description,
+      variable.options,
+    ]),
+  });
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+class LibraryTransferService {
+  // Renders snippets in one of EXPORT_FORMATS. `fileName` is the download
+  // name without extension.
+  renderExport(snippets, format, { title, fileName, single = false }) {
+    const exporter = getExporter(format);
+    const meta = { snippet_count: snippets.length };
+    const rendered = exporter
+      ? {
+          stream: exporter.render(snippets, { title, single }),
+          extension: exporter.extension,
+          contentType: exporter.contentType,
+        }
+      : format === "zip"
+        ? {
+            stream: createLibraryZipStream(snippets, meta),
+            extension: "zip",
+            contentType: "application/zip",
+          }
+        : {
+            stream: createLibraryJsonStream(snippets, meta),
+            extension: "json",
+            contentType: "application/json; charset=utf-8",
+          };
+
+    return { ...rendered, count: snippets.length, fileName };
+  }
+
+  // Exports the user's own snippets matching the same filters as the snippet
+  // list; team and granted snippets stay with their owners
+  async exportLibrary(userId, format, { filters = {}, sort = "newest" } = {}) {
+    try {
+      Logger.debug("Service: Exporting library for user:", userId, "as", format);
+      const snippets = [];
+      let total = Infinity;
+      while (snippets.length < total) {
+        const page = snippetRepository.findAllPaginated({
+          userId,
+          filters: { ...filters, owned: true },
+          sort,
+          limit: EXPORT_PAGE_SIZE,
+          offset: snippets.length,
+        });
+        total = page.total;
+        if (page.snippets.length === 0) {
+          break;
+        }
+        snippets.push(...page.snippets);
+      }
+
+      const date = new Date().toISOString().slice(0, 10);
+      return this.renderExport(snippets, format, {
+        title: "Snippets",
+        fileName: `bytestash-export-${date}`,
+      });
+    } catch (error) {
+      Logger.error("Service Error - exportLibrary:", error);
+      throw error;
+    }
+  }
+
+  async exportSnippet(id, userId, format) {
+    try {
+      Logger.debug("Service: Exporting snippet:", id, "for user:", userId, "as", format);
+      const snippet = snippetRepository.findById(id, userId);
+      if (!snippet) {
+        return null;
+      }
+      return this.renderExport([snippet], format, {
+        title: snippet.title,
+        fileName: slugify(snippet.title),
+        single: true,
+      });
+    } catch (error) {
+      Logger.error("Service Error - exportSnippet:", error);
+      throw error;
+    }
+  }
+
+  // Decides per archived snippet whether it is created, overwrites an
+  // existing snippet or is skipped. Duplicates inside the archive itself are
+  // detected as well.
+  planImport(userId, archived, strategy) {
+    const existing = snippetRepository.findAll(userId);
+    const byFingerprint = new Map();
+    const byTitle = new Map();
+    for (const snippet of existing) {
+      byFingerprint.set(fingerprint(snippet), snippet.id);
+      if (!byTitle.has(snippet.title.trim())) {
+        byTitle.set(snippet.title.trim(), snippet.id);
+      }
+    }
+
+    const overwritten = new Set();
+
+    return archived.map(({ warnings = [], ...snippet }, index) => {
+      const item = { index, title: snippet.title, snippet, warnings };
+      const hash = fingerprint(snippet);
+
+      if (byFingerprint.has(hash)) {
+        return {
+          ...item,
+          action: "skip",
+          reason: "identical",
+          existingId: byFingerprint.get(hash),
+        };
+      }
+      byFingerprint.set(hash, null);
+
+      const existingId = byTitle.get(snippet.title);
+      if (existingId === undefined || strategy === "keep-both") {
+        return { ...item, action: "create" };
+      }
+      if (strategy === "overwrite" && !overwritten.has(existingId)) {
+        overwritten.add(existingId);
+        return { ...item, action: "update", existingId };
+      }
+      return { ...item, action: "skip", reason: "title_conflict", existingId };
+    });
+  }
+
+  // One snippet as a zip or tar.gz of its fragments. Templates are rendered
+  // with `values` like on the raw endpoints; when that fails the result is
+  // { templateError } with the 400 body instead of a stream.
+  async archiveSnippet(snippet, format, values = {}) {
+    try {
+      Logger.debug("Service: Archiving snippet:", snippet.id, "as", format);
+      const missing = new Set();
+      const invalid = new Map();
+      const fragments = snippet.fragments.map((fragment) => {
+        const rendered = renderFragment(snippet, fragment, values);
+        rendered.missing.forEach((name) => missing.add(name));
+        rendered.invalid.forEach((entry) => invalid.set(entry.name, entry));
+        // Same line endings as the raw endpoints
+        return { ...fragment, code: normalizeNewlines(rendered.code) };
+      });
+      if (missing.size > 0 || invalid.size > 0) {
+        return { templateError: templateErrorBody([...missing], [...invalid.values()]) };
+      }
+
+      const archive = createSnippetArchiveStream(archiveEntries(fragments), format, {
+        updatedAt: snippet.updated_at,
+      });
+      return { ...archive, count: 1, fileName: slugify(snippet.title) };
+    } catch (error) {
+      Logger.error("Service Error - archiveSnippet:", error);
+      throw error;
+    }
+  }
+
+  async importLibrary(
+    userId,
+    buffer,
+    { source = "bytestash", fileName = "", strategy = "skip", dryRun = false } = {}
+  ) {
+    try {
+      Logger.debug(
+        "Service: Importing library for user:",
+        userId,
+        "source:",
+        source,
+        "strategy:",
+        strategy,
+        "dryRun:",
+        dryRun
+      );
+      const importer = getImporter(source);
+      if (!importer) {
+        throw new Error(`Unknown import source: ${source}`);
+      }
+      const { snippets: archived, warnings } = await importer.parse(buffer, { fileName });
+      const plan = this.planImport(userId, archived, strategy);
+
+      const entries = plan.filter((item) => item.action !== "skip");
+      const savedIds = dryRun ? [] : snippetRepository.importSnippets(entries, userId);
+      entries.forEach((item, index) => {
+        item.snippetId = dryRun ? null : savedIds[index];
+      });
+
+      const summary = { create: 0, update: 0, skip: 0 };
+      for (const item of plan) {
+        summary[item.action]++;
+      }
+      Logger.debug("Service: Import summary:", summary);
+
+      return {
+        dryRun,
+        source,
+        strategy,
+        summary,
+        warnings,
+        items: plan.map(({ snippet, ...item }) => ({
+          ...item,
+          snippetId: item.snippetId ?? item.existingId ?? null,
+        })),
+      };
+    } catch (error) {
+      Logger.error("Service Error - importLibrary:", error);
+      throw error;
+    }
+  }
+}
+
+export default new LibraryTransferService();
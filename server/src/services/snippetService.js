@@ -1,5 +1,57 @@
 import Logger from "../logger.js";
 import snippetRepository from "../repositories/snippetRepository.js";
+import snippetRevisionRepository from "../repositories/snippetRevisionRepository.js";
+import teamRepository from "../repositories/teamRepository.js";
+import { createUnifiedDiff } from "../utils/diff.js";
+import { buildMatcher, searchFragments } from "../search/codeSearch.js";
+import { normalizeVariables } from "../templates/templateEngine.js";
+import {
+  assertPathAvailable,
+  fallbackFragmentPath,
+  normalizeFragmentPath,
+  normalizeFragmentPaths,
+} from "../utils/fragmentPaths.js";
+
+// Pair fragments of two revisions by file name first, then by position for
+// whatever is left, so renames still diff against their previous content.
+function pairFragments(fromFragments, toFragments) {
+  const pairs = [];
+  const unmatchedFrom = [...fromFragments];
+  const unmatchedTo = [];
+
+  for (const fragment of toFragments) {
+    const index = unmatchedFrom.findIndex(
+      (candidate) => candidate.file_name === fragment.file_name
+    );
+    if (index === -1) {
+      unmatchedTo.push(fragment);
+    } else {
+      pairs.push([unmatchedFrom[index], fragment]);
+      unmatchedFrom.splice(index, 1);
+    }
+  }
+
+  for (const fragment of unmatchedTo) {
+    const index = unmatchedFrom.findIndex(
+      (candidate) => candidate.position === fragment.position
+    );
+    if (index === -1) {
+      pairs.push([null, fragment]);
+    } else {
+      pairs.push([unmatchedFrom[index], fragment]);
+      unmatchedFrom.splice(index, 1);
+    }
+  }
+
+  for (const fragment of unmatchedFrom) {
+    pairs.push([fragment, null]);
+  }
+
+  return pairs.sort(
+    ([fromA, toA], [fromB, toB]) =>
+      (toA ?? fromA).position - (toB ?? fromB).position
+  );
+}
 
 class SnippetService {
   normalizeVisibility(snippetData = {}) {
@@ -13,6 +65,23 @@ class SnippetService {
     return visibility;
   }
 
+  // The team a snippet is shared with: only TEAM snippets have one, and the
+  // owner must belong to it. `currentTeamId` is kept when team_id is omitted.
+  resolveTeamId(visibility, teamId, userId, currentTeamId = null) {
+    if (visibility !== 'TEAM') {
+      return null;
+    }
+
+    const resolved = teamId === undefined ? currentTeamId : teamId;
+    if (resolved === null || resolved === undefined) {
+      throw new Error("TEAM snippets need a team_id");
+    }
+    if (!teamRepository.findMembership(Number(resolved), userId)) {
+      throw new Error("You are not a member of this team");
+    }
+    return Number(resolved);
+  }
+
   async getAllSnippets(userId) {
     try {
       Logger.debug("Service: Getting all snippets for user:", userId);
@@ -25,10 +94,10 @@ class SnippetService {
     }
   }
 
-  async getAllPublicSnippets() {
+  async getAllPublicSnippets(workspaceId) {
     try {
-      Logger.debug("Service: Getting all public snippets");
-      const result = await snippetRepository.findAllPublic();
+      Logger.debug("Service: Getting all public snippets of workspace:", workspaceId);
+      const result = await snippetRepository.findAllPublic(workspaceId);
       Logger.debug(`Service: Retrieved ${result.length} public snippets`);
       return result;
     } catch (error) {
@@ -43,9 +112,12 @@ class SnippetService {
       const visibility = this.normalizeVisibility(snippetData);
       const result = await snippetRepository.create({
         ...snippetData,
+        fragments: normalizeFragmentPaths(snippetData.fragments || []),
+        variables: normalizeVariables(snippetData.variables),
         userId,
         visibility,
         isPublic: visibility === 'PUBLIC' ? 1 : 0,
+        teamId: this.resolveTeamId(visibility, snippetData.team_id, userId),
       });
       Logger.debug("Service: Created snippet with ID:", result.id);
       return result;
@@ -55,7 +127,61 @@ class SnippetService {
     }
   }
 
-  async moveToRecycle(id, userId) {
+  async forkSnippet(id, userId) {
+    try {
+      Logger.debug("Service: Forking snippet:", id, "for user:", userId);
+      const result = await snippetRepository.fork(id, userId);
+      Logger.debug("Service: Fork result:", result ? result.id : "Source not found");
+      return result;
+    } catch (error) {
+      Logger.error("Service Error - forkSnippet:", error);
+      throw error;
+    }
+  }
+
+  async getCategories(userId) {
+    try {
+      Logger.debug("Service: Getting categories for user:", userId);
+      const result = await snippetRepository.findCategoryCounts(userId);
+      Logger.debug(`Service: Retrieved ${result.length} categories`);
+      return result;
+    } catch (error) {
+      Logger.error("Service Error - getCategories:", error);
+      throw error;
+    }
+  }
+
+  // Rename and merge are the same operation: every source name is replaced
+  // by the target on each snippet carrying it. A null target deletes.
+  async replaceCategories(userId, sources, target = null) {
+    try {
+      Logger.debug("Service: Replacing categories:", sources, "with:", target, "for user:", userId);
+      const result = await snippetRepository.replaceCategories(userId, sources, target);
+      Logger.debug(`Service: Updated ${result.length} snippets`);
+      return result;
+    } catch (error) {
+      Logger.error("Service Error - replaceCategories:", error);
+      throw error;
+    }
+  }
+
+  async bulkUpdate(ids, action, options, userId) {
+    try {
+      Logger.debug("Service: Bulk", action, "on", ids.length, "snippets for user:", userId);
+      const results = await snippetRepository.bulkUpdate(ids, action, options, userId);
+      Logger.debug(
+        "Service: Bulk update applied to",
+        results.filter((result) => result.status === "ok").length,
+        "snippets"
+      );
+      return results;
+    } catch (error) {
+      Logger.error("Service Error - bulkUpdate:", error);
+      throw error;
+    }
+  }
+
+  async moveToRecycle(id, userId, options = {}) {
     try {
       Logger.debug(
         "Service: Moving snippet to recycle bin:",
@@ -63,7 +189,7 @@ class SnippetService {
         "for user:",
         userId
       );
-      const result = await snippetRepository.moveToRecycle(id, userId);
+      const result = await snippetRepository.moveToRecycle(id, userId, options);
       if (!result) {
         Logger.debug(
           "Service: Snippet not found or already moved to recycle bin"
@@ -80,9 +206,6 @@ class SnippetService {
 
   async getRecycledSnippets(userId) {
     try {
-      // Ensure expired snippets are deleted before fetching recycled snippets
-      this.deleteExpiredSnippets();
-
       Logger.debug("Service: Getting recycled snippets for user:", userId);
       const result = await snippetRepository.findAllDeleted(userId);
       Logger.debug(`Service: Retrieved ${result.length} recycled snippets`);
@@ -94,21 +217,47 @@ class SnippetService {
     }
   }
 
+  // Returns the number of snippets whose recycle bin retention ran out
   async deleteExpiredSnippets() {
     try {
       Logger.debug("Service: Deleting expired snippets");
-      await snippetRepository.deleteExpired();
-      Logger.debug(`Service: Deleted expired snippets`);
+      const count = await snippetRepository.deleteExpired();
+      Logger.debug(`Service: Deleted ${count} expired snippets`);
+      return count;
     } catch (error) {
       Logger.error("Service Error - deleteExpiredSnippets:", error);
       throw error;
     }
   }
 
-  async deleteSnippet(id, userId) {
+  async emptyRecycleBin(userId) {
+    try {
+      Logger.debug("Service: Emptying recycle bin for user:", userId);
+      const ids = await snippetRepository.emptyRecycleBin(userId);
+      Logger.debug(`Service: Deleted ${ids.length} recycled snippets`);
+      return ids;
+    } catch (error) {
+      Logger.error("Service Error - emptyRecycleBin:", error);
+      throw error;
+    }
+  }
+
+  async restoreAllRecycled(userId) {
+    try {
+      Logger.debug("Service: Restoring recycle bin for user:", userId);
+      const ids = await snippetRepository.restoreAllRecycled(userId);
+      Logger.debug(`Service: Restored ${ids.length} recycled snippets`);
+      return ids;
+    } catch (error) {
+      Logger.error("Service Error - restoreAllRecycled:", error);
+      throw error;
+    }
+  }
+
+  async deleteSnippet(id, userId, options = {}) {
     try {
       Logger.debug("Service: Deleting snippet:", id, "for user:", userId);
-      const result = await snippetRepository.delete(id, userId);
+      const result = await snippetRepository.delete(id, userId, options);
       Logger.debug(
         "Service: Delete operation result:",
         result ? "Success" : "Not Found"
@@ -120,10 +269,10 @@ class SnippetService {
     }
   }
 
-  async restoreSnippet(id, userId) {
+  async restoreSnippet(id, userId, options = {}) {
     try {
       Logger.debug("Service: Restoring snippet:", id, "for user:", userId);
-      await snippetRepository.restore(id, userId);
+      await snippetRepository.restore(id, userId, options);
       Logger.debug("Service: Restore operation result:", "Success");
       return { id };
     } catch (error) {
@@ -132,18 +281,37 @@ class SnippetService {
     }
   }
 
-  async updateSnippet(id, snippetData, userId) {
+  async updateSnippet(id, snippetData, userId, options = {}) {
     try {
       Logger.debug("Service: Updating snippet:", id, "for user:", userId);
       const visibility = this.normalizeVisibility(snippetData);
+      const current = await snippetRepository.findById(id, userId);
+      // Edit grantees cannot change sharing, so their team_id is ignored
+      const teamId =
+        current && current.access !== 'owner'
+          ? null
+          : this.resolveTeamId(
+              visibility,
+              snippetData.team_id,
+              userId,
+              current?.team_id ?? null
+            );
       const result = await snippetRepository.update(
         id,
         {
           ...snippetData,
+          fragments: snippetData.fragments && normalizeFragmentPaths(snippetData.fragments),
+          // Omitted variables keep the current template schema
+          variables:
+            snippetData.variables === undefined
+              ? undefined
+              : normalizeVariables(snippetData.variables),
           visibility,
           isPublic: visibility === 'PUBLIC' ? 1 : 0,
+          teamId,
         },
-        userId
+        userId,
+        options
       );
       Logger.debug(
         "Service: Update operation result:",
@@ -156,14 +324,15 @@ class SnippetService {
     }
   }
 
-  async findById(id, userId = null) {
+  // Without a user only public snippets of `workspaceId` are found
+  async findById(id, userId = null, workspaceId = undefined) {
     try {
       Logger.debug(
         "Service: Getting snippet:",
         id,
         userId != null ? `for user: ${userId}` : "(public access)"
       );
-      const result = await snippetRepository.findById(id, userId);
+      const result = await snippetRepository.findById(id, userId, workspaceId);
       Logger.debug(
         "Service: Find by ID result:",
         result ? "Found" : "Not Found"
@@ -175,7 +344,7 @@ class SnippetService {
     }
   }
 
-  async setPinned(id, value, userId) {
+  async setPinned(id, value, userId, options = {}) {
     try {
       Logger.debug(
         "Service: Setting pinned status for snippet:",
@@ -185,7 +354,7 @@ class SnippetService {
         "for user:",
         userId
       );
-      const result = await snippetRepository.setPinned(id, value, userId);
+      const result = await snippetRepository.setPinned(id, value, userId, options);
       Logger.debug(
         "Service: Set pinned operation result:",
         result ? "Success" : "Not Found"
@@ -197,7 +366,7 @@ class SnippetService {
     }
   }
 
-  async setFavorite(id, value, userId) {
+  async setFavorite(id, value, userId, options = {}) {
     try {
       Logger.debug(
         "Service: Setting favorite status for snippet:",
@@ -207,7 +376,7 @@ class SnippetService {
         "for user:",
         userId
       );
-      const result = await snippetRepository.setFavorite(id, value, userId);
+      const result = await snippetRepository.setFavorite(id, value, userId, options);
       Logger.debug(
         "Service: Set favorite operation result:",
         result ? "Success" : "Not Found"
@@ -250,13 +419,311 @@ class SnippetService {
     }
   }
 
-  async getMetadata(userId = null) {
+  // Line-level code search: scans fragment code of the snippets that pass the
+  // list filters, then pages and sorts the matching snippets like a normal
+  // listing, with the hits of each attached as `code_matches`.
+  async searchSnippetCode({ userId, filters, pattern, mode, contextLines, sort, limit, offset }) {
+    try {
+      Logger.debug("Service: Code search for user:", userId, "mode:", mode);
+      const matcher = buildMatcher(pattern, mode);
+
+      const fragments = snippetRepository.findCodeSearchFragments({
+        userId,
+        filters,
+        literal: mode.regex ? null : pattern,
+        caseSensitive: mode.caseSensitive,
+      });
+      const matches = await searchFragments(fragments, matcher, {
+        regex: mode.regex,
+        contextLines,
+      });
+
+      const result = snippetRepository.findAllPaginated({
+        userId,
+        filters: { ...filters, snippetIds: Object.keys(matches).map(Number) },
+        sort,
+        limit,
+        offset,
+      });
+      Logger.debug(
+        `Service: Code search matched ${result.total} snippets in ${fragments.length} fragments`
+      );
+
+      return {
+        ...result,
+        snippets: result.snippets.map((snippet) => ({
+          ...snippet,
+          code_matches: matches[snippet.id],
+        })),
+      };
+    } catch (error) {
+      Logger.error("Service Error - searchSnippetCode:", error);
+      throw error;
+    }
+  }
+
+  async addFragment(id, fragmentData, userId, options = {}) {
+    try {
+      Logger.debug("Service: Adding fragment to snippet:", id, "for user:", userId);
+      const snippet = await this.#findEditableSnippet(id, userId);
+      if (!snippet) {
+        return null;
+      }
+      const file_name = this.#availableFragmentPath(snippet, fragmentData.file_name);
+      return await snippetRepository.addFragment(
+        snippet.id,
+        { ...fragmentData, file_name },
+        userId,
+        options
+      );
+    } catch (error) {
+      Logger.error("Service Error - addFragment:", error);
+      throw error;
+    }
+  }
+
+  async updateFragment(id, fragmentId, changes, userId, options = {}) {
+    try {
+      Logger.debug("Service: Updating fragment", fragmentId, "of snippet:", id);
+      if (changes.file_name !== undefined) {
+        const snippet = await this.#findEditableSnippet(id, userId);
+        if (!snippet) {
+          return null;
+        }
+        changes = {
+          ...changes,
+          file_name: this.#availableFragmentPath(snippet, changes.file_name, fragmentId),
+        };
+      }
+      return await snippetRepository.updateFragment(
+        id,
+        fragmentId,
+        changes,
+        userId,
+        options
+      );
+    } catch (error) {
+      Logger.error("Service Error - updateFragment:", error);
+      throw error;
+    }
+  }
+
+  async deleteFragment(id, fragmentId, userId, options = {}) {
+    try {
+      Logger.debug("Service: Deleting fragment", fragmentId, "of snippet:", id);
+      const snippet = await this.#findEditableSnippet(id, userId);
+      if (!snippet) {
+        return null;
+      }
+      if (
+        snippet.fragments.length === 1 &&
+        snippet.fragments[0].id === fragmentId
+      ) {
+        throw new Error("Cannot delete the last fragment");
+      }
+      return await snippetRepository.deleteFragment(
+        snippet.id,
+        fragmentId,
+        userId,
+        options
+      );
+    } catch (error) {
+      Logger.error("Service Error - deleteFragment:", error);
+      throw error;
+    }
+  }
+
+  async reorderFragments(id, fragmentIds, userId, options = {}) {
+    try {
+      Logger.debug("Service: Reordering fragments of snippet:", id);
+      return await snippetRepository.reorderFragments(
+        id,
+        fragmentIds,
+        userId,
+        options
+      );
+    } catch (error) {
+      Logger.error("Service Error - reorderFragments:", error);
+      throw error;
+    }
+  }
+
+  // Normalized path for a fragment being added, or renamed when `fragmentId`
+  // is given, checked against the other fragments of the snippet. A blank
+  // name gets the fallback for the fragment's position.
+  #availableFragmentPath(snippet, fileName, fragmentId = null) {
+    const path = normalizeFragmentPath(fileName);
+    const otherPaths = snippet.fragments
+      .filter((fragment) => fragment.id !== fragmentId)
+      .map((fragment) => fragment.file_name);
+    if (!path) {
+      const renamed = snippet.fragments.find((fragment) => fragment.id === fragmentId);
+      const position = renamed ? renamed.position : snippet.fragments.length;
+      return fallbackFragmentPath(position, otherPaths);
+    }
+    assertPathAvailable(path, otherPaths);
+    return path;
+  }
+
+  // The owner or an edit grantee of a SHARED snippet
+  async #findEditableSnippet(id, userId) {
+    const snippet = await snippetRepository.findById(id, userId);
+    if (!snippet || snippet.access === 'read') {
+      return null;
+    }
+    return snippet;
+  }
+
+  async #findOwnedSnippet(id, userId) {
+    const snippet = await snippetRepository.findById(id, userId);
+    if (!snippet || snippet.user_id !== userId) {
+      return null;
+    }
+    return snippet;
+  }
+
+  async getRevisions(id, userId) {
+    try {
+      Logger.debug("Service: Getting revisions for snippet:", id);
+      const snippet = await this.#findOwnedSnippet(id, userId);
+      if (!snippet) {
+        return null;
+      }
+      return snippetRevisionRepository.findAll(snippet.id);
+    } catch (error) {
+      Logger.error("Service Error - getRevisions:", error);
+      throw error;
+    }
+  }
+
+  async getRevision(id, revision, userId) {
+    try {
+      Logger.debug("Service: Getting revision", revision, "of snippet:", id);
+      const snippet = await this.#findOwnedSnippet(id, userId);
+      if (!snippet) {
+        return null;
+      }
+      return snippetRevisionRepository.findByRevision(snippet.id, revision);
+    } catch (error) {
+      Logger.error("Service Error - getRevision:", error);
+      throw error;
+    }
+  }
+
+  async compareRevisions(id, fromRevision, toRevision, userId) {
+    try {
+      Logger.debug(
+        "Service: Comparing revisions",
+        fromRevision,
+        "and",
+        toRevision ?? "latest",
+        "of snippet:",
+        id
+      );
+      const snippet = await this.#findOwnedSnippet(id, userId);
+      if (!snippet) {
+        return null;
+      }
+
+      const from = snippetRevisionRepository.findByRevision(snippet.id, fromRevision);
+      const to =
+        toRevision != null
+          ? snippetRevisionRepository.findByRevision(snippet.id, toRevision)
+          : snippetRevisionRepository.findLatest(snippet.id);
+      if (!from || !to) {
+        return null;
+      }
+
+      const fragments = pairFragments(from.fragments, to.fragments).map(
+        ([before, after]) => {
+          const status = !before
+            ? "added"
+            : !after
+              ? "removed"
+              : before.code === after.code &&
+                  before.file_name === after.file_name &&
+                  before.language === after.language
+                ? "unchanged"
+                : "modified";
+
+          return {
+            status,
+            file_name: (after ?? before).file_name,
+            previous_file_name:
+              before && after && before.file_name !== after.file_name
+                ? before.file_name
+                : undefined,
+            language: (after ?? before).language,
+            diff: createUnifiedDiff(before?.code ?? "", after?.code ?? "", {
+              oldLabel: before ? `a/${before.file_name}` : "/dev/null",
+              newLabel: after ? `b/${after.file_name}` : "/dev/null",
+            }),
+          };
+        }
+      );
+
+      return {
+        from: from.revision,
+        to: to.revision,
+        title: { from: from.title, to: to.title, changed: from.title !== to.title },
+        description: createUnifiedDiff(from.description ?? "", to.description ?? "", {
+          oldLabel: "a/description",
+          newLabel: "b/description",
+        }),
+        categories: {
+          added: to.categories.filter((name) => !from.categories.includes(name)),
+          removed: from.categories.filter((name) => !to.categories.includes(name)),
+        },
+        fragments,
+      };
+    } catch (error) {
+      Logger.error("Service Error - compareRevisions:", error);
+      throw error;
+    }
+  }
+
+  // Restores content only; visibility stays as it is now so rolling back can
+  // never re-publish a snippet that has since been made private.
+  async restoreRevision(id, revision, userId, options = {}) {
+    try {
+      Logger.debug("Service: Restoring revision", revision, "of snippet:", id);
+      const snippet = await this.#findOwnedSnippet(id, userId);
+      if (!snippet) {
+        return null;
+      }
+
+      const target = snippetRevisionRepository.findByRevision(snippet.id, revision);
+      if (!target) {
+        return null;
+      }
+
+      return snippetRepository.update(
+        snippet.id,
+        {
+          title: target.title,
+          description: target.description,
+          categories: target.categories,
+          fragments: target.fragments,
+          visibility: snippet.visibility,
+          isPublic: snippet.visibility === 'PUBLIC' ? 1 : 0,
+          teamId: snippet.team_id,
+        },
+        userId,
+        { ...options, revisionSource: "restore" }
+      );
+    } catch (error) {
+      Logger.error("Service Error - restoreRevision:", error);
+      throw error;
+    }
+  }
+
+  async getMetadata(userId = null, workspaceId = undefined) {
     try {
       Logger.debug(
         "Service: Getting metadata for",
         userId !== null ? `user: ${userId}` : "public snippets"
       );
-      const result = await snippetRepository.getMetadata(userId);
+      const result = await snippetRepository.getMetadata(userId, workspaceId);
       Logger.debug(
         `Service: Retrieved ${result.categories.length} categories, ${result.languages.length} languages`
       );
@@ -0,0 +1,294 @@
+import crypto from "crypto";
+import http from "http";
+import https from "https";
+import Logger from "../logger.js";
+import webhookRepository from "../repositories/webhookRepository.js";
+import {
+  WEBHOOK_TARGET_BLOCKED,
+  isAllowedWebhookTarget,
+  lookupWebhookTarget,
+} from "../security/webhookTargets.js";
+import { signWebhookBody } from "../utils/webhookSignature.js";
+
+export const WEBHOOK_EVENTS = [
+  "snippet.create",
+  "snippet.update",
+  "snippet.delete",
+  "snippet.recycle",
+  "share.create",
+];
+
+export const WEBHOOK_TEST_EVENT = "webhook.test";
+
+const DELIVERY_TIMEOUT_MS = 10000;
+// Wait before each retry of a failed delivery; it is marked failed after
+// the first attempt plus one retry per entry
+const RETRY_DELAYS_SECONDS = [60, 120, 240, 480, 960];
+// Deliveries retried per run of the webhook-delivery job
+const DUE_BATCH_SIZE = 50;
+// Deliveries sent at the same time from the in-process queue
+const MAX_CONCURRENT_DELIVERIES = 4;
+// New deliveries beyond this stay pending for the webhook-delivery job
+const MAX_QUEUED_DELIVERIES = 500;
+
+// Posts a delivery and resolves with the response status. Redirects are not
+// followed, and each delivery opens its own connection so the target is
+// looked up and checked every time.
+function post(url, headers, body) {
+  const client = new URL(url).protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.request(
+      url,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        agent: false,
+        lookup: lookupWebhookTarget,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+      },
+      (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      }
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+function actorOf(user) {
+  return user ? { id: user.id, username: user.username ?? null } : null;
+}
+
+function matchesCategories(webhook, snippet) {
+  return (
+    !webhook.categories ||
+    snippet.categories.some((category) => webhook.categories.includes(category))
+  );
+}
+
+// Turns snippet and share events into signed HTTP deliveries. Emitting only
+// stores the deliveries and queues them; a few at a time are sent in the
+// background, and whatever does not fit the queue waits for the
+// webhook-delivery job, which also retries failures with exponential
+// backoff. Emitting never throws, so a broken webhook cannot fail the
+// request.
+class WebhookService {
+  constructor() {
+    this.inFlight = new Set();
+    this.queue = [];
+    this.sending = 0;
+  }
+
+  // Summaries of snippets about to be deleted, for the delete payloads
+  snapshotSnippets(ids) {
+    const snapshots = new Map();
+    try {
+      for (const id of ids) {
+        const snippet = webhookRepository.findSnippetSummary(id);
+        if (snippet) {
+          snapshots.set(snippet.id, snippet);
+        }
+      }
+    } catch (error) {
+      Logger.error("Error taking webhook snippet snapshots:", error);
+    }
+    return snapshots;
+  }
+
+  emitSnippetEvent(event, ids, user, snapshots = null) {
+    for (const id of ids) {
+      const snippet = snapshots
+        ? snapshots.get(Number(id))
+        : this.#findSnippet(id);
+      if (snippet) {
+        this.#emit(event, snippet, user, {});
+      }
+    }
+  }
+
+  emitShareCreated(share, user) {
+    const snippet = this.#findSnippet(share.snippetId);
+    if (snippet) {
+      this.#emit("share.create", snippet, user, { share });
+    }
+  }
+
+  #findSnippet(id) {
+    try {
+      return webhookRepository.findSnippetSummary(id);
+    } catch (error) {
+      Logger.error(`Error loading snippet ${id} for webhooks:`, error);
+      return null;
+    }
+  }
+
+  #emit(event, snippet, user, extra) {
+    try {
+      const subscribers = webhookRepository
+        .findSubscribers(event, snippet.user_id)
+        .filter((webhook) => matchesCategories(webhook, snippet));
+      if (subscribers.length === 0) {
+        return;
+      }
+
+      const payload = {
+        id: crypto.randomUUID(),
+        event,
+        created_at: new Date().toISOString(),
+        actor: actorOf(user),
+        data: { snippet, ...extra },
+      };
+      for (const webhook of subscribers) {
+        this.#enqueue(webhookRepository.createDelivery(webhook.id, event, payload));
+      }
+    } catch (error) {
+      Logger.error(`Error emitting webhook event ${event}:`, error);
+    }
+  }
+
+  #enqueue(deliveryId) {
+    if (this.queue.length < MAX_QUEUED_DELIVERIES) {
+      this.queue.push(deliveryId);
+      this.#drain();
+    }
+  }
+
+  #drain() {
+    while (this.sending < MAX_CONCURRENT_DELIVERIES && this.queue.length > 0) {
+      const deliveryId = this.queue.shift();
+      this.sending += 1;
+      this.deliver(deliveryId)
+        .catch((error) => Logger.error(`Error delivering webhook delivery ${deliveryId}:`, error))
+        .finally(() => {
+          this.sending -= 1;
+          this.#drain();
+        });
+    }
+  }
+
+  // Makes one attempt at a pending delivery; `retry: false` fails it on the
+  // first error instead of scheduling another attempt
+  async deliver(deliveryId, { retry = true } = {}) {
+    if (this.inFlight.has(deliveryId)) {
+      return null;
+    }
+    this.inFlight.add(deliveryId);
+
+    try {
+      const delivery = webhookRepository.findDelivery(deliveryId);
+      if (!delivery || delivery.status !== "pending") {
+        return null;
+      }
+
+      const started = Date.now();
+      const { responseStatus, error } = await this.#send(delivery);
+
+      const attempts = delivery.attempts + 1;
+      const retryInSeconds =
+        error && retry ? RETRY_DELAYS_SECONDS[attempts - 1] ?? null : null;
+      const status = !error ? "success" : retryInSeconds ? "pending" : "failed";
+      const durationMs = Date.now() - started;
+
+      webhookRepository.recordAttempt(delivery.id, delivery.webhook_id, {
+        status,
+        responseStatus,
+        error,
+        durationMs,
+        retryInSeconds,
+      });
+      if (status === "failed") {
+        Logger.info(`Webhook delivery ${delivery.id} failed after ${attempts} attempts: ${error}`);
+      }
+
+      return {
+        id: delivery.id,
+        event: delivery.event,
+        status,
+        attempts,
+        response_status: responseStatus,
+        error,
+        duration_ms: durationMs,
+      };
+    } finally {
+      this.inFlight.delete(deliveryId);
+    }
+  }
+
+  // One HTTP attempt; resolves with the response status and the error kept
+  // in the delivery log
+  async #send(delivery) {
+    try {
+      // Checked on every attempt, since the name may resolve differently
+      // than when the webhook was saved
+      if (!(await isAllowedWebhookTarget(delivery.url))) {
+        return { responseStatus: null, error: "Webhook target is not allowed" };
+      }
+
+      // Receivers reject stale timestamps, so a captured request cannot be
+      // replayed later
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const responseStatus = await post(
+        delivery.url,
+        {
+          "Content-Type": "application/json",
+          "User-Agent": "ByteStash-Webhooks",
+          "X-ByteStash-Event": delivery.event,
+          "X-ByteStash-Delivery": String(delivery.id),
+          "X-ByteStash-Timestamp": timestamp,
+          "X-ByteStash-Signature": signWebhookBody(delivery.secret, delivery.payload, timestamp),
+        },
+        delivery.payload
+      );
+      const ok = responseStatus >= 200 && responseStatus < 300;
+      return {
+        responseStatus,
+        error: ok ? null : `Webhook answered ${responseStatus}`,
+      };
+    } catch (requestError) {
+      if (requestError.code === WEBHOOK_TARGET_BLOCKED) {
+        return { responseStatus: null, error: "Webhook target is not allowed" };
+      }
+      // Connection errors would tell the webhook owner which internal hosts
+      // and ports exist, so only the log gets the details
+      Logger.debug(
+        `Webhook delivery ${delivery.id} request failed:`,
+        requestError.cause?.message || requestError.message
+      );
+      return { responseStatus: null, error: "Webhook request failed" };
+    }
+  }
+
+  // Sends a webhook.test event and waits for the single attempt
+  async sendTestEvent(webhook, user) {
+    const payload = {
+      id: crypto.randomUUID(),
+      event: WEBHOOK_TEST_EVENT,
+      created_at: new Date().toISOString(),
+      actor: actorOf(user),
+      data: { webhook: { id: webhook.id, name: webhook.name } },
+    };
+    const deliveryId = webhookRepository.createDelivery(webhook.id, WEBHOOK_TEST_EVENT, payload);
+    return this.deliver(deliveryId, { retry: false });
+  }
+
+  // Retries the deliveries whose backoff ran out, oldest first
+  async deliverDue() {
+    const counts = { attempted: 0, succeeded: 0, failed: 0 };
+    for (const id of webhookRepository.findDueDeliveryIds(DUE_BATCH_SIZE)) {
+      const result = await this.deliver(id);
+      if (!result) {
+        continue;
+      }
+      counts.attempted += 1;
+      if (result.status === "success") {
+        counts.succeeded += 1;
+      } else if (result.status === "failed") {
+        counts.failed += 1;
+      }
+    }
+    return counts;
+  }
+}
+
+export default new WebhookService();
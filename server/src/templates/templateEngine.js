@@ -0,0 +1,212 @@
+// Parameterised snippets. A snippet becomes a template by declaring a
+// variable schema; its fragments are then rendered by the raw endpoints with
+// values taken from the query string.
+//
+// Placeholders look like `{{ name }}` or `{{ name | default: "value" }}`
+// (single quotes, bare numbers and true/false work for the default too).
+// Only identifier names are placeholders, so text such as Helm's
+// `{{ .Values.x }}` passes through untouched.
+//
+// Resolution per placeholder: query value, then the schema default, then
+// the inline default. Required variables must come from the query or the
+// schema; an inline default does not satisfy them. Undeclared names with
+// no value and no inline default are reported as missing as well.
+
+export const VARIABLE_TYPES = ["string", "number", "boolean", "enum"];
+export const MAX_TEMPLATE_VARIABLES = 50;
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_NAME_LENGTH = 64;
+const MAX_VALUE_LENGTH = 1000;
+
+const PLACEHOLDER_PATTERN =
+  /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*(?:\|\s*default:\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(-?\d+(?:\.\d+)?|true|false))\s*)?\}\}/g;
+
+function inlineDefault(doubleQuoted, singleQuoted, bare) {
+  const quoted = doubleQuoted ?? singleQuoted;
+  return quoted !== undefined ? quoted.replace(/\\(.)/g, "$1") : bare;
+}
+
+function invalid(message) {
+  return new Error(`Invalid template variables: ${message}`);
+}
+
+// Coerces a value to the variable's type. Returns undefined when it does not
+// fit so callers can report it.
+export function coerceValue(variable, value) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const text = String(value);
+
+  switch (variable.type) {
+    case "number": {
+      const number = Number(text);
+      return text.trim() !== "" && Number.isFinite(number) ? number : undefined;
+    }
+    case "boolean":
+      if (value === true || text === "true" || text === "1") return true;
+      if (value === false || text === "false" || text === "0") return false;
+      return undefined;
+    case "enum":
+      return variable.options.includes(text) ? text : undefined;
+    default:
+      return text.length <= MAX_VALUE_LENGTH ? text : undefined;
+  }
+}
+
+// Validates a variable schema from a request body and returns it in its
+// stored shape. Throws "Invalid template variables: ..." errors.
+export function normalizeVariables(raw) {
+  if (raw === null || raw === undefined) {
+    return [];
+  }
+  if (!Array.isArray(raw)) {
+    throw invalid("variables must be an array");
+  }
+  if (raw.length > MAX_TEMPLATE_VARIABLES) {
+    throw invalid(`at most ${MAX_TEMPLATE_VARIABLES} variables are allowed`);
+  }
+
+  const names = new Set();
+  return raw.map((entry) => {
+    const name = typeof entry?.name === "string" ? entry.name.trim() : "";
+    if (!NAME_PATTERN.test(name) || name.length > MAX_NAME_LENGTH) {
+      throw invalid(`"${name}" is not a valid variable name`);
+    }
+    if (names.has(name)) {
+      throw invalid(`"${name}" is declared more than once`);
+    }
+    names.add(name);
+
+    const type = entry.type === undefined ? "string" : entry.type;
+    if (!VARIABLE_TYPES.includes(type)) {
+      throw invalid(`type of "${name}" must be one of: ${VARIABLE_TYPES.join(", ")}`);
+    }
+
+    let options = null;
+    if (type === "enum") {
+      options = Array.isArray(entry.options)
+        ? [...new Set(entry.options.filter((option) => typeof option === "string"))]
+        : [];
+      if (options.length === 0) {
+        throw invalid(`"${name}" needs at least one option`);
+      }
+    }
+
+    let defaultValue = null;
+    if (entry.default !== undefined && entry.default !== null && entry.default !== "") {
+      defaultValue = coerceValue({ type, options }, entry.default);
+      if (defaultValue === undefined) {
+        throw invalid(`default of "${name}" is not a valid ${type}`);
+      }
+    }
+
+    return {
+      name,
+      type,
+      default: defaultValue,
+      required: Boolean(entry.required),
+      description: typeof entry.description === "string" ? entry.description : null,
+      options,
+    };
+  });
+}
+
+// Query strings may repeat a parameter or nest objects; only the first
+// plain string counts
+function queryValue(values, name) {
+  const value = Array.isArray(values[name]) ? values[name][0] : values[name];
+  return typeof value === "string" ? value : undefined;
+}
+
+// Renders one fragment. `values` is the query object of the request. Returns
+// { code, missing, invalid }; code is null when anything is missing/invalid.
+export function renderTemplate(code, variables, values = {}) {
+  const declared = new Map(variables.map((variable) => [variable.name, variable]));
+  const missing = new Set();
+  const invalidValues = [];
+  const resolved = new Map();
+
+  for (const variable of variables) {
+    const provided = queryValue(values, variable.name);
+    if (provided === undefined) {
+      continue;
+    }
+    const value = coerceValue(variable, provided);
+    if (value === undefined) {
+      invalidValues.push({
+        name: variable.name,
+        message:
+          variable.type === "enum"
+            ? `must be one of: ${variable.options.join(", ")}`
+            : `must be a ${variable.type}`,
+      });
+    } else {
+      resolved.set(variable.name, value);
+    }
+  }
+
+  const output = (code || "").replace(PLACEHOLDER_PATTERN, (match, name, ...quoted) => {
+    const defaultValue = inlineDefault(quoted[0], quoted[1], quoted[2]);
+    const variable = declared.get(name);
+
+    if (!variable) {
+      const value = queryValue(values, name) ?? defaultValue;
+      if (value === undefined) {
+        missing.add(name);
+        return match;
+      }
+      return value;
+    }
+
+    if (invalidValues.some((entry) => entry.name === name)) {
+      return match;
+    }
+    const value =
+      resolved.get(name) ?? variable.default ?? (variable.required ? undefined : defaultValue);
+    if (value === undefined) {
+      if (variable.required) {
+        missing.add(name);
+        return match;
+      }
+      return "";
+    }
+    return String(value);
+  });
+
+  return {
+    code: missing.size === 0 && invalidValues.length === 0 ? output : null,
+    missing: [...missing],
+    invalid: invalidValues,
+  };
+}
+
+// Template values from a query string. `workspace` picks the library for
+// anonymous callers and `routeParams` are read by the route itself (such as
+// an archive's `format`), so neither becomes a value.
+export function templateValues(query, routeParams = []) {
+  const values = { ...query };
+  for (const name of ["workspace", ...routeParams]) {
+    delete values[name];
+  }
+  return values;
+}
+
+// Renders a fragment of a snippet if the snippet is a template. Snippets
+// without variables are returned unchanged.
+export function renderFragment(snippet, fragment, values) {
+  if (!snippet.variables?.length) {
+    return { code: fragment.code, missing: [], invalid: [] };
+  }
+  return renderTemplate(fragment.code, snippet.variables, values);
+}
+
+// Body of the 400 response for a template that cannot be rendered
+export function templateErrorBody(missing, invalid) {
+  return {
+    error: missing.length > 0 ? "Missing required template variables" : "Invalid template variables",
+    missing,
+    invalid,
+  };
+}
@@ -0,0 +1,17 @@
+import jetbrains from "./jetbrains.js";
+import markdown from "./markdown.js";
+import obsidian from "./obsidian.js";
+import vscode from "./vscode.js";
+
+// Each exporter renders snippets for another tool:
+//   name                          - value of the export `format` option
+//   extension, contentType        - for the download
+//   render(snippets, { title, single }) - returns a readable stream
+// `title` names the export (the snippet title when `single` is set).
+const EXPORTERS = [vscode, jetbrains, markdown, obsidian];
+
+export const EXPORTER_FORMATS = EXPORTERS.map((exporter) => exporter.name);
+
+export function getExporter(name) {
+  return EXPORTERS.find((exporter) => exporter.name === name) || null;
+}
@@ -0,0 +1,74 @@
+import { normalizeNewlines, slugify, textStream, uniqueName } from "./shared.js";
+
+// Live template contexts for editor language keys; anything else is
+// offered everywhere (OTHER)
+const TEMPLATE_CONTEXTS = {
+  javascript: "JAVA_SCRIPT",
+  typescript: "TypeScript",
+  python: "Python",
+  bash: "SHELL_SCRIPT",
+  java: "JAVA_CODE",
+  kotlin: "KOTLIN",
+  php: "PHP",
+  html: "HTML",
+  css: "CSS",
+  sql: "SQL",
+  go: "GO",
+  ruby: "RUBY",
+  json: "JSON",
+  xml: "XML",
+  yaml: "YAML",
+  markdown: "MARKDOWN",
+};
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/\n/g, "&#10;");
+}
+
+// `$NAME$` is a template variable; `$$` is a literal dollar sign
+function escapeTemplate(code) {
+  return normalizeNewlines(code).replace(/\$/g, "$$$$");
+}
+
+// A live template set (File | Manage IDE Settings | Import, or copy into the
+// templates folder). Each fragment becomes a template named by abbreviation.
+export default {
+  name: "jetbrains",
+  extension: "xml",
+  contentType: "application/xml; charset=utf-8",
+  render(snippets, { title }) {
+    const abbreviations = new Set();
+    const lines = [`<templateSet group="${escapeXml(title)}">`];
+
+    for (const snippet of snippets) {
+      const fragments = [...snippet.fragments].sort((a, b) => a.position - b.position);
+      for (const fragment of fragments) {
+        const abbreviation = uniqueName(
+          fragments.length > 1
+            ? `${slugify(snippet.title)}-${slugify(fragment.file_name, `file${fragment.position + 1}`)}`
+            : slugify(snippet.title),
+          abbreviations,
+          "-"
+        );
+        const description = snippet.description || snippet.title;
+        lines.push(
+          `  <template name="${escapeXml(abbreviation)}" value="${escapeXml(
+            escapeTemplate(fragment.code)
+          )}" description="${escapeXml(description)}" toReformat="false" toShortenFQNames="true">`,
+          "    <context>",
+          `      <option name="${TEMPLATE_CONTEXTS[fragment.language] || "OTHER"}" value="true" />`,
+          "    </context>",
+          "  </template>"
+        );
+      }
+    }
+
+    lines.push("</templateSet>", "");
+    return textStream(lines.join("\n"));
+  },
+};
@@ -0,0 +1,51 @@
+import { normalizeNewlines, textStream } from "./shared.js";
+
+// A fence longer than any backtick run inside the code
+function fenceFor(code) {
+  const longest = Math.max(2, ...(code.match(/`+/g) || []).map((run) => run.length));
+  return "`".repeat(longest + 1);
+}
+
+export function renderSnippetMarkdown(
+  snippet,
+  { headingLevel = 1, includeCategories = true } = {}
+) {
+  const heading = "#".repeat(headingLevel);
+  const lines = [`${heading} ${snippet.title}`, ""];
+
+  if (snippet.description?.trim()) {
+    lines.push(snippet.description.trim(), "");
+  }
+  if (includeCategories && snippet.categories.length > 0) {
+    lines.push(
+      `Categories: ${snippet.categories.map((category) => `\`${category}\``).join(", ")}`,
+      ""
+    );
+  }
+
+  const fragments = [...snippet.fragments].sort((a, b) => a.position - b.position);
+  for (const fragment of fragments) {
+    const code = normalizeNewlines(fragment.code).replace(/\n$/, "");
+    const fence = fenceFor(code);
+    const language = fragment.language && fragment.language !== "plaintext" ? fragment.language : "";
+    lines.push(`${heading}# ${fragment.file_name}`, "", `${fence}${language}`, code, fence, "");
+  }
+
+  return lines.join("\n");
+}
+
+// One document: the snippet itself, or a titled list of snippets
+export default {
+  name: "markdown",
+  extension: "md",
+  contentType: "text/markdown; charset=utf-8",
+  render(snippets, { title, single = false }) {
+    if (single) {
+      return textStream(renderSnippetMarkdown(snippets[0]));
+    }
+    const sections = snippets.map((snippet) =>
+      renderSnippetMarkdown(snippet, { headingLevel: 2 })
+    );
+    return textStream([`# ${title}`, "", ...sections].join("\n"));
+  },
+};
@@ -0,0 +1,46 @@
+import JSZip from "jszip";
+import { toPathSegment } from "../libraryArchive.js";
+import { renderSnippetMarkdown } from "./markdown.js";
+import { uniqueName } from "./shared.js";
+
+// Obsidian tags cannot contain whitespace
+function frontmatter(snippet) {
+  const lines = ["---"];
+  if (snippet.categories.length > 0) {
+    lines.push("tags:");
+    for (const category of snippet.categories) {
+      lines.push(`  - ${JSON.stringify(category.replace(/\s+/g, "-"))}`);
+    }
+  }
+  if (snippet.updated_at) {
+    lines.push(`updated: ${snippet.updated_at}`);
+  }
+  lines.push("---", "");
+  return lines.join("\n");
+}
+
+// A vault folder with one note per snippet. Categories become tags so they
+// show up in Obsidian's tag pane and search.
+export default {
+  name: "obsidian",
+  extension: "zip",
+  contentType: "application/zip",
+  render(snippets) {
+    const zip = new JSZip();
+    const used = new Set();
+
+    for (const snippet of snippets) {
+      const name = uniqueName(toPathSegment(snippet.title, "Untitled"), used);
+      zip.file(
+        `${name}.md`,
+        frontmatter(snippet) + renderSnippetMarkdown(snippet, { includeCategories: false })
+      );
+    }
+
+    return zip.generateNodeStream({
+      type: "nodebuffer",
+      streamFiles: true,
+      compression: "DEFLATE",
+    });
+  },
+};
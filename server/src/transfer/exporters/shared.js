@@ -0,0 +1,29 @@
+import { Readable } from "stream";
+
+// ASCII-only identifier for abbreviations, prefixes and download names
+export function slugify(value, fallback = "snippet") {
+  const slug = String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+  return slug || fallback;
+}
+
+export function textStream(text) {
+  return Readable.from([text]);
+}
+
+export function normalizeNewlines(code) {
+  return (code || "").replace(/\r\n?/g, "\n");
+}
+
+// Appends " 2", " 3", ... until the name is not taken yet
+export function uniqueName(name, used, separator = " ") {
+  let candidate = name;
+  for (let n = 2; used.has(candidate); n++) {
+    candidate = `${name}${separator}${n}`;
+  }
+  used.add(candidate);
+  return candidate;
+}
@@ -0,0 +1,53 @@
+import { normalizeNewlines, slugify, textStream, uniqueName } from "./shared.js";
+
+// Editor language keys whose VS Code language id differs
+const VSCODE_LANGUAGE_IDS = {
+  bash: "shellscript",
+  batch: "bat",
+  vba: "vb",
+  conf: "properties",
+  kubernetes: "yaml",
+  mongodb: "javascript",
+};
+
+// `$` starts a tab stop or variable and `\` escapes; both must be literal
+function escapeBody(code) {
+  return normalizeNewlines(code).replace(/[\\$]/g, (char) => `\\${char}`);
+}
+
+// A global `.code-snippets` file with one entry per fragment, each scoped to
+// the fragment's language
+export default {
+  name: "vscode",
+  extension: "code-snippets",
+  contentType: "application/json; charset=utf-8",
+  render(snippets) {
+    const document = {};
+    const names = new Set();
+
+    for (const snippet of snippets) {
+      const fragments = [...snippet.fragments].sort((a, b) => a.position - b.position);
+      for (const fragment of fragments) {
+        const multiple = fragments.length > 1;
+        const name = uniqueName(
+          multiple ? `${snippet.title} - ${fragment.file_name}` : snippet.title,
+          names
+        );
+        const prefix = multiple
+          ? `${slugify(snippet.title)}-${slugify(fragment.file_name, `file${fragment.position + 1}`)}`
+          : slugify(snippet.title);
+
+        const entry = { prefix, body: escapeBody(fragment.code).split("\n") };
+        if (fragment.language && fragment.language !== "plaintext") {
+          entry.scope = VSCODE_LANGUAGE_IDS[fragment.language] || fragment.language;
+        }
+        if (snippet.description) {
+          entry.description = snippet.description;
+        }
+        document[name] = entry;
+      }
+    }
+
+    return textStream(JSON.stringify(document, null, 2));
+  },
+};
@@ -0,0 +1,9 @@
+import { parseLibraryArchive } from "../libraryArchive.js";
+
+// The library export of this application (JSON or zip)
+export default {
+  name: "bytestash",
+  async parse(buffer) {
+    return { snippets: await parseLibraryArchive(buffer), warnings: [] };
+  },
+};
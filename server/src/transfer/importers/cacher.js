@@ -0,0 +1,56 @@
+import { buildFragment, createCollector, parseJsonDocument, toTimestamp } from "./shared.js";
+
+// Cacher's JSON export. Labels reference snippets by guid and become
+// categories.
+export default {
+  name: "cacher",
+  async parse(buffer) {
+    const document = parseJsonDocument(buffer);
+    const library = document?.personalLibrary || document;
+    if (!Array.isArray(library?.snippets)) {
+      throw new Error("Invalid archive: not a Cacher export");
+    }
+
+    const labelsBySnippet = new Map();
+    for (const label of Array.isArray(library.labels) ? library.labels : []) {
+      for (const ref of Array.isArray(label?.snippets) ? label.snippets : []) {
+        const guid = typeof ref === "string" ? ref : ref?.guid;
+        if (!labelsBySnippet.has(guid)) {
+          labelsBySnippet.set(guid, []);
+        }
+        labelsBySnippet.get(guid).push(label.title);
+      }
+    }
+
+    const collector = createCollector();
+
+    for (const snippet of library.snippets) {
+      const warnings = [];
+      const files = Array.isArray(snippet?.files) ? snippet.files : [];
+      const fragments = files.map((file, position) =>
+        buildFragment(
+          {
+            fileName: file?.filename || `file${position + 1}`,
+            code: file?.content,
+            language: file?.filetype,
+            position,
+          },
+          warnings
+        )
+      );
+
+      collector.add(
+        {
+          title: snippet?.title,
+          description: typeof snippet?.description === "string" ? snippet.description : null,
+          updated_at: toTimestamp(snippet?.updatedAt),
+          categories: labelsBySnippet.get(snippet?.guid) || [],
+          fragments,
+        },
+        warnings
+      );
+    }
+
+    return collector.result();
+  },
+};
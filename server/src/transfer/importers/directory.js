@@ -0,0 +1,87 @@
+import path from "path";
+import { buildFragment, createCollector, loadZip, toTimestamp } from "./shared.js";
+
+// Operating system clutter that never belongs to a snippet
+const IGNORED_FILES = new Set([".ds_store", "thumbs.db", "desktop.ini"]);
+
+function isIgnored(entryPath) {
+  const segments = entryPath.split("/");
+  const fileName = segments.pop();
+  return (
+    IGNORED_FILES.has(fileName.toLowerCase()) ||
+    segments.some((segment) => segment.startsWith(".") || segment === "__MACOSX")
+  );
+}
+
+function isBinary(content) {
+  return content.subarray(0, 8000).includes(0);
+}
+
+// A zipped directory tree. Every directory that holds files becomes one
+// snippet with those files as fragments, and the directories above it become
+// categories. Loose files at the top level become a snippet each.
+export default {
+  name: "directory",
+  async parse(buffer) {
+    const { zip, read } = await loadZip(buffer);
+    const entries = Object.values(zip.files).filter(
+      (entry) => !entry.dir && !isIgnored(entry.name)
+    );
+
+    // A zip of a single folder: that folder is the container, not a category
+    const roots = new Set(entries.map((entry) => entry.name.split("/")[0]));
+    const stripRoot = roots.size === 1 && entries.every((entry) => entry.name.includes("/"));
+
+    const groups = new Map();
+    for (const entry of entries) {
+      const relative = stripRoot ? entry.name.slice(entry.name.indexOf("/") + 1) : entry.name;
+      const directory = path.posix.dirname(relative);
+      const key = directory === "." ? `./${relative}` : directory;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push({ entry, fileName: path.posix.basename(relative) });
+    }
+
+    const collector = createCollector();
+
+    for (const key of [...groups.keys()].sort()) {
+      const loose = key.startsWith("./");
+      const segments = loose ? [] : key.split("/");
+      const title = loose ? key.slice(2) : segments[segments.length - 1];
+      const files = groups.get(key).sort((a, b) => a.fileName.localeCompare(b.fileName));
+      const warnings = [];
+      const fragments = [];
+      let updatedAt = null;
+
+      for (const { entry, fileName } of files) {
+        const content = await read(entry);
+        if (isBinary(content)) {
+          warnings.push(`"${fileName}" looks like a binary file and was skipped`);
+          continue;
+        }
+        if (!updatedAt || entry.date > updatedAt) {
+          updatedAt = entry.date;
+        }
+        fragments.push(
+          buildFragment(
+            { fileName, code: content.toString("utf8"), position: fragments.length },
+            warnings
+          )
+        );
+      }
+
+      collector.add(
+        {
+          title,
+          categories: segments.slice(0, -1),
+          updated_at: toTimestamp(updatedAt),
+          fragments,
+        },
+        warnings
+      );
+    }
+
+    return collector.result();
+  },
+};
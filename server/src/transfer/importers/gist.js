@@ -0,0 +1,59 @@
+import { buildFragment, createCollector, parseJsonDocument, toTimestamp } from "./shared.js";
+
+// GitHub Gist API responses: a single gist (GET /gists/:id) or a list of
+// them. List responses omit file contents, so those files are reported.
+export default {
+  name: "gist",
+  async parse(buffer) {
+    const document = parseJsonDocument(buffer);
+    if (!Array.isArray(document) && typeof document?.files !== "object") {
+      throw new Error("Invalid archive: not a Gist export");
+    }
+    const gists = Array.isArray(document) ? document : [document];
+    const collector = createCollector();
+
+    gists.forEach((gist, index) => {
+      if (!gist || typeof gist.files !== "object" || gist.files === null) {
+        collector.warn(`Gist ${index + 1}`, "Skipped because it is not a gist");
+        return;
+      }
+
+      const description = typeof gist.description === "string" ? gist.description.trim() : "";
+      const fileNames = Object.keys(gist.files);
+      const title = description.split("\n")[0].trim() || fileNames[0] || gist.id;
+      const warnings = [];
+      const fragments = [];
+
+      for (const key of fileNames) {
+        const file = gist.files[key] || {};
+        const fileName = file.filename || key;
+        if (typeof file.content !== "string") {
+          warnings.push(`"${fileName}" has no content in this export and was skipped`);
+          continue;
+        }
+        if (file.truncated) {
+          warnings.push(`"${fileName}" was truncated by the Gist API`);
+        }
+        fragments.push(
+          buildFragment(
+            { fileName, code: file.content, language: file.language, position: fragments.length },
+            warnings
+          )
+        );
+      }
+
+      collector.add(
+        {
+          title,
+          description: description || null,
+          categories: [],
+          updated_at: toTimestamp(gist.updated_at),
+          fragments,
+        },
+        warnings
+      );
+    });
+
+    return collector.result();
+  },
+};
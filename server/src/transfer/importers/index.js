@@ -0,0 +1,22 @@
+import bytestash from "./bytestash.js";
+import cacher from "./cacher.js";
+import directory from "./directory.js";
+import gist from "./gist.js";
+import masscode from "./masscode.js";
+import snippetslab from "./snippetslab.js";
+import vscode from "./vscode.js";
+
+// Each importer turns an uploaded file into snippets shaped for
+// SnippetRepository.create:
+//   name                          - value of the import `source` option
+//   parse(buffer, { fileName })   - resolves to { snippets, warnings }
+// Snippets carry their own `warnings` (messages); the top-level warnings list
+// items that could not be imported at all as { title, message }. Parse errors
+// for the whole file are thrown as "Invalid archive: ..." errors.
+const IMPORTERS = [bytestash, gist, masscode, cacher, snippetslab, vscode, directory];
+
+export const IMPORT_SOURCES = IMPORTERS.map((importer) => importer.name);
+
+export function getImporter(name) {
+  return IMPORTERS.find((importer) => importer.name === name) || null;
+}
@@ -0,0 +1,74 @@
+import { buildFragment, createCollector, parseJsonDocument, toTimestamp } from "./shared.js";
+
+// massCode's db.json. Folder names along the folder path and tags become
+// categories; snippets in the massCode trash are not imported.
+export default {
+  name: "masscode",
+  async parse(buffer) {
+    const document = parseJsonDocument(buffer);
+    if (!Array.isArray(document?.snippets)) {
+      throw new Error("Invalid archive: not a massCode database");
+    }
+
+    const folders = new Map(
+      (Array.isArray(document.folders) ? document.folders : []).map((folder) => [folder.id, folder])
+    );
+    const tags = new Map(
+      (Array.isArray(document.tags) ? document.tags : []).map((tag) => [tag.id, tag.name])
+    );
+
+    const folderPath = (folderId) => {
+      const names = [];
+      const seen = new Set();
+      let folder = folders.get(folderId);
+      while (folder && !seen.has(folder.id)) {
+        seen.add(folder.id);
+        names.unshift(folder.name);
+        folder = folders.get(folder.parentId);
+      }
+      return names;
+    };
+
+    const collector = createCollector();
+
+    for (const snippet of document.snippets) {
+      const title = snippet?.name || "Untitled snippet";
+      if (snippet?.isDeleted) {
+        collector.warn(title, "Skipped because it is in the massCode trash");
+        continue;
+      }
+
+      const warnings = [];
+      const content = Array.isArray(snippet?.content) ? snippet.content : [];
+      const fragments = content.map((fragment, position) =>
+        buildFragment(
+          {
+            fileName: fragment?.label || `Fragment ${position + 1}`,
+            code: fragment?.value,
+            language: fragment?.language,
+            position,
+          },
+          warnings
+        )
+      );
+
+      const tagNames = (Array.isArray(snippet.tagsIds) ? snippet.tagsIds : [])
+        .map((id) => tags.get(id))
+        .filter(Boolean);
+
+      collector.add(
+        {
+          title,
+          description: typeof snippet.description === "string" ? snippet.description : null,
+          is_favorite: Boolean(snippet.isFavorites),
+          updated_at: toTimestamp(snippet.updatedAt),
+          categories: [...folderPath(snippet.folderId), ...tagNames],
+          fragments,
+        },
+        warnings
+      );
+    }
+
+    return collector.result();
+  },
+};
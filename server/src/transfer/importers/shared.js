@@ -0,0 +1,84 @@
+import { isZip, normalizeArchivedSnippet, openZip } from "../libraryArchive.js";
+import { guessLanguage, normalizeLanguage } from "../languages.js";
+
+export function readText(buffer) {
+  return buffer.toString("utf8").replace(/^\uFEFF/, "");
+}
+
+export function parseJsonDocument(buffer) {
+  try {
+    return JSON.parse(readText(buffer));
+  } catch {
+    throw new Error("Invalid archive: not valid JSON");
+  }
+}
+
+// The zip and a size-limited reader for its entries (see openZip)
+export async function loadZip(buffer) {
+  if (!isZip(buffer)) {
+    throw new Error("Invalid archive: expected a zip file");
+  }
+  return openZip(buffer);
+}
+
+// Accepts epoch milliseconds or any date string, returns ISO or null
+export function toTimestamp(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Builds a fragment, preferring the language the source tool declared and
+// falling back to the file extension. Unknown languages become plaintext
+// with a warning on the snippet.
+export function buildFragment({ fileName, code, language, position }, warnings) {
+  const resolved = normalizeLanguage(language) || guessLanguage(fileName);
+  if (!resolved) {
+    warnings.push(`Could not detect the language of "${fileName}", using plaintext`);
+  }
+  return {
+    file_name: fileName,
+    code: typeof code === "string" ? code : "",
+    language: resolved || "plaintext",
+    position,
+  };
+}
+
+// Gathers normalized snippets from an importer. Items that cannot be saved
+// are dropped and reported instead of failing the whole import.
+export function createCollector() {
+  const snippets = [];
+  const warnings = [];
+
+  return {
+    warn(title, message) {
+      warnings.push({ title: title || null, message });
+    },
+
+    add(raw, itemWarnings = []) {
+      if (!Array.isArray(raw.fragments) || raw.fragments.length === 0) {
+        itemWarnings.forEach((message) => this.warn(raw.title, message));
+        this.warn(raw.title, "Skipped because it has no importable files");
+        return;
+      }
+      try {
+        const snippet = normalizeArchivedSnippet(
+          { visibility: "PRIVATE", ...raw },
+          snippets.length
+        );
+        snippets.push({ ...snippet, warnings: itemWarnings });
+      } catch (error) {
+        this.warn(
+          raw.title,
+          `Skipped because it ${error.message.replace(/^Invalid archive: snippet \d+ /, "")}`
+        );
+      }
+    },
+
+    result() {
+      return { snippets, warnings };
+    },
+  };
+}
@@ -0,0 +1,59 @@
+import { buildFragment, createCollector, parseJsonDocument, toTimestamp } from "./shared.js";
+
+// SnippetsLab's JSON export. Folders and tags are referenced by uuid and
+// become categories; fragment languages are Pygments lexer names.
+export default {
+  name: "snippetslab",
+  async parse(buffer) {
+    const document = parseJsonDocument(buffer);
+    const contents = document?.contents || document;
+    if (!Array.isArray(contents?.snippets)) {
+      throw new Error("Invalid archive: not a SnippetsLab export");
+    }
+
+    const titles = new Map();
+    for (const entry of [
+      ...(Array.isArray(contents.folders) ? contents.folders : []),
+      ...(Array.isArray(contents.tags) ? contents.tags : []),
+    ]) {
+      titles.set(entry?.uuid, entry?.title);
+    }
+
+    const collector = createCollector();
+
+    for (const snippet of contents.snippets) {
+      const warnings = [];
+      const fragments = (Array.isArray(snippet?.fragments) ? snippet.fragments : []).map(
+        (fragment, position) =>
+          buildFragment(
+            {
+              fileName: fragment?.title || `Fragment ${position + 1}`,
+              code: fragment?.content,
+              language: fragment?.language,
+              position,
+            },
+            warnings
+          )
+      );
+
+      const notes = (Array.isArray(snippet?.fragments) ? snippet.fragments : [])
+        .map((fragment) => (typeof fragment?.note === "string" ? fragment.note.trim() : ""))
+        .filter(Boolean);
+
+      collector.add(
+        {
+          title: snippet?.title,
+          description: notes.length > 0 ? notes.join("\n\n") : null,
+          updated_at: toTimestamp(snippet?.dateModified),
+          categories: [snippet?.folder, ...(Array.isArray(snippet?.tags) ? snippet.tags : [])]
+            .map((uuid) => titles.get(uuid))
+            .filter(Boolean),
+          fragments,
+        },
+        warnings
+      );
+    }
+
+    return collector.result();
+  },
+};
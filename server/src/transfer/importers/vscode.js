@@ -0,0 +1,114 @@
+import path from "path";
+import { extensionForLanguage, normalizeLanguage } from "../languages.js";
+import { buildFragment, createCollector, readText } from "./shared.js";
+
+// VS Code snippet files are JSON with comments and trailing commas
+function stripJsonExtensions(text) {
+  const output = [];
+  let inString = false;
+  let pendingComma = -1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      output.push(char);
+      if (char === "\\") {
+        output.push(text[++i] ?? "");
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === "/" && text[i + 1] === "/") {
+      while (i < text.length && text[i] !== "\n") i++;
+      output.push("\n");
+      continue;
+    }
+    if (char === "/" && text[i + 1] === "*") {
+      const end = text.indexOf("*/", i + 2);
+      i = end === -1 ? text.length : end + 1;
+      continue;
+    }
+    if (/\s/.test(char)) {
+      output.push(char);
+      continue;
+    }
+
+    if ((char === "}" || char === "]") && pendingComma !== -1) {
+      output[pendingComma] = "";
+    }
+    pendingComma = char === "," ? output.length : -1;
+    if (char === '"') {
+      inString = true;
+    }
+    output.push(char);
+  }
+
+  return output.join("");
+}
+
+// A global `.code-snippets` file or a per-language `<language>.json` file.
+// Each entry becomes a snippet whose only fragment is the snippet body;
+// the file name becomes the category.
+export default {
+  name: "vscode",
+  async parse(buffer, { fileName = "" } = {}) {
+    let document;
+    try {
+      document = JSON.parse(stripJsonExtensions(readText(buffer)));
+    } catch {
+      throw new Error("Invalid archive: not valid JSON");
+    }
+    if (!document || typeof document !== "object" || Array.isArray(document)) {
+      throw new Error("Invalid archive: not a VS Code snippets file");
+    }
+
+    const baseName = path.basename(fileName).replace(/\.(code-snippets|json)$/i, "");
+    const fileLanguage = /\.json$/i.test(fileName) ? normalizeLanguage(baseName) : null;
+    const collector = createCollector();
+
+    for (const [name, entry] of Object.entries(document)) {
+      if (!entry || (typeof entry.body !== "string" && !Array.isArray(entry.body))) {
+        collector.warn(name, "Skipped because it has no body");
+        continue;
+      }
+
+      const warnings = [];
+      const scope = typeof entry.scope === "string" ? entry.scope.split(",")[0].trim() : "";
+      const language = normalizeLanguage(scope) || fileLanguage;
+      const prefixes = [entry.prefix].flat().filter((prefix) => typeof prefix === "string");
+      const stem = (prefixes[0] || name).replace(/[^\w.-]+/g, "-");
+
+      const description = [
+        typeof entry.description === "string" ? entry.description : "",
+        prefixes.length > 0 ? `Prefix: ${prefixes.join(", ")}` : "",
+      ]
+        .filter(Boolean)
+        .join("\n\n");
+
+      collector.add(
+        {
+          title: name,
+          description: description || null,
+          categories: baseName ? [baseName] : [],
+          fragments: [
+            buildFragment(
+              {
+                fileName: `${stem}${extensionForLanguage(language)}`,
+                code: [entry.body].flat().join("\n"),
+                language,
+                position: 0,
+              },
+              warnings
+            ),
+          ],
+        },
+        warnings
+      );
+    }
+
+    return collector.result();
+  },
+};
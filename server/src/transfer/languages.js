@@ -0,0 +1,189 @@
+import path from "path";
+
+// Language keys understood by the editor (client LANGUAGE_MAPPING), keyed by
+// file extension without the leading dot.
+const EXTENSION_LANGUAGES = {
+  js: "javascript",
+  mjs: "javascript",
+  cjs: "javascript",
+  jsx: "javascript",
+  ts: "typescript",
+  mts: "typescript",
+  cts: "typescript",
+  tsx: "typescript",
+  html: "html",
+  htm: "html",
+  css: "css",
+  scss: "css",
+  sass: "css",
+  less: "css",
+  php: "php",
+  wat: "webassembly",
+  wast: "webassembly",
+  c: "c",
+  h: "c",
+  cpp: "cpp",
+  cc: "cpp",
+  cxx: "cpp",
+  hpp: "cpp",
+  hh: "cpp",
+  hxx: "cpp",
+  cs: "csharp",
+  vba: "vba",
+  bas: "vba",
+  vbs: "vba",
+  rs: "rust",
+  go: "go",
+  java: "java",
+  kt: "kotlin",
+  kts: "kotlin",
+  scala: "scala",
+  sc: "scala",
+  groovy: "groovy",
+  gradle: "groovy",
+  py: "python",
+  pyw: "python",
+  rb: "ruby",
+  pl: "perl",
+  pm: "perl",
+  lua: "lua",
+  sh: "bash",
+  bash: "bash",
+  zsh: "bash",
+  ps1: "powershell",
+  psm1: "powershell",
+  bat: "batch",
+  cmd: "batch",
+  sql: "sql",
+  md: "markdown",
+  markdown: "markdown",
+  yml: "yaml",
+  yaml: "yaml",
+  json: "json",
+  jsonc: "json",
+  xml: "xml",
+  xsd: "xml",
+  svg: "xml",
+  toml: "toml",
+  ini: "ini",
+  cfg: "ini",
+  conf: "conf",
+  vim: "vimscript",
+  tf: "terraform",
+  tfvars: "terraform",
+  swift: "swift",
+  r: "r",
+  jl: "julia",
+  dart: "dart",
+  elm: "elm",
+  cls: "apex",
+  trigger: "apex",
+  sol: "solidity",
+  vy: "vyper",
+  v: "verilog",
+  sv: "systemverilog",
+  svh: "systemverilog",
+  tex: "latex",
+  m: "matlab",
+  graphql: "graphql",
+  gql: "graphql",
+  cypher: "cypher",
+  cql: "cypher",
+  abap: "abap",
+  txt: "plaintext",
+  text: "plaintext",
+  log: "plaintext",
+};
+
+// Whole file names that carry no useful extension
+const FILE_NAME_LANGUAGES = {
+  dockerfile: "dockerfile",
+  containerfile: "dockerfile",
+  ".bashrc": "bash",
+  ".bash_profile": "bash",
+  ".zshrc": "bash",
+  ".profile": "bash",
+  ".vimrc": "vimscript",
+  ".gitconfig": "ini",
+  ".editorconfig": "ini",
+};
+
+const KNOWN_LANGUAGES = new Set([
+  ...Object.values(EXTENSION_LANGUAGES),
+  ...Object.values(FILE_NAME_LANGUAGES),
+  "mongodb",
+  "kubernetes",
+]);
+
+// Names other tools use for the same languages (GitHub linguist, VS Code
+// language ids, Ace modes, Pygments lexers)
+const LANGUAGE_ALIASES = {
+  "c++": "cpp",
+  c_cpp: "cpp",
+  "c#": "csharp",
+  shell: "bash",
+  shellscript: "bash",
+  "shell script": "bash",
+  "shell session": "bash",
+  console: "bash",
+  batchfile: "batch",
+  dos: "batch",
+  posh: "powershell",
+  golang: "go",
+  javascriptreact: "javascript",
+  typescriptreact: "typescript",
+  node: "javascript",
+  python3: "python",
+  py3: "python",
+  docker: "dockerfile",
+  hcl: "terraform",
+  xhtml: "html",
+  "plain text": "plaintext",
+  plain: "plaintext",
+  "visual basic": "vba",
+  vb: "vba",
+};
+
+// Maps a language name declared by another tool onto an editor language key,
+// or null when it is unknown.
+export function normalizeLanguage(name) {
+  if (typeof name !== "string") {
+    return null;
+  }
+  const key = name
+    .trim()
+    .toLowerCase()
+    .replace(/lexer$/, "");
+  if (!key) {
+    return null;
+  }
+  if (KNOWN_LANGUAGES.has(key)) {
+    return key;
+  }
+  if (key in LANGUAGE_ALIASES) {
+    return LANGUAGE_ALIASES[key];
+  }
+  return EXTENSION_LANGUAGES[key] || null;
+}
+
+// Guesses the language from a file name, or null when nothing matches
+export function guessLanguage(fileName) {
+  if (typeof fileName !== "string") {
+    return null;
+  }
+  const base = path.posix.basename(fileName.replace(/\\/g, "/")).toLowerCase();
+  if (FILE_NAME_LANGUAGES[base]) {
+    return FILE_NAME_LANGUAGES[base];
+  }
+  if (base.startsWith("dockerfile.")) {
+    return "dockerfile";
+  }
+  const extension = path.posix.extname(base).slice(1);
+  return (extension && EXTENSION_LANGUAGES[extension]) || null;
+}
+
+// First extension for a language, used to name files that came without one
+export function extensionForLanguage(language) {
+  const match = Object.entries(EXTENSION_LANGUAGES).find(([, value]) => value === language);
+  return match ? `.${match[0]}` : "";
+}
@@ -0,0 +1,287 @@
+import { Readable } from "stream";
+import JSZip from "jszip";
+import { normalizeVariables } from "../templates/templateEngine.js";
+import {
+  fillFallbackPaths,
+  normalizeFragmentPath,
+  uniqueFragmentPath,
+} from "../utils/fragmentPaths.js";
+
+// Versioned, lossless dump of a user's library. The zip flavour carries the
+// same document as library.json plus each fragment as a plain file for
+// browsing; only library.json is read back on import.
+export const LIBRARY_FORMAT = "bytestash-library";
+export const LIBRARY_FORMAT_VERSION = 1;
+export const LIBRARY_ZIP_ENTRY = "library.json";
+
+const VISIBILITIES = ["PRIVATE", "TEAM", "SHARED", "PUBLIC"];
+
+// Limits for uploaded zips, so a small upload cannot inflate into more
+// memory than the server has
+const MAX_ZIP_ENTRIES = 5000;
+const MAX_ZIP_UNCOMPRESSED_BYTES = 100 * 1024 * 1024;
+const ZIP_TOO_LARGE = `Invalid archive: more than ${
+  MAX_ZIP_UNCOMPRESSED_BYTES / 1024 / 1024
+} MB uncompressed`;
+
+export function serializeSnippet(snippet) {
+  return {
+    title: snippet.title,
+    description: snippet.description ?? null,
+    visibility: snippet.visibility || (snippet.is_public ? "PUBLIC" : "PRIVATE"),
+    is_pinned: Boolean(snippet.is_pinned),
+    is_favorite: Boolean(snippet.is_favorite),
+    updated_at: snippet.updated_at,
+    categories: [...snippet.categories].sort(),
+    fragments: snippet.fragments.map((fragment) => ({
+      file_name: fragment.file_name,
+      code: fragment.code,
+      language: fragment.language,
+      position: fragment.position,
+    })),
+    variables: snippet.variables || [],
+  };
+}
+
+function buildHeader(meta) {
+  return {
+    format: LIBRARY_FORMAT,
+    version: LIBRARY_FORMAT_VERSION,
+    exported_at: new Date().toISOString(),
+    ...meta,
+  };
+}
+
+// Emits the document one snippet at a time so large libraries are not
+// serialised into a single string.
+export function createLibraryJsonStream(snippets, meta = {}) {
+  const header = JSON.stringify(buildHeader(meta));
+
+  function* chunks() {
+    yield `${header.slice(0, -1)},"snippets":[`;
+    for (let i = 0; i < snippets.length; i++) {
+      yield (i > 0 ? "," : "") + JSON.stringify(serializeSnippet(snippets[i]));
+    }
+    yield "]}";
+  }
+
+  return Readable.from(chunks());
+}
+
+export function toPathSegment(value, fallback) {
+  const segment = String(value || "")
+    .replace(/[\\/:*?"<>|\x00-\x1f]+/g, "-")
+    .replace(/^\.+/, "")
+    .trim()
+    .slice(0, 80);
+  return segment || fallback;
+}
+
+export function createLibraryZipStream(snippets, meta = {}) {
+  const zip = new JSZip();
+  const document = {
+    ...buildHeader(meta),
+    snippets: snippets.map(serializeSnippet),
+  };
+  zip.file(LIBRARY_ZIP_ENTRY, JSON.stringify(document, null, 2));
+
+  snippets.forEach((snippet, index) => {
+    const folder = `snippets/${String(index + 1).padStart(4, "0")}-${toPathSegment(
+      snippet.title,
+      "untitled"
+    )}`;
+    const used = new Set();
+    for (const fragment of snippet.fragments) {
+      let name = toPathSegment(fragment.file_name, `file${fragment.position + 1}`);
+      while (used.has(name)) {
+        name = `_${name}`;
+      }
+      used.add(name);
+      zip.file(`${folder}/${name}`, fragment.code || "");
+    }
+  });
+
+  return zip.generateNodeStream({
+    type: "nodebuffer",
+    streamFiles: true,
+    compression: "DEFLATE",
+  });
+}
+
+export function isZip(buffer) {
+  return (
+    buffer.length >= 4 &&
+    buffer[0] === 0x50 &&
+    buffer[1] === 0x4b &&
+    buffer[2] === 0x03 &&
+    buffer[3] === 0x04
+  );
+}
+
+// Opens an uploaded zip after checking its entry count and the sizes its
+// headers declare. `read(entry)` returns an entry's content as a Buffer and
+// counts the inflated bytes against the same limit, since headers can lie.
+export async function openZip(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch {
+    throw new Error("Invalid archive: unreadable zip file");
+  }
+
+  const entries = Object.values(zip.files).filter((entry) => !entry.dir);
+  if (entries.length > MAX_ZIP_ENTRIES) {
+    throw new Error(`Invalid archive: more than ${MAX_ZIP_ENTRIES} files`);
+  }
+  const declaredBytes = entries.reduce(
+    (total, entry) => total + (entry._data?.uncompressedSize || 0),
+    0
+  );
+  if (declaredBytes > MAX_ZIP_UNCOMPRESSED_BYTES) {
+    throw new Error(ZIP_TOO_LARGE);
+  }
+
+  let remainingBytes = MAX_ZIP_UNCOMPRESSED_BYTES;
+  const read = (entry) =>
+    new Promise((resolve, reject) => {
+      const chunks = [];
+      const stream = entry.internalStream("uint8array");
+      stream
+        .on("data", (chunk) => {
+          remainingBytes -= chunk.length;
+          if (remainingBytes < 0) {
+            stream.pause();
+            reject(new Error(ZIP_TOO_LARGE));
+            return;
+          }
+          chunks.push(chunk);
+        })
+        .on("error", () => reject(new Error("Invalid archive: unreadable zip file")))
+        .on("end", () => resolve(Buffer.concat(chunks)))
+        .resume();
+    });
+
+  return { zip, read };
+}
+
+function invalid(index, reason) {
+  return new Error(`Invalid archive: snippet ${index + 1} ${reason}`);
+}
+
+// Coerces one archived snippet into the shape SnippetRepository.create takes,
+// rejecting anything that would not survive a save.
+export function normalizeArchivedSnippet(raw, index) {
+  if (!raw || typeof raw !== "object") {
+    throw invalid(index, "is not an object");
+  }
+
+  const title = typeof raw.title === "string" ? raw.title.trim() : "";
+  if (!title) {
+    throw invalid(index, "has no title");
+  }
+
+  if (!Array.isArray(raw.fragments)) {
+    throw invalid(index, "has no fragments");
+  }
+  const fragments = raw.fragments.map((fragment, position) => {
+    if (!fragment || typeof fragment !== "object" || typeof fragment.code !== "string") {
+      throw invalid(index, `has an invalid fragment at position ${position}`);
+    }
+    return {
+      file_name: typeof fragment.file_name === "string" ? fragment.file_name : "",
+      code: fragment.code,
+      language: typeof fragment.language === "string" ? fragment.language : "plaintext",
+      position: Number.isInteger(fragment.position) ? fragment.position : position,
+    };
+  });
+  fragments.sort((a, b) => a.position - b.position);
+
+  // Unsafe names are refused; clashing ones, which older snippets may have,
+  // are renamed
+  const paths = [];
+  for (const fragment of fragments) {
+    try {
+      const path = normalizeFragmentPath(fragment.file_name);
+      paths.push(path ? uniqueFragmentPath(path, paths) : "");
+    } catch (error) {
+      throw invalid(index, `has an invalid file name (${error.message})`);
+    }
+  }
+  fillFallbackPaths(paths).forEach((path, position) => {
+    fragments[position].file_name = path;
+  });
+
+  const categories = Array.isArray(raw.categories)
+    ? [
+        ...new Set(
+          raw.categories
+            .filter((category) => typeof category === "string")
+            .map((category) => category.trim().toLowerCase())
+            .filter(Boolean)
+        ),
+      ].sort()
+    : [];
+
+  let variables;
+  try {
+    variables = normalizeVariables(raw.variables);
+  } catch (error) {
+    const reason = error.message.replace(/^Invalid template variables: /, "");
+    throw invalid(index, `has invalid variables (${reason})`);
+  }
+
+  const requestedVisibility = String(raw.visibility || "").toUpperCase();
+  const visibility = VISIBILITIES.includes(requestedVisibility)
+    ? requestedVisibility
+    : raw.is_public
+      ? "PUBLIC"
+      : "PRIVATE";
+
+  return {
+    title,
+    description: typeof raw.description === "string" ? raw.description : null,
+    visibility,
+    isPinned: Boolean(raw.is_pinned),
+    isFavorite: Boolean(raw.is_favorite),
+    updatedAt: typeof raw.updated_at === "string" ? raw.updated_at : null,
+    categories,
+    fragments,
+    variables,
+  };
+}
+
+// Accepts either a raw library.json or a zip produced by the export
+export async function parseLibraryArchive(buffer) {
+  let text = null;
+
+  if (isZip(buffer)) {
+    const { zip, read } = await openZip(buffer);
+    const entry = zip.file(LIBRARY_ZIP_ENTRY);
+    if (!entry) {
+      throw new Error(`Invalid archive: ${LIBRARY_ZIP_ENTRY} is missing`);
+    }
+    text = (await read(entry)).toString("utf8");
+  } else {
+    text = buffer.toString("utf8");
+  }
+
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch {
+    throw new Error("Invalid archive: not valid JSON");
+  }
+
+  if (document?.format !== LIBRARY_FORMAT || !Array.isArray(document.snippets)) {
+    throw new Error("Invalid archive: not a library export");
+  }
+  if (
+    !Number.isInteger(document.version) ||
+    document.version < 1 ||
+    document.version > LIBRARY_FORMAT_VERSION
+  ) {
+    throw new Error("Unsupported archive version");
+  }
+
+  return document.snippets.map(normalizeArchivedSnippet);
+}
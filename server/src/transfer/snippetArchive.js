@@ -0,0 +1,131 @@
+import JSZip from "jszip";
+import { Readable, pipeline } from "stream";
+import { createGzip } from "zlib";
+import {
+  fillFallbackPaths,
+  normalizeFragmentPath,
+  uniqueFragmentPath,
+} from "../utils/fragmentPaths.js";
+
+// Download of one snippet as a file tree: every fragment is written to its
+// path (see utils/fragmentPaths), with "/" in the name becoming folders.
+
+export const ARCHIVE_FORMATS = ["zip", "tar.gz"];
+
+const TAR_BLOCK = 512;
+
+function invalidPath(fileName, reason) {
+  return new Error(`Invalid fragment path: "${fileName}" ${reason}`);
+}
+
+// Archive entries for the fragments in position order. Paths are checked
+// again because snippets saved before they were validated may still hold
+// unsafe or clashing names.
+export function archiveEntries(fragments) {
+  const sorted = [...fragments].sort((a, b) => a.position - b.position);
+  const paths = [];
+  for (const fragment of sorted) {
+    const path = normalizeFragmentPath(fragment.file_name);
+    paths.push(path ? uniqueFragmentPath(path, paths) : "");
+  }
+
+  return fillFallbackPaths(paths).map((path, index) => {
+    const content = sorted[index].code || "";
+    return {
+      path,
+      content,
+      // Scripts keep working after extraction
+      mode: content.startsWith("#!") ? 0o755 : 0o644,
+    };
+  });
+}
+
+function createZipStream(entries, date) {
+  const zip = new JSZip();
+  for (const entry of entries) {
+    zip.file(entry.path, entry.content, { date, unixPermissions: entry.mode });
+  }
+  return zip.generateNodeStream({
+    type: "nodebuffer",
+    streamFiles: true,
+    compression: "DEFLATE",
+    platform: "UNIX",
+  });
+}
+
+function writeOctal(header, value, offset, length) {
+  header.write(`${value.toString(8).padStart(length - 1, "0")}\0`, offset, length, "ascii");
+}
+
+// ustar keeps names up to 100 bytes, plus a 155 byte prefix split at a "/"
+function splitTarPath(path) {
+  if (Buffer.byteLength(path) <= 100) {
+    return { name: path, prefix: "" };
+  }
+  for (let index = path.indexOf("/"); index !== -1; index = path.indexOf("/", index + 1)) {
+    const prefix = path.slice(0, index);
+    const name = path.slice(index + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(name) <= 100) {
+      return { name, prefix };
+    }
+  }
+  throw invalidPath(path, "does not fit a tar header");
+}
+
+function tarHeader(entry, size, mtime) {
+  const { name, prefix } = splitTarPath(entry.path);
+  const header = Buffer.alloc(TAR_BLOCK);
+  header.write(name, 0, 100, "utf8");
+  writeOctal(header, entry.mode, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, mtime, 136, 12);
+  header.fill(0x20, 148, 156);
+  header.write("0", 156, 1, "ascii");
+  header.write("ustar\0" + "00", 257, 8, "ascii");
+  header.write(prefix, 345, 155, "utf8");
+
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  header.write(`${checksum.toString(8).padStart(6, "0")}\0 `, 148, 8, "ascii");
+  return header;
+}
+
+function createTarGzStream(entries, date) {
+  const mtime = Math.floor(date.getTime() / 1000);
+  // Headers are built up front so a path that does not fit fails before
+  // anything is sent
+  const blocks = [];
+  for (const entry of entries) {
+    const content = Buffer.from(entry.content, "utf8");
+    blocks.push(tarHeader(entry, content.length, mtime), content);
+    const padding = (TAR_BLOCK - (content.length % TAR_BLOCK)) % TAR_BLOCK;
+    if (padding > 0) {
+      blocks.push(Buffer.alloc(padding));
+    }
+  }
+  blocks.push(Buffer.alloc(TAR_BLOCK * 2));
+
+  return pipeline(Readable.from(blocks), createGzip(), () => {});
+}
+
+// `entries` come from archiveEntries; returns the stream and its content type
+export function createSnippetArchiveStream(entries, format, { updatedAt } = {}) {
+  const parsed = updatedAt ? new Date(updatedAt) : new Date();
+  const date = isNaN(parsed.getTime()) ? new Date() : parsed;
+
+  return format === "tar.gz"
+    ? {
+        stream: createTarGzStream(entries, date),
+        extension: "tar.gz",
+        contentType: "application/gzip",
+      }
+    : {
+        stream: createZipStream(entries, date),
+        extension: "zip",
+        contentType: "application/zip",
+      };
+}
@@ -0,0 +1,195 @@
+const DEFAULT_CONTEXT = 3;
+
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+
+  const normalized = String(text).replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+  const lines = normalized.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+// Edit distance times remaining lines beyond which the search gives up and
+// the changed region is shown as removed and re-added. Bounds both the time
+// and the memory kept for backtracking on large, very different inputs.
+const MAX_DIFF_WORK = 5000000;
+
+// Myers O(ND) search. Only the diagonals reachable after d edits (-d..d) are
+// kept for backtracking. Returns null when MAX_DIFF_WORK is exceeded.
+function shortestEdits(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 2);
+  const trace = [];
+
+  outer: for (let d = 0; d <= max; d += 1) {
+    if (d * max > MAX_DIFF_WORK) {
+      return null;
+    }
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x += 1;
+        y += 1;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        break outer;
+      }
+    }
+  }
+
+  const edits = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d -= 1) {
+    // trace[d] holds diagonals -d..d starting at index 0
+    const previous = trace[d];
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && previous[k - 1 + d] < previous[k + 1 + d])) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    const prevX = previous[prevK + d];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      edits.push({ type: ' ', line: a[x - 1] });
+      x -= 1;
+      y -= 1;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        edits.push({ type: '+', line: b[y - 1] });
+      } else {
+        edits.push({ type: '-', line: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return edits.reverse();
+}
+
+// Line diff. Returns an edit script of { type, line } entries where type is
+// one of ' ' (unchanged), '-' (removed) or '+' (added).
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Common leading and trailing lines are kept out of the search
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start += 1;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const removed = a.slice(start, endA);
+  const added = b.slice(start, endB);
+  const changed = shortestEdits(removed, added) || [
+    ...removed.map((line) => ({ type: '-', line })),
+    ...added.map((line) => ({ type: '+', line })),
+  ];
+  const unchanged = (line) => ({ type: ' ', line });
+
+  return a.slice(0, start).map(unchanged).concat(changed, a.slice(endA).map(unchanged));
+}
+
+function formatRange(start, count) {
+  if (count === 0) {
+    return `${Math.max(0, start - 1)},0`;
+  }
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+export function createUnifiedDiff(
+  oldText,
+  newText,
+  { oldLabel = 'a', newLabel = 'b', context = DEFAULT_CONTEXT } = {}
+) {
+  const edits = diffLines(oldText, newText);
+  if (!edits.some((edit) => edit.type !== ' ')) {
+    return '';
+  }
+
+  // Annotate every edit with its line number on each side
+  let oldLine = 1;
+  let newLine = 1;
+  const annotated = edits.map((edit) => {
+    const entry = { ...edit, oldLine, newLine };
+    if (edit.type !== '+') oldLine += 1;
+    if (edit.type !== '-') newLine += 1;
+    return entry;
+  });
+
+  const hunks = [];
+  let current = null;
+  let trailing = 0;
+
+  annotated.forEach((edit, index) => {
+    if (edit.type !== ' ') {
+      if (!current) {
+        const start = Math.max(0, index - context);
+        current = { lines: annotated.slice(start, index) };
+        hunks.push(current);
+      }
+      current.lines.push(edit);
+      trailing = 0;
+      return;
+    }
+
+    if (!current) {
+      return;
+    }
+
+    const nextChange = annotated
+      .slice(index + 1, index + 1 + context)
+      .some((next) => next.type !== ' ');
+
+    if (trailing < context || nextChange) {
+      current.lines.push(edit);
+      trailing += 1;
+    } else {
+      current = null;
+      trailing = 0;
+    }
+  });
+
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const hunk of hunks) {
+    const first = hunk.lines[0];
+    const oldCount = hunk.lines.filter((line) => line.type !== '+').length;
+    const newCount = hunk.lines.filter((line) => line.type !== '-').length;
+    output.push(
+      `@@ -${formatRange(first.oldLine, oldCount)} +${formatRange(first.newLine, newCount)} @@`
+    );
+    for (const line of hunk.lines) {
+      output.push(`${line.type}${line.line}`);
+    }
+  }
+
+  return `${output.join('\n')}\n`;
+}
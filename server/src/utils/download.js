@@ -0,0 +1,30 @@
+import Logger from "../logger.js";
+import {
+  renderFragment,
+  templateErrorBody,
+  templateValues,
+} from "../templates/templateEngine.js";
+
+// Streams a rendered export or archive ({ stream, extension, contentType,
+// fileName }) as an attachment
+export function sendDownload(res, { stream, extension, contentType, fileName }) {
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}.${extension}"`);
+  stream.on("error", (error) => {
+    Logger.error("Error streaming download:", error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}
+
+// Serves one fragment as plain text; templates are rendered with the values
+// in `query` and answer 400 when that fails
+export function sendRawFragment(res, snippet, fragment, query) {
+  const { code, missing, invalid } = renderFragment(snippet, fragment, templateValues(query));
+  if (code === null) {
+    return res.status(400).json(templateErrorBody(missing, invalid));
+  }
+  res.set("Content-Type", "text/plain; charset=utf-8");
+  // Remove carriage returns to fix bash script execution issues
+  res.send(code.replace(/\r\n/g, "\n").replace(/\r/g, "\n"));
+}
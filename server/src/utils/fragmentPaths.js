@@ -0,0 +1,129 @@
+// A fragment's file_name is a relative path inside the snippet, so a snippet
+// can hold a small project layout ("src/index.js", "config/app.yml"). Paths
+// are stored normalized: "/" separators, no "." or empty segments.
+
+export const MAX_PATH_BYTES = 255;
+
+function invalidPath(fileName, reason) {
+  return new Error(`Invalid fragment path: "${fileName}" ${reason}`);
+}
+
+// Normalizes one path. Absolute paths and ".." segments are rejected rather
+// than cleaned up, so nothing built from a snippet (archives, checkouts) can
+// reach outside its folder. Blank names stay blank.
+export function normalizeFragmentPath(fileName) {
+  const name = String(fileName ?? "").trim().replace(/\\/g, "/");
+  if (name.startsWith("/") || /^[A-Za-z]:/.test(name)) {
+    throw invalidPath(fileName, "is absolute");
+  }
+
+  const segments = name.split("/").filter((segment) => segment !== "" && segment !== ".");
+  if (segments.includes("..")) {
+    throw invalidPath(fileName, "leaves the snippet folder");
+  }
+  if (segments.some((segment) => /[\x00-\x1f]/.test(segment))) {
+    throw invalidPath(fileName, "contains control characters");
+  }
+
+  const path = segments.join("/");
+  if (Buffer.byteLength(path) > MAX_PATH_BYTES) {
+    throw invalidPath(fileName, `is longer than ${MAX_PATH_BYTES} bytes`);
+  }
+  return path;
+}
+
+// Throws when `path` clashes with one of `existingPaths`: the same file, or a
+// file that is also used as a folder ("src" next to "src/index.js")
+export function assertPathAvailable(path, existingPaths) {
+  if (!path) {
+    return;
+  }
+  for (const existing of existingPaths) {
+    if (existing === path) {
+      throw new Error(`Duplicate fragment path: "${path}"`);
+    }
+    if (existing.startsWith(`${path}/`) || path.startsWith(`${existing}/`)) {
+      throw invalidPath(path, "is used as both a file and a folder");
+    }
+  }
+}
+
+// Returns the fragments with normalized file names, rejecting clashes
+// between them. Unnamed fragments get their fallback name.
+export function normalizeFragmentPaths(fragments) {
+  const paths = [];
+  for (const fragment of fragments) {
+    const path = normalizeFragmentPath(fragment.file_name);
+    assertPathAvailable(path, paths);
+    paths.push(path);
+  }
+  return fillFallbackPaths(paths).map((path, index) => ({
+    ...fragments[index],
+    file_name: path,
+  }));
+}
+
+// Makes `path` available among `existingPaths` by prefixing its file name
+// with "_", the way clashing files of a library zip are kept apart. For
+// snippets saved before paths were validated. Still throws when one of the
+// folders of `path` is taken by a file.
+export function uniqueFragmentPath(path, existingPaths) {
+  const segments = path.split("/");
+  const folder = segments.slice(0, -1).join("/");
+  for (let name = segments[segments.length - 1]; ; name = `_${name}`) {
+    const candidate = folder ? `${folder}/${name}` : name;
+    try {
+      assertPathAvailable(candidate, existingPaths);
+      return candidate;
+    } catch (error) {
+      if (existingPaths.some((existing) => candidate.startsWith(`${existing}/`))) {
+        throw error;
+      }
+    }
+  }
+}
+
+// Name for a fragment saved without one: file<n> after its position, made
+// unique among `existingPaths`
+export function fallbackFragmentPath(position, existingPaths) {
+  return uniqueFragmentPath(`file${position + 1}`, existingPaths);
+}
+
+// Fills the blank entries of `paths` (fragment paths in position order) with
+// fallback names. Runs once every given name is known, so a fallback never
+// takes the name of a fragment further down.
+export function fillFallbackPaths(paths) {
+  const taken = paths.filter(Boolean);
+  return paths.map((path, position) => {
+    if (path) {
+      return path;
+    }
+    const fallback = fallbackFragmentPath(position, taken);
+    taken.push(fallback);
+    return fallback;
+  });
+}
+
+export function isFragmentPathError(error) {
+  return (
+    error.message.startsWith("Invalid fragment path") ||
+    error.message.startsWith("Duplicate fragment path")
+  );
+}
+
+// The fragment stored at `path`, or null. Throws for unsafe request paths.
+export function findFragmentByPath(fragments, path) {
+  const wanted = normalizeFragmentPath(path);
+  if (!wanted) {
+    return null;
+  }
+  return (
+    fragments.find((fragment) => {
+      try {
+        return normalizeFragmentPath(fragment.file_name) === wanted;
+      } catch {
+        return false;
+      }
+    }) || null
+  );
+}
@@ -0,0 +1,9 @@
+import crypto from "crypto";
+
+// "sha256=<hex HMAC of the raw body>", the value of the signature header
+// sent with audit sink and outbound webhook deliveries. With a timestamp the
+// HMAC covers "<timestamp>.<body>" instead.
+export function signWebhookBody(secret, body, timestamp = null) {
+  const signed = timestamp === null ? body : `${timestamp}.${body}`;
+  return `sha256=${crypto.createHmac("sha256", secret).update(signed).digest("hex")}`;
+}
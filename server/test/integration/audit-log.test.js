@@ -0,0 +1,192 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import path from "node:path";
+import Database from "better-sqlite3";
+import { startTestServer } from "./support/testServer.js";
+
+let server;
+let adminToken;
+let userToken;
+let user;
+
+before(async () => {
+  server = await startTestServer({ port: 5119 });
+  adminToken = (await server.registerUser("audit-admin")).token;
+  const registered = await server.registerUser("audit-user");
+  userToken = registered.token;
+  user = registered.user;
+
+  await server.request("POST", "/api/auth/login", {
+    body: { username: "audit-user", password: "supersecurepassword" },
+  });
+  await server.request("POST", "/api/auth/login", {
+    body: { username: "audit-user", password: "wrong-password" },
+  });
+  await server.request("POST", "/api/auth/login", {
+    body: { username: "nobody_100%", password: "wrong-password" },
+  });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+async function listAudit(query) {
+  const response = await server.request("GET", `/api/admin/audit?${new URLSearchParams(query)}`, {
+    token: adminToken,
+  });
+  assert.equal(response.status, 200);
+  return response.data;
+}
+
+test("filters by action prefix, actor and target", async () => {
+  const logins = await listAudit({ action: "auth.login.*" });
+  assert.deepEqual(
+    logins.logs.map((entry) => entry.action),
+    ["auth.login.failed", "auth.login.failed", "auth.login.success"]
+  );
+  assert.equal(logins.total, 3);
+
+  const byName = await listAudit({ action: "auth.login.*", actor: "AUDIT-USER" });
+  assert.equal(byName.total, 2);
+  assert.ok(byName.logs.every((entry) => entry.actor_username === "audit-user"));
+
+  const byId = await listAudit({ actor: String(user.id), action: "auth.login.success" });
+  assert.equal(byId.total, 1);
+
+  const system = await listAudit({ actor: "system", action: "auth.*" });
+  assert.equal(system.total, 1);
+  assert.equal(system.logs[0].target_id, "nobody_100%");
+
+  const target = await listAudit({ targetType: "user", targetId: String(user.id) });
+  assert.ok(target.total >= 2);
+  assert.ok(target.logs.every((entry) => entry.target_id === String(user.id)));
+
+  // "_" in a pattern is literal, not a single-character wildcard
+  const exact = await listAudit({ action: "auth_login_success" });
+  assert.equal(exact.total, 0);
+});
+
+test("filters by IP, date range and metadata text", async () => {
+  const logins = await listAudit({ action: "auth.login.*" });
+  const local = await listAudit({ action: "auth.login.*", ip: "*" });
+  assert.equal(local.total, 3);
+  const remote = await listAudit({ ip: "203.0.113.*" });
+  assert.equal(remote.total, 0);
+
+  const today = new Date().toISOString().slice(0, 10);
+  const inRange = await listAudit({ action: "auth.login.*", from: today, to: today });
+  assert.equal(inRange.total, 3);
+  const before = await listAudit({ action: "auth.login.*", to: "2000-01-01" });
+  assert.equal(before.total, 0);
+
+  // A time includes every entry logged within its second
+  const newest = logins.logs[0];
+  const upTo = await listAudit({
+    action: newest.action,
+    to: `${newest.created_at.replace(" ", "T")}.000Z`,
+  });
+  assert.ok(upTo.logs.some((entry) => entry.id === newest.id));
+
+  const search = await listAudit({ q: "invalid_password" });
+  assert.equal(search.total, 1);
+  assert.equal(search.logs[0].metadata.reason, "invalid_password");
+
+  // LIKE wildcards in the search text match literally
+  const percent = await listAudit({ q: "100%" });
+  assert.equal(percent.total, 1);
+  assert.equal(percent.logs[0].metadata.username, "nobody_100%");
+
+  const invalid = await server.request("GET", "/api/admin/audit?from=yesterday", {
+    token: adminToken,
+  });
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.data.message, /^Invalid date/);
+});
+
+test("exports the filtered log as CSV and JSONL", async () => {
+  const csv = await server.request("GET", "/api/admin/audit/export?format=csv&action=auth.login.*", {
+    token: adminToken,
+  });
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get("content-type"), /^text\/csv/);
+  assert.match(csv.headers.get("content-disposition"), /filename="audit-log-\d{4}-\d\d-\d\d\.csv"/);
+
+  const rows = csv.text.trim().split("\n");
+  assert.equal(
+    rows[0],
+    "id,created_at,actor_id,actor_username,action,target_type,target_id,ip_address,user_agent,metadata,prev_hash,hash"
+  );
+  assert.equal(rows.length, 4);
+  assert.ok(rows.some((row) => row.includes('"{""reason"":""invalid_password""}"')));
+
+  const jsonl = await server.request("GET", "/api/admin/audit/export?format=jsonl&actor=audit-user", {
+    token: adminToken,
+  });
+  assert.equal(jsonl.status, 200);
+  const entries = jsonl.text.trim().split("\n").map((line) => JSON.parse(line));
+  assert.ok(entries.length >= 2);
+  assert.ok(entries.every((entry) => entry.actor_username === "audit-user"));
+  assert.ok(entries.every((entry, i) => i === 0 || entry.id < entries[i - 1].id));
+
+  const unknown = await server.request("GET", "/api/admin/audit/export?format=xml", {
+    token: adminToken,
+  });
+  assert.equal(unknown.status, 400);
+
+  const denied = await server.request("GET", "/api/admin/audit/export", { token: userToken });
+  assert.equal(denied.status, 403);
+
+  const exports = await listAudit({ action: "admin.audit.export" });
+  assert.equal(exports.total, 2);
+  assert.equal(exports.logs[1].metadata.filters.action, "auth.login.*");
+});
+
+test("chains entries and reports the first broken link", async () => {
+  const verified = await server.request("GET", "/api/admin/audit/verify", { token: adminToken });
+  assert.equal(verified.status, 200);
+  assert.equal(verified.data.valid, true);
+  assert.equal(verified.data.brokenAt, null);
+
+  const checkpoint = await server.request("GET", "/api/admin/audit/checkpoint", {
+    token: adminToken,
+  });
+  assert.equal(checkpoint.status, 200);
+  assert.match(checkpoint.headers.get("content-disposition"), /audit-checkpoint-\d+\.json/);
+  const { payload, signature, publicKey, algorithm } = checkpoint.data;
+  assert.equal(algorithm, "ed25519");
+  assert.ok(crypto.verify(null, Buffer.from(payload), publicKey, Buffer.from(signature, "base64")));
+  assert.equal(checkpoint.data.checkpoint.lastId, verified.data.last.id);
+  assert.equal(checkpoint.data.checkpoint.lastHash, verified.data.last.hash);
+  assert.equal(checkpoint.data.checkpoint.entryCount, verified.data.checked);
+
+  const denied = await server.request("GET", "/api/admin/audit/verify", { token: userToken });
+  assert.equal(denied.status, 403);
+
+  // Deleting a user must not rewrite the chained entries of that user
+  const users = await server.request("GET", "/api/admin/users?search=audit-user", {
+    token: adminToken,
+  });
+  const removed = await server.request("DELETE", `/api/admin/users/${users.data.users[0].id}`, {
+    token: adminToken,
+  });
+  assert.equal(removed.status, 200);
+  const afterDelete = await server.request("GET", "/api/admin/audit/verify", { token: adminToken });
+  assert.equal(afterDelete.data.valid, true);
+
+  const db = new Database(path.join(server.dataDir, "snippets.db"));
+  try {
+    const target = db
+      .prepare("SELECT id FROM audit_logs WHERE action = 'auth.login.success' AND actor_id = ?")
+      .get(user.id);
+    db.prepare("UPDATE audit_logs SET ip_address = '198.51.100.7' WHERE id = ?").run(target.id);
+
+    const tampered = await server.request("GET", "/api/admin/audit/verify", { token: adminToken });
+    assert.equal(tampered.data.valid, false);
+    assert.deepEqual(tampered.data.brokenAt, { id: target.id, reason: "hash_mismatch" });
+    assert.equal(tampered.data.checked, target.id - 1);
+  } finally {
+    db.close();
+  }
+});
@@ -0,0 +1,224 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import dgram from "node:dgram";
+import fs from "node:fs";
+import http from "node:http";
+import net from "node:net";
+import path from "node:path";
+import { startTestServer } from "./support/testServer.js";
+
+const SECRET = "integration-webhook-secret";
+
+let server;
+let adminToken;
+const received = { udp: [], tcp: "", webhook: [] };
+let udpSocket;
+let tcpServer;
+let httpServer;
+
+function listen(target, ...args) {
+  return new Promise((resolve) => target.listen(0, "127.0.0.1", ...args, resolve));
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) {
+      return value;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error("Timed out waiting for audit delivery");
+}
+
+before(async () => {
+  udpSocket = dgram.createSocket("udp4");
+  udpSocket.on("message", (message) => received.udp.push(message.toString()));
+  await new Promise((resolve) => udpSocket.bind(0, "127.0.0.1", resolve));
+
+  tcpServer = net.createServer((socket) => {
+    socket.on("data", (chunk) => {
+      received.tcp += chunk.toString();
+    });
+  });
+  await listen(tcpServer);
+
+  httpServer = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      received.webhook.push({ headers: req.headers, body });
+      res.end("ok");
+    });
+  });
+  await listen(httpServer);
+
+  server = await startTestServer({ port: 5120 });
+  adminToken = (await server.registerUser("sink-admin")).token;
+});
+
+after(async () => {
+  await server?.stop();
+  udpSocket?.close();
+  tcpServer?.close();
+  httpServer?.closeAllConnections();
+  httpServer?.close();
+});
+
+function configureSinks(auditSinks) {
+  return server.request("PATCH", "/api/admin/settings", {
+    token: adminToken,
+    body: { auditSinks },
+  });
+}
+
+test("validates sinks and never returns webhook secrets", async () => {
+  const invalid = await configureSinks([{ name: "siem", type: "webhook", url: "ftp://x" }]);
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.data.message, 'Invalid audit sink "siem": url must use http or https');
+
+  const noSecret = await configureSinks([
+    { name: "siem", type: "webhook", url: "http://127.0.0.1:1/" },
+  ]);
+  assert.equal(noSecret.status, 400);
+  assert.match(noSecret.data.message, /secret must be at least 16 characters/);
+
+  const traversal = await configureSinks([{ name: "disk", type: "file", fileName: "../x" }]);
+  assert.equal(traversal.status, 400);
+
+  const duplicate = await configureSinks([
+    { name: "disk", type: "file" },
+    { name: "disk", type: "file" },
+  ]);
+  assert.equal(duplicate.status, 400);
+});
+
+test("delivers entries to syslog, webhook and file sinks", async () => {
+  const { port: webhookPort } = httpServer.address();
+  const saved = await configureSinks([
+    { name: "syslog-udp", type: "syslog", host: "127.0.0.1", port: udpSocket.address().port },
+    {
+      name: "syslog-tcp",
+      type: "syslog",
+      host: "127.0.0.1",
+      port: tcpServer.address().port,
+      protocol: "tcp",
+      facility: 10,
+    },
+    {
+      name: "siem",
+      type: "webhook",
+      url: `http://127.0.0.1:${webhookPort}/audit`,
+      secret: SECRET,
+    },
+    { name: "disk", type: "file", fileName: "audit.jsonl", maxBytes: 2048, maxFiles: 2 },
+  ]);
+  assert.equal(saved.status, 200);
+  const webhook = saved.data.foundation.auditSinks.find((sink) => sink.name === "siem");
+  assert.equal(webhook.secret, undefined);
+  assert.equal(webhook.hasSecret, true);
+  const raw = saved.data.settings.find((setting) => setting.key === "audit.sinks");
+  assert.ok(!raw.value.includes(SECRET));
+
+  // The settings update is itself the first forwarded entry
+  const login = await server.request("POST", "/api/auth/login", {
+    body: { username: "sink-admin", password: "not-the-password" },
+  });
+  assert.equal(login.status, 401);
+
+  const udp = await waitFor(() => received.udp.find((m) => m.includes("auth.login.failed")));
+  // facility 13 (log audit) * 8 + severity 4 (warning)
+  assert.match(udp, /^<108>1 \d{4}-\d\d-\d\dT[\d:.]+Z \S+ bytestash \d+ auth\.login\.failed \[audit@32473 id="\d+" actor="sink-admin" target="user:\d+" ip="[^"]+" hash="[0-9a-f]{64}"\] \uFEFF\{/);
+  const body = JSON.parse(udp.slice(udp.indexOf("\uFEFF") + 1));
+  assert.equal(body.metadata.reason, "invalid_password");
+
+  const tcp = await waitFor(() => received.tcp.includes("auth.login.failed") && received.tcp);
+  // Octet counting: "<length> <message>"
+  const [, length, rest] = tcp.match(/^(\d+) ([\s\S]*)$/);
+  const frame = Buffer.from(rest).subarray(0, Number(length)).toString();
+  // facility 10 (authpriv) * 8 + severity 6 (informational)
+  assert.ok(frame.startsWith("<86>1 "));
+  assert.equal(JSON.parse(frame.slice(frame.indexOf("\uFEFF") + 1)).action, "admin.settings.update");
+
+  const delivery = await waitFor(() =>
+    received.webhook.find((request) => request.headers["x-audit-event"] === "auth.login.failed")
+  );
+  const expected = `sha256=${crypto.createHmac("sha256", SECRET).update(delivery.body).digest("hex")}`;
+  assert.equal(delivery.headers["x-audit-signature"], expected);
+  assert.equal(JSON.parse(delivery.body).action, "auth.login.failed");
+
+  const filePath = path.join(server.dataDir, "audit", "audit.jsonl");
+  await waitFor(() => fs.existsSync(filePath) && fs.readFileSync(filePath, "utf8").includes("auth.login.failed"));
+
+  const status = await server.request("GET", "/api/admin/audit/sinks", { token: adminToken });
+  assert.equal(status.status, 200);
+  assert.deepEqual(
+    status.data.sinks.map((sink) => sink.name),
+    ["syslog-udp", "syslog-tcp", "siem", "disk"]
+  );
+  assert.ok(status.data.sinks.every((sink) => sink.failed === 0));
+});
+
+test("rotates the file sink", async () => {
+  for (let i = 0; i < 8; i += 1) {
+    await server.request("GET", `/api/admin/audit/export?format=jsonl&q=rotation-${i}`, {
+      token: adminToken,
+    });
+  }
+
+  const filePath = path.join(server.dataDir, "audit", "audit.jsonl");
+  await waitFor(() => fs.existsSync(`${filePath}.2`));
+  assert.ok(!fs.existsSync(`${filePath}.3`));
+  for (const file of [filePath, `${filePath}.1`, `${filePath}.2`]) {
+    if (fs.existsSync(file)) {
+      assert.ok(fs.statSync(file).size <= 2048);
+    }
+  }
+});
+
+test("keeps the stored secret and does not wait for a dead sink", async () => {
+  const current = await server.request("GET", "/api/admin/settings", { token: adminToken });
+  const sinks = current.data.foundation.auditSinks.filter((sink) => sink.name === "siem");
+  const closedPort = await new Promise((resolve) => {
+    const probe = net.createServer();
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+  // Sent back without its secret, as the admin UI does
+  const saved = await configureSinks([
+    ...sinks,
+    { name: "dead", type: "webhook", url: `http://127.0.0.1:${closedPort}/`, secret: SECRET },
+  ]);
+  assert.equal(saved.status, 200);
+
+  const webhooksBefore = received.webhook.length;
+  const started = Date.now();
+  const login = await server.request("POST", "/api/auth/login", {
+    body: { username: "sink-admin", password: "supersecurepassword" },
+  });
+  assert.equal(login.status, 200);
+  assert.ok(Date.now() - started < 1000);
+
+  // The remaining webhook still signs with the secret it kept
+  const delivery = await waitFor(
+    () =>
+      received.webhook
+        .slice(webhooksBefore)
+        .find((request) => request.headers["x-audit-event"] === "auth.login.success")
+  );
+  const expected = `sha256=${crypto.createHmac("sha256", SECRET).update(delivery.body).digest("hex")}`;
+  assert.equal(delivery.headers["x-audit-signature"], expected);
+
+  const dead = await waitFor(async () => {
+    const status = await server.request("GET", "/api/admin/audit/sinks", { token: adminToken });
+    return status.data.sinks.find((sink) => sink.name === "dead" && sink.lastError);
+  });
+  assert.equal(dead.delivered, 0);
+});
@@ -0,0 +1,129 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./support/testServer.js";
+
+let server;
+let token;
+let otherToken;
+const snippets = {};
+
+async function createSnippet(key, categories, authToken = token) {
+  const created = await server.request("POST", "/api/snippets", {
+    token: authToken,
+    body: {
+      title: key,
+      categories,
+      fragments: [{ file_name: "a.txt", code: key, language: "text", position: 0 }],
+    },
+  });
+  assert.equal(created.status, 201);
+  snippets[key] = created.data;
+}
+
+async function categoriesOf(key) {
+  const response = await server.request("GET", `/api/snippets/${snippets[key].id}`, { token });
+  return response.data.categories.sort();
+}
+
+before(async () => {
+  server = await startTestServer({ port: 5109 });
+  token = (await server.registerUser("categoryowner")).token;
+  otherToken = (await server.registerUser("categoryother")).token;
+
+  await createSnippet("compose", ["dokcer", "devops"]);
+  await createSnippet("build", ["dokcer", "docker"]);
+  await createSnippet("script", ["js", "node"]);
+  await createSnippet("module", ["javascript"]);
+  await createSnippet("theirs", ["dokcer"], otherToken);
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("lists the user's categories with usage counts", async () => {
+  const response = await server.request("GET", "/api/categories", { token });
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    response.data.map((category) => [category.name, category.snippet_count]),
+    [
+      ["devops", 1],
+      ["docker", 1],
+      ["dokcer", 2],
+      ["javascript", 1],
+      ["js", 1],
+      ["node", 1],
+    ]
+  );
+});
+
+test("renames a category on every snippet, bumping versions and revisions", async () => {
+  const before = await server.request("GET", `/api/snippets/${snippets.compose.id}`, { token });
+
+  const renamed = await server.request("PATCH", "/api/categories/Dokcer", {
+    token,
+    body: { name: " Docker " },
+  });
+  assert.equal(renamed.status, 200);
+  assert.deepEqual(renamed.data.snippetIds, [snippets.compose.id, snippets.build.id]);
+
+  assert.deepEqual(await categoriesOf("compose"), ["devops", "docker"]);
+  // Already tagged with the target, so it is not duplicated
+  assert.deepEqual(await categoriesOf("build"), ["docker"]);
+
+  const after = await server.request("GET", `/api/snippets/${snippets.compose.id}`, { token });
+  assert.equal(after.data.version, before.data.version + 1);
+
+  const revisions = await server.request("GET", `/api/snippets/${snippets.compose.id}/revisions`, {
+    token,
+  });
+  assert.equal(revisions.data[0].source, "categories");
+
+  // Other users' categories are untouched
+  const theirs = await server.request("GET", `/api/snippets/${snippets.theirs.id}`, {
+    token: otherToken,
+  });
+  assert.deepEqual(theirs.data.categories, ["dokcer"]);
+
+  const missing = await server.request("PATCH", "/api/categories/nope", {
+    token,
+    body: { name: "docker" },
+  });
+  assert.equal(missing.status, 404);
+});
+
+test("merges several categories into one", async () => {
+  const merged = await server.request("POST", "/api/categories/merge", {
+    token,
+    body: { sources: ["js", "javascript", "node"], target: "javascript" },
+  });
+  assert.equal(merged.status, 200);
+  assert.deepEqual(merged.data.sources, ["js", "node"]);
+  assert.deepEqual(merged.data.snippetIds, [snippets.script.id]);
+  assert.deepEqual(await categoriesOf("script"), ["javascript"]);
+
+  const invalid = await server.request("POST", "/api/categories/merge", {
+    token,
+    body: { sources: [], target: "javascript" },
+  });
+  assert.equal(invalid.status, 400);
+});
+
+test("deletes a category but keeps the snippets, and audits each change", async () => {
+  const deleted = await server.request("DELETE", "/api/categories/devops", { token });
+  assert.equal(deleted.status, 200);
+  assert.deepEqual(await categoriesOf("compose"), ["docker"]);
+
+  const list = await server.request("GET", "/api/snippets", { token });
+  assert.equal(list.data.pagination.total, 4);
+
+  const audit = await server.request("GET", "/api/admin/audit?limit=20&offset=0", { token });
+  const actions = audit.data.logs
+    .filter((log) => log.target_type === "category")
+    .map((log) => [log.action, log.target_id]);
+  assert.deepEqual(actions.sort(), [
+    ["category.delete", "devops"],
+    ["category.merge", "javascript"],
+    ["category.rename", "docker"],
+  ]);
+});
@@ -0,0 +1,192 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./support/testServer.js";
+
+let server;
+let token;
+let otherToken;
+const snippetIds = [];
+const collections = {};
+
+async function createCollection(key, body) {
+  const created = await server.request("POST", "/api/collections", { token, body });
+  assert.equal(created.status, 201);
+  collections[key] = created.data;
+  return created.data;
+}
+
+before(async () => {
+  server = await startTestServer({ port: 5108 });
+  token = (await server.registerUser("collectionowner")).token;
+  otherToken = (await server.registerUser("collectionother")).token;
+
+  for (const title of ["Alpha", "Beta", "Gamma"]) {
+    const created = await server.request("POST", "/api/snippets", {
+      token,
+      body: {
+        title,
+        fragments: [{ file_name: "a.txt", code: title, language: "text", position: 0 }],
+      },
+    });
+    snippetIds.push(created.data.id);
+  }
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("creates nested collections and lists them in metadata", async () => {
+  const work = await createCollection("work", { name: "Work" });
+  await createCollection("personal", { name: "Personal" });
+  const scripts = await createCollection("scripts", { name: " Scripts ", parentId: work.id });
+
+  assert.equal(scripts.name, "Scripts");
+  assert.equal(scripts.parent_id, work.id);
+  assert.equal(collections.personal.position, 1);
+
+  const metadata = await server.request("GET", "/api/snippets/metadata", { token });
+  assert.deepEqual(
+    metadata.data.collections.map((collection) => [collection.name, collection.parent_id]),
+    [
+      ["Work", null],
+      ["Personal", null],
+      ["Scripts", work.id],
+    ]
+  );
+
+  const others = await server.request("GET", "/api/collections", { token: otherToken });
+  assert.deepEqual(others.data, []);
+});
+
+test("filters snippets by collection and sorts by custom position", async () => {
+  const { work, personal } = collections;
+  for (const snippetId of snippetIds) {
+    const added = await server.request("POST", `/api/collections/${work.id}/snippets`, {
+      token,
+      body: { snippetId },
+    });
+    assert.equal(added.status, 201);
+  }
+  // A snippet can live in several collections
+  await server.request("POST", `/api/collections/${personal.id}/snippets`, {
+    token,
+    body: { snippetId: snippetIds[1] },
+  });
+
+  const reordered = await server.request("PUT", `/api/collections/${work.id}/snippets/order`, {
+    token,
+    body: { snippetIds: [snippetIds[2], snippetIds[0], snippetIds[1]] },
+  });
+  assert.equal(reordered.status, 200);
+
+  const listed = await server.request(
+    "GET",
+    `/api/snippets?collection=${work.id}&sort=position`,
+    { token }
+  );
+  assert.deepEqual(
+    listed.data.data.map((snippet) => snippet.title),
+    ["Gamma", "Alpha", "Beta"]
+  );
+
+  const personalList = await server.request("GET", `/api/snippets?collection=${personal.id}`, {
+    token,
+  });
+  assert.deepEqual(personalList.data.data.map((snippet) => snippet.title), ["Beta"]);
+
+  const incomplete = await server.request("PUT", `/api/collections/${work.id}/snippets/order`, {
+    token,
+    body: { snippetIds: [snippetIds[0]] },
+  });
+  assert.equal(incomplete.status, 400);
+
+  const removed = await server.request(
+    "DELETE",
+    `/api/collections/${work.id}/snippets/${snippetIds[0]}`,
+    { token }
+  );
+  assert.equal(removed.data.snippet_count, 2);
+});
+
+test("renames and moves collections but rejects cycles", async () => {
+  const { work, personal, scripts } = collections;
+
+  const renamed = await server.request("PATCH", `/api/collections/${scripts.id}`, {
+    token,
+    body: { name: "Shell", parentId: personal.id },
+  });
+  assert.equal(renamed.status, 200);
+  assert.equal(renamed.data.name, "Shell");
+  assert.equal(renamed.data.parent_id, personal.id);
+
+  const cycle = await server.request("PATCH", `/api/collections/${personal.id}`, {
+    token,
+    body: { parentId: scripts.id },
+  });
+  assert.equal(cycle.status, 400);
+
+  const blank = await server.request("PATCH", `/api/collections/${work.id}`, {
+    token,
+    body: { name: "  " },
+  });
+  assert.equal(blank.status, 400);
+});
+
+test("keeps collections and their snippets private to the owner", async () => {
+  const { work } = collections;
+
+  const foreign = await server.request("GET", `/api/collections/${work.id}`, { token: otherToken });
+  assert.equal(foreign.status, 404);
+
+  const otherSnippet = await server.request("POST", "/api/snippets", {
+    token: otherToken,
+    body: { title: "Theirs", fragments: [{ file_name: "t", code: "t", language: "text" }] },
+  });
+  const added = await server.request("POST", `/api/collections/${work.id}/snippets`, {
+    token,
+    body: { snippetId: otherSnippet.data.id },
+  });
+  assert.equal(added.status, 404);
+
+  // A snippet shared with them does not reveal which of the owner's
+  // collections it is in
+  const shared = await server.request("POST", "/api/snippets", {
+    token,
+    body: {
+      title: "Shared",
+      visibility: "SHARED",
+      fragments: [{ file_name: "s", code: "s", language: "text" }],
+    },
+  });
+  await server.request("POST", `/api/snippets/${shared.data.id}/grants`, {
+    token,
+    body: { username: "collectionother" },
+  });
+  await server.request("POST", `/api/collections/${work.id}/snippets`, {
+    token,
+    body: { snippetId: shared.data.id },
+  });
+  const ownList = await server.request("GET", `/api/snippets?collection=${work.id}`, { token });
+  assert.ok(ownList.data.data.some((snippet) => snippet.title === "Shared"));
+  const foreignList = await server.request("GET", `/api/snippets?collection=${work.id}`, {
+    token: otherToken,
+  });
+  assert.equal(foreignList.status, 200);
+  assert.deepEqual(foreignList.data.data, []);
+
+  await server.request("DELETE", `/api/snippets/${shared.data.id}`, { token });
+});
+
+test("deleting a collection removes sub-collections but keeps snippets", async () => {
+  const { personal } = collections;
+
+  const deleted = await server.request("DELETE", `/api/collections/${personal.id}`, { token });
+  assert.equal(deleted.status, 200);
+
+  const remaining = await server.request("GET", "/api/collections", { token });
+  assert.deepEqual(remaining.data.map((collection) => collection.name), ["Work"]);
+
+  const snippets = await server.request("GET", "/api/snippets", { token });
+  assert.equal(snippets.data.pagination.total, 3);
+});
@@ -0,0 +1,2 @@
+#!/bin/bash
+tar czf backup.tgz data/
@@ -0,0 +1,122 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./support/testServer.js";
+
+let server;
+let adminToken;
+let userToken;
+
+before(async () => {
+  server = await startTestServer({ port: 5118 });
+  adminToken = (await server.registerUser("scheduler-admin")).token;
+  userToken = (await server.registerUser("scheduler-user")).token;
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("lists the built-in jobs with their schedules", async () => {
+  const response = await server.request("GET", "/api/admin/jobs", { token: adminToken });
+  assert.equal(response.status, 200);
+
+  const jobs = Object.fromEntries(response.data.jobs.map((job) => [job.name, job]));
+  assert.deepEqual(Object.keys(jobs), [
+    "database-checkpoint",
+    "oidc-state-cleanup",
+    "rate-limit-cleanup",
+    "recycle-bin-purge",
+    "webhook-delivery",
+  ]);
+  assert.equal(jobs["database-checkpoint"].schedule, "*/5 * * * *");
+  assert.equal(jobs["rate-limit-cleanup"].schedule, "* * * * *");
+  assert.equal(jobs["recycle-bin-purge"].enabled, true);
+  assert.match(jobs["recycle-bin-purge"].nextRunAt, /T\d\d:00:00\.000Z$/);
+
+  // The purge also runs when the server starts
+  assert.equal(jobs["recycle-bin-purge"].lastRun.trigger, "startup");
+  assert.equal(jobs["recycle-bin-purge"].lastRun.status, "success");
+
+  const forbidden = await server.request("GET", "/api/admin/jobs", { token: userToken });
+  assert.equal(forbidden.status, 403);
+});
+
+test("runs a job on demand and records the run", async () => {
+  const run = await server.request("POST", "/api/admin/jobs/recycle-bin-purge/run", {
+    token: adminToken,
+  });
+  assert.equal(run.status, 200);
+  assert.equal(run.data.status, "success");
+  assert.equal(run.data.trigger, "manual");
+  assert.deepEqual(run.data.result, { deleted: 0 });
+  assert.equal(run.data.triggered_by_username, "scheduler-admin");
+  assert.ok(run.data.finished_at);
+
+  const history = await server.request("GET", "/api/admin/jobs/recycle-bin-purge/runs", {
+    token: adminToken,
+  });
+  assert.equal(history.status, 200);
+  assert.equal(history.data.total, 2);
+  assert.deepEqual(
+    history.data.runs.map((entry) => entry.trigger),
+    ["manual", "startup"]
+  );
+
+  const missing = await server.request("POST", "/api/admin/jobs/nope/run", {
+    token: adminToken,
+  });
+  assert.equal(missing.status, 404);
+
+  const denied = await server.request("POST", "/api/admin/jobs/recycle-bin-purge/run", {
+    token: userToken,
+  });
+  assert.equal(denied.status, 403);
+
+  const audit = await server.request("GET", "/api/admin/audit", { token: adminToken });
+  assert.ok(
+    audit.data.logs.some(
+      (entry) => entry.action === "admin.job.run" && entry.target_id === "recycle-bin-purge"
+    )
+  );
+});
+
+test("stores schedules in the system settings", async () => {
+  const invalid = await server.request("PATCH", "/api/admin/jobs/rate-limit-cleanup", {
+    token: adminToken,
+    body: { schedule: "*/0 * * * *" },
+  });
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.data.message, /^Invalid schedule/);
+
+  const daily = await server.request("PATCH", "/api/admin/jobs/rate-limit-cleanup", {
+    token: adminToken,
+    body: { schedule: "30 3 * * 1-5" },
+  });
+  assert.equal(daily.status, 200);
+  assert.equal(daily.data.schedule, "30 3 * * 1-5");
+  assert.match(daily.data.nextRunAt, /T03:30:00\.000Z$/);
+  assert.ok([1, 2, 3, 4, 5].includes(new Date(daily.data.nextRunAt).getUTCDay()));
+
+  const settings = await server.request("GET", "/api/admin/settings", { token: adminToken });
+  assert.ok(
+    settings.data.settings.some(
+      (setting) =>
+        setting.key === "jobs.rate-limit-cleanup.schedule" && setting.value === "30 3 * * 1-5"
+    )
+  );
+
+  const off = await server.request("PATCH", "/api/admin/jobs/rate-limit-cleanup", {
+    token: adminToken,
+    body: { schedule: "OFF" },
+  });
+  assert.equal(off.data.schedule, "off");
+  assert.equal(off.data.enabled, false);
+  assert.equal(off.data.nextRunAt, null);
+
+  // Jobs that are off still run by hand
+  const run = await server.request("POST", "/api/admin/jobs/rate-limit-cleanup/run", {
+    token: adminToken,
+  });
+  assert.equal(run.data.status, "success");
+  assert.equal(typeof run.data.result.removed, "number");
+});
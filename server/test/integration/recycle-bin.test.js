@@ -0,0 +1,168 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./support/testServer.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let server;
+let adminToken;
+let userToken;
+
+async function createSnippet(token, title) {
+  const created = await server.request("POST", "/api/snippets", {
+    token,
+    body: {
+      title,
+      fragments: [{ file_name: "a.txt", code: title, language: "text", position: 0 }],
+    },
+  });
+  assert.equal(created.status, 201);
+  return created.data;
+}
+
+async function recycle(token, id) {
+  const response = await server.request("PATCH", `/api/snippets/${id}/recycle`, { token });
+  assert.equal(response.status, 200);
+}
+
+async function recycledSnippets(token) {
+  const response = await server.request("GET", "/api/snippets?recycled=true", { token });
+  assert.equal(response.status, 200);
+  return response.data.data;
+}
+
+before(async () => {
+  server = await startTestServer({ port: 5117 });
+  adminToken = (await server.registerUser("recycler-admin")).token;
+  userToken = (await server.registerUser("recycler")).token;
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("recycled snippets expire after the configured retention", async () => {
+  const invalid = await server.request("PATCH", "/api/admin/settings", {
+    token: adminToken,
+    body: { recycleRetentionDays: 0 },
+  });
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.data.message, /between 1 and 3650 days/);
+
+  const updated = await server.request("PATCH", "/api/admin/settings", {
+    token: adminToken,
+    body: { recycleRetentionDays: 7 },
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.data.foundation.recycle.retentionDays, 7);
+
+  const config = await server.request("GET", "/api/auth/config");
+  assert.equal(config.data.recycleRetentionDays, 7);
+
+  const snippet = await createSnippet(userToken, "Short lived");
+  await recycle(userToken, snippet.id);
+
+  const [recycled] = await recycledSnippets(userToken);
+  const daysLeft = (new Date(recycled.expiry_date).getTime() - Date.now()) / DAY_MS;
+  assert.ok(daysLeft > 6.9 && daysLeft <= 7, `expires in ${daysLeft} days`);
+
+  // A shorter retention applies to snippets already in the bin
+  await server.request("PATCH", "/api/admin/settings", {
+    token: adminToken,
+    body: { recycleRetentionDays: 2 },
+  });
+  const purge = await server.request("POST", "/api/admin/jobs/recycle-bin-purge/run", {
+    token: adminToken,
+  });
+  assert.equal(purge.status, 200);
+  const [shortened] = await recycledSnippets(userToken);
+  const shortenedDaysLeft = (new Date(shortened.expiry_date).getTime() - Date.now()) / DAY_MS;
+  assert.ok(
+    shortenedDaysLeft > 1.9 && shortenedDaysLeft <= 2,
+    `expires in ${shortenedDaysLeft} days`
+  );
+
+  await server.request("DELETE", "/api/snippets/recycle-bin", { token: userToken });
+});
+
+test("restores and empties the whole recycle bin", async () => {
+  const snippets = [];
+  for (const title of ["One", "Two", "Three"]) {
+    snippets.push(await createSnippet(userToken, title));
+  }
+  const kept = await createSnippet(userToken, "Kept");
+  for (const snippet of snippets) {
+    await recycle(userToken, snippet.id);
+  }
+
+  // Another user's bin is left alone
+  const foreign = await createSnippet(adminToken, "Foreign");
+  await recycle(adminToken, foreign.id);
+
+  const restored = await server.request("POST", "/api/snippets/recycle-bin/restore", {
+    token: userToken,
+  });
+  assert.equal(restored.status, 200);
+  assert.equal(restored.data.count, 3);
+  assert.deepEqual(
+    [...restored.data.ids].sort((a, b) => a - b),
+    snippets.map((snippet) => snippet.id)
+  );
+  assert.equal((await recycledSnippets(userToken)).length, 0);
+
+  await recycle(userToken, snippets[0].id);
+  await recycle(userToken, snippets[1].id);
+  const emptied = await server.request("DELETE", "/api/snippets/recycle-bin", {
+    token: userToken,
+  });
+  assert.equal(emptied.status, 200);
+  assert.equal(emptied.data.count, 2);
+
+  const gone = await server.request("GET", `/api/snippets/${snippets[0].id}`, {
+    token: userToken,
+  });
+  assert.equal(gone.status, 404);
+  const remaining = await server.request("GET", `/api/snippets/${kept.id}`, {
+    token: userToken,
+  });
+  assert.equal(remaining.status, 200);
+  assert.equal((await recycledSnippets(adminToken)).length, 1);
+
+  const audit = await server.request("GET", "/api/admin/audit?limit=100", {
+    token: adminToken,
+  });
+  const deleted = audit.data.logs
+    .filter(
+      (entry) =>
+        entry.action === "snippet.delete" && entry.metadata?.operation === "emptyRecycleBin"
+    )
+    .map((entry) => Number(entry.target_id));
+  assert.ok(deleted.includes(snippets[0].id) && deleted.includes(snippets[1].id));
+});
+
+test("admins list recycled snippets of every user", async () => {
+  const mine = await createSnippet(userToken, "Recycled by user");
+  await recycle(userToken, mine.id);
+
+  const recycled = await server.request("GET", "/api/admin/snippets?recycled=true", {
+    token: adminToken,
+  });
+  assert.equal(recycled.status, 200);
+  assert.deepEqual(
+    recycled.data.snippets.map((snippet) => snippet.title).sort(),
+    ["Foreign", "Recycled by user"]
+  );
+  assert.equal(recycled.data.total, 2);
+  assert.ok(recycled.data.snippets.every((snippet) => snippet.expiry_date));
+
+  const active = await server.request("GET", "/api/admin/snippets?recycled=false", {
+    token: adminToken,
+  });
+  assert.ok(active.data.snippets.every((snippet) => !snippet.expiry_date));
+  assert.ok(active.data.snippets.some((snippet) => snippet.title === "Kept"));
+
+  const forbidden = await server.request("GET", "/api/admin/snippets?recycled=true", {
+    token: userToken,
+  });
+  assert.equal(forbidden.status, 403);
+});
@@ -0,0 +1,145 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { gunzipSync } from "zlib";
+import JSZip from "jszip";
+import { startTestServer } from "./support/testServer.js";
+
+let server;
+let token;
+let scaffold;
+
+async function download(endpoint, { auth = true } = {}) {
+  const response = await fetch(`${server.baseUrl}${endpoint}`, {
+    headers: auth ? { bytestashauth: `Bearer ${token}` } : {},
+  });
+  return { response, buffer: Buffer.from(await response.arrayBuffer()) };
+}
+
+// Minimal ustar reader: { path: { mode, content } }
+function readTarGz(buffer) {
+  const tar = gunzipSync(buffer);
+  const files = {};
+  for (let offset = 0; offset + 512 <= tar.length; ) {
+    const header = tar.subarray(offset, offset + 512);
+    if (header.every((byte) => byte === 0)) {
+      break;
+    }
+    const field = (start, length) =>
+      header.subarray(start, start + length).toString("utf8").replace(/\0.*$/s, "");
+    const name = field(0, 100);
+    const prefix = field(345, 155);
+    const size = parseInt(field(124, 12), 8);
+    const path = prefix ? `${prefix}/${name}` : name;
+
+    files[path] = {
+      mode: parseInt(field(100, 8), 8),
+      content: tar.subarray(offset + 512, offset + 512 + size).toString("utf8"),
+    };
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return files;
+}
+
+async function createSnippet(title, fragments, extra = {}) {
+  const created = await server.request("POST", "/api/snippets", {
+    token,
+    body: {
+      title,
+      fragments: fragments.map((fragment, position) => ({ language: "text", position, ...fragment })),
+      ...extra,
+    },
+  });
+  assert.equal(created.status, 201);
+  return created.data;
+}
+
+before(async () => {
+  server = await startTestServer({ port: 5115 });
+  token = (await server.registerUser("archiver")).token;
+
+  await server.request("PATCH", "/api/admin/settings", {
+    token,
+    body: { communityMode: "ON" },
+  });
+
+  scaffold = await createSnippet(
+    "Express scaffold",
+    [
+      { file_name: "package.json", code: '{ "name": "{{ app }}" }' },
+      { file_name: "src/routes/index.js", code: "export default [];\r\n" },
+      { file_name: "scripts\\setup.sh", code: "#!/bin/sh\nnpm install\n" },
+      { file_name: "./src/app.js", code: "import routes from './routes/index.js';\n" },
+    ],
+    { visibility: "PUBLIC", variables: [{ name: "app" }] }
+  );
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("zips every fragment with folders from file names", async () => {
+  const { response, buffer } = await download(`/api/snippets/${scaffold.id}/archive?app=billing`);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("content-type"), "application/zip");
+  assert.match(response.headers.get("content-disposition"), /filename="express-scaffold\.zip"/);
+
+  const zip = await JSZip.loadAsync(buffer);
+  const files = Object.values(zip.files).filter((entry) => !entry.dir);
+  assert.deepEqual(files.map((entry) => entry.name).sort(), [
+    "package.json",
+    "scripts/setup.sh",
+    "src/app.js",
+    "src/routes/index.js",
+  ]);
+  assert.equal(await zip.file("package.json").async("string"), '{ "name": "billing" }');
+  assert.equal(await zip.file("src/routes/index.js").async("string"), "export default [];\n");
+  assert.equal((zip.file("scripts/setup.sh").unixPermissions & 0o777), 0o755);
+});
+
+test("streams tar.gz on the private, public and share routes", async () => {
+  const share = await server.request("POST", "/api/share", {
+    token,
+    body: { snippetId: scaffold.id, requiresAuth: false },
+  });
+  assert.equal(share.status, 201);
+
+  const endpoints = [
+    [`/api/snippets/${scaffold.id}/archive?format=tar.gz`, true],
+    [`/api/public/snippets/${scaffold.id}/archive?format=tar.gz`, false],
+    [`/api/share/${share.data.id}/archive?format=tar.gz&app=billing`, false],
+  ];
+  for (const [endpoint, auth] of endpoints) {
+    const { response, buffer } = await download(endpoint, { auth });
+    assert.equal(response.status, 200, endpoint);
+    assert.equal(response.headers.get("content-type"), "application/gzip");
+
+    const files = readTarGz(buffer);
+    assert.deepEqual(Object.keys(files).sort(), [
+        "package.json",
+      "scripts/setup.sh",
+      "src/app.js",
+      "src/routes/index.js",
+    ]);
+    assert.equal(files["scripts/setup.sh"].mode, 0o755);
+    assert.equal(files["src/app.js"].mode, 0o644);
+    assert.equal(files["src/app.js"].content, "import routes from './routes/index.js';\n");
+  }
+
+  // Shares render templates like the snippet routes
+  const shared = readTarGz((await download(endpoints[2][0], { auth: false })).buffer);
+  assert.equal(shared["package.json"].content, '{ "name": "billing" }');
+});
+
+test("rejects unknown formats and missing snippets", async () => {
+  const unknown = await download(`/api/snippets/${scaffold.id}/archive?format=rar`);
+  assert.equal(unknown.response.status, 400);
+
+  const missing = await download("/api/snippets/999999/archive");
+  assert.equal(missing.response.status, 404);
+
+  // Private snippets are not served by the public route
+  const secret = await createSnippet("Secret", [{ file_name: "a.txt", code: "a" }]);
+  const hidden = await download(`/api/public/snippets/${secret.id}/archive`, { auth: false });
+  assert.equal(hidden.response.status, 404);
+});
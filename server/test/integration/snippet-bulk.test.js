@@ -0,0 +1,130 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./support/testServer.js";
+
+let server;
+let token;
+let otherToken;
+const ids = [];
+let foreignId;
+
+async function bulk(body, authToken = token) {
+  return server.request("POST", "/api/snippets/bulk", { token: authToken, body });
+}
+
+function statuses(response) {
+  return response.data.results.map((result) => [result.id, result.status]);
+}
+
+before(async () => {
+  server = await startTestServer({ port: 5110 });
+  token = (await server.registerUser("bulkowner")).token;
+  otherToken = (await server.registerUser("bulkother")).token;
+
+  await server.request("PATCH", "/api/admin/settings", {
+    token,
+    body: { communityMode: "ON" },
+  });
+
+  for (const title of ["One", "Two", "Three"]) {
+    const created = await server.request("POST", "/api/snippets", {
+      token,
+      body: {
+        title,
+        categories: ["misc"],
+        fragments: [{ file_name: "a.txt", code: title, language: "text", position: 0 }],
+      },
+    });
+    ids.push(created.data.id);
+  }
+
+  const foreign = await server.request("POST", "/api/snippets", {
+    token: otherToken,
+    body: { title: "Theirs", fragments: [{ file_name: "t", code: "t", language: "text" }] },
+  });
+  foreignId = foreign.data.id;
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("pins snippets and reports per-item results", async () => {
+  const response = await bulk({ ids: [ids[0], ids[1], foreignId, 999999], action: "pin" });
+  assert.equal(response.status, 200);
+  assert.deepEqual(statuses(response), [
+    [ids[0], "ok"],
+    [ids[1], "ok"],
+    [foreignId, "forbidden"],
+    [999999, "not_found"],
+  ]);
+  assert.equal(response.data.succeeded, 2);
+  assert.equal(response.data.failed, 2);
+
+  const pinned = await server.request("GET", "/api/snippets?pinned=true", { token });
+  assert.deepEqual(pinned.data.data.map((snippet) => snippet.id).sort(), [ids[0], ids[1]].sort());
+
+  const theirs = await server.request("GET", `/api/snippets/${foreignId}`, { token: otherToken });
+  assert.equal(theirs.data.is_pinned, 0);
+});
+
+test("adds and removes categories and changes visibility", async () => {
+  const added = await bulk({ ids, action: "addCategories", categories: [" Docker ", "misc"] });
+  assert.equal(added.data.succeeded, 3);
+
+  const removed = await bulk({ ids: [ids[0]], action: "removeCategories", categories: ["misc"] });
+  assert.equal(removed.data.succeeded, 1);
+
+  const first = await server.request("GET", `/api/snippets/${ids[0]}`, { token });
+  assert.deepEqual(first.data.categories, ["docker"]);
+  const second = await server.request("GET", `/api/snippets/${ids[1]}`, { token });
+  assert.deepEqual(second.data.categories.sort(), ["docker", "misc"]);
+
+  const revisions = await server.request("GET", `/api/snippets/${ids[0]}/revisions`, { token });
+  assert.equal(revisions.data[0].source, "bulk");
+
+  const published = await bulk({ ids: [ids[1]], action: "setVisibility", visibility: "public" });
+  assert.equal(published.data.succeeded, 1);
+  const publicList = await server.request("GET", "/api/public/snippets");
+  assert.deepEqual(publicList.data.data.map((snippet) => snippet.id), [ids[1]]);
+});
+
+test("recycles, restores and permanently deletes", async () => {
+  const recycled = await bulk({ ids: [ids[1], ids[2]], action: "recycle" });
+  assert.equal(recycled.data.succeeded, 2);
+
+  // Recycled snippets cannot be pinned until they are restored
+  const pinRecycled = await bulk({ ids: [ids[2]], action: "pin" });
+  assert.deepEqual(statuses(pinRecycled), [[ids[2], "skipped"]]);
+
+  const restored = await bulk({ ids: [ids[1], ids[0]], action: "restore" });
+  assert.deepEqual(statuses(restored), [
+    [ids[1], "ok"],
+    [ids[0], "skipped"],
+  ]);
+
+  const deleted = await bulk({ ids: [ids[2]], action: "delete" });
+  assert.equal(deleted.data.succeeded, 1);
+  const gone = await server.request("GET", `/api/snippets/${ids[2]}`, { token });
+  assert.equal(gone.status, 404);
+});
+
+test("validates the request and audits each affected snippet", async () => {
+  assert.equal((await bulk({ ids: [ids[0]], action: "explode" })).status, 400);
+  assert.equal((await bulk({ ids: [], action: "pin" })).status, 400);
+  assert.equal((await bulk({ ids: ["1"], action: "pin" })).status, 400);
+  assert.equal((await bulk({ ids: [ids[0]], action: "addCategories" })).status, 400);
+  assert.equal(
+    (await bulk({ ids: [ids[0]], action: "setVisibility", visibility: "EVERYONE" })).status,
+    400
+  );
+
+  const audit = await server.request("GET", "/api/admin/audit?limit=100&offset=0", { token });
+  const recycleEntries = audit.data.logs.filter(
+    (log) => log.action === "snippet.recycle" && log.metadata?.bulk
+  );
+  assert.deepEqual(
+    recycleEntries.map((log) => Number(log.target_id)).sort(),
+    [ids[1], ids[2]].sort()
+  );
+});
@@ -0,0 +1,115 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./support/testServer.js";
+
+let server;
+let token;
+const snippets = {};
+
+async function createSnippet(key, body) {
+  const created = await server.request("POST", "/api/snippets", { token, body });
+  assert.equal(created.status, 201);
+  snippets[key] = created.data;
+}
+
+async function codeSearch(pattern, searchMode, extra = "") {
+  return server.request(
+    "GET",
+    `/api/snippets?search=${encodeURIComponent(pattern)}&searchMode=${searchMode}${extra}`,
+    { token }
+  );
+}
+
+function resultIds(response) {
+  return response.data.data.map((snippet) => snippet.id).sort((a, b) => a - b);
+}
+
+before(async () => {
+  server = await startTestServer({ port: 5106 });
+  token = (await server.registerUser("codesearchowner")).token;
+
+  await createSnippet("server", {
+    title: "Express server",
+    fragments: [
+      {
+        file_name: "server.js",
+        code: "import express from 'express';\n\nconst app = express();\napp.listen(3000);\n// TODO: read PORT from env",
+        language: "javascript",
+        position: 0,
+      },
+      { file_name: "README.md", code: "Run with node server.js", language: "markdown", position: 1 },
+    ],
+  });
+  await createSnippet("script", {
+    title: "Deploy script",
+    fragments: [
+      { file_name: "deploy.sh", code: "#!/bin/sh\n# todo: add rollback\nscp app.tar host:", language: "bash", position: 0 },
+    ],
+  });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("returns fragment ids, line numbers and context for exact matches", async () => {
+  const response = await codeSearch("app.listen", "exact", "&contextLines=1");
+  assert.equal(response.status, 200);
+  assert.deepEqual(resultIds(response), [snippets.server.id]);
+
+  const [fragmentMatch] = response.data.data[0].code_matches;
+  assert.equal(fragmentMatch.fragment_id, snippets.server.fragments[0].id);
+  assert.equal(fragmentMatch.file_name, "server.js");
+  assert.deepEqual(fragmentMatch.hits, [
+    {
+      line: 4,
+      text: "app.listen(3000);",
+      matches: [{ column: 1, text: "app.listen" }],
+      before: [{ line: 3, text: "const app = express();" }],
+      after: [{ line: 5, text: "// TODO: read PORT from env" }],
+    },
+  ]);
+});
+
+test("matches case-insensitively unless caseSensitive is set", async () => {
+  assert.deepEqual(resultIds(await codeSearch("todo", "exact")), [
+    snippets.server.id,
+    snippets.script.id,
+  ]);
+  assert.deepEqual(resultIds(await codeSearch("TODO", "caseSensitive")), [snippets.server.id]);
+  assert.deepEqual(resultIds(await codeSearch("todo:", "regex,caseSensitive")), [
+    snippets.script.id,
+  ]);
+});
+
+test("searches with regular expressions and keeps the other filters", async () => {
+  const response = await codeSearch("express\\(\\)|\\d{4}", "regex");
+  assert.deepEqual(resultIds(response), [snippets.server.id]);
+  assert.deepEqual(
+    response.data.data[0].code_matches[0].hits.map((hit) => hit.line),
+    [3, 4]
+  );
+
+  const filtered = await codeSearch("app", "regex", "&language=bash");
+  assert.deepEqual(resultIds(filtered), [snippets.script.id]);
+});
+
+test("rejects invalid input and stops catastrophic regexes", async () => {
+  assert.equal((await codeSearch("(unclosed", "regex")).status, 400);
+  assert.equal((await codeSearch("x", "fuzzy")).status, 400);
+  assert.equal((await codeSearch("x".repeat(501), "exact")).status, 400);
+
+  await createSnippet("evil", {
+    title: "Backtracking bait",
+    fragments: [{ file_name: "a.txt", code: `${"a".repeat(40)}!`, language: "text", position: 0 }],
+  });
+
+  const started = Date.now();
+  const response = await codeSearch("^(a+)+$", "regex");
+  assert.equal(response.status, 400);
+  assert.equal(response.data.error, "Code search timed out");
+  assert.ok(Date.now() - started < 10000);
+
+  // The server is still responsive afterwards
+  assert.equal((await codeSearch("rollback", "exact")).status, 200);
+});
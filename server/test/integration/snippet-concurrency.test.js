@@ -0,0 +1,81 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./support/testServer.js";
+
+let server;
+let token;
+let snippet;
+let etag;
+
+const body = (description) => ({
+  title: "Shared notes",
+  description,
+  fragments: [{ file_name: "notes.md", code: "# Notes", language: "markdown", position: 0 }],
+});
+
+before(async () => {
+  server = await startTestServer({ port: 5103 });
+  token = (await server.registerUser("concurrencyowner")).token;
+
+  const created = await server.request("POST", "/api/snippets", { token, body: body("v1") });
+  snippet = created.data;
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("returns the snippet version as an ETag", async () => {
+  const response = await server.request("GET", `/api/snippets/${snippet.id}`, { token });
+  assert.equal(response.status, 200);
+  etag = response.headers.get("etag");
+  assert.equal(etag, `"${response.data.version}"`);
+});
+
+test("applies a write whose If-Match matches and returns the new ETag", async () => {
+  const updated = await server.request("PUT", `/api/snippets/${snippet.id}`, {
+    token,
+    body: body("tab one"),
+    headers: { "If-Match": etag },
+  });
+  assert.equal(updated.status, 200);
+  assert.notEqual(updated.headers.get("etag"), etag);
+  assert.equal(updated.headers.get("etag"), `"${updated.data.version}"`);
+});
+
+test("rejects a stale If-Match with 412 and the current version", async () => {
+  const stale = await server.request("PUT", `/api/snippets/${snippet.id}`, {
+    token,
+    body: body("tab two"),
+    headers: { "If-Match": etag },
+  });
+  assert.equal(stale.status, 412);
+  assert.equal(stale.data.current.description, "tab one");
+  assert.equal(stale.headers.get("etag"), `"${stale.data.current.version}"`);
+
+  const pin = await server.request("PATCH", `/api/snippets/${snippet.id}/pin`, {
+    token,
+    body: { is_pinned: true },
+    headers: { "If-Match": etag },
+  });
+  assert.equal(pin.status, 412);
+
+  const remove = await server.request("DELETE", `/api/snippets/${snippet.id}`, {
+    token,
+    headers: { "If-Match": etag },
+  });
+  assert.equal(remove.status, 412);
+
+  const current = await server.request("GET", `/api/snippets/${snippet.id}`, { token });
+  assert.equal(current.data.description, "tab one");
+  assert.equal(current.data.is_pinned, 0);
+});
+
+test("treats a missing If-Match as an unconditional write", async () => {
+  const updated = await server.request("PUT", `/api/snippets/${snippet.id}`, {
+    token,
+    body: body("cli"),
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.data.description, "cli");
+});
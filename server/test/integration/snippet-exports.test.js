@@ -0,0 +1,137 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import { startTestServer } from "./support/testServer.js";
+
+let server;
+let token;
+let composeId;
+
+async function download(endpoint) {
+  const response = await fetch(`${server.baseUrl}${endpoint}`, {
+    headers: { bytestashauth: `Bearer ${token}` },
+  });
+  return { response, buffer: Buffer.from(await response.arrayBuffer()) };
+}
+
+async function exportText(endpoint) {
+  const { response, buffer } = await download(endpoint);
+  assert.equal(response.status, 200);
+  return buffer.toString("utf8");
+}
+
+before(async () => {
+  server = await startTestServer({ port: 5113 });
+  token = (await server.registerUser("exporter")).token;
+
+  const compose = await server.request("POST", "/api/snippets", {
+    token,
+    body: {
+      title: "Compose file",
+      description: "Local stack",
+      categories: ["docker"],
+      fragments: [
+        { file_name: "docker-compose.yml", code: "services:\n  db:\n    image: postgres\n", language: "yaml", position: 0 },
+        { file_name: "start.sh", code: "docker compose up -d $SERVICE", language: "bash", position: 1 },
+      ],
+    },
+  });
+  composeId = compose.data.id;
+
+  await server.request("POST", "/api/snippets", {
+    token,
+    body: {
+      title: "Logger",
+      categories: ["javascript"],
+      fragments: [
+        { file_name: "log.js", code: "const log = (msg) => console.log(`[app] ${msg}`);", language: "javascript", position: 0 },
+      ],
+    },
+  });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("exports VS Code snippets scoped by language", async () => {
+  const { response, buffer } = await download("/api/snippets/export?format=vscode");
+  assert.match(response.headers.get("content-disposition"), /bytestash-export-.*\.code-snippets"/);
+
+  const document = JSON.parse(buffer.toString("utf8"));
+  assert.deepEqual(Object.keys(document).sort(), [
+    "Compose file - docker-compose.yml",
+    "Compose file - start.sh",
+    "Logger",
+  ]);
+  assert.equal(document["Compose file - start.sh"].scope, "shellscript");
+  assert.equal(document["Compose file - start.sh"].description, "Local stack");
+  assert.deepEqual(document["Compose file - start.sh"].body, ["docker compose up -d \\$SERVICE"]);
+  assert.equal(document.Logger.prefix, "logger");
+  assert.equal(document.Logger.scope, "javascript");
+});
+
+test("exports JetBrains live templates", async () => {
+  const xml = await exportText("/api/snippets/export?format=jetbrains&category=javascript");
+  assert.match(xml, /^<templateSet group="Snippets">/);
+  assert.match(xml, /<template name="logger" value="const log = \(msg\) =&gt; console\.log\(`\[app\] \$\$\{msg\}`\);"/);
+  assert.match(xml, /<option name="JAVA_SCRIPT" value="true" \/>/);
+  assert.doesNotMatch(xml, /Compose file/);
+});
+
+test("exports Markdown with descriptions and fenced code", async () => {
+  const markdown = await exportText(`/api/snippets/${composeId}/export?format=markdown`);
+  assert.equal(
+    markdown,
+    [
+      "# Compose file",
+      "",
+      "Local stack",
+      "",
+      "Categories: `docker`",
+      "",
+      "## docker-compose.yml",
+      "",
+      "```yaml",
+      "services:\n  db:\n    image: postgres",
+      "```",
+      "",
+      "## start.sh",
+      "",
+      "```bash",
+      "docker compose up -d $SERVICE",
+      "```",
+      "",
+    ].join("\n")
+  );
+
+  const library = await exportText("/api/snippets/export?format=markdown&sort=alpha-asc");
+  assert.match(library, /^# Snippets\n\n## Compose file\n[\s\S]*\n## Logger\n/);
+  assert.match(library, /```javascript\nconst log = \(msg\) => console\.log\(`\[app\]/);
+});
+
+test("exports an Obsidian vault with categories as tags", async () => {
+  const { response, buffer } = await download("/api/snippets/export?format=obsidian");
+  assert.equal(response.headers.get("content-type"), "application/zip");
+
+  const vault = await JSZip.loadAsync(buffer);
+  assert.deepEqual(Object.keys(vault.files).sort(), ["Compose file.md", "Logger.md"]);
+  const note = await vault.file("Compose file.md").async("string");
+  assert.match(note, /^---\ntags:\n  - "docker"\nupdated: .+\n---\n# Compose file\n/);
+  assert.doesNotMatch(note, /Categories:/);
+});
+
+test("applies list filters and validates the format", async () => {
+  const filtered = JSON.parse(await exportText("/api/snippets/export?format=vscode&search=lang:yaml"));
+  assert.deepEqual(Object.keys(filtered), [
+    "Compose file - docker-compose.yml",
+    "Compose file - start.sh",
+  ]);
+
+  const archive = JSON.parse(await exportText("/api/snippets/export?category=docker"));
+  assert.deepEqual(archive.snippets.map((snippet) => snippet.title), ["Compose file"]);
+
+  assert.equal((await download("/api/snippets/export?format=docx")).response.status, 400);
+  assert.equal((await download(`/api/snippets/${composeId}/export?format=docx`)).response.status, 400);
+  assert.equal((await download("/api/snippets/999999/export")).response.status, 404);
+});
@@ -0,0 +1,206 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./support/testServer.js";
+
+let server;
+let token;
+let project;
+
+function fragments(...fileNames) {
+  return fileNames.map((file_name, position) => ({
+    file_name,
+    code: `// file ${position + 1}`,
+    language: "javascript",
+    position,
+  }));
+}
+
+async function file(snippetId, path, { publicView = false, query = "" } = {}) {
+  const prefix = publicView ? "/api/public/snippets" : "/api/snippets";
+  const response = await fetch(`${server.baseUrl}${prefix}/${snippetId}/files/${path}${query}`, {
+    headers: publicView ? {} : { bytestashauth: `Bearer ${token}` },
+  });
+  return { status: response.status, text: await response.text() };
+}
+
+async function importArchive(archive) {
+  const form = new FormData();
+  form.append("file", new Blob([JSON.stringify(archive)]), "library.json");
+  const response = await fetch(`${server.baseUrl}/api/snippets/import`, {
+    method: "POST",
+    headers: { bytestashauth: `Bearer ${token}` },
+    body: form,
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+before(async () => {
+  server = await startTestServer({ port: 5116 });
+  token = (await server.registerUser("architect")).token;
+
+  await server.request("PATCH", "/api/admin/settings", {
+    token,
+    body: { communityMode: "ON" },
+  });
+
+  const created = await server.request("POST", "/api/snippets", {
+    token,
+    body: {
+      title: "Service layout",
+      visibility: "PUBLIC",
+      fragments: [
+        ...fragments("src\\index.js", "./config//app.yml", "README.md"),
+        { file_name: "src/raw", code: "port: {{ port }}", language: "yaml", position: 3 },
+      ],
+      variables: [{ name: "port", type: "number", default: 3000 }],
+    },
+  });
+  assert.equal(created.status, 201);
+  project = created.data;
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("stores fragment paths normalized", async () => {
+  assert.deepEqual(
+    project.fragments.map((fragment) => fragment.file_name),
+    ["src/index.js", "config/app.yml", "README.md", "src/raw"]
+  );
+});
+
+test("rejects unsafe and clashing paths on every write", async () => {
+  const rejected = [
+    [fragments("../evil.js"), /^Invalid fragment path: "..\/evil.js" leaves the snippet folder/],
+    [fragments("src/../../evil.js"), /leaves the snippet folder/],
+    [fragments("/etc/passwd"), /is absolute/],
+    [fragments("C:\\evil.bat"), /is absolute/],
+    [fragments("src/a.js", "src//a.js"), /^Duplicate fragment path: "src\/a.js"/],
+    [fragments("src", "src/a.js"), /is used as both a file and a folder/],
+  ];
+  for (const [body, error] of rejected) {
+    const response = await server.request("POST", "/api/snippets", {
+      token,
+      body: { title: "bad", fragments: body },
+    });
+    assert.equal(response.status, 400, JSON.stringify(body));
+    assert.match(response.data.error, error);
+  }
+
+  const update = await server.request("PUT", `/api/snippets/${project.id}`, {
+    token,
+    body: { title: project.title, fragments: fragments("a.js", "./a.js") },
+  });
+  assert.equal(update.status, 400);
+
+  const added = await server.request("POST", `/api/snippets/${project.id}/fragments`, {
+    token,
+    body: { file_name: "src/index.js", code: "" },
+  });
+  assert.equal(added.status, 400);
+  assert.match(added.data.error, /^Duplicate fragment path/);
+
+  const readme = project.fragments.find((fragment) => fragment.file_name === "README.md");
+  const renamed = await server.request(
+    "PATCH",
+    `/api/snippets/${project.id}/fragments/${readme.id}`,
+    { token, body: { file_name: "config" } }
+  );
+  assert.equal(renamed.status, 400);
+  assert.match(renamed.data.error, /is used as both a file and a folder/);
+
+  const moved = await server.request(
+    "PATCH",
+    `/api/snippets/${project.id}/fragments/${readme.id}`,
+    { token, body: { file_name: "docs\\README.md" } }
+  );
+  assert.equal(moved.status, 200);
+  assert.equal(moved.data.file_name, "docs/README.md");
+});
+
+test("serves fragments by path on the private and public routes", async () => {
+  const source = await file(project.id, "src/index.js");
+  assert.equal(source.status, 200);
+  assert.equal(source.text, "// file 1");
+
+  const config = await file(project.id, "config/app.yml", { publicView: true });
+  assert.equal(config.status, 200);
+  assert.equal(config.text, "// file 2");
+
+  // Templates render here too, and "raw" is a file name like any other
+  const rendered = await file(project.id, "src/raw", { query: "?port=8080" });
+  assert.equal(rendered.text, "port: 8080");
+
+  assert.equal((await file(project.id, "src/missing.js")).status, 404);
+  assert.equal((await file(project.id, "src")).status, 404);
+  assert.equal((await file(project.id, "src%2F..%2F..%2Fetc%2Fpasswd")).status, 400);
+});
+
+test("renames clashing files of imported archives", async () => {
+  const archive = {
+    format: "bytestash-library",
+    version: 1,
+    snippets: [
+      {
+        title: "Legacy",
+        fragments: [
+          { file_name: "main", code: "a", language: "text", position: 0 },
+          { file_name: "main", code: "b", language: "text", position: 1 },
+        ],
+      },
+      {
+        title: "Zip slip",
+        fragments: [{ file_name: "../../.bashrc", code: "x", language: "text", position: 0 }],
+      },
+    ],
+  };
+
+  const rejected = await importArchive(archive);
+  assert.equal(rejected.status, 400);
+  assert.match(rejected.data.error, /^Invalid archive: snippet 2 has an invalid file name/);
+
+  archive.snippets.pop();
+  const imported = await importArchive(archive);
+  assert.equal(imported.status, 201);
+  const legacy = await server.request("GET", `/api/snippets/${imported.data.items[0].snippetId}`, {
+    token,
+  });
+  assert.deepEqual(
+    legacy.data.fragments.map((fragment) => fragment.file_name),
+    ["main", "_main"]
+  );
+});
+
+test("names unnamed fragments without taking a name given further down", async () => {
+  const created = await server.request("POST", "/api/snippets", {
+    token,
+    body: { title: "Unnamed", fragments: fragments("", "file1", "file4") },
+  });
+  assert.equal(created.status, 201);
+  assert.deepEqual(
+    created.data.fragments.map((fragment) => fragment.file_name),
+    ["_file1", "file1", "file4"]
+  );
+
+  const added = await server.request("POST", `/api/snippets/${created.data.id}/fragments`, {
+    token,
+    body: { file_name: "./", code: "" },
+  });
+  assert.equal(added.status, 201);
+  assert.equal(added.data.file_name, "_file4");
+
+  const imported = await importArchive({
+    format: "bytestash-library",
+    version: 1,
+    snippets: [{ title: "Unnamed import", fragments: fragments("", "file1") }],
+  });
+  assert.equal(imported.status, 201);
+  const snippet = await server.request("GET", `/api/snippets/${imported.data.items[0].snippetId}`, {
+    token,
+  });
+  assert.deepEqual(
+    snippet.data.fragments.map((fragment) => fragment.file_name),
+    ["_file1", "file1"]
+  );
+});
@@ -0,0 +1,140 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./support/testServer.js";
+
+let server;
+let ownerToken;
+let forkerToken;
+let publicSnippet;
+let privateSnippet;
+
+before(async () => {
+  server = await startTestServer({ port: 5107 });
+  ownerToken = (await server.registerUser("forkowner")).token;
+  forkerToken = (await server.registerUser("forker")).token;
+
+  await server.request("PATCH", "/api/admin/settings", {
+    token: ownerToken,
+    body: { communityMode: "ON" },
+  });
+
+  const created = await server.request("POST", "/api/snippets", {
+    token: ownerToken,
+    body: {
+      title: "Retry helper",
+      description: "Exponential backoff",
+      categories: ["bash", "network"],
+      visibility: "PUBLIC",
+      fragments: [
+        { file_name: "retry.sh", code: "retry() { :; }", language: "bash", position: 0 },
+        { file_name: "README.md", code: "# Retry", language: "markdown", position: 1 },
+      ],
+    },
+  });
+  publicSnippet = created.data;
+
+  const hidden = await server.request("POST", "/api/snippets", {
+    token: ownerToken,
+    body: {
+      title: "Private notes",
+      fragments: [{ file_name: "notes.md", code: "secret", language: "markdown", position: 0 }],
+    },
+  });
+  privateSnippet = hidden.data;
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("forks a public snippet with its fragments, categories and lineage", async () => {
+  const forked = await server.request("POST", `/api/public/snippets/${publicSnippet.id}/fork`, {
+    token: forkerToken,
+  });
+  assert.equal(forked.status, 201);
+  assert.notEqual(forked.data.id, publicSnippet.id);
+  assert.equal(forked.data.title, "Retry helper");
+  assert.equal(forked.data.visibility, "PRIVATE");
+  assert.equal(forked.data.forked_from, publicSnippet.id);
+  assert.deepEqual(forked.data.categories.sort(), ["bash", "network"]);
+  assert.deepEqual(
+    forked.data.fragments.map((fragment) => fragment.file_name),
+    ["retry.sh", "README.md"]
+  );
+  assert.deepEqual(forked.data.upstream, {
+    id: publicSnippet.id,
+    title: "Retry helper",
+    username: "forkowner",
+    is_public: 1,
+  });
+
+  const mine = await server.request("GET", "/api/snippets", { token: forkerToken });
+  assert.deepEqual(
+    mine.data.data.map((snippet) => snippet.id),
+    [forked.data.id]
+  );
+
+  const original = await server.request("GET", `/api/public/snippets/${publicSnippet.id}`);
+  assert.equal(original.data.fork_count, 1);
+});
+
+test("does not fork private snippets or without an account", async () => {
+  const hidden = await server.request("POST", `/api/public/snippets/${privateSnippet.id}/fork`, {
+    token: forkerToken,
+  });
+  assert.equal(hidden.status, 404);
+
+  const anonymous = await server.request("POST", `/api/public/snippets/${publicSnippet.id}/fork`);
+  assert.equal(anonymous.status, 401);
+});
+
+test("forks through a share link and rejects expired shares", async () => {
+  const share = await server.request("POST", "/api/share", {
+    token: ownerToken,
+    body: { snippetId: privateSnippet.id, requiresAuth: true },
+  });
+  assert.equal(share.status, 201);
+
+  const forked = await server.request("POST", `/api/share/${share.data.id}/fork`, {
+    token: forkerToken,
+  });
+  assert.equal(forked.status, 201);
+  assert.equal(forked.data.forked_from, privateSnippet.id);
+  assert.equal(forked.data.fragments[0].code, "secret");
+  // The private original is not named to someone who cannot open it
+  assert.equal(forked.data.upstream, null);
+  const listed = await server.request("GET", "/api/snippets", { token: forkerToken });
+  const listedFork = listed.data.data.find((snippet) => snippet.id === forked.data.id);
+  assert.equal(listedFork.upstream, null);
+
+  const expired = await server.request("POST", "/api/share", {
+    token: ownerToken,
+    body: { snippetId: privateSnippet.id, expiresIn: 1 },
+  });
+  // Share expiry is stored with one-second resolution
+  await new Promise((resolve) => setTimeout(resolve, 2100));
+  const rejected = await server.request("POST", `/api/share/${expired.data.id}/fork`, {
+    token: forkerToken,
+  });
+  assert.equal(rejected.status, 410);
+
+  const missing = await server.request("POST", "/api/share/does-not-exist/fork", {
+    token: forkerToken,
+  });
+  assert.equal(missing.status, 404);
+});
+
+test("keeps the fork when the original is deleted", async () => {
+  const forked = await server.request("POST", `/api/public/snippets/${publicSnippet.id}/fork`, {
+    token: forkerToken,
+  });
+
+  await server.request("DELETE", `/api/snippets/${publicSnippet.id}`, { token: ownerToken });
+
+  const fork = await server.request("GET", `/api/snippets/${forked.data.id}`, {
+    token: forkerToken,
+  });
+  assert.equal(fork.status, 200);
+  assert.equal(fork.data.forked_from, null);
+  assert.equal(fork.data.upstream, null);
+});
@@ -0,0 +1,105 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./support/testServer.js";
+
+let server;
+let token;
+let snippet;
+
+before(async () => {
+  server = await startTestServer({ port: 5102 });
+  token = (await server.registerUser("fragmentowner")).token;
+
+  const created = await server.request("POST", "/api/snippets", {
+    token,
+    body: {
+      title: "Helpers",
+      fragments: [
+        { file_name: "a.sh", code: "echo a", language: "bash", position: 0 },
+        { file_name: "b.sh", code: "echo b", language: "bash", position: 1 },
+      ],
+    },
+  });
+  snippet = created.data;
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("keeps fragment IDs stable across full updates", async () => {
+  const [first, second] = snippet.fragments;
+
+  const updated = await server.request("PUT", `/api/snippets/${snippet.id}`, {
+    token,
+    body: {
+      title: "Helpers",
+      fragments: [
+        { ...first, code: "echo a2" },
+        { file_name: "c.sh", code: "echo c", language: "bash", position: 1 },
+      ],
+    },
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.data.fragments[0].id, first.id);
+  assert.notEqual(updated.data.fragments[1].id, second.id);
+
+  const raw = await server.request("GET", `/api/snippets/${snippet.id}/${first.id}/raw`, { token });
+  assert.equal(raw.status, 200);
+  assert.equal(raw.text, "echo a2");
+
+  const gone = await server.request("GET", `/api/snippets/${snippet.id}/${second.id}/raw`, { token });
+  assert.equal(gone.status, 404);
+  snippet = updated.data;
+});
+
+test("adds, patches, reorders and deletes individual fragments", async () => {
+  const added = await server.request("POST", `/api/snippets/${snippet.id}/fragments`, {
+    token,
+    body: { file_name: "d.sh", code: "echo d", language: "bash" },
+  });
+  assert.equal(added.status, 201);
+  assert.equal(added.data.position, 2);
+
+  const patched = await server.request(
+    "PATCH",
+    `/api/snippets/${snippet.id}/fragments/${added.data.id}`,
+    { token, body: { code: "echo dd" } }
+  );
+  assert.equal(patched.status, 200);
+  assert.equal(patched.data.id, added.data.id);
+  assert.equal(patched.data.code, "echo dd");
+
+  const ids = [added.data.id, ...snippet.fragments.map((fragment) => fragment.id)];
+  const reordered = await server.request("PUT", `/api/snippets/${snippet.id}/fragments/order`, {
+    token,
+    body: { fragmentIds: ids },
+  });
+  assert.equal(reordered.status, 200);
+  assert.deepEqual(
+    reordered.data.map((fragment) => fragment.id),
+    ids
+  );
+
+  const badOrder = await server.request("PUT", `/api/snippets/${snippet.id}/fragments/order`, {
+    token,
+    body: { fragmentIds: ids.slice(1) },
+  });
+  assert.equal(badOrder.status, 400);
+
+  const deleted = await server.request(
+    "DELETE",
+    `/api/snippets/${snippet.id}/fragments/${snippet.fragments[0].id}`,
+    { token }
+  );
+  assert.equal(deleted.status, 200);
+
+  const current = await server.request("GET", `/api/snippets/${snippet.id}`, { token });
+  assert.deepEqual(
+    current.data.fragments.map((fragment) => [fragment.id, fragment.position]),
+    [
+      [added.data.id, 0],
+      [snippet.fragments[1].id, 1],
+    ]
+  );
+});
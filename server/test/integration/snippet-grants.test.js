@@ -0,0 +1,233 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./support/testServer.js";
+
+let server;
+let adminToken;
+let ownerToken;
+let readerToken;
+let editorToken;
+let teammateToken;
+let outsiderToken;
+
+before(async () => {
+  server = await startTestServer({ port: 5123 });
+  adminToken = (await server.registerUser("grant-admin")).token;
+  ownerToken = (await server.registerUser("grant-owner")).token;
+  readerToken = (await server.registerUser("grant-reader")).token;
+  editorToken = (await server.registerUser("grant-editor")).token;
+  teammateToken = (await server.registerUser("grant-teammate")).token;
+  outsiderToken = (await server.registerUser("grant-outsider")).token;
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+async function createSnippet(token, title, extra = {}) {
+  const created = await server.request("POST", "/api/snippets", {
+    token,
+    body: {
+      title,
+      fragments: [{ file_name: "a.txt", code: title, language: "text", position: 0 }],
+      ...extra,
+    },
+  });
+  assert.equal(created.status, 201);
+  return created.data;
+}
+
+function grant(snippetId, body, token = ownerToken) {
+  return server.request("POST", `/api/snippets/${snippetId}/grants`, { token, body });
+}
+
+function titles(list) {
+  return list.data.data.map((snippet) => snippet.title).sort();
+}
+
+test("grants read and edit access to users on SHARED snippets", async () => {
+  const privateSnippet = await createSnippet(ownerToken, "Private");
+  const notShared = await grant(privateSnippet.id, { username: "grant-reader" });
+  assert.equal(notShared.status, 400);
+  assert.equal(notShared.data.error, "Only SHARED snippets can have grants");
+
+  const snippet = await createSnippet(ownerToken, "Runbook", { visibility: "SHARED" });
+  const read = await grant(snippet.id, { username: "grant-reader" });
+  assert.equal(read.status, 201);
+  assert.equal(read.data.permission, "read");
+  assert.equal(read.data.username, "grant-reader");
+  const edit = await grant(snippet.id, { username: "grant-editor", permission: "edit" });
+  assert.equal(edit.status, 201);
+
+  assert.equal((await grant(snippet.id, { username: "grant-owner" })).status, 400);
+  assert.equal((await grant(snippet.id, { username: "nobody" })).status, 404);
+  assert.equal((await grant(snippet.id, { username: "grant-reader", permission: "admin" })).status, 400);
+
+  // Only the owner manages grants
+  const asReader = await server.request("GET", `/api/snippets/${snippet.id}/grants`, {
+    token: readerToken,
+  });
+  assert.equal(asReader.status, 404);
+  const grants = await server.request("GET", `/api/snippets/${snippet.id}/grants`, {
+    token: ownerToken,
+  });
+  assert.deepEqual(
+    grants.data.map((entry) => [entry.username, entry.permission]),
+    [["grant-editor", "edit"], ["grant-reader", "read"]]
+  );
+
+  const readerView = await server.request("GET", `/api/snippets/${snippet.id}`, { token: readerToken });
+  assert.equal(readerView.status, 200);
+  assert.equal(readerView.data.access, "read");
+  const outsiderView = await server.request("GET", `/api/snippets/${snippet.id}`, {
+    token: outsiderToken,
+  });
+  assert.equal(outsiderView.status, 404);
+
+  const readerEdit = await server.request("PUT", `/api/snippets/${snippet.id}`, {
+    token: readerToken,
+    body: { ...readerView.data, title: "Reader edit" },
+  });
+  assert.equal(readerEdit.status, 404);
+
+  // Editors change the content but not the sharing settings
+  const editorView = await server.request("GET", `/api/snippets/${snippet.id}`, { token: editorToken });
+  assert.equal(editorView.data.access, "edit");
+  const editorEdit = await server.request("PUT", `/api/snippets/${snippet.id}`, {
+    token: editorToken,
+    body: { ...editorView.data, title: "Runbook v2", visibility: "PUBLIC" },
+  });
+  assert.equal(editorEdit.status, 200);
+  assert.equal(editorEdit.data.title, "Runbook v2");
+  assert.equal(editorEdit.data.visibility, "SHARED");
+  assert.equal(editorEdit.data.user_id, snippet.user_id);
+
+  const fragment = editorEdit.data.fragments[0];
+  const fragmentEdit = await server.request(
+    "PATCH",
+    `/api/snippets/${snippet.id}/fragments/${fragment.id}`,
+    { token: editorToken, body: { code: "edited" } }
+  );
+  assert.equal(fragmentEdit.status, 200);
+
+  const recycle = await server.request("PATCH", `/api/snippets/${snippet.id}/recycle`, {
+    token: editorToken,
+  });
+  assert.equal(recycle.status, 404);
+
+  // Downgrading and revoking take effect immediately
+  const downgraded = await server.request(
+    "PATCH",
+    `/api/snippets/${snippet.id}/grants/${edit.data.id}`,
+    { token: ownerToken, body: { permission: "read" } }
+  );
+  assert.equal(downgraded.data.permission, "read");
+  const deniedEdit = await server.request("PUT", `/api/snippets/${snippet.id}`, {
+    token: editorToken,
+    body: { ...editorEdit.data, title: "Runbook v3" },
+  });
+  assert.equal(deniedEdit.status, 404);
+
+  const revoked = await server.request("DELETE", `/api/snippets/${snippet.id}/grants/${read.data.id}`, {
+    token: ownerToken,
+  });
+  assert.equal(revoked.status, 200);
+  const afterRevoke = await server.request("GET", `/api/snippets/${snippet.id}`, { token: readerToken });
+  assert.equal(afterRevoke.status, 404);
+
+  const audit = await server.request("GET", "/api/admin/audit?action=snippet.grant.*", {
+    token: adminToken,
+  });
+  assert.deepEqual(
+    audit.data.logs.map((entry) => entry.action),
+    ["snippet.grant.delete", "snippet.grant.update", "snippet.grant.create", "snippet.grant.create"]
+  );
+});
+
+test("team grants, the shared-with-me filter and dormant grants", async () => {
+  const team = await server.request("POST", "/api/teams", {
+    token: ownerToken,
+    body: { name: "Grantees" },
+  });
+  await server.request("POST", `/api/teams/${team.data.id}/members`, {
+    token: ownerToken,
+    body: { username: "grant-teammate" },
+  });
+
+  const snippet = await createSnippet(ownerToken, "Deploy notes", { visibility: "SHARED" });
+  await createSnippet(teammateToken, "Teammate own");
+
+  const foreignTeam = await grant(snippet.id, { teamId: team.data.id }, outsiderToken);
+  assert.equal(foreignTeam.status, 404);
+  const both = await grant(snippet.id, { username: "grant-reader", teamId: team.data.id });
+  assert.equal(both.status, 400);
+
+  const teamGrant = await grant(snippet.id, { teamId: team.data.id });
+  assert.equal(teamGrant.status, 201);
+  assert.equal(teamGrant.data.team_name, "Grantees");
+  const again = await grant(snippet.id, { teamId: team.data.id, permission: "edit" });
+  assert.equal(again.status, 200);
+  assert.equal(again.data.id, teamGrant.data.id);
+
+  const all = await server.request("GET", "/api/snippets", { token: teammateToken });
+  assert.deepEqual(titles(all), ["Deploy notes", "Teammate own"]);
+  const shared = await server.request("GET", "/api/snippets?shared=true", { token: teammateToken });
+  assert.deepEqual(titles(shared), ["Deploy notes"]);
+  assert.equal(shared.data.data[0].access, "edit");
+  const ownerShared = await server.request("GET", "/api/snippets?shared=true", { token: ownerToken });
+  assert.deepEqual(titles(ownerShared), []);
+
+  // Grants only apply while the snippet stays SHARED
+  const current = await server.request("GET", `/api/snippets/${snippet.id}`, { token: ownerToken });
+  await server.request("PUT", `/api/snippets/${snippet.id}`, {
+    token: ownerToken,
+    body: { ...current.data, visibility: "PRIVATE" },
+  });
+  const hidden = await server.request("GET", `/api/snippets/${snippet.id}`, { token: teammateToken });
+  assert.equal(hidden.status, 404);
+
+  await server.request("PUT", `/api/snippets/${snippet.id}`, {
+    token: ownerToken,
+    body: { ...current.data, visibility: "SHARED" },
+  });
+  const restored = await server.request("GET", `/api/snippets/${snippet.id}`, { token: teammateToken });
+  assert.equal(restored.status, 200);
+});
+
+test("pins and favorites stay with the owner", async () => {
+  const snippet = await createSnippet(ownerToken, "Pinned runbook", { visibility: "SHARED" });
+  assert.equal((await grant(snippet.id, { username: "grant-editor", permission: "edit" })).status, 201);
+  const pinned = await server.request("PATCH", `/api/snippets/${snippet.id}/pin`, {
+    token: ownerToken,
+    body: { is_pinned: true },
+  });
+  assert.equal(pinned.status, 200);
+  const favorite = await server.request("PATCH", `/api/snippets/${snippet.id}/favorite`, {
+    token: ownerToken,
+    body: { is_favorite: true },
+  });
+  assert.equal(favorite.status, 200);
+
+  const editorView = await server.request("GET", `/api/snippets/${snippet.id}`, { token: editorToken });
+  assert.equal(editorView.status, 200);
+  assert.equal(editorView.data.is_pinned, 0);
+  assert.equal(editorView.data.is_favorite, 0);
+  for (const filter of ["pinned", "favorites"]) {
+    const list = await server.request("GET", `/api/snippets?${filter}=true`, { token: editorToken });
+    assert.equal(titles(list).includes("Pinned runbook"), false, filter);
+  }
+
+  // Grantees cannot change the owner's flags
+  const unpin = await server.request("PATCH", `/api/snippets/${snippet.id}/pin`, {
+    token: editorToken,
+    body: { is_pinned: false },
+  });
+  assert.equal(unpin.status, 404);
+  const ownerView = await server.request("GET", `/api/snippets/${snippet.id}`, { token: ownerToken });
+  assert.equal(ownerView.data.is_pinned, 1);
+  assert.equal(ownerView.data.is_favorite, 1);
+  const ownerFavorites = await server.request("GET", "/api/snippets?favorites=true", {
+    token: ownerToken,
+  });
+  assert.deepEqual(titles(ownerFavorites), ["Pinned runbook"]);
+});
@@ -0,0 +1,189 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import JSZip from "jszip";
+import { startTestServer } from "./support/testServer.js";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "importers");
+
+let server;
+let token;
+
+async function upload(source, fileName, { buffer, query = "" } = {}) {
+  const form = new FormData();
+  const content = buffer || (await fs.readFile(path.join(FIXTURES, fileName)));
+  form.append("file", new Blob([content]), fileName);
+  const response = await fetch(
+    `${server.baseUrl}/api/snippets/import?source=${source}${query}`,
+    {
+      method: "POST",
+      headers: { bytestashauth: `Bearer ${token}` },
+      body: form,
+    }
+  );
+  return { status: response.status, data: await response.json() };
+}
+
+async function zipDirectory(directory) {
+  const zip = new JSZip();
+  async function addFiles(current) {
+    for (const entry of await fs.readdir(current, { withFileTypes: true })) {
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        await addFiles(fullPath);
+      } else {
+        zip.file(path.relative(FIXTURES, fullPath).split(path.sep).join("/"), await fs.readFile(fullPath));
+      }
+    }
+  }
+  await addFiles(directory);
+  return zip.generateAsync({ type: "nodebuffer" });
+}
+
+async function findSnippet(title) {
+  const list = await server.request("GET", "/api/snippets?limit=100", { token });
+  return list.data.data.find((snippet) => snippet.title === title);
+}
+
+function languages(snippet) {
+  return Object.fromEntries(snippet.fragments.map((fragment) => [fragment.file_name, fragment.language]));
+}
+
+before(async () => {
+  server = await startTestServer({ port: 5112 });
+  token = (await server.registerUser("importer")).token;
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("imports GitHub gists with per-file warnings", async () => {
+  const imported = await upload("gist", "gists.json");
+  assert.equal(imported.status, 201);
+  assert.equal(imported.data.source, "gist");
+  assert.deepEqual(imported.data.summary, { create: 2, update: 0, skip: 0 });
+
+  const [deploy, query] = imported.data.items;
+  assert.equal(deploy.title, "Deploy helpers");
+  assert.deepEqual(deploy.warnings, [
+    '"release.js" was truncated by the Gist API',
+    'Could not detect the language of "notes.xyz", using plaintext',
+  ]);
+  assert.equal(query.title, "query.sql");
+  assert.match(query.warnings[0], /"listing-only\.md" has no content/);
+
+  const snippet = await findSnippet("Deploy helpers");
+  assert.equal(snippet.description, "Deploy helpers\nScripts used by the release job");
+  assert.deepEqual(languages(snippet), {
+    "deploy.sh": "bash",
+    "release.js": "javascript",
+    "notes.xyz": "plaintext",
+  });
+  assert.equal(snippet.is_public, 0);
+});
+
+test("imports a massCode database with folders and tags as categories", async () => {
+  const imported = await upload("masscode", "masscode-db.json");
+  assert.deepEqual(imported.data.summary, { create: 1, update: 0, skip: 0 });
+  assert.deepEqual(imported.data.warnings, [
+    { title: "Old snippet", message: "Skipped because it is in the massCode trash" },
+  ]);
+
+  const snippet = await findSnippet("Compose stack");
+  assert.deepEqual(snippet.categories.sort(), ["compose", "devops", "docker"]);
+  assert.equal(snippet.is_favorite, 1);
+  assert.deepEqual(languages(snippet), { "docker-compose.yml": "yaml", "Fragment 2": "bash" });
+});
+
+test("imports a Cacher export with labels as categories", async () => {
+  const imported = await upload("cacher", "cacher-export.json");
+  assert.deepEqual(imported.data.summary, { create: 1, update: 0, skip: 0 });
+  assert.deepEqual(imported.data.warnings, [
+    { title: null, message: "Skipped because it has no title" },
+  ]);
+
+  const snippet = await findSnippet("Git aliases");
+  assert.deepEqual(snippet.categories.sort(), ["aliases", "git"]);
+  assert.deepEqual(languages(snippet), { ".gitconfig": "ini", "aliases.sh": "bash" });
+});
+
+test("imports a SnippetsLab export and maps lexer names", async () => {
+  const imported = await upload("snippetslab", "snippetslab-export.json");
+  assert.deepEqual(imported.data.summary, { create: 1, update: 0, skip: 0 });
+  assert.deepEqual(imported.data.items[0].warnings, []);
+
+  const snippet = await findSnippet("Read CSV");
+  assert.equal(snippet.description, "Loads everything into memory");
+  assert.deepEqual(snippet.categories.sort(), ["parsing", "python"]);
+  assert.deepEqual(languages(snippet), { "read_csv.py": "python", Fragment: "bash" });
+});
+
+test("imports VS Code snippet files with comments and trailing commas", async () => {
+  const imported = await upload("vscode", "react.code-snippets");
+  assert.deepEqual(imported.data.summary, { create: 2, update: 0, skip: 0 });
+  assert.deepEqual(imported.data.warnings, [
+    { title: "Broken entry", message: "Skipped because it has no body" },
+  ]);
+  assert.match(imported.data.items[1].warnings[0], /Could not detect the language of "uef"/);
+
+  const component = await findSnippet("Function component");
+  assert.deepEqual(component.categories, ["react"]);
+  assert.equal(component.description, "React function component\n\nPrefix: rfc, component");
+  assert.equal(component.fragments[0].file_name, "rfc.js");
+  assert.equal(component.fragments[0].language, "javascript");
+  assert.equal(
+    component.fragments[0].code,
+    "export function ${1:Name}() {\n  return <div>$0</div>;\n}"
+  );
+});
+
+test("imports a zipped directory tree", async () => {
+  const archive = await zipDirectory(path.join(FIXTURES, "directory-tree"));
+  const preview = await upload("directory", "tree.zip", { buffer: archive, query: "&dryRun=true" });
+  assert.equal(preview.status, 200);
+  assert.deepEqual(
+    preview.data.items.map((item) => item.title),
+    ["README.md", "docker", "scripts"]
+  );
+  assert.deepEqual(preview.data.items[1].warnings, [
+    '"logo.png" looks like a binary file and was skipped',
+  ]);
+
+  await upload("directory", "tree.zip", { buffer: archive });
+  const docker = await findSnippet("docker");
+  assert.deepEqual(docker.categories, ["devops"]);
+  assert.deepEqual(languages(docker), { Dockerfile: "dockerfile", "compose.yml": "yaml" });
+
+  // Importing the same tree again finds nothing new
+  const again = await upload("directory", "tree.zip", { buffer: archive });
+  assert.deepEqual(again.data.summary, { create: 0, update: 0, skip: 3 });
+});
+
+test("rejects unknown sources and files that do not match the source", async () => {
+  assert.equal((await upload("evernote", "gists.json")).status, 400);
+  assert.equal((await upload("masscode", "gists.json")).status, 400);
+  assert.equal((await upload("gist", "masscode-db.json")).status, 400);
+  assert.equal((await upload("directory", "gists.json")).status, 400);
+  assert.equal((await upload("cacher", "react.code-snippets")).status, 400);
+});
+
+test("rejects zips with too many files or too much uncompressed data", async () => {
+  const bomb = new JSZip();
+  bomb.file("notes/big.txt", Buffer.alloc(101 * 1024 * 1024, " "));
+  const bombArchive = await bomb.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+  const tooLarge = await upload("directory", "bomb.zip", { buffer: bombArchive });
+  assert.equal(tooLarge.status, 400);
+  assert.equal(tooLarge.data.error, "Invalid archive: more than 100 MB uncompressed");
+
+  const crowded = new JSZip();
+  for (let index = 0; index <= 5000; index += 1) {
+    crowded.file(`notes/${index}.txt`, "x");
+  }
+  const crowdedArchive = await crowded.generateAsync({ type: "nodebuffer" });
+  const tooMany = await upload("directory", "crowded.zip", { buffer: crowdedArchive });
+  assert.equal(tooMany.status, 400);
+  assert.equal(tooMany.data.error, "Invalid archive: more than 5000 files");
+});
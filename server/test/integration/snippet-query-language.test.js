@@ -0,0 +1,97 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./support/testServer.js";
+
+let server;
+let token;
+const ids = {};
+
+async function createSnippet(key, body) {
+  const created = await server.request("POST", "/api/snippets", { token, body });
+  assert.equal(created.status, 201);
+  ids[key] = created.data.id;
+}
+
+async function search(query) {
+  const response = await server.request(
+    "GET",
+    `/api/snippets?searchCode=true&search=${encodeURIComponent(query)}`,
+    { token }
+  );
+  assert.equal(response.status, 200);
+  return response.data;
+}
+
+function resultIds(response) {
+  return response.data.map((snippet) => snippet.id).sort((a, b) => a - b);
+}
+
+before(async () => {
+  server = await startTestServer({ port: 5105 });
+  token = (await server.registerUser("queryowner")).token;
+
+  await createSnippet("compose", {
+    title: "Compose stack",
+    description: "Local development stack",
+    categories: ["docker"],
+    fragments: [
+      { file_name: "docker-compose.yml", code: "services:\n  db: postgres", language: "yaml", position: 0 },
+    ],
+  });
+  await createSnippet("script", {
+    title: "Backup script",
+    description: "Nightly database backup",
+    categories: ["docker", "draft"],
+    fragments: [{ file_name: "backup.py", code: "import subprocess", language: "python", position: 0 }],
+  });
+  await createSnippet("notes", {
+    title: "Release notes",
+    description: "Write the release notes by hand",
+    fragments: [{ file_name: "NOTES.md", code: "# Notes", language: "markdown", position: 0 }],
+  });
+
+  await server.request("PATCH", `/api/snippets/${ids.script}/pin`, {
+    token,
+    body: { is_pinned: true },
+  });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("filters by lang:, tag:, file: and is: qualifiers", async () => {
+  assert.deepEqual(resultIds(await search("lang:Python")), [ids.script]);
+  assert.deepEqual(resultIds(await search("tag:docker")), [ids.compose, ids.script]);
+  assert.deepEqual(resultIds(await search("tag:docker -tag:draft")), [ids.compose]);
+  assert.deepEqual(resultIds(await search("file:*.yml")), [ids.compose]);
+  assert.deepEqual(resultIds(await search("is:pinned")), [ids.script]);
+});
+
+test("combines qualifiers with phrases and exclusions", async () => {
+  assert.deepEqual(resultIds(await search('"release notes"')), [ids.notes]);
+  assert.deepEqual(resultIds(await search('"notes release"')), []);
+  assert.deepEqual(resultIds(await search("tag:docker -backup")), [ids.compose]);
+  assert.deepEqual(resultIds(await search("-docker")), [ids.notes]);
+});
+
+test("filters by updated date ranges", async () => {
+  const today = new Date().toISOString().slice(0, 10);
+  assert.equal((await search(`updated:${today}`)).data.length, 3);
+  assert.equal((await search(`updated:>${today}`)).data.length, 0);
+  assert.equal((await search("updated:<2000-01-01")).data.length, 0);
+});
+
+test("reports unknown qualifiers and invalid values", async () => {
+  const response = await search("lagn:python updated:>yesterday is:archived");
+  assert.deepEqual(
+    response.searchWarnings.map((warning) => [warning.qualifier, warning.reason]),
+    [
+      ["lagn", "unknown_qualifier"],
+      ["updated", "invalid_value"],
+      ["is", "invalid_value"],
+    ]
+  );
+  // Unknown qualifiers stay in the free text rather than being dropped
+  assert.equal(response.data.length, 0);
+});
@@ -0,0 +1,133 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./support/testServer.js";
+
+let server;
+let token;
+let otherToken;
+let snippetId;
+
+before(async () => {
+  server = await startTestServer({ port: 5101 });
+  token = (await server.registerUser("revisionowner")).token;
+  otherToken = (await server.registerUser("revisionother")).token;
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("records a revision on create and on every update", async () => {
+  const created = await server.request("POST", "/api/snippets", {
+    token,
+    body: {
+      title: "Deploy script",
+      description: "v1",
+      categories: ["ops"],
+      fragments: [
+        { file_name: "deploy.sh", code: "echo one\necho two\n", language: "bash", position: 0 },
+      ],
+    },
+  });
+  assert.equal(created.status, 201);
+  snippetId = created.data.id;
+
+  const updated = await server.request("PUT", `/api/snippets/${snippetId}`, {
+    token,
+    body: {
+      title: "Deploy script",
+      description: "v2",
+      categories: ["ops", "deploy"],
+      fragments: [
+        { file_name: "deploy.sh", code: "echo one\necho three\n", language: "bash", position: 0 },
+        { file_name: "README.md", code: "# Deploy\n", language: "markdown", position: 1 },
+      ],
+    },
+  });
+  assert.equal(updated.status, 200);
+
+  const revisions = await server.request("GET", `/api/snippets/${snippetId}/revisions`, { token });
+  assert.equal(revisions.status, 200);
+  assert.deepEqual(
+    revisions.data.map((revision) => [revision.revision, revision.source]),
+    [
+      [2, "update"],
+      [1, "create"],
+    ]
+  );
+
+  const first = await server.request("GET", `/api/snippets/${snippetId}/revisions/1`, { token });
+  assert.equal(first.status, 200);
+  assert.equal(first.data.description, "v1");
+  assert.equal(first.data.fragments.length, 1);
+});
+
+test("diffs two revisions per fragment", async () => {
+  const comparison = await server.request(
+    "GET",
+    `/api/snippets/${snippetId}/revisions/compare?from=1&to=2`,
+    { token }
+  );
+  assert.equal(comparison.status, 200);
+  assert.deepEqual(comparison.data.categories, { added: ["deploy"], removed: [] });
+
+  const [script, readme] = comparison.data.fragments;
+  assert.equal(script.status, "modified");
+  assert.match(script.diff, /^-echo two$/m);
+  assert.match(script.diff, /^\+echo three$/m);
+  assert.equal(readme.status, "added");
+  assert.match(readme.diff, /^\+# Deploy$/m);
+});
+
+test("diffs large, entirely different revisions as one replacement", async () => {
+  const lines = (prefix) =>
+    `${Array.from({ length: 20000 }, (_, index) => `${prefix} ${index}`).join("\n")}\n`;
+  const fragment = (code) => [{ file_name: "big.txt", code, language: "text", position: 0 }];
+  const created = await server.request("POST", "/api/snippets", {
+    token,
+    body: { title: "Big", fragments: fragment(lines("old")) },
+  });
+  await server.request("PUT", `/api/snippets/${created.data.id}`, {
+    token,
+    body: { title: "Big", fragments: fragment(lines("new")) },
+  });
+
+  const comparison = await server.request(
+    "GET",
+    `/api/snippets/${created.data.id}/revisions/compare?from=1&to=2`,
+    { token }
+  );
+  assert.equal(comparison.status, 200);
+  const { diff } = comparison.data.fragments[0];
+  assert.match(diff, /^@@ -1,20000 \+1,20000 @@$/m);
+  assert.equal(diff.match(/^@@/gm).length, 1);
+});
+
+test("restores an earlier revision as a new revision", async () => {
+  const restored = await server.request(
+    "POST",
+    `/api/snippets/${snippetId}/revisions/1/restore`,
+    { token }
+  );
+  assert.equal(restored.status, 200);
+  assert.equal(restored.data.description, "v1");
+  assert.equal(restored.data.fragments.length, 1);
+  assert.equal(restored.data.fragments[0].code, "echo one\necho two\n");
+
+  const revisions = await server.request("GET", `/api/snippets/${snippetId}/revisions`, { token });
+  assert.equal(revisions.data[0].revision, 3);
+  assert.equal(revisions.data[0].source, "restore");
+});
+
+test("hides revision history from other users", async () => {
+  const response = await server.request("GET", `/api/snippets/${snippetId}/revisions`, {
+    token: otherToken,
+  });
+  assert.equal(response.status, 404);
+
+  const update = await server.request("PUT", `/api/snippets/${snippetId}`, {
+    token: otherToken,
+    body: { title: "hijack", fragments: [] },
+  });
+  assert.equal(update.status, 404);
+});
@@ -0,0 +1,128 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./support/testServer.js";
+
+let server;
+let adminToken;
+let token;
+const ids = {};
+
+async function createSnippet(key, body) {
+  const created = await server.request("POST", "/api/snippets", { token, body });
+  assert.equal(created.status, 201);
+  ids[key] = created.data.id;
+}
+
+before(async () => {
+  server = await startTestServer({ port: 5104 });
+  adminToken = (await server.registerUser("searchadmin")).token;
+  token = (await server.registerUser("searchowner")).token;
+
+  await createSnippet("codeOnly", {
+    title: "Shell helpers",
+    description: "Misc",
+    fragments: [
+      { file_name: "x.sh", code: "# retry with docker compose", language: "bash", position: 0 },
+    ],
+  });
+  await createSnippet("titled", {
+    title: "Docker cleanup <script>",
+    description: "Prune docker images and volumes",
+    categories: ["containers"],
+    visibility: "PUBLIC",
+    fragments: [{ file_name: "prune.sh", code: "docker system prune", language: "bash", position: 0 }],
+  });
+  await createSnippet("unrelated", {
+    title: "Python venv",
+    categories: ["python"],
+    fragments: [{ file_name: "venv.sh", code: "python -m venv .venv", language: "bash", position: 0 }],
+  });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("ranks matches by relevance and returns escaped highlights", async () => {
+  const response = await server.request(
+    "GET",
+    "/api/snippets?search=docker&searchCode=true&sort=relevance",
+    { token }
+  );
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    response.data.data.map((snippet) => snippet.id),
+    [ids.titled, ids.codeOnly]
+  );
+
+  const [best, second] = response.data.data;
+  assert.equal(best.search_highlights.title, "<mark>Docker</mark> cleanup &lt;script&gt;");
+  assert.match(second.search_highlights.code, /<mark>docker<\/mark>/);
+  assert.equal(second.search_highlights.title, null);
+});
+
+test("searches code only when searchCode is set and matches word prefixes", async () => {
+  const withoutCode = await server.request("GET", "/api/snippets?search=dock", { token });
+  assert.deepEqual(
+    withoutCode.data.data.map((snippet) => snippet.id),
+    [ids.titled]
+  );
+
+  const byCategory = await server.request("GET", "/api/snippets?search=contain", { token });
+  assert.deepEqual(
+    byCategory.data.data.map((snippet) => snippet.id),
+    [ids.titled]
+  );
+});
+
+test("keeps the index in sync with updates and deletes", async () => {
+  const updated = await server.request("PUT", `/api/snippets/${ids.unrelated}`, {
+    token,
+    body: {
+      title: "Python venv",
+      categories: ["python", "kubernetes"],
+      fragments: [{ file_name: "venv.sh", code: "python -m venv .venv", language: "bash", position: 0 }],
+    },
+  });
+  assert.equal(updated.status, 200);
+
+  const found = await server.request("GET", "/api/snippets?search=kubernetes", { token });
+  assert.deepEqual(
+    found.data.data.map((snippet) => snippet.id),
+    [ids.unrelated]
+  );
+
+  await server.request("DELETE", `/api/snippets/${ids.unrelated}`, { token });
+  const gone = await server.request("GET", "/api/snippets?search=kubernetes", { token });
+  assert.equal(gone.data.pagination.total, 0);
+});
+
+test("applies to the public library and the admin snippet search", async () => {
+  await server.request("PATCH", "/api/admin/settings", {
+    token: adminToken,
+    body: { communityMode: "ON" },
+  });
+
+  const publicResults = await server.request(
+    "GET",
+    "/api/public/snippets?search=docker&searchCode=true&sort=relevance"
+  );
+  assert.equal(publicResults.status, 200);
+  assert.deepEqual(
+    publicResults.data.data.map((snippet) => snippet.id),
+    [ids.titled]
+  );
+
+  const adminResults = await server.request(
+    "GET",
+    "/api/admin/snippets?search=docker&searchCode=true&sort=relevance",
+    { token: adminToken }
+  );
+  assert.equal(adminResults.status, 200);
+  assert.equal(adminResults.data.total, 2);
+  assert.equal(adminResults.data.snippets[0].id, ids.titled);
+  assert.equal(
+    adminResults.data.snippets[0].search_highlights.title,
+    "<mark>Docker</mark> cleanup &lt;script&gt;"
+  );
+});
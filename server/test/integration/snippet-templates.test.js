@@ -0,0 +1,213 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import { startTestServer } from "./support/testServer.js";
+
+let server;
+let token;
+let snippet;
+
+const UNIT_FILE = [
+  "[Unit]",
+  'Description={{ service_name | default: "api" }} service',
+  "",
+  "[Service]",
+  "ExecStart=/usr/bin/node server.js --port {{ port }}",
+  "Environment=DEBUG={{ debug }} REGION={{ region | default: 'eu-west-1' }}",
+  "Environment=NODE_ENV={{ env }}",
+  "# Helm-style text is left alone: {{ .Values.image }}",
+].join("\n");
+
+async function raw(query = "", { publicView = false } = {}) {
+  const prefix = publicView ? "/api/public/snippets" : "/api/snippets";
+  const response = await fetch(
+    `${server.baseUrl}${prefix}/${snippet.id}/${snippet.fragments[0].id}/raw${query}`,
+    { headers: publicView ? {} : { bytestashauth: `Bearer ${token}` } }
+  );
+  const text = await response.text();
+  return {
+    status: response.status,
+    text,
+    data: response.headers.get("content-type")?.includes("json") ? JSON.parse(text) : null,
+  };
+}
+
+before(async () => {
+  server = await startTestServer({ port: 5114 });
+  token = (await server.registerUser("templater")).token;
+
+  await server.request("PATCH", "/api/admin/settings", {
+    token,
+    body: { communityMode: "ON" },
+  });
+
+  const created = await server.request("POST", "/api/snippets", {
+    token,
+    body: {
+      title: "systemd unit",
+      visibility: "PUBLIC",
+      fragments: [{ file_name: "app.service", code: UNIT_FILE, language: "ini", position: 0 }],
+      variables: [
+        { name: "service_name", description: "Shown in systemctl status" },
+        { name: "port", type: "number", required: true },
+        { name: "debug", type: "boolean", default: false },
+        { name: "env", type: "enum", options: ["production", "staging"], default: "production" },
+      ],
+    },
+  });
+  assert.equal(created.status, 201);
+  snippet = created.data;
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("stores the variable schema with typed defaults", async () => {
+  const fetched = await server.request("GET", `/api/snippets/${snippet.id}`, { token });
+  assert.deepEqual(fetched.data.variables, [
+    { name: "service_name", type: "string", default: null, required: false, description: "Shown in systemctl status", options: null },
+    { name: "port", type: "number", default: null, required: true, description: null, options: null },
+    { name: "debug", type: "boolean", default: false, required: false, description: null, options: null },
+    { name: "env", type: "enum", default: "production", required: false, description: null, options: ["production", "staging"] },
+  ]);
+});
+
+test("renders fragments through the raw endpoints", async () => {
+  const rendered = await raw("?port=8080");
+  assert.equal(rendered.status, 200);
+  assert.equal(
+    rendered.text,
+    [
+      "[Unit]",
+      "Description=api service",
+      "",
+      "[Service]",
+      "ExecStart=/usr/bin/node server.js --port 8080",
+      "Environment=DEBUG=false REGION=eu-west-1",
+      "Environment=NODE_ENV=production",
+      "# Helm-style text is left alone: {{ .Values.image }}",
+    ].join("\n")
+  );
+
+  const custom = await raw(
+    "?port=9000&service_name=billing&debug=1&env=staging&region=us-east-2",
+    { publicView: true }
+  );
+  assert.equal(custom.status, 200);
+  assert.match(custom.text, /Description=billing service/);
+  assert.match(custom.text, /DEBUG=true REGION=us-east-2/);
+  assert.match(custom.text, /NODE_ENV=staging/);
+});
+
+test("lists missing and invalid variables in a 400", async () => {
+  const missing = await raw();
+  assert.equal(missing.status, 400);
+  assert.deepEqual(missing.data, {
+    error: "Missing required template variables",
+    missing: ["port"],
+    invalid: [],
+  });
+
+  const invalid = await raw("?port=eighty&env=dev", { publicView: true });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.data.error, "Invalid template variables");
+  assert.deepEqual(invalid.data.invalid, [
+    { name: "port", message: "must be a number" },
+    { name: "env", message: "must be one of: production, staging" },
+  ]);
+});
+
+test("does not take routing parameters as template values", async () => {
+  const created = await server.request("POST", "/api/snippets", {
+    token,
+    body: {
+      title: "Routing",
+      visibility: "PUBLIC",
+      fragments: [
+        { file_name: "ws.txt", code: "ws={{ workspace | default: 'none' }}", language: "text", position: 0 },
+      ],
+      variables: [{ name: "region" }],
+    },
+  });
+  assert.equal(created.status, 201);
+  const { id, fragments } = created.data;
+
+  const rendered = await fetch(
+    `${server.baseUrl}/api/public/snippets/${id}/${fragments[0].id}/raw?workspace=default`
+  );
+  assert.equal(rendered.status, 200);
+  assert.equal(await rendered.text(), "ws=none");
+
+  const archive = await fetch(
+    `${server.baseUrl}/api/public/snippets/${id}/archive?format=zip&workspace=default`
+  );
+  assert.equal(archive.status, 200);
+  const zip = await JSZip.loadAsync(Buffer.from(await archive.arrayBuffer()));
+  assert.equal(await zip.file("ws.txt").async("string"), "ws=none");
+});
+
+test("renders templates viewed and archived through a share", async () => {
+  const share = await server.request("POST", "/api/share", {
+    token,
+    body: { snippetId: snippet.id, requiresAuth: false },
+  });
+  const viewed = await server.request("GET", `/api/share/${share.data.id}`);
+  assert.deepEqual(
+    viewed.data.variables.map((variable) => variable.name),
+    ["service_name", "port", "debug", "env"]
+  );
+
+  const rawPath = `/api/share/${share.data.id}/${snippet.fragments[0].id}/raw`;
+  const rendered = await fetch(`${server.baseUrl}${rawPath}?port=8080`);
+  assert.equal(rendered.status, 200);
+  assert.match(await rendered.text(), /--port 8080/);
+
+  const missing = await server.request("GET", rawPath);
+  assert.equal(missing.status, 400);
+  assert.deepEqual(missing.data.missing, ["port"]);
+
+  const archive = await server.request("GET", `/api/share/${share.data.id}/archive`);
+  assert.equal(archive.status, 400);
+  assert.equal(archive.data.error, "Missing required template variables");
+});
+
+test("validates schemas and keeps them across updates that omit them", async () => {
+  const badSchemas = [
+    [{ name: "1st" }],
+    [{ name: "a" }, { name: "a" }],
+    [{ name: "a", type: "date" }],
+    [{ name: "a", type: "enum" }],
+    [{ name: "a", type: "number", default: "many" }],
+  ];
+  for (const variables of badSchemas) {
+    const response = await server.request("POST", "/api/snippets", {
+      token,
+      body: { title: "bad", fragments: [{ file_name: "a", code: "", language: "text" }], variables },
+    });
+    assert.equal(response.status, 400, JSON.stringify(variables));
+    assert.match(response.data.error, /^Invalid template variables/);
+  }
+
+  const body = {
+    title: "systemd unit",
+    visibility: "PUBLIC",
+    fragments: snippet.fragments,
+  };
+  const kept = await server.request("PUT", `/api/snippets/${snippet.id}`, { token, body });
+  assert.equal(kept.data.variables.length, 4);
+
+  const forked = await server.request("POST", `/api/public/snippets/${snippet.id}/fork`, { token });
+  assert.deepEqual(forked.data.variables, kept.data.variables);
+
+  const cleared = await server.request("PUT", `/api/snippets/${snippet.id}`, {
+    token,
+    body: { ...body, variables: [] },
+  });
+  assert.deepEqual(cleared.data.variables, []);
+
+  // Without a schema the fragment is served as written
+  const plain = await raw();
+  assert.equal(plain.status, 200);
+  assert.equal(plain.text, UNIT_FILE);
+});
@@ -0,0 +1,243 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import { startTestServer } from "./support/testServer.js";
+
+let server;
+let token;
+let targetToken;
+let jsonExport;
+let zipExport;
+
+async function download(endpoint, authToken = token) {
+  const response = await fetch(`${server.baseUrl}${endpoint}`, {
+    headers: { bytestashauth: `Bearer ${authToken}` },
+  });
+  return { response, buffer: Buffer.from(await response.arrayBuffer()) };
+}
+
+async function upload(buffer, { authToken = targetToken, fileName = "export.json", query = "" } = {}) {
+  const form = new FormData();
+  form.append("file", new Blob([buffer]), fileName);
+  const response = await fetch(`${server.baseUrl}/api/snippets/import${query}`, {
+    method: "POST",
+    headers: { bytestashauth: `Bearer ${authToken}` },
+    body: form,
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+async function librarySnapshot(authToken) {
+  const list = await server.request("GET", "/api/snippets?sort=alpha-asc", { token: authToken });
+  return list.data.data
+    .filter((snippet) => snippet.access === "owner")
+    .map((snippet) => ({
+      title: snippet.title,
+      description: snippet.description,
+      visibility: snippet.visibility,
+      is_pinned: snippet.is_pinned,
+      is_favorite: snippet.is_favorite,
+      updated_at: snippet.updated_at,
+      categories: [...snippet.categories].sort(),
+      fragments: snippet.fragments.map(({ file_name, code, language, position }) => ({
+        file_name,
+        code,
+        language,
+        position,
+      })),
+    }))
+    .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+before(async () => {
+  server = await startTestServer({ port: 5111 });
+  token = (await server.registerUser("exportowner")).token;
+  targetToken = (await server.registerUser("importtarget")).token;
+
+  const created = await server.request("POST", "/api/snippets", {
+    token,
+    body: {
+      title: "Compose file",
+      description: "Local stack",
+      categories: ["docker", "devops"],
+      fragments: [
+        { file_name: "docker-compose.yml", code: "services: {}", language: "yaml", position: 0 },
+        { file_name: ".env", code: "PORT=5000", language: "plaintext", position: 1 },
+      ],
+    },
+  });
+  await server.request("PATCH", `/api/snippets/${created.data.id}/pin`, {
+    token,
+    body: { is_pinned: true },
+  });
+
+  await server.request("POST", "/api/snippets", {
+    token,
+    body: {
+      title: "Shell helpers",
+      categories: ["bash"],
+      fragments: [{ file_name: "helpers.sh", code: "alias ll='ls -l'", language: "bash", position: 0 }],
+    },
+  });
+
+  // Readable by the exporter but owned by someone else
+  const grantorToken = (await server.registerUser("exportgrantor")).token;
+  const granted = await server.request("POST", "/api/snippets", {
+    token: grantorToken,
+    body: {
+      title: "Granted notes",
+      visibility: "SHARED",
+      fragments: [{ file_name: "notes.md", code: "# notes", language: "markdown", position: 0 }],
+    },
+  });
+  await server.request("POST", `/api/snippets/${granted.data.id}/grants`, {
+    token: grantorToken,
+    body: { username: "exportowner" },
+  });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("exports the library as versioned JSON and zip", async () => {
+  const json = await download("/api/snippets/export");
+  assert.equal(json.response.status, 200);
+  assert.match(json.response.headers.get("content-disposition"), /bytestash-export-.*\.json/);
+  jsonExport = json.buffer;
+
+  const document = JSON.parse(jsonExport.toString("utf8"));
+  assert.equal(document.format, "bytestash-library");
+  assert.equal(document.version, 1);
+  assert.equal(document.snippets.length, 2);
+  assert.ok(!document.snippets.some((snippet) => snippet.title === "Granted notes"));
+  const compose = document.snippets.find((snippet) => snippet.title === "Compose file");
+  assert.equal(compose.is_pinned, true);
+  assert.deepEqual(compose.categories, ["devops", "docker"]);
+
+  const zip = await download("/api/snippets/export?format=zip");
+  assert.equal(zip.response.headers.get("content-type"), "application/zip");
+  zipExport = zip.buffer;
+
+  const archive = await JSZip.loadAsync(zipExport);
+  assert.ok(archive.file("library.json"));
+  assert.ok(archive.file(/docker-compose\.yml$/).length === 1);
+
+  assert.equal((await download("/api/snippets/export?format=rar")).response.status, 400);
+});
+
+test("previews an import without saving anything", async () => {
+  const preview = await upload(jsonExport, { query: "?dryRun=true" });
+  assert.equal(preview.status, 200);
+  assert.equal(preview.data.dryRun, true);
+  assert.deepEqual(preview.data.summary, { create: 2, update: 0, skip: 0 });
+
+  const list = await server.request("GET", "/api/snippets", { token: targetToken });
+  assert.equal(list.data.pagination.total, 0);
+});
+
+test("round-trips a zip export losslessly into another account", async () => {
+  const imported = await upload(zipExport, { fileName: "export.zip" });
+  assert.equal(imported.status, 201);
+  assert.deepEqual(imported.data.summary, { create: 2, update: 0, skip: 0 });
+
+  assert.deepEqual(await librarySnapshot(targetToken), await librarySnapshot(token));
+
+  // Importing again detects identical snippets
+  const again = await upload(jsonExport);
+  assert.deepEqual(again.data.summary, { create: 0, update: 0, skip: 2 });
+  assert.ok(again.data.items.every((item) => item.reason === "identical"));
+});
+
+test("applies merge strategies to title conflicts", async () => {
+  const document = JSON.parse(jsonExport.toString("utf8"));
+  const changed = document.snippets.find((snippet) => snippet.title === "Shell helpers");
+  changed.fragments[0].code = "alias la='ls -la'";
+  const archive = Buffer.from(JSON.stringify(document));
+
+  const skipped = await upload(archive, { query: "?strategy=skip&dryRun=true" });
+  const skipActions = Object.fromEntries(
+    skipped.data.items.map((item) => [item.title, [item.action, item.reason]])
+  );
+  assert.deepEqual(skipActions, {
+    "Compose file": ["skip", "identical"],
+    "Shell helpers": ["skip", "title_conflict"],
+  });
+
+  const overwritten = await upload(archive, { query: "?strategy=overwrite" });
+  assert.deepEqual(overwritten.data.summary, { create: 0, update: 1, skip: 1 });
+  const updatedId = overwritten.data.items.find((item) => item.action === "update").snippetId;
+  const updated = await server.request("GET", `/api/snippets/${updatedId}`, { token: targetToken });
+  assert.equal(updated.data.fragments[0].code, "alias la='ls -la'");
+
+  changed.fragments[0].code = "alias l='ls'";
+  const kept = await upload(Buffer.from(JSON.stringify(document)), { query: "?strategy=keep-both" });
+  assert.deepEqual(kept.data.summary, { create: 1, update: 0, skip: 1 });
+
+  const list = await server.request("GET", "/api/snippets", { token: targetToken });
+  assert.equal(list.data.pagination.total, 3);
+});
+
+test("imports TEAM snippets as private unless they overwrite a team snippet", async () => {
+  const importerToken = (await server.registerUser("teamimporter")).token;
+  const team = await server.request("POST", "/api/teams", {
+    token: importerToken,
+    body: { name: "Import crew" },
+  });
+  const existing = await server.request("POST", "/api/snippets", {
+    token: importerToken,
+    body: {
+      title: "Team runbook",
+      visibility: "TEAM",
+      team_id: team.data.id,
+      fragments: [{ file_name: "run.md", code: "old", language: "markdown", position: 0 }],
+    },
+  });
+  assert.equal(existing.status, 201);
+
+  const teamSnippet = (title, code) => ({
+    title,
+    visibility: "TEAM",
+    fragments: [{ file_name: "run.md", code, language: "markdown", position: 0 }],
+  });
+  const archive = Buffer.from(
+    JSON.stringify({
+      format: "bytestash-library",
+      version: 1,
+      snippets: [teamSnippet("Team runbook", "new"), teamSnippet("Foreign team notes", "notes")],
+    })
+  );
+  const imported = await upload(archive, { authToken: importerToken, query: "?strategy=overwrite" });
+  assert.equal(imported.status, 201);
+  assert.deepEqual(imported.data.summary, { create: 1, update: 1, skip: 0 });
+
+  const list = await server.request("GET", "/api/snippets?sort=alpha-asc", { token: importerToken });
+  const byTitle = Object.fromEntries(list.data.data.map((snippet) => [snippet.title, snippet]));
+  assert.equal(byTitle["Foreign team notes"].visibility, "PRIVATE");
+  assert.equal(byTitle["Foreign team notes"].team_id, null);
+  assert.equal(byTitle["Team runbook"].visibility, "TEAM");
+  assert.equal(byTitle["Team runbook"].team_id, team.data.id);
+  assert.equal(byTitle["Team runbook"].fragments[0].code, "new");
+});
+
+test("rejects invalid archives and options", async () => {
+  assert.equal((await upload(Buffer.from("not json"))).status, 400);
+  assert.equal(
+    (await upload(Buffer.from(JSON.stringify({ format: "bytestash-library", version: 99, snippets: [] })))).status,
+    400
+  );
+  assert.equal(
+    (await upload(Buffer.from(JSON.stringify({ format: "bytestash-library", version: 1, snippets: [{ title: "" }] })))).status,
+    400
+  );
+  assert.equal((await upload(jsonExport, { query: "?strategy=replace-all" })).status, 400);
+});
+
+test("rejects zip archives that inflate past the size limit", async () => {
+  const bomb = new JSZip();
+  bomb.file("library.json", Buffer.alloc(101 * 1024 * 1024, " "));
+  const archive = await bomb.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+  const rejected = await upload(archive, { fileName: "bomb.zip" });
+  assert.equal(rejected.status, 400);
+  assert.equal(rejected.data.error, "Invalid archive: more than 100 MB uncompressed");
+});
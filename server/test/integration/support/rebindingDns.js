@@ -0,0 +1,39 @@
+import dns from "node:dns";
+
+// Preloaded into the webhook test server: rebind.test resolves to a public
+// address on its first lookup and to loopback afterwards, like a DNS
+// rebinding attack. Other names resolve normally.
+const REBIND_HOST = "rebind.test";
+let lookups = 0;
+
+function rebound() {
+  lookups += 1;
+  return lookups === 1
+    ? { address: "93.184.216.34", family: 4 }
+    : { address: "127.0.0.1", family: 4 };
+}
+
+const lookup = dns.lookup;
+dns.lookup = function (hostname, options, callback) {
+  if (hostname !== REBIND_HOST) {
+    return lookup.call(this, hostname, options, callback);
+  }
+  if (typeof options === "function") {
+    callback = options;
+    options = {};
+  }
+  const { address, family } = rebound();
+  const all = typeof options === "object" && options.all;
+  process.nextTick(() =>
+    all ? callback(null, [{ address, family }]) : callback(null, address, family)
+  );
+};
+
+const lookupPromise = dns.promises.lookup;
+dns.promises.lookup = async function (hostname, options) {
+  if (hostname !== REBIND_HOST) {
+    return lookupPromise.call(this, hostname, options);
+  }
+  const { address, family } = rebound();
+  return options?.all ? [{ address, family }] : { address, family };
+};
@@ -0,0 +1,111 @@
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const SERVER_ROOT = path.resolve(__dirname, "../../..");
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Boots the real server against an isolated temp data directory. Each test
+// file should pass its own port so suites can run in parallel.
+export async function startTestServer({ port, env = {} }) {
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "bytestash-int-"));
+  let logs = "";
+
+  const serverProcess = spawn(process.execPath, ["src/app.js"], {
+    cwd: SERVER_ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      BYTESTASH_DATA_PATH: dataDir,
+      JWT_SECRET: "integration-secret",
+      DEBUG: "false",
+      OIDC_ENABLED: "false",
+      DISABLE_ACCOUNTS: "false",
+      DISABLE_INTERNAL_ACCOUNTS: "false",
+      ALLOW_PASSWORD_CHANGES: "true",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  serverProcess.stdout?.on("data", (chunk) => {
+    logs += chunk.toString();
+  });
+  serverProcess.stderr?.on("data", (chunk) => {
+    logs += chunk.toString();
+  });
+
+  async function request(method, endpoint, { token, body, headers = {} } = {}) {
+    const requestHeaders = {
+      "Content-Type": "application/json",
+      ...headers,
+    };
+
+    if (token) {
+      requestHeaders.bytestashauth = `Bearer ${token}`;
+    }
+
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+      method,
+      headers: requestHeaders,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch (_error) {
+      data = null;
+    }
+
+    return {
+      status: response.status,
+      ok: response.ok,
+      headers: response.headers,
+      data,
+      text,
+    };
+  }
+
+  async function registerUser(username, password = "supersecurepassword") {
+    const response = await request("POST", "/api/auth/register", {
+      body: { username, password },
+    });
+    if (response.status !== 200) {
+      throw new Error(`Failed to register ${username}: ${response.text}`);
+    }
+    return response.data;
+  }
+
+  async function stop() {
+    serverProcess.kill("SIGTERM");
+    if (fs.existsSync(dataDir)) {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  }
+
+  for (let attempt = 0; attempt < 40; attempt += 1) {
+    try {
+      const response = await fetch(`${baseUrl}/api/auth/config`);
+      if (response.ok) {
+        return { baseUrl, dataDir, request, registerUser, stop };
+      }
+    } catch (_error) {
+      // Keep retrying while the process boots.
+    }
+
+    await delay(500);
+  }
+
+  await stop();
+  throw new Error(`Server did not start in time. Logs:\n${logs}`);
+}
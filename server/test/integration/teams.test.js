@@ -0,0 +1,229 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./support/testServer.js";
+
+let server;
+let adminToken;
+let ownerToken;
+let memberToken;
+let memberId;
+let outsiderToken;
+
+before(async () => {
+  server = await startTestServer({ port: 5122 });
+  adminToken = (await server.registerUser("team-admin")).token;
+  ownerToken = (await server.registerUser("team-owner")).token;
+  const member = await server.registerUser("team-member");
+  memberToken = member.token;
+  memberId = member.user.id;
+  outsiderToken = (await server.registerUser("team-outsider")).token;
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+async function createTeam(token, name) {
+  const created = await server.request("POST", "/api/teams", { token, body: { name } });
+  assert.equal(created.status, 201);
+  return created.data;
+}
+
+async function createSnippet(token, title, extra = {}) {
+  return server.request("POST", "/api/snippets", {
+    token,
+    body: {
+      title,
+      fragments: [{ file_name: "a.txt", code: title, language: "text", position: 0 }],
+      ...extra,
+    },
+  });
+}
+
+function titles(list) {
+  return list.data.data.map((snippet) => snippet.title).sort();
+}
+
+test("manages teams, members and maintainer rights", async () => {
+  const team = await createTeam(ownerToken, "Platform");
+  assert.equal(team.members.length, 1);
+  assert.equal(team.members[0].role, "maintainer");
+
+  const duplicate = await server.request("POST", "/api/teams", {
+    token: memberToken,
+    body: { name: "platform" },
+  });
+  assert.equal(duplicate.status, 400);
+
+  const hidden = await server.request("GET", `/api/teams/${team.id}`, { token: memberToken });
+  assert.equal(hidden.status, 404);
+
+  const added = await server.request("POST", `/api/teams/${team.id}/members`, {
+    token: ownerToken,
+    body: { username: "team-member" },
+  });
+  assert.equal(added.status, 201);
+  assert.deepEqual(
+    added.data.members.map((member) => [member.username, member.role]),
+    [["team-owner", "maintainer"], ["team-member", "member"]]
+  );
+
+  const unknown = await server.request("POST", `/api/teams/${team.id}/members`, {
+    token: ownerToken,
+    body: { username: "nobody" },
+  });
+  assert.equal(unknown.status, 404);
+
+  // Members can see the team but not manage it
+  const asMember = await server.request("GET", `/api/teams/${team.id}`, { token: memberToken });
+  assert.equal(asMember.status, 200);
+  assert.equal(asMember.data.role, "member");
+  const rename = await server.request("PATCH", `/api/teams/${team.id}`, {
+    token: memberToken,
+    body: { name: "Mine now" },
+  });
+  assert.equal(rename.status, 403);
+
+  const listed = await server.request("GET", "/api/teams", { token: memberToken });
+  assert.deepEqual(listed.data.map((entry) => [entry.name, entry.role]), [["Platform", "member"]]);
+
+  const ownerId = team.members[0].user_id;
+  const lastMaintainer = await server.request("DELETE", `/api/teams/${team.id}/members/${ownerId}`, {
+    token: ownerToken,
+  });
+  assert.equal(lastMaintainer.status, 400);
+  assert.equal(lastMaintainer.data.error, "A team needs at least one maintainer");
+
+  const promoted = await server.request("PATCH", `/api/teams/${team.id}/members/${memberId}`, {
+    token: ownerToken,
+    body: { role: "maintainer" },
+  });
+  assert.equal(promoted.status, 200);
+
+  // Admins manage any team without being a member
+  const allTeams = await server.request("GET", "/api/teams?all=true", { token: adminToken });
+  assert.ok(allTeams.data.some((entry) => entry.id === team.id));
+  const denied = await server.request("GET", "/api/teams?all=true", { token: outsiderToken });
+  assert.equal(denied.status, 403);
+  const renamed = await server.request("PATCH", `/api/teams/${team.id}`, {
+    token: adminToken,
+    body: { name: "Platform Team", description: "Infra snippets" },
+  });
+  assert.equal(renamed.status, 200);
+  assert.equal(renamed.data.description, "Infra snippets");
+
+  const audit = await server.request("GET", "/api/admin/audit?action=team.*", { token: adminToken });
+  assert.deepEqual(
+    audit.data.logs.map((entry) => entry.action),
+    ["team.update", "team.member.update", "team.member.add", "team.create"]
+  );
+});
+
+test("shares TEAM snippets with team members only", async () => {
+  const team = await createTeam(ownerToken, "Backend");
+  await server.request("POST", `/api/teams/${team.id}/members`, {
+    token: ownerToken,
+    body: { username: "team-member" },
+  });
+
+  const missingTeam = await createSnippet(ownerToken, "No team", { visibility: "TEAM" });
+  assert.equal(missingTeam.status, 400);
+  assert.equal(missingTeam.data.error, "TEAM snippets need a team_id");
+  const foreignTeam = await createSnippet(outsiderToken, "Wrong team", {
+    visibility: "TEAM",
+    team_id: team.id,
+  });
+  assert.equal(foreignTeam.status, 400);
+
+  const shared = await createSnippet(ownerToken, "Team notes", {
+    visibility: "TEAM",
+    team_id: team.id,
+    categories: ["ops"],
+  });
+  assert.equal(shared.status, 201);
+  assert.equal(shared.data.team_id, team.id);
+  assert.equal(shared.data.team_name, "Backend");
+  await createSnippet(ownerToken, "Owner only");
+  await createSnippet(memberToken, "Member own");
+
+  const memberList = await server.request("GET", "/api/snippets", { token: memberToken });
+  assert.deepEqual(titles(memberList), ["Member own", "Team notes"]);
+  const teamOnly = await server.request("GET", `/api/snippets?team=${team.id}`, { token: memberToken });
+  assert.deepEqual(titles(teamOnly), ["Team notes"]);
+  const outsiderList = await server.request("GET", "/api/snippets", { token: outsiderToken });
+  assert.deepEqual(titles(outsiderList), []);
+
+  const metadata = await server.request("GET", "/api/snippets/metadata", { token: memberToken });
+  assert.ok(metadata.data.categories.includes("ops"));
+
+  const asMember = await server.request("GET", `/api/snippets/${shared.data.id}`, { token: memberToken });
+  assert.equal(asMember.status, 200);
+  const asOutsider = await server.request("GET", `/api/snippets/${shared.data.id}`, {
+    token: outsiderToken,
+  });
+  assert.equal(asOutsider.status, 404);
+
+  // Reading is not editing
+  const edit = await server.request("PUT", `/api/snippets/${shared.data.id}`, {
+    token: memberToken,
+    body: { ...shared.data, title: "Hijacked" },
+  });
+  assert.equal(edit.status, 404);
+  const recycle = await server.request("PATCH", `/api/snippets/${shared.data.id}/recycle`, {
+    token: memberToken,
+  });
+  assert.equal(recycle.status, 404);
+
+  // An update without team_id keeps the current team
+  const { team_id: _teamId, ...withoutTeam } = shared.data;
+  const kept = await server.request("PUT", `/api/snippets/${shared.data.id}`, {
+    token: ownerToken,
+    body: { ...withoutTeam, title: "Team notes v2" },
+  });
+  assert.equal(kept.status, 200);
+  assert.equal(kept.data.team_id, team.id);
+
+  // Members who leave lose access to the team's snippets
+  const leave = await server.request("DELETE", `/api/teams/${team.id}/members/${memberId}`, {
+    token: memberToken,
+  });
+  assert.equal(leave.status, 200);
+  const afterLeave = await server.request("GET", `/api/snippets/${shared.data.id}`, {
+    token: memberToken,
+  });
+  assert.equal(afterLeave.status, 404);
+});
+
+test("bulk TEAM visibility needs a team and deleting a team unshares its snippets", async () => {
+  const team = await createTeam(ownerToken, "Data");
+  await server.request("POST", `/api/teams/${team.id}/members`, {
+    token: ownerToken,
+    body: { username: "team-member" },
+  });
+  const snippet = (await createSnippet(ownerToken, "Queries")).data;
+
+  const noTeam = await server.request("POST", "/api/snippets/bulk", {
+    token: ownerToken,
+    body: { ids: [snippet.id], action: "setVisibility", visibility: "TEAM" },
+  });
+  assert.equal(noTeam.status, 400);
+
+  const bulk = await server.request("POST", "/api/snippets/bulk", {
+    token: ownerToken,
+    body: { ids: [snippet.id], action: "setVisibility", visibility: "TEAM", teamId: team.id },
+  });
+  assert.equal(bulk.data.succeeded, 1);
+  const visible = await server.request("GET", `/api/snippets/${snippet.id}`, { token: memberToken });
+  assert.equal(visible.status, 200);
+
+  const forbidden = await server.request("DELETE", `/api/teams/${team.id}`, { token: memberToken });
+  assert.equal(forbidden.status, 403);
+  const removed = await server.request("DELETE", `/api/teams/${team.id}`, { token: ownerToken });
+  assert.equal(removed.status, 200);
+
+  const owned = await server.request("GET", `/api/snippets/${snippet.id}`, { token: ownerToken });
+  assert.equal(owned.data.visibility, "PRIVATE");
+  assert.equal(owned.data.team_id, null);
+  const gone = await server.request("GET", `/api/snippets/${snippet.id}`, { token: memberToken });
+  assert.equal(gone.status, 404);
+});
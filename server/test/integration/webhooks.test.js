@@ -0,0 +1,364 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import http from "node:http";
+import { fileURLToPath } from "node:url";
+import { startTestServer } from "./support/testServer.js";
+
+let server;
+let adminToken;
+let userToken;
+let otherToken;
+let receiver;
+let receiverUrl;
+const received = [];
+
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) {
+      return value;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error("Timed out waiting for webhook delivery");
+}
+
+function verifySignature(delivery, secret) {
+  const timestamp = delivery.headers["x-bytestash-timestamp"];
+  assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60, `stale timestamp ${timestamp}`);
+  const expected = `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${delivery.body}`)
+    .digest("hex")}`;
+  assert.equal(delivery.headers["x-bytestash-signature"], expected);
+}
+
+function deliveriesTo(path, event) {
+  return received.filter((request) => request.path === path && (!event || request.event === event));
+}
+
+before(async () => {
+  // Paths under /fail answer 500, everything else 204
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      received.push({
+        path: req.url,
+        event: req.headers["x-bytestash-event"],
+        headers: req.headers,
+        body,
+        payload: JSON.parse(body),
+      });
+      res.statusCode = req.url.startsWith("/fail") ? 500 : 204;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+
+  const rebindingDns = fileURLToPath(new URL("./support/rebindingDns.js", import.meta.url));
+  server = await startTestServer({
+    port: 5121,
+    env: { NODE_OPTIONS: `--import ${rebindingDns}` },
+  });
+  adminToken = (await server.registerUser("hook-admin")).token;
+  userToken = (await server.registerUser("hook-user")).token;
+  otherToken = (await server.registerUser("hook-other")).token;
+  await allowHosts(["127.0.0.1"]);
+});
+
+// The receiver listens on loopback, which webhooks only reach when allowed
+async function allowHosts(webhookAllowedHosts) {
+  const settings = await server.request("PATCH", "/api/admin/settings", {
+    token: adminToken,
+    body: { webhookAllowedHosts },
+  });
+  assert.equal(settings.status, 200);
+}
+
+after(async () => {
+  await server?.stop();
+  receiver?.closeAllConnections();
+  receiver?.close();
+});
+
+async function createSnippet(token, title, categories = []) {
+  const created = await server.request("POST", "/api/snippets", {
+    token,
+    body: {
+      title,
+      categories,
+      fragments: [{ file_name: "a.txt", code: title, language: "text", position: 0 }],
+    },
+  });
+  assert.equal(created.status, 201);
+  return created.data;
+}
+
+test("validates webhooks and only returns the secret on creation", async () => {
+  const invalid = await server.request("POST", "/api/webhooks", {
+    token: userToken,
+    body: { name: "x", url: "ftp://example.com", events: ["snippet.create"] },
+  });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.data.error, "url must use http or https");
+
+  const unknownEvent = await server.request("POST", "/api/webhooks", {
+    token: userToken,
+    body: { name: "x", url: receiverUrl, events: ["snippet.read"] },
+  });
+  assert.equal(unknownEvent.status, 400);
+
+  const created = await server.request("POST", "/api/webhooks", {
+    token: userToken,
+    body: { name: "Scratch", url: `${receiverUrl}/scratch`, events: ["snippet.create"] },
+  });
+  assert.equal(created.status, 201);
+  assert.match(created.data.secret, /^whsec_[0-9a-f]{48}$/);
+  assert.equal(created.data.scope, "user");
+  assert.equal(created.data.categories, null);
+
+  const fetched = await server.request("GET", `/api/webhooks/${created.data.id}`, { token: userToken });
+  assert.equal(fetched.status, 200);
+  assert.equal(fetched.data.secret, undefined);
+
+  const foreign = await server.request("GET", `/api/webhooks/${created.data.id}`, { token: otherToken });
+  assert.equal(foreign.status, 404);
+  const asAdmin = await server.request("GET", `/api/admin/webhooks/${created.data.id}`, {
+    token: adminToken,
+  });
+  assert.equal(asAdmin.status, 404);
+
+  const denied = await server.request("GET", "/api/admin/webhooks", { token: userToken });
+  assert.equal(denied.status, 403);
+
+  const removed = await server.request("DELETE", `/api/webhooks/${created.data.id}`, {
+    token: userToken,
+  });
+  assert.equal(removed.status, 200);
+
+  const audit = await server.request("GET", "/api/admin/audit?action=webhook.*", { token: adminToken });
+  assert.deepEqual(
+    audit.data.logs.map((entry) => entry.action),
+    ["webhook.delete", "webhook.create"]
+  );
+});
+
+test("delivers signed snippet and share events to user and admin webhooks", async () => {
+  const userHook = await server.request("POST", "/api/webhooks", {
+    token: userToken,
+    body: {
+      name: "Everything",
+      url: `${receiverUrl}/user`,
+      events: ["snippet.create", "snippet.update", "snippet.recycle", "snippet.delete", "share.create"],
+    },
+  });
+  const docsHook = await server.request("POST", "/api/webhooks", {
+    token: userToken,
+    body: { name: "Docs", url: `${receiverUrl}/docs`, events: ["snippet.update"], categories: ["Docs"] },
+  });
+  assert.deepEqual(docsHook.data.categories, ["docs"]);
+  const adminHook = await server.request("POST", "/api/admin/webhooks", {
+    token: adminToken,
+    body: { name: "Audit", url: `${receiverUrl}/admin`, events: ["snippet.create"] },
+  });
+  assert.equal(adminHook.status, 201);
+  assert.equal(adminHook.data.scope, "admin");
+
+  const snippet = await createSnippet(userToken, "Hooked", ["docs"]);
+  const other = await createSnippet(otherToken, "Not mine");
+
+  const createdEvent = await waitFor(() => deliveriesTo("/user", "snippet.create")[0]);
+  verifySignature(createdEvent, userHook.data.secret);
+  assert.equal(createdEvent.payload.event, "snippet.create");
+  assert.equal(createdEvent.payload.data.snippet.id, snippet.id);
+  assert.deepEqual(createdEvent.payload.data.snippet.categories, ["docs"]);
+  assert.equal(createdEvent.payload.actor.username, "hook-user");
+  assert.equal(createdEvent.headers["user-agent"], "ByteStash-Webhooks");
+
+  // Admin webhooks hear about every user's snippets, user webhooks only their own
+  await waitFor(() => deliveriesTo("/admin").length === 2);
+  verifySignature(deliveriesTo("/admin")[1], adminHook.data.secret);
+  assert.deepEqual(
+    deliveriesTo("/admin").map((request) => request.payload.data.snippet.id).sort(),
+    [snippet.id, other.id].sort()
+  );
+  assert.ok(deliveriesTo("/user").every((request) => request.payload.data.snippet.id !== other.id));
+
+  await server.request("PUT", `/api/snippets/${snippet.id}`, {
+    token: userToken,
+    body: { ...snippet, title: "Hooked again" },
+  });
+  const updated = await waitFor(() => deliveriesTo("/docs", "snippet.update")[0]);
+  verifySignature(updated, docsHook.data.secret);
+  assert.equal(updated.payload.data.snippet.title, "Hooked again");
+
+  // The category filter skips snippets outside "docs"
+  const plain = await createSnippet(userToken, "Plain");
+  await server.request("PUT", `/api/snippets/${plain.id}`, {
+    token: userToken,
+    body: { ...plain, title: "Plain again" },
+  });
+  await waitFor(() => deliveriesTo("/user", "snippet.update").length === 2);
+  assert.equal(deliveriesTo("/docs").length, 1);
+
+  const share = await server.request("POST", "/api/share", {
+    token: userToken,
+    body: { snippetId: snippet.id },
+  });
+  assert.equal(share.status, 201);
+  const shared = await waitFor(() => deliveriesTo("/user", "share.create")[0]);
+  assert.equal(shared.payload.data.share.id, share.data.id);
+
+  await server.request("PATCH", `/api/snippets/${snippet.id}/recycle`, { token: userToken });
+  const recycled = await waitFor(() => deliveriesTo("/user", "snippet.recycle")[0]);
+  assert.equal(recycled.payload.data.snippet.recycled, true);
+
+  await server.request("DELETE", `/api/snippets/${snippet.id}`, { token: userToken });
+  const deleted = await waitFor(() => deliveriesTo("/user", "snippet.delete")[0]);
+  assert.equal(deleted.payload.data.snippet.title, "Hooked again");
+
+  const log = await server.request("GET", `/api/webhooks/${userHook.data.id}/deliveries`, {
+    token: userToken,
+  });
+  assert.equal(log.status, 200);
+  assert.ok(log.data.total >= 6);
+  assert.ok(log.data.deliveries.every((delivery) => delivery.status === "success"));
+  assert.equal(log.data.deliveries[0].event, "snippet.delete");
+  assert.equal(log.data.deliveries[0].response_status, 204);
+
+  const recycleAudit = await server.request(
+    "GET",
+    `/api/admin/audit?action=snippet.recycle&targetId=${snippet.id}`,
+    { token: adminToken }
+  );
+  assert.equal(recycleAudit.data.total, 1);
+  const shareAudit = await server.request("GET", "/api/admin/audit?action=share.create", {
+    token: adminToken,
+  });
+  assert.equal(shareAudit.data.logs[0].target_id, share.data.id);
+});
+
+test("sends test events and schedules retries for failed deliveries", async () => {
+  const hook = await server.request("POST", "/api/webhooks", {
+    token: otherToken,
+    body: { name: "Flaky", url: `${receiverUrl}/fail`, events: ["snippet.create"] },
+  });
+
+  const test = await server.request("POST", `/api/webhooks/${hook.data.id}/test`, {
+    token: otherToken,
+  });
+  assert.equal(test.status, 200);
+  assert.equal(test.data.event, "webhook.test");
+  assert.equal(test.data.status, "failed");
+  assert.equal(test.data.response_status, 500);
+  verifySignature(deliveriesTo("/fail", "webhook.test")[0], hook.data.secret);
+
+  await createSnippet(otherToken, "Retry me");
+  const pending = await waitFor(async () => {
+    const log = await server.request("GET", `/api/webhooks/${hook.data.id}/deliveries`, {
+      token: otherToken,
+    });
+    const delivery = log.data.deliveries.find((entry) => entry.event === "snippet.create");
+    return delivery?.attempts === 1 && delivery;
+  });
+  assert.equal(pending.status, "pending");
+  assert.equal(pending.error, "Webhook answered 500");
+  // First retry one minute later
+  const delay = Date.parse(pending.next_attempt_at) - Date.parse(pending.created_at);
+  assert.ok(delay >= 59000 && delay <= 62000, `unexpected retry delay ${delay}`);
+
+  const fixed = await server.request("PATCH", `/api/webhooks/${hook.data.id}`, {
+    token: otherToken,
+    body: { url: `${receiverUrl}/fixed`, rotateSecret: true },
+  });
+  assert.equal(fixed.status, 200);
+  assert.notEqual(fixed.data.secret, hook.data.secret);
+
+  const retest = await server.request("POST", `/api/webhooks/${hook.data.id}/test`, {
+    token: otherToken,
+  });
+  assert.equal(retest.data.status, "success");
+  verifySignature(deliveriesTo("/fixed", "webhook.test")[0], fixed.data.secret);
+});
+
+test("refuses private targets unless allowed and hides connection errors", async () => {
+  const badEntry = await server.request("PATCH", "/api/admin/settings", {
+    token: adminToken,
+    body: { webhookAllowedHosts: ["not a host"] },
+  });
+  assert.equal(badEntry.status, 400);
+
+  for (const url of [
+    "http://169.254.169.254/latest/meta-data/",
+    "http://10.0.0.1/hook",
+    "http://localhost:8080/",
+    "http://[::1]/",
+    "http://[::ffff:192.168.1.1]/",
+  ]) {
+    const refused = await server.request("POST", "/api/webhooks", {
+      token: userToken,
+      body: { name: "Internal", url, events: ["snippet.create"] },
+    });
+    assert.equal(refused.status, 400, url);
+    assert.equal(refused.data.error, "url must not point to a local or private address");
+  }
+
+  const closedPort = await server.request("POST", "/api/webhooks", {
+    token: userToken,
+    body: { name: "Closed", url: "http://127.0.0.1:1/", events: ["snippet.create"] },
+  });
+  const refused = await server.request("POST", `/api/webhooks/${closedPort.data.id}/test`, {
+    token: userToken,
+  });
+  assert.equal(refused.data.status, "failed");
+  assert.equal(refused.data.response_status, null);
+  assert.equal(refused.data.error, "Webhook request failed");
+
+  // Targets are checked again when delivering, against the current allowlist
+  const hook = await server.request("POST", "/api/webhooks", {
+    token: userToken,
+    body: { name: "Loopback", url: `${receiverUrl}/blocked`, events: ["snippet.create"] },
+  });
+  assert.equal(hook.status, 201);
+  await allowHosts([]);
+  try {
+    const blocked = await server.request("POST", `/api/webhooks/${hook.data.id}/test`, {
+      token: userToken,
+    });
+    assert.equal(blocked.data.status, "failed");
+    assert.equal(blocked.data.response_status, null);
+    assert.equal(blocked.data.error, "Webhook target is not allowed");
+    assert.equal(deliveriesTo("/blocked").length, 0);
+  } finally {
+    await allowHosts(["127.0.0.1"]);
+  }
+});
+
+test("connects only to the address that passed the target check", async () => {
+  // rebind.test passes the check with a public address, then resolves to
+  // the loopback receiver when the request connects
+  const port = new URL(receiverUrl).port;
+  const hook = await server.request("POST", "/api/webhooks", {
+    token: userToken,
+    body: { name: "Rebind", url: `http://rebind.test:${port}/rebind`, events: ["snippet.create"] },
+  });
+  assert.equal(hook.status, 201);
+  await allowHosts([]);
+  try {
+    const blocked = await server.request("POST", `/api/webhooks/${hook.data.id}/test`, {
+      token: userToken,
+    });
+    assert.equal(blocked.data.status, "failed");
+    assert.equal(blocked.data.response_status, null);
+    assert.equal(blocked.data.error, "Webhook target is not allowed");
+    assert.equal(deliveriesTo("/rebind").length, 0);
+  } finally {
+    await allowHosts(["127.0.0.1"]);
+  }
+});
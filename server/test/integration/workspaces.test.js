@@ -0,0 +1,347 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./support/testServer.js";
+
+let server;
+let root;
+let rootToken;
+let defaultUser;
+let research;
+let researchAdmin;
+let researchMember;
+
+before(async () => {
+  server = await startTestServer({ port: 5124 });
+  root = await server.registerUser("ws-root");
+  rootToken = root.token;
+  defaultUser = await server.registerUser("ws-default-user");
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+function registerIn(slug, username) {
+  return server.request("POST", `/api/auth/register?workspace=${slug}`, {
+    body: { username, password: "supersecurepassword" },
+  });
+}
+
+async function createSnippet(token, title, visibility = "PRIVATE") {
+  const created = await server.request("POST", "/api/snippets", {
+    token,
+    body: {
+      title,
+      visibility,
+      fragments: [{ file_name: "a.txt", code: title, language: "text", position: 0 }],
+    },
+  });
+  assert.equal(created.status, 201);
+  return created.data;
+}
+
+function titles(list) {
+  return list.data.data.map((snippet) => snippet.title).sort();
+}
+
+test("super admins create workspaces that users register into", async () => {
+  assert.equal(defaultUser.user.workspace.slug, "default");
+
+  const created = await server.request("POST", "/api/admin/workspaces", {
+    token: rootToken,
+    body: { name: "Research Lab" },
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.data.slug, "research-lab");
+  research = created.data;
+
+  const duplicate = await server.request("POST", "/api/admin/workspaces", {
+    token: rootToken,
+    body: { name: "research lab" },
+  });
+  assert.equal(duplicate.status, 400);
+  const badSlug = await server.request("POST", "/api/admin/workspaces", {
+    token: rootToken,
+    body: { name: "Ops", slug: "Ops Team" },
+  });
+  assert.equal(badSlug.status, 400);
+
+  // Anonymous callers cannot pick a workspace until it opts in, and new
+  // workspaces start with registration closed
+  const hidden = await server.request("GET", "/api/auth/config?workspace=research-lab");
+  assert.equal(hidden.status, 404);
+  assert.equal((await registerIn("research-lab", "ws-early")).status, 404);
+  const opened = await server.request("PATCH", `/api/admin/settings?workspace=${research.id}`, {
+    token: rootToken,
+    body: { anonymousAccess: "ON" },
+  });
+  assert.equal(opened.data.foundation.anonymousAccess, "ON");
+  assert.equal(opened.data.foundation.registrationMode, "CLOSED");
+  assert.equal((await registerIn("research-lab", "ws-early")).status, 403);
+  await server.request("PATCH", `/api/admin/settings?workspace=${research.id}`, {
+    token: rootToken,
+    body: { registrationMode: "OPEN" },
+  });
+
+  const config = await server.request("GET", "/api/auth/config?workspace=research-lab");
+  assert.equal(config.data.workspace.name, "Research Lab");
+  assert.equal((await registerIn("nowhere", "ws-lost")).status, 404);
+
+  researchAdmin = (await registerIn("research-lab", "ws-research-admin")).data;
+  assert.equal(researchAdmin.user.workspace.id, research.id);
+  assert.equal(researchAdmin.user.role, "USER");
+  researchMember = (await registerIn("research-lab", "ws-research-member")).data;
+
+  const renamed = await server.request("PATCH", `/api/admin/workspaces/${research.id}`, {
+    token: rootToken,
+    body: { name: "Research" },
+  });
+  assert.equal(renamed.data.name, "Research");
+  assert.equal(renamed.data.slug, "research-lab");
+
+  const overview = await server.request("GET", "/api/admin/workspaces", { token: rootToken });
+  const counts = Object.fromEntries(
+    overview.data.workspaces.map((workspace) => [workspace.slug, workspace.user_count])
+  );
+  assert.deepEqual(counts, { default: 2, "research-lab": 2 });
+
+  // Only empty workspaces go away, and never the default one
+  const notEmpty = await server.request("DELETE", `/api/admin/workspaces/${research.id}`, {
+    token: rootToken,
+  });
+  assert.equal(notEmpty.status, 400);
+  const scratch = await server.request("POST", "/api/admin/workspaces", {
+    token: rootToken,
+    body: { name: "Scratch" },
+  });
+  const removed = await server.request("DELETE", `/api/admin/workspaces/${scratch.data.id}`, {
+    token: rootToken,
+  });
+  assert.equal(removed.status, 200);
+  const defaultRemoved = await server.request("DELETE", "/api/admin/workspaces/1", {
+    token: rootToken,
+  });
+  assert.equal(defaultRemoved.status, 400);
+});
+
+test("public libraries, user lookups and shares stay inside a workspace", async () => {
+  await server.request("PATCH", "/api/admin/settings", {
+    token: rootToken,
+    body: { communityMode: "ON" },
+  });
+
+  const defaultPublic = await createSnippet(defaultUser.token, "Default public", "PUBLIC");
+  await createSnippet(researchMember.token, "Research public", "PUBLIC");
+
+  const anonymous = await server.request("GET", "/api/public/snippets");
+  assert.deepEqual(titles(anonymous), ["Default public"]);
+  const bySlug = await server.request("GET", "/api/public/snippets?workspace=research-lab");
+  assert.deepEqual(titles(bySlug), ["Research public"]);
+  // Signed-in users always browse their own workspace
+  const asMember = await server.request("GET", "/api/public/snippets", {
+    token: researchMember.token,
+  });
+  assert.deepEqual(titles(asMember), ["Research public"]);
+  const foreign = await server.request("GET", `/api/public/snippets/${defaultPublic.id}`, {
+    token: researchMember.token,
+  });
+  assert.equal(foreign.status, 404);
+
+  const team = await server.request("POST", "/api/teams", {
+    token: researchMember.token,
+    body: { name: "Lab crew" },
+  });
+  // Team names only need to be unique inside a workspace
+  const sameName = await server.request("POST", "/api/teams", {
+    token: defaultUser.token,
+    body: { name: "lab crew" },
+  });
+  assert.equal(sameName.status, 201);
+  const duplicateTeam = await server.request("POST", "/api/teams", {
+    token: researchMember.token,
+    body: { name: "LAB CREW" },
+  });
+  assert.equal(duplicateTeam.status, 400);
+  const outsider = await server.request("POST", `/api/teams/${team.data.id}/members`, {
+    token: researchMember.token,
+    body: { username: "ws-default-user" },
+  });
+  assert.equal(outsider.status, 404);
+  const foreignTeam = await server.request("GET", `/api/teams/${team.data.id}`, {
+    token: rootToken,
+  });
+  assert.equal(foreignTeam.status, 404);
+
+  const shared = await createSnippet(researchMember.token, "Lab notes", "SHARED");
+  const foreignGrant = await server.request("POST", `/api/snippets/${shared.id}/grants`, {
+    token: researchMember.token,
+    body: { username: "ws-default-user" },
+  });
+  assert.equal(foreignGrant.status, 404);
+
+  const share = await server.request("POST", "/api/share", {
+    token: researchMember.token,
+    body: { snippetId: shared.id, requiresAuth: true },
+  });
+  const fromDefault = await server.request("GET", `/api/share/${share.data.id}`, {
+    token: defaultUser.token,
+  });
+  assert.equal(fromDefault.status, 404);
+  const fromResearch = await server.request("GET", `/api/share/${share.data.id}`, {
+    token: researchAdmin.token,
+  });
+  assert.equal(fromResearch.status, 200);
+});
+
+test("workspace admins manage only their own workspace", async () => {
+  const promoted = await server.request(
+    "PATCH",
+    `/api/admin/users/${researchAdmin.user.id}/role`,
+    { token: rootToken, body: { role: "ADMIN" } }
+  );
+  assert.equal(promoted.status, 200);
+  const adminToken = researchAdmin.token;
+
+  const users = await server.request("GET", "/api/admin/users", { token: adminToken });
+  assert.deepEqual(
+    users.data.users.map((user) => user.username).sort(),
+    ["ws-research-admin", "ws-research-member"]
+  );
+  const snippets = await server.request("GET", "/api/admin/snippets", { token: adminToken });
+  assert.ok(snippets.data.snippets.every((snippet) => snippet.workspace_id === research.id));
+  const stats = await server.request("GET", "/api/admin/stats", { token: adminToken });
+  assert.equal(stats.data.users.total, 2);
+
+  const otherUser = await server.request("GET", `/api/admin/users/${defaultUser.user.id}`, {
+    token: adminToken,
+  });
+  assert.equal(otherUser.status, 404);
+  const otherRole = await server.request(
+    "PATCH",
+    `/api/admin/users/${defaultUser.user.id}/role`,
+    { token: adminToken, body: { role: "READ_ONLY" } }
+  );
+  assert.equal(otherRole.status, 404);
+  const escalate = await server.request(
+    "PATCH",
+    `/api/admin/users/${researchMember.user.id}/role`,
+    { token: adminToken, body: { role: "SUPER_ADMIN" } }
+  );
+  assert.equal(escalate.status, 403);
+
+  for (const [method, url, body] of [
+    ["GET", "/api/admin/workspaces"],
+    ["GET", "/api/admin/audit/verify"],
+    ["PATCH", "/api/admin/settings", { maintenanceMode: "ON" }],
+    ["PATCH", `/api/admin/users/${researchMember.user.id}/workspace`, { workspaceId: 1 }],
+  ]) {
+    const denied = await server.request(method, url, { token: adminToken, body });
+    assert.equal(denied.status, 403, `${method} ${url}`);
+  }
+
+  // The super admin sees every workspace, or one picked by id
+  const allUsers = await server.request("GET", "/api/admin/users", { token: rootToken });
+  assert.equal(allUsers.data.total, 4);
+  const scoped = await server.request("GET", `/api/admin/users?workspace=${research.id}`, {
+    token: rootToken,
+  });
+  assert.equal(scoped.data.total, 2);
+  assert.equal(scoped.data.users[0].workspace_name, "Research");
+});
+
+test("registration and community mode are set per workspace", async () => {
+  const adminToken = researchAdmin.token;
+  const settings = await server.request("PATCH", "/api/admin/settings", {
+    token: adminToken,
+    body: { communityMode: "OFF", registrationMode: "CLOSED" },
+  });
+  assert.equal(settings.status, 200);
+  assert.equal(settings.data.foundation.communityMode, "OFF");
+  assert.equal(settings.data.foundation.registrationMode, "CLOSED");
+
+  const closedLibrary = await server.request("GET", "/api/public/snippets?workspace=research-lab");
+  assert.equal(closedLibrary.status, 404);
+  const openLibrary = await server.request("GET", "/api/public/snippets");
+  assert.equal(openLibrary.status, 200);
+
+  assert.equal((await registerIn("research-lab", "ws-late")).status, 403);
+  assert.equal((await registerIn("default", "ws-mover")).status, 200);
+
+  const instance = await server.request("GET", "/api/admin/settings", { token: rootToken });
+  assert.equal(instance.data.foundation.registrationMode, "OPEN");
+  assert.equal(instance.data.foundation.communityMode, "ON");
+});
+
+test("super admins move empty accounts and audit logs are scoped", async () => {
+  const users = await server.request("GET", "/api/admin/users?search=ws-mover", {
+    token: rootToken,
+  });
+  const mover = users.data.users[0];
+  const moved = await server.request("PATCH", `/api/admin/users/${mover.id}/workspace`, {
+    token: rootToken,
+    body: { workspaceId: research.id },
+  });
+  assert.equal(moved.status, 200);
+  assert.equal(moved.data.workspace_id, research.id);
+
+  const owner = await server.request(
+    "PATCH",
+    `/api/admin/users/${defaultUser.user.id}/workspace`,
+    { token: rootToken, body: { workspaceId: research.id } }
+  );
+  assert.equal(owner.status, 400);
+
+  // Filed under the target's workspace rather than the super admin's own
+  await server.request("PATCH", `/api/admin/users/${researchMember.user.id}/unlock`, {
+    token: rootToken,
+  });
+
+  const scoped = await server.request("GET", "/api/admin/audit?limit=100", {
+    token: researchAdmin.token,
+  });
+  assert.ok(scoped.data.total > 0);
+  assert.ok(scoped.data.logs.every((entry) => entry.workspace_id === research.id));
+  assert.ok(!scoped.data.logs.some((entry) => entry.actor_username === "ws-default-user"));
+  assert.ok(
+    scoped.data.logs.some(
+      (entry) => entry.action === "admin.user.unlock" && entry.actor_username === "ws-root"
+    )
+  );
+
+  const picked = await server.request("GET", `/api/admin/audit?workspace=${research.id}`, {
+    token: rootToken,
+  });
+  assert.equal(picked.data.total, scoped.data.total);
+
+  const verify = await server.request("GET", "/api/admin/audit/verify", { token: rootToken });
+  assert.equal(verify.data.valid, true);
+});
+
+test("workspace admins cannot change super admins in their workspace", async () => {
+  await server.request("PATCH", `/api/admin/users/${defaultUser.user.id}/role`, {
+    token: rootToken,
+    body: { role: "ADMIN" },
+  });
+
+  for (const [method, action, body] of [
+    ["DELETE", ""],
+    ["PATCH", "/toggle-active"],
+    ["PATCH", "/status", { status: "SUSPENDED" }],
+    ["PATCH", "/role", { role: "USER" }],
+    ["PATCH", "/unlock"],
+    ["PATCH", "/reset-sessions"],
+    ["PATCH", "/force-password-reset", { forcePasswordReset: true }],
+  ]) {
+    const denied = await server.request(method, `/api/admin/users/${root.user.id}${action}`, {
+      token: defaultUser.token,
+      body,
+    });
+    assert.equal(denied.status, 403, `${method} ${action}`);
+  }
+
+  const still = await server.request("GET", `/api/admin/users/${root.user.id}`, {
+    token: rootToken,
+  });
+  assert.equal(still.data.role, "SUPER_ADMIN");
+  assert.equal(still.data.status, "ACTIVE");
+});